@@ -0,0 +1,177 @@
+/**
+ * 建置後產生 sitemap 與預渲染的物品頁
+ *
+ * - dist/sitemap.xml：sitemap index，指向 sitemap-pages.xml 與 sitemap-items-N.xml
+ * - dist/item/{id}/{slug}.html：每個可交易物品一份 HTML 外殼，帶有 ItemSEO 的 title、description、
+ *   canonical、Open Graph 與 JSON-LD，讓爬蟲不必執行 JS 也看得到物品頁。
+ *   GitHub Pages 會以 /item/{id}/{slug} 回應這份檔案，SPA 載入後照常接手。
+ *
+ * 使用方法（需先 vite build）：
+ * npm run build && npm run generate-seo
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateItemSlug } from '../src/utils/urlSlug.js';
+import { SITE_URL, getItemSeoData } from '../src/utils/itemSeo.js';
+import { MARKET_TOOLS } from '../src/constants/tools.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG = {
+  distDir: path.join(__dirname, '..', 'dist'),
+  marketItemsFile: path.join(__dirname, '..', 'teamcraft_git', 'libs', 'data', 'src', 'lib', 'json', 'market-items.json'),
+  twItemsFile: path.join(__dirname, '..', 'teamcraft_git', 'libs', 'data', 'src', 'lib', 'json', 'tw', 'tw-items.json'),
+  // 協定上限為 50,000，分小一點讓單一檔案保持輕量
+  urlsPerSitemap: 10000,
+};
+
+// 依使用者自己資料運作的工具頁（雇員、製作規劃），對爬蟲沒有內容
+const PERSONAL_TOOL_PATHS = new Set(['/retainers', '/crafting-planner']);
+
+// 收錄於 sitemap 的非物品頁面；觀察清單、購物清單等個人頁面不收錄
+const STATIC_PAGES = [
+  { path: '/', changefreq: 'daily', priority: '1.0' },
+  { path: '/history', changefreq: 'weekly', priority: '0.8' },
+  { path: '/advanced-search', changefreq: 'weekly', priority: '0.7' },
+  { path: '/crafting-inspiration', changefreq: 'weekly', priority: '0.7' },
+  { path: '/msq-price-checker', changefreq: 'weekly', priority: '0.7' },
+  ...MARKET_TOOLS
+    .filter(tool => !PERSONAL_TOOL_PATHS.has(tool.path))
+    .map(tool => ({ path: tool.path, changefreq: 'weekly', priority: '0.7' })),
+];
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+// 讀取可交易且有繁中名稱的物品
+function loadItems() {
+  const marketItems = readJson(CONFIG.marketItemsFile);
+  const twItems = readJson(CONFIG.twItemsFile);
+
+  return marketItems
+    .map(id => ({ id, name: twItems[id]?.tw?.trim() }))
+    .filter(item => item.name);
+}
+
+function buildUrlset(entries, lastmod) {
+  const urls = entries.map(entry => [
+    '  <url>',
+    `    <loc>${escapeXml(entry.loc)}</loc>`,
+    `    <lastmod>${lastmod}</lastmod>`,
+    `    <changefreq>${entry.changefreq}</changefreq>`,
+    `    <priority>${entry.priority}</priority>`,
+    '  </url>',
+  ].join('\n'));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls.join('\n')}\n</urlset>\n`;
+}
+
+function buildSitemapIndex(files, lastmod) {
+  const sitemaps = files.map(file => [
+    '  <sitemap>',
+    `    <loc>${SITE_URL}/${file}</loc>`,
+    `    <lastmod>${lastmod}</lastmod>`,
+    '  </sitemap>',
+  ].join('\n'));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${sitemaps.join('\n')}\n</sitemapindex>\n`;
+}
+
+// 寫入 sitemap index 與各分頁 sitemap，回傳寫入的檔名
+function writeSitemaps(items, lastmod) {
+  const files = [];
+
+  const pageEntries = STATIC_PAGES.map(page => ({
+    loc: page.path === '/' ? `${SITE_URL}/` : `${SITE_URL}${page.path}`,
+    changefreq: page.changefreq,
+    priority: page.priority,
+  }));
+  fs.writeFileSync(path.join(CONFIG.distDir, 'sitemap-pages.xml'), buildUrlset(pageEntries, lastmod), 'utf-8');
+  files.push('sitemap-pages.xml');
+
+  const itemEntries = items.map(item => ({
+    loc: getItemSeoData(item).url,
+    changefreq: 'daily',
+    priority: '0.6',
+  }));
+  for (let i = 0; i < itemEntries.length; i += CONFIG.urlsPerSitemap) {
+    const file = `sitemap-items-${i / CONFIG.urlsPerSitemap + 1}.xml`;
+    fs.writeFileSync(path.join(CONFIG.distDir, file), buildUrlset(itemEntries.slice(i, i + CONFIG.urlsPerSitemap), lastmod), 'utf-8');
+    files.push(file);
+  }
+
+  fs.writeFileSync(path.join(CONFIG.distDir, 'sitemap.xml'), buildSitemapIndex(files, lastmod), 'utf-8');
+  return files;
+}
+
+// 取代 index.html 中指定的 meta / link 屬性值；找不到就維持原樣
+function replaceAttribute(html, tagPattern, attribute, value) {
+  const pattern = new RegExp(`(<${tagPattern}[^>]*?\\s${attribute}=")[^"]*(")`);
+  return html.replace(pattern, (match, before, after) => `${before}${escapeXml(value)}${after}`);
+}
+
+function renderItemPage(template, item) {
+  const seo = getItemSeoData(item);
+  // JSON-LD 放在 <script> 內，跳脫 < 避免名稱提前結束標籤
+  const jsonLd = JSON.stringify(seo.jsonLd).replace(/</g, '\\u003c');
+
+  let html = template.replace(/<title>[^<]*<\/title>/, `<title>${escapeXml(seo.title)}</title>`);
+  html = replaceAttribute(html, 'meta name="description"', 'content', seo.description);
+  html = replaceAttribute(html, 'link rel="canonical"', 'href', seo.url);
+  html = replaceAttribute(html, 'meta property="og:type"', 'content', 'product');
+  html = replaceAttribute(html, 'meta property="og:url"', 'content', seo.url);
+  html = replaceAttribute(html, 'meta property="og:title"', 'content', seo.title);
+  html = replaceAttribute(html, 'meta property="og:description"', 'content', seo.ogDescription);
+  html = replaceAttribute(html, 'meta name="twitter:card"', 'content', 'summary');
+  html = replaceAttribute(html, 'meta name="twitter:url"', 'content', seo.url);
+  html = replaceAttribute(html, 'meta name="twitter:title"', 'content', seo.title);
+  html = replaceAttribute(html, 'meta name="twitter:description"', 'content', seo.twitterDescription);
+  // 頁面位於 /item/{id}/ 之下，./ 開頭的相對路徑（如 favicon）改成從網站根目錄算起
+  html = html.replace(/(\s(?:href|src)=")\.\//g, `$1${new URL(SITE_URL).pathname}/`);
+
+  // data-item-schema 與 ItemSEO 相同，SPA 載入後會沿用這個 script 而不是重複新增
+  return html.replace('</head>', `  <script type="application/ld+json" data-item-schema="true">${jsonLd}</script>\n  </head>`);
+}
+
+function writeItemPages(template, items) {
+  const itemDir = path.join(CONFIG.distDir, 'item');
+  fs.rmSync(itemDir, { recursive: true, force: true });
+
+  items.forEach(item => {
+    const dir = path.join(itemDir, String(item.id));
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${generateItemSlug(item.name)}.html`), renderItemPage(template, item), 'utf-8');
+  });
+}
+
+function main() {
+  const templateFile = path.join(CONFIG.distDir, 'index.html');
+  if (!fs.existsSync(templateFile)) {
+    console.error('✗ 找不到 dist/index.html，請先執行 npm run build');
+    process.exit(1);
+  }
+
+  const template = fs.readFileSync(templateFile, 'utf-8');
+  const items = loadItems();
+  const lastmod = new Date().toISOString().slice(0, 10);
+
+  const files = writeSitemaps(items, lastmod);
+  console.log(`✓ sitemap: ${STATIC_PAGES.length} 個頁面、${items.length} 個物品，共 ${files.length} 個檔案`);
+
+  writeItemPages(template, items);
+  console.log(`✓ 預渲染物品頁: ${items.length} 個`);
+}
+
+main();
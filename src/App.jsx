@@ -1,9 +1,10 @@
-import { useState, useCallback, useEffect, useRef, Suspense, lazy } from 'react';
+import { useState, useCallback, useEffect, useRef, useMemo, Suspense, lazy } from 'react';
 import { flushSync } from 'react-dom';
 import { useNavigate, useSearchParams, useParams, useLocation } from 'react-router-dom';
 import SearchBar from './components/SearchBar';
 import ServerSelector from './components/ServerSelector';
 import TaxRatesModal from './components/TaxRatesModal';
+import DataCacheModal from './components/DataCacheModal';
 import SearchResultsTable from './components/SearchResultsTable.jsx';
 import MarketListings from './components/MarketListings';
 import MarketHistory from './components/MarketHistory';
@@ -12,6 +13,7 @@ import Toast from './components/Toast';
 import { formatRelativeTime, formatLocalTime } from './utils/timeFormat';
 import { searchItems, searchItemsOCR, getItemById, getSimplifiedChineseName, cancelSimplifiedNameFetch } from './services/itemDatabase';
 import { getMarketData, getMarketableItems, getItemsVelocity, getTaxRates } from './services/universalis';
+import { fetchAggregatedMarketData } from './services/marketDataClient';
 // Removed containsChinese import - no longer restricting to Chinese input
 import { getAssetPath } from './utils/assetPath.js';
 import ItemImage from './components/ItemImage';
@@ -20,6 +22,14 @@ import HistoryButton from './components/HistoryButton';
 import { addItemToHistory } from './utils/itemHistory';
 import { addSearchToHistory } from './utils/searchHistory';
 import { useHistory } from './hooks/useHistory';
+import { useWatchlist } from './hooks/useWatchlist';
+import { useTranslation } from './hooks/useTranslation';
+import { useItemNames } from './hooks/useItemNames';
+import { useItemDescription } from './hooks/useItemDescription';
+import { translate } from './i18n';
+import { getUILanguage } from './utils/uiLanguage';
+import { RATE_LIMIT_ERROR_CODE } from './utils/requestManager';
+import { addToWatchlist } from './utils/watchlist';
 import { hasRecipe, buildCraftingTree, findRelatedItems } from './services/recipeDatabase';
 import { getIlvls, getItemPatch, getPatchNames, getItemSetFromDB, getTwItemsByIds } from './services/supabaseData';
 import { initializeSupabaseConnection } from './services/supabaseClient';
@@ -51,8 +61,8 @@ const createLazyComponent = (importFn, componentName) => {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
               </svg>
             </div>
-            <p className="text-red-300 font-semibold mb-1">載入失敗</p>
-            <p className="text-red-400/80 text-sm">無法載入 {componentName}，請重新整理頁面</p>
+            <p className="text-red-300 font-semibold mb-1">{translate(getUILanguage(), 'common.loadFailed')}</p>
+            <p className="text-red-400/80 text-sm">{translate(getUILanguage(), 'common.componentLoadFailed', { name: componentName })}</p>
           </div>
         )
       };
@@ -68,6 +78,22 @@ const RelatedItems = createLazyComponent(() => import('./components/RelatedItems
 const HistorySection = createLazyComponent(() => import('./components/HistorySection.jsx'), 'HistorySection');
 const RecentUpdatesSection = createLazyComponent(() => import('./components/RecentUpdatesSection.jsx'), 'RecentUpdatesSection');
 const ObtainMethods = createLazyComponent(() => import('./components/ObtainMethods.jsx'), 'ObtainMethods');
+const Watchlist = createLazyComponent(() => import('./components/Watchlist.jsx'), 'Watchlist');
+const ShoppingList = createLazyComponent(() => import('./components/ShoppingList.jsx'), 'ShoppingList');
+const ArbitrageFinder = createLazyComponent(() => import('./components/ArbitrageFinder.jsx'), 'ArbitrageFinder');
+const RetainerTracker = createLazyComponent(() => import('./components/RetainerTracker.jsx'), 'RetainerTracker');
+const GatheringProfit = createLazyComponent(() => import('./components/GatheringProfit.jsx'), 'GatheringProfit');
+const CraftingPlanner = createLazyComponent(() => import('./components/CraftingPlanner.jsx'), 'CraftingPlanner');
+const DesynthValue = createLazyComponent(() => import('./components/DesynthValue.jsx'), 'DesynthValue');
+const VendorFlips = createLazyComponent(() => import('./components/VendorFlips.jsx'), 'VendorFlips');
+const CurrencyExchange = createLazyComponent(() => import('./components/CurrencyExchange.jsx'), 'CurrencyExchange');
+const ItemComparison = createLazyComponent(() => import('./components/ItemComparison.jsx'), 'ItemComparison');
+const MeldingCost = createLazyComponent(() => import('./components/MeldingCost.jsx'), 'MeldingCost');
+const UsedInExplorer = createLazyComponent(() => import('./components/UsedInExplorer.jsx'), 'UsedInExplorer');
+const VentureProfit = createLazyComponent(() => import('./components/VentureProfit.jsx'), 'VentureProfit');
+const VoyagePlanner = createLazyComponent(() => import('./components/VoyagePlanner.jsx'), 'VoyagePlanner');
+const IslandWorkshop = createLazyComponent(() => import('./components/IslandWorkshop.jsx'), 'IslandWorkshop');
+const MarketHistoryChart = createLazyComponent(() => import('./components/MarketHistoryChart.jsx'), 'MarketHistoryChart');
 
 function App() {
   const navigate = useNavigate();
@@ -126,6 +152,17 @@ function App() {
     const saved = localStorage.getItem('craftingTreeExcludeCrystals');
     return saved !== null ? saved === 'true' : true; // Default to true (exclude crystals)
   });
+
+  // Alternate recipes picked in the crafting tree ({ [resultItemId]: recipeId }), kept across items
+  const [recipeChoices, setRecipeChoices] = useState(() => {
+    try {
+      const saved = localStorage.getItem('craftingTreeRecipeChoices');
+      return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+      console.error('Failed to load recipe choices:', error);
+      return {};
+    }
+  });
   
   // Related items states
   const [hasRelatedItems, setHasRelatedItems] = useState(false);
@@ -177,6 +214,7 @@ function App() {
   const [taxRates, setTaxRates] = useState({}); // { worldId: { LimsaLominsa: 5, Gridania: 5, ... } }
   const [isLoadingTaxRates, setIsLoadingTaxRates] = useState(false);
   const [isTaxRatesModalOpen, setIsTaxRatesModalOpen] = useState(false);
+  const [isDataCacheModalOpen, setIsDataCacheModalOpen] = useState(false);
   const loadedTaxRatesDcRef = useRef(null); // Track which datacenter's tax rates are currently loaded
 
   // Handle search page change
@@ -401,6 +439,10 @@ function App() {
     return '#9CA3AF';
   }, []);
 
+  // Toasts raised from effects that only run on mount or data changes use translate(getUILanguage(), ...)
+  // instead, so switching language doesn't re-run them
+  const { t, language: uiLanguage } = useTranslation();
+
   // Add toast function
   const addToast = useCallback((message, type = 'info') => {
     const id = Date.now() + (++toastIdCounterRef.current);
@@ -435,19 +477,64 @@ function App() {
       }
     } catch (err) {
       console.error('getItemSetFromDB failed:', err);
-      addToast('套裝查詢失敗', 'error');
+      addToast(t('toast.itemSetFailed'), 'error');
       setItemSetResult({ setItemIds: [], seedItemId: itemId, isEquipmentSet: false });
       setItemSetNames({});
     } finally {
       setIsLoadingItemSet(false);
     }
-  }, [addToast]);
+  }, [addToast, t]);
 
   // Remove toast function
   const removeToast = useCallback((id) => {
     setToasts(prev => prev.filter(toast => toast.id !== id));
   }, []);
 
+  // Watchlist polling runs app-wide so alerts fire on every page
+  const {
+    watchlist,
+    settings: watchlistSettings,
+    isChecking: isCheckingWatchlist,
+    lastRunAt: watchlistLastRunAt,
+    checkNow: checkWatchlistNow,
+  } = useWatchlist(addToast);
+  const isSelectedItemWatched = !!selectedItem && watchlist.some(entry => (
+    entry.itemId === selectedItem.id && entry.scope === selectedServerOption
+  ));
+
+  // Item header shows the name in the search language, or else the UI language, above the TW name
+  const selectedItemUINames = useItemNames(selectedItem ? [selectedItem.id] : [], uiLanguage);
+  const selectedItemHeaderName = selectedItem
+    ? (selectedItem.searchLanguageName || selectedItemUINames[selectedItem.id] || null)
+    : null;
+  const selectedItemDescription = useItemDescription(selectedItem?.id || null, uiLanguage);
+
+  // Listing and sale rows carry the TW name; show (and export) the UI language name instead
+  const selectedItemUIName = selectedItem ? selectedItemUINames[selectedItem.id] : null;
+  const displayedMarketListings = useMemo(() => (
+    selectedItemUIName ? marketListings.map(listing => ({ ...listing, itemName: selectedItemUIName })) : marketListings
+  ), [marketListings, selectedItemUIName]);
+  const displayedMarketHistory = useMemo(() => (
+    selectedItemUIName ? marketHistory.map(entry => ({ ...entry, itemName: selectedItemUIName })) : marketHistory
+  ), [marketHistory, selectedItemUIName]);
+
+  const handleAddToWatchlist = useCallback(() => {
+    if (!selectedItem || !selectedServerOption) return;
+    const scopeName = typeof selectedServerOption === 'number'
+      ? (worlds[selectedServerOption] || String(selectedServerOption))
+      : selectedServerOption;
+    const entry = addToWatchlist({
+      itemId: selectedItem.id,
+      itemName: selectedItem.name,
+      scope: selectedServerOption,
+      scopeName,
+      quality: selectedItem.canBeHQ && hqOnly ? 'hq' : 'any',
+    });
+    if (entry) {
+      addToast(t('toast.addedToWatchlist', { name: selectedItem.name, scope: scopeName }), 'success');
+    }
+  }, [selectedItem, selectedServerOption, worlds, hqOnly, addToast, t]);
+
   // Create shatter effect
   const createShatterEffect = useCallback((imageUrl) => {
     if (!imageContainerRef.current) return;
@@ -696,12 +783,12 @@ function App() {
   // Note: This will override the fallback title in index.html
   useEffect(() => {
     if (selectedItem) {
-      const itemName = selectedItem.nameTW || selectedItem.name || '未知物品';
+      const itemName = selectedItem.nameTW || selectedItem.name || t('common.unknownItem');
       document.title = `${itemName} - 繁中XIV市場 - FF14 Market`;
     } else {
       document.title = '繁中XIV市場 - FF14 Market - 貝爾的市場小屋';
     }
-  }, [selectedItem]);
+  }, [selectedItem, t]);
 
   // Load data centers and worlds on mount
   useEffect(() => {
@@ -751,7 +838,7 @@ function App() {
         ) {
           serverLoadRetryCountRef.current++;
           serverLoadInProgressRef.current = false;
-          addToast(`伺服器加載超時，正在重試 (${serverLoadRetryCountRef.current}/3)...`, 'warning');
+          addToast(translate(getUILanguage(), 'toast.serverLoadTimeout', { attempt: serverLoadRetryCountRef.current }), 'warning');
           loadData(true);
         }
       }, 2000);
@@ -794,7 +881,7 @@ function App() {
           if (serverLoadRetryCountRef.current < 3) {
             serverLoadRetryCountRef.current++;
             serverLoadInProgressRef.current = false;
-            addToast(`伺服器資料為空，正在重試 (${serverLoadRetryCountRef.current}/3)...`, 'warning');
+            addToast(translate(getUILanguage(), 'toast.serverDataEmpty', { attempt: serverLoadRetryCountRef.current }), 'warning');
             setTimeout(() => {
               if (currentRequestId === serverLoadRequestIdRef.current) {
                 loadData(true);
@@ -850,9 +937,9 @@ function App() {
 
         setIsLoadingDB(false);
         if (isRetry && serverLoadRetryCountRef.current > 0) {
-          addToast('伺服器資料加載成功', 'success');
+          addToast(translate(getUILanguage(), 'toast.serverDataRecovered'), 'success');
         } else {
-          addToast('伺服器資料加載完成', 'success');
+          addToast(translate(getUILanguage(), 'toast.serverDataLoaded'), 'success');
         }
       } catch (err) {
         if (err.name === 'AbortError' || abortSignal.aborted || currentRequestId !== serverLoadRequestIdRef.current) {
@@ -868,7 +955,7 @@ function App() {
         
         if (serverLoadRetryCountRef.current < 3) {
           serverLoadRetryCountRef.current++;
-          addToast(`伺服器加載失敗，正在重試 (${serverLoadRetryCountRef.current}/3)...`, 'warning');
+          addToast(translate(getUILanguage(), 'toast.serverLoadFailedRetry', { attempt: serverLoadRetryCountRef.current }), 'warning');
           setTimeout(() => {
             if (currentRequestId === serverLoadRequestIdRef.current) {
               loadData(true);
@@ -876,8 +963,8 @@ function App() {
           }, 2000);
         } else {
           console.error('Failed to load data centers/worlds:', err);
-          setError('無法加載服務器列表');
-          addToast('無法加載服務器列表，請刷新頁面重試', 'error');
+          setError(translate(getUILanguage(), 'error.serverListFailed'));
+          addToast(translate(getUILanguage(), 'toast.serverListFailed'), 'error');
           setIsLoadingDB(false);
         }
       }
@@ -1270,20 +1357,14 @@ function App() {
             }));
           }
           
-          const itemIdsString = batch.join(',');
-          
           try {
-            const response = await fetch(`https://universalis.app/api/v2/aggregated/${encodeURIComponent(queryTarget)}/${itemIdsString}`, {
-              signal: abortSignal
-            });
+            const data = await fetchAggregatedMarketData(queryTarget, batch, { signal: abortSignal });
             
             // Check again after fetch
             if (abortSignal.aborted || currentRequestId !== velocityFetchRequestIdRef.current) {
               return;
             }
             
-            const data = await response.json();
-            
             // Process batch results
             const batchVelocities = {};
             const batchAveragePrices = {};
@@ -1770,20 +1851,14 @@ function App() {
               return;
             }
           
-            const itemIdsString = batch.join(',');
-          
             try {
-              const response = await fetch(`https://universalis.app/api/v2/aggregated/${encodeURIComponent(queryTarget)}/${itemIdsString}`, {
-                signal: abortSignal
-              });
+              const data = await fetchAggregatedMarketData(queryTarget, batch, { signal: abortSignal });
             
               // Check again after fetch
               if (abortSignal.aborted || currentRequestId !== historyFetchRequestIdRef.current) {
                 return;
               }
             
-              const data = await response.json();
-            
               // Process batch results (same logic as search page)
               const batchVelocities = {};
               const batchAveragePrices = {};
@@ -2168,8 +2243,8 @@ function App() {
     
     navigate(finalUrl, { replace: false });
     
-    addToast(`已選擇: ${item.name}`, 'info');
-  }, [addToast, navigate, searchParams]);
+    addToast(t('toast.itemSelected', { name: item.name }), 'info');
+  }, [addToast, navigate, searchParams, t]);
 
   // Initialize from URL on mount and when URL changes
   // SIMPLIFIED: History page now uses useHistory hook, no complex protection needed
@@ -2334,7 +2409,7 @@ function App() {
                   setIsLoadingItemFromURL(false);
                 } else {
                   setIsLoadingItemFromURL(false);
-                  addToast('找不到該物品', 'error');
+                  addToast(translate(getUILanguage(), 'toast.itemNotFound'), 'error');
                   navigate('/');
                 }
               })
@@ -2344,7 +2419,7 @@ function App() {
                   return;
                 }
                 console.error('Failed to load item:', error);
-                addToast('載入物品失敗', 'error');
+                addToast(translate(getUILanguage(), 'toast.itemLoadFailed'), 'error');
                 navigate('/');
               });
           }
@@ -2451,10 +2526,10 @@ function App() {
               if (converted && convertedText) {
                 if (searchedSimplified) {
                   if (results.length > 0) {
-                    addToast(`「${originalText}」繁體搜尋無資料，在簡體中文資料庫找到結果！`, 'warning');
+                    addToast(translate(getUILanguage(), 'toast.foundInSimplified', { text: originalText }), 'warning');
                   }
                 } else {
-                  addToast(`「${originalText}」無搜尋結果，正在嘗試轉譯成「${convertedText}」`, 'info');
+                  addToast(translate(getUILanguage(), 'toast.tryingConversion', { text: originalText, converted: convertedText }), 'info');
                 }
               }
               
@@ -2494,7 +2569,7 @@ function App() {
               
               // STEP 5: Show toast with counts
               if (results.length > 1 && previousSearchText !== searchQuery) {
-                addToast(`找到 ${marketableItems.length} 個可交易物品${nonMarketableItems.length > 0 ? `、${nonMarketableItems.length} 個不可交易物品` : ''}`, 'success');
+                addToast(translate(getUILanguage(), nonMarketableItems.length > 0 ? 'toast.foundMarketableAndNot' : 'toast.foundMarketable', { count: marketableItems.length, untradable: nonMarketableItems.length }), 'success');
               }
               
               // Note: ItemTable will now render only marketableItems (from tradeableResults)
@@ -2502,7 +2577,7 @@ function App() {
               // Button will show nonMarketableItems count and be disabled until loading completes
               
               if (results.length === 0) {
-                addToast('未找到可製品', 'warning');
+                addToast(translate(getUILanguage(), 'toast.noResults'), 'warning');
                 // No results means velocity fetch won't run, so re-enable server selector here
                 if (lastProcessedURLRef.current === currentURLKey) {
                   setIsServerSelectorDisabled(false);
@@ -2527,7 +2602,7 @@ function App() {
                     ? `${itemUrl}${worldParam ? `?server=${encodeURIComponent(serverParam)}&world=${encodeURIComponent(worldParam)}` : `?server=${encodeURIComponent(serverParam)}`}`
                     : itemUrl;
                   navigate(finalUrl, { replace: true });
-                  addToast(`已選擇: ${item.name}`, 'info');
+                  addToast(translate(getUILanguage(), 'toast.itemSelected', { name: item.name }), 'info');
                 }
               }
               // If there are results, velocity fetch will handle re-enabling server selector
@@ -2550,7 +2625,7 @@ function App() {
                 setUntradeableResults([]);
                 searchResultsRef.current = results;
                 if (results.length > 1 && previousSearchText !== searchQuery) {
-                  addToast(`找到 ${results.length} 個物品`, 'success');
+                  addToast(translate(getUILanguage(), 'toast.foundItems', { count: results.length }), 'success');
                 }
                 if (results.length === 1) {
                   const item = results[0];
@@ -2568,16 +2643,16 @@ function App() {
                     ? `${itemUrl}${worldParam ? `?server=${encodeURIComponent(serverParam)}&world=${encodeURIComponent(worldParam)}` : `?server=${encodeURIComponent(serverParam)}`}`
                     : itemUrl;
                   navigate(finalUrl, { replace: true });
-                  addToast(`已選擇: ${item.name}`, 'info');
+                  addToast(translate(getUILanguage(), 'toast.itemSelected', { name: item.name }), 'info');
                 }
               } else {
                 // No results or search failed completely
-                setError('搜索失敗，請稍後再試');
+                setError(translate(getUILanguage(), 'error.searchFailed'));
                 setTradeableResults([]);
                 setUntradeableResults([]);
                 setShowUntradeable(false);
                 searchResultsRef.current = [];
-                addToast('搜索失敗', 'error');
+                addToast(translate(getUILanguage(), 'toast.searchFailed'), 'error');
                 // On error, re-enable server selector since velocity fetch won't run
                 setIsServerSelectorDisabled(false);
               }
@@ -2687,7 +2762,7 @@ function App() {
     }
 
     if (isLoadingDB || !isServerDataLoaded) {
-      addToast('請等待伺服器資料加載完成', 'warning');
+      addToast(t('search.waitForServerData'), 'warning');
       return;
     }
 
@@ -2757,10 +2832,10 @@ function App() {
       if (converted && convertedText) {
         if (searchedSimplified) {
           if (results.length > 0) {
-            addToast(`「${originalText}」繁體搜尋無資料，在簡體中文資料庫找到結果！`, 'warning');
+            addToast(t('toast.foundInSimplified', { text: originalText }), 'warning');
           }
         } else {
-          addToast(`「${originalText}」無搜尋結果，正在嘗試轉譯成「${convertedText}」`, 'info');
+          addToast(t('toast.tryingConversion', { text: originalText, converted: convertedText }), 'info');
         }
       }
       
@@ -2802,7 +2877,7 @@ function App() {
       
       // STEP 5: Show toast with counts
       if (results.length > 1) {
-        addToast(`找到 ${marketableItems.length} 個可交易物品${nonMarketableItems.length > 0 ? `、${nonMarketableItems.length} 個不可交易物品` : ''}`, 'success');
+        addToast(t(nonMarketableItems.length > 0 ? 'toast.foundMarketableAndNot' : 'toast.foundMarketable', { count: marketableItems.length, untradable: nonMarketableItems.length }), 'success');
       }
       
       // Note: ItemTable will now render only marketableItems (from tradeableResults)
@@ -2810,7 +2885,7 @@ function App() {
       // Button will show nonMarketableItems count and be disabled until loading completes
       
       if (results.length === 0) {
-        addToast('未找到可製品', 'warning');
+        addToast(t('toast.noResults'), 'warning');
         // No results means velocity fetch won't run, so re-enable server selector here
         setIsServerSelectorDisabled(false);
       } else {
@@ -2838,7 +2913,7 @@ function App() {
             ? `${itemUrl}${worldParam ? `?server=${encodeURIComponent(serverParam)}&world=${encodeURIComponent(worldParam)}` : `?server=${encodeURIComponent(serverParam)}`}`
             : itemUrl;
           navigate(finalUrl, { replace: true });
-          addToast(`已選擇: ${item.name}`, 'info');
+          addToast(t('toast.itemSelected', { name: item.name }), 'info');
         }
       }
     } catch (err) {
@@ -2846,8 +2921,8 @@ function App() {
       if (err.name === 'AbortError' || searchSignal.aborted) {
         return;
       }
-      setError(err.message || '搜索失敗，請稍後再試');
-      addToast('搜索失敗', 'error');
+      setError(err.message || t('error.searchFailed'));
+      addToast(t('toast.searchFailed'), 'error');
       setTradeableResults([]);
       setUntradeableResults([]);
       setShowUntradeable(false);
@@ -2864,7 +2939,7 @@ function App() {
         }
       }, 1000);
     }
-  }, [addToast, isLoadingDB, selectedServerOption, handleItemSelect, params.id, location.pathname, navigate]);
+  }, [addToast, isLoadingDB, selectedServerOption, handleItemSelect, params.id, location.pathname, navigate, t]);
 
   // Handle server option change
   const handleServerOptionChange = useCallback((option) => {
@@ -2999,7 +3074,7 @@ function App() {
         ) {
           retryCountRef.current++;
           requestInProgressRef.current = false;
-          addToast(`請求超時，正在重試 (${retryCountRef.current}/3)...`, 'warning');
+          addToast(translate(getUILanguage(), 'toast.requestTimeoutRetry', { attempt: retryCountRef.current }), 'warning');
           loadMarketData(true);
         }
       }, 1500);
@@ -3048,6 +3123,8 @@ function App() {
               total: listing.total,
               retainerName: listing.retainerName,
               worldName: listing.worldName || (isDataCenterSearch ? (data.dcName || requestServerOption) : (data.worldName || requestServerOption)),
+              // World queries omit worldID on listings; keep it so retainer matching can compare worlds
+              worldID: listing.worldID ?? (isDataCenterSearch ? null : requestServerOption),
               hq: listing.hq || false,
             }))
             .sort((a, b) => a.pricePerUnit - b.pricePerUnit);
@@ -3078,7 +3155,7 @@ function App() {
             setMarketListings(listings);
             setMarketHistory(history);
             if (isRetry && retryCountRef.current > 0) {
-              addToast('數據加載成功', 'success');
+              addToast(translate(getUILanguage(), 'toast.marketDataRecovered'), 'success');
             }
           }
         }
@@ -3094,9 +3171,9 @@ function App() {
           selectedItem?.id === requestItemId &&
           selectedServerOption === requestServerOption
         ) {
-          if (err.message && err.message.includes('請求頻率過高')) {
-            setRateLimitMessage('請求頻率過高，請稍後再試');
-            addToast('請求頻率過高，請稍後再試', 'warning');
+          if (err.code === RATE_LIMIT_ERROR_CODE) {
+            setRateLimitMessage(err.message);
+            addToast(err.message, 'warning');
             setTimeout(() => {
               if (
                 currentRequestId === requestIdRef.current && 
@@ -3109,14 +3186,14 @@ function App() {
             }, 3000);
           } else {
             if (err.response?.status === 404) {
-              setError('此物品在市場數據中不存在，可能無法在市場板交易');
-              addToast('此物品在市場數據中不存在', 'warning');
+              setError(translate(getUILanguage(), 'error.notOnMarket'));
+              addToast(translate(getUILanguage(), 'toast.notOnMarket'), 'warning');
               return;
             }
             
             if (retryCountRef.current < 3) {
               retryCountRef.current++;
-              addToast(`請求失敗，正在重試 (${retryCountRef.current}/3)...`, 'warning');
+              addToast(translate(getUILanguage(), 'toast.requestFailedRetry', { attempt: retryCountRef.current }), 'warning');
               setTimeout(() => {
                 if (
                   currentRequestId === requestIdRef.current && 
@@ -3129,7 +3206,7 @@ function App() {
               }, 500);
             } else {
               setError(err.message);
-              addToast('加載市場數據失敗', 'error');
+              addToast(translate(getUILanguage(), 'toast.marketDataFailed'), 'error');
             }
           }
         }
@@ -3241,7 +3318,7 @@ function App() {
         
         if (hasCraft) {
           // Build the crafting tree with excludeCrystals parameter
-          const tree = await buildCraftingTree(selectedItem.id, 1, new Set(), 0, excludeCrystals);
+          const tree = await buildCraftingTree(selectedItem.id, 1, new Set(), 0, excludeCrystals, null, recipeChoices);
           setCraftingTree(tree);
         }
         
@@ -3270,13 +3347,13 @@ function App() {
       });
   }, [selectedItem]);
 
-  // Update crafting tree when excludeCrystals changes (without collapsing)
+  // Update crafting tree when excludeCrystals or a recipe choice changes (without collapsing)
   useEffect(() => {
     if (!selectedItem || !hasCraftingRecipe) return;
 
     setIsLoadingCraftingTree(true);
     
-    buildCraftingTree(selectedItem.id, 1, new Set(), 0, excludeCrystals)
+    buildCraftingTree(selectedItem.id, 1, new Set(), 0, excludeCrystals, null, recipeChoices)
       .then(tree => {
         setCraftingTree(tree);
         setIsLoadingCraftingTree(false);
@@ -3285,7 +3362,7 @@ function App() {
         console.error('Failed to rebuild crafting tree:', error);
         setIsLoadingCraftingTree(false);
       });
-  }, [excludeCrystals, selectedItem, hasCraftingRecipe]);
+  }, [excludeCrystals, recipeChoices, selectedItem, hasCraftingRecipe]);
 
   useEffect(() => {
     if (!selectedItem) return;
@@ -3376,6 +3453,15 @@ function App() {
     localStorage.setItem('craftingTreeExcludeCrystals', newValue.toString());
   }, []);
 
+  // Handle picking an alternate recipe for an item in the crafting tree
+  const handleRecipeChoiceChange = useCallback((itemId, recipeId) => {
+    setRecipeChoices(prev => {
+      const next = { ...prev, [itemId]: recipeId };
+      localStorage.setItem('craftingTreeRecipeChoices', JSON.stringify(next));
+      return next;
+    });
+  }, []);
+
   const serverOptions = selectedWorld
     ? [selectedWorld.section, ...selectedWorld.dcObj.worlds]
     : [];
@@ -3385,16 +3471,46 @@ function App() {
   const isOnCraftingInspirationPage = location.pathname === '/crafting-inspiration';
   const isOnMSQPriceCheckerPage = location.pathname === '/msq-price-checker';
   const isOnAdvancedSearchPage = location.pathname === '/advanced-search';
+  const isOnWatchlistPage = location.pathname === '/watchlist';
+  const isOnShoppingListPage = location.pathname === '/shopping-list';
+  const isOnArbitragePage = location.pathname === '/arbitrage';
+  const isOnRetainersPage = location.pathname === '/retainers';
+  const isOnGatheringPage = location.pathname === '/gathering';
+  const isOnCraftingPlannerPage = location.pathname === '/crafting-planner';
+  const isOnDesynthPage = location.pathname === '/desynth';
+  const isOnVendorFlipsPage = location.pathname === '/vendor-flips';
+  const isOnCurrencyExchangePage = location.pathname === '/currency-exchange';
+  const isOnItemComparisonPage = location.pathname === '/item-compare';
+  const isOnMeldingCostPage = location.pathname === '/melding';
+  const isOnUsedInPage = location.pathname === '/used-in';
+  const isOnVenturesPage = location.pathname === '/ventures';
+  const isOnVoyagesPage = location.pathname === '/voyages';
+  const isOnIslandWorkshopPage = location.pathname === '/island-workshop';
 
   // Check if current route is valid
   const isValidRoute = () => {
     const pathname = location.pathname;
-    // Valid routes: /, /history, /crafting-inspiration, /msq-price-checker, /advanced-search, /item/:id, /search
+    // Valid routes: /, /history, /crafting-inspiration, /msq-price-checker, /advanced-search, /watchlist, /shopping-list, /arbitrage, /retainers, /gathering, /crafting-planner, /desynth, /vendor-flips, /currency-exchange, /item-compare, /melding, /used-in, /ventures, /voyages, /island-workshop, /item/:id, /search
     if (pathname === '/' || 
         pathname === '/history' || 
         pathname === '/crafting-inspiration' || 
         pathname === '/msq-price-checker' ||
         pathname === '/advanced-search' ||
+        pathname === '/watchlist' ||
+        pathname === '/shopping-list' ||
+        pathname === '/arbitrage' ||
+        pathname === '/retainers' ||
+        pathname === '/gathering' ||
+        pathname === '/crafting-planner' ||
+        pathname === '/desynth' ||
+        pathname === '/vendor-flips' ||
+        pathname === '/currency-exchange' ||
+        pathname === '/item-compare' ||
+        pathname === '/melding' ||
+        pathname === '/used-in' ||
+        pathname === '/ventures' ||
+        pathname === '/voyages' ||
+        pathname === '/island-workshop' ||
         pathname === '/search') {
       return true;
     }
@@ -3448,15 +3564,88 @@ function App() {
     );
   }
 
-  // Render MSQ price checker if on that route
-  if (isOnMSQPriceCheckerPage) {
+  // Render watchlist if on that route
+  if (isOnWatchlistPage) {
     return (
       <Suspense fallback={
         <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
           <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
         </div>
       }>
-        <MSQPriceChecker
+        <Watchlist
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+          watchlist={watchlist}
+          watchlistSettings={watchlistSettings}
+          isCheckingWatchlist={isCheckingWatchlist}
+          watchlistLastRunAt={watchlistLastRunAt}
+          onCheckWatchlist={checkWatchlistNow}
+        />
+      </Suspense>
+    );
+  }
+
+  // Render shopping list if on that route
+  if (isOnShoppingListPage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <ShoppingList
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
+
+  // Render arbitrage finder if on that route
+  if (isOnArbitragePage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <ArbitrageFinder
           addToast={addToast}
           removeToast={removeToast}
           toasts={toasts}
@@ -3485,17 +3674,17 @@ function App() {
     );
   }
 
-  // Render crafting job price checker if on that route
-  if (isOnCraftingInspirationPage) {
+  // Render retainer tracker if on that route
+  if (isOnRetainersPage) {
     return (
       <Suspense fallback={
         <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
           <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
         </div>
       }>
-        <CraftingJobPriceChecker 
-          addToast={addToast} 
-          removeToast={removeToast} 
+        <RetainerTracker
+          addToast={addToast}
+          removeToast={removeToast}
           toasts={toasts}
           datacenters={datacenters}
           worlds={worlds}
@@ -3504,12 +3693,49 @@ function App() {
           selectedServerOption={selectedServerOption}
           onServerOptionChange={handleServerOptionChange}
           serverOptions={selectedWorld && selectedWorld.dcObj ? [selectedWorld.section, ...selectedWorld.dcObj.worlds] : []}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
           onSearch={handleSearch}
           searchText={searchText}
           setSearchText={setSearchText}
           isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
+
+  // Render gathering profit if on that route
+  if (isOnGatheringPage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <GatheringProfit
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          datacenters={datacenters}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          onWorldChange={setSelectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          serverOptions={selectedWorld && selectedWorld.dcObj ? [selectedWorld.section, ...selectedWorld.dcObj.worlds] : []}
           isServerDataLoaded={isServerDataLoaded}
           onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
           onTaxRatesClick={() => {
             setIsTaxRatesModalOpen(true);
           }}
@@ -3522,76 +3748,520 @@ function App() {
     );
   }
 
-  return (
-    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
-      <TopBar
-        onSearch={handleSearch}
-        isSearching={isSearching}
-        searchText={searchText}
-        setSearchText={setSearchText}
-        isServerDataLoaded={isServerDataLoaded}
-        selectedDcName={selectedWorld?.section}
-        onItemSelect={handleItemSelect}
-        selectedItem={selectedItem}
-        getSimplifiedChineseName={getSimplifiedChineseName}
-        addToast={addToast}
-        showNavigationButtons={true}
-        onCraftingInspirationClick={() => {
-          setSearchText('');
-          navigate('/crafting-inspiration');
-        }}
-        activePage={isOnCraftingInspirationPage ? 'crafting-inspiration' : isOnMSQPriceCheckerPage ? 'msq-price-checker' : isOnAdvancedSearchPage ? 'advanced-search' : null}
-        onMSQPriceCheckerClick={() => {
-          setSearchText('');
-          navigate('/msq-price-checker');
-        }}
-        onAdvancedSearchClick={() => {
-          setSearchText('');
-          navigate('/advanced-search');
-        }}
-        onTaxRatesClick={() => {
-          setIsTaxRatesModalOpen(true);
-        }}
-        searchResults={showUntradeable ? [...tradeableResults, ...untradeableResults] : tradeableResults}
-        marketableItems={marketableItems}
-      />
-
-
-      {/* Toast Notifications */}
-      <div className={`fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none ${
-        selectedItem 
-          ? 'top-[100px] mid:top-[120px] detail:top-24'
-          : 'top-[60px] mid:top-4'
-      }`}>
-        {toasts.map(toast => (
-          <Toast
-            key={toast.id}
-            message={toast.message}
-            type={toast.type}
-            onClose={() => removeToast(toast.id)}
-          />
-        ))}
-      </div>
+  // Render crafting planner if on that route
+  if (isOnCraftingPlannerPage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <CraftingPlanner
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          datacenters={datacenters}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          onWorldChange={setSelectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          serverOptions={selectedWorld && selectedWorld.dcObj ? [selectedWorld.section, ...selectedWorld.dcObj.worlds] : []}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
 
-      {/* Loading Indicator */}
-      {isLoadingDB && (
-        <div className="fixed top-14 mid:top-4 left-1/2 transform -translate-x-1/2 z-[60]">
-          <div className="bg-gradient-to-r from-purple-900/80 to-indigo-900/80 backdrop-blur-sm px-3 mid:px-4 py-2 rounded-lg border border-ffxiv-gold/30 flex items-center gap-2">
-            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-ffxiv-gold"></div>
-            <span className="text-xs mid:text-sm text-gray-300">正在載入伺服器...</span>
-          </div>
+  // Render desynth value calculator if on that route
+  if (isOnDesynthPage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
         </div>
-      )}
+      }>
+        <DesynthValue
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          datacenters={datacenters}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          onWorldChange={setSelectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          serverOptions={selectedWorld && selectedWorld.dcObj ? [selectedWorld.section, ...selectedWorld.dcObj.worlds] : []}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
 
-      {/* Main Content */}
-      <div className={`pb-8 ${
-        selectedItem 
-          ? 'pt-[200px] md:pt-[180px] lg:pt-[160px] xl:pt-24'
-          : 'pt-16 mid:pt-24'
-      }`}>
-        <div className="max-w-7xl mx-auto px-2 sm:px-4">
-          {/* History Page */}
-          {isOnHistoryPage && !selectedItem && (
+  // Render vendor flip finder if on that route
+  if (isOnVendorFlipsPage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <VendorFlips
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          datacenters={datacenters}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          onWorldChange={setSelectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          serverOptions={selectedWorld && selectedWorld.dcObj ? [selectedWorld.section, ...selectedWorld.dcObj.worlds] : []}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
+
+  // Render currency exchange ranking if on that route
+  if (isOnCurrencyExchangePage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <CurrencyExchange
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          datacenters={datacenters}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          onWorldChange={setSelectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          serverOptions={selectedWorld && selectedWorld.dcObj ? [selectedWorld.section, ...selectedWorld.dcObj.worlds] : []}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
+
+  // Render item comparison if on that route
+  if (isOnItemComparisonPage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <ItemComparison
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          datacenters={datacenters}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          onWorldChange={setSelectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          serverOptions={selectedWorld && selectedWorld.dcObj ? [selectedWorld.section, ...selectedWorld.dcObj.worlds] : []}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
+
+  // Render materia melding cost if on that route
+  if (isOnMeldingCostPage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <MeldingCost
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          datacenters={datacenters}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          onWorldChange={setSelectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          serverOptions={selectedWorld && selectedWorld.dcObj ? [selectedWorld.section, ...selectedWorld.dcObj.worlds] : []}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
+
+  // Render used-in explorer if on that route
+  if (isOnUsedInPage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <UsedInExplorer
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          datacenters={datacenters}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          onWorldChange={setSelectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          serverOptions={selectedWorld && selectedWorld.dcObj ? [selectedWorld.section, ...selectedWorld.dcObj.worlds] : []}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
+
+  // Render venture profit if on that route
+  if (isOnVenturesPage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <VentureProfit
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          datacenters={datacenters}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          onWorldChange={setSelectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          serverOptions={selectedWorld && selectedWorld.dcObj ? [selectedWorld.section, ...selectedWorld.dcObj.worlds] : []}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
+
+  // Render voyage planner if on that route
+  if (isOnVoyagesPage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <VoyagePlanner
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          datacenters={datacenters}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          onWorldChange={setSelectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          serverOptions={selectedWorld && selectedWorld.dcObj ? [selectedWorld.section, ...selectedWorld.dcObj.worlds] : []}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
+
+  // Render island workshop if on that route
+  if (isOnIslandWorkshopPage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <IslandWorkshop
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          datacenters={datacenters}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          onWorldChange={setSelectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          serverOptions={selectedWorld && selectedWorld.dcObj ? [selectedWorld.section, ...selectedWorld.dcObj.worlds] : []}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
+
+  // Render MSQ price checker if on that route
+  if (isOnMSQPriceCheckerPage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <MSQPriceChecker
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          datacenters={datacenters}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          onWorldChange={setSelectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          serverOptions={selectedWorld && selectedWorld.dcObj ? [selectedWorld.section, ...selectedWorld.dcObj.worlds] : []}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
+
+  // Render crafting job price checker if on that route
+  if (isOnCraftingInspirationPage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <CraftingJobPriceChecker 
+          addToast={addToast} 
+          removeToast={removeToast} 
+          toasts={toasts}
+          datacenters={datacenters}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          onWorldChange={setSelectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          serverOptions={selectedWorld && selectedWorld.dcObj ? [selectedWorld.section, ...selectedWorld.dcObj.worlds] : []}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={handleSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={handleItemSelect}
+        selectedItem={selectedItem}
+        getSimplifiedChineseName={getSimplifiedChineseName}
+        addToast={addToast}
+        showNavigationButtons={true}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        activePage={isOnCraftingInspirationPage ? 'crafting-inspiration' : isOnMSQPriceCheckerPage ? 'msq-price-checker' : isOnAdvancedSearchPage ? 'advanced-search' : null}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+        onTaxRatesClick={() => {
+          setIsTaxRatesModalOpen(true);
+        }}
+        searchResults={showUntradeable ? [...tradeableResults, ...untradeableResults] : tradeableResults}
+        marketableItems={marketableItems}
+      />
+
+
+      {/* Toast Notifications */}
+      <div className={`fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none ${
+        selectedItem 
+          ? 'top-[100px] mid:top-[120px] detail:top-24'
+          : 'top-[60px] mid:top-4'
+      }`}>
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      {/* Loading Indicator */}
+      {isLoadingDB && (
+        <div className="fixed top-14 mid:top-4 left-1/2 transform -translate-x-1/2 z-[60]">
+          <div className="bg-gradient-to-r from-purple-900/80 to-indigo-900/80 backdrop-blur-sm px-3 mid:px-4 py-2 rounded-lg border border-ffxiv-gold/30 flex items-center gap-2">
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-ffxiv-gold"></div>
+            <span className="text-xs mid:text-sm text-gray-300">{t('app.loadingServers')}</span>
+          </div>
+        </div>
+      )}
+
+      {/* Main Content */}
+      <div className={`pb-8 ${
+        selectedItem 
+          ? 'pt-[200px] md:pt-[180px] lg:pt-[160px] xl:pt-24'
+          : 'pt-16 mid:pt-24'
+      }`}>
+        <div className="max-w-7xl mx-auto px-2 sm:px-4">
+          {/* History Page */}
+          {isOnHistoryPage && !selectedItem && (
             <div>
               <div className="mb-6 flex items-center justify-between">
                 <div className="flex items-center gap-3">
@@ -3610,17 +4280,17 @@ function App() {
                         d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" 
                       />
                     </svg>
-                    歷史記錄
+                    {t('nav.history')}
                   </h2>
                 </div>
                 <button
                   onClick={() => {
-                    if (window.confirm('確定要清空所有歷史記錄嗎？')) {
+                    if (window.confirm(t('history.confirmClear'))) {
                       clearHistory();
                     }
                   }}
                   className="px-3 sm:px-4 py-1.5 sm:py-2 text-xs sm:text-sm font-medium bg-red-800/60 hover:bg-red-700/70 text-gray-200 hover:text-white rounded-md border border-red-500/40 hover:border-red-400/60 transition-all duration-200 flex items-center gap-2"
-                  title="清空歷史記錄"
+                  title={t('history.clear')}
                 >
                   <svg 
                     xmlns="http://www.w3.org/2000/svg" 
@@ -3636,14 +4306,14 @@ function App() {
                       d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" 
                     />
                   </svg>
-                  <span>清空歷史記錄</span>
+                  <span>{t('history.clear')}</span>
                 </button>
               </div>
               
               {isHistoryLoading ? (
                 <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-8 sm:p-12 text-center">
                   <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-ffxiv-gold mx-auto"></div>
-                  <p className="mt-4 text-sm text-gray-400">載入歷史記錄...</p>
+                  <p className="mt-4 text-sm text-gray-400">{t('history.loading')}</p>
                 </div>
               ) : historyItems.length > 0 ? (
                 <SearchResultsTable
@@ -3663,10 +4333,10 @@ function App() {
                   itemRecentPurchases={historyRecentPurchases}
                   itemTradability={historyTradability}
                   isLoadingVelocities={isLoadingHistoryVelocities}
-                  averagePriceHeader={selectedServerOption === selectedWorld?.section ? '全服平均價格' : '平均價格'}
+                  averagePriceHeader={selectedServerOption === selectedWorld?.section ? t('table.dcAveragePrice') : t('table.averagePrice')}
                   getSimplifiedChineseName={getSimplifiedChineseName}
                   addToast={addToast}
-                  title="歷史記錄"
+                  title={t('nav.history')}
                   showLoadingIndicator={false}
                   showWarningForLargeResults={false}
                   onSelect={handleItemSelect}
@@ -3674,8 +4344,8 @@ function App() {
               ) : (
                 <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-8 sm:p-12 text-center">
                   <div className="text-6xl mb-4">📜</div>
-                  <h2 className="text-2xl sm:text-3xl font-bold text-ffxiv-gold mb-2">暫無歷史記錄</h2>
-                  <p className="text-sm sm:text-base text-gray-400">查看物品詳情後，會自動保存到歷史記錄</p>
+                  <h2 className="text-2xl sm:text-3xl font-bold text-ffxiv-gold mb-2">{t('history.empty')}</h2>
+                  <p className="text-sm sm:text-base text-gray-400">{t('history.emptyHint')}</p>
                 </div>
               )}
             </div>
@@ -3723,10 +4393,10 @@ function App() {
                 showLoadingIndicator={showLoadingIndicator}
                 isSearching={isSearching}
                 searchingItemsCount={searchingItemsCount}
-                averagePriceHeader={selectedServerOption === selectedWorld?.section ? '全服平均價格' : '平均價格'}
+                averagePriceHeader={selectedServerOption === selectedWorld?.section ? t('table.dcAveragePrice') : t('table.averagePrice')}
                 getSimplifiedChineseName={getSimplifiedChineseName}
                 addToast={addToast}
-                title="搜索結果"
+                title={t('search.resultsTitle')}
                 titleSuffix=""
                 showUntradeableButton={true}
                 untradeableCount={untradeableResults.length}
@@ -3746,7 +4416,7 @@ function App() {
                   const targetPageItems = itemsToDisplay.slice(targetStartIndex, targetEndIndex);
                   
                   if (targetPageItems.length === 0 && isServerSelectorDisabled) {
-                    addToast('該頁面資料正在載入中，請稍候...', 'warning');
+                    addToast(t('toast.pageStillLoading'), 'warning');
                     return;
                   }
                   handleSearchPageChange(newPage);
@@ -3785,11 +4455,11 @@ function App() {
                     <div className="min-w-0 flex-1">
                       <div className="flex items-center gap-1 mid:gap-2 flex-wrap">
                         <div className="flex flex-col gap-1">
-                          {selectedItem.searchLanguageName && selectedItem.nameTW && selectedItem.searchLanguageName !== selectedItem.nameTW
+                          {selectedItemHeaderName && selectedItem.nameTW && selectedItemHeaderName !== selectedItem.nameTW
                             ? (
                                 <>
                                   <h2 className="text-lg mid:text-xl font-bold text-ffxiv-gold break-words line-clamp-2">
-                                    {selectedItem.searchLanguageName}
+                                    {selectedItemHeaderName}
                                   </h2>
                                   <h3 className="text-slate-300/80 font-medium text-sm mid:text-base break-words line-clamp-2 mt-0.5 italic">
                                     {selectedItem.nameTW}
@@ -3819,25 +4489,25 @@ function App() {
                                   d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" 
                                 />
                               </svg>
-                              繁中服數據查無此物
+                              {t('item.notOnTwServers')}
                             </span>
                           )}
                         </div>
                         <button
                           onClick={async () => {
                             try {
-                              const nameToCopy = selectedItem.searchLanguageName && selectedItem.nameTW && selectedItem.searchLanguageName !== selectedItem.nameTW
-                                ? `${selectedItem.searchLanguageName} (${selectedItem.nameTW})`
+                              const nameToCopy = selectedItemHeaderName && selectedItem.nameTW && selectedItemHeaderName !== selectedItem.nameTW
+                                ? `${selectedItemHeaderName} (${selectedItem.nameTW})`
                                 : selectedItem.name;
                               await navigator.clipboard.writeText(nameToCopy);
-                              addToast('已複製物品名稱', 'success');
+                              addToast(t('common.copiedItemName'), 'success');
                             } catch (err) {
                               console.error('Failed to copy:', err);
-                              addToast('複製失敗', 'error');
+                              addToast(t('common.copyFailed'), 'error');
                             }
                           }}
                           className="flex-shrink-0 p-1 mid:p-1.5 text-gray-400 hover:text-ffxiv-gold hover:bg-purple-800/40 rounded-md border border-transparent hover:border-purple-500/40 transition-all duration-200"
-                          title="複製物品名稱"
+                          title={t('common.copyItemName')}
                         >
                           <svg 
                             xmlns="http://www.w3.org/2000/svg" 
@@ -3871,7 +4541,7 @@ function App() {
                                     boxShadow: `0 1px 3px ${getVersionColor(version)}20`,
                                   }}
                                 >
-                                  版本: {version}
+                                  {t('table.versionTitle', { version })}
                                 </span>
                               )}
                               {ilvl !== null && (
@@ -3883,6 +4553,11 @@ function App() {
                           );
                         })()}
                       </div>
+                      {selectedItemDescription && (
+                        <p className="mt-1 text-xs text-gray-400 whitespace-pre-line line-clamp-3" title={selectedItemDescription}>
+                          {selectedItemDescription}
+                        </p>
+                      )}
                     </div>
                   </div>
                   <div className="flex items-center gap-3 detail:gap-4 overflow-x-auto min-w-0 detail:flex-shrink-0 detail:max-w-none relative z-10 scroll-pl-1 -ml-1 pl-1">
@@ -3901,7 +4576,7 @@ function App() {
                 {/* Second Row: Controls (Quantity & HQ) */}
                 <div className="flex flex-col sm:flex-row sm:items-center gap-3 sm:gap-6 pt-3 border-t border-slate-700/50">
                   <div className="flex items-center gap-2 sm:gap-3">
-                    <label className="text-xs sm:text-sm text-gray-400 whitespace-nowrap">數量:</label>
+                    <label className="text-xs sm:text-sm text-gray-400 whitespace-nowrap">{t('table.quantity')}:</label>
                     <input
                       type="range"
                       min="10"
@@ -3978,7 +4653,7 @@ function App() {
                         : 'bg-gradient-to-r from-blue-900/50 via-indigo-900/40 to-blue-900/50 border border-blue-400/40 text-blue-200 hover:text-blue-300 hover:border-blue-400/50 hover:shadow-[0_0_15px_rgba(59,130,246,0.2)]'
                       }
                     `}
-                    title={isObtainMethodsLoading ? '載入中...' : (isObtainMethodsExpanded ? '收起取得方式' : '展開取得方式')}
+                    title={isObtainMethodsLoading ? t('common.loading') : (isObtainMethodsExpanded ? t('item.obtainCollapse') : t('item.obtainExpand'))}
                   >
                     {/* Shimmer effect for active button */}
                     {!isObtainMethodsExpanded && (
@@ -3994,7 +4669,7 @@ function App() {
                     >
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
                     </svg>
-                    <span className="text-xs sm:text-sm font-semibold whitespace-nowrap tracking-wide">取得方式</span>
+                    <span className="text-xs sm:text-sm font-semibold whitespace-nowrap tracking-wide">{t('item.obtainMethods')}</span>
                   </button>
 
                   {/* Crafting Price Tree Button */}
@@ -4024,12 +4699,12 @@ function App() {
                     `}
                     title={
                       isLoadingCraftingTree 
-                        ? '載入配方中...' 
+                        ? t('item.loadingRecipe') 
                         : !craftingTree && hasCraftingRecipe
-                          ? '準備中...'
+                          ? t('item.preparing')
                         : hasCraftingRecipe 
-                          ? (isCraftingTreeExpanded ? '收起製作價格樹' : '展開製作價格樹')
-                          : '此物品無製作配方'
+                          ? (isCraftingTreeExpanded ? t('item.craftingTreeCollapse') : t('item.craftingTreeExpand'))
+                          : t('item.noRecipe')
                     }
                   >
                     {/* Shimmer effect for active button */}
@@ -4050,7 +4725,7 @@ function App() {
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z" />
                       </svg>
                     )}
-                    <span className="text-xs sm:text-sm font-semibold whitespace-nowrap tracking-wide">製作價格樹</span>
+                    <span className="text-xs sm:text-sm font-semibold whitespace-nowrap tracking-wide">{t('item.craftingTree')}</span>
                   </button>
 
                   {/* Related Items Button */}
@@ -4071,10 +4746,10 @@ function App() {
                     `}
                     title={
                       isLoadingRelatedItems 
-                        ? '載入中...' 
+                        ? t('common.loading') 
                         : hasRelatedItems 
-                          ? (isRelatedItemsExpanded ? '收起可製品' : '展開可製品')
-                          : '此物品未被用作材料'
+                          ? (isRelatedItemsExpanded ? t('item.relatedCollapse') : t('item.relatedExpand'))
+                          : t('item.notUsedAsMaterial')
                     }
                   >
                     {isLoadingRelatedItems ? (
@@ -4090,7 +4765,7 @@ function App() {
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
                       </svg>
                     )}
-                    <span className="text-xs sm:text-sm font-semibold whitespace-nowrap tracking-wide">可製品</span>
+                    <span className="text-xs sm:text-sm font-semibold whitespace-nowrap tracking-wide">{t('item.relatedItems')}</span>
                   </button>
 
                   {/* 全套查詢 Button - auto load on entry, cache in service */}
@@ -4125,10 +4800,10 @@ function App() {
                         `}
                         title={
                           isLoadingItemSet
-                            ? '載入中...'
+                            ? t('common.loading')
                             : hasItemSet
-                              ? (isItemSetExpanded ? '收起全套查詢結果' : '展開全套查詢結果')
-                              : '查無同套裝結果'
+                              ? (isItemSetExpanded ? t('item.itemSetCollapse') : t('item.itemSetExpand'))
+                              : t('item.noItemSet')
                         }
                       >
                         {isLoadingItemSet ? (
@@ -4146,12 +4821,39 @@ function App() {
                         )}
                         <span className="text-xs sm:text-sm font-semibold whitespace-nowrap tracking-wide">
                           {hasItemSet && itemSetResult?.setItemIds?.length
-                            ? `全套查詢 (${itemSetResult.setItemIds.filter((id) => id !== selectedItem?.id).length})`
-                            : '全套查詢'}
+                            ? t('item.itemSetCount', { count: itemSetResult.setItemIds.filter((id) => id !== selectedItem?.id).length })
+                            : t('item.itemSet')}
                         </span>
                       </button>
                     );
                   })()}
+
+                  {/* Watchlist Button */}
+                  <button
+                    onClick={isSelectedItemWatched ? () => navigate('/watchlist') : handleAddToWatchlist}
+                    disabled={!selectedServerOption}
+                    className={`
+                      flex items-center gap-2 px-3 sm:px-4 py-1.5 sm:py-2 rounded-xl transition-all duration-300
+                      ${isSelectedItemWatched
+                        ? 'bg-gradient-to-r from-amber-900/60 via-yellow-800/50 to-orange-900/60 border border-ffxiv-gold/60 text-ffxiv-gold'
+                        : 'bg-gradient-to-r from-purple-900/50 via-indigo-900/40 to-purple-900/50 border border-purple-400/40 text-purple-200 hover:text-ffxiv-gold hover:border-ffxiv-gold/50'
+                      }
+                    `}
+                    title={isSelectedItemWatched ? t('item.watchedTitle') : t('item.watchTitle')}
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="h-4 w-4 sm:h-5 sm:w-5"
+                      fill={isSelectedItemWatched ? 'currentColor' : 'none'}
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+                    </svg>
+                    <span className="text-xs sm:text-sm font-semibold whitespace-nowrap tracking-wide">
+                      {isSelectedItemWatched ? t('item.watching') : t('item.watch')}
+                    </span>
+                  </button>
                 
                 </div>
               </div>
@@ -4171,11 +4873,11 @@ function App() {
                         ref={craftingTreeRef}
                         className="scroll-mt-20"
                       >
-                        <ErrorBoundary fallbackMessage="製作價格樹載入失敗，請重新整理頁面">
+                        <ErrorBoundary fallbackMessage={t('item.craftingTreeLoadFailed')}>
                           <Suspense fallback={
                             <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20 p-8 text-center">
                               <div className="animate-spin rounded-full h-8 w-8 border-2 border-purple-400/30 border-t-purple-400 mx-auto"></div>
-                              <p className="mt-4 text-sm text-gray-400">載入製作價格樹...</p>
+                              <p className="mt-4 text-sm text-gray-400">{t('item.loadingCraftingTree')}</p>
                             </div>
                           }>
                             <CraftingTree
@@ -4186,6 +4888,7 @@ function App() {
                               onItemSelect={handleItemSelect}
                               excludeCrystals={excludeCrystals}
                               onExcludeCrystalsChange={handleExcludeCrystalsChange}
+                              onRecipeChoiceChange={handleRecipeChoiceChange}
                             />
                           </Suspense>
                         </ErrorBoundary>
@@ -4200,11 +4903,11 @@ function App() {
                     key: 'relatedItems',
                     order: buttonOrder.relatedItems,
                     component: (
-                      <ErrorBoundary key="relatedItems" fallbackMessage="可製品載入失敗，請重新整理頁面">
+                      <ErrorBoundary key="relatedItems" fallbackMessage={t('item.relatedLoadFailed')}>
                         <Suspense fallback={
                           <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20 p-8 text-center">
                             <div className="animate-spin rounded-full h-8 w-8 border-2 border-purple-400/30 border-t-purple-400 mx-auto"></div>
-                            <p className="mt-4 text-sm text-gray-400">載入可製品...</p>
+                            <p className="mt-4 text-sm text-gray-400">{t('item.loadingRelated')}</p>
                           </div>
                         }>
                           <RelatedItems
@@ -4241,7 +4944,7 @@ function App() {
                             <div className="flex flex-wrap items-center gap-2 mb-3">
                               {itemSetVersion && (
                                 <span className="inline-flex items-center px-2 py-0.5 rounded-md border text-xs font-semibold text-sky-300 border-sky-400/40 bg-sky-900/20">
-                                  版本 {itemSetVersion}
+                                  {t('table.versionTitle', { version: itemSetVersion })}
                                 </span>
                               )}
                               {itemSetResult?.ilvl != null && (
@@ -4253,12 +4956,12 @@ function App() {
                           );
                         })()}
                         <p className="text-sm text-slate-300/80 mb-4 leading-relaxed">
-                          同套裝判定：同版本、同品級（ilvl）、同裝備等級、同職業限制；下方列出同套的其他部位（不含當前這件）。
+                          {t('item.itemSetRule')}
                         </p>
                         {!itemSetResult.isEquipmentSet ? (
-                          <p className="text-sm text-gray-400">此物品非裝備，無套裝資訊。</p>
+                          <p className="text-sm text-gray-400">{t('item.notEquipment')}</p>
                         ) : !itemSetResult.setItemIds?.length ? (
-                          <p className="text-sm text-gray-400">無同套裝備資料。</p>
+                          <p className="text-sm text-gray-400">{t('item.noSetData')}</p>
                         ) : (
                           <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 gap-3">
                             {itemSetResult.setItemIds.filter((id) => id !== selectedItem?.id).map((id) => (
@@ -4274,9 +4977,9 @@ function App() {
                                   className="w-12 h-12 object-contain rounded border border-purple-500/30 group-hover:border-ffxiv-gold/60 transition-colors duration-200"
                                 />
                                 <span className="text-xs text-center text-gray-200 line-clamp-2 w-full">{itemSetNames[id] || `Item ${id}`}</span>
-                                <span className="text-[10px] text-slate-400">全服平均價格</span>
+                                <span className="text-[10px] text-slate-400">{t('table.dcAveragePrice')}</span>
                                 {isLoadingItemSetPrices ? (
-                                  <span className="text-xs text-slate-500">均價載入中…</span>
+                                  <span className="text-xs text-slate-500">{t('item.averagePriceLoading')}</span>
                                 ) : itemSetAveragePrices[id] != null ? (
                                   <span className="text-xs text-emerald-400">{itemSetAveragePrices[id].toLocaleString()} Gil</span>
                                 ) : (
@@ -4303,11 +5006,11 @@ function App() {
                         </div>
                         <div className="absolute inset-0 rounded-xl border border-indigo-500/10 pointer-events-none"></div>
                         <div className="relative z-10">
-                          <ErrorBoundary fallbackMessage="取得方式載入失敗，請重新整理頁面">
+                          <ErrorBoundary fallbackMessage={t('item.obtainLoadFailed')}>
                             <Suspense fallback={
                               <div className="p-8 text-center">
                                 <div className="animate-spin rounded-full h-8 w-8 border-2 border-indigo-400/30 border-t-indigo-400 mx-auto"></div>
-                                <p className="mt-4 text-sm text-gray-400">載入取得方式...</p>
+                                <p className="mt-4 text-sm text-gray-400">{t('item.loadingObtain')}</p>
                               </div>
                             }>
                               <ObtainMethods
@@ -4361,7 +5064,7 @@ function App() {
                 <div className="flex flex-col">
                   <div className="flex items-center justify-between mb-2 sm:mb-3">
                     <div className="flex items-center gap-2 flex-wrap">
-                      <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold">在售列表</h3>
+                      <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold">{t('item.listings')}</h3>
                       {/* Show upload time when a single server is selected */}
                       {(() => {
                         // Check if a single server (not DC) is selected
@@ -4410,7 +5113,7 @@ function App() {
                       onClick={() => setRefreshKey(prev => prev + 1)}
                       className="text-xs px-2 sm:px-3 py-1 bg-purple-800/60 hover:bg-purple-700/70 rounded border border-purple-500/40 transition-colors"
                     >
-                      刷新
+                      {t('common.refresh')}
                     </button>
                   </div>
                   <div className="flex-1 flex flex-col">
@@ -4420,7 +5123,7 @@ function App() {
                           <>
                             <div className="text-4xl mb-4">⏳</div>
                             <p className="text-sm text-yellow-400 mb-2">{rateLimitMessage}</p>
-                            <p className="text-xs text-gray-500">將在3秒後自動重試...</p>
+                            <p className="text-xs text-gray-500">{t('item.autoRetry')}</p>
                           </>
                         ) : (
                           <>
@@ -4430,13 +5133,13 @@ function App() {
                                 <div className="h-6 w-6 bg-ffxiv-gold/20 rounded-full animate-pulse"></div>
                               </div>
                             </div>
-                            <p className="mt-4 text-sm text-gray-400 animate-pulse">正在加載市場數據...</p>
+                            <p className="mt-4 text-sm text-gray-400 animate-pulse">{t('table.loadingMarketData')}</p>
                           </>
                         )}
                       </div>
                     ) : (
                       <div className="flex-1 flex flex-col">
-                        <MarketListings listings={marketListings} onRefresh={() => setRefreshKey(prev => prev + 1)} />
+                        <MarketListings listings={displayedMarketListings} onRefresh={() => setRefreshKey(prev => prev + 1)} />
                       </div>
                     )}
                   </div>
@@ -4444,7 +5147,7 @@ function App() {
 
                 {/* Market History */}
                 <div className="flex flex-col">
-                  <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold mb-2 sm:mb-3">歷史交易</h3>
+                  <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold mb-2 sm:mb-3">{t('item.sales')}</h3>
                   <div className="flex-1 flex flex-col">
                     {isLoadingMarket ? (
                       <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20 p-12 text-center flex-1 flex items-center justify-center">
@@ -4452,7 +5155,7 @@ function App() {
                           <>
                             <div className="text-4xl mb-4">⏳</div>
                             <p className="text-sm text-yellow-400 mb-2">{rateLimitMessage}</p>
-                            <p className="text-xs text-gray-500">將在3秒後自動重試...</p>
+                            <p className="text-xs text-gray-500">{t('item.autoRetry')}</p>
                           </>
                         ) : (
                           <>
@@ -4462,18 +5165,36 @@ function App() {
                                 <div className="h-6 w-6 bg-ffxiv-gold/20 rounded-full animate-pulse"></div>
                               </div>
                             </div>
-                            <p className="mt-4 text-sm text-gray-400 animate-pulse">正在加載歷史數據...</p>
+                            <p className="mt-4 text-sm text-gray-400 animate-pulse">{t('item.loadingSales')}</p>
                           </>
                         )}
                       </div>
                     ) : (
                       <div className="flex-1 flex flex-col">
-                        <MarketHistory history={marketHistory} />
+                        <MarketHistory history={displayedMarketHistory} />
                       </div>
                     )}
                   </div>
                 </div>
               </div>
+
+              {/* Price History Chart */}
+              <div className="mt-4 sm:mt-6">
+                <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold mb-2 sm:mb-3">{t('item.priceTrend')}</h3>
+                <ErrorBoundary fallbackMessage={t('item.priceTrendLoadFailed')}>
+                  <Suspense fallback={
+                    <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20 p-12 flex items-center justify-center">
+                      <div className="animate-spin rounded-full h-8 w-8 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+                    </div>
+                  }>
+                    <MarketHistoryChart
+                      itemId={selectedItem.id}
+                      selectedServerOption={selectedServerOption}
+                      selectedWorld={selectedWorld}
+                    />
+                  </Suspense>
+                </ErrorBoundary>
+              </div>
             </div>
             </>
           )}
@@ -4491,7 +5212,7 @@ function App() {
                     <div className="h-6 w-6 bg-ffxiv-gold/20 rounded-full animate-pulse"></div>
                   </div>
                 </div>
-                <p className="mt-4 text-sm text-gray-400 animate-pulse">正在載入物品...</p>
+                <p className="mt-4 text-sm text-gray-400 animate-pulse">{t('item.loadingItem')}</p>
               </div>
             );
           })()}
@@ -4551,7 +5272,7 @@ function App() {
                       value={searchText}
                       onChange={setSearchText}
                       disabled={!isServerDataLoaded}
-                      disabledTooltip={!isServerDataLoaded ? '請等待伺服器資料載入完成' : undefined}
+                      disabledTooltip={!isServerDataLoaded ? t('search.waitForServerData') : undefined}
                       selectedDcName={selectedWorld?.section}
                       onItemSelect={handleItemSelect}
                       showOCRButton={false}
@@ -4565,20 +5286,20 @@ function App() {
                   <div className="bg-gradient-to-br from-slate-800/40 via-purple-900/15 to-slate-800/40 rounded-lg border border-purple-500/20 p-4 sm:p-6 card-glow hover:border-purple-400/30 transition-all duration-300 flex flex-col h-full">
                     <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold mb-3 sm:mb-4 flex items-center gap-2">
                       <span className="text-xl">💡</span>
-                      <span>使用提示</span>
+                      <span>{t('home.tips')}</span>
                     </h3>
                     <ul className="space-y-2.5 text-xs sm:text-sm text-gray-300">
                       <li className="flex items-start gap-2.5">
                         <span className="text-ffxiv-gold flex-shrink-0 mt-0.5 font-bold">•</span>
-                        <span>支持多關鍵詞搜索，用空格分隔（例如：「陳舊的 地圖」）</span>
+                        <span>{t('home.tipKeywords')}</span>
                       </li>
                       <li className="flex items-start gap-2.5">
                         <span className="text-ffxiv-gold flex-shrink-0 mt-0.5 font-bold">•</span>
-                        <span>查看物品詳情會自動保存到歷史記錄，最多保存10個物品，可在搜索欄旁的歷史記錄按鈕查看</span>
+                        <span>{t('home.tipHistory')}</span>
                       </li>
                       <li className="flex items-start gap-2.5">
                         <span className="text-ffxiv-gold flex-shrink-0 mt-0.5 font-bold">•</span>
-                        <span>目前新版本會需要作者手動更新後端，如有功能異常請聯繫作者DC：wuperbear</span>
+                        <span>{t('home.tipContact')}</span>
                       </li>
                     </ul>
                     <div className="pt-5 flex-grow">
@@ -4706,7 +5427,7 @@ function App() {
               <Suspense fallback={
                 <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20 p-8 text-center">
                   <div className="animate-spin rounded-full h-8 w-8 border-2 border-purple-400/30 border-t-purple-400 mx-auto"></div>
-                  <p className="mt-4 text-sm text-gray-400">載入歷史記錄...</p>
+                  <p className="mt-4 text-sm text-gray-400">{t('history.loading')}</p>
                 </div>
               }>
                 <HistorySection onItemSelect={handleItemSelect} />
@@ -4718,7 +5439,7 @@ function App() {
                 <Suspense fallback={
                   <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20 p-8 text-center">
                     <div className="animate-spin rounded-full h-8 w-8 border-2 border-purple-400/30 border-t-purple-400 mx-auto"></div>
-                    <p className="mt-4 text-sm text-gray-400">載入最近更新...</p>
+                    <p className="mt-4 text-sm text-gray-400">{t('home.loadingRecent')}</p>
                   </div>
                 }>
                   <RecentUpdatesSection 
@@ -4883,6 +5604,13 @@ function App() {
                 <div className="mt-4 sm:mt-5 pt-3 sm:pt-4 border-t border-slate-600/30">
                   <p className="text-xs text-slate-500 text-center">
                     版本號: <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+                    <span className="mx-2 text-slate-600">|</span>
+                    <button
+                      onClick={() => setIsDataCacheModalOpen(true)}
+                      className="text-slate-400 hover:text-ffxiv-gold transition-colors"
+                    >
+                      {t('dataCache.title')}
+                    </button>
                   </p>
                 </div>
               </div>
@@ -4902,6 +5630,13 @@ function App() {
         selectedServerOption={selectedServerOption}
         onServerOptionChange={handleServerOptionChange}
       />
+
+      {/* Data Cache Modal */}
+      <DataCacheModal
+        isOpen={isDataCacheModalOpen}
+        onClose={() => setIsDataCacheModalOpen(false)}
+        addToast={addToast}
+      />
     </div>
   );
 }
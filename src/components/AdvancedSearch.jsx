@@ -9,11 +9,23 @@ import SearchResultsTable from './SearchResultsTable.jsx';
 import ServerSelector from './ServerSelector';
 // RunningLoader is now handled by SearchResultsTable component for centralized loading display
 import { getMarketableItems, getMarketableItemsByIds } from '../services/universalis';
+import { fetchAggregatedMarketData } from '../services/marketDataClient';
 import { searchItems, getSimplifiedChineseName, getItemById } from '../services/itemDatabase';
 import { loadRecipeDatabase, loadRecipesByJobAndLevel } from '../services/recipeDatabase';
 import { getTwJobAbbr, getTwItemUICategories, getTwItems, getIlvlsByIds, getRaritiesByIds, getEquipmentByIds, getEquipmentByJobs, getUICategoriesByIds, getTwItemById, getTwItemsByIds, getItemIdsByCategories, getItemIdsByIlvlRange } from '../services/supabaseData';
 import { APP_VERSION } from '../constants/version';
 import { generateItemUrl } from '../utils/urlSlug';
+import { addItemsToShoppingList } from '../utils/shoppingList';
+import { useTranslation } from '../hooks/useTranslation';
+import {
+  serializeSearchState,
+  parseSearchState,
+  isRunnableSearchState,
+  getSavedSearches,
+  subscribeToSavedSearches,
+  saveSearch,
+  deleteSavedSearch,
+} from '../utils/savedSearches';
 
 export default function AdvancedSearch({
   addToast,
@@ -39,7 +51,8 @@ export default function AdvancedSearch({
   isLoadingTaxRates
 }) {
   const navigate = useNavigate();
-  const [searchParams] = useSearchParams();
+  const { t } = useTranslation();
+  const [searchParams, setSearchParams] = useSearchParams();
   const location = useLocation();
   const [activeTab, setActiveTab] = useState('filter'); // 'batch' or 'filter'
   const [batchInput, setBatchInput] = useState('');
@@ -445,7 +458,7 @@ export default function AdvancedSearch({
     const inputLines = inputToUse.trim().split(/[,\n]/).map(line => line.trim()).filter(line => line);
     
     if (inputLines.length === 0) {
-      addToast('請輸入至少一個物品名稱', 'error');
+      addToast(t('advancedSearch.enterItemName'), 'error');
       return;
     }
 
@@ -462,14 +475,14 @@ export default function AdvancedSearch({
 
     // Limit to 100 searches per batch
     if (uniqueItemNames.length > 100) {
-      addToast('一次最多只能搜尋100個物品名稱', 'warning');
+      addToast(t('advancedSearch.tooManyNames'), 'warning');
       uniqueItemNames.splice(100);
     }
 
     // Show message if duplicates were removed
     if (uniqueItemNames.length < inputLines.length) {
       const removedCount = inputLines.length - uniqueItemNames.length;
-      addToast(`已移除 ${removedCount} 個重複的物品名稱`, 'info');
+      addToast(t('advancedSearch.duplicatesRemoved', { count: removedCount }), 'info');
     }
 
     // Don't update URL - display results in current page like filter search
@@ -545,7 +558,7 @@ export default function AdvancedSearch({
       const allItems = Array.from(itemsMap.values());
       
       if (allItems.length === 0) {
-        addToast('未找到任何物品', 'warning');
+        addToast(t('advancedSearch.noItemsFound'), 'warning');
         setIsBatchSearching(false);
         return;
       }
@@ -564,7 +577,7 @@ export default function AdvancedSearch({
       const tradeableItems = allItems.filter(item => marketableSet.has(item.id));
 
       if (tradeableItems.length === 0) {
-        addToast('沒有可交易的物品', 'warning');
+        addToast(t('advancedSearch.noTradable'), 'warning');
         setIsBatchSearching(false);
         return;
       }
@@ -612,7 +625,7 @@ export default function AdvancedSearch({
 
       // Fetch market data using progressive batch sizes (20, 50, 100)
       if (!selectedWorld || !selectedServerOption) {
-        addToast('請選擇伺服器', 'warning');
+        addToast(t('common.selectServer'), 'warning');
         setIsBatchSearching(false);
         return;
       }
@@ -666,20 +679,14 @@ export default function AdvancedSearch({
           return;
         }
         
-        const itemIdsString = batch.join(',');
-        
         try {
-          const response = await fetch(`https://universalis.app/api/v2/aggregated/${encodeURIComponent(queryTarget)}/${itemIdsString}`, {
-            signal: abortSignal
-          });
+          const data = await fetchAggregatedMarketData(queryTarget, batch, { signal: abortSignal });
           
           // Check again after fetch
           if (abortSignal.aborted || marketDataRequestId !== velocityFetchRequestIdRef.current || currentRequestId !== batchSearchRequestIdRef.current) {
             return;
           }
           
-          const data = await response.json();
-          
           if (data && data.results) {
             data.results.forEach(item => {
               const itemId = item.itemId;
@@ -910,17 +917,17 @@ export default function AdvancedSearch({
       setIsLoadingVelocities(false);
       setIsBatchSearching(false);
       
-      addToast(`找到 ${tradeableItems.length} 個可交易物品`, 'success');
+      addToast(t('toast.foundMarketable', { count: tradeableItems.length }), 'success');
     } catch (error) {
       console.error('Search error:', error);
       // Only show error if this request wasn't cancelled
       if (currentRequestId === batchSearchRequestIdRef.current) {
-        addToast('搜索失敗，請稍後再試', 'error');
+        addToast(t('common.searchFailedRetry'), 'error');
         setIsLoadingVelocities(false);
         setIsBatchSearching(false);
       }
     }
-  }, [batchInput, selectedWorld, selectedServerOption, addToast, isSearchButtonDisabled, batchFuzzySearch]);
+  }, [batchInput, selectedWorld, selectedServerOption, addToast, isSearchButtonDisabled, batchFuzzySearch, t]);
 
   // Initialize from URL parameters on mount and when URL changes
   useEffect(() => {
@@ -1314,7 +1321,7 @@ export default function AdvancedSearch({
       .map(cat => {
         // Map category 63 (其他) to "坐騎/鳥甲"
         if (cat.id === 63 || cat.name === '其他') {
-          return { ...cat, name: '坐騎/鳥甲' };
+          return { ...cat, name: t('advancedSearch.categoryMountBarding') };
         }
         return cat;
       });
@@ -1345,8 +1352,8 @@ export default function AdvancedSearch({
     
     // Add generic categories - unified to main weapon and offhand weapon
     const genericCategories = [
-      { id: 'main_weapon', name: '主手', isGeneric: true },
-      { id: 'offhand_weapon', name: '副手', isGeneric: true },
+      { id: 'main_weapon', name: t('advancedSearch.categoryMainHand'), isGeneric: true },
+      { id: 'offhand_weapon', name: t('advancedSearch.categoryOffHand'), isGeneric: true },
     ];
     
     // Separate equipment into groups:
@@ -1362,11 +1369,11 @@ export default function AdvancedSearch({
       .map(cat => {
         // Map category 63 (其他) to "坐騎/鳥甲"
         if (cat.id === 63 || cat.name === '其他') {
-          return { ...cat, name: '坐騎/鳥甲' };
+          return { ...cat, name: t('advancedSearch.categoryMountBarding') };
         }
         // Also map category 62 (靈魂水晶) to "坐騎/鳥甲" if it exists
         if (cat.id === 62) {
-          return { ...cat, name: '坐騎/鳥甲' };
+          return { ...cat, name: t('advancedSearch.categoryMountBarding') };
         }
         return cat;
       });
@@ -1378,7 +1385,7 @@ export default function AdvancedSearch({
       otherEquipment: otherEquipmentCategories, // 其他裝備（如坐騎/鳥甲）
       miscellaneous: miscellaneousCategories,
     };
-  }, [itemUICategoriesLoaded]); // Recompute when category data loads
+  }, [itemUICategoriesLoaded, t]); // Recompute when category data loads or the UI language changes
 
   // Filter categories based on search term and disabled state
   const filteredItemCategories = useMemo(() => {
@@ -1513,12 +1520,12 @@ export default function AdvancedSearch({
   // skipLimitCheck: if true, skip the MAX_ITEMS_LIMIT check (for "continue search" button)
   const performFilterSearchLogic = useCallback(async (skipLimitCheck = false) => {
     if (selectedJobs.length === 0 && selectedCategories.length === 0) {
-      addToast('請至少選擇一個職業或分類', 'warning');
+      addToast(t('advancedSearch.selectJobOrCategory'), 'warning');
       return null;
     }
 
     if (!selectedWorld || !selectedServerOption) {
-      addToast('請選擇伺服器', 'warning');
+      addToast(t('common.selectServer'), 'warning');
       return null;
     }
 
@@ -1869,7 +1876,7 @@ export default function AdvancedSearch({
 
     // Check if any items match the filters (after job/category/level/name filtering)
     if (itemIds.size === 0) {
-      addToast('未找到符合條件的物品', 'warning');
+      addToast(t('advancedSearch.noMatchingItems'), 'warning');
       return null;
     }
 
@@ -1891,7 +1898,7 @@ export default function AdvancedSearch({
         allItemIdsLength: allItemIds.length,
         marketableSetSize: marketableSet.size
       });
-      addToast('查詢市場資料時發生錯誤，請稍後再試', 'error');
+      addToast(t('advancedSearch.marketDataError'), 'error');
       return null;
     }
 
@@ -1934,7 +1941,7 @@ export default function AdvancedSearch({
       untradeableItemIds,
       marketableSet 
     };
-  }, [selectedJobs, selectedCategories, selectedWorld, selectedServerOption, minLevel, maxLevel, itemNameFilter, filterFuzzySearch, addToast, loadRecipeDatabase, loadEquipmentByJobs, loadEquipmentByIds, loadUICategoriesByIds, loadIlvlsData, getJobAbbreviation]);
+  }, [selectedJobs, selectedCategories, selectedWorld, selectedServerOption, minLevel, maxLevel, itemNameFilter, filterFuzzySearch, addToast, loadRecipeDatabase, loadEquipmentByJobs, loadEquipmentByIds, loadUICategoriesByIds, loadIlvlsData, getJobAbbreviation, t]);
 
   // Handle filter search
   const handleFilterSearch = useCallback(async () => {
@@ -2206,7 +2213,9 @@ export default function AdvancedSearch({
 
       // Show toast with results count
       if (tradeableItems.length > 0 || untradeableItems.length > 0) {
-        addToast(`找到 ${tradeableItems.length} 個可交易物品${untradeableItems.length > 0 ? `、${untradeableItems.length} 個不可交易物品` : ''}`, 'success');
+        addToast(untradeableItems.length > 0
+          ? t('toast.foundMarketableAndNot', { count: tradeableItems.length, untradable: untradeableItems.length })
+          : t('toast.foundMarketable', { count: tradeableItems.length }), 'success');
       }
 
       // Start market data fetching in background (non-blocking)
@@ -2221,11 +2230,159 @@ export default function AdvancedSearch({
         return;
       }
       console.error('Filter search error:', error);
-      addToast('搜索失敗，請稍後再試', 'error');
+      addToast(t('common.searchFailedRetry'), 'error');
       setIsLoadingVelocities(false);
       setIsFilterSearching(false);
     }
-  }, [selectedJobs, selectedCategories, selectedWorld, selectedServerOption, addToast, isFilterSearching, isSearching, itemNameFilter, minLevel, maxLevel, filterFuzzySearch, isSearchButtonDisabled]);
+  }, [selectedJobs, selectedCategories, selectedWorld, selectedServerOption, addToast, isFilterSearching, isSearching, itemNameFilter, minLevel, maxLevel, filterFuzzySearch, isSearchButtonDisabled, t]);
+
+  // Shareable search state - mirrors the filter/batch inputs into the query string
+  const [savedSearches, setSavedSearches] = useState(() => getSavedSearches());
+  const [selectedSavedSearchId, setSelectedSavedSearchId] = useState('');
+  const [saveSearchName, setSaveSearchName] = useState('');
+  const [pendingSearchState, setPendingSearchState] = useState(null); // Restored state waiting to be run
+  const lastWrittenQueryRef = useRef(null);
+  const raritiesToRestoreRef = useRef(null);
+
+  const currentSearchState = useMemo(() => ({
+    tab: activeTab,
+    jobs: selectedJobs,
+    categories: selectedCategories,
+    minLevel,
+    maxLevel,
+    rarities: selectedRarities,
+    name: itemNameFilter,
+    fuzzy: filterFuzzySearch,
+    batchInput,
+    batchFuzzy: batchFuzzySearch,
+  }), [activeTab, selectedJobs, selectedCategories, minLevel, maxLevel, selectedRarities, itemNameFilter, filterFuzzySearch, batchInput, batchFuzzySearch]);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToSavedSearches(setSavedSearches);
+    const handleStorageChange = (e) => {
+      if (e.key === 'ffxiv_market_saved_searches') {
+        setSavedSearches(getSavedSearches());
+      }
+    };
+    window.addEventListener('storage', handleStorageChange);
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', handleStorageChange);
+    };
+  }, []);
+
+  // Replace all inputs with a restored state and queue it to run
+  const applySearchState = useCallback((state) => {
+    if (velocityFetchAbortControllerRef.current) {
+      velocityFetchAbortControllerRef.current.abort();
+    }
+    setActiveTab(state.tab);
+    setSelectedJobs(state.jobs);
+    setSelectedCategories(state.categories);
+    setMinLevel(state.minLevel);
+    setMaxLevel(state.maxLevel);
+    setSelectedRarities(state.rarities);
+    setItemNameFilter(state.name);
+    setFilterFuzzySearch(state.fuzzy);
+    setBatchInput(state.batchInput);
+    setBatchFuzzySearch(state.batchFuzzy);
+    setTooManyItemsWarning(null);
+    setShowUntradeable(false);
+    setSearchResults([]);
+    setUntradeableResults([]);
+    setItemVelocities({});
+    setItemAveragePrices({});
+    setItemMinListings({});
+    setItemRecentPurchases({});
+    setItemTradability({});
+    setCurrentPage(1);
+    setIsLoadingVelocities(false);
+    setPendingSearchState(isRunnableSearchState(state) ? state : null);
+  }, []);
+
+  // Restore state from the URL on load and on back/forward, ignoring URLs this page wrote itself
+  useEffect(() => {
+    if (location.pathname !== '/advanced-search') return;
+    const query = location.search.replace(/^\?/, '');
+    if (query === lastWrittenQueryRef.current) return;
+    const state = parseSearchState(new URLSearchParams(query));
+    if (!state) return;
+    lastWrittenQueryRef.current = serializeSearchState(state).toString();
+    applySearchState(state);
+  }, [location.pathname, location.search, applySearchState]);
+
+  // Write the current inputs back to the URL (debounced so typing doesn't spam history updates)
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const serialized = serializeSearchState(currentSearchState).toString();
+      // Keep the bare /advanced-search URL while nothing has been entered
+      const query = serialized === 'tab=filter' ? '' : serialized;
+      if (query === location.search.replace(/^\?/, '')) return;
+      lastWrittenQueryRef.current = query;
+      setSearchParams(query ? new URLSearchParams(query) : {}, { replace: true });
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [currentSearchState, location.search, setSearchParams]);
+
+  // Run a restored search once the data it depends on has loaded
+  useEffect(() => {
+    if (!pendingSearchState) return;
+    if (!isServerDataLoaded || !selectedWorld || !jobAbbrLoaded || !itemUICategoriesLoaded) return;
+    if (isFilterSearching || isBatchSearching || isSearchButtonDisabled) return;
+
+    setPendingSearchState(null);
+    if (pendingSearchState.tab === 'batch') {
+      handleBatchSearch(pendingSearchState.batchInput);
+    } else {
+      // A new filter search clears the rarity filter, so re-apply it once results arrive
+      raritiesToRestoreRef.current = pendingSearchState.rarities.length > 0 ? pendingSearchState.rarities : null;
+      handleFilterSearch();
+    }
+  }, [pendingSearchState, isServerDataLoaded, selectedWorld, jobAbbrLoaded, itemUICategoriesLoaded, isFilterSearching, isBatchSearching, isSearchButtonDisabled, handleBatchSearch, handleFilterSearch]);
+
+  useEffect(() => {
+    if (isFilterSearching || !raritiesToRestoreRef.current) return;
+    setSelectedRarities(raritiesToRestoreRef.current);
+    raritiesToRestoreRef.current = null;
+  }, [isFilterSearching]);
+
+  const handleSaveSearch = useCallback(() => {
+    if (!saveSearchName.trim()) return;
+    const entry = saveSearch(saveSearchName, currentSearchState);
+    if (entry) {
+      setSelectedSavedSearchId(entry.id);
+      setSaveSearchName('');
+      addToast(t('savedSearch.saved', { name: entry.name }), 'success');
+    } else {
+      addToast(t('common.saveFailed'), 'error');
+    }
+  }, [saveSearchName, currentSearchState, addToast, t]);
+
+  const handleLoadSavedSearch = useCallback((searchId) => {
+    setSelectedSavedSearchId(searchId);
+    const entry = savedSearches.find(search => search.id === searchId);
+    if (!entry) return;
+    const state = parseSearchState(new URLSearchParams(entry.query));
+    if (state) {
+      applySearchState(state);
+    }
+  }, [savedSearches, applySearchState]);
+
+  const handleDeleteSavedSearch = useCallback(() => {
+    if (!selectedSavedSearchId) return;
+    deleteSavedSearch(selectedSavedSearchId);
+    setSelectedSavedSearchId('');
+  }, [selectedSavedSearchId]);
+
+  const handleCopySearchLink = useCallback(() => {
+    const query = serializeSearchState(currentSearchState).toString();
+    const url = `${window.location.origin}${location.pathname}?${query}`;
+    navigator.clipboard.writeText(url).then(() => {
+      addToast(t('savedSearch.linkCopied'), 'success');
+    }).catch(() => {
+      addToast(t('common.copyFailed'), 'error');
+    });
+  }, [currentSearchState, location.pathname, addToast, t]);
 
   // Fetch velocity, average price, and tradability data for search results (like main search page)
   // This loads prices for ALL items when searchResults or selectedServerOption changes
@@ -2374,20 +2531,14 @@ export default function AdvancedSearch({
               }));
             }
             
-            const itemIdsString = batch.join(',');
-            
             try {
-              const response = await fetch(`https://universalis.app/api/v2/aggregated/${encodeURIComponent(queryTarget)}/${itemIdsString}`, {
-                signal: abortSignal
-              });
+              const data = await fetchAggregatedMarketData(queryTarget, batch, { signal: abortSignal });
               
               // Check again after fetch
               if (abortSignal.aborted || currentRequestId !== velocityFetchRequestIdRef.current) {
                 return;
               }
               
-              const data = await response.json();
-              
               // Process batch results (same logic as App.jsx)
               const batchVelocities = {};
               const batchAveragePrices = {};
@@ -2723,13 +2874,62 @@ export default function AdvancedSearch({
           {/* Header */}
           <div className="mb-6">
             <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
-              進階搜尋
+              {t('nav.advancedSearch')}
             </h1>
             <p className="text-gray-400 text-sm sm:text-base">
-              批量搜尋多個物品的市場價格，或使用篩選條件進行搜尋。
+              {t('advancedSearch.description')}
             </p>
           </div>
 
+          {/* Saved Searches */}
+          <div className="mb-4 flex flex-wrap items-center gap-2">
+            <select
+              value={selectedSavedSearchId}
+              onChange={(e) => handleLoadSavedSearch(e.target.value)}
+              disabled={isFilterSearching || isBatchSearching}
+              className="px-3 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold disabled:opacity-50"
+            >
+              <option value="">{savedSearches.length > 0 ? t('savedSearch.count', { count: savedSearches.length }) : t('savedSearch.none')}</option>
+              {savedSearches.map(search => (
+                <option key={search.id} value={search.id}>{search.name}</option>
+              ))}
+            </select>
+            {selectedSavedSearchId && (
+              <button
+                onClick={handleDeleteSavedSearch}
+                className="px-2 py-1.5 text-xs rounded border border-red-500/40 text-red-300 hover:bg-red-900/30 transition-colors"
+              >
+                {t('common.delete')}
+              </button>
+            )}
+            <input
+              type="text"
+              value={saveSearchName}
+              onChange={(e) => setSaveSearchName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  handleSaveSearch();
+                }
+              }}
+              placeholder={t('savedSearch.namePlaceholder')}
+              className="w-36 px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold"
+            />
+            <button
+              onClick={handleSaveSearch}
+              disabled={!saveSearchName.trim()}
+              className="px-3 py-1.5 text-sm rounded bg-purple-800/60 text-white border border-purple-500/40 hover:bg-purple-700/60 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+            >
+              {t('savedSearch.save')}
+            </button>
+            <button
+              onClick={handleCopySearchLink}
+              className="px-3 py-1.5 text-sm rounded bg-slate-800/60 text-gray-300 border border-purple-500/30 hover:text-ffxiv-gold hover:border-ffxiv-gold/50 transition-all"
+              title={t('savedSearch.copyLinkTitle')}
+            >
+              {t('savedSearch.copyLink')}
+            </button>
+          </div>
+
           {/* Tab Navigation */}
           <div className="mb-6 flex gap-2 border-b border-purple-500/30">
             <button
@@ -2766,7 +2966,7 @@ export default function AdvancedSearch({
                   : 'text-gray-400 border-transparent hover:text-gray-300'
               }`}
             >
-              篩選搜尋
+              {t('advancedSearch.tabFilter')}
             </button>
             <button
               onClick={() => {
@@ -2803,7 +3003,7 @@ export default function AdvancedSearch({
                   : 'text-gray-400 border-transparent hover:text-gray-300'
               }`}
             >
-              批量搜尋
+              {t('advancedSearch.tabBatch')}
             </button>
           </div>
 
@@ -2813,22 +3013,22 @@ export default function AdvancedSearch({
               {/* Batch Input */}
               <div className="mb-6">
                 <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
-                  物品名稱列表（每行一個或逗號分隔）
+                  {t('advancedSearch.batchLabel')}
                 </label>
                 <textarea
                   value={batchInput}
                   onChange={(e) => setBatchInput(e.target.value)}
-                  placeholder="輸入物品名稱，例如：&#10;精金錠&#10;秘銀錠&#10;山銅錠&#10;或：精金錠, 秘銀錠, 山銅錠"
+                  placeholder={t('advancedSearch.batchPlaceholder')}
                   className="w-full px-3 py-2 bg-slate-900/50 border border-purple-500/30 rounded-lg text-white focus:outline-none focus:border-ffxiv-gold min-h-[200px] text-sm"
                 />
                 <div className="mt-2 text-xs text-gray-400">
-                  一次最多可搜尋100個物品名稱（支援繁體/簡體中文）
+                  {t('advancedSearch.batchLimitHint')}
                 </div>
               </div>
 
               {/* Exact Search Toggle */}
               <div className="mb-6">
-                <label className="flex items-center cursor-pointer group" title={!batchFuzzySearch ? "關閉精確搜尋" : "開啟精確搜尋"}>
+                <label className="flex items-center cursor-pointer group" title={!batchFuzzySearch ? t('advancedSearch.exactSearchOff') : t('advancedSearch.exactSearchOn')}>
                   <input
                     type="checkbox"
                     checked={!batchFuzzySearch}
@@ -2856,7 +3056,7 @@ export default function AdvancedSearch({
                         ? 'text-ffxiv-gold'
                         : 'text-gray-300'
                   }`}>
-                    精確搜尋
+                    {t('advancedSearch.exactSearch')}
                   </span>
                 </label>
               </div>
@@ -2865,7 +3065,7 @@ export default function AdvancedSearch({
               {selectedWorld && (
                 <div className="mb-6">
                   <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
-                    伺服器選擇
+                    {t('common.serverSelect')}
                   </label>
                   <ServerSelector
                     datacenters={datacenters}
@@ -2890,7 +3090,7 @@ export default function AdvancedSearch({
                     : 'bg-gradient-to-r from-ffxiv-gold to-yellow-500 text-slate-900 hover:shadow-[0_0_20px_rgba(212,175,55,0.5)]'
                 }`}
               >
-                {isBatchSearching || isSearching ? '搜索中...' : '搜索'}
+                {isBatchSearching || isSearching ? t('common.searching') : t('common.search')}
               </button>
             </div>
           )}
@@ -2900,7 +3100,7 @@ export default function AdvancedSearch({
               {/* Bug Report Notice */}
               <div className="bg-slate-700/80 border border-slate-500/50 rounded-lg p-4 mb-6">
                 <p className="text-sm text-gray-200 leading-relaxed">
-                  這個頁面測試量過於龐大，作者個人時間有限。各位使用大大有發現bug歡迎參考主頁上的巴哈或dc方式回報，感激感激
+                  {t('advancedSearch.bugNotice')}
                 </p>
               </div>
 
@@ -2909,7 +3109,7 @@ export default function AdvancedSearch({
                 {/* Job Icons Selection - Left Side */}
                 <div>
                   <label className="block text-sm font-semibold text-ffxiv-gold mb-4">
-                    選擇職業
+                    {t('advancedSearch.selectJobs')}
                   </label>
                   
                   {/* 戰鬥職業 - 4 rows, all left-aligned */}
@@ -3095,7 +3295,7 @@ export default function AdvancedSearch({
 
                   {selectedJobs.length > 0 && (
                     <div className="mt-2 text-xs text-gray-400">
-                      已選擇 {selectedJobs.length} 個職業
+                      {t('craftingInspiration.selectedJobs', { count: selectedJobs.length })}
                     </div>
                   )}
                 </div>
@@ -3103,7 +3303,7 @@ export default function AdvancedSearch({
                 {/* Item Categories Selection - Right Side */}
                 <div className="flex flex-col">
                   <label className="block text-sm font-semibold text-ffxiv-gold mb-4">
-                    選擇物品分類
+                    {t('advancedSearch.selectCategories')}
                   </label>
                   <div className="border border-purple-500/30 rounded-lg p-3 bg-slate-900/30 h-[290px] flex flex-col">
                     {/* Category Search Bar - Inside the box */}
@@ -3119,14 +3319,14 @@ export default function AdvancedSearch({
                           type="text"
                           value={categorySearchTerm}
                           onChange={(e) => setCategorySearchTerm(e.target.value)}
-                          placeholder="篩選搜尋分類"
+                          placeholder={t('advancedSearch.categoryFilterPlaceholder')}
                           className="w-full pl-9 pr-3 py-2 bg-slate-800/60 backdrop-blur-sm border border-purple-500/20 rounded-md text-white placeholder-gray-400 focus:outline-none focus:ring-1 focus:border-ffxiv-gold focus:ring-ffxiv-gold/50 transition-all text-xs"
                         />
                         {categorySearchTerm && (
                           <button
                             onClick={() => setCategorySearchTerm('')}
                             className="absolute right-2 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-white transition-colors"
-                            title="清除"
+                            title={t('common.clear')}
                           >
                             <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
@@ -3143,7 +3343,7 @@ export default function AdvancedSearch({
                       {/* Equipment Categories Section */}
                       {([...filteredItemCategories.weapons, ...filteredItemCategories.armor, ...filteredItemCategories.otherEquipment, ...filteredItemCategories.accessories].length > 0) && (
                       <div>
-                        <div className="text-xs font-semibold text-ffxiv-gold mb-2 px-1">裝備類</div>
+                        <div className="text-xs font-semibold text-ffxiv-gold mb-2 px-1">{t('advancedSearch.equipmentGroup')}</div>
                         
                         {/* First row: 主手、副手、其他裝備 */}
                         {([...filteredItemCategories.weapons, ...filteredItemCategories.armor, ...filteredItemCategories.otherEquipment].length > 0) && (
@@ -3216,7 +3416,7 @@ export default function AdvancedSearch({
                       {/* Miscellaneous Categories Section */}
                       {filteredItemCategories.miscellaneous.length > 0 && (
                       <div>
-                        <div className="text-xs font-semibold text-gray-400 mb-2 px-1">雜物類</div>
+                        <div className="text-xs font-semibold text-gray-400 mb-2 px-1">{t('advancedSearch.miscGroup')}</div>
                         <div className="grid grid-cols-4 gap-2">
                           {filteredItemCategories.miscellaneous.map(category => {
                             // Handle both string IDs (generic categories) and number IDs
@@ -3256,7 +3456,7 @@ export default function AdvancedSearch({
                        filteredItemCategories.miscellaneous.length === 0 && (
                         <div className="py-8 text-center">
                           <div className="text-sm text-gray-400">
-                            沒有找到匹配「{categorySearchTerm}」的分類
+                            {t('advancedSearch.noCategoryMatch', { term: categorySearchTerm })}
                           </div>
                         </div>
                       )}
@@ -3265,7 +3465,7 @@ export default function AdvancedSearch({
                   </div>
                   {selectedCategories.length > 0 && (
                     <div className="mt-2 text-xs text-gray-400">
-                      已選擇 {selectedCategories.length} 個分類
+                      {t('advancedSearch.selectedCategories', { count: selectedCategories.length })}
                     </div>
                   )}
                   <div className="mt-2 text-xs text-yellow-400">
@@ -3280,12 +3480,12 @@ export default function AdvancedSearch({
                     <div className="text-2xl">⚠️</div>
                     <div className="flex-1">
                       <h3 className="text-yellow-400 font-semibold mb-2">
-                        找到的物品過多
+                        {t('craftingInspiration.tooManyTitle')}
                       </h3>
                       <p className="text-sm text-gray-300 mb-3">
-                        找到 <span className="text-yellow-400 font-bold">{tooManyItemsWarning.total}</span> 個可交易物品，
-                        超過建議上限 <span className="text-yellow-400 font-bold">{tooManyItemsWarning.limit}</span> 個。
-                        處理過多物品可能會導致搜索時間過長或性能問題。
+                        {t('craftingInspiration.tooManyBody').split(/\{(\w+)\}/).map((part, index) => (
+                          index % 2 === 1 ? <span key={index} className="text-yellow-400 font-bold">{tooManyItemsWarning[part]}</span> : part
+                        ))}
                       </p>
                       <div className="flex gap-2 flex-wrap">
                         <button
@@ -3359,7 +3559,7 @@ export default function AdvancedSearch({
                               // Limit to MAX_ITEMS_LIMIT (this is the "continue search" path)
                               // Use verifiedTradeableItemIds instead of tradeableItemIds
                               const limitedTradeableItemIds = verifiedTradeableItemIds.slice(0, MAX_ITEMS_LIMIT);
-                              addToast(`已限制為前 ${limitedTradeableItemIds.length} 個物品，正在獲取市場數據...`, 'warning');
+                              addToast(t('craftingInspiration.limitedFetching', { count: limitedTradeableItemIds.length }), 'warning');
 
                               // Load ilvls data for sorting - use targeted query for these specific items
                               const allItemIdsForSortContinue = [...limitedTradeableItemIds, ...untradeableItemIds];
@@ -3595,19 +3795,13 @@ export default function AdvancedSearch({
                                         return;
                                       }
                                       
-                                      const itemIdsString = batch.join(',');
-                                      
                                       try {
-                                        const response = await fetch(`https://universalis.app/api/v2/aggregated/${encodeURIComponent(queryTarget)}/${itemIdsString}`, {
-                                          signal: abortSignal
-                                        });
+                                        const data = await fetchAggregatedMarketData(queryTarget, batch, { signal: abortSignal });
                                         
                                         if (abortSignal.aborted || marketDataRequestId !== velocityFetchRequestIdRef.current || continueSearchRequestId !== filterSearchRequestIdRef.current) {
                                           return;
                                         }
                                         
-                                        const data = await response.json();
-                                        
                                         if (data && data.results) {
                                           const batchVelocities = {};
                                           const batchAveragePrices = {};
@@ -3945,7 +4139,9 @@ export default function AdvancedSearch({
 
                               // Show toast with results count
                               if (limitedTradeableItemIds.length > 0 || untradeableItemIds.length > 0) {
-                                addToast(`找到 ${limitedTradeableItemIds.length} 個可交易物品${untradeableItemIds.length > 0 ? `、${untradeableItemIds.length} 個不可交易物品` : ''}`, 'success');
+                                addToast(untradeableItemIds.length > 0
+                                  ? t('toast.foundMarketableAndNot', { count: limitedTradeableItemIds.length, untradable: untradeableItemIds.length })
+                                  : t('toast.foundMarketable', { count: limitedTradeableItemIds.length }), 'success');
                               }
 
                               setIsFilterSearching(false);
@@ -3955,7 +4151,7 @@ export default function AdvancedSearch({
                                 return;
                               }
                               console.error('Continue search error:', error);
-                              addToast('搜索失敗，請稍後再試', 'error');
+                              addToast(t('common.searchFailedRetry'), 'error');
                               setIsLoadingVelocities(false);
                               setIsFilterSearching(false);
                               setVelocityLoadingProgress({ loaded: 0, total: 0 });
@@ -3964,15 +4160,15 @@ export default function AdvancedSearch({
                           className="confirm-button-attention py-3"
                         >
                           <span className="flex items-center gap-2">
-                            <span>確認</span>
-                            <span>繼續搜索（限制為前 {MAX_ITEMS_LIMIT} 個）</span>
+                            <span>{t('common.confirm')}</span>
+                            <span>{t('craftingInspiration.continueLimited', { limit: MAX_ITEMS_LIMIT })}</span>
                           </span>
                         </button>
                         <button
                           onClick={() => setTooManyItemsWarning(null)}
                           className="px-4 py-2 bg-slate-700/50 border border-gray-500/50 rounded-lg text-gray-300 hover:bg-slate-700/70 transition-all text-sm font-medium"
                         >
-                          取消
+                          {t('common.cancel')}
                         </button>
                       </div>
                     </div>
@@ -3998,7 +4194,7 @@ export default function AdvancedSearch({
                         handleFilterSearch();
                       }
                     }}
-                    placeholder="物品名篩選（多關鍵詞用空格分隔）"
+                    placeholder={t('advancedSearch.nameFilterPlaceholder')}
                     disabled={isFilterSearching || isSearching}
                     className={`w-full py-3 pl-10 pr-20 rounded-lg bg-slate-900/90 backdrop-blur-sm border text-white placeholder-gray-400 focus:outline-none focus:ring-1 transition-all text-sm shadow-lg ${
                       isFilterSearching || isSearching
@@ -4008,7 +4204,7 @@ export default function AdvancedSearch({
                   />
                   {/* Exact Search Toggle Button - positioned on the right side of input */}
                   <div className="absolute right-2 top-1/2 transform -translate-y-1/2 z-10 flex items-center gap-1.5">
-                    <label className="flex items-center cursor-pointer group" title={!filterFuzzySearch ? "關閉精準搜尋" : "開啟精準搜尋"}>
+                    <label className="flex items-center cursor-pointer group" title={!filterFuzzySearch ? t('advancedSearch.exactSearchOff') : t('advancedSearch.exactSearchOn')}>
                       <input
                         type="checkbox"
                         checked={!filterFuzzySearch}
@@ -4037,7 +4233,7 @@ export default function AdvancedSearch({
                           ? 'text-ffxiv-gold'
                           : 'text-gray-400'
                     }`}>
-                      精準
+                      {t('advancedSearch.exactSearchShort')}
                     </span>
                   </div>
                 </div>
@@ -4058,10 +4254,10 @@ export default function AdvancedSearch({
                           <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                           <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                         </svg>
-                        <span>載入中...</span>
+                        <span>{t('common.loading')}</span>
                       </span>
                     ) : (
-                      '搜索'
+                      t('common.search')
                     )}
                     {(isFilterSearching || isSearching) && (
                       <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent -translate-x-full animate-[shimmer_2s_ease-in-out_infinite] pointer-events-none"></div>
@@ -4107,7 +4303,7 @@ export default function AdvancedSearch({
                         : 'bg-red-600/60 text-white border border-red-500/50 hover:bg-red-600/80 hover:border-red-400/70 hover:shadow-[0_0_20px_rgba(220,38,38,0.5)]'
                     }`}
                   >
-                    {isFilterSearching || isSearching ? '停止搜尋' : '清空篩選'}
+                    {isFilterSearching || isSearching ? t('advancedSearch.stopSearch') : t('advancedSearch.clearFilters')}
                   </button>
               </div>
 
@@ -4298,6 +4494,21 @@ export default function AdvancedSearch({
             
             return (
               <div ref={resultsTableRef}>
+              {activeTab === 'batch' && !isBatchSearching && filteredResults.length > 0 && (
+                <div className="flex justify-end mb-2">
+                  <button
+                    onClick={() => {
+                      const count = addItemsToShoppingList(filteredResults.map(item => ({ itemId: item.id, itemName: item.name, quantity: 1 })));
+                      if (count > 0) {
+                        addToast(t('common.addedToShoppingList', { count }), 'success');
+                      }
+                    }}
+                    className="px-3 py-1.5 rounded-lg text-xs sm:text-sm bg-purple-800/60 text-white border border-purple-500/40 hover:bg-purple-700/60 transition-all"
+                  >
+                    {t('shoppingList.addAll')}
+                  </button>
+                </div>
+              )}
               <SearchResultsTable
                 items={currentResults}
                 filteredItems={filteredResults}
@@ -4320,11 +4531,9 @@ export default function AdvancedSearch({
                 showLoadingIndicator={showLoadingIndicator}
                 isSearching={isFilterSearching || isBatchSearching}
                 searchingItemsCount={searchResults.length + untradeableResults.length}
-                averagePriceHeader="平均價格"
                 getSimplifiedChineseName={getSimplifiedChineseName}
                 addToast={addToast}
-                title="搜索結果"
-                titleSuffix={filteredResults.length !== currentResults.length ? `，顯示 ${filteredResults.length} 個` : ''}
+                titleSuffix={filteredResults.length !== currentResults.length ? t('advancedSearch.showingFiltered', { count: filteredResults.length }) : ''}
                 showUntradeableButton={activeTab === 'filter' && untradeableResults.length > 0 && searchResults.length > 0}
                 untradeableCount={untradeableResults.length}
                 tradeableCount={searchResults.length}
@@ -4371,7 +4580,7 @@ export default function AdvancedSearch({
         {/* Version Info */}
         <div className="mt-6 pt-4 border-t border-slate-600/30">
           <p className="text-xs text-slate-500 text-center">
-            版本號: <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+            {t('common.appVersion')} <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
           </p>
         </div>
       </div>
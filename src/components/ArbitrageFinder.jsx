@@ -0,0 +1,426 @@
+// Arbitrage Finder (跨服倒賣) - Items that are cheap on another world and sell for more at home
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import TaxRatesModal from './TaxRatesModal';
+import ServerSelector from './ServerSelector';
+import ItemImage from './ItemImage';
+import { APP_VERSION } from '../constants/version';
+import { useTranslation } from '../hooks/useTranslation';
+import { translate } from '../i18n';
+import { useItemNames } from '../hooks/useItemNames';
+import { getUILanguage } from '../utils/uiLanguage';
+import { getMarketableItems, getTaxRates } from '../services/universalis';
+import { getTwItems, getTwItemUICategories, getItemIdsByCategories } from '../services/supabaseData';
+import { scanArbitrage, rankArbitrageOpportunities } from '../services/arbitrage';
+import { getLowestTaxRate } from '../services/craftingProfit';
+import { getInternalUrl } from '../utils/internalUrl.js';
+import { generateItemUrl } from '../utils/urlSlug';
+
+// Only render the top results; the full list can contain thousands of items
+const MAX_DISPLAYED_RESULTS = 200;
+
+export default function ArbitrageFinder({
+  addToast,
+  removeToast,
+  toasts,
+  datacenters,
+  worlds,
+  selectedWorld,
+  onWorldChange,
+  selectedServerOption,
+  onServerOptionChange,
+  serverOptions,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  isServerDataLoaded,
+  onItemSelect,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const navigate = useNavigate();
+  const { t, language } = useTranslation();
+  const [categories, setCategories] = useState({});
+  const [categoryId, setCategoryId] = useState('');
+  const [minVelocity, setMinVelocity] = useState('1');
+  const [minProfit, setMinProfit] = useState('1000');
+  const [minDiscount, setMinDiscount] = useState('20');
+  const [opportunities, setOpportunities] = useState([]);
+  const [itemNames, setItemNames] = useState({});
+  const [scanTaxRate, setScanTaxRate] = useState(null);
+  const [isScanning, setIsScanning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [scannedTarget, setScannedTarget] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  const isWorldMode = typeof selectedServerOption === 'number';
+  const homeName = isWorldMode ? worlds?.[selectedServerOption] : selectedWorld?.section;
+
+  useEffect(() => {
+    getTwItemUICategories()
+      .then(setCategories)
+      .catch(error => {
+        console.error('Failed to load item categories:', error);
+        addToast(translate(getUILanguage(), 'common.categoriesLoadFailed'), 'error');
+      });
+    getTwItems()
+      .then(setItemNames)
+      .catch(error => {
+        console.error('Failed to load item names:', error);
+        addToast(translate(getUILanguage(), 'common.itemNamesLoadFailed'), 'error');
+      });
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  const sortedCategories = useMemo(() => (
+    Object.entries(categories)
+      .filter(([, data]) => data?.tw)
+      .map(([id, data]) => ({ id: parseInt(id, 10), name: data.tw }))
+      .sort((a, b) => a.id - b.id)
+  ), [categories]);
+
+  const handleStop = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    setIsScanning(false);
+    setProgress(null);
+  }, []);
+
+  const handleScan = useCallback(async () => {
+    if (!selectedServerOption) {
+      addToast(t('common.selectServer'), 'warning');
+      return;
+    }
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+
+    setIsScanning(true);
+    setOpportunities([]);
+    setProgress({ scanned: 0, total: 0 });
+
+    try {
+      const marketable = await getMarketableItems();
+      let itemIds = Array.from(marketable);
+      if (categoryId) {
+        const categoryItemIds = await getItemIdsByCategories([Number(categoryId)], signal);
+        itemIds = categoryItemIds.filter(id => marketable.has(id));
+      }
+      if (signal.aborted) return;
+
+      if (itemIds.length === 0) {
+        addToast(t('common.noMarketableInCategory'), 'warning');
+        return;
+      }
+
+      // Sell on the home world at its cheapest city tax; DC mode has no single home, so use the default
+      let taxRate = 5;
+      if (isWorldMode) {
+        const rates = await getTaxRates(selectedServerOption, { signal });
+        taxRate = getLowestTaxRate(rates)?.rate ?? 5;
+      }
+      if (signal.aborted) return;
+      setScanTaxRate(taxRate);
+      setScannedTarget({ option: selectedServerOption, name: homeName, isWorldMode });
+
+      await scanArbitrage(selectedServerOption, itemIds, {
+        taxRate,
+        signal,
+        onBatch: (batchOpportunities, batchProgress) => {
+          setProgress(batchProgress);
+          if (batchOpportunities.length > 0) {
+            setOpportunities(prev => [...prev, ...batchOpportunities]);
+          }
+        },
+      });
+    } catch (error) {
+      if (!signal.aborted) {
+        console.error('Failed to scan arbitrage:', error);
+        addToast(error.message || t('common.scanFailed'), 'error');
+      }
+    } finally {
+      if (!signal.aborted) {
+        setIsScanning(false);
+        setProgress(null);
+      }
+    }
+  }, [selectedServerOption, categoryId, isWorldMode, homeName, addToast, t]);
+
+  // Filters re-rank instantly without rescanning
+  const rankedOpportunities = useMemo(() => rankArbitrageOpportunities(opportunities, {
+    minVelocity: Number(minVelocity) || 0,
+    minProfit: Number(minProfit) || 0,
+    minDiscount: (Number(minDiscount) || 0) / 100,
+  }), [opportunities, minVelocity, minProfit, minDiscount]);
+
+  const displayedOpportunities = rankedOpportunities.slice(0, MAX_DISPLAYED_RESULTS);
+  const localizedNames = useItemNames(displayedOpportunities.map(opportunity => opportunity.itemId), language);
+
+  const handleOpenItem = useCallback((itemId) => {
+    const itemUrl = generateItemUrl(itemId, itemNames[itemId]?.tw || 'item');
+    window.open(`${window.location.origin}${getInternalUrl(itemUrl)}`, '_blank', 'noopener,noreferrer');
+  }, [itemNames]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        onTaxRatesClick={onTaxRatesClick}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+              {t('arbitrage.title')}
+            </h1>
+            <p className="text-gray-400 text-sm sm:text-base">
+              {t('arbitrage.description')}
+            </p>
+          </div>
+
+          {/* Server Selector */}
+          {selectedWorld && (
+            <div className="mb-6">
+              <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
+                {t('arbitrage.homeServer')}
+              </label>
+              <ServerSelector
+                datacenters={datacenters}
+                worlds={worlds}
+                selectedWorld={selectedWorld}
+                onWorldChange={onWorldChange}
+                selectedServerOption={selectedServerOption}
+                onServerOptionChange={onServerOptionChange}
+                serverOptions={serverOptions}
+                disabled={isScanning}
+              />
+            </div>
+          )}
+
+          {/* Filters */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 sm:gap-4 mb-4">
+              <div className="col-span-2 sm:col-span-1">
+                <label htmlFor="arbitrage-category" className="block text-xs text-gray-400 mb-1">{t('common.itemCategory')}</label>
+                <select
+                  id="arbitrage-category"
+                  value={categoryId}
+                  onChange={(e) => setCategoryId(e.target.value)}
+                  disabled={isScanning}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold"
+                >
+                  <option value="">{t('common.allMarketable')}</option>
+                  {sortedCategories.map(category => (
+                    <option key={category.id} value={category.id}>{category.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="arbitrage-min-velocity" className="block text-xs text-gray-400 mb-1">{t('common.minVelocity')}</label>
+                <input
+                  id="arbitrage-min-velocity"
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={minVelocity}
+                  onChange={(e) => setMinVelocity(e.target.value)}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                />
+              </div>
+              <div>
+                <label htmlFor="arbitrage-min-profit" className="block text-xs text-gray-400 mb-1">{t('arbitrage.minProfit')}</label>
+                <input
+                  id="arbitrage-min-profit"
+                  type="number"
+                  min="0"
+                  value={minProfit}
+                  onChange={(e) => setMinProfit(e.target.value)}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                />
+              </div>
+              <div>
+                <label htmlFor="arbitrage-min-discount" className="block text-xs text-gray-400 mb-1">{t('arbitrage.minDiscount')}</label>
+                <input
+                  id="arbitrage-min-discount"
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={minDiscount}
+                  onChange={(e) => setMinDiscount(e.target.value)}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                />
+              </div>
+            </div>
+
+            <div className="flex items-center gap-3 flex-wrap">
+              {isScanning ? (
+                <button
+                  onClick={handleStop}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-red-900/40 text-red-300 border border-red-500/40 hover:bg-red-800/50 transition-all"
+                >
+                  {t('common.stopScan')}
+                </button>
+              ) : (
+                <button
+                  onClick={handleScan}
+                  disabled={!selectedServerOption}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-gradient-to-r from-ffxiv-gold to-yellow-500 text-slate-900 hover:shadow-[0_0_15px_rgba(212,175,55,0.5)] disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                >
+                  {t('arbitrage.startScan', { name: homeName || '' })}
+                </button>
+              )}
+              {progress && progress.total > 0 && (
+                <div className="flex items-center gap-2 text-xs text-gray-400">
+                  <div className="w-40 h-1.5 bg-slate-700 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-ffxiv-gold transition-all"
+                      style={{ width: `${(progress.scanned / progress.total) * 100}%` }}
+                    />
+                  </div>
+                  {progress.scanned.toLocaleString()} / {progress.total.toLocaleString()}
+                </div>
+              )}
+              {scannedTarget && scanTaxRate !== null && (
+                <span className="text-xs text-gray-500">
+                  {scannedTarget.isWorldMode ? t('arbitrage.sellWorld', { name: scannedTarget.name }) : t('arbitrage.dcAverage', { name: scannedTarget.name })} · {t('common.taxRate', { rate: scanTaxRate })}
+                </span>
+              )}
+            </div>
+          </div>
+
+          {/* Results */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6">
+            <h2 className="text-lg font-semibold text-ffxiv-gold mb-4">
+              {t('arbitrage.resultsTitle', { count: rankedOpportunities.length })}
+              {rankedOpportunities.length > MAX_DISPLAYED_RESULTS && (
+                <span className="ml-2 text-sm text-gray-400 font-normal">{t('common.showingTop', { count: MAX_DISPLAYED_RESULTS })}</span>
+              )}
+            </h2>
+
+            {rankedOpportunities.length === 0 ? (
+              <p className="text-center text-gray-400 py-8 text-sm">
+                {isScanning ? t('arbitrage.scanning') : scannedTarget ? t('common.noMatchesRelax') : t('arbitrage.idle')}
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-purple-500/30">
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('table.item')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('arbitrage.buyWorld')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('common.lowestPrice')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('arbitrage.expectedSellPrice')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('common.afterTaxProfit')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('arbitrage.discount')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('table.velocity')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('common.dailyProfit')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {displayedOpportunities.map(opportunity => {
+                      const name = localizedNames[opportunity.itemId] || itemNames[opportunity.itemId]?.tw || t('common.itemFallback', { id: opportunity.itemId });
+                      return (
+                        <tr
+                          key={`${opportunity.itemId}-${opportunity.isHQ}`}
+                          className="border-b border-purple-500/10 hover:bg-purple-900/20 cursor-pointer transition-colors"
+                          onClick={() => handleOpenItem(opportunity.itemId)}
+                        >
+                          <td className="px-2 sm:px-3 py-2">
+                            <div className="flex items-center gap-2">
+                              <ItemImage itemId={opportunity.itemId} alt={name} className="w-7 h-7 object-contain rounded" />
+                              <span className="text-white text-xs sm:text-sm">{name}</span>
+                              {opportunity.isHQ && (
+                                <span className="px-1 py-0.5 text-[10px] font-bold text-ffxiv-gold border border-ffxiv-gold/50 rounded bg-ffxiv-gold/10">HQ</span>
+                              )}
+                            </div>
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-xs text-gray-300">
+                            {worlds?.[opportunity.buyWorldId] || t('common.worldFallback', { id: opportunity.buyWorldId })}
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-green-400">{opportunity.buyPrice.toLocaleString()}</td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300" title={t('arbitrage.averagePriceTitle', { price: opportunity.averagePrice.toLocaleString() })}>
+                            {opportunity.sellPrice.toLocaleString()}
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-green-400 font-semibold">{opportunity.profit.toLocaleString()}</td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">{Math.round(opportunity.discount * 100)}%</td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">{opportunity.velocity.toFixed(1)}</td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-ffxiv-gold font-semibold">{opportunity.expectedDailyProfit.toLocaleString()}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Version Info */}
+        <div className="mt-6 pt-4 border-t border-slate-600/30">
+          <p className="text-xs text-slate-500 text-center">
+            {t('common.appVersion')} <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+          </p>
+        </div>
+      </div>
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
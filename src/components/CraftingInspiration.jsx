@@ -14,10 +14,19 @@ import { loadRecipeDatabase, loadRecipesByJobAndLevel } from '../services/recipe
 import { getMarketableItems, getMarketableItemsByIds } from '../services/universalis';
 import { getItemById, getSimplifiedChineseName } from '../services/itemDatabase';
 import { getInternalUrl } from '../utils/internalUrl.js';
-import axios from 'axios';
+import { fetchAggregatedMarketData } from '../services/marketDataClient';
 import { getTwJobAbbr, getIlvlsByIds } from '../services/supabaseData';
 import { APP_VERSION } from '../constants/version';
 import { generateItemUrl } from '../utils/urlSlug';
+import { getJobName } from '../utils/gameDataNames';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Render a translated message with its {placeholders} filled in as highlighted spans
+function renderHighlighted(message, values, className) {
+  return message.split(/\{(\w+)\}/).map((part, index) => (
+    index % 2 === 1 ? <span key={index} className={className}>{values[part]}</span> : part
+  ));
+}
 
 export default function CraftingJobPriceChecker({ 
   addToast, 
@@ -43,6 +52,7 @@ export default function CraftingJobPriceChecker({
   isLoadingTaxRates
 }) {
   const navigate = useNavigate();
+  const { t, language } = useTranslation();
   const [ilvlMin, setIlvlMin] = useState(1);
   const [ilvlMax, setIlvlMax] = useState(11);
   const [ilvlMinInput, setIlvlMinInput] = useState('1');
@@ -243,19 +253,19 @@ export default function CraftingJobPriceChecker({
         if (prev.length >= 4) {
           // Show toast after state update completes to avoid render warnings
           Promise.resolve().then(() => {
-            addToast('最多只能選擇4個職業', 'warning');
+            addToast(t('craftingInspiration.maxJobs'), 'warning');
           });
           return prev; // Don't add the job
         }
         return [...prev, jobIdNum];
       }
     });
-  }, [addToast]);
+  }, [addToast, t]);
 
   // Helper function to fetch market data for items with progressive batching
   const fetchMarketData = useCallback(async (tradeableItemIds, limitItems = false) => {
     if (!selectedWorld || !selectedServerOption) {
-      addToast('請選擇伺服器', 'warning');
+      addToast(t('common.selectServer'), 'warning');
       return null;
     }
 
@@ -265,7 +275,7 @@ export default function CraftingJobPriceChecker({
       : tradeableItemIds;
 
     if (limitItems && tradeableItemIds.length > MAX_ITEMS_LIMIT) {
-      addToast(`已限制為前 ${itemsToProcess.length} 個物品，正在獲取市場數據...`, 'warning');
+      addToast(t('craftingInspiration.limitedFetching', { count: itemsToProcess.length }), 'warning');
     }
 
     setIsLoadingVelocities(true);
@@ -292,14 +302,8 @@ export default function CraftingJobPriceChecker({
         return;
       }
       
-      const itemIdsString = batch.join(',');
-      
       try {
-        const response = await axios.get(
-          `https://universalis.app/api/v2/aggregated/${encodeURIComponent(queryTarget)}/${itemIdsString}`
-        );
-        
-        const data = response.data;
+        const data = await fetchAggregatedMarketData(queryTarget, batch);
         
         // Process batch results
         const batchVelocities = {};
@@ -492,14 +496,14 @@ export default function CraftingJobPriceChecker({
       recentPurchases: {},
       tradability: {}
     };
-  }, [selectedWorld, selectedServerOption, addToast]);
+  }, [selectedWorld, selectedServerOption, addToast, t]);
 
   // Perform search
   const handleSearch = useCallback(async () => {
     if (isRecipeSearching) return;
 
     if (!isRangeValid) {
-      addToast(`範圍過大！最多只能搜索 ${getMaxRange(selectedJobs.length)} 個等級範圍`, 'error');
+      addToast(t('craftingInspiration.rangeTooLargeToast', { max: getMaxRange(selectedJobs.length) }), 'error');
       return;
     }
 
@@ -532,12 +536,12 @@ export default function CraftingJobPriceChecker({
       const itemIds = [...new Set(filteredRecipes.map(recipe => recipe.result))];
       
       if (itemIds.length === 0) {
-        addToast('未找到符合條件的配方', 'warning');
+        addToast(t('craftingInspiration.noRecipes'), 'warning');
         setIsRecipeSearching(false);
         return;
       }
 
-      addToast(`找到 ${itemIds.length} 個物品，正在過濾可交易物品...`, 'info');
+      addToast(t('craftingInspiration.filteringTradable', { count: itemIds.length }), 'info');
 
       // Filter out non-tradeable items using targeted marketable API (optimized)
       const marketableSet = await getMarketableItemsByIds(itemIds);
@@ -545,13 +549,13 @@ export default function CraftingJobPriceChecker({
       const untradeableItemIds = itemIds.filter(id => !marketableSet.has(id));
 
       if (tradeableItemIds.length === 0 && untradeableItemIds.length === 0) {
-        addToast('沒有找到物品', 'warning');
+        addToast(t('craftingInspiration.noItems'), 'warning');
         setIsRecipeSearching(false);
         return;
       }
       
       if (tradeableItemIds.length === 0) {
-        addToast('沒有可交易的物品', 'warning');
+        addToast(t('craftingInspiration.noTradable'), 'warning');
         // Still show untradeable items
       }
 
@@ -585,7 +589,10 @@ export default function CraftingJobPriceChecker({
 
       setTooManyItemsWarning(null);
       if (tradeableItemIds.length > 0) {
-        addToast(`找到 ${tradeableItemIds.length} 個可交易物品${untradeableItemIds.length > 0 ? `、${untradeableItemIds.length} 個不可交易物品` : ''}，正在獲取市場數據...`, 'info');
+        addToast(t('craftingInspiration.foundFetching', {
+          count: tradeableItemIds.length,
+          untradable: untradeableItemIds.length > 0 ? t('craftingInspiration.untradableSuffix', { count: untradeableItemIds.length }) : '',
+        }), 'info');
       }
 
       // Fetch item details for both tradeable and untradeable items
@@ -630,7 +637,7 @@ export default function CraftingJobPriceChecker({
       }).filter(item => item !== null);
 
       if (tradeableItems.length === 0 && untradeableItems.length === 0) {
-        addToast('無法獲取物品信息', 'error');
+        addToast(t('common.itemInfoFailed'), 'error');
         setIsRecipeSearching(false);
         return;
       }
@@ -654,15 +661,18 @@ export default function CraftingJobPriceChecker({
       }
 
       // State is already updated progressively by fetchMarketData
-      addToast(`搜索完成！找到 ${tradeableItems.length} 個可交易物品${untradeableItems.length > 0 ? `、${untradeableItems.length} 個不可交易物品` : ''}`, 'success');
+      addToast(t('craftingInspiration.searchDone', {
+        count: tradeableItems.length,
+        untradable: untradeableItems.length > 0 ? t('craftingInspiration.untradableSuffix', { count: untradeableItems.length }) : '',
+      }), 'success');
     } catch (error) {
       console.error('Search error:', error);
-      addToast('搜索失敗，請稍後再試', 'error');
+      addToast(t('common.searchFailedRetry'), 'error');
       setIsLoadingVelocities(false);
     } finally {
       setIsRecipeSearching(false);
     }
-  }, [ilvlMin, ilvlMax, selectedJobs, isRecipeSearching, isRangeValid, getMaxRange, addToast, fetchMarketData]);
+  }, [ilvlMin, ilvlMax, selectedJobs, isRecipeSearching, isRangeValid, getMaxRange, addToast, fetchMarketData, t]);
 
   // Update searchResults when showUntradeable changes
   useEffect(() => {
@@ -697,7 +707,7 @@ export default function CraftingJobPriceChecker({
       const iconName = jobIconUrls[jobId];
       return {
         id: jobId,
-        name: data.tw,
+        name: getJobName(jobId, language) || data.tw,
         iconUrl: iconName ? `https://xivapi.com/cj/companion/${iconName}.png` : null
       };
     });
@@ -707,32 +717,32 @@ export default function CraftingJobPriceChecker({
   // Get disabled reason and button text
   const getButtonState = useMemo(() => {
     if (isRecipeSearching) {
-      return { disabled: true, text: '搜索中...', tooltip: null };
+      return { disabled: true, text: t('common.searching'), tooltip: null };
     }
     if (tooManyItemsWarning !== null) {
       return { 
         disabled: true, 
-        text: `搜索（找到 ${tooManyItemsWarning.total} 個物品，超過上限 ${tooManyItemsWarning.limit}）`, 
-        tooltip: `找到 ${tooManyItemsWarning.total} 個可交易物品，超過建議上限 ${tooManyItemsWarning.limit} 個。請縮小等級範圍或選擇更少的職業。`
+        text: t('craftingInspiration.buttonTooMany', tooManyItemsWarning), 
+        tooltip: t('craftingInspiration.tooltipTooMany', tooManyItemsWarning)
       };
     }
     if (!isRangeValid) {
       const currentRange = ilvlMax - ilvlMin;
       return { 
         disabled: true, 
-        text: `搜索（範圍過大：${currentRange} 個等級，最多 ${maxRange}）`, 
-        tooltip: `當前範圍為 ${currentRange} 個等級，超過最大允許範圍 ${maxRange} 個等級。建議調整為 ${suggestedRange.suggestedMin}-${suggestedRange.suggestedMax}。`
+        text: t('craftingInspiration.buttonRangeTooLarge', { range: currentRange, max: maxRange }), 
+        tooltip: t('craftingInspiration.tooltipRangeTooLarge', { range: currentRange, max: maxRange, ...suggestedRange })
       };
     }
     if (selectedJobs.length === 0) {
       return { 
         disabled: true, 
-        text: '搜索（請先選擇至少一個職業）', 
-        tooltip: '請至少選擇一個製造職業才能進行搜索。'
+        text: t('craftingInspiration.buttonSelectJob'), 
+        tooltip: t('craftingInspiration.tooltipSelectJob')
       };
     }
-    return { disabled: false, text: '搜索', tooltip: null };
-  }, [isRecipeSearching, tooManyItemsWarning, isRangeValid, ilvlMin, ilvlMax, maxRange, suggestedRange, selectedJobs.length]);
+    return { disabled: false, text: t('common.search'), tooltip: null };
+  }, [isRecipeSearching, tooManyItemsWarning, isRangeValid, ilvlMin, ilvlMax, maxRange, suggestedRange, selectedJobs.length, t]);
 
   // Auto-refetch prices when server changes (if there are already search results)
   useEffect(() => {
@@ -881,10 +891,10 @@ export default function CraftingJobPriceChecker({
           {/* Header */}
           <div className="mb-6">
             <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
-              製造職找價
+              {t('nav.craftingInspirationTitle')}
             </h1>
             <p className="text-gray-400 text-sm sm:text-base">
-              用來根據製作職業查找物價肥美的物品，掌控市場雷電。
+              {t('craftingInspiration.description')}
             </p>
           </div>
 
@@ -893,7 +903,7 @@ export default function CraftingJobPriceChecker({
           {/* Job Selector */}
           <div className="mb-6">
             <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
-              職業選擇 (最多4個)
+              {t('craftingInspiration.jobSelect')}
             </label>
             <div className="flex flex-wrap gap-2 max-h-48 overflow-y-auto p-2 bg-slate-900/30 rounded-lg border border-purple-500/20">
               {allJobs.map(job => {
@@ -931,9 +941,9 @@ export default function CraftingJobPriceChecker({
               })}
             </div>
             <div className="mt-2 text-xs text-gray-400">
-              已選擇: {selectedJobs.length}/4
+              {t('craftingInspiration.selectedCount', { count: selectedJobs.length })}
               {selectedJobs.length === 0 && (
-                <span className="ml-2 text-yellow-400">未選擇職業時，範圍限制為10個等級</span>
+                <span className="ml-2 text-yellow-400">{t('craftingInspiration.noJobHint')}</span>
               )}
             </div>
           </div>
@@ -942,33 +952,33 @@ export default function CraftingJobPriceChecker({
           <div className="mb-6">
             <div className="flex items-center gap-2 flex-wrap mb-2">
               <label className="text-sm font-semibold text-ffxiv-gold">
-                物品等級範圍
+                {t('craftingInspiration.ilvlRange')}
               </label>
               {/* Tags for current range and job count */}
               <div className="flex items-center gap-2 flex-wrap">
                 <span className="px-2 py-1 bg-slate-700/60 border border-purple-500/40 rounded-md text-xs text-gray-300">
-                  當前範圍: <span className="text-ffxiv-gold font-semibold">{ilvlMax - ilvlMin + 1}</span> 個等級
+                  {renderHighlighted(t('craftingInspiration.currentRange'), { count: ilvlMax - ilvlMin + 1 }, 'text-ffxiv-gold font-semibold')}
                 </span>
                 {selectedJobs.length > 0 && (
                   <span className="px-2 py-1 bg-slate-700/60 border border-purple-500/40 rounded-md text-xs text-gray-300">
-                    已選擇 <span className="text-ffxiv-gold font-semibold">{selectedJobs.length}</span> 個職業
+                    {renderHighlighted(t('craftingInspiration.selectedJobs'), { count: selectedJobs.length }, 'text-ffxiv-gold font-semibold')}
                   </span>
                 )}
                 {selectedJobs.length > 0 && (
                   <span className="px-2 py-1 bg-yellow-900/40 border border-yellow-500/50 rounded-md text-xs text-yellow-300">
-                    最大範圍: <span className="font-bold">{maxRange}</span> 個等級
+                    {renderHighlighted(t('craftingInspiration.maxRange'), { count: maxRange }, 'font-bold')}
                   </span>
                 )}
                 {selectedJobs.length === 0 && (
                   <span className="px-2 py-1 bg-amber-900/40 border border-amber-500/50 rounded-md text-xs text-amber-300">
-                    ⚠️ 請先選擇職業
+                    {t('craftingInspiration.selectJobFirst')}
                   </span>
                 )}
               </div>
             </div>
             <div className="flex items-center gap-4">
               <div className="flex-1">
-                <label className="block text-xs text-gray-400 mb-1">最小等級</label>
+                <label className="block text-xs text-gray-400 mb-1">{t('craftingInspiration.minLevel')}</label>
                 <input
                   type="text"
                   inputMode="numeric"
@@ -980,7 +990,7 @@ export default function CraftingJobPriceChecker({
               </div>
               <div className="pt-6 text-gray-400">-</div>
               <div className="flex-1">
-                <label className="block text-xs text-gray-400 mb-1">最大等級</label>
+                <label className="block text-xs text-gray-400 mb-1">{t('craftingInspiration.maxLevel')}</label>
                 <input
                   type="text"
                   inputMode="numeric"
@@ -995,12 +1005,12 @@ export default function CraftingJobPriceChecker({
             <div className="mt-3 mb-3 p-2.5 bg-gradient-to-r from-yellow-900/40 via-amber-900/30 to-yellow-900/40 border border-yellow-500/50 rounded-lg">
               <div className="flex items-center gap-2">
                 <span className="text-sm">💡</span>
-                <span className="text-xs text-yellow-300 font-semibold">職業越多等級范圍限制越多：</span>
+                <span className="text-xs text-yellow-300 font-semibold">{t('craftingInspiration.rangeRule')}</span>
                 <span className="text-xs text-yellow-200/90">
-                  1職<span className="text-yellow-300 font-bold">50</span> | 
-                  2職<span className="text-yellow-300 font-bold">30</span> | 
-                  3職<span className="text-yellow-300 font-bold">20</span> | 
-                  4職<span className="text-yellow-300 font-bold">10</span>
+                  {t('craftingInspiration.jobCount', { count: 1 })}<span className="text-yellow-300 font-bold">50</span> | 
+                  {t('craftingInspiration.jobCount', { count: 2 })}<span className="text-yellow-300 font-bold">30</span> | 
+                  {t('craftingInspiration.jobCount', { count: 3 })}<span className="text-yellow-300 font-bold">20</span> | 
+                  {t('craftingInspiration.jobCount', { count: 4 })}<span className="text-yellow-300 font-bold">10</span>
                 </span>
               </div>
             </div>
@@ -1010,11 +1020,11 @@ export default function CraftingJobPriceChecker({
                   <span className="text-lg">⚠️</span>
                   <div className="flex-1">
                     <div className="text-sm font-bold text-red-300 mb-1">
-                      範圍過大！
+                      {t('craftingInspiration.rangeTooLarge')}
                     </div>
                     <div className="flex items-center gap-2 flex-wrap">
                       <span className="text-sm text-red-200">
-                        建議調整為: <span className="font-bold text-yellow-300">{suggestedRange.suggestedMin}-{suggestedRange.suggestedMax}</span>
+                        {t('craftingInspiration.suggested')} <span className="font-bold text-yellow-300">{suggestedRange.suggestedMin}-{suggestedRange.suggestedMax}</span>
                       </span>
                       <button
                         onClick={() => {
@@ -1022,11 +1032,11 @@ export default function CraftingJobPriceChecker({
                           setIlvlMaxInput(suggestedRange.suggestedMax.toString());
                           setIlvlMin(suggestedRange.suggestedMin);
                           setIlvlMax(suggestedRange.suggestedMax);
-                          addToast(`已自動調整為 ${suggestedRange.suggestedMin}-${suggestedRange.suggestedMax}`, 'success');
+                          addToast(t('craftingInspiration.autoAdjusted', { min: suggestedRange.suggestedMin, max: suggestedRange.suggestedMax }), 'success');
                         }}
                         className="px-3 py-1 bg-yellow-600 hover:bg-yellow-500 text-white rounded-md text-xs font-semibold transition-colors shadow-md hover:shadow-lg"
                       >
-                        套用建議
+                        {t('craftingInspiration.applySuggestion')}
                       </button>
                     </div>
                   </div>
@@ -1039,7 +1049,7 @@ export default function CraftingJobPriceChecker({
           {selectedWorld && (
             <div className="mb-6">
               <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
-                伺服器選擇
+                {t('common.serverSelect')}
               </label>
               <ServerSelector
                 datacenters={datacenters}
@@ -1060,12 +1070,10 @@ export default function CraftingJobPriceChecker({
                 <div className="text-2xl">⚠️</div>
                 <div className="flex-1">
                   <h3 className="text-yellow-400 font-semibold mb-2">
-                    找到的物品過多
+                    {t('craftingInspiration.tooManyTitle')}
                   </h3>
                   <p className="text-sm text-gray-300 mb-3">
-                    找到 <span className="text-yellow-400 font-bold">{tooManyItemsWarning.total}</span> 個可交易物品，
-                    超過建議上限 <span className="text-yellow-400 font-bold">{tooManyItemsWarning.limit}</span> 個。
-                    處理過多物品可能會導致搜索時間過長或性能問題。
+                    {renderHighlighted(t('craftingInspiration.tooManyBody'), tooManyItemsWarning, 'text-yellow-400 font-bold')}
                   </p>
                   <div className="flex gap-2 flex-wrap">
                     <button
@@ -1145,10 +1153,10 @@ export default function CraftingJobPriceChecker({
                           }
 
                           // State is already updated progressively by fetchMarketData
-                          addToast(`搜索完成！找到 ${items.length} 個可交易物品（已限制）`, 'success');
+                          addToast(t('craftingInspiration.searchDoneLimited', { count: items.length }), 'success');
                         } catch (error) {
                           console.error('Search error:', error);
-                          addToast('搜索失敗，請稍後再試', 'error');
+                          addToast(t('common.searchFailedRetry'), 'error');
                           setIsLoadingVelocities(false);
                         } finally {
                           setIsRecipeSearching(false);
@@ -1156,20 +1164,20 @@ export default function CraftingJobPriceChecker({
                       }}
                       className="px-4 py-2 bg-yellow-600 hover:bg-yellow-500 text-white rounded-lg font-semibold text-sm transition-colors"
                     >
-                      繼續搜索（限制為前 {MAX_ITEMS_LIMIT} 個）
+                      {t('craftingInspiration.continueLimited', { limit: MAX_ITEMS_LIMIT })}
                     </button>
                     <button
                       onClick={() => {
                         setTooManyItemsWarning(null);
-                        addToast('已取消搜索', 'info');
+                        addToast(t('craftingInspiration.searchCancelled'), 'info');
                       }}
                       className="px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white rounded-lg font-semibold text-sm transition-colors"
                     >
-                      取消
+                      {t('common.cancel')}
                     </button>
                   </div>
                   <p className="text-xs text-gray-400 mt-3">
-                    💡 提示：嘗試縮小等級範圍或選擇更少的職業來減少結果數量
+                    {t('craftingInspiration.tip')}
                   </p>
                 </div>
               </div>
@@ -1219,10 +1227,10 @@ export default function CraftingJobPriceChecker({
             itemTradability={itemTradability}
             isLoadingVelocities={isLoadingVelocities}
             showLoadingIndicator={showLoadingIndicator}
-            averagePriceHeader="平均價格"
+            averagePriceHeader={t('table.averagePrice')}
             getSimplifiedChineseName={getSimplifiedChineseName}
             addToast={addToast}
-            title="搜索結果"
+            title={t('search.resultsTitle')}
             defaultItemsPerPage={50}
             itemsPerPageOptions={[50, 100, 200]}
             untradeableCount={untradeableResults.length}
@@ -1244,7 +1252,7 @@ export default function CraftingJobPriceChecker({
         {/* Version Info */}
         <div className="mt-6 pt-4 border-t border-slate-600/30">
           <p className="text-xs text-slate-500 text-center">
-            版本號: <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+            {t('common.appVersion')} <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
           </p>
         </div>
       </div>
@@ -0,0 +1,638 @@
+// Crafting Planner (製作計畫) - Merge several target items into one material list and craft order
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import TaxRatesModal from './TaxRatesModal';
+import ServerSelector from './ServerSelector';
+import ItemImage from './ItemImage';
+import ExportButton from './ExportButton';
+import { APP_VERSION } from '../constants/version';
+import { getAggregatedMarketData } from '../services/universalis';
+import { searchTwItems, getTwItemsByIds } from '../services/supabaseData';
+import { buildBatchPlan, calculatePlanCost, formatCraftingPlan, getCraftingJobName } from '../services/craftingPlanner';
+import {
+  getCraftingQueue,
+  subscribeToCraftingQueue,
+  addToCraftingQueue,
+  updateCraftingQueueQuantity,
+  removeFromCraftingQueue,
+  clearCraftingQueue,
+} from '../utils/craftingQueue';
+import { getCraftingInventory, subscribeToCraftingInventory } from '../utils/craftingInventory';
+import { addItemsToShoppingList } from '../utils/shoppingList';
+import { getInternalUrl } from '../utils/internalUrl.js';
+import { generateItemUrl } from '../utils/urlSlug';
+import { useTranslation } from '../hooks/useTranslation';
+import { useItemNames } from '../hooks/useItemNames';
+
+const MAX_SEARCH_RESULTS = 8;
+// Universalis aggregated endpoint accepts up to 100 item IDs per request
+const PRICE_BATCH_SIZE = 100;
+
+/**
+ * Alternate recipes picked in the item page crafting tree, so both plan the same way
+ * @returns {Object} { [resultItemId]: recipeId }
+ */
+function getSavedRecipeChoices() {
+  try {
+    const saved = localStorage.getItem('craftingTreeRecipeChoices');
+    const parsed = saved ? JSON.parse(saved) : null;
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.error('Failed to read recipe choices:', error);
+    return {};
+  }
+}
+
+/**
+ * Key describing the queue contents, used to tell when a computed plan is out of date
+ */
+function getQueueKey(queue) {
+  return queue.map(entry => `${entry.itemId}x${entry.quantity}`).join(',');
+}
+
+export default function CraftingPlanner({
+  addToast,
+  removeToast,
+  toasts,
+  datacenters,
+  worlds,
+  selectedWorld,
+  onWorldChange,
+  selectedServerOption,
+  onServerOptionChange,
+  serverOptions,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  isServerDataLoaded,
+  onItemSelect,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const navigate = useNavigate();
+  const { t, language } = useTranslation();
+  const [queue, setQueue] = useState(() => getCraftingQueue());
+  const [ownedMaterials, setOwnedMaterials] = useState(() => getCraftingInventory());
+  const [itemQuery, setItemQuery] = useState('');
+  const [itemMatches, setItemMatches] = useState([]);
+  const [excludeCrystals, setExcludeCrystals] = useState(true);
+  const [useOwnedMaterials, setUseOwnedMaterials] = useState(true);
+  const [plan, setPlan] = useState(null);
+  const [plannedQueueKey, setPlannedQueueKey] = useState(null);
+  const [itemNames, setItemNames] = useState({});
+  const [prices, setPrices] = useState({});
+  const [isPlanning, setIsPlanning] = useState(false);
+  const abortControllerRef = useRef(null);
+
+  useEffect(() => {
+    const unsubscribeQueue = subscribeToCraftingQueue(setQueue);
+    const unsubscribeInventory = subscribeToCraftingInventory(setOwnedMaterials);
+    const handleStorageChange = (e) => {
+      if (e.key === 'ffxiv_market_crafting_queue') {
+        setQueue(getCraftingQueue());
+      } else if (e.key === 'ffxiv_market_crafting_inventory') {
+        setOwnedMaterials(getCraftingInventory());
+      }
+    };
+    window.addEventListener('storage', handleStorageChange);
+    return () => {
+      unsubscribeQueue();
+      unsubscribeInventory();
+      window.removeEventListener('storage', handleStorageChange);
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  // Debounced item search; stale responses are dropped
+  useEffect(() => {
+    if (!itemQuery.trim()) {
+      setItemMatches([]);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const matches = await searchTwItems(itemQuery);
+      if (cancelled) return;
+      setItemMatches(
+        Object.entries(matches)
+          .slice(0, MAX_SEARCH_RESULTS)
+          .map(([id, data]) => ({ itemId: parseInt(id, 10), itemName: data.tw }))
+      );
+    }, 200);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [itemQuery]);
+
+  const handleAddItem = useCallback((match) => {
+    addToCraftingQueue(match.itemId, match.itemName, 1);
+    setItemQuery('');
+  }, []);
+
+  const handlePlan = useCallback(async () => {
+    if (queue.length === 0) return;
+    if (!selectedServerOption) {
+      addToast(t('common.selectServer'), 'warning');
+      return;
+    }
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+
+    setIsPlanning(true);
+    try {
+      const nextPlan = await buildBatchPlan(queue, {
+        excludeCrystals,
+        recipeChoices: getSavedRecipeChoices(),
+        ownedMaterials: useOwnedMaterials ? ownedMaterials : {},
+        signal,
+      });
+      if (!nextPlan || signal.aborted) return;
+
+      const itemIds = [...new Set([
+        ...nextPlan.targets.map(target => target.itemId),
+        ...nextPlan.steps.map(step => step.itemId),
+        ...nextPlan.materials.map(material => material.itemId),
+      ])];
+      const names = await getTwItemsByIds(itemIds, signal);
+      if (signal.aborted) return;
+
+      // Only bought materials and the finished targets need a price
+      const priceIds = [...new Set([
+        ...nextPlan.materials.filter(material => material.toBuy > 0).map(material => material.itemId),
+        ...nextPlan.targets.map(target => target.itemId),
+      ])];
+      const nextPrices = {};
+      for (let i = 0; i < priceIds.length; i += PRICE_BATCH_SIZE) {
+        const batchResults = await getAggregatedMarketData(
+          selectedServerOption,
+          priceIds.slice(i, i + PRICE_BATCH_SIZE),
+          worlds,
+          { signal }
+        );
+        if (signal.aborted) return;
+        Object.assign(nextPrices, batchResults);
+      }
+
+      const nameMap = {};
+      Object.entries(names).forEach(([itemId, item]) => {
+        nameMap[itemId] = item.tw;
+      });
+      setItemNames(nameMap);
+      setPrices(nextPrices);
+      setPlan(nextPlan);
+      setPlannedQueueKey(getQueueKey(queue));
+
+      const uncraftable = nextPlan.targets.filter(target => !target.hasRecipe);
+      if (uncraftable.length > 0) {
+        addToast(t('craftingPlanner.uncraftable', { count: uncraftable.length }), 'warning');
+      }
+    } catch (error) {
+      if (!signal.aborted) {
+        console.error('Failed to build crafting plan:', error);
+        addToast(t('craftingPlanner.planFailed'), 'error');
+      }
+    } finally {
+      if (!signal.aborted) {
+        setIsPlanning(false);
+      }
+    }
+  }, [queue, selectedServerOption, worlds, excludeCrystals, useOwnedMaterials, ownedMaterials, addToast, t]);
+
+  const cost = useMemo(() => (plan ? calculatePlanCost(plan, prices) : null), [plan, prices]);
+  const isPlanOutdated = !!plan && plannedQueueKey !== getQueueKey(queue);
+  const craftSteps = useMemo(() => (plan ? plan.steps.filter(step => step.crafts > 0) : []), [plan]);
+
+  const localizedNames = useItemNames(
+    [...new Set([
+      ...queue.map(entry => entry.itemId),
+      ...itemMatches.map(match => match.itemId),
+      ...(plan ? plan.materials.map(material => material.itemId) : []),
+      ...craftSteps.map(step => step.itemId),
+    ])],
+    language
+  );
+  const getName = useCallback((itemId) => (
+    localizedNames[itemId] || itemNames[itemId] || t('common.itemFallback', { id: itemId })
+  ), [localizedNames, itemNames, t]);
+
+  const handleOpenItem = useCallback((itemId) => {
+    const itemUrl = generateItemUrl(itemId, itemNames[itemId] || 'item');
+    window.open(`${window.location.origin}${getInternalUrl(itemUrl)}`, '_blank', 'noopener,noreferrer');
+  }, [itemNames]);
+
+  const handleCopyPlan = useCallback(() => {
+    if (!plan) return;
+    const planNames = Object.fromEntries(
+      [...plan.materials, ...plan.steps].map(({ itemId }) => [itemId, getName(itemId)])
+    );
+    navigator.clipboard.writeText(formatCraftingPlan(plan, planNames, language)).then(() => {
+      addToast(t('craftingPlanner.copied'), 'success');
+    }).catch(() => {
+      addToast(t('common.copyFailed'), 'error');
+    });
+  }, [plan, getName, language, addToast, t]);
+
+  const handleAddMaterialsToShoppingList = useCallback(() => {
+    if (!plan) return;
+    const count = addItemsToShoppingList(
+      plan.materials
+        .filter(material => material.toBuy > 0)
+        .map(material => ({ itemId: material.itemId, itemName: itemNames[material.itemId], quantity: material.toBuy }))
+    );
+    if (count > 0) {
+      addToast(t('craftingPlanner.addedMaterials', { count }), 'success');
+    }
+  }, [plan, itemNames, addToast, t]);
+
+  const materialExportColumns = useMemo(() => [
+    { key: 'itemId', label: 'ID' },
+    { key: 'name', label: t('table.itemName'), value: (row) => localizedNames[row.itemId] || itemNames[row.itemId] || '' },
+    { key: 'required', label: t('craftingPlanner.required') },
+    { key: 'owned', label: t('craftingPlanner.owned') },
+    { key: 'toBuy', label: t('craftingPlanner.toBuy') },
+    { key: 'price', label: t('table.unitPrice'), value: (row) => prices[row.itemId]?.price ?? '' },
+    { key: 'subtotal', label: t('craftingPlanner.subtotal'), value: (row) => (prices[row.itemId]?.price ? prices[row.itemId].price * row.toBuy : '') },
+  ], [itemNames, localizedNames, prices, t]);
+
+  const stepExportColumns = useMemo(() => [
+    { key: 'order', label: t('craftingPlanner.order'), value: (row) => craftSteps.indexOf(row) + 1 },
+    { key: 'job', label: t('craftingPlanner.job'), value: (row) => getCraftingJobName(row.job, language) },
+    { key: 'level', label: t('common.level') },
+    { key: 'itemId', label: 'ID' },
+    { key: 'name', label: t('table.itemName'), value: (row) => localizedNames[row.itemId] || itemNames[row.itemId] || '' },
+    { key: 'crafts', label: t('craftingPlanner.crafts') },
+    { key: 'produced', label: t('craftingPlanner.produced') },
+    { key: 'surplus', label: t('craftingPlanner.surplus') },
+  ], [craftSteps, itemNames, localizedNames, language, t]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        onTaxRatesClick={onTaxRatesClick}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+              {t('craftingPlanner.title')}
+            </h1>
+            <p className="text-gray-400 text-sm sm:text-base">
+              {t('craftingPlanner.description')}
+            </p>
+          </div>
+
+          {/* Server Selector */}
+          {selectedWorld && (
+            <div className="mb-6">
+              <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
+                {t('common.queryServer')}
+              </label>
+              <ServerSelector
+                datacenters={datacenters}
+                worlds={worlds}
+                selectedWorld={selectedWorld}
+                onWorldChange={onWorldChange}
+                selectedServerOption={selectedServerOption}
+                onServerOptionChange={onServerOptionChange}
+                serverOptions={serverOptions}
+                disabled={isPlanning}
+              />
+            </div>
+          )}
+
+          {/* Queue */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
+            <div className="flex items-center justify-between flex-wrap gap-3 mb-3">
+              <h2 className="text-lg font-semibold text-ffxiv-gold">{t('craftingPlanner.targetsTitle', { count: queue.length })}</h2>
+              {queue.length > 0 && (
+                <button
+                  onClick={clearCraftingQueue}
+                  disabled={isPlanning}
+                  className="text-xs text-gray-400 hover:text-red-400 transition-colors disabled:opacity-50"
+                >
+                  {t('common.clear')}
+                </button>
+              )}
+            </div>
+            <div className="relative mb-3">
+              <input
+                type="text"
+                value={itemQuery}
+                onChange={(e) => setItemQuery(e.target.value)}
+                placeholder={t('craftingPlanner.searchPlaceholder')}
+                className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold"
+              />
+              {itemMatches.length > 0 && (
+                <div className="absolute top-full left-0 right-0 mt-1 bg-slate-900/95 border border-purple-500/30 rounded-lg shadow-xl z-20 py-1">
+                  {itemMatches.map(match => (
+                    <button
+                      key={match.itemId}
+                      onClick={() => handleAddItem(match)}
+                      className="w-full px-3 py-1.5 flex items-center gap-2 hover:bg-purple-900/30 transition-colors text-left text-sm"
+                    >
+                      <ItemImage itemId={match.itemId} alt={localizedNames[match.itemId] || match.itemName} className="w-6 h-6 object-contain rounded" />
+                      <span className="text-white truncate">{localizedNames[match.itemId] || match.itemName}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {queue.length === 0 ? (
+              <p className="text-sm text-gray-500 py-4 text-center">{t('craftingPlanner.emptyQueue')}</p>
+            ) : (
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 mb-4">
+                {queue.map(entry => {
+                  const entryName = localizedNames[entry.itemId] || entry.itemName || t('common.itemFallback', { id: entry.itemId });
+                  return (
+                    <div
+                      key={entry.itemId}
+                      className="flex items-center gap-2 px-2 py-1.5 rounded bg-slate-900/50 border border-purple-500/30"
+                    >
+                      <ItemImage itemId={entry.itemId} alt={entryName} className="w-6 h-6 object-contain rounded flex-shrink-0" />
+                      <span className="text-white text-sm truncate flex-1" title={entryName}>
+                        {entryName}
+                      </span>
+                      <input
+                        type="number"
+                        min="1"
+                        max="999"
+                        value={entry.quantity}
+                        onChange={(e) => updateCraftingQueueQuantity(entry.itemId, e.target.value)}
+                        disabled={isPlanning}
+                        className="w-16 px-1.5 py-0.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                        aria-label={t('table.quantity')}
+                      />
+                      <button
+                        onClick={() => removeFromCraftingQueue(entry.itemId)}
+                        disabled={isPlanning}
+                        className="text-gray-500 hover:text-red-400 transition-colors"
+                        title={t('common.remove')}
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
+            <div className="flex items-center gap-3 flex-wrap">
+              <button
+                onClick={handlePlan}
+                disabled={isPlanning || queue.length === 0 || !selectedServerOption}
+                className="px-4 py-2 rounded-lg text-sm font-semibold bg-gradient-to-r from-ffxiv-gold to-yellow-500 text-slate-900 hover:shadow-[0_0_15px_rgba(212,175,55,0.5)] disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+              >
+                {isPlanning ? t('craftingPlanner.planning') : t('craftingPlanner.plan')}
+              </button>
+              <label className="flex items-center gap-1.5 text-xs text-gray-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={excludeCrystals}
+                  onChange={(e) => setExcludeCrystals(e.target.checked)}
+                  disabled={isPlanning}
+                  className="accent-ffxiv-gold"
+                />
+                {t('craftingPlanner.excludeCrystals')}
+              </label>
+              <label className="flex items-center gap-1.5 text-xs text-gray-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={useOwnedMaterials}
+                  onChange={(e) => setUseOwnedMaterials(e.target.checked)}
+                  disabled={isPlanning}
+                  className="accent-ffxiv-gold"
+                />
+                {t('craftingPlanner.useOwned')}
+              </label>
+              {isPlanOutdated && !isPlanning && (
+                <span className="text-xs text-yellow-400">{t('craftingPlanner.outdated')}</span>
+              )}
+            </div>
+          </div>
+
+          {plan && cost && (
+            <>
+              {/* Summary */}
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-6">
+                <div className="bg-slate-800/60 rounded-lg border border-purple-500/20 p-4">
+                  <div className="text-xs text-gray-400 mb-1">{t('craftingPlanner.materialCost')}</div>
+                  <div className="text-2xl font-bold text-ffxiv-gold">{cost.materialCost.toLocaleString()}</div>
+                  {cost.missingPriceIds.length > 0 && (
+                    <div className="text-[11px] text-yellow-500 mt-1">{t('craftingPlanner.missingPrices', { count: cost.missingPriceIds.length })}</div>
+                  )}
+                </div>
+                <div className="bg-slate-800/60 rounded-lg border border-purple-500/20 p-4">
+                  <div className="text-xs text-gray-400 mb-1">{t('craftingPlanner.targetValue')}</div>
+                  <div className="text-2xl font-bold text-white">{cost.targetValue.toLocaleString()}</div>
+                </div>
+                <div className="bg-slate-800/60 rounded-lg border border-purple-500/20 p-4">
+                  <div className="text-xs text-gray-400 mb-1">{t('craftingPlanner.savings')}</div>
+                  <div className={`text-2xl font-bold ${cost.targetValue - cost.materialCost >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                    {cost.targetValue > 0 ? (cost.targetValue - cost.materialCost).toLocaleString() : '-'}
+                  </div>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                {/* Materials */}
+                <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6">
+                  <div className="flex items-center gap-3 flex-wrap mb-4">
+                    <h2 className="text-lg font-semibold text-ffxiv-gold">{t('craftingPlanner.materialsTitle', { count: plan.materials.length })}</h2>
+                    <button
+                      onClick={handleAddMaterialsToShoppingList}
+                      className="text-xs text-gray-400 hover:text-ffxiv-gold transition-colors"
+                    >
+                      {t('shoppingList.addTitle')}
+                    </button>
+                    <ExportButton
+                      getRows={() => plan.materials}
+                      columns={materialExportColumns}
+                      filename="crafting-plan-materials"
+                      className="ml-auto"
+                    />
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="border-b border-purple-500/30">
+                          <th className="px-2 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('table.item')}</th>
+                          <th className="px-2 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('craftingPlanner.required')}</th>
+                          <th className="px-2 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('craftingPlanner.owned')}</th>
+                          <th className="px-2 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('craftingPlanner.toBuy')}</th>
+                          <th className="px-2 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('craftingPlanner.subtotal')}</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {plan.materials.map(material => {
+                          const price = prices[material.itemId]?.price;
+                          return (
+                            <tr
+                              key={material.itemId}
+                              className={`border-b border-purple-500/10 hover:bg-purple-900/20 transition-colors ${material.toBuy === 0 ? 'opacity-50' : ''}`}
+                            >
+                              <td className="px-2 py-1.5">
+                                <button
+                                  onClick={() => handleOpenItem(material.itemId)}
+                                  className="flex items-center gap-2 text-left hover:text-ffxiv-gold transition-colors"
+                                >
+                                  <ItemImage itemId={material.itemId} alt={getName(material.itemId)} className="w-6 h-6 object-contain rounded" />
+                                  <span className="text-white text-xs sm:text-sm">{getName(material.itemId)}</span>
+                                </button>
+                              </td>
+                              <td className="px-2 py-1.5 text-right text-xs text-gray-300">{material.required.toLocaleString()}</td>
+                              <td className="px-2 py-1.5 text-right text-xs text-gray-400">{material.owned > 0 ? material.owned.toLocaleString() : '-'}</td>
+                              <td className="px-2 py-1.5 text-right text-xs text-white font-semibold">{material.toBuy.toLocaleString()}</td>
+                              <td
+                                className="px-2 py-1.5 text-right text-xs text-ffxiv-gold"
+                                title={price ? `${t('craftingPlanner.unitPriceTitle', { price: price.toLocaleString() })}${prices[material.itemId]?.worldName ? ` @ ${prices[material.itemId].worldName}` : ''}` : undefined}
+                              >
+                                {material.toBuy === 0 ? '-' : price ? (price * material.toBuy).toLocaleString() : <span className="text-gray-500">{t('common.noPrice')}</span>}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+
+                {/* Craft steps */}
+                <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6">
+                  <div className="flex items-center gap-3 flex-wrap mb-4">
+                    <h2 className="text-lg font-semibold text-ffxiv-gold">{t('craftingPlanner.stepsTitle', { count: craftSteps.length })}</h2>
+                    <button
+                      onClick={handleCopyPlan}
+                      className="text-xs text-gray-400 hover:text-ffxiv-gold transition-colors"
+                    >
+                      {t('craftingPlanner.copyPlan')}
+                    </button>
+                    <ExportButton
+                      getRows={() => craftSteps}
+                      columns={stepExportColumns}
+                      filename="crafting-plan-steps"
+                      className="ml-auto"
+                    />
+                  </div>
+                  {craftSteps.length === 0 ? (
+                    <p className="text-center text-gray-400 py-8 text-sm">{t('craftingPlanner.noCrafts')}</p>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="border-b border-purple-500/30">
+                            <th className="px-2 py-2 text-left text-ffxiv-gold font-semibold text-xs">#</th>
+                            <th className="px-2 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('craftingPlanner.job')}</th>
+                            <th className="px-2 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('table.item')}</th>
+                            <th className="px-2 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('craftingPlanner.crafts')}</th>
+                            <th className="px-2 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('craftingPlanner.produced')}</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {craftSteps.map((step, index) => (
+                            <tr
+                              key={step.itemId}
+                              className={`border-b border-purple-500/10 hover:bg-purple-900/20 transition-colors ${step.isTarget ? 'bg-ffxiv-gold/5' : ''}`}
+                            >
+                              <td className="px-2 py-1.5 text-xs text-gray-500">{index + 1}</td>
+                              <td className="px-2 py-1.5 text-xs text-gray-300 whitespace-nowrap">
+                                {getCraftingJobName(step.job, language)} <span className="text-gray-500">Lv.{step.level}</span>
+                              </td>
+                              <td className="px-2 py-1.5">
+                                <button
+                                  onClick={() => handleOpenItem(step.itemId)}
+                                  className="flex items-center gap-2 text-left hover:text-ffxiv-gold transition-colors"
+                                >
+                                  <ItemImage itemId={step.itemId} alt={getName(step.itemId)} className="w-6 h-6 object-contain rounded" />
+                                  <span className={`text-xs sm:text-sm ${step.isTarget ? 'text-ffxiv-gold' : 'text-white'}`}>{getName(step.itemId)}</span>
+                                </button>
+                              </td>
+                              <td className="px-2 py-1.5 text-right text-xs text-white font-semibold">{step.crafts.toLocaleString()}</td>
+                              <td
+                                className="px-2 py-1.5 text-right text-xs text-gray-300"
+                                title={step.owned > 0 ? t('craftingPlanner.ownedTitle', { count: step.owned }) : undefined}
+                              >
+                                {step.produced.toLocaleString()}
+                                {step.surplus > 0 && <span className="ml-1 text-gray-500">(+{step.surplus})</span>}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Version Info */}
+        <div className="mt-6 pt-4 border-t border-slate-600/30">
+          <p className="text-xs text-slate-500 text-center">
+            {t('common.appVersion')} <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+          </p>
+        </div>
+      </div>
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,239 @@
+// Crafting Profit Panel - net profit, margin and gil/hour for the crafting tree root
+import { useState, useEffect, useMemo } from 'react';
+import { getTaxRates, getItemsVelocity } from '../services/universalis';
+import { calculateCraftingProfit, getLowestTaxRate } from '../services/craftingProfit';
+import { addItemsToShoppingList } from '../utils/shoppingList';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Universalis city names -> message keys
+const CITY_KEYS = {
+  'Limsa Lominsa': 'city.limsaLominsa',
+  LimsaLominsa: 'city.limsaLominsa',
+  Gridania: 'city.gridania',
+  "Ul'dah": 'city.uldah',
+  Ishgard: 'city.ishgard',
+  Kugane: 'city.kugane',
+  Crystarium: 'city.crystarium',
+  'Old Sharlayan': 'city.oldSharlayan',
+  OldSharlayan: 'city.oldSharlayan',
+  Tuliyollal: 'city.tuliyollal',
+};
+
+function formatGil(value) {
+  if (value === null || value === undefined) return '-';
+  return Math.round(value).toLocaleString();
+}
+
+export default function CraftingProfitPanel({
+  tree,
+  itemPrices,
+  itemNames = {},
+  isLoadingPrices,
+  selectedServerOption,
+  selectedWorld,
+  excludeCrystals = true,
+}) {
+  const { t } = useTranslation();
+  const [taxRates, setTaxRates] = useState(null);
+  const [dailyVelocity, setDailyVelocity] = useState(null);
+  const [salePriceOverride, setSalePriceOverride] = useState('');
+  const [showPlan, setShowPlan] = useState(false);
+  const [addedToList, setAddedToList] = useState(false);
+
+  // Sell on the selected world, or the first world of the DC when the whole DC is selected
+  const sellWorldId = typeof selectedServerOption === 'number'
+    ? selectedServerOption
+    : selectedWorld?.dcObj?.worlds?.[0] ?? null;
+  const dcName = selectedWorld?.section || null;
+  const rootItemId = tree?.itemId;
+
+  useEffect(() => {
+    setSalePriceOverride('');
+    setAddedToList(false);
+  }, [rootItemId]);
+
+  useEffect(() => {
+    if (!sellWorldId) {
+      setTaxRates(null);
+      return;
+    }
+    const controller = new AbortController();
+    getTaxRates(sellWorldId, { signal: controller.signal }).then(rates => {
+      if (!controller.signal.aborted) {
+        setTaxRates(rates);
+      }
+    });
+    return () => controller.abort();
+  }, [sellWorldId]);
+
+  useEffect(() => {
+    if (!dcName || !rootItemId) {
+      setDailyVelocity(null);
+      return;
+    }
+    const controller = new AbortController();
+    getItemsVelocity(dcName, [rootItemId], { signal: controller.signal }).then(results => {
+      if (!controller.signal.aborted) {
+        setDailyVelocity(results[rootItemId]?.velocity ?? null);
+      }
+    });
+    return () => controller.abort();
+  }, [dcName, rootItemId]);
+
+  const lowestTax = useMemo(() => getLowestTaxRate(taxRates), [taxRates]);
+
+  const profit = useMemo(() => {
+    if (!tree || isLoadingPrices) return null;
+    const override = Number(salePriceOverride);
+    const salePrice = salePriceOverride !== '' && override > 0
+      ? override
+      : itemPrices[tree.itemId]?.price ?? null;
+    return calculateCraftingProfit({
+      tree,
+      itemPrices,
+      salePrice,
+      // Universalis default tax is 5% when rates are unavailable
+      taxRate: lowestTax ? lowestTax.rate : 5,
+      dailyVelocity,
+      includeCrystals: !excludeCrystals,
+    });
+  }, [tree, itemPrices, isLoadingPrices, salePriceOverride, lowestTax, dailyVelocity, excludeCrystals]);
+
+  if (!tree || !tree.children || tree.children.length === 0) {
+    return null;
+  }
+
+  if (isLoadingPrices || !profit) {
+    return (
+      <div className="mt-4 pt-3 border-t border-purple-500/20 flex items-center gap-2 text-xs text-gray-400">
+        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-ffxiv-gold"></div>
+        {t('craftingProfit.calculating')}
+      </div>
+    );
+  }
+
+  const profitColor = profit.netProfit === null
+    ? 'text-gray-400'
+    : profit.netProfit >= 0 ? 'text-green-400' : 'text-red-400';
+  const getName = (itemId) => itemNames[itemId] || t('common.itemFallback', { id: itemId });
+
+  const handleAddBuyListToShoppingList = () => {
+    addItemsToShoppingList(profit.plan.buy.map(entry => ({
+      itemId: entry.itemId,
+      itemName: itemNames[entry.itemId] || '',
+      quantity: entry.amount,
+    })));
+    setAddedToList(true);
+  };
+
+  return (
+    <div className="mt-4 pt-3 border-t border-purple-500/20">
+      <div className="flex items-center justify-between flex-wrap gap-2 mb-3">
+        <h4 className="text-sm font-semibold text-ffxiv-gold">{t('craftingProfit.title')}</h4>
+        <div className="flex items-center gap-2 text-xs text-gray-400">
+          <label htmlFor="crafting-profit-sale-price">{t('craftingProfit.salePrice')}</label>
+          <input
+            id="crafting-profit-sale-price"
+            type="number"
+            min="1"
+            value={salePriceOverride}
+            onChange={(e) => setSalePriceOverride(e.target.value)}
+            placeholder={formatGil(itemPrices[tree.itemId]?.price)}
+            className="w-28 px-2 py-1 bg-slate-900/50 border border-purple-500/30 rounded text-white text-xs text-right focus:outline-none focus:border-ffxiv-gold"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 sm:gap-3 text-xs">
+        <div className="bg-slate-900/40 rounded-md border border-slate-600/40 p-2">
+          <div className="text-gray-400 mb-1">{t('craftingProfit.materialCost')}</div>
+          <div className="text-white font-semibold text-sm">{formatGil(profit.materialCost)}</div>
+          {profit.unitsProduced > 1 && (
+            <div className="text-[10px] text-gray-500">{t('craftingProfit.unitsPerCraft', { count: profit.unitsProduced })}</div>
+          )}
+        </div>
+        <div className="bg-slate-900/40 rounded-md border border-slate-600/40 p-2">
+          <div className="text-gray-400 mb-1">{t('craftingProfit.netRevenue')}</div>
+          <div className="text-white font-semibold text-sm">{formatGil(profit.netRevenue)}</div>
+          <div className="text-[10px] text-gray-500">
+            {t('common.taxRate', { rate: profit.taxRate })}
+            {lowestTax
+              ? t('craftingProfit.taxCity', { city: CITY_KEYS[lowestTax.city] ? t(CITY_KEYS[lowestTax.city]) : lowestTax.city })
+              : t('craftingProfit.taxDefault')}
+          </div>
+        </div>
+        <div className="bg-slate-900/40 rounded-md border border-slate-600/40 p-2">
+          <div className="text-gray-400 mb-1">{t('craftingProfit.netProfit')}</div>
+          <div className={`font-semibold text-sm ${profitColor}`}>
+            {formatGil(profit.netProfit)}
+            {profit.margin !== null && (
+              <span className="ml-1 text-xs">({(profit.margin * 100).toFixed(1)}%)</span>
+            )}
+          </div>
+        </div>
+        <div className="bg-slate-900/40 rounded-md border border-slate-600/40 p-2">
+          <div className="text-gray-400 mb-1">{t('craftingProfit.gilPerHour')}</div>
+          <div className={`font-semibold text-sm ${profitColor}`}>{formatGil(profit.gilPerHour)}</div>
+          <div className="text-[10px] text-gray-500">
+            {t('craftingProfit.dcVelocity', { velocity: profit.dailyVelocity !== null ? profit.dailyVelocity.toFixed(1) : '-' })}
+          </div>
+        </div>
+      </div>
+
+      {profit.materialCost === null && (
+        <p className="mt-2 text-xs text-orange-300">{t('craftingProfit.missingPrices')}</p>
+      )}
+      {excludeCrystals && (
+        <p className="mt-2 text-xs text-gray-500">{t('craftingProfit.crystalsExcluded')}</p>
+      )}
+
+      {/* Craft / buy plan */}
+      <button
+        onClick={() => setShowPlan(!showPlan)}
+        className="mt-3 text-xs text-purple-300 hover:text-ffxiv-gold transition-colors"
+      >
+        {showPlan ? '▼' : '▶'} {t('craftingProfit.plan')}
+      </button>
+      {showPlan && (
+        <div className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-3 text-xs">
+          <div>
+            <div className="flex items-center justify-between gap-2 mb-1">
+              <span className="text-blue-400 font-semibold">{t('craftingProfit.buy', { count: profit.plan.buy.length })}</span>
+              {profit.plan.buy.length > 0 && (
+                <button
+                  onClick={handleAddBuyListToShoppingList}
+                  disabled={addedToList}
+                  className="text-[10px] px-1.5 py-0.5 rounded border border-blue-500/40 text-blue-300 hover:bg-blue-900/40 disabled:opacity-60 disabled:cursor-default transition-colors"
+                >
+                  {addedToList ? t('shoppingList.added') : t('shoppingList.addAll')}
+                </button>
+              )}
+            </div>
+            <ul className="space-y-0.5">
+              {profit.plan.buy.map(entry => (
+                <li key={entry.itemId} className="flex justify-between gap-2 text-gray-300">
+                  <span>{getName(entry.itemId)} × {entry.amount}</span>
+                  <span className="text-gray-400">{formatGil(entry.cost)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+          <div>
+            <div className="text-green-400 font-semibold mb-1">{t('craftingProfit.craft', { count: profit.plan.craft.length })}</div>
+            <ul className="space-y-0.5">
+              {profit.plan.craft.map(entry => (
+                <li key={entry.itemId} className="flex justify-between gap-2 text-gray-300">
+                  <span>{getName(entry.itemId)} × {entry.amount}</span>
+                  <span className="text-gray-400">{t('craftingProfit.crafts', { count: entry.crafts })}{entry.level ? ` · Lv.${entry.level}` : ''}</span>
+                </li>
+              ))}
+              {profit.plan.craft.length === 0 && (
+                <li className="text-gray-500">{t('craftingProfit.allCheaperToBuy')}</li>
+              )}
+            </ul>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -6,6 +6,22 @@ import { getInternalUrl } from '../utils/internalUrl.js';
 import { getAggregatedMarketData } from '../services/universalis';
 import { getTwItemsByIds } from '../services/supabaseData';
 import { generateItemUrl } from '../utils/urlSlug';
+import CraftingProfitPanel from './CraftingProfitPanel';
+import { addToShoppingList } from '../utils/shoppingList';
+import { addToCraftingQueue } from '../utils/craftingQueue';
+import ExportButton from './ExportButton';
+import { applyOwnedMaterials, flattenCraftingTree } from '../services/recipeDatabase';
+import {
+  getCraftingInventory,
+  subscribeToCraftingInventory,
+  setOwnedMaterialCount,
+  clearOwnedMaterials,
+} from '../utils/craftingInventory';
+import { getJobName } from '../utils/gameDataNames';
+import { useTranslation } from '../hooks/useTranslation';
+import { useItemNames } from '../hooks/useItemNames';
+import { translate } from '../i18n';
+import { getUILanguage } from '../utils/uiLanguage';
 
 /**
  * Format number with rounding to integer and locale string
@@ -15,10 +31,18 @@ function formatPrice(value) {
   return Math.round(value).toLocaleString();
 }
 
+// Render a translated message with its {placeholders} filled in as highlighted spans
+function renderHighlighted(message, values, className) {
+  return message.split(/\{(\w+)\}/).map((part, index) => (
+    index % 2 === 1 ? <span key={index} className={className}>{values[part]}</span> : part
+  ));
+}
+
 /**
  * Copy button component
  */
 function CopyButton({ text, onCopy }) {
+  const { t } = useTranslation();
   const [copied, setCopied] = useState(false);
 
   const handleCopy = async (e) => {
@@ -43,7 +67,7 @@ function CopyButton({ text, onCopy }) {
           : 'text-gray-500 hover:text-ffxiv-gold hover:bg-purple-800/40'
         }
       `}
-      title={copied ? '已複製' : '複製名稱'}
+      title={copied ? t('craftingTree.copied') : t('craftingTree.copyName')}
     >
       {copied ? (
         <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -62,6 +86,8 @@ function CopyButton({ text, onCopy }) {
  * Calculation breakdown modal component
  */
 function CalculationModal({ isOpen, onClose, breakdown, itemNames, itemPrices, parentPrice, childrenTotalPrice, yields, isRoot = false, amount = 1, parentUnitPrice = null }) {
+  const { t } = useTranslation();
+
   if (!isOpen) return null;
   
   // Calculate unit price if not provided
@@ -84,7 +110,7 @@ function CalculationModal({ isOpen, onClose, breakdown, itemNames, itemPrices, p
       >
         {/* Header */}
         <div className="flex items-center justify-between p-4 border-b border-purple-500/30">
-          <h3 className="text-lg font-semibold text-ffxiv-gold">計算公式詳情</h3>
+          <h3 className="text-lg font-semibold text-ffxiv-gold">{t('craftingTree.formulaTitle')}</h3>
           <button
             onClick={onClose}
             className="text-gray-400 hover:text-white transition-colors"
@@ -100,17 +126,17 @@ function CalculationModal({ isOpen, onClose, breakdown, itemNames, itemPrices, p
           {/* Materials breakdown */}
           {breakdown && breakdown.length > 0 ? (
             <div>
-              <h4 className="text-sm font-semibold text-gray-300 mb-2">材料成本明細：</h4>
+              <h4 className="text-sm font-semibold text-gray-300 mb-2">{t('craftingTree.materialBreakdown')}</h4>
               <div className="space-y-2">
                 {breakdown.map((item, index) => {
-                  const itemName = itemNames[item.itemId] || `物品 ${item.itemId}`;
+                  const itemName = itemNames[item.itemId] || t('common.itemFallback', { id: item.itemId });
                   return (
                     <div key={index} className="flex items-center justify-between p-2 bg-slate-700/50 rounded">
                       <div className="flex-1">
                         <div className="text-sm text-gray-300">{itemName}</div>
                         <div className="text-xs text-gray-500">
-                          {item.amount} 個 × {formatPrice(item.unitCost)} = {formatPrice(item.totalCost)}
-                          {item.method === 'craft' && ' (製作)'}
+                          {t('craftingTree.materialLine', { amount: item.amount, unit: formatPrice(item.unitCost), total: formatPrice(item.totalCost) })}
+                          {item.method === 'craft' && t('craftingTree.craftedSuffix')}
                         </div>
                       </div>
                       <div className="text-sm font-semibold text-green-400">
@@ -122,7 +148,7 @@ function CalculationModal({ isOpen, onClose, breakdown, itemNames, itemPrices, p
               </div>
               <div className="mt-3 pt-3 border-t border-purple-500/30">
                 <div className="flex items-center justify-between">
-                  <span className="text-sm text-gray-400">材料總成本：</span>
+                  <span className="text-sm text-gray-400">{t('craftingTree.materialTotal')}</span>
                   <span className="text-base font-bold text-green-400">
                     {formatPrice(breakdown.reduce((sum, item) => sum + item.totalCost, 0))}
                   </span>
@@ -131,11 +157,11 @@ function CalculationModal({ isOpen, onClose, breakdown, itemNames, itemPrices, p
                   <div className="mt-2 pt-2 border-t border-purple-500/20">
                     <div className="flex items-center justify-between">
                       <span className="text-sm text-gray-400">
-                        製作產出數量：<span className="text-blue-300 font-semibold">{yields}</span>
+                        {renderHighlighted(t('craftingTree.yields'), { yields }, 'text-blue-300 font-semibold')}
                       </span>
                     </div>
                     <div className="flex items-center justify-between mt-1">
-                      <span className="text-sm text-gray-300">單個成本 = 總成本 ÷ 產出數量：</span>
+                      <span className="text-sm text-gray-300">{t('craftingTree.unitCostFormula')}</span>
                       <span className="text-base font-bold text-blue-400">
                         {formatPrice(breakdown.reduce((sum, item) => sum + item.totalCost, 0))} ÷ {yields} ≈ {formatPrice(breakdown.reduce((sum, item) => sum + item.totalCost, 0) / yields)}
                       </span>
@@ -146,10 +172,10 @@ function CalculationModal({ isOpen, onClose, breakdown, itemNames, itemPrices, p
             </div>
           ) : childrenTotalPrice !== null && typeof childrenTotalPrice === 'number' ? (
             <div>
-              <h4 className="text-sm font-semibold text-gray-300 mb-2">材料成本：</h4>
+              <h4 className="text-sm font-semibold text-gray-300 mb-2">{t('craftingTree.materialCost')}</h4>
               <div className="p-2 bg-slate-700/50 rounded">
                 <div className="flex items-center justify-between">
-                  <span className="text-sm text-gray-400">材料總成本：</span>
+                  <span className="text-sm text-gray-400">{t('craftingTree.materialTotal')}</span>
                   <span className="text-base font-bold text-green-400">
                     {yields && yields > 1 
                       ? `${formatPrice(childrenTotalPrice * yields)} ÷ ${yields} ≈ ${formatPrice(childrenTotalPrice)}`
@@ -160,7 +186,7 @@ function CalculationModal({ isOpen, onClose, breakdown, itemNames, itemPrices, p
                 {yields && yields > 1 && (
                   <div className="mt-2 pt-2 border-t border-purple-500/20">
                     <div className="text-xs text-gray-500">
-                      製作產出數量：<span className="text-blue-300 font-semibold">{yields}</span>，已納入成本考量
+                      {renderHighlighted(t('craftingTree.yieldsIncluded'), { yields }, 'text-blue-300 font-semibold')}
                     </div>
                   </div>
                 )}
@@ -171,10 +197,10 @@ function CalculationModal({ isOpen, onClose, breakdown, itemNames, itemPrices, p
           {/* Comparison */}
           {parentPrice !== null && childrenTotalPrice !== null && typeof childrenTotalPrice === 'number' && (
             <div className="pt-4 border-t border-purple-500/30">
-              <h4 className="text-sm font-semibold text-gray-300 mb-2">價格比較：</h4>
+              <h4 className="text-sm font-semibold text-gray-300 mb-2">{t('craftingTree.priceComparison')}</h4>
               <div className="space-y-2">
                 <div className="flex items-center justify-between p-2 bg-slate-700/50 rounded">
-                  <span className="text-sm text-gray-300">製作成本{isRoot && yields && yields > 1 ? ` (已考慮產出數量=${yields})` : ''}：</span>
+                  <span className="text-sm text-gray-300">{isRoot && yields && yields > 1 ? t('craftingTree.craftCostWithYields', { yields }) : t('craftingTree.craftCost')}</span>
                   <span className="text-sm font-semibold text-green-400">
                     {yields && yields > 1 
                       ? `${formatPrice(childrenTotalPrice * yields)} ÷ ${yields} ≈ ${formatPrice(childrenTotalPrice)}`
@@ -184,19 +210,19 @@ function CalculationModal({ isOpen, onClose, breakdown, itemNames, itemPrices, p
                 </div>
                 <div className="p-2 bg-slate-700/50 rounded">
                   <div className="flex items-center justify-between mb-1">
-                    <span className="text-sm text-gray-300">購買成本：</span>
+                    <span className="text-sm text-gray-300">{t('craftingTree.buyCost')}</span>
                   <span className="text-sm font-semibold text-yellow-400">
                     {formatPrice(parentPrice)}
                   </span>
                 </div>
                 {amount > 1 && unitPrice !== null && (
                   <div className="text-xs text-gray-500 mt-1">
-                    單價：{formatPrice(unitPrice)} × {amount} 個 = {formatPrice(parentPrice)}
+                    {t('craftingTree.unitPriceLine', { unit: formatPrice(unitPrice), amount, total: formatPrice(parentPrice) })}
                   </div>
                 )}
                 </div>
                 <div className="flex items-center justify-between p-2 bg-slate-700/50 rounded mt-2">
-                  <span className="text-sm font-semibold text-gray-200">差額：</span>
+                  <span className="text-sm font-semibold text-gray-200">{t('craftingTree.difference')}</span>
                   <span className={`text-sm font-bold ${parentPrice - childrenTotalPrice > 0 ? 'text-green-400' : 'text-red-400'}`}>
                     {parentPrice > childrenTotalPrice ? '+' : ''}{formatPrice(parentPrice - childrenTotalPrice)}
                   </span>
@@ -210,6 +236,177 @@ function CalculationModal({ isOpen, onClose, breakdown, itemNames, itemPrices, p
   );
 }
 
+/**
+ * Add-to-shopping-list button component
+ */
+function AddToListButton({ itemId, itemName, quantity }) {
+  const { t } = useTranslation();
+  const [added, setAdded] = useState(false);
+
+  const handleAdd = (e) => {
+    e.stopPropagation();
+    if (addToShoppingList(itemId, itemName, quantity)) {
+      setAdded(true);
+      setTimeout(() => setAdded(false), 1500);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleAdd}
+      className={`
+        p-0.5 rounded transition-all duration-200 flex-shrink-0
+        ${added 
+          ? 'text-green-400' 
+          : 'text-gray-500 hover:text-ffxiv-gold hover:bg-purple-800/40'
+        }
+      `}
+      title={added ? t('shoppingList.added') : t('craftingTree.addToListTitle', { quantity })}
+    >
+      {added ? (
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+        </svg>
+      ) : (
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" />
+        </svg>
+      )}
+    </button>
+  );
+}
+
+/**
+ * Queue the tree's root item in the crafting planner (/crafting-planner)
+ */
+function AddToPlannerButton({ itemId, itemName, quantity }) {
+  const { t } = useTranslation();
+  const [added, setAdded] = useState(false);
+
+  const handleAdd = () => {
+    if (addToCraftingQueue(itemId, itemName, quantity)) {
+      setAdded(true);
+      setTimeout(() => setAdded(false), 1500);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleAdd}
+      className={`px-1.5 py-0.5 rounded border text-xs transition-colors ${
+        added
+          ? 'border-green-500/40 text-green-400'
+          : 'border-purple-500/30 bg-slate-800/60 text-gray-300 hover:text-ffxiv-gold hover:border-ffxiv-gold/50'
+      }`}
+      title={t('craftingTree.addToPlannerTitle')}
+    >
+      {added ? t('craftingTree.addedToPlanner') : t('craftingTree.addToPlanner')}
+    </button>
+  );
+}
+
+/**
+ * Label for a recipe option, e.g. "木工師 Lv.90 專家"
+ */
+function formatRecipeLabel(recipe, t, language) {
+  const jobName = getJobName(recipe.job, language) || t('craftingTree.jobFallback', { id: recipe.job });
+  return `${jobName} Lv.${recipe.level}${recipe.expert ? ` ${t('craftingTree.expert')}` : ''}${recipe.yields > 1 ? ` ×${recipe.yields}` : ''}`;
+}
+
+/**
+ * Alternate recipe selector, shown on nodes with more than one recipe
+ */
+function RecipeSelect({ node, onChange }) {
+  const { t, language } = useTranslation();
+  return (
+    <select
+      value={node.recipeId}
+      onClick={(e) => e.stopPropagation()}
+      onChange={(e) => onChange(node.itemId, Number(e.target.value))}
+      className="mt-1 max-w-[120px] px-1 py-0.5 text-[10px] bg-slate-900/80 border border-purple-500/40 rounded text-gray-300 focus:outline-none focus:border-ffxiv-gold cursor-pointer"
+      title={t('craftingTree.switchRecipe')}
+    >
+      {node.recipes.map(recipe => (
+        <option key={recipe.id} value={recipe.id}>
+          {formatRecipeLabel(recipe, t, language)}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+/**
+ * Owned materials editor - enter how many of each tree material you already have
+ * Counts are shared with every crafting tree (utils/craftingInventory).
+ */
+function OwnedMaterialsPanel({ tree, itemNames, ownedMaterials }) {
+  const { t } = useTranslation();
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Every material except the root, with requirements from the stock-adjusted tree
+  const rows = useMemo(
+    () => flattenCraftingTree(tree).filter(row => row.itemId !== tree.itemId),
+    [tree]
+  );
+  const ownedCount = rows.filter(row => ownedMaterials[row.itemId] > 0).length;
+
+  return (
+    <div className="mt-4 pt-3 border-t border-purple-500/20">
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={() => setIsOpen(!isOpen)}
+          className="flex items-center gap-1.5 text-sm text-ffxiv-gold hover:text-yellow-300 transition-colors"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" className={`h-4 w-4 transition-transform ${isOpen ? 'rotate-90' : ''}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+          </svg>
+          {t('craftingTree.ownedMaterials')}
+        </button>
+        {ownedCount > 0 && (
+          <span className="px-1.5 py-0.5 rounded bg-emerald-900/40 border border-emerald-500/40 text-[10px] text-emerald-300">
+            {t('craftingTree.ownedApplied', { count: ownedCount })}
+          </span>
+        )}
+        {isOpen && ownedCount > 0 && (
+          <button
+            type="button"
+            onClick={() => clearOwnedMaterials(rows.map(row => row.itemId))}
+            className="ml-auto text-xs text-gray-400 hover:text-red-400 transition-colors"
+          >
+            {t('craftingTree.clearOwned')}
+          </button>
+        )}
+      </div>
+
+      {isOpen && (
+        <div className="mt-2 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+          {rows.map(row => (
+            <div key={row.itemId} className="flex items-center gap-2 px-2 py-1.5 rounded bg-slate-800/60 border border-purple-500/20">
+              <ItemImage itemId={row.itemId} alt={itemNames[row.itemId]} className="w-6 h-6 object-contain rounded" />
+              <span className="flex-1 min-w-0 text-xs text-gray-300 truncate" title={itemNames[row.itemId]}>
+                {itemNames[row.itemId] || t('common.itemFallback', { id: row.itemId })}
+              </span>
+              <span className="text-[10px] text-gray-500 whitespace-nowrap" title={t('craftingTree.requiredMissing')}>
+                {row.requiredAmount} / <span className={row.totalAmount > 0 ? 'text-ffxiv-gold' : 'text-emerald-400'}>{row.totalAmount}</span>
+              </span>
+              <input
+                type="number"
+                min="0"
+                value={ownedMaterials[row.itemId] || ''}
+                placeholder="0"
+                onChange={(e) => setOwnedMaterialCount(row.itemId, e.target.value)}
+                className="w-16 px-1.5 py-0.5 text-xs bg-slate-900/80 border border-purple-500/30 rounded text-white text-right focus:outline-none focus:border-ffxiv-gold"
+                title={t('craftingTree.ownedCount')}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 /**
  * Single item card component
  */
@@ -225,7 +422,11 @@ function ItemCard({
   isHighlighted = false,
   highlightMethod = null, // 'craft' or 'buy'
   isDcQuery = false, // Whether this is a DC query (not specific server)
+  onRecipeChoiceChange = null,
 }) {
+  const { t } = useTranslation();
+  const isCovered = !isRoot && node.ownedAmount > 0 && node.amount === 0;
+
   return (
     <div 
       ref={nodeRef}
@@ -239,9 +440,10 @@ function ItemCard({
               : 'bg-gradient-to-br from-blue-900/40 to-cyan-900/30 border-2 border-blue-500/60 hover:border-blue-400 min-w-[100px] shadow-[0_0_10px_rgba(59,130,246,0.2)]'
             : 'bg-slate-800/60 border border-purple-500/30 hover:border-purple-400/60 hover:bg-slate-700/60 min-w-[100px]'
         }
+        ${isCovered ? 'opacity-50' : ''}
       `}
       onClick={() => onItemClick(node.itemId)}
-      title={`查看 ${itemName}`}
+      title={t('craftingTree.viewItem', { name: itemName })}
     >
       {/* Item Image */}
       <div className="relative">
@@ -251,10 +453,10 @@ function ItemCard({
           className={`${isRoot ? 'w-12 h-12' : 'w-9 h-9'} object-contain rounded border border-purple-500/30`}
           priority={isRoot}
         />
-        {/* Quantity badge - don't show for root */}
-        {!isRoot && node.amount > 1 && (
-          <div className="absolute -bottom-1 -right-1 bg-purple-900/90 text-ffxiv-gold text-xs font-bold px-1 py-0.5 rounded-full border border-purple-500/50 min-w-[18px] text-center leading-none">
-            {node.amount}
+        {/* Quantity badge - don't show for root; amount is what is still missing after owned stock */}
+        {!isRoot && (node.amount > 1 || node.ownedAmount > 0) && (
+          <div className={`absolute -bottom-1 -right-1 bg-purple-900/90 text-xs font-bold px-1 py-0.5 rounded-full border border-purple-500/50 min-w-[18px] text-center leading-none ${isCovered ? 'text-emerald-400' : 'text-ffxiv-gold'}`}>
+            {isCovered ? '✓' : node.amount}
           </div>
         )}
       </div>
@@ -268,12 +470,23 @@ function ItemCard({
           {itemName}
         </p>
         <CopyButton text={itemName} />
+        {!isRoot && node.amount > 0 && <AddToListButton itemId={node.itemId} itemName={itemName} quantity={node.amount} />}
       </div>
+
+      {node.ownedAmount > 0 && (
+        <span className="mt-0.5 text-[10px] text-emerald-400" title={t('craftingTree.requiredTotal', { count: node.requiredAmount })}>
+          {t('craftingTree.owned', { count: node.ownedAmount })}
+        </span>
+      )}
+
+      {node.recipes && onRecipeChoiceChange && (
+        <RecipeSelect node={node} onChange={onRecipeChoiceChange} />
+      )}
       
       {/* Price info - fixed height to prevent layout shift */}
       <div className={`mt-1 text-center ${priceInfo?.worldName ? 'h-[32px]' : 'h-[20px]'} flex flex-col justify-center`}>
         {isLoading ? (
-          <div className="text-xs text-gray-500 animate-pulse">載入中...</div>
+          <div className="text-xs text-gray-500 animate-pulse">{t('common.loading')}</div>
         ) : priceInfo && priceInfo.price !== null && priceInfo.price !== undefined && priceInfo.price > 0 ? (
           <div className="flex flex-col items-center gap-0.5">
             <div className="flex items-center gap-1">
@@ -290,7 +503,7 @@ function ItemCard({
               {!isDcQuery && priceInfo.priceType === 'minListing' && (
                 <span 
                   className="text-[8px] text-blue-400 cursor-help" 
-                  title="最近四天無銷售發生，改為用最低價格"
+                  title={t('craftingTree.minListingFallback')}
                 >
                   ⚠
                 </span>
@@ -303,9 +516,9 @@ function ItemCard({
             )}
           </div>
         ) : isPriceQueried ? (
-          <span className="text-xs text-gray-500">無販售</span>
+          <span className="text-xs text-gray-500">{t('craftingTree.notForSale')}</span>
         ) : (
-          <div className="text-xs text-gray-500 animate-pulse">查詢中...</div>
+          <div className="text-xs text-gray-500 animate-pulse">{t('common.querying')}</div>
         )}
       </div>
     </div>
@@ -514,11 +727,50 @@ function buildCraftingPathMap(node, itemPrices, queriedItemIds, pathMap = new Ma
   return pathMap;
 }
 
+/**
+ * Collect every item in the tree as a material list row, merging repeated items
+ * Rows keep tree order (depth-first) so the export reads top-down like the tree.
+ * @returns {Array<Object>} { itemId, amount, ownedAmount, kind: 'result'|'intermediate'|'material' }
+ */
+function collectMaterialRows(tree) {
+  const rows = new Map();
+
+  function traverse(node, isRoot) {
+    if (!node) return;
+    const hasChildren = node.children && node.children.length > 0;
+    const existing = rows.get(node.itemId);
+    if (existing) {
+      existing.amount += node.amount;
+      existing.ownedAmount += node.ownedAmount || 0;
+    } else {
+      rows.set(node.itemId, {
+        itemId: node.itemId,
+        amount: node.amount,
+        ownedAmount: node.ownedAmount || 0,
+        kind: isRoot ? 'result' : hasChildren ? 'intermediate' : 'material',
+      });
+    }
+    if (hasChildren) {
+      node.children.forEach(child => traverse(child, false));
+    }
+  }
+
+  traverse(tree, true);
+  return Array.from(rows.values());
+}
+
+const MATERIAL_KIND_LABEL_KEYS = {
+  result: 'craftingTree.kindResult',
+  intermediate: 'craftingTree.kindIntermediate',
+  material: 'craftingTree.kindMaterial',
+};
+
 /**
  * Root item price comparison badge - uses cheapest route calculation
  * Compares: main item market price vs optimal crafting route (cheapest for each sub-item)
  */
 function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames }) {
+  const { t } = useTranslation();
   const [showModal, setShowModal] = useState(false);
   
   // Get root unit price and amount
@@ -626,7 +878,7 @@ function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames
             <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
             </svg>
-            <span className="font-bold flex-shrink-0">該服缺乏關鍵素材且無成品購買</span>
+            <span className="font-bold flex-shrink-0">{t('craftingTree.insufficientMaterials')}</span>
           </div>
         </div>
       </div>
@@ -642,25 +894,25 @@ function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames
         <div 
           className="px-4 py-2.5 rounded-lg text-sm font-medium bg-blue-900/50 border border-blue-500/40 text-blue-300 w-max min-w-max cursor-pointer hover:opacity-80 transition-opacity"
           onClick={() => setShowModal(true)}
-          title="點擊查看計算公式"
+          title={t('craftingTree.viewFormula')}
         >
           <div className="flex flex-col items-center gap-1 whitespace-nowrap">
             {/* Explanation */}
             <div className="text-xs opacity-70 text-center whitespace-nowrap">
-              以最優路線計算（每項材料取買/製的較低價）
+              {t('craftingTree.optimalRouteNote')}
             </div>
             {/* Price breakdown */}
             <div className="flex items-center gap-2 text-sm whitespace-nowrap">
-              <span className="flex-shrink-0">最優製作: N/A</span>
+              <span className="flex-shrink-0">{t('craftingTree.optimalCraft', { price: 'N/A' })}</span>
               <span className="opacity-60 flex-shrink-0">vs</span>
-              <span className="flex-shrink-0">直購成品: {formatPrice(result.rootPrice)}</span>
+              <span className="flex-shrink-0">{t('craftingTree.buyFinished', { price: formatPrice(result.rootPrice) })}</span>
             </div>
             {/* Recommendation */}
             <div className="flex items-center gap-1.5 mt-0.5 whitespace-nowrap">
               <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" />
               </svg>
-              <span className="font-bold flex-shrink-0">建議直購</span>
+              <span className="font-bold flex-shrink-0">{t('craftingTree.recommendBuy')}</span>
             </div>
           </div>
         </div>
@@ -688,19 +940,19 @@ function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames
         <div 
           className="px-4 py-2.5 rounded-lg text-sm font-medium bg-green-900/50 border border-green-500/40 text-green-300 w-max min-w-max cursor-pointer hover:opacity-80 transition-opacity"
           onClick={() => setShowModal(true)}
-          title="點擊查看計算公式"
+          title={t('craftingTree.viewFormula')}
         >
           <div className="flex flex-col items-center gap-1 whitespace-nowrap">
             {/* Explanation */}
             <div className="text-xs opacity-70 text-center whitespace-nowrap">
-              以最優路線計算（每項材料取買/製的較低價）
+              {t('craftingTree.optimalRouteNote')}
             </div>
             {/* Price display */}
             <div className="flex items-center gap-1.5 mt-0.5 whitespace-nowrap">
               <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
-              <span className="font-bold flex-shrink-0">自製最佳: {formatPrice(result.cheapestRouteCost)}</span>
+              <span className="font-bold flex-shrink-0">{t('craftingTree.bestCraftOnly', { price: formatPrice(result.cheapestRouteCost) })}</span>
             </div>
           </div>
         </div>
@@ -734,25 +986,25 @@ function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames
         <div 
           className="px-4 py-2.5 rounded-lg bg-gray-700/50 border border-gray-500/30 text-sm text-gray-400 w-max min-w-max cursor-pointer hover:opacity-80 transition-opacity"
           onClick={() => setShowModal(true)}
-          title="點擊查看計算公式"
+          title={t('craftingTree.viewFormula')}
         >
           <div className="flex flex-col items-center gap-1 whitespace-nowrap">
             {/* Explanation */}
             <div className="text-xs opacity-70 text-center whitespace-nowrap">
-              以最優路線計算（每項材料取買/製的較低價）
+              {t('craftingTree.optimalRouteNote')}
             </div>
             {/* Price breakdown */}
             <div className="flex items-center gap-2 text-sm whitespace-nowrap">
-              <span className="flex-shrink-0">最優製作: {formatPrice(cheapestRouteCost)}</span>
+              <span className="flex-shrink-0">{t('craftingTree.optimalCraft', { price: formatPrice(cheapestRouteCost) })}</span>
               <span className="opacity-60 flex-shrink-0">vs</span>
-              <span className="flex-shrink-0">直購成品: {formatPrice(rootPrice)}</span>
+              <span className="flex-shrink-0">{t('craftingTree.buyFinished', { price: formatPrice(rootPrice) })}</span>
             </div>
             {/* Status */}
             <div className="flex items-center gap-1.5 mt-0.5 whitespace-nowrap">
               <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
-              <span className="font-bold flex-shrink-0">價格相同</span>
+              <span className="font-bold flex-shrink-0">{t('craftingTree.samePrice')}</span>
             </div>
           </div>
         </div>
@@ -784,18 +1036,18 @@ function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames
           }
         `}
         onClick={() => setShowModal(true)}
-        title="點擊查看計算公式"
+        title={t('craftingTree.viewFormula')}
       >
         <div className="flex flex-col items-center gap-1 whitespace-nowrap">
           {/* Explanation */}
           <div className="text-xs opacity-70 text-center whitespace-nowrap">
-            以最優路線計算（每項材料取買/製的較低價）
+            {t('craftingTree.optimalRouteNote')}
           </div>
           {/* Price breakdown */}
           <div className="flex items-center gap-2 text-sm whitespace-nowrap">
-            <span className="flex-shrink-0">最優製作: {formatPrice(cheapestRouteCost)}</span>
+            <span className="flex-shrink-0">{t('craftingTree.optimalCraft', { price: formatPrice(cheapestRouteCost) })}</span>
             <span className="opacity-60 flex-shrink-0">vs</span>
-            <span className="flex-shrink-0">直購成品: {formatPrice(rootPrice)}</span>
+            <span className="flex-shrink-0">{t('craftingTree.buyFinished', { price: formatPrice(rootPrice) })}</span>
           </div>
           {/* Recommendation */}
           <div className="flex items-center gap-1.5 mt-0.5 whitespace-nowrap">
@@ -804,14 +1056,14 @@ function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames
                 <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
                 </svg>
-                <span className="font-bold flex-shrink-0">建議自製，省 {formatPrice(absSavings)}</span>
+                <span className="font-bold flex-shrink-0">{t('craftingTree.recommendCraftSave', { price: formatPrice(absSavings) })}</span>
               </>
             ) : (
               <>
                 <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" />
                 </svg>
-                <span className="font-bold flex-shrink-0">建議直購，省 {formatPrice(absSavings)}</span>
+                <span className="font-bold flex-shrink-0">{t('craftingTree.recommendBuySave', { price: formatPrice(absSavings) })}</span>
               </>
             )}
           </div>
@@ -843,6 +1095,7 @@ function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames
  * - 材料有價格 vs 成品 N/A，用材料
  */
 function PriceComparisonBadge({ parentPrice, childrenTotalPrice, isReady, amount = 1, breakdown = null, itemNames = {}, itemPrices = {}, yields = 1, parentUnitPrice = null }) {
+  const { t } = useTranslation();
   const [showModal, setShowModal] = useState(false);
   
   if (!isReady) {
@@ -861,7 +1114,7 @@ function PriceComparisonBadge({ parentPrice, childrenTotalPrice, isReady, amount
   if (childrenIsNA && parentIsNA) {
     return (
       <div className="px-2 py-1 rounded-lg bg-gray-700/50 border border-gray-500/30 text-xs text-gray-400">
-        資訊不足
+        {t('craftingTree.insufficientInfo')}
       </div>
     );
   }
@@ -873,19 +1126,19 @@ function PriceComparisonBadge({ parentPrice, childrenTotalPrice, isReady, amount
         <div 
           className="px-3 py-1.5 rounded-lg text-xs font-medium bg-blue-900/50 border border-blue-500/40 text-blue-300 w-max min-w-max cursor-pointer hover:opacity-80 transition-opacity"
           onClick={() => setShowModal(true)}
-          title="點擊查看計算公式"
+          title={t('craftingTree.viewFormula')}
         >
           <div className="flex flex-col items-center gap-0.5 whitespace-nowrap">
             <div className="flex items-center gap-2 text-xs opacity-80 whitespace-nowrap">
-              <span className="flex-shrink-0">材料: N/A</span>
+              <span className="flex-shrink-0">{t('craftingTree.materials', { price: 'N/A' })}</span>
               <span className="flex-shrink-0">vs</span>
-              <span className="flex-shrink-0">{amount > 1 ? `${amount}個` : ''}成品: {formatPrice(parentPrice)}</span>
+              <span className="flex-shrink-0">{t(amount > 1 ? 'craftingTree.finishedAmount' : 'craftingTree.finished', { amount, price: formatPrice(parentPrice) })}</span>
             </div>
             <div className="flex items-center gap-1.5 whitespace-nowrap">
               <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" />
               </svg>
-              <span className="font-bold flex-shrink-0">建議直購</span>
+              <span className="font-bold flex-shrink-0">{t('craftingTree.recommendBuy')}</span>
             </div>
           </div>
         </div>
@@ -913,19 +1166,19 @@ function PriceComparisonBadge({ parentPrice, childrenTotalPrice, isReady, amount
         <div 
           className="px-3 py-1.5 rounded-lg text-xs font-medium bg-green-900/50 border border-green-500/40 text-green-300 w-max min-w-max cursor-pointer hover:opacity-80 transition-opacity"
           onClick={() => setShowModal(true)}
-          title="點擊查看計算公式"
+          title={t('craftingTree.viewFormula')}
         >
           <div className="flex flex-col items-center gap-0.5 whitespace-nowrap">
             <div className="flex items-center gap-2 text-xs opacity-80 whitespace-nowrap">
-              <span className="flex-shrink-0">材料: {formatPrice(childrenTotalPrice)}</span>
+              <span className="flex-shrink-0">{t('craftingTree.materials', { price: formatPrice(childrenTotalPrice) })}</span>
               <span className="flex-shrink-0">vs</span>
-              <span className="flex-shrink-0">{amount > 1 ? `${amount}個` : ''}成品: N/A</span>
+              <span className="flex-shrink-0">{t(amount > 1 ? 'craftingTree.finishedAmount' : 'craftingTree.finished', { amount, price: 'N/A' })}</span>
             </div>
             <div className="flex items-center gap-1.5 whitespace-nowrap">
               <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
-              <span className="font-bold flex-shrink-0">建議自製</span>
+              <span className="font-bold flex-shrink-0">{t('craftingTree.recommendCraft')}</span>
             </div>
           </div>
         </div>
@@ -965,21 +1218,21 @@ function PriceComparisonBadge({ parentPrice, childrenTotalPrice, isReady, amount
         <div 
           className="px-3 py-1.5 rounded-lg bg-gray-700/50 border border-gray-500/30 text-xs text-gray-400 w-max min-w-max cursor-pointer hover:opacity-80 transition-opacity"
           onClick={() => setShowModal(true)}
-          title="點擊查看計算公式"
+          title={t('craftingTree.viewFormula')}
         >
           <div className="flex flex-col items-center gap-0.5 whitespace-nowrap">
             {/* Price breakdown */}
             <div className="flex items-center gap-2 text-xs opacity-80 whitespace-nowrap">
-              <span className="flex-shrink-0">材料: {formatPrice(childrenTotalPrice)}</span>
+              <span className="flex-shrink-0">{t('craftingTree.materials', { price: formatPrice(childrenTotalPrice) })}</span>
               <span className="flex-shrink-0">vs</span>
-              <span className="flex-shrink-0">{amount > 1 ? `${amount}個` : ''}成品: {formatPrice(parentPrice)}</span>
+              <span className="flex-shrink-0">{t(amount > 1 ? 'craftingTree.finishedAmount' : 'craftingTree.finished', { amount, price: formatPrice(parentPrice) })}</span>
             </div>
             {/* Status */}
             <div className="flex items-center gap-1.5 whitespace-nowrap">
               <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
-              <span className="font-bold flex-shrink-0">價格相同</span>
+              <span className="font-bold flex-shrink-0">{t('craftingTree.samePrice')}</span>
             </div>
           </div>
         </div>
@@ -1009,14 +1262,14 @@ function PriceComparisonBadge({ parentPrice, childrenTotalPrice, isReady, amount
           }
         `}
         onClick={() => setShowModal(true)}
-        title="點擊查看計算公式"
+        title={t('craftingTree.viewFormula')}
       >
         <div className="flex flex-col items-center gap-0.5 whitespace-nowrap">
           {/* Price breakdown */}
           <div className="flex items-center gap-2 text-xs opacity-80 whitespace-nowrap">
-            <span className="flex-shrink-0">材料: {formatPrice(childrenTotalPrice)}</span>
+            <span className="flex-shrink-0">{t('craftingTree.materials', { price: formatPrice(childrenTotalPrice) })}</span>
               <span className="flex-shrink-0">vs</span>
-            <span className="flex-shrink-0">{amount > 1 ? `${amount}個` : ''}成品: {formatPrice(parentPrice)}</span>
+            <span className="flex-shrink-0">{t(amount > 1 ? 'craftingTree.finishedAmount' : 'craftingTree.finished', { amount, price: formatPrice(parentPrice) })}</span>
           </div>
           {/* Recommendation */}
           <div className="flex items-center gap-1.5 whitespace-nowrap">
@@ -1025,14 +1278,14 @@ function PriceComparisonBadge({ parentPrice, childrenTotalPrice, isReady, amount
                 <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
                 </svg>
-                <span className="font-bold flex-shrink-0">自製省 {formatPrice(absSavings)}</span>
+                <span className="font-bold flex-shrink-0">{t('craftingTree.craftSave', { price: formatPrice(absSavings) })}</span>
               </>
             ) : (
               <>
                 <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" />
                 </svg>
-                <span className="font-bold flex-shrink-0">直購省 {formatPrice(absSavings)}</span>
+                <span className="font-bold flex-shrink-0">{t('craftingTree.buySave', { price: formatPrice(absSavings) })}</span>
               </>
             )}
           </div>
@@ -1069,11 +1322,13 @@ function TreeNodeVertical({
   optimalPathMap = null,
   isCraftingCheaper = false,
   isDcQuery = false,
+  onRecipeChoiceChange = null,
 }) {
+  const { t } = useTranslation();
   const childrenRef = useRef(null);
   const [lineStyle, setLineStyle] = useState({ left: 0, width: 0 });
   const hasChildren = node.children && node.children.length > 0;
-  const itemName = itemNames[node.itemId] || `物品 ${node.itemId}`;
+  const itemName = itemNames[node.itemId] || t('common.itemFallback', { id: node.itemId });
   const priceInfo = itemPrices[node.itemId];
   const isPriceQueried = queriedItemIds.has(node.itemId);
   
@@ -1242,6 +1497,7 @@ function TreeNodeVertical({
         isHighlighted={isOnOptimalPath && !isRoot}
         highlightMethod={optimalMethod}
         isDcQuery={isDcQuery}
+        onRecipeChoiceChange={onRecipeChoiceChange}
       />
       
       {/* Children */}
@@ -1254,7 +1510,7 @@ function TreeNodeVertical({
           {node.yields && node.yields > 1 && (
             <div className="flex flex-col items-center">
               <div className="px-2 py-0.5 rounded-md bg-yellow-900/40 border border-yellow-600/50 text-[10px] text-yellow-300 whitespace-nowrap">
-                單次製作產出 {node.yields} 個
+                {t('craftingTree.yieldsPerCraft', { yields: node.yields })}
               </div>
               {/* Vertical line connecting yields indicator to price comparison badge */}
               <div className={`${lineWidth} h-2 ${lineColor} ${lineGlow}`}></div>
@@ -1317,6 +1573,7 @@ function TreeNodeVertical({
                     optimalPathMap={optimalPathMap}
                     isCraftingCheaper={isCraftingCheaper && shouldHighlightChildren}
                     isDcQuery={isDcQuery}
+                    onRecipeChoiceChange={onRecipeChoiceChange}
                   />
                 </div>
               ))}
@@ -1339,8 +1596,11 @@ export default function CraftingTree({
   onItemSelect,
   excludeCrystals = true,
   onExcludeCrystalsChange,
+  onRecipeChoiceChange,
 }) {
-  const [itemNames, setItemNames] = useState({});
+  const { t, language } = useTranslation();
+  const [twItemNames, setTwItemNames] = useState({});
+  const [ownedMaterials, setOwnedMaterials] = useState(() => getCraftingInventory());
   const [itemPrices, setItemPrices] = useState({});
   const [queriedItemIds, setQueriedItemIds] = useState(new Set());
   const [isLoadingNames, setIsLoadingNames] = useState(true);
@@ -1366,17 +1626,36 @@ export default function CraftingTree({
     // Check if it's a DC (string matching DC name) or a specific world (number)
     const dcName = selectedWorld?.section;
     if (selectedServerOption === dcName) {
-      // It's the DC, show with "全服搜尋"
-      return `${dcName}（全服搜尋）`;
+      // It's the DC, mark it as a data-center-wide search
+      return t('craftingTree.dcSearch', { name: dcName });
     } else if (typeof selectedServerOption === 'number' || !isNaN(Number(selectedServerOption))) {
       // It's a world ID, look up the name
       const worldId = typeof selectedServerOption === 'number' ? selectedServerOption : Number(selectedServerOption);
-      return worlds[worldId] || `伺服器 ${selectedServerOption}`;
+      return worlds[worldId] || t('common.worldFallback', { id: selectedServerOption });
     } else {
       // It's a string but not the DC name - could be a world name
       return selectedServerOption;
     }
-  }, [selectedServerOption, selectedWorld, worlds]);
+  }, [selectedServerOption, selectedWorld, worlds, t]);
+
+  // Keep owned materials in sync (other trees and tabs edit the same inventory)
+  useEffect(() => {
+    const unsubscribe = subscribeToCraftingInventory(setOwnedMaterials);
+    const handleStorageChange = (e) => {
+      if (e.key === 'ffxiv_market_crafting_inventory') {
+        setOwnedMaterials(getCraftingInventory());
+      }
+    };
+    window.addEventListener('storage', handleStorageChange);
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', handleStorageChange);
+    };
+  }, []);
+
+  // Tree with owned stock deducted - used for display, costs and exports.
+  // Names and prices are still loaded for the full tree so clearing stock needs no refetch.
+  const displayTree = useMemo(() => applyOwnedMaterials(tree, ownedMaterials), [tree, ownedMaterials]);
 
   // Get all unique item IDs from tree
   const getAllItemIds = useCallback((node, ids = new Set()) => {
@@ -1388,6 +1667,11 @@ export default function CraftingTree({
     return ids;
   }, []);
 
+  // Names in the UI language, over the TW names loaded below
+  const treeItemIds = useMemo(() => (tree ? Array.from(getAllItemIds(tree)) : []), [tree, getAllItemIds]);
+  const localizedNames = useItemNames(treeItemIds, language);
+  const itemNames = useMemo(() => ({ ...twItemNames, ...localizedNames }), [twItemNames, localizedNames]);
+
   // Load item names using batch query (much faster than individual queries)
   useEffect(() => {
     if (!tree) return;
@@ -1412,15 +1696,15 @@ export default function CraftingTree({
             names[id] = itemData.tw.replace(/^["']|["']$/g, '').trim();
           } else {
             // Fallback if item not found
-            names[id] = `物品 ${id}`;
+            names[id] = translate(getUILanguage(), 'common.itemFallback', { id });
           }
         });
-        setItemNames(names);
+        setTwItemNames(names);
         setIsLoadingNames(false);
       })
       .catch((err) => {
         console.error('Failed to load item names:', err);
-        setError('載入物品名稱失敗');
+        setError(translate(getUILanguage(), 'common.itemNamesLoadFailed'));
         setIsLoadingNames(false);
       });
   }, [tree, getAllItemIds]);
@@ -1591,19 +1875,44 @@ export default function CraftingTree({
     }
   }, [isDragging, handleDragMove, handleMouseUp]);
 
+  // Material list export - one row per unique item with the loaded prices
+  const materialExportColumns = useMemo(() => [
+    { key: 'kind', label: t('craftingTree.exportKind'), value: row => t(MATERIAL_KIND_LABEL_KEYS[row.kind]) },
+    { key: 'itemId', label: 'ID' },
+    { key: 'name', label: t('table.itemName'), value: row => itemNames[row.itemId] || t('common.itemFallback', { id: row.itemId }) },
+    { key: 'amount', label: t('table.quantity') },
+    { key: 'ownedAmount', label: t('craftingTree.exportOwned') },
+    { key: 'unitPrice', label: t('table.unitPrice'), value: row => itemPrices[row.itemId]?.price ?? null },
+    { key: 'hq', label: 'HQ', value: row => (itemPrices[row.itemId]?.isHQ ? 'HQ' : '') },
+    { key: 'priceType', label: t('craftingTree.exportPriceType'), value: row => {
+      const priceInfo = itemPrices[row.itemId];
+      if (!priceInfo || priceInfo.price === null || priceInfo.price === undefined) return null;
+      return priceInfo.priceType === 'minListing' ? t('table.minListing') : t('common.averageSalePrice');
+    } },
+    { key: 'worldName', label: t('table.world'), value: row => itemPrices[row.itemId]?.worldName ?? null },
+    { key: 'subtotal', label: t('craftingTree.exportSubtotal'), value: row => {
+      const price = itemPrices[row.itemId]?.price;
+      return price !== null && price !== undefined ? Math.round(price * row.amount) : null;
+    } },
+    { key: 'velocity', label: t('table.velocity'), value: row => {
+      const priceInfo = itemPrices[row.itemId];
+      return (isDcQuery ? priceInfo?.velocityDc : priceInfo?.velocityWorld) ?? null;
+    } },
+  ], [itemNames, itemPrices, isDcQuery, t]);
+
   // Calculate optimal path for highlighting
   const { optimalPathMap, isCraftingCheaper } = useMemo(() => {
-    if (!tree || isLoadingPrices || Object.keys(itemPrices).length === 0) {
+    if (!displayTree || isLoadingPrices || Object.keys(itemPrices).length === 0) {
       return { optimalPathMap: null, isCraftingCheaper: false };
     }
     
     // If no children, can't craft
-    if (!tree.children || tree.children.length === 0) {
+    if (!displayTree.children || displayTree.children.length === 0) {
       return { optimalPathMap: null, isCraftingCheaper: false };
     }
     
     // Wait for all children to be queried
-    for (const child of tree.children) {
+    for (const child of displayTree.children) {
       if (!queriedItemIds.has(child.itemId)) {
         // Still loading
         return { optimalPathMap: null, isCraftingCheaper: false };
@@ -1611,7 +1920,7 @@ export default function CraftingTree({
     }
     
     // Calculate crafting cost separately (always returns crafting cost, not market price)
-    const craftingCost = calculateCraftingCost(tree, itemPrices, queriedItemIds);
+    const craftingCost = calculateCraftingCost(displayTree, itemPrices, queriedItemIds);
     
     // If we can't calculate crafting cost (null), it means the path is incomplete (still loading)
     if (craftingCost === null) {
@@ -1623,13 +1932,13 @@ export default function CraftingTree({
       return { optimalPathMap: null, isCraftingCheaper: false };
     }
     
-    const rootPrice = itemPrices[tree.itemId]?.price ?? null;
+    const rootPrice = itemPrices[displayTree.itemId]?.price ?? null;
     
     // If root has no price, but we can craft it (cost is a number), show the crafting path
     if (rootPrice === null) {
       // If we can calculate crafting cost, show the crafting path
       if (typeof craftingCost === 'number') {
-        const pathMap = buildCraftingPathMap(tree, itemPrices, queriedItemIds);
+        const pathMap = buildCraftingPathMap(displayTree, itemPrices, queriedItemIds);
         return { optimalPathMap: pathMap, isCraftingCheaper: true };
       }
       return { optimalPathMap: null, isCraftingCheaper: false };
@@ -1650,15 +1959,15 @@ export default function CraftingTree({
     
     // Build the crafting path map for highlighting
     // Use buildCraftingPathMap instead of buildOptimalPathMap to correctly mark all crafting nodes
-    const pathMap = buildCraftingPathMap(tree, itemPrices, queriedItemIds);
+    const pathMap = buildCraftingPathMap(displayTree, itemPrices, queriedItemIds);
     
     return { optimalPathMap: pathMap, isCraftingCheaper: true };
-  }, [tree, itemPrices, queriedItemIds, isLoadingPrices]);
+  }, [displayTree, itemPrices, queriedItemIds, isLoadingPrices]);
 
   if (!tree) {
     return (
       <div className="p-4 text-center text-gray-400">
-        無製作配方
+        {t('craftingTree.noRecipe')}
       </div>
     );
   }
@@ -1672,7 +1981,7 @@ export default function CraftingTree({
             <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z" />
             </svg>
-            製作價格樹
+            {t('craftingTree.title')}
           </h3>
           {/* Server/DC info badge */}
           {selectedServerOption && (
@@ -1735,7 +2044,7 @@ export default function CraftingTree({
               </div>
               
               <span className="text-gray-400 cursor-help relative z-10">
-                水晶開關
+                {t('craftingTree.crystalToggle')}
               </span>
               <button
                 onClick={(e) => {
@@ -1752,7 +2061,7 @@ export default function CraftingTree({
                 `}
                 role="switch"
                 aria-checked={!excludeCrystals}
-                aria-label="水晶開關"
+                aria-label={t('craftingTree.crystalToggle')}
               >
                 <span
                   className={`
@@ -1764,7 +2073,7 @@ export default function CraftingTree({
               </button>
               {/* Custom tooltip with high z-index */}
               <div className="absolute bottom-full left-1/2 -translate-x-1/2 mb-2 px-2 py-1 bg-slate-900/95 text-white text-xs rounded shadow-lg border border-purple-500/50 whitespace-nowrap opacity-0 group-hover:opacity-100 pointer-events-none transition-opacity duration-200 z-[9999]">
-                提供給大量製作的匠人更精確定位價格
+                {t('craftingTree.crystalHint')}
                 {/* Tooltip arrow */}
                 <div className="absolute top-full left-1/2 -translate-x-1/2 border-4 border-transparent border-t-purple-500/50"></div>
               </div>
@@ -1905,14 +2214,14 @@ export default function CraftingTree({
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 text-blue-400 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                     </svg>
-                    <span className="whitespace-nowrap">價格為全服最低在售價格</span>
+                    <span className="whitespace-nowrap">{t('craftingTree.priceDcMin')}</span>
                   </div>
                 ) : noPriceAtAll ? (
                   <div className="flex items-center gap-1 px-2 py-1 rounded-md bg-red-900/50 border border-red-500/40 text-xs text-red-300">
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 text-red-400 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
                     </svg>
-                    <span className="whitespace-nowrap">該服無平均價格且無最低價格，無法顯示價格</span>
+                    <span className="whitespace-nowrap">{t('craftingTree.priceNone')}</span>
                   </div>
                 ) : isFallback ? (
                   <div className="flex items-center gap-1 px-2 py-1 rounded-md bg-orange-900/50 border border-orange-500/40 text-xs text-orange-300">
@@ -1921,8 +2230,8 @@ export default function CraftingTree({
                     </svg>
                     <span className="whitespace-nowrap">
                       {hasVelocityWorld || hasVelocityDc 
-                        ? '部分物品4天內無銷售記錄，無平均值改用該服最低價格' 
-                        : '最近四天沒有成功銷售記錄，無平均值和日均銷售，部分價格會使用該服最低價格'}
+                        ? t('craftingTree.pricePartialFallback')
+                        : t('craftingTree.priceNoSalesFallback')}
                     </span>
                   </div>
                 ) : (
@@ -1930,7 +2239,7 @@ export default function CraftingTree({
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 text-blue-400 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                     </svg>
-                    <span className="whitespace-nowrap">價格為4天內該服賣出平均價格</span>
+                    <span className="whitespace-nowrap">{t('craftingTree.priceWorldAverage')}</span>
                   </div>
                 )}
                 
@@ -1943,15 +2252,15 @@ export default function CraftingTree({
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 text-cyan-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" />
                     </svg>
-                    <span className="text-gray-400">日均銷量:</span>
-                    <span className="text-cyan-300" title="單服日均銷量">
-                      單服 {hasVelocityWorld ? velocityWorldValue.toFixed(1) : '0.0'}
+                    <span className="text-gray-400">{t('craftingTree.velocityLabel')}</span>
+                    <span className="text-cyan-300" title={t('craftingTree.velocityWorldTitle')}>
+                      {t('craftingTree.velocityWorld', { value: hasVelocityWorld ? velocityWorldValue.toFixed(1) : '0.0' })}
                     </span>
                     {hasVelocityDc && (
                       <>
                         <span className="text-gray-500">/</span>
-                        <span className="text-emerald-300" title="全服日均銷量">
-                          全服 {velocityDcValue.toFixed(1)}
+                        <span className="text-emerald-300" title={t('craftingTree.velocityDcTitle')}>
+                          {t('craftingTree.velocityDc', { value: velocityDcValue.toFixed(1) })}
                         </span>
                       </>
                     )}
@@ -1962,9 +2271,9 @@ export default function CraftingTree({
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 text-cyan-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" />
                     </svg>
-                    <span className="text-gray-400">日均銷量:</span>
-                    <span className="text-emerald-300" title="全服日均銷量">
-                      全服 {velocityDcValue.toFixed(1)}
+                    <span className="text-gray-400">{t('craftingTree.velocityLabel')}</span>
+                    <span className="text-emerald-300" title={t('craftingTree.velocityDcTitle')}>
+                      {t('craftingTree.velocityDc', { value: velocityDcValue.toFixed(1) })}
                     </span>
                   </div>
                 ) : null}
@@ -1974,7 +2283,7 @@ export default function CraftingTree({
           {isLoadingPrices && (
             <div className="flex items-center gap-2 text-xs text-gray-400">
               <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-ffxiv-gold"></div>
-              載入價格中...
+              {t('craftingTree.loadingPrices')}
             </div>
           )}
         </div>
@@ -2000,7 +2309,7 @@ export default function CraftingTree({
       >
         <div className="flex justify-center min-w-min py-2">
           <TreeNodeVertical
-            node={tree}
+            node={displayTree}
             itemNames={itemNames}
             itemPrices={itemPrices}
             queriedItemIds={queriedItemIds}
@@ -2010,47 +2319,78 @@ export default function CraftingTree({
             optimalPathMap={optimalPathMap}
             isCraftingCheaper={isCraftingCheaper}
             isDcQuery={isDcQuery}
+            onRecipeChoiceChange={onRecipeChoiceChange}
           />
         </div>
       </div>
 
+      {/* Owned materials (deducted from the tree, plan and costs) */}
+      <OwnedMaterialsPanel tree={displayTree} itemNames={itemNames} ownedMaterials={ownedMaterials} />
+
+      {/* Profit (craft vs. buy per node, tax, gil/hour) */}
+      <CraftingProfitPanel
+        tree={displayTree}
+        itemPrices={itemPrices}
+        itemNames={itemNames}
+        isLoadingPrices={isLoadingPrices}
+        selectedServerOption={selectedServerOption}
+        selectedWorld={selectedWorld}
+        excludeCrystals={excludeCrystals}
+      />
+
       {/* Legend */}
       <div className="mt-4 pt-3 border-t border-purple-500/20 flex flex-wrap gap-4 text-xs text-gray-400">
         <div className="flex items-center gap-1.5">
           <div className="w-3 h-3 rounded bg-gradient-to-br from-ffxiv-gold/20 to-yellow-500/10 border border-ffxiv-gold/50"></div>
-          <span>成品</span>
+          <span>{t('craftingTree.kindResult')}</span>
         </div>
         <div className="flex items-center gap-1.5">
           <div className="w-3 h-3 rounded bg-slate-800/60 border border-purple-500/30"></div>
-          <span>材料</span>
+          <span>{t('craftingTree.kindMaterial')}</span>
         </div>
         {isCraftingCheaper && (
           <>
             <div className="flex items-center gap-1.5">
               <div className="w-3 h-3 rounded bg-gradient-to-br from-green-900/40 to-emerald-900/30 border-2 border-green-500/60"></div>
-              <span className="text-green-400">最優路線(製作)</span>
+              <span className="text-green-400">{t('craftingTree.legendRoute', { method: t('craftingTree.methodCraft') })}</span>
             </div>
             <div className="flex items-center gap-1.5">
               <div className="w-3 h-3 rounded bg-gradient-to-br from-blue-900/40 to-cyan-900/30 border-2 border-blue-500/60"></div>
-              <span className="text-blue-400">最優路線(購買)</span>
+              <span className="text-blue-400">{t('craftingTree.legendRoute', { method: t('craftingTree.methodBuy') })}</span>
             </div>
           </>
         )}
         <div className="flex items-center gap-1.5">
-          <span className="text-green-400 font-semibold">價格</span>
-          <span>= NQ{isDcQuery ? '最低價' : '平均價'}</span>
+          <span className="text-green-400 font-semibold">{t('craftingTree.legendPrice')}</span>
+          <span>= NQ {isDcQuery ? t('craftingTree.legendMinPrice') : t('craftingTree.legendAvgPrice')}</span>
         </div>
         <div className="flex items-center gap-1.5">
           <span className="px-1 py-0.5 text-[10px] font-bold text-ffxiv-gold border border-ffxiv-gold/50 rounded bg-ffxiv-gold/10 cursor-default">HQ</span>
-          <span className="text-yellow-400 font-semibold">價格</span>
-          <span>= HQ{isDcQuery ? '最低價' : '平均價'}</span>
+          <span className="text-yellow-400 font-semibold">{t('craftingTree.legendPrice')}</span>
+          <span>= HQ {isDcQuery ? t('craftingTree.legendMinPrice') : t('craftingTree.legendAvgPrice')}</span>
         </div>
         <div className="flex items-center gap-1.5">
           <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3 text-gray-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
           </svg>
-          <span>= 複製名稱</span>
+          <span>= {t('craftingTree.copyName')}</span>
         </div>
+        {tree && (
+          <ExportButton
+            className="ml-auto"
+            getRows={() => collectMaterialRows(displayTree)}
+            columns={materialExportColumns}
+            filename={`materials-${tree.itemId}`}
+            disabled={isLoadingNames || isLoadingPrices}
+          />
+        )}
+        {tree && (
+          <AddToPlannerButton
+            itemId={tree.itemId}
+            itemName={itemNames[tree.itemId]}
+            quantity={tree.amount}
+          />
+        )}
       </div>
     </div>
   );
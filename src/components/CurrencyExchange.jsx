@@ -0,0 +1,474 @@
+// Currency Exchange (貨幣兌換) - Rank what tomestones, scrips and seals buy by gil per currency unit
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import TaxRatesModal from './TaxRatesModal';
+import ServerSelector from './ServerSelector';
+import ItemImage from './ItemImage';
+import ExportButton from './ExportButton';
+import { APP_VERSION } from '../constants/version';
+import { getMarketableItems } from '../services/universalis';
+import { getTwItemsByIds } from '../services/supabaseData';
+import { CURRENCY_GROUPS, loadCurrencyTrades, rankCurrencyTrades } from '../services/currencyExchange';
+import { getInternalUrl } from '../utils/internalUrl.js';
+import { generateItemUrl } from '../utils/urlSlug';
+import { getUILanguage } from '../utils/uiLanguage';
+import { translate } from '../i18n';
+import { useTranslation } from '../hooks/useTranslation';
+import { useItemNames } from '../hooks/useItemNames';
+
+// Bought items are listed on the market board, so the default market tax applies
+const TAX_RATE = 5;
+const MAX_DISPLAYED_RESULTS = 200;
+// Selling more than about a week of sales at once only pushes the price down
+const SELL_WINDOW_DAYS = 7;
+
+const ALL_CURRENCIES = CURRENCY_GROUPS.flatMap(group => group.currencies);
+const ALL_CURRENCY_IDS = ALL_CURRENCIES.map(currency => currency.id);
+
+export default function CurrencyExchange({
+  addToast,
+  removeToast,
+  toasts,
+  datacenters,
+  worlds,
+  selectedWorld,
+  onWorldChange,
+  selectedServerOption,
+  onServerOptionChange,
+  serverOptions,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  isServerDataLoaded,
+  onItemSelect,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const navigate = useNavigate();
+  const { t, language } = useTranslation();
+  const [currencyId, setCurrencyId] = useState(ALL_CURRENCIES[0].id);
+  const [budget, setBudget] = useState('2000');
+  const [minVelocity, setMinVelocity] = useState('0.5');
+  const [results, setResults] = useState([]);
+  const [itemNames, setItemNames] = useState({});
+  const [currencyNames, setCurrencyNames] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [searchedTarget, setSearchedTarget] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  const isWorldMode = typeof selectedServerOption === 'number';
+  const targetName = isWorldMode ? worlds?.[selectedServerOption] : selectedServerOption;
+
+  // Currency names come from the item table like any other item
+  useEffect(() => {
+    const abortController = new AbortController();
+    getTwItemsByIds(ALL_CURRENCY_IDS, abortController.signal)
+      .then(names => {
+        if (!abortController.signal.aborted) {
+          setCurrencyNames(names);
+        }
+      })
+      .catch(error => {
+        if (!abortController.signal.aborted) {
+          console.error('Failed to load currency names:', error);
+          addToast(translate(getUILanguage(), 'common.itemNamesLoadFailed'), 'error');
+        }
+      });
+    return () => abortController.abort();
+  }, [addToast]);
+
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  const handleStop = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    setIsLoading(false);
+    setProgress(null);
+  }, []);
+
+  const handleSearch = useCallback(async () => {
+    if (!selectedServerOption) {
+      addToast(t('common.selectServer'), 'warning');
+      return;
+    }
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+
+    setIsLoading(true);
+    setResults([]);
+    setProgress(null);
+
+    try {
+      const [allTrades, marketable] = await Promise.all([
+        loadCurrencyTrades(currencyId, signal),
+        getMarketableItems(),
+      ]);
+      if (signal.aborted) return;
+
+      const trades = allTrades.filter(trade => marketable.has(trade.itemId));
+      if (trades.length === 0) {
+        addToast(t('currencyExchange.noTrades'), 'warning');
+        return;
+      }
+
+      const names = await getTwItemsByIds(trades.map(trade => trade.itemId), signal);
+      if (signal.aborted) return;
+      setItemNames(names);
+
+      const ranked = await rankCurrencyTrades(selectedServerOption, trades, {
+        taxRate: TAX_RATE,
+        minVelocity: Number(minVelocity) || 0,
+        signal,
+        onProgress: (loaded, total) => setProgress({ loaded, total }),
+      });
+      if (signal.aborted) return;
+
+      setResults(ranked);
+      setSearchedTarget({ name: targetName, isWorldMode, currencyId });
+      if (ranked.length === 0) {
+        addToast(t('common.noMatchesRelax'), 'info');
+      }
+    } catch (error) {
+      if (!signal.aborted) {
+        console.error('Failed to rank currency trades:', error);
+        addToast(error.message || t('common.queryFailed'), 'error');
+      }
+    } finally {
+      if (!signal.aborted) {
+        setIsLoading(false);
+        setProgress(null);
+      }
+    }
+  }, [selectedServerOption, currencyId, minVelocity, targetName, isWorldMode, addToast, t]);
+
+  // How much of the budget one trade can absorb, capped by what the market sells in a week
+  const rows = useMemo(() => {
+    const available = Math.max(0, Number(budget) || 0);
+    return results.map(trade => {
+      const affordable = Math.floor(available / trade.cost) * trade.amount;
+      const sellable = Math.min(affordable, Math.floor(trade.velocity * SELL_WINDOW_DAYS));
+      return {
+        ...trade,
+        affordable,
+        sellable,
+        expectedGil: Math.round((trade.gilPerTrade / trade.amount) * sellable),
+      };
+    });
+  }, [results, budget]);
+
+  const displayedRows = useMemo(() => rows.slice(0, MAX_DISPLAYED_RESULTS), [rows]);
+  const localizedNames = useItemNames(
+    [...ALL_CURRENCY_IDS, ...displayedRows.map(trade => trade.itemId)],
+    language
+  );
+  const getItemName = useCallback((itemId) => (
+    localizedNames[itemId] || itemNames[itemId]?.tw || currencyNames[itemId]?.tw || t('common.itemFallback', { id: itemId })
+  ), [localizedNames, itemNames, currencyNames, t]);
+
+  const handleOpenItem = useCallback((itemId) => {
+    const itemUrl = generateItemUrl(itemId, itemNames[itemId]?.tw || 'item');
+    window.open(`${window.location.origin}${getInternalUrl(itemUrl)}`, '_blank', 'noopener,noreferrer');
+  }, [itemNames]);
+
+  const exportColumns = useMemo(() => [
+    { key: 'itemId', label: 'ID' },
+    { key: 'name', label: t('table.itemName'), value: (row) => `${localizedNames[row.itemId] || itemNames[row.itemId]?.tw || ''}${row.hq ? ' HQ' : ''}` },
+    { key: 'cost', label: t('currencyExchange.cost') },
+    { key: 'amount', label: t('currencyExchange.amountPerTrade') },
+    { key: 'unitPrice', label: t('table.unitPrice') },
+    { key: 'priceSource', label: t('common.priceSource'), value: (row) => (row.priceSource === 'average' ? t('common.averageSalePrice') : t('table.minListing')) },
+    { key: 'velocity', label: t('table.velocity'), value: (row) => Number(row.velocity.toFixed(2)) },
+    { key: 'gilPerCurrency', label: t('currencyExchange.gilPerCurrency'), value: (row) => Number(row.gilPerCurrency.toFixed(1)) },
+    { key: 'affordable', label: t('currencyExchange.affordable') },
+    { key: 'sellable', label: t('currencyExchange.sellablePerWeek') },
+    { key: 'expectedGil', label: t('currencyExchange.expectedGil') },
+  ], [itemNames, localizedNames, t]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        onTaxRatesClick={onTaxRatesClick}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+              {t('currencyExchange.title')}
+            </h1>
+            <p className="text-gray-400 text-sm sm:text-base">
+              {t('currencyExchange.description')}
+            </p>
+          </div>
+
+          {/* Server Selector */}
+          {selectedWorld && (
+            <div className="mb-6">
+              <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
+                {t('common.queryServer')}
+              </label>
+              <ServerSelector
+                datacenters={datacenters}
+                worlds={worlds}
+                selectedWorld={selectedWorld}
+                onWorldChange={onWorldChange}
+                selectedServerOption={selectedServerOption}
+                onServerOptionChange={onServerOptionChange}
+                serverOptions={serverOptions}
+                disabled={isLoading}
+              />
+            </div>
+          )}
+
+          {/* Filters */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
+            <div className="space-y-3 mb-4">
+              {CURRENCY_GROUPS.map(group => (
+                <div key={group.labelKey}>
+                  <div className="text-xs text-gray-400 mb-1.5">{t(group.labelKey)}</div>
+                  <div className="flex flex-wrap gap-2">
+                    {group.currencies.map(currency => {
+                      const isSelected = currency.id === currencyId;
+                      return (
+                        <button
+                          key={currency.id}
+                          onClick={() => setCurrencyId(currency.id)}
+                          disabled={isLoading}
+                          className={`px-3 py-1.5 rounded-lg text-xs sm:text-sm font-medium transition-all flex items-center gap-1.5 disabled:cursor-not-allowed ${
+                            isSelected
+                              ? 'bg-ffxiv-gold text-slate-900 border-2 border-ffxiv-gold'
+                              : 'bg-slate-800/50 text-gray-300 border border-purple-500/30 hover:bg-purple-800/40 hover:border-purple-400/50'
+                          }`}
+                        >
+                          <ItemImage itemId={currency.id} alt={getItemName(currency.id)} className="w-5 h-5 object-contain" />
+                          <span>{getItemName(currency.id)}</span>
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 sm:gap-4 mb-4">
+              <div>
+                <label htmlFor="currency-budget" className="block text-xs text-gray-400 mb-1">{t('currencyExchange.budget')}</label>
+                <input
+                  id="currency-budget"
+                  type="number"
+                  min="0"
+                  value={budget}
+                  onChange={(e) => setBudget(e.target.value)}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                />
+              </div>
+              <div>
+                <label htmlFor="currency-min-velocity" className="block text-xs text-gray-400 mb-1">{t('common.minVelocity')}</label>
+                <input
+                  id="currency-min-velocity"
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={minVelocity}
+                  onChange={(e) => setMinVelocity(e.target.value)}
+                  disabled={isLoading}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                />
+              </div>
+            </div>
+
+            <div className="flex items-center gap-3 flex-wrap">
+              {isLoading ? (
+                <button
+                  onClick={handleStop}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-red-900/40 text-red-300 border border-red-500/40 hover:bg-red-800/50 transition-all"
+                >
+                  {t('common.stopQuery')}
+                </button>
+              ) : (
+                <button
+                  onClick={handleSearch}
+                  disabled={!selectedServerOption}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-gradient-to-r from-ffxiv-gold to-yellow-500 text-slate-900 hover:shadow-[0_0_15px_rgba(212,175,55,0.5)] disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                >
+                  {t('currencyExchange.search', { currency: getItemName(currencyId) })}
+                </button>
+              )}
+              {progress && progress.total > 0 && (
+                <div className="flex items-center gap-2 text-xs text-gray-400">
+                  <div className="w-40 h-1.5 bg-slate-700 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-ffxiv-gold transition-all"
+                      style={{ width: `${(progress.loaded / progress.total) * 100}%` }}
+                    />
+                  </div>
+                  {progress.loaded.toLocaleString()} / {progress.total.toLocaleString()}
+                </div>
+              )}
+              {searchedTarget && !isLoading && (
+                <span className="text-xs text-gray-500">
+                  {getItemName(searchedTarget.currencyId)} · {searchedTarget.isWorldMode ? t('common.worldScope', { name: searchedTarget.name }) : t('common.dcScope', { name: searchedTarget.name })} · {t('common.taxRate', { rate: TAX_RATE })}
+                </span>
+              )}
+            </div>
+          </div>
+
+          {/* Results */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6">
+            <div className="flex items-center gap-3 flex-wrap mb-4">
+              <h2 className="text-lg font-semibold text-ffxiv-gold">
+                {t('currencyExchange.resultsTitle', { count: rows.length })}
+                {rows.length > MAX_DISPLAYED_RESULTS && (
+                  <span className="ml-2 text-sm text-gray-400 font-normal">{t('common.showingTop', { count: MAX_DISPLAYED_RESULTS })}</span>
+                )}
+              </h2>
+              {rows.length > 0 && (
+                <ExportButton
+                  getRows={() => rows}
+                  columns={exportColumns}
+                  filename="currency-exchange"
+                  className="ml-auto"
+                />
+              )}
+            </div>
+
+            {rows.length === 0 ? (
+              <p className="text-center text-gray-400 py-8 text-sm">
+                {isLoading ? t('common.querying') : searchedTarget ? t('common.noMatchesRelax') : t('currencyExchange.idle')}
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-purple-500/30">
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">#</th>
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('table.item')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('currencyExchange.cost')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('table.unitPrice')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('table.velocity')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('currencyExchange.gilPerCurrency')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('currencyExchange.affordableSellable')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('currencyExchange.expectedGil')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {displayedRows.map((trade, index) => {
+                      const name = getItemName(trade.itemId);
+                      return (
+                        <tr
+                          key={`${trade.itemId}-${trade.hq ? 'hq' : 'nq'}`}
+                          className="border-b border-purple-500/10 hover:bg-purple-900/20 transition-colors"
+                        >
+                          <td className="px-2 sm:px-3 py-2 text-xs text-gray-500">{index + 1}</td>
+                          <td className="px-2 sm:px-3 py-2">
+                            <button
+                              onClick={() => handleOpenItem(trade.itemId)}
+                              className="flex items-center gap-2 text-left hover:text-ffxiv-gold transition-colors"
+                            >
+                              <ItemImage itemId={trade.itemId} alt={name} className="w-7 h-7 object-contain rounded" />
+                              <span className="text-white text-xs sm:text-sm">{name}</span>
+                              {trade.amount > 1 && <span className="text-[10px] text-gray-400">×{trade.amount}</span>}
+                              {trade.hq && (
+                                <span className="px-1 py-0.5 text-[10px] text-yellow-300 border border-yellow-400/40 rounded">HQ</span>
+                              )}
+                            </button>
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">{trade.cost.toLocaleString()}</td>
+                          <td
+                            className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300"
+                            title={trade.priceSource === 'average' ? t('common.averageSalePrice') : t('common.noSalesMinListing')}
+                          >
+                            {trade.unitPrice.toLocaleString()}
+                            {trade.priceSource !== 'average' && <span className="ml-0.5 text-yellow-500">*</span>}
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">{trade.velocity.toFixed(1)}</td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-green-400 font-semibold">
+                            {trade.gilPerCurrency.toLocaleString(undefined, { maximumFractionDigits: 1 })}
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">
+                            {trade.affordable.toLocaleString()} / {trade.sellable.toLocaleString()}
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-ffxiv-gold font-semibold">{trade.expectedGil.toLocaleString()}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Version Info */}
+        <div className="mt-6 pt-4 border-t border-slate-600/30">
+          <p className="text-xs text-slate-500 text-center">
+            {t('common.appVersion')} <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+          </p>
+        </div>
+      </div>
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+// Data Cache Modal Component - Inspect the offline game data cache and force a refresh
+import { useState, useEffect, useCallback } from 'react';
+import { getPersistentCacheStats } from '../services/persistentCache';
+import { refreshCachedData } from '../services/supabaseData';
+import { useTranslation } from '../hooks/useTranslation';
+import { getLocaleTag } from '../utils/uiLanguage';
+
+// Display name keys for cache groups (key prefix before ":")
+const GROUP_NAME_KEYS = {
+  tw_recipes: 'dataCache.groupRecipes',
+  tw_recipes_by_result: 'dataCache.groupRecipesByResult',
+  tw_recipes_by_ingredient: 'dataCache.groupRecipesByIngredient',
+  tw_recipes_by_job_level: 'dataCache.groupRecipesByJobLevel',
+  tw_item_descriptions: 'dataCache.groupItemDescriptions',
+  tw_item_ui_categories: 'dataCache.groupItemCategoryNames',
+  ui_categories: 'dataCache.groupItemCategories',
+  equipment: 'dataCache.groupEquipment',
+  equip_slot_categories: 'dataCache.groupEquipSlots',
+  tw_job_abbr: 'dataCache.groupJobNames',
+  patch_names: 'dataCache.groupPatchNames',
+};
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export default function DataCacheModal({ isOpen, onClose, addToast }) {
+  const { t, language } = useTranslation();
+  const [stats, setStats] = useState(null);
+  const [storageEstimate, setStorageEstimate] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+
+  const loadStats = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setStats(await getPersistentCacheStats());
+      if (navigator.storage && navigator.storage.estimate) {
+        setStorageEstimate(await navigator.storage.estimate());
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadStats();
+    }
+  }, [isOpen, loadStats]);
+
+  // Close on Escape key
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape' && isOpen) {
+        onClose();
+      }
+    };
+    window.addEventListener('keydown', handleEscape);
+    return () => window.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose]);
+
+  const handleRefresh = async () => {
+    setIsRefreshing(true);
+    try {
+      const cleared = await refreshCachedData();
+      if (addToast) {
+        addToast(cleared ? t('dataCache.cleared') : t('dataCache.memoryCleared'), 'success');
+      }
+      await loadStats();
+    } finally {
+      setIsRefreshing(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-[100] flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black/70 backdrop-blur-sm" />
+
+      {/* Modal Content */}
+      <div
+        className="relative bg-gradient-to-br from-slate-900 via-purple-900/30 to-slate-900 rounded-lg border-2 border-purple-500/50 shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-hidden flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 sm:p-6 border-b border-purple-500/30">
+          <div className="flex items-center gap-3">
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              className="h-6 w-6 text-ffxiv-gold"
+              fill="none"
+              viewBox="0 0 24 24"
+              stroke="currentColor"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M4 7v10c0 2.21 3.582 4 8 4s8-1.79 8-4V7M4 7c0 2.21 3.582 4 8 4s8-1.79 8-4M4 7c0-2.21 3.582-4 8-4s8 1.79 8 4m0 5c0 2.21-3.582 4-8 4s-8-1.79-8-4"
+              />
+            </svg>
+            <h2 className="text-xl sm:text-2xl font-bold text-ffxiv-gold">
+              {t('dataCache.title')}
+            </h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-400 hover:text-white hover:bg-purple-800/40 rounded-lg transition-all"
+            title={t('common.close')}
+          >
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              className="h-6 w-6"
+              fill="none"
+              viewBox="0 0 24 24"
+              stroke="currentColor"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M6 18L18 6M6 6l12 12"
+              />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto p-4 sm:p-6">
+          <p className="text-sm text-gray-400 mb-4">
+            {t('dataCache.description')}
+          </p>
+
+          {isLoading && !stats ? (
+            <div className="flex items-center justify-center py-12">
+              <div className="flex items-center gap-3">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-ffxiv-gold"></div>
+                <span className="text-lg text-gray-300">{t('dataCache.loading')}</span>
+              </div>
+            </div>
+          ) : stats && !stats.available ? (
+            <div className="text-center py-12">
+              <p className="text-gray-400">{t('dataCache.unavailable')}</p>
+            </div>
+          ) : stats && (
+            <>
+              <div className="grid grid-cols-3 gap-3 mb-4 text-xs">
+                <div className="bg-slate-900/40 rounded-md border border-slate-600/40 p-3">
+                  <div className="text-gray-400 mb-1">{t('dataCache.dataVersion')}</div>
+                  <div className="text-ffxiv-gold font-semibold text-sm">{stats.version}</div>
+                </div>
+                <div className="bg-slate-900/40 rounded-md border border-slate-600/40 p-3">
+                  <div className="text-gray-400 mb-1">{t('dataCache.entries')}</div>
+                  <div className="text-white font-semibold text-sm">{stats.entryCount.toLocaleString()}</div>
+                </div>
+                <div className="bg-slate-900/40 rounded-md border border-slate-600/40 p-3">
+                  <div className="text-gray-400 mb-1">{t('dataCache.size')}</div>
+                  <div className="text-white font-semibold text-sm">{formatBytes(stats.totalSize)}</div>
+                  {storageEstimate?.usage !== undefined && (
+                    <div className="text-[10px] text-gray-500">{t('dataCache.siteUsage', { size: formatBytes(storageEstimate.usage) })}</div>
+                  )}
+                </div>
+              </div>
+
+              {stats.groups.length === 0 ? (
+                <p className="text-center text-gray-500 text-sm py-6">{t('dataCache.empty')}</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-purple-500/30">
+                      <th className="px-2 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('dataCache.data')}</th>
+                      <th className="px-2 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('dataCache.items')}</th>
+                      <th className="px-2 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('dataCache.sizeColumn')}</th>
+                      <th className="px-2 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('dataCache.updatedAt')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.groups.map(group => (
+                      <tr key={group.name} className="border-b border-purple-500/10 text-xs">
+                        <td className="px-2 py-1.5 text-gray-200">{GROUP_NAME_KEYS[group.name] ? t(GROUP_NAME_KEYS[group.name]) : group.name}</td>
+                        <td className="px-2 py-1.5 text-right text-gray-300">{group.count}</td>
+                        <td className="px-2 py-1.5 text-right text-gray-300">{formatBytes(group.size)}</td>
+                        <td className="px-2 py-1.5 text-right text-gray-400">
+                          {group.updatedAt ? new Date(group.updatedAt).toLocaleString(getLocaleTag(language)) : '-'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-between gap-3 p-4 sm:p-6 border-t border-purple-500/30">
+          <span className={`text-xs ${navigator.onLine ? 'text-green-400' : 'text-orange-300'}`}>
+            {navigator.onLine ? t('dataCache.online') : t('dataCache.offline')}
+          </span>
+          <button
+            onClick={handleRefresh}
+            disabled={isRefreshing || !navigator.onLine}
+            className="px-4 py-2 rounded-lg text-sm bg-purple-800/50 hover:bg-purple-700/70 text-white border border-purple-500/40 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+          >
+            {isRefreshing ? t('dataCache.clearing') : t('dataCache.clearAndRedownload')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,647 @@
+// Desynth Value (精製分解估價) - Compare desynthesis / reduction outputs against selling the item
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import TaxRatesModal from './TaxRatesModal';
+import ServerSelector from './ServerSelector';
+import ItemImage from './ItemImage';
+import ExportButton from './ExportButton';
+import { APP_VERSION } from '../constants/version';
+import { getMarketableItems } from '../services/universalis';
+import { searchTwItems, getTwItemsByIds, getUICategoriesByIds, getTwItemUICategories } from '../services/supabaseData';
+import { EXTRACTION_METHODS, loadExtractionData, rankExtractionValues } from '../services/desynthValue';
+import { getInternalUrl } from '../utils/internalUrl.js';
+import { generateItemUrl } from '../utils/urlSlug';
+import { translate } from '../i18n';
+import { getUILanguage } from '../utils/uiLanguage';
+import { useTranslation } from '../hooks/useTranslation';
+import { useItemNames } from '../hooks/useItemNames';
+
+// Outputs are sold on the market board, so the default market tax applies
+const TAX_RATE = 5;
+const MAX_SEARCH_RESULTS = 8;
+const MAX_DISPLAYED_RESULTS = 200;
+const MAX_INLINE_OUTPUTS = 4;
+
+function formatProfit(value) {
+  if (value === null) return '-';
+  return `${value > 0 ? '+' : ''}${value.toLocaleString()}`;
+}
+
+export default function DesynthValue({
+  addToast,
+  removeToast,
+  toasts,
+  datacenters,
+  worlds,
+  selectedWorld,
+  onWorldChange,
+  selectedServerOption,
+  onServerOptionChange,
+  serverOptions,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  isServerDataLoaded,
+  onItemSelect,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const navigate = useNavigate();
+  const { t, language } = useTranslation();
+  const [mode, setMode] = useState('category'); // 'category' | 'item'
+  const [methodId, setMethodId] = useState(EXTRACTION_METHODS.desynth.id);
+  const [categoryOptions, setCategoryOptions] = useState([]);
+  const [categoryId, setCategoryId] = useState('');
+  const [isLoadingCategories, setIsLoadingCategories] = useState(false);
+  const [itemQuery, setItemQuery] = useState('');
+  const [itemMatches, setItemMatches] = useState([]);
+  const [itemsPerExtraction, setItemsPerExtraction] = useState('1');
+  const [onlyProfitable, setOnlyProfitable] = useState(false);
+  const [results, setResults] = useState([]);
+  const [itemNames, setItemNames] = useState({});
+  const [expandedKey, setExpandedKey] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [searchedTarget, setSearchedTarget] = useState(null);
+  const abortControllerRef = useRef(null);
+  const categoriesByItemRef = useRef({});
+
+  const isWorldMode = typeof selectedServerOption === 'number';
+  const targetName = isWorldMode ? worlds?.[selectedServerOption] : selectedServerOption;
+
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  // Categories that contain at least one item of the chosen method
+  useEffect(() => {
+    if (mode !== 'category') return;
+    let cancelled = false;
+    setIsLoadingCategories(true);
+    (async () => {
+      try {
+        const data = await loadExtractionData();
+        const inputIds = Array.from(data[methodId].keys());
+        const [categoriesByItem, categoryNames] = await Promise.all([
+          getUICategoriesByIds(inputIds),
+          getTwItemUICategories(),
+        ]);
+        if (cancelled) return;
+        categoriesByItemRef.current = categoriesByItem;
+
+        const counts = new Map();
+        inputIds.forEach(itemId => {
+          const category = categoriesByItem[itemId];
+          if (category) counts.set(category, (counts.get(category) || 0) + 1);
+        });
+        const options = Array.from(counts.entries())
+          .map(([id, count]) => ({ id, count, name: categoryNames[id]?.tw || translate(getUILanguage(), 'common.categoryFallback', { id }) }))
+          .sort((a, b) => b.count - a.count);
+        setCategoryOptions(options);
+        setCategoryId(prev => (options.some(option => String(option.id) === prev) ? prev : String(options[0]?.id || '')));
+      } catch (error) {
+        if (!cancelled) {
+          console.error('Failed to load extraction categories:', error);
+          addToast(translate(getUILanguage(), 'common.categoriesLoadFailed'), 'error');
+        }
+      } finally {
+        if (!cancelled) setIsLoadingCategories(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [mode, methodId, addToast]);
+
+  // Debounced item search; stale responses are dropped
+  useEffect(() => {
+    if (!itemQuery.trim()) {
+      setItemMatches([]);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const matches = await searchTwItems(itemQuery);
+      if (cancelled) return;
+      setItemMatches(
+        Object.entries(matches)
+          .slice(0, MAX_SEARCH_RESULTS)
+          .map(([id, data]) => ({ itemId: parseInt(id, 10), itemName: data.tw }))
+      );
+    }, 200);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [itemQuery]);
+
+  const handleStop = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    setIsLoading(false);
+    setProgress(null);
+  }, []);
+
+  /**
+   * Price and rank a set of extraction entries
+   * @param {Array<Object>} entries - [{ itemId, outputIds, method }]
+   * @param {Object} target - Shown above the results, { categoryName, methodId } or { itemId, isSingleItem }
+   */
+  const runValuation = useCallback(async (entries, target) => {
+    if (!selectedServerOption) {
+      addToast(t('common.selectServer'), 'warning');
+      return;
+    }
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+
+    setIsLoading(true);
+    setResults([]);
+    setExpandedKey(null);
+    setProgress(null);
+
+    try {
+      const itemIds = [...new Set(entries.flatMap(entry => [entry.itemId, ...entry.outputIds]))];
+      const names = await getTwItemsByIds(itemIds, signal);
+      if (signal.aborted) return;
+      setItemNames(names);
+
+      const ranked = await rankExtractionValues(selectedServerOption, entries, {
+        taxRate: TAX_RATE,
+        itemsPerExtraction: Math.max(1, Number(itemsPerExtraction) || 1),
+        signal,
+        onProgress: (loaded, total) => setProgress({ loaded, total }),
+      });
+      if (signal.aborted) return;
+
+      // A single item may be valued for both methods, so the method is part of the key
+      const rows = ranked.map(row => ({ ...row, key: `${row.method}-${row.itemId}` }));
+      setResults(rows);
+      setSearchedTarget({ ...target, name: targetName, isWorldMode });
+      if (target.isSingleItem) {
+        setExpandedKey(rows[0]?.key || null);
+      }
+    } catch (error) {
+      if (!signal.aborted) {
+        console.error('Failed to value extractions:', error);
+        addToast(error.message || t('common.queryFailed'), 'error');
+      }
+    } finally {
+      if (!signal.aborted) {
+        setIsLoading(false);
+        setProgress(null);
+      }
+    }
+  }, [selectedServerOption, itemsPerExtraction, targetName, isWorldMode, addToast, t]);
+
+  const handleSearchCategory = useCallback(async () => {
+    if (!categoryId) return;
+    try {
+      const [data, marketable] = await Promise.all([loadExtractionData(), getMarketableItems()]);
+      const categoriesByItem = categoriesByItemRef.current;
+      const entries = Array.from(data[methodId].entries())
+        .filter(([itemId]) => String(categoriesByItem[itemId]) === categoryId && marketable.has(itemId))
+        .map(([itemId, outputIds]) => ({ itemId, outputIds, method: methodId }));
+      if (entries.length === 0) {
+        addToast(t('common.noMarketableInCategory'), 'warning');
+        return;
+      }
+      const category = categoryOptions.find(option => String(option.id) === categoryId);
+      await runValuation(entries, { categoryName: category?.name || '', methodId });
+    } catch (error) {
+      console.error('Failed to load extraction data:', error);
+      addToast(t('desynth.dataLoadFailed'), 'error');
+    }
+  }, [categoryId, methodId, categoryOptions, runValuation, addToast, t]);
+
+  const handleSelectItem = useCallback(async (match) => {
+    setItemQuery('');
+    try {
+      const data = await loadExtractionData();
+      const entries = Object.values(EXTRACTION_METHODS)
+        .filter(method => data[method.id].has(match.itemId))
+        .map(method => ({ itemId: match.itemId, outputIds: data[method.id].get(match.itemId), method: method.id }));
+      if (entries.length === 0) {
+        addToast(t('desynth.noExtractionData'), 'warning');
+        return;
+      }
+      await runValuation(entries, { itemId: match.itemId, isSingleItem: true });
+    } catch (error) {
+      console.error('Failed to load extraction data:', error);
+      addToast(t('desynth.dataLoadFailed'), 'error');
+    }
+  }, [runValuation, addToast, t]);
+
+  const handleOpenItem = useCallback((itemId) => {
+    const itemUrl = generateItemUrl(itemId, itemNames[itemId]?.tw || 'item');
+    window.open(`${window.location.origin}${getInternalUrl(itemUrl)}`, '_blank', 'noopener,noreferrer');
+  }, [itemNames]);
+
+  const displayedResults = useMemo(() => (
+    onlyProfitable ? results.filter(row => row.profitVsBuying !== null && row.profitVsBuying > 0) : results
+  ), [results, onlyProfitable]);
+
+  // Names for the rows on screen (and their outputs) plus the search suggestions
+  const shownItemIds = useMemo(() => {
+    const ids = new Set(itemMatches.map(match => match.itemId));
+    displayedResults.slice(0, MAX_DISPLAYED_RESULTS).forEach(row => {
+      ids.add(row.itemId);
+      row.outputs.forEach(output => ids.add(output.itemId));
+    });
+    return Array.from(ids);
+  }, [displayedResults, itemMatches]);
+  const localizedNames = useItemNames(shownItemIds, language);
+
+  const getName = useCallback((itemId) => (
+    localizedNames[itemId] || itemNames[itemId]?.tw || t('common.itemFallback', { id: itemId })
+  ), [localizedNames, itemNames, t]);
+
+  const exportColumns = useMemo(() => [
+    { key: 'itemId', label: 'ID' },
+    { key: 'name', label: t('table.itemName'), value: (row) => localizedNames[row.itemId] || itemNames[row.itemId]?.tw || '' },
+    { key: 'method', label: t('desynth.method'), value: (row) => (EXTRACTION_METHODS[row.method] ? t(EXTRACTION_METHODS[row.method].labelKey) : '') },
+    { key: 'buyPrice', label: t('desynth.buyPrice') },
+    { key: 'sellPrice', label: t('desynth.sellDirectAfterTax') },
+    { key: 'expectedValue', label: t('desynth.expectedValueAfterTax') },
+    { key: 'profitVsSelling', label: t('desynth.profitVsSelling') },
+    { key: 'profitVsBuying', label: t('desynth.profitVsBuying') },
+    { key: 'outputs', label: t('desynth.possibleOutputs'), value: (row) => row.outputs.map(output => `${localizedNames[output.itemId] || itemNames[output.itemId]?.tw || output.itemId}(${output.price ?? '-'})`).join(' / ') },
+  ], [itemNames, localizedNames, t]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        onTaxRatesClick={onTaxRatesClick}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+              {t('desynth.title')}
+            </h1>
+            <p className="text-gray-400 text-sm sm:text-base">
+              {t('desynth.description')}
+            </p>
+          </div>
+
+          {/* Server Selector */}
+          {selectedWorld && (
+            <div className="mb-6">
+              <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
+                {t('common.queryServer')}
+              </label>
+              <ServerSelector
+                datacenters={datacenters}
+                worlds={worlds}
+                selectedWorld={selectedWorld}
+                onWorldChange={onWorldChange}
+                selectedServerOption={selectedServerOption}
+                onServerOptionChange={onServerOptionChange}
+                serverOptions={serverOptions}
+                disabled={isLoading}
+              />
+            </div>
+          )}
+
+          {/* Filters */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
+            <div className="flex flex-wrap gap-2 mb-4">
+              {[
+                { id: 'category', labelKey: 'desynth.modeCategory' },
+                { id: 'item', labelKey: 'desynth.modeItem' },
+              ].map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => setMode(option.id)}
+                  disabled={isLoading}
+                  className={`px-3.5 py-2 rounded-lg text-xs sm:text-sm font-medium transition-all disabled:cursor-not-allowed ${
+                    mode === option.id
+                      ? 'bg-ffxiv-gold text-slate-900 border-2 border-ffxiv-gold'
+                      : 'bg-slate-800/50 text-gray-300 border border-purple-500/30 hover:bg-purple-800/40 hover:border-purple-400/50'
+                  }`}
+                >
+                  {t(option.labelKey)}
+                </button>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 sm:gap-4 mb-4">
+              {mode === 'category' ? (
+                <>
+                  <div>
+                    <label htmlFor="desynth-method" className="block text-xs text-gray-400 mb-1">{t('desynth.method')}</label>
+                    <select
+                      id="desynth-method"
+                      value={methodId}
+                      onChange={(e) => setMethodId(e.target.value)}
+                      disabled={isLoading}
+                      className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold"
+                    >
+                      {Object.values(EXTRACTION_METHODS).map(method => (
+                        <option key={method.id} value={method.id}>{t(method.labelKey)}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="col-span-2">
+                    <label htmlFor="desynth-category" className="block text-xs text-gray-400 mb-1">{t('common.itemCategory')}</label>
+                    <select
+                      id="desynth-category"
+                      value={categoryId}
+                      onChange={(e) => setCategoryId(e.target.value)}
+                      disabled={isLoading || isLoadingCategories}
+                      className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold"
+                    >
+                      {isLoadingCategories && <option value="">{t('common.loading')}</option>}
+                      {!isLoadingCategories && categoryOptions.map(option => (
+                        <option key={option.id} value={option.id}>{option.name} ({option.count})</option>
+                      ))}
+                    </select>
+                  </div>
+                </>
+              ) : (
+                <div className="col-span-2 sm:col-span-3 relative">
+                  <label htmlFor="desynth-item" className="block text-xs text-gray-400 mb-1">{t('table.item')}</label>
+                  <input
+                    id="desynth-item"
+                    type="text"
+                    value={itemQuery}
+                    onChange={(e) => setItemQuery(e.target.value)}
+                    disabled={isLoading}
+                    placeholder={t('desynth.searchPlaceholder')}
+                    className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold"
+                  />
+                  {itemMatches.length > 0 && (
+                    <div className="absolute top-full left-0 right-0 mt-1 bg-slate-900/95 border border-purple-500/30 rounded-lg shadow-xl z-20 py-1">
+                      {itemMatches.map(match => (
+                        <button
+                          key={match.itemId}
+                          onClick={() => handleSelectItem(match)}
+                          className="w-full px-3 py-1.5 flex items-center gap-2 hover:bg-purple-900/30 transition-colors text-left text-sm"
+                        >
+                          <ItemImage itemId={match.itemId} alt={localizedNames[match.itemId] || match.itemName} className="w-6 h-6 object-contain rounded" />
+                          <span className="text-white truncate">{localizedNames[match.itemId] || match.itemName}</span>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+              <div>
+                <label htmlFor="desynth-items-per-extraction" className="block text-xs text-gray-400 mb-1">{t('desynth.itemsPerExtraction')}</label>
+                <input
+                  id="desynth-items-per-extraction"
+                  type="number"
+                  min="1"
+                  step="0.1"
+                  value={itemsPerExtraction}
+                  onChange={(e) => setItemsPerExtraction(e.target.value)}
+                  disabled={isLoading}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                />
+              </div>
+            </div>
+
+            <div className="flex items-center gap-3 flex-wrap">
+              {isLoading ? (
+                <button
+                  onClick={handleStop}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-red-900/40 text-red-300 border border-red-500/40 hover:bg-red-800/50 transition-all"
+                >
+                  {t('common.stopQuery')}
+                </button>
+              ) : mode === 'category' && (
+                <button
+                  onClick={handleSearchCategory}
+                  disabled={!selectedServerOption || !categoryId || isLoadingCategories}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-gradient-to-r from-ffxiv-gold to-yellow-500 text-slate-900 hover:shadow-[0_0_15px_rgba(212,175,55,0.5)] disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                >
+                  {t('desynth.search', { method: t(EXTRACTION_METHODS[methodId].labelKey) })}
+                </button>
+              )}
+              <label className="flex items-center gap-1.5 text-xs text-gray-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={onlyProfitable}
+                  onChange={(e) => setOnlyProfitable(e.target.checked)}
+                  className="accent-ffxiv-gold"
+                />
+                {t('desynth.onlyProfitable')}
+              </label>
+              {progress && progress.total > 0 && (
+                <div className="flex items-center gap-2 text-xs text-gray-400">
+                  <div className="w-40 h-1.5 bg-slate-700 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-ffxiv-gold transition-all"
+                      style={{ width: `${(progress.loaded / progress.total) * 100}%` }}
+                    />
+                  </div>
+                  {progress.loaded.toLocaleString()} / {progress.total.toLocaleString()}
+                </div>
+              )}
+              {searchedTarget && !isLoading && (
+                <span className="text-xs text-gray-500">
+                  {searchedTarget.isSingleItem ? getName(searchedTarget.itemId) : `${searchedTarget.categoryName} · ${t(EXTRACTION_METHODS[searchedTarget.methodId].labelKey)}`}
+                  {' · '}{searchedTarget.isWorldMode ? t('common.worldScope', { name: searchedTarget.name }) : t('common.dcScope', { name: searchedTarget.name })} · {t('common.taxRate', { rate: TAX_RATE })}
+                </span>
+              )}
+            </div>
+          </div>
+
+          {/* Results */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6">
+            <div className="flex items-center gap-3 flex-wrap mb-4">
+              <h2 className="text-lg font-semibold text-ffxiv-gold">
+                {t('desynth.resultsTitle', { count: displayedResults.length })}
+                {displayedResults.length > MAX_DISPLAYED_RESULTS && (
+                  <span className="ml-2 text-sm text-gray-400 font-normal">{t('common.showingTop', { count: MAX_DISPLAYED_RESULTS })}</span>
+                )}
+              </h2>
+              {displayedResults.length > 0 && (
+                <ExportButton
+                  getRows={() => displayedResults}
+                  columns={exportColumns}
+                  filename="desynth-value"
+                  className="ml-auto"
+                />
+              )}
+            </div>
+
+            {displayedResults.length === 0 ? (
+              <p className="text-center text-gray-400 py-8 text-sm">
+                {isLoading ? t('common.querying') : searchedTarget ? t('common.noMatches') : t('desynth.idle')}
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-purple-500/30">
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('table.item')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('desynth.possibleOutputs')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('desynth.buyPrice')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('desynth.sellDirect')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('desynth.expectedValue')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('desynth.vsSelling')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('desynth.profitVsBuying')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {displayedResults.slice(0, MAX_DISPLAYED_RESULTS).map(row => {
+                      const isExpanded = expandedKey === row.key;
+                      return [
+                        <tr
+                          key={row.key}
+                          onClick={() => setExpandedKey(isExpanded ? null : row.key)}
+                          className="border-b border-purple-500/10 hover:bg-purple-900/20 transition-colors cursor-pointer"
+                        >
+                          <td className="px-2 sm:px-3 py-2">
+                            <div className="flex items-center gap-2">
+                              <ItemImage itemId={row.itemId} alt={getName(row.itemId)} className="w-7 h-7 object-contain rounded" />
+                              <div className="min-w-0">
+                                <button
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    handleOpenItem(row.itemId);
+                                  }}
+                                  className="text-white text-xs sm:text-sm text-left hover:text-ffxiv-gold transition-colors"
+                                >
+                                  {getName(row.itemId)}
+                                </button>
+                                <div className="text-[10px] text-gray-500">{EXTRACTION_METHODS[row.method] && t(EXTRACTION_METHODS[row.method].labelKey)}</div>
+                              </div>
+                            </div>
+                          </td>
+                          <td className="px-2 sm:px-3 py-2">
+                            <div className="flex items-center gap-1">
+                              {row.outputs.slice(0, MAX_INLINE_OUTPUTS).map(output => (
+                                <ItemImage
+                                  key={output.itemId}
+                                  itemId={output.itemId}
+                                  alt={getName(output.itemId)}
+                                  title={`${getName(output.itemId)}: ${output.price ? output.price.toLocaleString() : t('common.noPrice')}`}
+                                  className={`w-6 h-6 object-contain rounded ${output.price ? '' : 'opacity-40'}`}
+                                />
+                              ))}
+                              {row.outputs.length > MAX_INLINE_OUTPUTS && (
+                                <span className="text-[10px] text-gray-500">+{row.outputs.length - MAX_INLINE_OUTPUTS}</span>
+                              )}
+                            </div>
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">{row.buyPrice?.toLocaleString() ?? '-'}</td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">{row.sellPrice?.toLocaleString() ?? '-'}</td>
+                          <td
+                            className="px-2 sm:px-3 py-2 text-right text-xs text-ffxiv-gold font-semibold"
+                            title={row.pricedOutputCount < row.outputs.length ? t('desynth.unpricedOutputs', { count: row.outputs.length - row.pricedOutputCount }) : undefined}
+                          >
+                            {row.expectedValue.toLocaleString()}
+                            {row.pricedOutputCount < row.outputs.length && <span className="ml-0.5 text-yellow-500">*</span>}
+                          </td>
+                          <td className={`px-2 sm:px-3 py-2 text-right text-xs ${row.profitVsSelling > 0 ? 'text-green-400' : 'text-gray-400'}`}>
+                            {formatProfit(row.profitVsSelling)}
+                          </td>
+                          <td className={`px-2 sm:px-3 py-2 text-right text-xs font-semibold ${row.profitVsBuying > 0 ? 'text-green-400' : 'text-red-400'}`}>
+                            {formatProfit(row.profitVsBuying)}
+                          </td>
+                        </tr>,
+                        isExpanded && (
+                          <tr key={`${row.key}-outputs`} className="border-b border-purple-500/10 bg-slate-900/40">
+                            <td colSpan={7} className="px-2 sm:px-3 py-2">
+                              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+                                {row.outputs.map(output => (
+                                  <button
+                                    key={output.itemId}
+                                    onClick={() => handleOpenItem(output.itemId)}
+                                    className="flex items-center gap-2 px-2 py-1 rounded bg-slate-800/60 border border-purple-500/20 hover:border-ffxiv-gold/50 text-left transition-colors"
+                                  >
+                                    <ItemImage itemId={output.itemId} alt={getName(output.itemId)} className="w-6 h-6 object-contain rounded" />
+                                    <span className="text-xs text-white truncate flex-1">{getName(output.itemId)}</span>
+                                    <span className="text-xs text-gray-300" title={output.priceSource === 'average' ? t('common.averageSalePrice') : output.priceSource ? t('common.noSalesMinListing') : undefined}>
+                                      {output.price ? output.price.toLocaleString() : t('common.noPrice')}
+                                      {output.priceSource === 'minListing' && <span className="ml-0.5 text-yellow-500">*</span>}
+                                    </span>
+                                    <span className="text-[10px] text-gray-500 w-14 text-right">{output.velocity ? t('common.perDay', { count: output.velocity.toFixed(1) }) : ''}</span>
+                                  </button>
+                                ))}
+                              </div>
+                            </td>
+                          </tr>
+                        ),
+                      ];
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Version Info */}
+        <div className="mt-6 pt-4 border-t border-slate-600/30">
+          <p className="text-xs text-slate-500 text-center">
+            {t('common.appVersion')} <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+          </p>
+        </div>
+      </div>
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+// Export controls shared by result tables - CSV / JSON download or copy as TSV
+// Rendered inline rather than as a dropdown, since most tables sit in overflow-x containers
+import { useState, useEffect, useRef } from 'react';
+import { EXPORT_FORMATS, exportRows } from '../utils/exportData';
+import { useTranslation } from '../hooks/useTranslation';
+
+/**
+ * @param {Function} getRows - Returns the rows to export; called only when a format is clicked
+ * @param {Array<Object>} columns - Column definitions, see utils/exportData; labels should already be translated
+ * @param {string} filename - Base filename without extension
+ */
+export default function ExportButton({ getRows, columns, filename, disabled = false, className = '' }) {
+  const { t } = useTranslation();
+  const [status, setStatus] = useState(null); // 'copied' | 'error' | null
+  const statusTimeoutRef = useRef(null);
+
+  useEffect(() => {
+    return () => {
+      if (statusTimeoutRef.current) {
+        clearTimeout(statusTimeoutRef.current);
+      }
+    };
+  }, []);
+
+  const showStatus = (nextStatus) => {
+    setStatus(nextStatus);
+    if (statusTimeoutRef.current) {
+      clearTimeout(statusTimeoutRef.current);
+    }
+    statusTimeoutRef.current = setTimeout(() => setStatus(null), 1500);
+  };
+
+  const handleExport = async (e, format) => {
+    e.stopPropagation();
+    try {
+      await exportRows(format, getRows(), columns, filename);
+      if (format === 'tsv') {
+        showStatus('copied');
+      }
+    } catch (error) {
+      console.error('Failed to export:', error);
+      showStatus('error');
+    }
+  };
+
+  return (
+    <div className={`inline-flex items-center gap-1 text-xs ${className}`}>
+      <span className={status === 'copied' ? 'text-green-400' : status === 'error' ? 'text-red-400' : 'text-gray-400'}>
+        {status === 'copied' ? t('export.copied') : status === 'error' ? t('export.failed') : t('export.label')}
+      </span>
+      {EXPORT_FORMATS.map(format => (
+        <button
+          key={format.id}
+          type="button"
+          onClick={(e) => handleExport(e, format.id)}
+          disabled={disabled}
+          className="px-1.5 py-0.5 rounded border border-purple-500/30 bg-slate-800/60 text-gray-300 hover:text-ffxiv-gold hover:border-ffxiv-gold/50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          title={t(format.labelKey)}
+        >
+          {format.id === 'tsv' ? t('export.copy') : format.id.toUpperCase()}
+        </button>
+      ))}
+    </div>
+  );
+}
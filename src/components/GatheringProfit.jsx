@@ -0,0 +1,532 @@
+// Gathering Profit (採集賺錢) - Rank MIN/BTN/FSH items by market value per gather
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import TaxRatesModal from './TaxRatesModal';
+import ServerSelector from './ServerSelector';
+import ItemImage from './ItemImage';
+import MapModal from './MapModal';
+import ExportButton from './ExportButton';
+import { APP_VERSION } from '../constants/version';
+import { getMarketableItems } from '../services/universalis';
+import { getTwItemsByIds, getTwPlacesByIds, getPlacesByIds } from '../services/supabaseData';
+import { GATHERING_JOBS, NODE_TYPE_LABEL_KEYS, findGatherableItems, rankGatheringProfits } from '../services/gatheringProfit';
+import { getLocalizedPlaceName } from '../utils/placeUtils';
+import { getJobName } from '../utils/gameDataNames';
+import { useTranslation } from '../hooks/useTranslation';
+import { useItemNames } from '../hooks/useItemNames';
+import { getInternalUrl } from '../utils/internalUrl.js';
+import { generateItemUrl } from '../utils/urlSlug';
+
+// Gathered items are listed on the market board, so the default market tax applies
+const TAX_RATE = 5;
+const MAX_DISPLAYED_RESULTS = 200;
+
+export default function GatheringProfit({
+  addToast,
+  removeToast,
+  toasts,
+  datacenters,
+  worlds,
+  selectedWorld,
+  onWorldChange,
+  selectedServerOption,
+  onServerOptionChange,
+  serverOptions,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  isServerDataLoaded,
+  onItemSelect,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const navigate = useNavigate();
+  const { t, language } = useTranslation();
+  const [jobId, setJobId] = useState(GATHERING_JOBS[0].id);
+  const [minLevel, setMinLevel] = useState('90');
+  const [maxLevel, setMaxLevel] = useState('100');
+  const [minVelocity, setMinVelocity] = useState('1');
+  const [itemsPerGather, setItemsPerGather] = useState('1');
+  const [includeLimited, setIncludeLimited] = useState(true);
+  const [results, setResults] = useState([]);
+  const [itemNames, setItemNames] = useState({});
+  const [placeNames, setPlaceNames] = useState({ twPlaces: {}, places: {} });
+  const [isLoading, setIsLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [searchedTarget, setSearchedTarget] = useState(null);
+  const [mapModal, setMapModal] = useState({ isOpen: false, zoneName: '', x: 0, y: 0, npcName: '', mapId: null });
+  const abortControllerRef = useRef(null);
+
+  const isWorldMode = typeof selectedServerOption === 'number';
+  const targetName = isWorldMode ? worlds?.[selectedServerOption] : selectedServerOption;
+
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  const handleStop = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    setIsLoading(false);
+    setProgress(null);
+  }, []);
+
+  const handleSearch = useCallback(async () => {
+    if (!selectedServerOption) {
+      addToast(t('common.selectServer'), 'warning');
+      return;
+    }
+
+    const min = Math.max(1, parseInt(minLevel, 10) || 1);
+    const max = Math.max(min, parseInt(maxLevel, 10) || 100);
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+
+    setIsLoading(true);
+    setResults([]);
+    setProgress(null);
+
+    try {
+      const [gatherable, marketable] = await Promise.all([
+        findGatherableItems({ jobId, minLevel: min, maxLevel: max, includeLimited }),
+        getMarketableItems(),
+      ]);
+      if (signal.aborted) return;
+
+      const items = gatherable.filter(item => marketable.has(item.itemId));
+      if (items.length === 0) {
+        addToast(t('gathering.noItemsInRange'), 'warning');
+        return;
+      }
+
+      const itemIds = items.map(item => item.itemId);
+      const zoneIds = [...new Set(items.flatMap(item => item.nodes.map(node => node.zoneId)).filter(Boolean))];
+      const [names, twPlaces, places] = await Promise.all([
+        getTwItemsByIds(itemIds, signal),
+        getTwPlacesByIds(zoneIds, signal),
+        getPlacesByIds(zoneIds, signal),
+      ]);
+      if (signal.aborted) return;
+      setItemNames(names);
+      setPlaceNames({ twPlaces, places });
+
+      setProgress({ loaded: 0, total: items.length });
+      const ranked = await rankGatheringProfits(selectedServerOption, items, {
+        itemsPerGather: Math.max(1, Number(itemsPerGather) || 1),
+        taxRate: TAX_RATE,
+        minVelocity: Number(minVelocity) || 0,
+        signal,
+        onProgress: (loaded, total) => setProgress({ loaded, total }),
+      });
+      if (signal.aborted) return;
+
+      setResults(ranked);
+      setSearchedTarget({ name: targetName, isWorldMode, jobId });
+      if (ranked.length === 0) {
+        addToast(t('common.noMatchesRelax'), 'info');
+      }
+    } catch (error) {
+      if (!signal.aborted) {
+        console.error('Failed to rank gathering profits:', error);
+        addToast(error.message || t('common.queryFailed'), 'error');
+      }
+    } finally {
+      if (!signal.aborted) {
+        setIsLoading(false);
+        setProgress(null);
+      }
+    }
+  }, [selectedServerOption, jobId, minLevel, maxLevel, includeLimited, itemsPerGather, minVelocity, targetName, isWorldMode, addToast, t]);
+
+  const getZoneName = useCallback((zoneId) => (
+    getLocalizedPlaceName(zoneId, placeNames, language, t('common.zone'))
+  ), [placeNames, language, t]);
+
+  const displayedResults = useMemo(() => results.slice(0, MAX_DISPLAYED_RESULTS), [results]);
+  const localizedNames = useItemNames(displayedResults.map(item => item.itemId), language);
+  const getItemName = useCallback((itemId) => (
+    localizedNames[itemId] || itemNames[itemId]?.tw || t('common.itemFallback', { id: itemId })
+  ), [localizedNames, itemNames, t]);
+
+  const handleOpenItem = useCallback((itemId) => {
+    const itemUrl = generateItemUrl(itemId, itemNames[itemId]?.tw || 'item');
+    window.open(`${window.location.origin}${getInternalUrl(itemUrl)}`, '_blank', 'noopener,noreferrer');
+  }, [itemNames]);
+
+  const handleOpenMap = useCallback((node) => {
+    setMapModal({
+      isOpen: true,
+      zoneName: getZoneName(node.zoneId),
+      x: node.x,
+      y: node.y,
+      npcName: t('gathering.nodeLabel', { type: NODE_TYPE_LABEL_KEYS[node.type] ? t(NODE_TYPE_LABEL_KEYS[node.type]) : '', level: node.level }),
+      mapId: node.mapId,
+    });
+  }, [getZoneName, t]);
+
+  const exportColumns = useMemo(() => [
+    { key: 'itemId', label: 'ID' },
+    { key: 'name', label: t('table.itemName'), value: (row) => localizedNames[row.itemId] || itemNames[row.itemId]?.tw || '' },
+    { key: 'level', label: t('gathering.gatheringLevel') },
+    { key: 'unitPrice', label: t('table.unitPrice') },
+    { key: 'priceSource', label: t('common.priceSource'), value: (row) => (row.priceSource === 'average' ? t('common.averageSalePrice') : t('table.minListing')) },
+    { key: 'velocity', label: t('table.velocity'), value: (row) => Number(row.velocity.toFixed(2)) },
+    { key: 'gilPerGather', label: t('gathering.gilPerGather') },
+    { key: 'dailyGil', label: t('gathering.dailyGil') },
+    { key: 'location', label: t('gathering.location'), value: (row) => (row.nodes[0] ? `${getZoneName(row.nodes[0].zoneId)} (${row.nodes[0].x.toFixed(1)}, ${row.nodes[0].y.toFixed(1)})` : '') },
+  ], [itemNames, localizedNames, getZoneName, t]);
+
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        onTaxRatesClick={onTaxRatesClick}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+              {t('gathering.title')}
+            </h1>
+            <p className="text-gray-400 text-sm sm:text-base">
+              {t('gathering.description')}
+            </p>
+          </div>
+
+          {/* Server Selector */}
+          {selectedWorld && (
+            <div className="mb-6">
+              <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
+                {t('common.queryServer')}
+              </label>
+              <ServerSelector
+                datacenters={datacenters}
+                worlds={worlds}
+                selectedWorld={selectedWorld}
+                onWorldChange={onWorldChange}
+                selectedServerOption={selectedServerOption}
+                onServerOptionChange={onServerOptionChange}
+                serverOptions={serverOptions}
+                disabled={isLoading}
+              />
+            </div>
+          )}
+
+          {/* Filters */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
+            <div className="flex flex-wrap gap-2 mb-4">
+              {GATHERING_JOBS.map(job => {
+                const isSelected = job.id === jobId;
+                const jobName = getJobName(job.id, language) || job.abbr;
+                return (
+                  <button
+                    key={job.id}
+                    onClick={() => setJobId(job.id)}
+                    disabled={isLoading}
+                    className={`px-3.5 py-2 rounded-lg text-xs sm:text-sm font-medium transition-all flex items-center gap-1.5 disabled:cursor-not-allowed ${
+                      isSelected
+                        ? 'bg-ffxiv-gold text-slate-900 border-2 border-ffxiv-gold'
+                        : 'bg-slate-800/50 text-gray-300 border border-purple-500/30 hover:bg-purple-800/40 hover:border-purple-400/50'
+                    }`}
+                  >
+                    <img
+                      src={`https://xivapi.com/cj/companion/${job.icon}.png`}
+                      alt={jobName}
+                      className="w-6 h-6 object-contain"
+                      onError={(e) => { e.target.style.display = 'none'; }}
+                    />
+                    <span>{jobName}</span>
+                  </button>
+                );
+              })}
+            </div>
+
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 sm:gap-4 mb-4">
+              <div>
+                <label htmlFor="gathering-min-level" className="block text-xs text-gray-400 mb-1">{t('common.minLevel')}</label>
+                <input
+                  id="gathering-min-level"
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={minLevel}
+                  onChange={(e) => setMinLevel(e.target.value)}
+                  disabled={isLoading}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                />
+              </div>
+              <div>
+                <label htmlFor="gathering-max-level" className="block text-xs text-gray-400 mb-1">{t('common.maxLevel')}</label>
+                <input
+                  id="gathering-max-level"
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={maxLevel}
+                  onChange={(e) => setMaxLevel(e.target.value)}
+                  disabled={isLoading}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                />
+              </div>
+              <div>
+                <label htmlFor="gathering-min-velocity" className="block text-xs text-gray-400 mb-1">{t('common.minVelocity')}</label>
+                <input
+                  id="gathering-min-velocity"
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={minVelocity}
+                  onChange={(e) => setMinVelocity(e.target.value)}
+                  disabled={isLoading}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                />
+              </div>
+              <div>
+                <label htmlFor="gathering-items-per-gather" className="block text-xs text-gray-400 mb-1">{t('gathering.itemsPerGather')}</label>
+                <input
+                  id="gathering-items-per-gather"
+                  type="number"
+                  min="1"
+                  value={itemsPerGather}
+                  onChange={(e) => setItemsPerGather(e.target.value)}
+                  disabled={isLoading}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                />
+              </div>
+            </div>
+
+            <div className="flex items-center gap-3 flex-wrap">
+              {isLoading ? (
+                <button
+                  onClick={handleStop}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-red-900/40 text-red-300 border border-red-500/40 hover:bg-red-800/50 transition-all"
+                >
+                  {t('common.stopQuery')}
+                </button>
+              ) : (
+                <button
+                  onClick={handleSearch}
+                  disabled={!selectedServerOption}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-gradient-to-r from-ffxiv-gold to-yellow-500 text-slate-900 hover:shadow-[0_0_15px_rgba(212,175,55,0.5)] disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                >
+                  {t('gathering.search', { job: getJobName(jobId, language) || '' })}
+                </button>
+              )}
+              <label className="flex items-center gap-1.5 text-xs text-gray-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={includeLimited}
+                  onChange={(e) => setIncludeLimited(e.target.checked)}
+                  disabled={isLoading}
+                  className="accent-ffxiv-gold"
+                />
+                {t('gathering.includeLimited')}
+              </label>
+              {progress && progress.total > 0 && (
+                <div className="flex items-center gap-2 text-xs text-gray-400">
+                  <div className="w-40 h-1.5 bg-slate-700 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-ffxiv-gold transition-all"
+                      style={{ width: `${(progress.loaded / progress.total) * 100}%` }}
+                    />
+                  </div>
+                  {progress.loaded.toLocaleString()} / {progress.total.toLocaleString()}
+                </div>
+              )}
+              {searchedTarget && !isLoading && (
+                <span className="text-xs text-gray-500">
+                  {searchedTarget.isWorldMode ? t('common.worldScope', { name: searchedTarget.name }) : t('common.dcScope', { name: searchedTarget.name })} · {t('common.taxRate', { rate: TAX_RATE })}
+                </span>
+              )}
+            </div>
+          </div>
+
+          {/* Results */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6">
+            <div className="flex items-center gap-3 flex-wrap mb-4">
+              <h2 className="text-lg font-semibold text-ffxiv-gold">
+                {t('gathering.resultsTitle', { count: results.length })}
+                {results.length > MAX_DISPLAYED_RESULTS && (
+                  <span className="ml-2 text-sm text-gray-400 font-normal">{t('common.showingTop', { count: MAX_DISPLAYED_RESULTS })}</span>
+                )}
+              </h2>
+              {results.length > 0 && (
+                <ExportButton
+                  getRows={() => results}
+                  columns={exportColumns}
+                  filename="gathering-profit"
+                  className="ml-auto"
+                />
+              )}
+            </div>
+
+            {results.length === 0 ? (
+              <p className="text-center text-gray-400 py-8 text-sm">
+                {isLoading ? t('common.querying') : searchedTarget ? t('common.noMatchesRelax') : t('gathering.idle')}
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-purple-500/30">
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">#</th>
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('table.item')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('common.level')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('gathering.location')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('table.unitPrice')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('table.velocity')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('gathering.gilPerGather')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('gathering.dailyGil')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {displayedResults.map((item, index) => {
+                      const name = getItemName(item.itemId);
+                      const [firstNode, ...otherNodes] = item.nodes;
+                      return (
+                        <tr
+                          key={item.itemId}
+                          className="border-b border-purple-500/10 hover:bg-purple-900/20 transition-colors"
+                        >
+                          <td className="px-2 sm:px-3 py-2 text-xs text-gray-500">{index + 1}</td>
+                          <td className="px-2 sm:px-3 py-2">
+                            <button
+                              onClick={() => handleOpenItem(item.itemId)}
+                              className="flex items-center gap-2 text-left hover:text-ffxiv-gold transition-colors"
+                            >
+                              <ItemImage itemId={item.itemId} alt={name} className="w-7 h-7 object-contain rounded" />
+                              <span className="text-white text-xs sm:text-sm">{name}</span>
+                              {item.stars > 0 && (
+                                <span className="text-[10px] text-yellow-400">{'★'.repeat(item.stars)}</span>
+                              )}
+                            </button>
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">{item.level}</td>
+                          <td className="px-2 sm:px-3 py-2 text-xs">
+                            {firstNode && (
+                              <div className="flex items-center gap-1.5">
+                                <button
+                                  onClick={() => handleOpenMap(firstNode)}
+                                  className="text-blue-400 hover:text-blue-300 text-left transition-colors"
+                                  title={NODE_TYPE_LABEL_KEYS[firstNode.type] ? t(NODE_TYPE_LABEL_KEYS[firstNode.type]) : undefined}
+                                >
+                                  {getZoneName(firstNode.zoneId)}
+                                  <span className="ml-1 text-gray-400">
+                                    ({firstNode.x.toFixed(1)}, {firstNode.y.toFixed(1)})
+                                  </span>
+                                </button>
+                                {firstNode.limited && (
+                                  <span className="px-1 py-0.5 text-[10px] text-purple-300 border border-purple-400/40 rounded">{t('common.limited')}</span>
+                                )}
+                                {otherNodes.length > 0 && (
+                                  <span
+                                    className="text-gray-500"
+                                    title={otherNodes.map(node => getZoneName(node.zoneId)).join(t('common.listSeparator'))}
+                                  >
+                                    +{otherNodes.length}
+                                  </span>
+                                )}
+                              </div>
+                            )}
+                          </td>
+                          <td
+                            className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300"
+                            title={item.priceSource === 'average' ? t('common.averageSalePrice') : t('common.noSalesMinListing')}
+                          >
+                            {item.unitPrice.toLocaleString()}
+                            {item.priceSource !== 'average' && <span className="ml-0.5 text-yellow-500">*</span>}
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">{item.velocity.toFixed(1)}</td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-green-400 font-semibold">{item.gilPerGather.toLocaleString()}</td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-ffxiv-gold font-semibold">{item.dailyGil.toLocaleString()}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Version Info */}
+        <div className="mt-6 pt-4 border-t border-slate-600/30">
+          <p className="text-xs text-slate-500 text-center">
+            {t('common.appVersion')} <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+          </p>
+        </div>
+      </div>
+
+      <MapModal
+        isOpen={mapModal.isOpen}
+        onClose={() => setMapModal({ ...mapModal, isOpen: false })}
+        zoneName={mapModal.zoneName}
+        x={mapModal.x}
+        y={mapModal.y}
+        npcName={mapModal.npcName}
+        mapId={mapModal.mapId}
+      />
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
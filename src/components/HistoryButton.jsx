@@ -1,10 +1,12 @@
 import { useState, useEffect, useRef } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useHistory } from '../hooks/useHistory';
+import { useTranslation } from '../hooks/useTranslation';
 import ItemImage from './ItemImage';
 
 export default function HistoryButton({ onItemSelect, compact = false, setSearchText, isItemInfoPage = false }) {
   const navigate = useNavigate();
+  const { t } = useTranslation();
   const location = useLocation();
   const [isOpen, setIsOpen] = useState(false);
   const dropdownRef = useRef(null);
@@ -83,7 +85,7 @@ export default function HistoryButton({ onItemSelect, compact = false, setSearch
 
   const handleClearHistory = (e) => {
     e.stopPropagation();
-    if (window.confirm('確定要清空所有歷史記錄嗎？')) {
+    if (window.confirm(t('history.confirmClear'))) {
       clearHistory();
       setIsOpen(false);
     }
@@ -114,7 +116,7 @@ export default function HistoryButton({ onItemSelect, compact = false, setSearch
                 : 'border-purple-500/30 hover:border-ffxiv-gold/50'
             }`
         }
-        title="歷史記錄"
+        title={t('nav.history')}
       >
         <svg 
           xmlns="http://www.w3.org/2000/svg" 
@@ -134,11 +136,11 @@ export default function HistoryButton({ onItemSelect, compact = false, setSearch
           />
         </svg>
         {isItemInfoPage ? (
-          <span className="topbar-nav-text item-info-page">歷史記錄</span>
+          <span className="topbar-nav-text item-info-page">{t('nav.history')}</span>
         ) : (
           <>
-            <span className="text-xs detail:text-sm font-semibold text-ffxiv-gold hidden mid:inline">歷史記錄</span>
-            <span className="text-xs font-semibold text-ffxiv-gold hidden narrow:inline mid:hidden">歷史</span>
+            <span className="text-xs detail:text-sm font-semibold text-ffxiv-gold hidden mid:inline">{t('nav.history')}</span>
+            <span className="text-xs font-semibold text-ffxiv-gold hidden narrow:inline mid:hidden">{t('nav.historyShort')}</span>
           </>
         )}
       </button>
@@ -157,20 +159,20 @@ export default function HistoryButton({ onItemSelect, compact = false, setSearch
           {isLoading ? (
             <div className="p-4 text-center">
               <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-ffxiv-gold mx-auto"></div>
-              <p className="text-xs text-gray-400 mt-2">載入中...</p>
+              <p className="text-xs text-gray-400 mt-2">{t('common.loading')}</p>
             </div>
           ) : historyItems.length === 0 ? (
             <div className="p-4 text-center">
-              <p className="text-sm text-gray-400">暫無歷史記錄</p>
+              <p className="text-sm text-gray-400">{t('history.empty')}</p>
             </div>
           ) : (
             <>
               <div className="p-2 border-b border-purple-500/20 relative">
-                <p className="text-xs text-ffxiv-gold font-semibold">最近查看 ({historyItems.length})</p>
+                <p className="text-xs text-ffxiv-gold font-semibold">{t('history.recent', { count: historyItems.length })}</p>
                 <button
                   onClick={handleClearHistory}
                   className="absolute top-2 right-2 p-1 text-gray-400 hover:text-red-400 transition-colors group"
-                  title="清空歷史記錄"
+                  title={t('history.clear')}
                 >
                   <svg 
                     xmlns="http://www.w3.org/2000/svg" 
@@ -1,12 +1,14 @@
 import { useHistory } from '../hooks/useHistory';
 import ItemImage from './ItemImage';
+import { useTranslation } from '../hooks/useTranslation';
 
 export default function HistorySection({ onItemSelect }) {
+  const { t } = useTranslation();
   // Use the centralized history hook
   const { historyItems, isLoading, clearHistory } = useHistory();
 
   const handleClearHistory = () => {
-    if (window.confirm('確定要清空所有歷史記錄嗎？')) {
+    if (window.confirm(t('history.confirmClear'))) {
       clearHistory();
     }
   };
@@ -16,7 +18,7 @@ export default function HistorySection({ onItemSelect }) {
       <div className="mb-6 bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6">
         <div className="flex items-center justify-center py-8">
           <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-ffxiv-gold"></div>
-          <span className="ml-3 text-sm text-gray-400">載入歷史記錄...</span>
+          <span className="ml-3 text-sm text-gray-400">{t('history.loading')}</span>
         </div>
       </div>
     );
@@ -44,14 +46,14 @@ export default function HistorySection({ onItemSelect }) {
               d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" 
             />
           </svg>
-          最近查看的物品
+          {t('history.recentItems')}
         </h3>
         <div className="flex items-center gap-3">
           <span className="text-xs sm:text-sm text-gray-400">({historyItems.length}/10)</span>
           <button
             onClick={handleClearHistory}
             className="px-2 sm:px-3 py-1 sm:py-1.5 text-xs sm:text-sm font-medium bg-red-800/60 hover:bg-red-700/70 text-gray-200 hover:text-white rounded-md border border-red-500/40 hover:border-red-400/60 transition-all duration-200 flex items-center gap-1.5"
-            title="清空歷史記錄"
+            title={t('history.clear')}
           >
             <svg 
               xmlns="http://www.w3.org/2000/svg" 
@@ -67,7 +69,7 @@ export default function HistorySection({ onItemSelect }) {
                 d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" 
               />
             </svg>
-            <span>清空</span>
+            <span>{t('common.clear')}</span>
           </button>
         </div>
       </div>
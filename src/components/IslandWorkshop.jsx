@@ -0,0 +1,617 @@
+// Island Workshop (無人島工房排程) - Weekly workshop agenda for the most cowries, plus leavings prices
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import TaxRatesModal from './TaxRatesModal';
+import ServerSelector from './ServerSelector';
+import ItemImage from './ItemImage';
+import ExportButton from './ExportButton';
+import { APP_VERSION } from '../constants/version';
+import { getMarketableItems } from '../services/universalis';
+import { getTwItemsByIds } from '../services/supabaseData';
+import {
+  DAYS_PER_WEEK,
+  MAX_WORKSHOPS,
+  MAX_GROOVE,
+  POPULARITY_LABEL_KEYS,
+  SUPPLY_LABEL_KEYS,
+  DEFAULT_SUPPLY_LEVEL,
+  WORKSHOP_TIERS,
+  loadIslandData,
+  planWeek,
+  getLeavingPrices,
+} from '../services/islandWorkshop';
+import { getInternalUrl } from '../utils/internalUrl.js';
+import { generateItemUrl } from '../utils/urlSlug';
+import { getUILanguage } from '../utils/uiLanguage';
+import { translate } from '../i18n';
+import { useTranslation } from '../hooks/useTranslation';
+import { useItemNames } from '../hooks/useItemNames';
+
+const SETTINGS_KEY = 'islandWorkshopSettings';
+const MAX_ISLAND_RANK = 20;
+const DEFAULT_SETTINGS = { rank: MAX_ISLAND_RANK, workshops: MAX_WORKSHOPS, tier: 4, groove: 0 };
+
+// Colours for the popularity column, matching the in-game faces from happiest down
+const POPULARITY_COLORS = {
+  1: 'text-green-400',
+  2: 'text-lime-300',
+  3: 'text-gray-300',
+  4: 'text-red-400',
+};
+
+/**
+ * Island rank, workshop count, workshop tier and groove change rarely, so they're kept between visits
+ * @returns {Object} { rank, workshops, tier, groove }
+ */
+function getSavedSettings() {
+  try {
+    const saved = localStorage.getItem(SETTINGS_KEY);
+    const parsed = saved ? JSON.parse(saved) : null;
+    return parsed && typeof parsed === 'object' ? { ...DEFAULT_SETTINGS, ...parsed } : DEFAULT_SETTINGS;
+  } catch (error) {
+    console.error('Failed to read island workshop settings:', error);
+    return DEFAULT_SETTINGS;
+  }
+}
+
+export default function IslandWorkshop({
+  addToast,
+  removeToast,
+  toasts,
+  datacenters,
+  worlds,
+  selectedWorld,
+  onWorldChange,
+  selectedServerOption,
+  onServerOptionChange,
+  serverOptions,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  isServerDataLoaded,
+  onItemSelect,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const navigate = useNavigate();
+  const { t, language } = useTranslation();
+  const [islandData, setIslandData] = useState(null);
+  const [itemNames, setItemNames] = useState({});
+  const [settings, setSettings] = useState(getSavedSettings);
+  const [pattern, setPattern] = useState('1');
+  const [supplyLevels, setSupplyLevels] = useState({});
+  // The first cycle of the week is usually spent reading popularity and supply
+  const [restDays, setRestDays] = useState([0]);
+  const [marketable, setMarketable] = useState(null);
+  const [leavingPrices, setLeavingPrices] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [searchedTarget, setSearchedTarget] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  const isWorldMode = typeof selectedServerOption === 'number';
+  const targetName = isWorldMode ? worlds?.[selectedServerOption] : selectedServerOption;
+
+  useEffect(() => {
+    let cancelled = false;
+    loadIslandData()
+      .then(data => {
+        if (cancelled) return;
+        setIslandData(data);
+        const itemIds = [
+          ...data.craftworks.map(craftwork => craftwork.itemId),
+          ...data.leavingItemIds,
+          ...data.cropItemIds,
+        ];
+        return getTwItemsByIds(itemIds).then(names => {
+          if (!cancelled) setItemNames(names);
+        });
+      })
+      .catch(error => {
+        console.error('Failed to load island data:', error);
+        if (!cancelled) addToast(translate(getUILanguage(), 'islandWorkshop.loadFailed'), 'error');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [addToast]);
+
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+      console.error('Failed to save island workshop settings:', error);
+    }
+  }, [settings]);
+
+  const updateSetting = useCallback((key, value, max) => {
+    const parsed = parseInt(value, 10);
+    setSettings(prev => ({ ...prev, [key]: Number.isNaN(parsed) ? 0 : Math.max(0, Math.min(parsed, max)) }));
+  }, []);
+
+  const toggleRestDay = useCallback((day) => {
+    setRestDays(prev => (prev.includes(day) ? prev.filter(entry => entry !== day) : [...prev, day]));
+  }, []);
+
+  const setAllSupply = useCallback((level) => {
+    if (!islandData) return;
+    setSupplyLevels(Object.fromEntries(islandData.craftworks.map(craftwork => [craftwork.id, level])));
+  }, [islandData]);
+
+  const craftworksById = useMemo(() => (
+    new Map((islandData?.craftworks || []).map(craftwork => [craftwork.id, craftwork]))
+  ), [islandData]);
+
+  const availableCraftworks = useMemo(() => {
+    if (!islandData) return [];
+    const popularity = islandData.popularityPatterns[pattern] || {};
+    return islandData.craftworks
+      .filter(craftwork => craftwork.lvl <= settings.rank)
+      .map(craftwork => ({ ...craftwork, popularity: popularity[craftwork.id]?.id }))
+      .sort((a, b) => (a.popularity || 99) - (b.popularity || 99) || b.value / b.craftingTime - a.value / a.craftingTime);
+  }, [islandData, pattern, settings.rank]);
+
+  const weekPlan = useMemo(() => {
+    if (!islandData) return null;
+    return planWeek(islandData, {
+      pattern,
+      supplyLevels,
+      restDays,
+      workshops: Math.max(settings.workshops, 1),
+      tierModifier: WORKSHOP_TIERS.find(entry => entry.tier === settings.tier)?.modifier || 1,
+      groove: settings.groove,
+      rank: settings.rank,
+    });
+  }, [islandData, pattern, supplyLevels, restDays, settings]);
+
+  // Every handicraft, leaving and crop is listed on the page
+  const localizedNames = useItemNames(
+    islandData ? [
+      ...islandData.craftworks.map(craftwork => craftwork.itemId),
+      ...islandData.leavingItemIds,
+      ...islandData.cropItemIds,
+    ] : [],
+    language
+  );
+  const getName = useCallback((itemId) => (
+    localizedNames[itemId] || itemNames[itemId]?.tw || t('common.itemFallback', { id: itemId })
+  ), [localizedNames, itemNames, t]);
+
+  const handleOpenItem = useCallback((itemId) => {
+    const itemUrl = generateItemUrl(itemId, itemNames[itemId]?.tw || 'item');
+    window.open(`${window.location.origin}${getInternalUrl(itemUrl)}`, '_blank', 'noopener,noreferrer');
+  }, [itemNames]);
+
+  const handleSearchPrices = useCallback(async () => {
+    if (!selectedServerOption) {
+      addToast(t('common.selectServer'), 'warning');
+      return;
+    }
+    if (!islandData) return;
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+
+    setIsLoading(true);
+    setLeavingPrices(null);
+
+    try {
+      const marketableItems = await getMarketableItems();
+      if (signal.aborted) return;
+
+      const itemIds = [...islandData.leavingItemIds, ...islandData.cropItemIds]
+        .filter(itemId => marketableItems.has(itemId));
+      const prices = await getLeavingPrices(selectedServerOption, itemIds, signal);
+      if (signal.aborted) return;
+
+      setMarketable(marketableItems);
+      setLeavingPrices(prices);
+      setSearchedTarget({ name: targetName, isWorldMode });
+      if (itemIds.length === 0) {
+        addToast(t('islandWorkshop.noneMarketable'), 'info');
+      }
+    } catch (error) {
+      if (!signal.aborted) {
+        console.error('Failed to price island leavings:', error);
+        addToast(error.message || t('common.queryFailed'), 'error');
+      }
+    } finally {
+      if (!signal.aborted) {
+        setIsLoading(false);
+      }
+    }
+  }, [selectedServerOption, islandData, targetName, isWorldMode, addToast, t]);
+
+  const exportColumns = useMemo(() => [
+    { key: 'day', label: t('islandWorkshop.day'), value: (row) => row.day + 1 },
+    { key: 'order', label: t('islandWorkshop.order') },
+    { key: 'startHour', label: t('islandWorkshop.startHour') },
+    { key: 'name', label: t('islandWorkshop.craftwork'), value: (row) => getName(craftworksById.get(row.craftworkId)?.itemId) },
+    { key: 'isEfficient', label: t('islandWorkshop.efficiencyBonus'), value: (row) => (row.isEfficient ? t('common.yes') : '') },
+    { key: 'value', label: t('islandWorkshop.cowriesPerWorkshop') },
+  ], [getName, craftworksById, t]);
+
+  const getExportRows = useCallback(() => (
+    (weekPlan?.days || []).flatMap(day => day.steps.map((step, index) => ({ ...step, day: day.day, order: index + 1 })))
+  ), [weekPlan]);
+
+  const leavingRows = useMemo(() => {
+    if (!islandData) return [];
+    return [
+      ...islandData.leavingItemIds.map(itemId => ({ itemId, sourceKey: 'islandWorkshop.sourcePasture' })),
+      ...islandData.cropItemIds.map(itemId => ({ itemId, sourceKey: 'islandWorkshop.sourceCropland' })),
+    ]
+      .map(row => ({ ...row, isMarketable: marketable ? marketable.has(row.itemId) : null, price: leavingPrices?.[row.itemId] }))
+      .sort((a, b) => (b.price?.price || 0) - (a.price?.price || 0));
+  }, [islandData, marketable, leavingPrices]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        onTaxRatesClick={onTaxRatesClick}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+              {t('islandWorkshop.title')}
+            </h1>
+            <p className="text-gray-400 text-sm sm:text-base">
+              {t('islandWorkshop.description')}
+            </p>
+          </div>
+
+          {/* Server Selector */}
+          {selectedWorld && (
+            <div className="mb-6">
+              <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
+                {t('common.queryServer')}
+              </label>
+              <ServerSelector
+                datacenters={datacenters}
+                worlds={worlds}
+                selectedWorld={selectedWorld}
+                onWorldChange={onWorldChange}
+                selectedServerOption={selectedServerOption}
+                onServerOptionChange={onServerOptionChange}
+                serverOptions={serverOptions}
+                disabled={isLoading}
+              />
+            </div>
+          )}
+
+
+          {/* Settings */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
+            <div className="grid grid-cols-2 sm:grid-cols-5 gap-3 sm:gap-4 mb-4">
+              <div>
+                <label htmlFor="island-pattern" className="block text-xs text-gray-400 mb-1">{t('islandWorkshop.pattern')}</label>
+                <select
+                  id="island-pattern"
+                  value={pattern}
+                  onChange={(e) => setPattern(e.target.value)}
+                  disabled={!islandData}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold"
+                >
+                  {Object.keys(islandData?.popularityPatterns || {}).map(key => (
+                    <option key={key} value={key}>{t('islandWorkshop.patternN', { pattern: key })}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="island-rank" className="block text-xs text-gray-400 mb-1">{t('islandWorkshop.rank')}</label>
+                <input
+                  id="island-rank"
+                  type="number"
+                  min="1"
+                  max={MAX_ISLAND_RANK}
+                  value={settings.rank}
+                  onChange={(e) => updateSetting('rank', e.target.value, MAX_ISLAND_RANK)}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                />
+              </div>
+              <div>
+                <label htmlFor="island-workshops" className="block text-xs text-gray-400 mb-1">{t('islandWorkshop.workshops')}</label>
+                <select
+                  id="island-workshops"
+                  value={settings.workshops}
+                  onChange={(e) => updateSetting('workshops', e.target.value, MAX_WORKSHOPS)}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold"
+                >
+                  {Array.from({ length: MAX_WORKSHOPS }, (_, index) => index + 1).map(count => (
+                    <option key={count} value={count}>{t('islandWorkshop.workshopCount', { count })}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="island-tier" className="block text-xs text-gray-400 mb-1">{t('islandWorkshop.tier')}</label>
+                <select
+                  id="island-tier"
+                  value={settings.tier}
+                  onChange={(e) => updateSetting('tier', e.target.value, WORKSHOP_TIERS.length)}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold"
+                >
+                  {WORKSHOP_TIERS.map(entry => (
+                    <option key={entry.tier} value={entry.tier}>{entry.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="island-groove" className="block text-xs text-gray-400 mb-1">{t('islandWorkshop.groove')}</label>
+                <input
+                  id="island-groove"
+                  type="number"
+                  min="0"
+                  max={MAX_GROOVE}
+                  value={settings.groove}
+                  onChange={(e) => updateSetting('groove', e.target.value, MAX_GROOVE)}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                />
+              </div>
+            </div>
+
+            <div className="flex items-center gap-3 flex-wrap text-xs text-gray-400">
+              <span>{t('islandWorkshop.restDays')}</span>
+              {Array.from({ length: DAYS_PER_WEEK }, (_, day) => (
+                <label key={day} className="flex items-center gap-1 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={restDays.includes(day)}
+                    onChange={() => toggleRestDay(day)}
+                    className="accent-ffxiv-gold"
+                  />
+                  {t('islandWorkshop.dayN', { day: day + 1 })}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {/* Schedule */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
+            <div className="flex items-center gap-3 flex-wrap mb-4">
+              <h2 className="text-lg font-semibold text-ffxiv-gold">{t('islandWorkshop.scheduleTitle')}</h2>
+              {weekPlan && (
+                <span className="text-sm text-gray-300">
+                  {t('islandWorkshop.weekTotal')} <span className="text-ffxiv-gold font-semibold">{weekPlan.value.toLocaleString()}</span>
+                </span>
+              )}
+              {weekPlan && weekPlan.value > 0 && (
+                <ExportButton
+                  getRows={getExportRows}
+                  columns={exportColumns}
+                  filename="island-workshop"
+                  className="ml-auto"
+                />
+              )}
+            </div>
+
+            {!weekPlan ? (
+              <p className="text-center text-gray-400 py-8 text-sm">{t('common.loading')}</p>
+            ) : (
+              <div className="space-y-2">
+                {weekPlan.days.map(day => (
+                  <div key={day.day} className="flex items-start gap-3 bg-slate-900/40 rounded-lg border border-purple-500/10 p-2 sm:p-3">
+                    <div className="w-16 shrink-0">
+                      <div className="text-sm text-white font-semibold">{t('islandWorkshop.dayN', { day: day.day + 1 })}</div>
+                      {!day.isRest && <div className="text-xs text-ffxiv-gold">{day.value.toLocaleString()}</div>}
+                    </div>
+                    {day.isRest ? (
+                      <span className="text-xs text-gray-500 self-center">{t('islandWorkshop.rest')}</span>
+                    ) : (
+                      <div className="flex flex-wrap gap-2 flex-1">
+                        {day.steps.map((step, index) => {
+                          const craftwork = craftworksById.get(step.craftworkId);
+                          const name = getName(craftwork?.itemId);
+                          return (
+                            <div
+                              key={`${step.craftworkId}-${index}`}
+                              className={`flex items-center gap-1.5 px-2 py-1 rounded border text-xs ${step.isEfficient ? 'border-ffxiv-gold/40 bg-yellow-900/10' : 'border-purple-500/20 bg-slate-800/60'}`}
+                              title={`${t('islandWorkshop.stepTitle', { hour: step.startHour, supply: t(SUPPLY_LABEL_KEYS[step.supplyLevel]) })}${step.isEfficient ? ` · ${t('islandWorkshop.efficiencyBonus')}` : ''}`}
+                            >
+                              <ItemImage itemId={craftwork?.itemId} alt={name} className="w-5 h-5 object-contain rounded" />
+                              <span className="text-white">{name}</span>
+                              <span className="text-gray-500">{craftwork?.craftingTime}h</span>
+                              <span className={step.isEfficient ? 'text-ffxiv-gold' : 'text-gray-300'}>{step.value}</span>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Demand */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
+            <div className="flex items-center gap-3 flex-wrap mb-4">
+              <h2 className="text-lg font-semibold text-ffxiv-gold">{t('islandWorkshop.demandTitle', { count: availableCraftworks.length })}</h2>
+              <label htmlFor="island-supply-all" className="text-xs text-gray-400 ml-auto">{t('islandWorkshop.setAllSupply')}</label>
+              <select
+                id="island-supply-all"
+                value=""
+                onChange={(e) => setAllSupply(parseInt(e.target.value, 10))}
+                className="px-2 py-1 bg-slate-900/50 border border-purple-500/30 rounded text-white text-xs focus:outline-none focus:border-ffxiv-gold"
+              >
+                <option value="" disabled>{t('islandWorkshop.choose')}</option>
+                {Object.entries(SUPPLY_LABEL_KEYS).map(([level, labelKey]) => (
+                  <option key={level} value={level}>{t(labelKey)}</option>
+                ))}
+              </select>
+            </div>
+
+            {availableCraftworks.length === 0 ? (
+              <p className="text-center text-gray-400 py-8 text-sm">{islandData ? t('islandWorkshop.noCraftworks') : t('common.loading')}</p>
+            ) : (
+              <div className="overflow-x-auto max-h-[480px] overflow-y-auto">
+                <table className="w-full text-sm">
+                  <thead className="sticky top-0 bg-slate-900">
+                    <tr className="border-b border-purple-500/30">
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('islandWorkshop.craftwork')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('islandWorkshop.theme')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('islandWorkshop.craftingTime')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('islandWorkshop.baseValue')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('islandWorkshop.popularity')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('islandWorkshop.currentSupply')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {availableCraftworks.map(craftwork => {
+                      const name = getName(craftwork.itemId);
+                      return (
+                        <tr key={craftwork.id} className="border-b border-purple-500/10 hover:bg-purple-900/20 transition-colors">
+                          <td className="px-2 sm:px-3 py-1.5">
+                            <div className="flex items-center gap-2">
+                              <ItemImage itemId={craftwork.itemId} alt={name} className="w-6 h-6 object-contain rounded" />
+                              <span className="text-white text-xs sm:text-sm">{name}</span>
+                            </div>
+                          </td>
+                          <td className="px-2 sm:px-3 py-1.5 text-xs text-gray-400">
+                            {craftwork.themes.map(theme => islandData.themeNames[theme]?.[language]).filter(Boolean).join(t('common.listSeparator'))}
+                          </td>
+                          <td className="px-2 sm:px-3 py-1.5 text-right text-xs text-gray-300">{craftwork.craftingTime}h</td>
+                          <td className="px-2 sm:px-3 py-1.5 text-right text-xs text-gray-300">{craftwork.value}</td>
+                          <td className={`px-2 sm:px-3 py-1.5 text-xs ${POPULARITY_COLORS[craftwork.popularity] || 'text-gray-500'}`}>
+                            {POPULARITY_LABEL_KEYS[craftwork.popularity] ? t(POPULARITY_LABEL_KEYS[craftwork.popularity]) : '-'}
+                          </td>
+                          <td className="px-2 sm:px-3 py-1.5">
+                            <select
+                              value={supplyLevels[craftwork.id] ?? DEFAULT_SUPPLY_LEVEL}
+                              onChange={(e) => setSupplyLevels(prev => ({ ...prev, [craftwork.id]: parseInt(e.target.value, 10) }))}
+                              aria-label={t('islandWorkshop.supplyFor', { name })}
+                              className="px-1.5 py-0.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-xs focus:outline-none focus:border-ffxiv-gold"
+                            >
+                              {Object.entries(SUPPLY_LABEL_KEYS).map(([level, labelKey]) => (
+                                <option key={level} value={level}>{t(labelKey)}</option>
+                              ))}
+                            </select>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* Leavings */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6">
+            <div className="flex items-center gap-3 flex-wrap mb-4">
+              <h2 className="text-lg font-semibold text-ffxiv-gold">{t('islandWorkshop.leavingsTitle')}</h2>
+              <button
+                onClick={handleSearchPrices}
+                disabled={!selectedServerOption || !islandData || isLoading}
+                className="px-4 py-2 rounded-lg text-sm font-semibold bg-gradient-to-r from-ffxiv-gold to-yellow-500 text-slate-900 hover:shadow-[0_0_15px_rgba(212,175,55,0.5)] disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+              >
+                {isLoading ? t('common.querying') : t('islandWorkshop.queryPrices')}
+              </button>
+              {searchedTarget && !isLoading && (
+                <span className="text-xs text-gray-500">
+                  {searchedTarget.isWorldMode
+                    ? t('common.worldScope', { name: searchedTarget.name })
+                    : t('common.dcScope', { name: searchedTarget.name })}
+                </span>
+              )}
+            </div>
+
+            {leavingRows.length === 0 ? (
+              <p className="text-center text-gray-400 py-8 text-sm">{t('common.loading')}</p>
+            ) : (
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+                {leavingRows.map(row => {
+                  const name = getName(row.itemId);
+                  return (
+                    <button
+                      key={`${row.sourceKey}-${row.itemId}`}
+                      onClick={() => handleOpenItem(row.itemId)}
+                      className="flex items-center gap-2 px-2 py-1 rounded bg-slate-800/60 border border-purple-500/20 hover:border-ffxiv-gold/50 text-left transition-colors"
+                    >
+                      <ItemImage itemId={row.itemId} alt={name} className={`w-6 h-6 object-contain rounded ${row.isMarketable === false ? 'opacity-40' : ''}`} />
+                      <span className="text-xs text-white truncate flex-1">{name}</span>
+                      <span className="text-[10px] text-gray-500">{t(row.sourceKey)}</span>
+                      <span className="text-xs text-gray-300 w-20 text-right">
+                        {row.isMarketable === false ? t('table.untradable') : row.price ? row.price.price.toLocaleString() : leavingPrices ? t('common.noPrice') : '-'}
+                      </span>
+                      <span className="text-[10px] text-gray-500 w-14 text-right">{row.price?.velocity ? t('common.perDay', { count: row.price.velocity.toFixed(1) }) : ''}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Version Info */}
+        <div className="mt-6 pt-4 border-t border-slate-600/30">
+          <p className="text-xs text-slate-500 text-center">
+            {t('common.appVersion')} <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+          </p>
+        </div>
+      </div>
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
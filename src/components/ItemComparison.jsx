@@ -0,0 +1,510 @@
+// Item Comparison (裝備比較) - Equipment stats, materia slots, jobs and prices side by side
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import TaxRatesModal from './TaxRatesModal';
+import ServerSelector from './ServerSelector';
+import ItemImage from './ItemImage';
+import ExportButton from './ExportButton';
+import { APP_VERSION } from '../constants/version';
+import { getAggregatedPriceStats } from '../services/universalis';
+import { searchTwItems, getTwItemsByIds } from '../services/supabaseData';
+import {
+  MAIN_ATTRIBUTE_IDS,
+  getBaseParamName,
+  getSlotName,
+  getJobNames,
+  getItemComparisonData,
+  getCostPerStatPoint,
+} from '../services/itemComparison';
+import { getInternalUrl } from '../utils/internalUrl.js';
+import { generateItemUrl } from '../utils/urlSlug';
+import { useTranslation } from '../hooks/useTranslation';
+import { useItemNames } from '../hooks/useItemNames';
+
+const MAX_COMPARED_ITEMS = 6;
+const MAX_SEARCH_RESULTS = 8;
+
+/**
+ * Parse the ?items= query value
+ * @param {string|null} value - Comma separated item IDs
+ * @returns {Array<number>}
+ */
+function parseItemIds(value) {
+  if (!value) return [];
+  const ids = value.split(',').map(id => parseInt(id, 10)).filter(id => id > 0);
+  return [...new Set(ids)].slice(0, MAX_COMPARED_ITEMS);
+}
+
+export default function ItemComparison({
+  addToast,
+  removeToast,
+  toasts,
+  datacenters,
+  worlds,
+  selectedWorld,
+  onWorldChange,
+  selectedServerOption,
+  onServerOptionChange,
+  serverOptions,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  isServerDataLoaded,
+  onItemSelect,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const navigate = useNavigate();
+  const { t, language } = useTranslation();
+  const [searchParams] = useSearchParams();
+  const itemIdsParam = searchParams.get('items');
+  const itemIds = useMemo(() => parseItemIds(itemIdsParam), [itemIdsParam]);
+
+  const [itemQuery, setItemQuery] = useState('');
+  const [itemMatches, setItemMatches] = useState([]);
+  const [items, setItems] = useState([]);
+  const [itemNames, setItemNames] = useState({});
+  const [prices, setPrices] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [isLoadingPrices, setIsLoadingPrices] = useState(false);
+  const abortControllerRef = useRef(null);
+  const priceAbortControllerRef = useRef(null);
+
+  const isWorldMode = typeof selectedServerOption === 'number';
+
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+      if (priceAbortControllerRef.current) {
+        priceAbortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  // Debounced item search; stale responses are dropped
+  useEffect(() => {
+    if (!itemQuery.trim()) {
+      setItemMatches([]);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const matches = await searchTwItems(itemQuery);
+      if (cancelled) return;
+      setItemMatches(
+        Object.entries(matches)
+          .slice(0, MAX_SEARCH_RESULTS)
+          .map(([id, data]) => ({ itemId: parseInt(id, 10), itemName: data.tw }))
+      );
+    }, 200);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [itemQuery]);
+
+  // Stats and names only depend on the items
+  useEffect(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    if (itemIds.length === 0) {
+      setItems([]);
+      return;
+    }
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+
+    setIsLoading(true);
+    (async () => {
+      try {
+        const [comparison, names] = await Promise.all([
+          getItemComparisonData(itemIds, signal),
+          getTwItemsByIds(itemIds, signal),
+        ]);
+        if (signal.aborted) return;
+        setItems(comparison);
+        setItemNames(names);
+      } catch (error) {
+        if (!signal.aborted) {
+          console.error('Failed to load item comparison data:', error);
+          addToast(t('itemComparison.loadFailed'), 'error');
+        }
+      } finally {
+        if (!signal.aborted) setIsLoading(false);
+      }
+    })();
+  }, [itemIds, addToast, t]);
+
+  // Prices follow the selected server
+  useEffect(() => {
+    if (priceAbortControllerRef.current) {
+      priceAbortControllerRef.current.abort();
+    }
+    if (itemIds.length === 0 || !selectedServerOption) {
+      setPrices({});
+      return;
+    }
+    priceAbortControllerRef.current = new AbortController();
+    const { signal } = priceAbortControllerRef.current;
+
+    setIsLoadingPrices(true);
+    getAggregatedPriceStats(selectedServerOption, itemIds, { signal })
+      .then(statsById => {
+        if (signal.aborted) return;
+        const next = {};
+        itemIds.forEach(itemId => {
+          const stats = statsById[itemId];
+          const pick = quality => (isWorldMode ? quality?.minListingWorld : quality?.minListingDc?.price) || null;
+          const nq = pick(stats?.nq);
+          const hq = pick(stats?.hq);
+          const available = [nq, hq].filter(Boolean);
+          next[itemId] = { nq, hq, cheapest: available.length > 0 ? Math.min(...available) : null };
+        });
+        setPrices(next);
+      })
+      .catch(error => {
+        if (!signal.aborted) {
+          console.error('Failed to load comparison prices:', error);
+          addToast(t('itemComparison.pricesLoadFailed'), 'error');
+        }
+      })
+      .finally(() => {
+        if (!signal.aborted) setIsLoadingPrices(false);
+      });
+  }, [itemIds, selectedServerOption, isWorldMode, addToast, t]);
+
+  const setComparedItems = useCallback((ids) => {
+    const query = ids.length > 0 ? `?items=${ids.join(',')}` : '';
+    navigate(`/item-compare${query}`, { replace: true });
+  }, [navigate]);
+
+  const handleAddItem = useCallback((match) => {
+    setItemQuery('');
+    if (itemIds.includes(match.itemId)) return;
+    if (itemIds.length >= MAX_COMPARED_ITEMS) {
+      addToast(t('itemComparison.tooMany', { max: MAX_COMPARED_ITEMS }), 'warning');
+      return;
+    }
+    setComparedItems([...itemIds, match.itemId]);
+  }, [itemIds, setComparedItems, addToast, t]);
+
+  const handleRemoveItem = useCallback((itemId) => {
+    setComparedItems(itemIds.filter(id => id !== itemId));
+  }, [itemIds, setComparedItems]);
+
+  const handleOpenItem = useCallback((itemId) => {
+    const itemUrl = generateItemUrl(itemId, itemNames[itemId]?.tw || 'item');
+    window.open(`${window.location.origin}${getInternalUrl(itemUrl)}`, '_blank', 'noopener,noreferrer');
+  }, [itemNames]);
+
+  const localizedNames = useItemNames([...itemIds, ...itemMatches.map(match => match.itemId)], language);
+  const getItemName = useCallback((itemId) => (
+    localizedNames[itemId] || itemNames[itemId]?.tw || t('common.itemFallback', { id: itemId })
+  ), [localizedNames, itemNames, t]);
+
+  // Attribute rows; `best` picks the value to highlight, higher or lower is better
+  const rows = useMemo(() => {
+    const mainAttributeRows = MAIN_ATTRIBUTE_IDS
+      .filter(paramId => items.some(item => item.mainAttributes[paramId]))
+      .map(paramId => ({
+        key: `main-${paramId}`,
+        label: getBaseParamName(paramId, language),
+        value: item => item.mainAttributes[paramId]?.hq ?? item.mainAttributes[paramId]?.nq ?? null,
+        best: 'max',
+      }));
+
+    return [
+      { key: 'ilvl', label: t('itemComparison.ilvl'), value: item => item.ilvl, best: 'max' },
+      { key: 'equipLevel', label: t('itemComparison.equipLevel'), value: item => item.equipLevel, best: 'min' },
+      { key: 'slot', label: t('itemComparison.slot'), value: item => getSlotName(item.slotProp, language) },
+      { key: 'jobs', label: t('itemComparison.jobs'), value: item => (item.jobs.length > 0 ? getJobNames(item.jobs, language).join(' ') : null) },
+      ...mainAttributeRows,
+      {
+        key: 'primaryStat',
+        label: t('itemComparison.primaryStat'),
+        value: item => (item.primaryStat ? `${getBaseParamName(item.primaryParamId, language)} ${item.primaryStat.toLocaleString()}` : null),
+        sortValue: item => item.primaryStat,
+        best: 'max',
+      },
+      {
+        key: 'substatCap',
+        label: t('itemComparison.substatCap'),
+        value: item => item.substatCap,
+        best: 'max',
+      },
+      {
+        key: 'materia',
+        label: t('itemComparison.materiaSlots'),
+        value: item => (item.isEquipment ? `${item.materiaSlots}${item.advancedMelding ? t('itemComparison.advancedMelding') : ''}` : null),
+        sortValue: item => (item.isEquipment ? item.materiaSlots : null),
+        best: 'max',
+      },
+      { key: 'nqPrice', label: t('itemComparison.nqPrice'), value: item => prices[item.itemId]?.nq ?? null, best: 'min' },
+      { key: 'hqPrice', label: t('itemComparison.hqPrice'), value: item => prices[item.itemId]?.hq ?? null, best: 'min' },
+      {
+        key: 'costPerStat',
+        label: t('itemComparison.costPerStat'),
+        value: item => {
+          const cost = getCostPerStatPoint(item, prices[item.itemId]?.cheapest);
+          return cost === null ? null : Math.round(cost);
+        },
+        best: 'min',
+      },
+    ];
+  }, [items, prices, language, t]);
+
+  const getBestValue = useCallback((row) => {
+    if (!row.best || items.length < 2) return null;
+    const values = items
+      .map(item => (row.sortValue || row.value)(item))
+      .filter(value => typeof value === 'number');
+    if (values.length < 2) return null;
+    const best = row.best === 'max' ? Math.max(...values) : Math.min(...values);
+    // No highlight when every item ties
+    return values.every(value => value === best) ? null : best;
+  }, [items]);
+
+  const exportColumns = useMemo(() => [
+    { key: 'itemId', label: 'ID' },
+    { key: 'name', label: t('table.itemName'), value: (item) => localizedNames[item.itemId] || itemNames[item.itemId]?.tw || '' },
+    ...rows.map(row => ({ key: row.key, label: row.label, value: (item) => row.value(item) ?? '' })),
+  ], [rows, itemNames, localizedNames, t]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        onTaxRatesClick={onTaxRatesClick}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+              {t('itemComparison.title')}
+            </h1>
+            <p className="text-gray-400 text-sm sm:text-base">
+              {t('itemComparison.description', { max: MAX_COMPARED_ITEMS })}
+            </p>
+          </div>
+
+          {/* Server Selector */}
+          {selectedWorld && (
+            <div className="mb-6">
+              <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
+                {t('common.queryServer')}
+              </label>
+              <ServerSelector
+                datacenters={datacenters}
+                worlds={worlds}
+                selectedWorld={selectedWorld}
+                onWorldChange={onWorldChange}
+                selectedServerOption={selectedServerOption}
+                onServerOptionChange={onServerOptionChange}
+                serverOptions={serverOptions}
+                disabled={isLoading}
+              />
+            </div>
+          )}
+
+          {/* Item picker */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
+            <div className="flex items-end gap-3 flex-wrap">
+              <div className="relative flex-1 min-w-[220px] max-w-md">
+                <label htmlFor="compare-item" className="block text-xs text-gray-400 mb-1">
+                  {t('itemComparison.addItem', { count: itemIds.length, max: MAX_COMPARED_ITEMS })}
+                </label>
+                <input
+                  id="compare-item"
+                  type="text"
+                  value={itemQuery}
+                  onChange={(e) => setItemQuery(e.target.value)}
+                  disabled={itemIds.length >= MAX_COMPARED_ITEMS}
+                  placeholder={t('itemComparison.searchPlaceholder')}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold disabled:opacity-50"
+                />
+                {itemMatches.length > 0 && (
+                  <div className="absolute top-full left-0 right-0 mt-1 bg-slate-900/95 border border-purple-500/30 rounded-lg shadow-xl z-20 py-1">
+                    {itemMatches.map(match => (
+                      <button
+                        key={match.itemId}
+                        onClick={() => handleAddItem(match)}
+                        className="w-full px-3 py-1.5 flex items-center gap-2 hover:bg-purple-900/30 transition-colors text-left text-sm"
+                      >
+                        <ItemImage itemId={match.itemId} alt={localizedNames[match.itemId] || match.itemName} className="w-6 h-6 object-contain rounded" />
+                        <span className="text-white truncate">{localizedNames[match.itemId] || match.itemName}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+              {itemIds.length > 0 && (
+                <button
+                  onClick={() => setComparedItems([])}
+                  className="px-3 py-1.5 rounded-lg text-xs font-medium bg-slate-800/50 text-gray-300 border border-purple-500/30 hover:bg-red-900/40 hover:text-red-300 hover:border-red-500/40 transition-all"
+                >
+                  {t('itemComparison.clearAll')}
+                </button>
+              )}
+              {isLoadingPrices && <span className="text-xs text-gray-400">{t('itemComparison.loadingPrices')}</span>}
+            </div>
+          </div>
+
+          {/* Comparison */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6">
+            <div className="flex items-center gap-3 flex-wrap mb-4">
+              <h2 className="text-lg font-semibold text-ffxiv-gold">
+                {t('itemComparison.resultsTitle')}
+                {selectedServerOption && (
+                  <span className="ml-2 text-sm text-gray-400 font-normal">
+                    {t('itemComparison.pricesFor', {
+                      scope: isWorldMode
+                        ? t('common.worldScope', { name: worlds?.[selectedServerOption] || '' })
+                        : t('common.dcScope', { name: selectedServerOption }),
+                    })}
+                  </span>
+                )}
+              </h2>
+              {items.length > 0 && (
+                <ExportButton
+                  getRows={() => items}
+                  columns={exportColumns}
+                  filename="item-comparison"
+                  className="ml-auto"
+                />
+              )}
+            </div>
+
+            {items.length === 0 ? (
+              <p className="text-center text-gray-400 py-8 text-sm">
+                {isLoading ? t('common.loading') : t('itemComparison.idle')}
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-purple-500/30">
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs w-28"></th>
+                      {items.map(item => {
+                        const name = getItemName(item.itemId);
+                        return (
+                          <th key={item.itemId} className="px-2 sm:px-3 py-2 text-left align-top min-w-[140px]">
+                            <div className="flex items-start gap-2">
+                              <button
+                                onClick={() => handleOpenItem(item.itemId)}
+                                className="flex items-start gap-2 text-left hover:text-ffxiv-gold transition-colors"
+                              >
+                                <ItemImage itemId={item.itemId} alt={name} className="w-8 h-8 object-contain rounded flex-shrink-0" />
+                                <span className="text-white text-xs sm:text-sm font-medium">{name}</span>
+                              </button>
+                              <button
+                                onClick={() => handleRemoveItem(item.itemId)}
+                                className="ml-auto text-gray-500 hover:text-red-400 transition-colors text-xs"
+                                title={t('common.remove')}
+                                aria-label={t('itemComparison.removeItem', { name })}
+                              >
+                                ✕
+                              </button>
+                            </div>
+                            {!item.isEquipment && (
+                              <div className="mt-1 text-[10px] text-yellow-500 font-normal">{t('itemComparison.notEquipment')}</div>
+                            )}
+                          </th>
+                        );
+                      })}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(row => {
+                      const best = getBestValue(row);
+                      return (
+                        <tr key={row.key} className="border-b border-purple-500/10 hover:bg-purple-900/20 transition-colors">
+                          <td className="px-2 sm:px-3 py-2 text-xs text-gray-400 whitespace-nowrap">{row.label}</td>
+                          {items.map(item => {
+                            const value = row.value(item);
+                            const compareValue = (row.sortValue || row.value)(item);
+                            const isBest = best !== null && compareValue === best;
+                            return (
+                              <td
+                                key={item.itemId}
+                                className={`px-2 sm:px-3 py-2 text-xs ${isBest ? 'text-green-400 font-semibold' : 'text-gray-300'}`}
+                              >
+                                {value === null || value === undefined || value === ''
+                                  ? <span className="text-gray-600">-</span>
+                                  : typeof value === 'number' ? value.toLocaleString() : value}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Version Info */}
+        <div className="mt-6 pt-4 border-t border-slate-600/30">
+          <p className="text-xs text-slate-500 text-center">
+            {t('common.appVersion')} <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+          </p>
+        </div>
+      </div>
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
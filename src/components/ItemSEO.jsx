@@ -1,5 +1,5 @@
 import { useEffect } from 'react';
-import { generateItemSlug, generateItemUrl } from '../utils/urlSlug';
+import { SITE_URL, getItemSeoData } from '../utils/itemSeo';
 
 /**
  * ItemSEO 組件：動態更新物品頁的 SEO meta tags
@@ -10,11 +10,11 @@ export default function ItemSEO({ item }) {
     if (!item) return;
     
     const itemName = item.nameTW || item.name || '未知物品';
-    const itemId = item.id;
-    const baseUrl = 'https://beherw.github.io/FFXIV_Market';
+    const baseUrl = SITE_URL;
+    const seo = getItemSeoData({ id: item.id, name: itemName, icon: item.icon });
     
     // 更新 title（覆蓋 index.html 中的 fallback title）
-    document.title = `${itemName} - 繁中XIV市場 - FF14 Market`;
+    document.title = seo.title;
     
     // 更新 meta description
     const updateMeta = (name, content) => {
@@ -27,13 +27,7 @@ export default function ItemSEO({ item }) {
       meta.setAttribute('content', content);
     };
     
-    updateMeta('description', 
-      `查詢 ${itemName} 的市場價格、歷史價格趨勢、各伺服器價格比較。FFXIV（FF14）物品編號: ${itemId}`
-    );
-    
-    // 生成 URL slug
-    const itemSlug = generateItemSlug(itemName);
-    const itemUrl = generateItemUrl(itemId, itemName, baseUrl);
+    updateMeta('description', seo.description);
     
     // 更新 canonical
     let canonical = document.querySelector('link[rel="canonical"]');
@@ -42,7 +36,7 @@ export default function ItemSEO({ item }) {
       canonical.setAttribute('rel', 'canonical');
       document.head.appendChild(canonical);
     }
-    canonical.setAttribute('href', itemUrl);
+    canonical.setAttribute('href', seo.url);
     
     // 更新 Open Graph
     const updateOG = (property, content) => {
@@ -56,19 +50,19 @@ export default function ItemSEO({ item }) {
     };
     
     updateOG('og:type', 'product');
-    updateOG('og:url', itemUrl);
-    updateOG('og:title', `${itemName} - 繁中XIV市場 - FF14 Market`);
-    updateOG('og:description', `查詢 ${itemName} 的市場價格、歷史價格趨勢、各伺服器價格比較。`);
-    if (item.icon) {
-      updateOG('og:image', `https://xivapi.com${item.icon}`);
+    updateOG('og:url', seo.url);
+    updateOG('og:title', seo.title);
+    updateOG('og:description', seo.ogDescription);
+    if (seo.image) {
+      updateOG('og:image', seo.image);
     }
     
     // 更新 Twitter Card
     updateMeta('twitter:card', 'summary');
-    updateMeta('twitter:title', `${itemName} - 繁中XIV市場 - FF14 Market`);
-    updateMeta('twitter:description', `查詢 ${itemName} 的市場價格、歷史價格趨勢。`);
+    updateMeta('twitter:title', seo.title);
+    updateMeta('twitter:description', seo.twitterDescription);
     
-    // 添加 Schema.org JSON-LD
+    // 添加 Schema.org JSON-LD（預渲染的物品頁已帶有同一個 script，直接沿用）
     let schemaScript = document.querySelector('script[type="application/ld+json"][data-item-schema]');
     if (!schemaScript) {
       schemaScript = document.createElement('script');
@@ -77,21 +71,7 @@ export default function ItemSEO({ item }) {
       document.head.appendChild(schemaScript);
     }
     
-    schemaScript.textContent = JSON.stringify({
-      "@context": "https://schema.org",
-      "@type": "Product",
-      "name": itemName,
-      "description": `FFXIV（FF14）物品: ${itemName}`,
-      "identifier": itemId.toString(),
-      "category": "Video Game Item",
-      "brand": {
-        "@type": "Brand",
-        "name": "Final Fantasy XIV"
-      },
-      // 注意：不使用 offers，因為 GIL 不是 ISO 4217 合法貨幣
-      // 避免 Google Rich Results 忽略整個 Product
-      ...(item.icon && { "image": `https://xivapi.com${item.icon}` })
-    });
+    schemaScript.textContent = JSON.stringify(seo.jsonLd);
     
     // Cleanup: 返回主頁時重置
     return () => {
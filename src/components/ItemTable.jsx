@@ -2,6 +2,10 @@
 import { useState, useMemo, useEffect, useRef, useCallback } from 'react';
 import ItemImage from './ItemImage';
 import { generateItemUrl } from '../utils/urlSlug';
+import { addToShoppingList } from '../utils/shoppingList';
+import ExportButton from './ExportButton';
+import { useTranslation } from '../hooks/useTranslation';
+import { useItemNames } from '../hooks/useItemNames';
 
 // Lazy load ilvls data
 let ilvlsDataRef = null;
@@ -99,16 +103,18 @@ const getVersionColor = (versionString) => {
 };
 
 // Item name cell with copy button (OCR match score only in console log, not shown in UI)
-const ItemNameCell = ({ itemName, addToast }) => {
+// twName is shown as a tooltip when itemName is in another UI language
+const ItemNameCell = ({ itemName, twName, addToast }) => {
+  const { t } = useTranslation();
   const handleCopyClick = (e) => {
     e.stopPropagation();
     navigator.clipboard.writeText(itemName).then(() => {
       if (addToast) {
-        addToast('已複製物品名稱', 'success');
+        addToast(t('common.copiedItemName'), 'success');
       }
     }).catch(() => {
       if (addToast) {
-        addToast('複製失敗', 'error');
+        addToast(t('common.copyFailed'), 'error');
       }
     });
   };
@@ -122,14 +128,15 @@ const ItemNameCell = ({ itemName, addToast }) => {
         <span 
           className="flex-1 block" 
           style={{ wordBreak: 'break-word', lineHeight: '1.4' }}
+          title={twName && twName !== itemName ? twName : undefined}
         >
           {itemName}
         </span>
         <button
           onClick={handleCopyClick}
           className="flex-shrink-0 p-1 text-gray-400 hover:text-ffxiv-gold hover:bg-purple-800/40 rounded-md border border-transparent hover:border-purple-500/40 transition-all duration-200"
-          title="複製物品名稱"
-          aria-label="複製物品名稱"
+          title={t('common.copyItemName')}
+          aria-label={t('common.copyItemName')}
         >
           <svg 
             xmlns="http://www.w3.org/2000/svg" 
@@ -163,6 +170,8 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
   
   // Track which item IDs are currently processing wiki requests (to prevent duplicate clicks)
   const [wikiProcessingIds, setWikiProcessingIds] = useState(new Set());
+
+  const { t, language } = useTranslation();
   
   // Use external state if provided, otherwise use internal state
   const selectedRarities = externalSelectedRarities !== undefined ? externalSelectedRarities : internalSelectedRarities;
@@ -254,7 +263,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
           color: color,
           boxShadow: `0 1px 3px ${color}20`,
         }}
-        title={`版本 ${versionText}`}
+        title={t('table.versionTitle', { version: versionText })}
       >
         <span className="text-xs font-bold whitespace-nowrap tracking-tight">{versionText}</span>
       </div>
@@ -497,6 +506,9 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
     return sortedItems.slice(startIndex, endIndex);
   }, [sortedItems, currentPage, itemsPerPage]);
 
+  // Only the visible page is looked up, exports keep the TW names
+  const localizedNames = useItemNames(paginatedItems.map(item => item.id), language);
+
   // Calculate conditions for header highlighting
   const shouldHighlightTradable = useMemo(() => {
     if (sortedItems.length <= 5) return false;
@@ -509,6 +521,32 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
     return itemsWithPrice > 10;
   }, [sortedItems, itemAveragePrices]);
 
+  // Export every filtered/sorted row (not just the current page) with the loaded market data
+  const priceValue = (value) => (value !== undefined && value !== null && typeof value === 'object' ? value.price : value);
+  const priceRegion = (value) => (value !== undefined && value !== null && typeof value === 'object' ? value.region : null);
+  const exportColumns = [
+    { key: 'id', label: 'ID' },
+    { key: 'name', label: t('table.itemName') },
+    { key: 'ilvl', label: 'ilvl', value: item => getIlvl(item.id) },
+    { key: 'version', label: t('table.version'), value: item => getVersion(item.id) },
+    { key: 'velocity', label: t('table.velocity'), value: item => itemVelocities?.[item.id] },
+    { key: 'averagePrice', label: t('table.averagePrice'), value: item => itemAveragePrices?.[item.id] },
+    { key: 'minListing', label: t('table.minListing'), value: item => priceValue(itemMinListings?.[item.id]) },
+    { key: 'minListingRegion', label: t('table.minListingWorld'), value: item => priceRegion(itemMinListings?.[item.id]) },
+    { key: 'recentPurchase', label: t('table.recentPurchase'), value: item => priceValue(itemRecentPurchases?.[item.id]) },
+    { key: 'recentPurchaseRegion', label: t('table.recentPurchaseWorld'), value: item => priceRegion(itemRecentPurchases?.[item.id]) },
+    {
+      key: 'tradable',
+      label: t('table.tradable'),
+      value: item => {
+        const tradable = itemTradability?.[item.id];
+        if (tradable !== undefined) return tradable ? t('common.yes') : t('common.no');
+        if (marketableItems) return marketableItems.has(item.id) ? t('common.yes') : t('common.no');
+        return null;
+      },
+    },
+  ];
+
   const handleSort = (column) => {
     if (sortColumn === column) {
       // Toggle direction if clicking the same column
@@ -690,22 +728,22 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
   }, [items, itemPatchData, patchNamesData, selectedRarities, raritiesDataToUse]);
 
   const rarityOptions = [
-    { value: 1, label: '普通', color: '#f3f3f3' },
-    { value: 2, label: '精良', color: '#c0ffc0' },
-    { value: 3, label: '稀有', color: '#5990ff' },
-    { value: 4, label: '史诗', color: '#b38cff' }
+    { value: 1, label: t('rarity.1'), color: '#f3f3f3' },
+    { value: 2, label: t('rarity.2'), color: '#c0ffc0' },
+    { value: 3, label: t('rarity.3'), color: '#5990ff' },
+    { value: 4, label: t('rarity.4'), color: '#b38cff' }
   ];
 
   return (
     <div className="overflow-x-auto bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20">
       {/* Rarity Legend Filter and Version Filter */}
-      {(raritiesDataToUse || (availableVersions.length > 0 && itemPatchData && patchNamesData)) && (
+      {(raritiesDataToUse || (availableVersions.length > 0 && itemPatchData && patchNamesData) || sortedItems.length > 0) && (
         <div className="px-4 py-2 bg-purple-900/20 border-b border-purple-500/20">
           <div className="flex items-center gap-3 flex-wrap">
             {/* Rarity Selector */}
             {raritiesDataToUse && (
               <>
-                <span className="text-xs font-semibold text-ffxiv-gold">稀有度選擇:</span>
+                <span className="text-xs font-semibold text-ffxiv-gold">{t('filter.rarity')}</span>
                 {rarityOptions.map(rarity => {
                   // Multi-select mode: multiple rarities can be selected at a time
                   const isSelected = selectedRarities.includes(rarity.value);
@@ -740,7 +778,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
                         borderColor: isDisabled ? undefined : (isSelected ? undefined : rarity.color),
                         color: isDisabled ? undefined : (isSelected ? undefined : rarity.color)
                       }}
-                      title={isDisabled ? (isRaritySelectorDisabled ? '請耐心等待物品加載完成' : `${rarity.label} (無物品)`) : rarity.label}
+                      title={isDisabled ? (isRaritySelectorDisabled ? t('filter.waitForItems') : t('filter.noItems', { label: rarity.label })) : rarity.label}
                     >
                       <span className="inline-flex items-center gap-1.5">
                         <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: rarity.color }}></span>
@@ -755,7 +793,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
             {/* Version Selector - only show when items are loaded and versions are available */}
             {availableVersions.length > 0 && itemPatchData && patchNamesData && (
               <>
-                <span className="text-xs font-semibold text-ffxiv-gold ml-2">版本號選擇:</span>
+                <span className="text-xs font-semibold text-ffxiv-gold ml-2">{t('filter.version')}</span>
                 {availableVersions.map(version => {
                   // Multi-select mode: multiple versions can be selected at a time
                   const isSelected = selectedVersions.includes(version);
@@ -791,7 +829,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
                         borderColor: isDisabled ? undefined : (isSelected ? undefined : `${versionColor}50`),
                         color: isDisabled ? undefined : (isSelected ? undefined : versionColor)
                       }}
-                      title={isDisabled ? (isRaritySelectorDisabled ? '請耐心等待物品加載完成' : `版本 ${version} (無物品)`) : `版本 ${version}`}
+                      title={isDisabled ? (isRaritySelectorDisabled ? t('filter.waitForItems') : t('filter.noItems', { label: t('table.versionTitle', { version }) })) : t('table.versionTitle', { version })}
                     >
                       <span className="inline-flex items-center gap-1.5">
                         <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: versionColor }}></span>
@@ -802,19 +840,29 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
                 })}
               </>
             )}
+
+            {sortedItems.length > 0 && (
+              <ExportButton
+                className="ml-auto"
+                getRows={() => sortedItems}
+                columns={exportColumns}
+                filename="items"
+                disabled={isLoadingVelocities}
+              />
+            )}
           </div>
         </div>
       )}
       {isLoadingVelocities && (
         <div className="px-4 py-2 bg-purple-900/30 border-b border-purple-500/20 flex items-center gap-2 text-xs text-ffxiv-gold">
           <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-ffxiv-gold"></div>
-          <span>載入市場數據中...</span>
+          <span>{t('table.loadingMarketData')}</span>
         </div>
       )}
       <table className="w-full border-collapse min-w-[720px]">
         <thead>
           <tr className="bg-gradient-to-r from-purple-900/40 via-pink-900/30 to-indigo-900/40 border-b border-purple-500/30">
-            <th className="px-2 sm:px-4 py-2 text-left text-ffxiv-gold font-semibold text-xs w-12 sm:w-16">圖片</th>
+            <th className="px-2 sm:px-4 py-2 text-left text-ffxiv-gold font-semibold text-xs w-12 sm:w-16">{t('table.image')}</th>
             <th 
               className="px-2 sm:px-4 py-2 text-left text-ffxiv-gold font-semibold text-xs w-16 sm:w-20 cursor-pointer hover:bg-purple-800/40 transition-colors select-none"
               onClick={() => handleSort('id')}
@@ -829,7 +877,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
               onClick={() => handleSort('version')}
             >
               <div className="flex items-center gap-1">
-                版本
+                {t('table.version')}
                 <SortIcon column="version" />
               </div>
             </th>
@@ -838,8 +886,8 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
               onClick={() => handleSort('name')}
             >
               <div className="flex items-center gap-1">
-                物品名
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3 text-ffxiv-gold opacity-70" fill="none" viewBox="0 0 24 24" stroke="currentColor" title="點擊複製按鈕可複製物品名稱">
+                {t('table.itemName')}
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3 text-ffxiv-gold opacity-70" fill="none" viewBox="0 0 24 24" stroke="currentColor" title={t('table.copyHint')}>
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
                 </svg>
                 <SortIcon column="name" />
@@ -850,7 +898,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
               onClick={() => handleSort('velocity')}
             >
               <div className="flex items-center gap-1">
-                日均銷量
+                {t('table.velocity')}
                 {isLoadingVelocities ? (
                   <div className="animate-spin rounded-full h-2.5 w-2.5 border-b border-ffxiv-gold"></div>
                 ) : (
@@ -865,7 +913,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
               onClick={() => handleSort('averagePrice')}
             >
               <div className="flex items-center gap-1">
-                全服平均價格
+                {t('table.dcAveragePrice')}
                 {isLoadingVelocities ? (
                   <div className="animate-spin rounded-full h-2.5 w-2.5 border-b border-ffxiv-gold"></div>
                 ) : (
@@ -878,7 +926,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
               onClick={() => handleSort('minListing')}
             >
               <div className="flex items-center gap-1">
-                最低在售價
+                {t('table.minListing')}
                 {isLoadingVelocities ? (
                   <div className="animate-spin rounded-full h-2.5 w-2.5 border-b border-ffxiv-gold"></div>
                 ) : (
@@ -891,7 +939,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
               onClick={() => handleSort('recentPurchase')}
             >
               <div className="flex items-center gap-1">
-                最近成交價
+                {t('table.recentPurchase')}
                 {isLoadingVelocities ? (
                   <div className="animate-spin rounded-full h-2.5 w-2.5 border-b border-ffxiv-gold"></div>
                 ) : (
@@ -906,7 +954,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
               onClick={() => handleSort('tradable')}
             >
               <div className="flex items-center gap-1">
-                可交易
+                {t('table.tradable')}
                 {isLoadingVelocities ? (
                   <div className="animate-spin rounded-full h-2.5 w-2.5 border-b border-ffxiv-gold"></div>
                 ) : (
@@ -914,7 +962,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
                 )}
               </div>
             </th>
-            <th className="px-2 sm:px-4 py-2 text-left text-ffxiv-gold font-semibold text-xs w-40 sm:w-48">鏈接</th>
+            <th className="px-2 sm:px-4 py-2 text-left text-ffxiv-gold font-semibold text-xs w-40 sm:w-48">{t('table.links')}</th>
           </tr>
         </thead>
         <tbody>
@@ -987,7 +1035,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
                 <td className="px-2 sm:px-4 py-2 text-center">
                   <VersionIcon version={getVersion(item.id)} />
                 </td>
-                <ItemNameCell itemName={item.name} addToast={addToast} />
+                <ItemNameCell itemName={localizedNames[item.id] || item.name} twName={item.name} addToast={addToast} />
                 <td className="px-2 sm:px-4 py-2 text-left text-xs">
                   {isLoadingVelocities ? (
                     <div className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded bg-slate-800/60 border border-slate-600/40">
@@ -1040,7 +1088,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
                           : minListing.toLocaleString()}
                       </span>
                       {typeof minListing === 'object' && minListing.region && (
-                        <span className="text-xs text-gray-400 ml-1" title={`區域: ${minListing.region}`}>
+                        <span className="text-xs text-gray-400 ml-1" title={t('table.region', { region: minListing.region })}>
                           ({minListing.region})
                         </span>
                       )}
@@ -1065,7 +1113,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
                           : recentPurchase.toLocaleString()}
                       </span>
                       {typeof recentPurchase === 'object' && recentPurchase.region && (
-                        <span className="text-xs text-gray-400 ml-1" title={`區域: ${recentPurchase.region}`}>
+                        <span className="text-xs text-gray-400 ml-1" title={t('table.region', { region: recentPurchase.region })}>
                           ({recentPurchase.region})
                         </span>
                       )}
@@ -1080,16 +1128,16 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
                   ) : isTradableFromAPI !== undefined ? (
                     isTradableFromAPI ? (
                       <span className="inline-block px-1.5 py-0.5 text-[10px] bg-green-900/50 text-green-400 border border-green-500/30 rounded">
-                        可交易
+                        {t('table.tradable')}
                       </span>
                     ) : (
                       <span className="inline-block px-1.5 py-0.5 text-[10px] bg-red-900/50 text-red-400 border border-red-500/30 rounded">
-                        不可交易
+                        {t('table.untradable')}
                       </span>
                     )
                   ) : (
                     <span className="inline-block px-1.5 py-0.5 text-[10px] bg-red-900/50 text-red-400 border border-red-500/30 rounded">
-                      不可交易
+                      {t('table.untradable')}
                     </span>
                   )}
                 </td>
@@ -1127,7 +1175,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
                         } catch (error) {
                           console.error('Failed to open Wiki link:', error);
                           if (addToast) {
-                            addToast('無法打開Wiki連結', 'error');
+                            addToast(t('toast.wikiOpenFailed'), 'error');
                           }
                         } finally {
                           // Remove from processing set after a short delay to allow window.open to complete
@@ -1168,6 +1216,18 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
                     >
                       Market
                     </a>
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        if (addToShoppingList(item.id, item.name, 1) && addToast) {
+                          addToast(t('shoppingList.added'), 'success');
+                        }
+                      }}
+                      className="text-ffxiv-accent hover:text-ffxiv-gold transition-colors whitespace-nowrap bg-transparent border-none p-0 cursor-pointer"
+                      title={t('shoppingList.addTitle')}
+                    >
+                      {t('shoppingList.add')}
+                    </button>
                   </div>
                 </td>
               </tr>
@@ -0,0 +1,111 @@
+import { useState, useEffect, useRef } from 'react';
+import { UI_LANGUAGES } from '../utils/uiLanguage';
+import { useTranslation } from '../hooks/useTranslation';
+
+export default function LanguageMenuButton({ isItemInfoPage = false }) {
+  const { t, language, setLanguage } = useTranslation();
+  const [isOpen, setIsOpen] = useState(false);
+  const dropdownRef = useRef(null);
+  const timeoutRef = useRef(null);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      if (timeoutRef.current) {
+        clearTimeout(timeoutRef.current);
+      }
+    };
+  }, [isOpen]);
+
+  const handleMouseEnter = () => {
+    if (timeoutRef.current) {
+      clearTimeout(timeoutRef.current);
+    }
+    setIsOpen(true);
+  };
+
+  const handleMouseLeave = () => {
+    // Delay closing to allow moving to dropdown
+    timeoutRef.current = setTimeout(() => {
+      setIsOpen(false);
+    }, 200);
+  };
+
+  const handleLanguageClick = (code) => {
+    setIsOpen(false);
+    setLanguage(code);
+  };
+
+  const currentLanguage = UI_LANGUAGES.find(lang => lang.code === language) || UI_LANGUAGES[0];
+  const pageClass = isItemInfoPage ? ' item-info-page' : '';
+
+  return (
+    <div
+      ref={dropdownRef}
+      className="relative"
+      onMouseEnter={handleMouseEnter}
+      onMouseLeave={handleMouseLeave}
+    >
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        onMouseDown={(e) => e.stopPropagation()}
+        className={`topbar-nav-button${pageClass}`}
+        title={t('nav.language')}
+      >
+        <svg
+          xmlns="http://www.w3.org/2000/svg"
+          className={`topbar-nav-icon${pageClass}`}
+          fill="none"
+          viewBox="0 0 24 24"
+          stroke="currentColor"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M3 5h12M9 3v2m1.048 9.5A18.022 18.022 0 016.412 9m6.088 9h7M11 21l5-10 5 10M12.751 5C11.783 10.77 8.07 15.61 3 18.129"
+          />
+        </svg>
+        <span className={`topbar-nav-text${pageClass}`}>{currentLanguage.label}</span>
+        {!isItemInfoPage && <span className="topbar-nav-text narrow-only">{currentLanguage.code.toUpperCase()}</span>}
+      </button>
+
+      {/* Dropdown Menu */}
+      {isOpen && (
+        <div
+          className="absolute top-full right-0 mt-2 w-36 bg-slate-900/95 backdrop-blur-sm border border-purple-500/30 rounded-lg shadow-xl z-50 py-1"
+          onMouseEnter={() => {
+            if (timeoutRef.current) {
+              clearTimeout(timeoutRef.current);
+            }
+          }}
+          onMouseLeave={handleMouseLeave}
+        >
+          {UI_LANGUAGES.map(lang => (
+            <button
+              key={lang.code}
+              onClick={() => handleLanguageClick(lang.code)}
+              lang={lang.code === 'tw' ? 'zh-Hant' : lang.code === 'zh' ? 'zh-Hans' : lang.code}
+              className={`w-full px-3 py-2 text-left text-sm hover:bg-purple-900/30 transition-colors ${
+                lang.code === language ? 'bg-purple-900/40 text-ffxiv-gold font-medium' : 'text-white'
+              }`}
+            >
+              {lang.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -9,29 +9,19 @@ import SearchResultsTable from './SearchResultsTable.jsx';
 import RunningLoader from './RunningLoader';
 import { getMarketableItemsByIds } from '../services/universalis';
 import { getItemById, getSimplifiedChineseName } from '../services/itemDatabase';
-import axios from 'axios';
+import { fetchAggregatedMarketData } from '../services/marketDataClient';
 import { getEquipSlotCategories, getEquipmentByIds, getItemIdsByIlvl } from '../services/supabaseData';
 import { APP_VERSION } from '../constants/version';
 import { generateItemUrl } from '../utils/urlSlug';
+import { useTranslation } from '../hooks/useTranslation';
+import { translate } from '../i18n';
+import { getUILanguage } from '../utils/uiLanguage';
 // Lazy load large data files:
 // - ilvlsData (748KB) - loaded when user inputs ilvl
 // - equipmentData (6.2MB) - loaded when searching
 
-// Equipment slot category translations to Traditional Chinese
-const SLOT_TRANSLATIONS = {
-  'MainHand': '主手武器',
-  'OffHand': '副手',
-  'Head': '頭部',
-  'Body': '身體',
-  'Gloves': '手套',
-  'Waist': '腰部',
-  'Legs': '腿部',
-  'Feet': '腳部',
-  'Ears': '耳環',
-  'Neck': '項鍊',
-  'Wrists': '手環',
-  'Rings': '戒指'
-};
+// Same limit as the item comparison page
+const MAX_COMPARED_ITEMS = 6;
 
 export default function MSQPriceChecker({
   addToast,
@@ -57,6 +47,7 @@ export default function MSQPriceChecker({
   isLoadingTaxRates
 }) {
   const navigate = useNavigate();
+  const { t } = useTranslation();
   const [searchParams, setSearchParams] = useSearchParams();
   const location = useLocation();
   const [ilvlInput, setIlvlInput] = useState('');
@@ -136,7 +127,7 @@ export default function MSQPriceChecker({
         // The actual search will only happen when user clicks search button
         setIlvlInputValidation({
           valid: true,
-          message: `物品等級: ${numValue}`
+          message: translate(getUILanguage(), 'msq.ilvlValue', { ilvl: numValue })
         });
         
         // Restore category if present
@@ -180,7 +171,8 @@ export default function MSQPriceChecker({
           if (!categories.has(displayName)) {
             categories.set(displayName, {
               name: displayName,
-              translatedName: SLOT_TRANSLATIONS[displayName] || displayName
+              // Slot names come from the slot.* catalog keys
+              translatedName: t(`slot.${displayName}`, { defaultValue: displayName })
             });
           }
         }
@@ -198,7 +190,7 @@ export default function MSQPriceChecker({
       if (indexB === -1) return -1;
       return indexA - indexB;
     });
-  }, [equipSlotCategoriesLoaded]); // Recompute when data loads
+  }, [equipSlotCategoriesLoaded, t]); // Recompute when data loads or the UI language changes
 
   // Helper function to check if an item's equip slot matches the selected category
   const itemMatchesEquipCategory = useCallback((itemId, selectedCategory, equipmentData) => {
@@ -278,7 +270,7 @@ export default function MSQPriceChecker({
       if (isNaN(numValue) || numValue < 1 || numValue > 999) {
         setIlvlInputValidation({
           valid: false,
-          message: '請輸入1-999之間的數字'
+          message: t('msq.ilvlRange')
         });
         setIlvlInfoMessage(null); // Clear info message when validation fails
         return;
@@ -289,11 +281,11 @@ export default function MSQPriceChecker({
       // This avoids loading 50,900 ilvls just to validate user input
       setIlvlInputValidation({
         valid: true,
-        message: `物品等級: ${numValue}`
+        message: t('msq.ilvlValue', { ilvl: numValue })
       });
       setIlvlInfoMessage(null); // Clear info message when user changes input
     }, 1000);
-  }, []);
+  }, [t]);
 
   // Cleanup timeout on unmount
   useEffect(() => {
@@ -307,7 +299,7 @@ export default function MSQPriceChecker({
   // Extract price fetching logic into a separate function that can be reused
   const fetchPricesForItems = useCallback(async (itemIdsToQuery, finalItemIds) => {
     if (!selectedWorld || !selectedServerOption) {
-      addToast('請選擇伺服器', 'warning');
+      addToast(t('common.selectServer'), 'warning');
       setIsLoadingVelocities(false);
       return;
     }
@@ -330,14 +322,8 @@ export default function MSQPriceChecker({
     // Only query API for tradeable items to avoid 400 errors
     for (let i = 0; i < itemIdsToQuery.length; i += batchSize) {
       const batch = itemIdsToQuery.slice(i, i + batchSize);
-      const itemIdsString = batch.join(',');
-
       try {
-        const response = await axios.get(
-          `https://universalis.app/api/v2/aggregated/${encodeURIComponent(queryTarget)}/${itemIdsString}`
-        );
-
-        const data = response.data;
+        const data = await fetchAggregatedMarketData(queryTarget, batch);
         if (data && data.results) {
           data.results.forEach(item => {
             const itemId = item.itemId;
@@ -504,7 +490,7 @@ export default function MSQPriceChecker({
     setItemRecentPurchases(allRecentPurchases);
     setItemTradability(allTradability);
     setIsLoadingVelocities(false);
-  }, [selectedWorld, selectedServerOption, addToast]);
+  }, [selectedWorld, selectedServerOption, addToast, t]);
 
   // Auto-refetch prices when server changes (if there are already search results)
   useEffect(() => {
@@ -553,7 +539,7 @@ export default function MSQPriceChecker({
 
     const numValue = parseInt(ilvlInput, 10);
     if (isNaN(numValue) || numValue < 1 || numValue > 999) {
-      addToast('請輸入有效的物品等級', 'error');
+      addToast(t('msq.invalidIlvl'), 'error');
       return;
     }
 
@@ -606,7 +592,7 @@ export default function MSQPriceChecker({
       console.log(`[MSQPriceChecker] Found ${itemIds.length} items with ilvl ${numValue}`);
 
       if (itemIds.length === 0) {
-        setIlvlInfoMessage('未找到該物品等級的物品');
+        setIlvlInfoMessage(t('msq.noItemsForIlvl'));
         setSearchResults([]);
         setTradeableResults([]);
         setUntradeableResults([]);
@@ -640,7 +626,7 @@ export default function MSQPriceChecker({
       console.log(`[MSQPriceChecker] After category filter: ${itemIds.length} items`);
       
       if (itemIds.length === 0) {
-        addToast('該裝備分類中沒有相符的物品', 'warning');
+        addToast(t('msq.noItemsInCategory'), 'warning');
         setSearchResults([]);
         setTradeableResults([]);
         setUntradeableResults([]);
@@ -686,7 +672,7 @@ export default function MSQPriceChecker({
       }).filter(item => item !== null);
 
       if (items.length === 0) {
-        addToast('無法獲取物品信息', 'error');
+        addToast(t('common.itemInfoFailed'), 'error');
         setSearchResults([]);
         setTradeableResults([]);
         setUntradeableResults([]);
@@ -736,11 +722,11 @@ export default function MSQPriceChecker({
       setIsSearchingLocal(false);
     } catch (error) {
       console.error('Search error:', error);
-      addToast('搜索失敗，請稍後再試', 'error');
+      addToast(t('common.searchFailedRetry'), 'error');
       setIsLoadingVelocities(false);
       setIsSearchingLocal(false);
     }
-  }, [ilvlInput, selectedEquipCategory, selectedWorld, selectedServerOption, addToast, itemMatchesEquipCategory, itemMatchesAnyCategory, searchParams, setSearchParams, loadEquipmentDataByIds, fetchPricesForItems]);
+  }, [ilvlInput, selectedEquipCategory, selectedWorld, selectedServerOption, addToast, itemMatchesEquipCategory, itemMatchesAnyCategory, searchParams, setSearchParams, loadEquipmentDataByIds, fetchPricesForItems, t]);
 
   // Update searchResults when showUntradeable changes
   useEffect(() => {
@@ -797,10 +783,10 @@ export default function MSQPriceChecker({
           {/* Header */}
           <div className="mb-6">
             <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
-              主線裝備查價
+              {t('nav.msqTitle')}
             </h1>
             <p className="text-gray-400 text-sm sm:text-base">
-              主線拿到的箱子可以快速查看市場價格。
+              {t('msq.description')}
             </p>
           </div>
 
@@ -809,7 +795,7 @@ export default function MSQPriceChecker({
             {/* ILVL Input */}
             <div className="mb-6">
               <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
-                物品等級 (ilvl品級)
+                {t('msq.ilvlLabel')}
               </label>
               <div className="flex items-end gap-3">
                 <div className="flex-1">
@@ -818,7 +804,7 @@ export default function MSQPriceChecker({
                     inputMode="numeric"
                     value={ilvlInput}
                     onChange={(e) => handleIlvlInputChange(e.target.value)}
-                    placeholder="輸入物品等級..."
+                    placeholder={t('msq.ilvlPlaceholder')}
                     className="w-full px-3 py-2 bg-slate-900/50 border border-purple-500/30 rounded-lg text-white focus:outline-none focus:border-ffxiv-gold"
                     min="1"
                     max="999"
@@ -840,7 +826,7 @@ export default function MSQPriceChecker({
             {/* Equipment Category Filter */}
             <div className="mb-6">
               <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
-                裝備分類 (可選)
+                {t('msq.categoryLabel')}
               </label>
               <div className="flex flex-wrap gap-2 max-h-48 overflow-y-auto p-2 bg-slate-900/30 rounded-lg border border-purple-500/20">
                 <button
@@ -851,7 +837,7 @@ export default function MSQPriceChecker({
                       : 'bg-slate-800/50 text-gray-300 border border-purple-500/30 hover:bg-purple-800/40 hover:border-purple-400/50'
                   }`}
                 >
-                  全部分類
+                  {t('msq.allCategories')}
                 </button>
                 {equipmentCategories.map(category => {
                   const isSelected = selectedEquipCategory === category.name;
@@ -888,7 +874,7 @@ export default function MSQPriceChecker({
                   <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                 </svg>
               )}
-              {isSearchingLocal ? '搜索中...' : '搜索'}
+              {isSearchingLocal ? t('common.searching') : t('common.search')}
             </button>
           </div>
 
@@ -900,6 +886,16 @@ export default function MSQPriceChecker({
           )}
 
           {/* Results */}
+          {searchResults.length > 1 && (
+            <div className="flex justify-end mb-2">
+              <button
+                onClick={() => navigate(`/item-compare?items=${searchResults.slice(0, MAX_COMPARED_ITEMS).map(item => item.id).join(',')}`)}
+                className="px-3 py-1.5 rounded-lg text-xs font-medium bg-slate-800/50 text-gray-300 border border-purple-500/30 hover:bg-purple-800/40 hover:border-purple-400/50 transition-all"
+              >
+                {t('itemComparison.compareTop', { count: Math.min(searchResults.length, MAX_COMPARED_ITEMS) })}
+              </button>
+            </div>
+          )}
           {searchResults.length > 0 && (
             <SearchResultsTable
               items={searchResults}
@@ -919,10 +915,10 @@ export default function MSQPriceChecker({
               itemTradability={itemTradability}
               isLoadingVelocities={isLoadingVelocities}
               showLoadingIndicator={isLoadingVelocities}
-              averagePriceHeader={selectedServerOption === selectedWorld?.section ? '全服平均價格' : '平均價格'}
+              averagePriceHeader={selectedServerOption === selectedWorld?.section ? t('table.dcAveragePrice') : t('table.averagePrice')}
               getSimplifiedChineseName={getSimplifiedChineseName}
               addToast={addToast}
-              title="搜索結果"
+              title={t('search.resultsTitle')}
               untradeableCount={untradeableResults.length}
               tradeableCount={tradeableResults.length}
               onToggleUntradeable={(newValue) => {
@@ -960,7 +956,7 @@ export default function MSQPriceChecker({
         {/* Version Info */}
         <div className="mt-6 pt-4 border-t border-slate-600/30">
           <p className="text-xs text-slate-500 text-center">
-            版本號: <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+            {t('common.appVersion')} <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
           </p>
         </div>
       </div>
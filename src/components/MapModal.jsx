@@ -1,5 +1,6 @@
 import { useEffect, useState, useRef } from 'react';
 import { createPortal } from 'react-dom';
+import { useTranslation } from '../hooks/useTranslation';
 
 // Lazy load maps.json to avoid blocking module evaluation
 let mapsData = null;
@@ -24,6 +25,7 @@ async function loadMapsData() {
 }
 
 export default function MapModal({ isOpen, onClose, zoneName, x, y, npcName, mapId }) {
+  const { t } = useTranslation();
   const [mapData, setMapData] = useState(null);
   const [markerPosition, setMarkerPosition] = useState(null);
   const [imageLoaded, setImageLoaded] = useState(false);
@@ -187,13 +189,13 @@ export default function MapModal({ isOpen, onClose, zoneName, x, y, npcName, map
           </button>
           
           <h3 className="text-xl font-bold text-ffxiv-gold mb-4">
-            {npcName || '位置信息'}
+            {npcName || t('map.locationInfo')}
           </h3>
           
           <div className="space-y-2 text-gray-300">
             {zoneName && (
               <div className="flex items-center gap-2">
-                <span className="text-gray-400">區域：</span>
+                <span className="text-gray-400">{t('map.zone')}</span>
                 <span className="text-white">{zoneName}</span>
                 <button
                   onClick={async (e) => {
@@ -256,7 +258,7 @@ export default function MapModal({ isOpen, onClose, zoneName, x, y, npcName, map
                     alignItems: 'center',
                     justifyContent: 'center'
                   }}
-                  title="複製區域名稱（會自動添加 FF14）"
+                  title={t('map.copyZone')}
                 >
                   <svg 
                     xmlns="http://www.w3.org/2000/svg" 
@@ -273,20 +275,20 @@ export default function MapModal({ isOpen, onClose, zoneName, x, y, npcName, map
             )}
             {(x !== undefined && y !== undefined) && (
               <div>
-                <span className="text-gray-400">座標：</span>
+                <span className="text-gray-400">{t('map.coordinates')}</span>
                 <span className="text-white">({x.toFixed(1)}, {y.toFixed(1)})</span>
               </div>
             )}
             {mapId && (
               <div>
-                <span className="text-gray-400">地圖ID：</span>
+                <span className="text-gray-400">{t('map.mapId')}</span>
                 <span className="text-white">{mapId}</span>
               </div>
             )}
           </div>
           
           <div className="mt-6 text-sm text-yellow-400">
-            <p>⚠️ 地圖數據未找到（地圖ID: {mapId}）</p>
+            <p>{t('map.notFound', { mapId })}</p>
           </div>
         </div>
       </div>
@@ -409,7 +411,7 @@ export default function MapModal({ isOpen, onClose, zoneName, x, y, npcName, map
               fontFamily: 'serif',
               letterSpacing: '0.5px'
             }}>
-              {npcName || '位置信息'}
+              {npcName || t('map.locationInfo')}
             </h3>
             </div>
             
@@ -488,7 +490,7 @@ export default function MapModal({ isOpen, onClose, zoneName, x, y, npcName, map
                       alignItems: 'center',
                       justifyContent: 'center'
                     }}
-                    title="複製區域名稱（會自動添加 FF14）"
+                    title={t('map.copyZone')}
                   >
                     <svg 
                       xmlns="http://www.w3.org/2000/svg" 
@@ -518,7 +520,7 @@ export default function MapModal({ isOpen, onClose, zoneName, x, y, npcName, map
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
                   </svg>
                   <span className="font-medium" style={{ textShadow: '0 1px 2px rgba(255, 255, 255, 0.6)' }}>
-                    座標 <span className="font-semibold">({x.toFixed(1)}, {y.toFixed(1)})</span>
+                    {t('map.coordinatesShort')} <span className="font-semibold">({x.toFixed(1)}, {y.toFixed(1)})</span>
                   </span>
                 </div>
               )}
@@ -542,14 +544,14 @@ export default function MapModal({ isOpen, onClose, zoneName, x, y, npcName, map
             {!imageLoaded && (
               <div className="absolute inset-0 flex items-center justify-center bg-black z-10">
                 <div className="text-amber-900 text-sm font-semibold" style={{ textShadow: '0 1px 2px rgba(255, 255, 255, 0.5)' }}>
-                  載入地圖中...
+                  {t('map.loading')}
                 </div>
               </div>
             )}
             <div className="absolute inset-0">
               <img 
                 src={mapData.image} 
-                alt={`${zoneName || '地圖'}`}
+                alt={zoneName || t('map.alt')}
                 className="w-full h-full object-cover block"
                 style={{ display: 'block' }}
                 onLoad={() => setImageLoaded(true)}
@@ -633,7 +635,7 @@ export default function MapModal({ isOpen, onClose, zoneName, x, y, npcName, map
                       textShadow: '0 1px 1px rgba(255, 255, 255, 0.5)'
                     }}
                   >
-                    <div className="font-semibold">{npcName || '位置'}</div>
+                    <div className="font-semibold">{npcName || t('map.location')}</div>
                     <div className="text-xs mt-0.5">({x?.toFixed(1)}, {y?.toFixed(1)})</div>
                   </div>
                 )}
@@ -1,13 +1,47 @@
 // Market history component - replicates ObservableHQ's market history table
+import ExportButton from './ExportButton';
+import { useTranslation } from '../hooks/useTranslation';
+
+/**
+ * Format a Universalis timestamp (seconds) as local MM/DD HH:mm
+ * @param {number} timestamp
+ * @param {boolean} withYear - Prefix YYYY/ (used for exports)
+ * @returns {string}
+ */
+function formatTimestamp(timestamp, withYear = false) {
+  const date = new Date(timestamp * 1000);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${withYear ? `${date.getFullYear()}/` : ''}${month}/${day} ${hours}:${minutes}`;
+}
+
+// Labels are catalog keys, resolved in the component's UI language
+const EXPORT_COLUMNS = [
+  { key: 'itemName', labelKey: 'table.itemName' },
+  { key: 'hq', label: 'HQ', value: entry => (entry.hq ? 'HQ' : '') },
+  { key: 'pricePerUnit', labelKey: 'table.unitPrice' },
+  { key: 'quantity', labelKey: 'table.quantity' },
+  { key: 'total', labelKey: 'table.total' },
+  { key: 'buyerName', labelKey: 'table.buyer' },
+  { key: 'worldName', labelKey: 'table.world' },
+  { key: 'timestamp', labelKey: 'table.time', value: entry => formatTimestamp(entry.timestamp, true) },
+];
+
 export default function MarketHistory({ history }) {
+  const { t } = useTranslation();
+
   if (!history || history.length === 0) {
     return (
       <div className="flex-1 flex items-center justify-center text-center py-8 text-gray-400 bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20">
-        <p className="text-sm">暫無歷史交易記錄</p>
+        <p className="text-sm">{t('sales.empty')}</p>
       </div>
     );
   }
 
+  const exportColumns = EXPORT_COLUMNS.map(column => (column.labelKey ? { ...column, label: t(column.labelKey) } : column));
+
   // Sort by timestamp (newest first)
   const sortedHistory = [...history].sort((a, b) => b.timestamp - a.timestamp);
 
@@ -16,13 +50,13 @@ export default function MarketHistory({ history }) {
       <table className="w-full border-collapse text-sm min-w-[600px]">
         <thead>
           <tr className="bg-gradient-to-r from-purple-900/40 via-pink-900/30 to-indigo-900/40 border-b border-purple-500/30">
-            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs min-w-[80px] sm:min-w-[100px]">物品名</th>
-            <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs w-20 sm:w-24">單價</th>
-            <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs w-16 sm:w-20">數量</th>
-            <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs w-20 sm:w-24">總計</th>
-            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs hidden sm:table-cell min-w-[80px]">買家</th>
-            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs min-w-[80px] sm:min-w-[100px]">服務器</th>
-            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs w-16 sm:w-20">時間</th>
+            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs min-w-[80px] sm:min-w-[100px]">{t('table.itemName')}</th>
+            <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs w-20 sm:w-24">{t('table.unitPrice')}</th>
+            <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs w-16 sm:w-20">{t('table.quantity')}</th>
+            <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs w-20 sm:w-24">{t('table.total')}</th>
+            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs hidden sm:table-cell min-w-[80px]">{t('table.buyer')}</th>
+            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs min-w-[80px] sm:min-w-[100px]">{t('table.world')}</th>
+            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs w-16 sm:w-20">{t('table.time')}</th>
           </tr>
         </thead>
         <tbody>
@@ -53,19 +87,15 @@ export default function MarketHistory({ history }) {
                 {entry.worldName}
               </td>
               <td className="px-2 sm:px-3 py-2 text-gray-400 text-xs whitespace-nowrap">
-                {(() => {
-                  const date = new Date(entry.timestamp * 1000);
-                  const month = String(date.getMonth() + 1).padStart(2, '0');
-                  const day = String(date.getDate()).padStart(2, '0');
-                  const hours = String(date.getHours()).padStart(2, '0');
-                  const minutes = String(date.getMinutes()).padStart(2, '0');
-                  return `${month}/${day} ${hours}:${minutes}`;
-                })()}
+                {formatTimestamp(entry.timestamp)}
               </td>
             </tr>
           ))}
         </tbody>
       </table>
+      <div className="px-2 sm:px-3 py-1.5 border-t border-purple-500/20 flex justify-end">
+        <ExportButton getRows={() => sortedHistory} columns={exportColumns} filename="market-history" />
+      </div>
     </div>
   );
 }
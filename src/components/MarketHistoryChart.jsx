@@ -0,0 +1,343 @@
+// Market history chart - price over time (NQ/HQ or per world) with volume bars, from the Universalis /history endpoint
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { getMarketHistory, HISTORY_WINDOWS } from '../services/universalis';
+import { useTranslation } from '../hooks/useTranslation';
+import { translate } from '../i18n';
+import { getUILanguage, getLocaleTag } from '../utils/uiLanguage';
+
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 260;
+const PADDING = { top: 12, right: 12, bottom: 24, left: 56 };
+// Volume bars use the bottom part of the plot area
+const VOLUME_HEIGHT_RATIO = 0.25;
+
+const WORLD_COLORS = ['#38bdf8', '#f472b6', '#a3e635', '#fb923c', '#c084fc', '#2dd4bf', '#facc15', '#f87171'];
+
+/**
+ * Group sales into time buckets and compute quantity-weighted average prices
+ * @returns {Array<Object>} buckets: { start, volume, nq, hq, worlds: { [worldName]: avg } }
+ */
+function bucketHistory(entries, windowConfig, nowSeconds) {
+  const start = nowSeconds - windowConfig.seconds;
+  const bucketCount = Math.ceil(windowConfig.seconds / windowConfig.bucketSeconds);
+  const buckets = Array.from({ length: bucketCount }, (_, i) => ({
+    start: start + i * windowConfig.bucketSeconds,
+    volume: 0,
+    sums: { nq: [0, 0], hq: [0, 0] },
+    worldSums: {},
+  }));
+
+  entries.forEach(entry => {
+    const index = Math.floor((entry.timestamp - start) / windowConfig.bucketSeconds);
+    if (index < 0 || index >= bucketCount) return;
+    const bucket = buckets[index];
+    const quantity = entry.quantity || 1;
+    bucket.volume += quantity;
+
+    const quality = bucket.sums[entry.hq ? 'hq' : 'nq'];
+    quality[0] += entry.pricePerUnit * quantity;
+    quality[1] += quantity;
+
+    if (entry.worldName) {
+      const worldSum = bucket.worldSums[entry.worldName] || [0, 0];
+      worldSum[0] += entry.pricePerUnit * quantity;
+      worldSum[1] += quantity;
+      bucket.worldSums[entry.worldName] = worldSum;
+    }
+  });
+
+  return buckets.map(bucket => {
+    const worlds = {};
+    Object.entries(bucket.worldSums).forEach(([worldName, [sum, qty]]) => {
+      worlds[worldName] = Math.round(sum / qty);
+    });
+    return {
+      start: bucket.start,
+      volume: bucket.volume,
+      nq: bucket.sums.nq[1] > 0 ? Math.round(bucket.sums.nq[0] / bucket.sums.nq[1]) : null,
+      hq: bucket.sums.hq[1] > 0 ? Math.round(bucket.sums.hq[0] / bucket.sums.hq[1]) : null,
+      worlds,
+    };
+  });
+}
+
+/**
+ * Format a bucket start time for the x-axis / tooltip
+ */
+function formatBucketTime(seconds, windowKey, language) {
+  const date = new Date(seconds * 1000);
+  if (windowKey === '24h') {
+    return date.toLocaleTimeString(getLocaleTag(language), { hour: '2-digit', minute: '2-digit', hour12: false });
+  }
+  if (windowKey === '7d') {
+    return `${date.getMonth() + 1}/${date.getDate()} ${String(date.getHours()).padStart(2, '0')}:00`;
+  }
+  return `${date.getMonth() + 1}/${date.getDate()}`;
+}
+
+export default function MarketHistoryChart({ itemId, selectedServerOption, selectedWorld }) {
+  const { t, language } = useTranslation();
+  const [windowKey, setWindowKey] = useState('7d');
+  const [mode, setMode] = useState('quality'); // 'quality' (NQ/HQ) or 'world'
+  const [history, setHistory] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const svgRef = useRef(null);
+
+  const isDcQuery = !!selectedWorld && selectedServerOption === selectedWorld.section;
+
+  // Per-world lines only make sense when querying a whole DC
+  useEffect(() => {
+    if (!isDcQuery) {
+      setMode('quality');
+    }
+  }, [isDcQuery]);
+
+  useEffect(() => {
+    if (!itemId || !selectedServerOption) return;
+
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+    setHistory(null);
+
+    getMarketHistory(selectedServerOption, itemId, { window: windowKey, signal: controller.signal })
+      .then(data => {
+        if (controller.signal.aborted) return;
+        setHistory(data);
+      })
+      .catch(err => {
+        if (controller.signal.aborted) return;
+        setError(err.message || translate(getUILanguage(), 'priceHistory.loadFailed'));
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) {
+          setIsLoading(false);
+        }
+      });
+
+    return () => controller.abort();
+  }, [itemId, selectedServerOption, windowKey]);
+
+  const windowConfig = HISTORY_WINDOWS[windowKey];
+
+  const chart = useMemo(() => {
+    if (!history || history.entries.length === 0) return null;
+
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const buckets = bucketHistory(history.entries, windowConfig, nowSeconds);
+
+    // Build series for the current mode
+    let series;
+    if (mode === 'world') {
+      const worldNames = Array.from(new Set(history.entries.map(entry => entry.worldName).filter(Boolean))).sort();
+      series = worldNames.map((worldName, i) => ({
+        key: worldName,
+        label: worldName,
+        color: WORLD_COLORS[i % WORLD_COLORS.length],
+        values: buckets.map(bucket => bucket.worlds[worldName] ?? null),
+      }));
+    } else {
+      series = [
+        { key: 'nq', label: 'NQ', color: '#4ade80', values: buckets.map(bucket => bucket.nq) },
+        { key: 'hq', label: 'HQ', color: '#d4af37', values: buckets.map(bucket => bucket.hq) },
+      ].filter(s => s.values.some(value => value !== null));
+    }
+
+    const allPrices = series.flatMap(s => s.values.filter(value => value !== null));
+    const maxPrice = allPrices.length > 0 ? Math.max(...allPrices) : 0;
+    const minPrice = allPrices.length > 0 ? Math.min(...allPrices) : 0;
+    const maxVolume = Math.max(...buckets.map(bucket => bucket.volume), 1);
+
+    const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+    const priceHeight = plotHeight * (1 - VOLUME_HEIGHT_RATIO);
+    const bucketWidth = plotWidth / buckets.length;
+
+    // Pad the price range so flat lines aren't drawn on the edge
+    const range = maxPrice - minPrice || maxPrice || 1;
+    const yMin = Math.max(0, minPrice - range * 0.1);
+    const yMax = maxPrice + range * 0.1;
+
+    const xFor = index => PADDING.left + bucketWidth * (index + 0.5);
+    const yFor = price => PADDING.top + priceHeight * (1 - (price - yMin) / (yMax - yMin));
+
+    const paths = series.map(s => {
+      const points = s.values
+        .map((value, index) => (value === null ? null : `${xFor(index).toFixed(1)},${yFor(value).toFixed(1)}`))
+        .filter(Boolean);
+      return { ...s, points: points.join(' ') };
+    });
+
+    const volumeBars = buckets.map((bucket, index) => {
+      const height = (bucket.volume / maxVolume) * plotHeight * VOLUME_HEIGHT_RATIO;
+      return {
+        x: PADDING.left + bucketWidth * index + bucketWidth * 0.15,
+        y: PADDING.top + plotHeight - height,
+        width: bucketWidth * 0.7,
+        height,
+      };
+    });
+
+    const yTicks = [0, 0.5, 1].map(ratio => {
+      const price = yMin + (yMax - yMin) * ratio;
+      return { price, y: yFor(price) };
+    });
+    const tickEvery = Math.max(1, Math.ceil(buckets.length / 6));
+    const xTicks = buckets
+      .map((bucket, index) => ({ index, label: formatBucketTime(bucket.start, windowKey, language), x: xFor(index) }))
+      .filter(tick => tick.index % tickEvery === 0);
+
+    const totalVolume = buckets.reduce((sum, bucket) => sum + bucket.volume, 0);
+
+    return { buckets, paths, volumeBars, yTicks, xTicks, bucketWidth, totalVolume, xFor };
+  }, [history, windowConfig, windowKey, mode, language]);
+
+  const handleMouseMove = (e) => {
+    if (!chart || !svgRef.current) return;
+    const rect = svgRef.current.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * CHART_WIDTH;
+    const index = Math.floor((x - PADDING.left) / chart.bucketWidth);
+    setHoverIndex(index >= 0 && index < chart.buckets.length ? index : null);
+  };
+
+  const hoverBucket = chart && hoverIndex !== null ? chart.buckets[hoverIndex] : null;
+
+  return (
+    <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-3 sm:p-4">
+      <div className="flex items-center justify-between flex-wrap gap-2 mb-3">
+        <div className="flex items-center gap-2 flex-wrap">
+          {Object.entries(HISTORY_WINDOWS).map(([key, config]) => (
+            <button
+              key={key}
+              onClick={() => setWindowKey(key)}
+              className={`px-2.5 py-1 rounded text-xs transition-colors border ${
+                windowKey === key
+                  ? 'bg-ffxiv-gold text-slate-900 border-ffxiv-gold font-semibold'
+                  : 'bg-slate-800/50 text-gray-300 border-purple-500/30 hover:bg-purple-800/40'
+              }`}
+            >
+              {t(config.labelKey)}
+            </button>
+          ))}
+          {isDcQuery && (
+            <button
+              onClick={() => setMode(mode === 'world' ? 'quality' : 'world')}
+              className="px-2.5 py-1 rounded text-xs transition-colors border bg-slate-800/50 text-gray-300 border-purple-500/30 hover:bg-purple-800/40"
+            >
+              {mode === 'world' ? t('priceHistory.byQuality') : t('priceHistory.byWorld')}
+            </button>
+          )}
+        </div>
+        {chart && (
+          <div className="flex items-center gap-3 flex-wrap text-xs">
+            {chart.paths.map(series => (
+              <span key={series.key} className="flex items-center gap-1 text-gray-300">
+                <span className="inline-block w-3 h-0.5" style={{ backgroundColor: series.color }}></span>
+                {series.label}
+              </span>
+            ))}
+            <span className="flex items-center gap-1 text-gray-400">
+              <span className="inline-block w-2 h-2.5 bg-purple-500/40"></span>
+              {t('priceHistory.volumeTotal', { count: chart.totalVolume.toLocaleString() })}
+            </span>
+          </div>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className="h-48 flex items-center justify-center gap-2 text-xs text-gray-400">
+          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-ffxiv-gold"></div>
+          {t('priceHistory.loading')}
+        </div>
+      ) : error ? (
+        <div className="h-48 flex items-center justify-center text-sm text-red-400">{error}</div>
+      ) : !chart ? (
+        <div className="h-48 flex items-center justify-center text-sm text-gray-400">{t('priceHistory.noSales')}</div>
+      ) : (
+        <div className="relative">
+          <svg
+            ref={svgRef}
+            viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+            className="w-full h-auto select-none"
+            onMouseMove={handleMouseMove}
+            onMouseLeave={() => setHoverIndex(null)}
+          >
+            {/* Grid lines and y-axis labels */}
+            {chart.yTicks.map(tick => (
+              <g key={tick.y}>
+                <line x1={PADDING.left} x2={CHART_WIDTH - PADDING.right} y1={tick.y} y2={tick.y} stroke="rgba(148,163,184,0.15)" />
+                <text x={PADDING.left - 6} y={tick.y + 4} textAnchor="end" fontSize="11" fill="#9ca3af">
+                  {Math.round(tick.price).toLocaleString()}
+                </text>
+              </g>
+            ))}
+
+            {/* Volume bars */}
+            {chart.volumeBars.map((bar, index) => (
+              <rect
+                key={index}
+                x={bar.x}
+                y={bar.y}
+                width={bar.width}
+                height={bar.height}
+                fill={hoverIndex === index ? 'rgba(168,85,247,0.6)' : 'rgba(168,85,247,0.3)'}
+              />
+            ))}
+
+            {/* Price lines */}
+            {chart.paths.map(series => (
+              <polyline
+                key={series.key}
+                points={series.points}
+                fill="none"
+                stroke={series.color}
+                strokeWidth="2"
+                strokeLinejoin="round"
+              />
+            ))}
+
+            {/* Hover marker */}
+            {hoverIndex !== null && (
+              <line
+                x1={chart.xFor(hoverIndex)}
+                x2={chart.xFor(hoverIndex)}
+                y1={PADDING.top}
+                y2={CHART_HEIGHT - PADDING.bottom}
+                stroke="rgba(212,175,55,0.5)"
+                strokeDasharray="4 3"
+              />
+            )}
+
+            {/* X-axis labels */}
+            {chart.xTicks.map(tick => (
+              <text key={tick.index} x={tick.x} y={CHART_HEIGHT - 6} textAnchor="middle" fontSize="11" fill="#9ca3af">
+                {tick.label}
+              </text>
+            ))}
+          </svg>
+
+          {hoverBucket && (
+            <div className="absolute top-1 right-1 px-3 py-2 bg-slate-900/95 border border-purple-500/40 rounded-lg text-xs pointer-events-none space-y-0.5">
+              <div className="text-gray-400">{formatBucketTime(hoverBucket.start, windowKey, language)}</div>
+              {chart.paths.map(series => {
+                const value = series.values[hoverIndex];
+                return value !== null ? (
+                  <div key={series.key} className="flex justify-between gap-3">
+                    <span style={{ color: series.color }}>{series.label}</span>
+                    <span className="text-white">{value.toLocaleString()}</span>
+                  </div>
+                ) : null;
+              })}
+              <div className="flex justify-between gap-3">
+                <span className="text-purple-300">{t('priceHistory.volume')}</span>
+                <span className="text-white">{hoverBucket.volume.toLocaleString()}</span>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,13 +1,49 @@
 // Market listings component - replicates ObservableHQ's market listings table
+import { useState, useEffect } from 'react';
+import { getRetainers, subscribeToRetainers, findListingRetainer } from '../utils/retainers';
+import ExportButton from './ExportButton';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Labels are catalog keys, resolved in the component's UI language
+const EXPORT_COLUMNS = [
+  { key: 'itemName', labelKey: 'table.itemName' },
+  { key: 'hq', label: 'HQ', value: listing => (listing.hq ? 'HQ' : '') },
+  { key: 'pricePerUnit', labelKey: 'table.unitPrice' },
+  { key: 'quantity', labelKey: 'table.quantity' },
+  { key: 'total', labelKey: 'table.total' },
+  { key: 'retainerName', labelKey: 'table.retainer' },
+  { key: 'worldName', labelKey: 'table.world' },
+];
+
 export default function MarketListings({ listings, onRefresh }) {
+  const { t } = useTranslation();
+  const [retainers, setRetainers] = useState(() => getRetainers());
+
+  // Keep own-retainer highlighting in sync with the retainer tracker
+  useEffect(() => {
+    const unsubscribe = subscribeToRetainers(state => setRetainers(state.retainers));
+    const handleStorageChange = (e) => {
+      if (e.key === 'ffxiv_market_retainers') {
+        setRetainers(getRetainers());
+      }
+    };
+    window.addEventListener('storage', handleStorageChange);
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', handleStorageChange);
+    };
+  }, []);
+
   if (!listings || listings.length === 0) {
     return (
       <div className="flex-1 flex items-center justify-center text-center py-8 text-gray-400 bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20">
-        <p>暫無在售列表</p>
+        <p>{t('listings.empty')}</p>
       </div>
     );
   }
 
+  const exportColumns = EXPORT_COLUMNS.map(column => (column.labelKey ? { ...column, label: t(column.labelKey) } : column));
+
   // Sort by price (ascending)
   const sortedListings = [...listings].sort((a, b) => a.pricePerUnit - b.pricePerUnit);
 
@@ -16,19 +52,21 @@ export default function MarketListings({ listings, onRefresh }) {
       <table className="w-full border-collapse text-sm min-w-[600px]">
         <thead>
           <tr className="bg-gradient-to-r from-purple-900/40 via-pink-900/30 to-indigo-900/40 border-b border-purple-500/30">
-            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs min-w-[140px] sm:min-w-[180px]">物品名</th>
-            <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs w-20 sm:w-24">單價</th>
-            <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs w-16 sm:w-20">數量</th>
-            <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs w-20 sm:w-24">總計</th>
-            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs hidden sm:table-cell min-w-[80px]">雇員</th>
-            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs min-w-[80px] sm:min-w-[100px]">服務器</th>
+            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs min-w-[140px] sm:min-w-[180px]">{t('table.itemName')}</th>
+            <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs w-20 sm:w-24">{t('table.unitPrice')}</th>
+            <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs w-16 sm:w-20">{t('table.quantity')}</th>
+            <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs w-20 sm:w-24">{t('table.total')}</th>
+            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs hidden sm:table-cell min-w-[80px]">{t('table.retainer')}</th>
+            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs min-w-[80px] sm:min-w-[100px]">{t('table.world')}</th>
           </tr>
         </thead>
         <tbody>
-          {sortedListings.map((listing, index) => (
+          {sortedListings.map((listing, index) => {
+            const isMine = !!findListingRetainer(listing, retainers);
+            return (
             <tr
               key={index}
-              className="border-b border-purple-500/20 hover:bg-purple-900/30 transition-colors"
+              className={`border-b border-purple-500/20 hover:bg-purple-900/30 transition-colors ${isMine ? 'bg-ffxiv-gold/10' : ''}`}
             >
               <td className="px-2 sm:px-3 py-2 text-white text-xs break-words" style={{ minWidth: '140px', maxWidth: '240px' }}>
                 <div className="flex items-start gap-1 flex-wrap">
@@ -46,15 +84,20 @@ export default function MarketListings({ listings, onRefresh }) {
                 {listing.total.toLocaleString()}
               </td>
               <td className="px-2 sm:px-3 py-2 text-gray-400 text-xs hidden sm:table-cell truncate max-w-[100px]" title={listing.retainerName || '-'}>
+                {isMine && <span className="mr-1 px-1 py-0.5 bg-ffxiv-gold/20 text-ffxiv-gold rounded text-xs">{t('listings.mine')}</span>}
                 {listing.retainerName || '-'}
               </td>
               <td className="px-2 sm:px-3 py-2 text-gray-400 text-xs truncate max-w-[120px]" title={listing.worldName}>
                 {listing.worldName}
               </td>
             </tr>
-          ))}
+            );
+          })}
         </tbody>
       </table>
+      <div className="px-2 sm:px-3 py-1.5 border-t border-purple-500/20 flex justify-end">
+        <ExportButton getRows={() => sortedListings} columns={exportColumns} filename="market-listings" />
+      </div>
     </div>
   );
 }
@@ -0,0 +1,594 @@
+// Melding Cost (魔晶石鑲嵌估價) - Overmeld success rates and expected materia spend for one piece of gear
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import TaxRatesModal from './TaxRatesModal';
+import ServerSelector from './ServerSelector';
+import ItemImage from './ItemImage';
+import ExportButton from './ExportButton';
+import { APP_VERSION } from '../constants/version';
+import { searchTwItems, getTwItemsByIds } from '../services/supabaseData';
+import { getBaseParamName, getSlotName, getJobNames, getItemComparisonData } from '../services/itemComparison';
+import {
+  MATERIA_PARAM_GROUPS,
+  loadMaterias,
+  getTierNumeral,
+  getMaxMeldSlots,
+  estimateMeldCost,
+  getMateriaPrices,
+} from '../services/meldingCost';
+import { addItemsToShoppingList } from '../utils/shoppingList';
+import { getInternalUrl } from '../utils/internalUrl.js';
+import { generateItemUrl } from '../utils/urlSlug';
+import { getUILanguage } from '../utils/uiLanguage';
+import { translate } from '../i18n';
+import { useTranslation } from '../hooks/useTranslation';
+import { useItemNames } from '../hooks/useItemNames';
+
+const MAX_SEARCH_RESULTS = 8;
+const CONFIDENCE = 0.9;
+
+/**
+ * Default plan for an item: the highest tier of its substat materia in every slot
+ * @returns {Array<Object>} [{ paramId, tier }]
+ */
+function getDefaultMelds(item, materias) {
+  const paramId = item.substatParamId && materias[item.substatParamId]
+    ? item.substatParamId
+    : MATERIA_PARAM_GROUPS[0].paramIds[0];
+  const tier = materias[paramId]?.[0]?.tier || 1;
+  return Array.from({ length: getMaxMeldSlots(item) }, () => ({ paramId, tier }));
+}
+
+export default function MeldingCost({
+  addToast,
+  removeToast,
+  toasts,
+  datacenters,
+  worlds,
+  selectedWorld,
+  onWorldChange,
+  selectedServerOption,
+  onServerOptionChange,
+  serverOptions,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  isServerDataLoaded,
+  onItemSelect,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const navigate = useNavigate();
+  const { t, language } = useTranslation();
+
+  const [itemQuery, setItemQuery] = useState('');
+  const [itemMatches, setItemMatches] = useState([]);
+  const [item, setItem] = useState(null);
+  const [itemName, setItemName] = useState('');
+  const [materias, setMaterias] = useState(null);
+  const [melds, setMelds] = useState([]);
+  const [isHq, setIsHq] = useState(true);
+  const [prices, setPrices] = useState({});
+  const [materiaNames, setMateriaNames] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [isLoadingPrices, setIsLoadingPrices] = useState(false);
+  const abortControllerRef = useRef(null);
+  const priceAbortControllerRef = useRef(null);
+
+  const isWorldMode = typeof selectedServerOption === 'number';
+
+  useEffect(() => {
+    loadMaterias()
+      .then(setMaterias)
+      .catch(error => {
+        console.error('Failed to load materia data:', error);
+        addToast(translate(getUILanguage(), 'meldingCost.materiaLoadFailed'), 'error');
+      });
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+      if (priceAbortControllerRef.current) {
+        priceAbortControllerRef.current.abort();
+      }
+    };
+  }, [addToast]);
+
+  // Debounced item search; stale responses are dropped
+  useEffect(() => {
+    if (!itemQuery.trim()) {
+      setItemMatches([]);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const matches = await searchTwItems(itemQuery);
+      if (cancelled) return;
+      setItemMatches(
+        Object.entries(matches)
+          .slice(0, MAX_SEARCH_RESULTS)
+          .map(([id, data]) => ({ itemId: parseInt(id, 10), itemName: data.tw }))
+      );
+    }, 200);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [itemQuery]);
+
+  const handleSelectItem = useCallback(async (match) => {
+    setItemQuery('');
+    if (!materias) return;
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+
+    setIsLoading(true);
+    try {
+      const [data] = await getItemComparisonData([match.itemId], signal);
+      if (signal.aborted) return;
+      setItem(data);
+      setItemName(match.itemName);
+      setMelds(getDefaultMelds(data, materias));
+    } catch (error) {
+      if (!signal.aborted) {
+        console.error('Failed to load equipment data:', error);
+        addToast(t('itemComparison.loadFailed'), 'error');
+      }
+    } finally {
+      if (!signal.aborted) setIsLoading(false);
+    }
+  }, [materias, addToast, t]);
+
+  // Resolve each slot's choice to a materia item
+  const plannedMelds = useMemo(() => {
+    if (!materias) return [];
+    return melds
+      .map(meld => {
+        const materia = materias[meld.paramId]?.find(entry => entry.tier === meld.tier);
+        return materia ? { ...materia, paramId: meld.paramId } : null;
+      })
+      .filter(Boolean);
+  }, [melds, materias]);
+
+  const materiaIdsKey = useMemo(
+    () => [...new Set(plannedMelds.map(meld => meld.itemId))].sort((a, b) => a - b).join(','),
+    [plannedMelds]
+  );
+
+  // Prices and names follow the chosen materia and the selected server
+  useEffect(() => {
+    if (priceAbortControllerRef.current) {
+      priceAbortControllerRef.current.abort();
+    }
+    if (!materiaIdsKey || !selectedServerOption) {
+      setPrices({});
+      return;
+    }
+    priceAbortControllerRef.current = new AbortController();
+    const { signal } = priceAbortControllerRef.current;
+    const materiaIds = materiaIdsKey.split(',').map(Number);
+
+    setIsLoadingPrices(true);
+    Promise.all([
+      getMateriaPrices(selectedServerOption, materiaIds, signal),
+      getTwItemsByIds(materiaIds, signal),
+    ])
+      .then(([nextPrices, names]) => {
+        if (signal.aborted) return;
+        setPrices(nextPrices);
+        setMateriaNames(prev => ({ ...prev, ...names }));
+      })
+      .catch(error => {
+        if (!signal.aborted) {
+          console.error('Failed to load materia prices:', error);
+          addToast(t('itemComparison.pricesLoadFailed'), 'error');
+        }
+      })
+      .finally(() => {
+        if (!signal.aborted) setIsLoadingPrices(false);
+      });
+  }, [materiaIdsKey, selectedServerOption, addToast, t]);
+
+  const estimate = useMemo(() => {
+    if (!item || plannedMelds.length === 0) return null;
+    return estimateMeldCost(item, plannedMelds, prices, { isHq, confidence: CONFIDENCE });
+  }, [item, plannedMelds, prices, isHq]);
+
+  const maxSlots = getMaxMeldSlots(item);
+
+  const localizedNames = useItemNames(
+    [item?.itemId, ...plannedMelds.map(meld => meld.itemId), ...itemMatches.map(match => match.itemId)].filter(Boolean),
+    language
+  );
+  const displayedItemName = (item && localizedNames[item.itemId]) || itemName;
+
+  const handleMeldChange = useCallback((slotIndex, changes) => {
+    setMelds(prev => prev.map((meld, index) => {
+      if (index !== slotIndex) return meld;
+      const next = { ...meld, ...changes };
+      // Keep the tier when the new param has it, otherwise fall back to its highest tier
+      if (changes.paramId && !materias[next.paramId]?.some(entry => entry.tier === next.tier)) {
+        next.tier = materias[next.paramId]?.[0]?.tier || 1;
+      }
+      return next;
+    }));
+  }, [materias]);
+
+  const handleApplyToAll = useCallback((slotIndex) => {
+    setMelds(prev => prev.map(() => ({ ...prev[slotIndex] })));
+  }, []);
+
+  const handleMeldCountChange = useCallback((count) => {
+    setMelds(prev => {
+      if (count <= prev.length) return prev.slice(0, count);
+      const last = prev[prev.length - 1] || getDefaultMelds(item, materias)[0];
+      return [...prev, ...Array.from({ length: count - prev.length }, () => ({ ...last }))];
+    });
+  }, [item, materias]);
+
+  const handleOpenItem = useCallback(() => {
+    if (!item) return;
+    const itemUrl = generateItemUrl(item.itemId, itemName || 'item');
+    window.open(`${window.location.origin}${getInternalUrl(itemUrl)}`, '_blank', 'noopener,noreferrer');
+  }, [item, itemName]);
+
+  const handleAddToShoppingList = useCallback(() => {
+    if (!estimate) return;
+    const count = addItemsToShoppingList(
+      estimate.materias.map(materia => ({
+        itemId: materia.itemId,
+        itemName: materiaNames[materia.itemId]?.tw,
+        quantity: Math.ceil(materia.expectedCount),
+      }))
+    );
+    if (count > 0) {
+      addToast(t('meldingCost.addedToShoppingList', { count }), 'success');
+    }
+  }, [estimate, materiaNames, addToast, t]);
+
+  const getMateriaName = useCallback((meld) => (
+    localizedNames[meld.itemId]
+      || materiaNames[meld.itemId]?.tw
+      || `${getBaseParamName(meld.paramId, language)} ${getTierNumeral(meld.tier)}`
+  ), [localizedNames, materiaNames, language]);
+
+  const exportColumns = useMemo(() => [
+    { key: 'slot', label: t('meldingCost.slot'), value: (slot) => `${slot.slotIndex + 1}${slot.isOvermeld ? t('meldingCost.overmeldSuffix') : ''}` },
+    { key: 'itemId', label: 'ID' },
+    { key: 'name', label: t('meldingCost.materia'), value: (slot) => getMateriaName(slot) },
+    { key: 'value', label: t('meldingCost.stat'), value: (slot) => `+${slot.value}` },
+    { key: 'chance', label: t('meldingCost.successRatePercent') },
+    { key: 'expectedCount', label: t('meldingCost.expectedCount'), value: (slot) => (slot.expectedCount === null ? '' : slot.expectedCount.toFixed(2)) },
+    { key: 'safeCount', label: t('meldingCost.safeCount', { pct: CONFIDENCE * 100 }), value: (slot) => slot.safeCount ?? '' },
+    { key: 'unitPrice', label: t('table.unitPrice'), value: (slot) => slot.unitPrice ?? '' },
+    { key: 'expectedCost', label: t('meldingCost.expectedCost'), value: (slot) => slot.expectedCost ?? '' },
+  ], [getMateriaName, t]);
+
+  const isMeldable = maxSlots > 0;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        onTaxRatesClick={onTaxRatesClick}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+              {t('meldingCost.title')}
+            </h1>
+            <p className="text-gray-400 text-sm sm:text-base">
+              {t('meldingCost.description', { pct: CONFIDENCE * 100 })}
+            </p>
+          </div>
+
+          {/* Server Selector */}
+          {selectedWorld && (
+            <div className="mb-6">
+              <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
+                {t('common.queryServer')}
+              </label>
+              <ServerSelector
+                datacenters={datacenters}
+                worlds={worlds}
+                selectedWorld={selectedWorld}
+                onWorldChange={onWorldChange}
+                selectedServerOption={selectedServerOption}
+                onServerOptionChange={onServerOptionChange}
+                serverOptions={serverOptions}
+                disabled={isLoading}
+              />
+            </div>
+          )}
+
+
+          {/* Item picker */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
+            <div className="flex items-end gap-3 flex-wrap">
+              <div className="relative flex-1 min-w-[220px] max-w-md">
+                <label htmlFor="meld-item" className="block text-xs text-gray-400 mb-1">{t('meldingCost.gear')}</label>
+                <input
+                  id="meld-item"
+                  type="text"
+                  value={itemQuery}
+                  onChange={(e) => setItemQuery(e.target.value)}
+                  disabled={!materias}
+                  placeholder={materias ? t('itemComparison.searchPlaceholder') : t('meldingCost.loadingMateria')}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold disabled:opacity-50"
+                />
+                {itemMatches.length > 0 && (
+                  <div className="absolute top-full left-0 right-0 mt-1 bg-slate-900/95 border border-purple-500/30 rounded-lg shadow-xl z-20 py-1">
+                    {itemMatches.map(match => (
+                      <button
+                        key={match.itemId}
+                        onClick={() => handleSelectItem(match)}
+                        className="w-full px-3 py-1.5 flex items-center gap-2 hover:bg-purple-900/30 transition-colors text-left text-sm"
+                      >
+                        <ItemImage itemId={match.itemId} alt={localizedNames[match.itemId] || match.itemName} className="w-6 h-6 object-contain rounded" />
+                        <span className="text-white truncate">{localizedNames[match.itemId] || match.itemName}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+              <label className="flex items-center gap-1.5 text-xs text-gray-300 cursor-pointer pb-2">
+                <input
+                  type="checkbox"
+                  checked={isHq}
+                  onChange={(e) => setIsHq(e.target.checked)}
+                  className="accent-ffxiv-gold"
+                />
+                {t('meldingCost.hqGear')}
+              </label>
+              {isLoading && <span className="text-xs text-gray-400 pb-2">{t('common.loading')}</span>}
+            </div>
+
+            {item && (
+              <div className="mt-4 flex items-center gap-3 flex-wrap">
+                <button
+                  onClick={handleOpenItem}
+                  className="flex items-center gap-2 text-left hover:text-ffxiv-gold transition-colors"
+                >
+                  <ItemImage itemId={item.itemId} alt={displayedItemName} className="w-10 h-10 object-contain rounded flex-shrink-0" />
+                  <span className="text-white font-medium">{displayedItemName}</span>
+                </button>
+                <span className="text-xs text-gray-400">
+                  {item.ilvl ? t('meldingCost.ilvl', { ilvl: item.ilvl }) : ''}
+                  {item.slotProp ? ` · ${getSlotName(item.slotProp, language)}` : ''}
+                  {item.jobs.length > 0 ? ` · ${getJobNames(item.jobs, language).join(' ')}` : ''}
+                </span>
+                {isMeldable && (
+                  <span className="text-xs text-gray-300">
+                    {t('meldingCost.materiaSlots', { count: item.materiaSlots })}
+                    {item.advancedMelding ? t('meldingCost.overmeldable') : t('meldingCost.notOvermeldable')}
+                  </span>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Melding plan */}
+          {item && (
+            <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6">
+              {!isMeldable ? (
+                <p className="text-center text-gray-400 py-8 text-sm">{t('meldingCost.notMeldable')}</p>
+              ) : (
+                <>
+                  <div className="flex items-center gap-3 flex-wrap mb-4">
+                    <h2 className="text-lg font-semibold text-ffxiv-gold">
+                      {t('meldingCost.planTitle')}
+                      {selectedServerOption && (
+                        <span className="ml-2 text-sm text-gray-400 font-normal">
+                          {t('itemComparison.pricesFor', {
+                            scope: isWorldMode
+                              ? t('common.worldScope', { name: worlds?.[selectedServerOption] || '' })
+                              : t('common.dcScope', { name: selectedServerOption }),
+                          })}
+                        </span>
+                      )}
+                    </h2>
+                    <label className="flex items-center gap-1.5 text-xs text-gray-300">
+                      {t('meldingCost.meldCount')}
+                      <select
+                        value={melds.length}
+                        onChange={(e) => handleMeldCountChange(parseInt(e.target.value, 10))}
+                        className="px-2 py-1 bg-slate-900/50 border border-purple-500/30 rounded text-white text-xs focus:outline-none focus:border-ffxiv-gold"
+                      >
+                        {Array.from({ length: maxSlots }, (_, index) => (
+                          <option key={index + 1} value={index + 1}>{index + 1}</option>
+                        ))}
+                      </select>
+                    </label>
+                    {isLoadingPrices && <span className="text-xs text-gray-400">{t('itemComparison.loadingPrices')}</span>}
+                    {estimate && (
+                      <div className="ml-auto flex items-center gap-2">
+                        <button
+                          onClick={handleAddToShoppingList}
+                          className="px-3 py-1.5 rounded-lg text-xs font-medium bg-slate-800/50 text-gray-300 border border-purple-500/30 hover:bg-purple-800/40 hover:text-white transition-all"
+                        >
+                          {t('shoppingList.addTitle')}
+                        </button>
+                        <ExportButton
+                          getRows={() => estimate.slots}
+                          columns={exportColumns}
+                          filename="melding-cost"
+                        />
+                      </div>
+                    )}
+                  </div>
+
+                  {estimate && (
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-6">
+                      <div className="bg-slate-800/60 rounded-lg border border-purple-500/20 p-4">
+                        <div className="text-xs text-gray-400 mb-1">{t('meldingCost.totalExpectedCount')}</div>
+                        <div className="text-2xl font-bold text-white">{estimate.totalExpectedCount.toFixed(1)}</div>
+                      </div>
+                      <div className="bg-slate-800/60 rounded-lg border border-purple-500/20 p-4">
+                        <div className="text-xs text-gray-400 mb-1">{t('meldingCost.expectedCost')}</div>
+                        <div className="text-2xl font-bold text-ffxiv-gold">{estimate.totalExpectedCost.toLocaleString()}</div>
+                        {estimate.missingPriceIds.length > 0 && (
+                          <div className="text-[11px] text-yellow-500 mt-1">{t('meldingCost.missingPrices', { count: estimate.missingPriceIds.length })}</div>
+                        )}
+                      </div>
+                      <div className="bg-slate-800/60 rounded-lg border border-purple-500/20 p-4">
+                        <div className="text-xs text-gray-400 mb-1">{t('meldingCost.safeBudget', { pct: CONFIDENCE * 100 })}</div>
+                        <div className="text-2xl font-bold text-white">{estimate.totalSafeCost.toLocaleString()}</div>
+                      </div>
+                    </div>
+                  )}
+
+                  {estimate?.hasImpossibleSlot && (
+                    <p className="text-xs text-red-400 mb-3">
+                      {t('meldingCost.impossibleSlot')}
+                    </p>
+                  )}
+
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="border-b border-purple-500/30">
+                          <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('meldingCost.slot')}</th>
+                          <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('meldingCost.materia')}</th>
+                          <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('meldingCost.successRate')}</th>
+                          <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('meldingCost.expectedCount')}</th>
+                          <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('meldingCost.safeCountShort', { pct: CONFIDENCE * 100 })}</th>
+                          <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('table.unitPrice')}</th>
+                          <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('meldingCost.expectedCost')}</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {melds.map((meld, slotIndex) => {
+                          const slot = estimate?.slots[slotIndex];
+                          return (
+                            <tr key={slotIndex} className="border-b border-slate-700/50 hover:bg-slate-800/40">
+                              <td className="px-2 sm:px-3 py-2 text-xs whitespace-nowrap">
+                                <span className="text-white">{slotIndex + 1}</span>
+                                {slotIndex >= item.materiaSlots && <span className="ml-1 text-purple-300">{t('meldingCost.overmeld')}</span>}
+                              </td>
+                              <td className="px-2 sm:px-3 py-2">
+                                <div className="flex items-center gap-2 flex-wrap">
+                                  {slot && <ItemImage itemId={slot.itemId} alt={getMateriaName(slot)} className="w-6 h-6 object-contain rounded" />}
+                                  <select
+                                    value={meld.paramId}
+                                    onChange={(e) => handleMeldChange(slotIndex, { paramId: parseInt(e.target.value, 10) })}
+                                    className="px-2 py-1 bg-slate-900/50 border border-purple-500/30 rounded text-white text-xs focus:outline-none focus:border-ffxiv-gold"
+                                  >
+                                    {MATERIA_PARAM_GROUPS.map(group => (
+                                      <optgroup key={group.labelKey} label={t(group.labelKey)}>
+                                        {group.paramIds.filter(paramId => materias?.[paramId]).map(paramId => (
+                                          <option key={paramId} value={paramId}>{getBaseParamName(paramId, language)}</option>
+                                        ))}
+                                      </optgroup>
+                                    ))}
+                                  </select>
+                                  <select
+                                    value={meld.tier}
+                                    onChange={(e) => handleMeldChange(slotIndex, { tier: parseInt(e.target.value, 10) })}
+                                    className="px-2 py-1 bg-slate-900/50 border border-purple-500/30 rounded text-white text-xs focus:outline-none focus:border-ffxiv-gold"
+                                  >
+                                    {(materias?.[meld.paramId] || []).map(entry => (
+                                      <option key={entry.tier} value={entry.tier}>{getTierNumeral(entry.tier)} (+{entry.value})</option>
+                                    ))}
+                                  </select>
+                                  {melds.length > 1 && (
+                                    <button
+                                      onClick={() => handleApplyToAll(slotIndex)}
+                                      className="text-[11px] text-gray-400 hover:text-ffxiv-gold transition-colors"
+                                    >
+                                      {t('meldingCost.applyToAll')}
+                                    </button>
+                                  )}
+                                </div>
+                              </td>
+                              <td className={`px-2 sm:px-3 py-2 text-right font-mono ${slot?.chance === 100 ? 'text-green-400' : slot?.chance > 0 ? 'text-yellow-400' : 'text-red-400'}`}>
+                                {slot ? `${slot.chance}%` : '-'}
+                              </td>
+                              <td className="px-2 sm:px-3 py-2 text-right font-mono text-gray-300">
+                                {slot?.expectedCount ? slot.expectedCount.toFixed(2) : '-'}
+                              </td>
+                              <td className="px-2 sm:px-3 py-2 text-right font-mono text-gray-300">
+                                {slot?.safeCount ?? '-'}
+                              </td>
+                              <td className="px-2 sm:px-3 py-2 text-right font-mono text-gray-300">
+                                {slot?.unitPrice ? slot.unitPrice.toLocaleString() : '-'}
+                              </td>
+                              <td className="px-2 sm:px-3 py-2 text-right font-mono text-ffxiv-gold">
+                                {slot?.expectedCost !== null && slot?.expectedCost !== undefined ? slot.expectedCost.toLocaleString() : '-'}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Version Info */}
+        <div className="mt-6 pt-4 border-t border-slate-600/30">
+          <p className="text-xs text-slate-500 text-center">
+            {t('common.appVersion')} <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+          </p>
+        </div>
+      </div>
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
@@ -1,9 +1,11 @@
 import { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { APP_VERSION } from '../constants/version';
+import { useTranslation } from '../hooks/useTranslation';
 
 function NotFound() {
   const navigate = useNavigate();
+  const { t } = useTranslation();
   const [countdown, setCountdown] = useState(2);
 
   useEffect(() => {
@@ -30,6 +32,9 @@ function NotFound() {
     };
   }, [navigate]);
 
+  // Split around the placeholder so the number keeps its highlight
+  const [countdownBefore, countdownAfter = ''] = t('notFound.countdown').split('{seconds}');
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center px-4">
       <div className="text-center max-w-2xl">
@@ -45,18 +50,18 @@ function NotFound() {
         <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-8 sm:p-12 mb-8 card-glow">
           <div className="text-6xl mb-6">🔍</div>
           <h2 className="text-2xl sm:text-3xl font-bold text-ffxiv-gold mb-4">
-            頁面未找到
+            {t('notFound.title')}
           </h2>
           <p className="text-base sm:text-lg text-gray-300 mb-6">
-            抱歉，您訪問的頁面不存在或已被移除。
+            {t('notFound.description')}
           </p>
           <p className="text-sm sm:text-base text-gray-400">
             {countdown > 0 ? (
               <span>
-                將在 <span className="text-ffxiv-gold font-bold">{countdown}</span> 秒後自動返回首頁...
+                {countdownBefore}<span className="text-ffxiv-gold font-bold">{countdown}</span>{countdownAfter}
               </span>
             ) : (
-              <span className="text-ffxiv-gold">正在跳轉...</span>
+              <span className="text-ffxiv-gold">{t('notFound.redirecting')}</span>
             )}
           </p>
         </div>
@@ -66,13 +71,13 @@ function NotFound() {
           onClick={() => navigate('/', { replace: true })}
           className="px-6 py-3 bg-gradient-to-r from-purple-900/60 via-indigo-900/50 to-purple-900/60 border border-ffxiv-gold/40 text-ffxiv-gold font-semibold rounded-lg hover:border-ffxiv-gold/60 hover:shadow-[0_0_20px_rgba(251,191,36,0.4)] transition-all duration-300"
         >
-          立即返回首頁
+          {t('notFound.goHome')}
         </button>
         
         {/* Version Info */}
         <div className="mt-8 pt-4 border-t border-slate-600/30">
           <p className="text-xs text-slate-500">
-            版本號: <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+            {t('common.appVersion')} <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
           </p>
         </div>
       </div>
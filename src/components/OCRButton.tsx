@@ -3,6 +3,10 @@ import { createPortal } from 'react-dom';
 import { getTwItems } from '../services/supabaseData';
 import { cropBlackBorders } from '../utils/ocr/imageUtils';
 import { getTesseractConfig, ocrDebugLog, TESSERACT_INIT_CONFIG, type TesseractFiltersConfig } from '../utils/ocr/tesseractConfig';
+import { processImageForMultiLineOCR } from '../utils/ocr/ocrCore';
+import { resolveOCRLines } from '../services/itemDatabase';
+import { useTranslation } from '../hooks/useTranslation';
+import { useItemNames } from '../hooks/useItemNames';
 
 // Tesseract.js v5 類型聲明（從 CDN 載入）
 // v5 API: createWorker(langs?, oem?, options?, config?)
@@ -2516,8 +2520,18 @@ export type OCROutputMeta = {
   ocrConfidence?: number;
 };
 
+/** 多行模式：每一行的辨識文字與對應物品 */
+type ResolvedOCRLine = {
+  text: string;
+  confidence: number | null;
+  item: { id: number; name: string; isTradable: boolean } | null;
+  score: number;
+};
+
 interface OCRButtonProps {
   onTextRecognized?: (text: string, meta?: OCROutputMeta) => void;
+  /** 多行模式確認後的物品名稱（未提供時不顯示多行模式） */
+  onBatchRecognized?: (itemNames: string[]) => void;
   disabled?: boolean;
 }
 
@@ -2526,9 +2540,20 @@ interface OCRButtonProps {
  */
 export default function OCRButton({
   onTextRecognized,
+  onBatchRecognized,
   disabled,
 }: OCRButtonProps) {
+  const { t, language } = useTranslation();
   const [isModalOpen, setIsModalOpen] = useState(false);
+  // 'single': 單一物品名稱；'multi': 整張清單截圖逐行辨識
+  const [ocrMode, setOcrMode] = useState<'single' | 'multi'>('single');
+  const [batchLines, setBatchLines] = useState<ResolvedOCRLine[] | null>(null);
+  const [selectedBatchLines, setSelectedBatchLines] = useState<Set<number>>(new Set());
+  // Matches come from the TW item table; show them in the UI language
+  const localizedBatchNames = useItemNames(
+    (batchLines || []).flatMap((line) => (line.item ? [line.item.id] : [])),
+    language
+  );
   const [isProcessing, setIsProcessing] = useState(false);
   const [progress, setProgress] = useState(0);
   const [isDragging, setIsDragging] = useState(false);
@@ -2600,6 +2625,23 @@ export default function OCRButton({
       setProgress(0);
 
       try {
+        if (ocrMode === 'multi') {
+          const lines = await processImageForMultiLineOCR(file, filterOptions, setProgress);
+          if (lines.length === 0) {
+            alert(t('ocr.multiLineEmpty'));
+            return;
+          }
+          const resolved: ResolvedOCRLine[] = await resolveOCRLines(lines);
+          setBatchLines(resolved);
+          // 預設只勾選有對應到可交易物品的行
+          setSelectedBatchLines(new Set(
+            resolved
+              .map((line, index) => (line.item && line.item.isTradable ? index : -1))
+              .filter((index) => index >= 0)
+          ));
+          return;
+        }
+
         const debugCallback = getConfig().debugMode ? handleDebugConfirm : undefined;
         const finalFilterOptions = filterOptions;
         ocrDebugLog('handleImageProcess: 調用 processImageForOCR', {
@@ -2690,9 +2732,36 @@ export default function OCRButton({
         }
       }
     },
-    [onTextRecognized, handleDebugConfirm]
+    [onTextRecognized, handleDebugConfirm, ocrMode, t]
   );
 
+  const handleToggleBatchLine = (index: number) => {
+    setSelectedBatchLines((prev) => {
+      const next = new Set(prev);
+      if (next.has(index)) {
+        next.delete(index);
+      } else {
+        next.add(index);
+      }
+      return next;
+    });
+  };
+
+  // 將勾選的物品交給批量查價
+  const handleBatchConfirm = () => {
+    if (!batchLines || !onBatchRecognized) return;
+    const itemNames = [...new Set(
+      batchLines
+        .filter((line, index) => selectedBatchLines.has(index) && line.item)
+        .map((line) => line.item!.name)
+    )];
+    if (itemNames.length === 0) return;
+    onBatchRecognized(itemNames);
+    setIsModalOpen(false);
+    setPreviewImage(null);
+    setBatchLines(null);
+  };
+
   // 打開模態框
   const handleOCRClick = () => {
     ocrDebugLog('handleOCRClick: OCR 按鈕點擊', {
@@ -2722,6 +2791,7 @@ export default function OCRButton({
       setIsModalOpen(false);
       setPreviewImage(null);
       setIsDragging(false);
+      setBatchLines(null);
       ocrDebugLog('handleCloseModal: 模態框已關閉', {
         timestamp: new Date().toISOString(),
       });
@@ -3035,17 +3105,104 @@ export default function OCRButton({
                 <span className="text-transparent bg-clip-text bg-gradient-to-r from-yellow-300 via-yellow-400 to-amber-300 font-bold drop-shadow-[0_0_8px_rgba(251,191,36,0.6)] [text-shadow:0_0_10px_rgba(251,191,36,0.5)]">光之戰士</span>，懶得打字？
               </p>
               <p className="text-xs text-gray-200 whitespace-nowrap font-medium">
-                直接截圖物品名稱，讓 OCR 幫你識別！
+                {ocrMode === 'multi' ? t('ocr.multiLineHint') : t('ocr.singleHint')}
               </p>
             </div>
           </div>
+          {/* 辨識模式 */}
+          {onBatchRecognized && (
+            <div className="flex items-center gap-2 mt-2 text-xs">
+              {([
+                { id: 'single', labelKey: 'ocr.modeSingle' },
+                { id: 'multi', labelKey: 'ocr.modeMulti' },
+              ] as const).map((mode) => (
+                <button
+                  key={mode.id}
+                  onClick={() => {
+                    setOcrMode(mode.id);
+                    setBatchLines(null);
+                  }}
+                  disabled={isProcessing}
+                  className={`px-3 py-1 rounded-full border transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                    ocrMode === mode.id
+                      ? 'bg-purple-600 border-purple-400 text-white'
+                      : 'bg-slate-800/60 border-purple-500/30 text-gray-300 hover:border-purple-400'
+                  }`}
+                >
+                  {t(mode.labelKey)}
+                </button>
+              ))}
+              {ocrMode === 'multi' && (
+                <span className="text-gray-400">{t('ocr.multiLineSources')}</span>
+              )}
+            </div>
+          )}
         </div>
 
         {/* 內容區域（可滾動） */}
         <div 
           className="flex-1 overflow-y-auto min-h-0 flex flex-col gap-3 p-4 sm:p-6"
         >
+          {/* 多行辨識結果 */}
+          {batchLines && (
+            <div className="flex flex-col gap-2 min-h-0">
+              <p className="text-xs text-gray-400">
+                {t('ocr.linesFound', { count: batchLines.length })}
+              </p>
+              <div className="max-h-[50vh] overflow-y-auto rounded-lg border border-purple-500/30 divide-y divide-purple-500/10">
+                {batchLines.map((line, index) => {
+                  const canSelect = !!line.item && line.item.isTradable;
+                  return (
+                    <label
+                      key={index}
+                      className={`flex items-center gap-2 px-3 py-1.5 text-sm ${canSelect ? 'cursor-pointer hover:bg-purple-900/20' : 'opacity-60'}`}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={selectedBatchLines.has(index)}
+                        onChange={() => handleToggleBatchLine(index)}
+                        disabled={!canSelect}
+                        className="accent-purple-500"
+                      />
+                      <span className="text-gray-500 text-xs truncate w-28 flex-shrink-0" title={line.text}>{line.text}</span>
+                      <span className="text-gray-600">→</span>
+                      {line.item ? (
+                        <span className="flex-1 min-w-0 flex items-center gap-1.5">
+                          <span className="text-white truncate">{localizedBatchNames[line.item.id] || line.item.name}</span>
+                          <span className={`text-xs flex-shrink-0 ${line.score >= 0.8 ? 'text-green-400' : line.score >= 0.6 ? 'text-yellow-400' : 'text-red-400'}`}>
+                            {Math.round(line.score * 100)}%
+                          </span>
+                          {!line.item.isTradable && (
+                            <span className="text-[10px] text-gray-400 border border-gray-500/50 rounded px-1 flex-shrink-0">{t('table.untradable')}</span>
+                          )}
+                        </span>
+                      ) : (
+                        <span className="flex-1 text-gray-500 text-xs">{t('ocr.noMatch')}</span>
+                      )}
+                    </label>
+                  );
+                })}
+              </div>
+              <div className="flex items-center justify-end gap-2">
+                <button
+                  onClick={() => setBatchLines(null)}
+                  className="px-3 py-1.5 text-sm rounded-lg border border-purple-500/30 text-gray-300 hover:bg-purple-900/20 transition-colors"
+                >
+                  {t('ocr.retake')}
+                </button>
+                <button
+                  onClick={handleBatchConfirm}
+                  disabled={selectedBatchLines.size === 0}
+                  className="px-4 py-1.5 text-sm font-semibold rounded-lg bg-gradient-to-r from-purple-600 to-indigo-600 hover:from-purple-700 hover:to-indigo-700 text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {t('ocr.batchPrice', { count: selectedBatchLines.size })}
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* 拖放區域 */}
+          {!batchLines && (
           <div className="flex-1 min-w-0">
             <div
               ref={dropZoneRef}
@@ -3128,9 +3285,10 @@ export default function OCRButton({
             )}
             </div>
           </div>
+          )}
 
           {/* 提示文字 */}
-          {!isProcessing && (
+          {!isProcessing && !batchLines && (
             <div className="text-center flex-shrink-0">
               <p className="text-xs text-gray-500">僅支援繁體中文識別</p>
             </div>
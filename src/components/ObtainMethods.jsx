@@ -9,6 +9,7 @@ import { extractIdsFromSources } from '../utils/extractIdsFromSources';
 import { getHuijiWikiUrlForItem } from '../utils/wikiUtils';
 import { getPlaceName as getPlaceNameUtil, getPlaceNameWithFallback } from '../utils/placeUtils';
 import { generateItemUrl } from '../utils/urlSlug';
+import { useTranslation } from '../hooks/useTranslation';
 // Supabase batch query functions
 import {
   getTwNpcsByIds,
@@ -179,6 +180,7 @@ function setCachedObtainMethodsData(itemId, sources, loadedData) {
 export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTree, isCraftingTreeExpanded = false, onLoadingChange }) {
   
   const navigate = useNavigate();
+  const { t } = useTranslation();
   const [sources, setSources] = useState([]);
   const [loading, setLoading] = useState(true);
   
@@ -1642,7 +1644,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
     return (
       <div className="text-center py-8">
         <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-ffxiv-gold"></div>
-        <p className="mt-4 text-gray-400">載入取得方式...</p>
+        <p className="mt-4 text-gray-400">{t('item.loadingObtain')}</p>
       </div>
     );
   }
@@ -1654,7 +1656,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
       return (
         <div className="text-center py-8">
           <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-ffxiv-gold"></div>
-          <p className="mt-4 text-gray-400">載入取得方式...</p>
+          <p className="mt-4 text-gray-400">{t('item.loadingObtain')}</p>
         </div>
       );
     }
@@ -1669,7 +1671,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
       <div className="text-center py-4 text-gray-400 text-sm">
         {isTreasureMap ? (
           <div className="flex flex-col items-center gap-3">
-            <div>暫無取得方式資料</div>
+            <div>{t('obtain.noData')}</div>
             <a
               href="https://cycleapple.github.io/xiv-tc-treasure-finder/"
               target="_blank"
@@ -1679,11 +1681,11 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
               <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 20l-5.447-2.724A1 1 0 013 16.382V5.618a1 1 0 011.447-.894L9 7m0 13l6-3m-6 3V7m6 10l4.553 2.276A1 1 0 0021 18.382V7.618a1 1 0 00-.553-.894L15 4m0 13V4m0 0L9 7" />
               </svg>
-              前往藏寶圖查詢器
+              {t('obtain.treasureFinder')}
             </a>
           </div>
         ) : (
-          <div>暫無取得方式資料</div>
+          <div>{t('obtain.noData')}</div>
         )}
       </div>
     );
@@ -1692,28 +1694,28 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
   // Get method type display name
   const getMethodTypeName = (type) => {
     const methodTypeNames = {
-      [DataType.CRAFTED_BY]: '製作',
-      [DataType.TRADE_SOURCES]: '兌換',
-      [DataType.VENDORS]: 'NPC商店',
-      [DataType.TREASURES]: '寶箱/容器',
-      [DataType.INSTANCES]: '副本掉落',
-      [DataType.DESYNTHS]: '精製獲得',
-      [DataType.QUESTS]: '任務獎勵',
-      [DataType.FATES]: '危命任務',
-      [DataType.GATHERED_BY]: '採集獲得',
-      [DataType.REDUCED_FROM]: '分解獲得',
-      [DataType.VENTURES]: '遠征獲得',
-      [DataType.GARDENING]: '園藝獲得',
-      [DataType.MOGSTATION]: '商城購買',
-      [DataType.ISLAND_CROP]: '理符任務',
-      [DataType.VOYAGES]: '遠征',
-      [DataType.REQUIREMENTS]: '需求',
-      [DataType.MASTERBOOKS]: '製作書',
-      [DataType.ALARMS]: '鬧鐘提醒',
-      [DataType.DROPS]: '怪物掉落',
-      [DataType.ACHIEVEMENTS]: '成就獎勵',
+      [DataType.CRAFTED_BY]: t('obtain.method.crafted'),
+      [DataType.TRADE_SOURCES]: t('obtain.method.trade'),
+      [DataType.VENDORS]: t('obtain.method.vendor'),
+      [DataType.TREASURES]: t('obtain.method.treasure'),
+      [DataType.INSTANCES]: t('obtain.method.instance'),
+      [DataType.DESYNTHS]: t('obtain.method.desynth'),
+      [DataType.QUESTS]: t('obtain.method.quest'),
+      [DataType.FATES]: t('obtain.method.fate'),
+      [DataType.GATHERED_BY]: t('obtain.method.gathered'),
+      [DataType.REDUCED_FROM]: t('obtain.method.reduced'),
+      [DataType.VENTURES]: t('obtain.method.venture'),
+      [DataType.GARDENING]: t('obtain.method.gardening'),
+      [DataType.MOGSTATION]: t('obtain.method.mogstation'),
+      [DataType.ISLAND_CROP]: t('obtain.method.leve'),
+      [DataType.VOYAGES]: t('obtain.method.voyage'),
+      [DataType.REQUIREMENTS]: t('obtain.method.requirement'),
+      [DataType.MASTERBOOKS]: t('obtain.method.masterbook'),
+      [DataType.ALARMS]: t('obtain.method.alarm'),
+      [DataType.DROPS]: t('obtain.method.drop'),
+      [DataType.ACHIEVEMENTS]: t('obtain.method.achievement'),
     };
-    return methodTypeNames[type] || '未知';
+    return methodTypeNames[type] || t('obtain.method.unknown');
   };
 
   const getNpcName = (npcId) => {
@@ -1754,7 +1756,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
     return getPlaceNameWithFallback(zoneId, {
       twPlaces: currentLoadedData.twPlaces,
       places: currentLoadedData.places
-    }, '區域');
+    }, t('common.zone'));
   };
 
   const getShopName = (shopId) => {
@@ -1783,7 +1785,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
 
   const getCurrencyName = (currencyItemId) => {
     // Get currency name from Supabase loaded data
-    if (!currencyItemId) return '貨幣';
+    if (!currencyItemId) return t('obtain.currencyFallback');
     
     // Use ref to access latest loadedData immediately, avoiding stale state issues
     const currentLoadedData = loadedDataRef.current;
@@ -1883,7 +1885,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
     if (instance?.en) {
       return instance.en;
     }
-    return `副本 ${instanceId}`;
+    return t('obtain.instanceFallback', { id: instanceId });
   };
 
   const getInstanceCNName = (instanceId) => {
@@ -1962,7 +1964,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
   // Get job name from tw-job-abbr.json
   const getJobName = (jobId) => {
     const jobData = twJobAbbrData[jobId];
-    return jobData?.tw || `職業 ${jobId}`;
+    return jobData?.tw || t('craftingTree.jobFallback', { id: jobId });
   };
 
   // Get job icon URL from garlandtools
@@ -1999,7 +2001,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`crafted-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/000000/000501.png" alt="Craft" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">製作</span>
+            <span className="text-ffxiv-gold font-medium">{t('obtain.method.crafted')}</span>
             {onExpandCraftingTree && (
               <button
                 onClick={(e) => {
@@ -2012,12 +2014,12 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                     ? 'bg-amber-900/50 hover:bg-amber-800/70 border-ffxiv-gold/60 hover:border-ffxiv-gold text-ffxiv-gold'
                     : 'bg-purple-900/50 hover:bg-purple-800/70 border-purple-500/40 hover:border-purple-400/60 text-purple-200 hover:text-ffxiv-gold'
                 }`}
-                title={isCraftingTreeExpanded ? '收起製作價格樹' : '展開製作價格樹'}
+                title={isCraftingTreeExpanded ? t('item.craftingTreeCollapse') : t('item.craftingTreeExpand')}
               >
                 <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z" />
                 </svg>
-                {isCraftingTreeExpanded ? '收起樹' : '展開樹'}
+                {isCraftingTreeExpanded ? t('obtain.collapseTree') : t('obtain.expandTree')}
               </button>
             )}
           </div>
@@ -2030,7 +2032,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
               const stars = craft.stars_tooltip || '';
               
               // Skip if no valid job data
-              if (!jobName || jobName === `職業 ${jobId}`) {
+              if (!jobName || jobName === t('craftingTree.jobFallback', { id: jobId })) {
                 return null;
               }
 
@@ -2049,7 +2051,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                       ? 'bg-amber-900/30 hover:bg-amber-800/40 border border-ffxiv-gold/40'
                       : 'bg-slate-900/50 hover:bg-slate-800/70'
                   }`}
-                  title={isCraftingTreeExpanded ? '點擊收起製作價格樹' : '點擊展開製作價格樹'}
+                  title={isCraftingTreeExpanded ? t('obtain.clickCollapseTree') : t('obtain.clickExpandTree')}
                 >
                   <div className="flex items-center gap-2">
                     {jobIconUrl && (
@@ -2072,7 +2074,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                         const masterbookName = masterbookId 
                           ? getMasterbookName(masterbookId) 
                           : (craft.masterbook.name?.tw || craft.masterbook.name?.en);
-                        const displayName = masterbookName || '專用配方書';
+                        const displayName = masterbookName || t('obtain.masterbookFallback');
                         
                         return (
                           <div className="text-xs text-gray-400 mt-1">
@@ -2240,7 +2242,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                 <polyline points="145,100 145,80 200,122 145,165 145,145 70,145" />
               </g>
             </svg>
-            <span className="text-ffxiv-gold font-medium">兌換</span>
+            <span className="text-ffxiv-gold font-medium">{t('obtain.method.trade')}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {tradeGroups.map((group, groupIndex) => {
@@ -2289,7 +2291,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                         {group.requiresHQ && (
                           <span 
                             className="inline-flex items-center justify-center px-1.5 py-0.5 bg-yellow-500/20 border border-yellow-500/50 rounded text-[10px] font-bold text-yellow-400"
-                            title="需要高品質版本"
+                            title={t('obtain.requiresHq')}
                           >
                             HQ
                           </span>
@@ -2301,7 +2303,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                         {group.requiresHQ && (
                           <span 
                             className="inline-flex items-center justify-center px-1.5 py-0.5 bg-yellow-500/20 border border-yellow-500/50 rounded text-[10px] font-bold text-yellow-400"
-                            title="需要高品質版本"
+                            title={t('obtain.requiresHq')}
                           >
                             HQ
                           </span>
@@ -2319,7 +2321,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                   {/* Quest requirement */}
                   {requiredQuestId && questName && (
                     <div className="text-xs text-pink-400/90 mb-2 flex items-center gap-1">
-                      <span>需要完成任務：</span>
+                      <span>{t('obtain.requiredQuest')}</span>
                       <button
                         onClick={(e) => {
                           e.preventDefault();
@@ -2387,7 +2389,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                   {/* Show count if multiple NPCs */}
                   {group.npcs.length > 1 && (
                     <div className="text-xs text-gray-500 mt-2 pt-2 border-t border-slate-700/30">
-                      {group.npcs.length} 個位置
+                      {t('obtain.locationCount', { count: group.npcs.length })}
                     </div>
                   )}
                 </div>
@@ -2418,7 +2420,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`vendor-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/065000/065002.png" alt="Gil" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">NPC商店</span>
+            <span className="text-ffxiv-gold font-medium">{t('obtain.method.vendor')}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {npcGroups.map((npcGroup, npcGroupIndex) => {
@@ -2526,7 +2528,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                         onMouseMove={handleAchievementMouseMove}
                         onMouseLeave={handleAchievementMouseLeave}
                       >
-                        <span className="text-pink-400/90">需要完成成就：</span>
+                        <span className="text-pink-400/90">{t('obtain.requiredAchievement')}</span>
                         <span className="font-medium text-yellow-400/90 cursor-help underline decoration-dotted decoration-yellow-400/50 hover:decoration-yellow-400 transition-colors">
                           {achievementInfo.name}
                         </span>
@@ -2584,7 +2586,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`treasure-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/061000/061808.png" alt="Treasure" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">寶箱/容器</span>
+            <span className="text-ffxiv-gold font-medium">{t('obtain.method.treasure')}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {data.map((treasureId, treasureIndex) => {
@@ -2638,14 +2640,14 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`instance-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/061000/061801.png" alt="Instance" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">副本掉落</span>
+            <span className="text-ffxiv-gold font-medium">{t('obtain.method.instance')}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {data.map((instanceId, instanceIndex) => {
               const instanceName = getInstanceName(instanceId);
               
               // Skip if no lookup available (fallback name means no data)
-              if (instanceName === `副本 ${instanceId}`) {
+              if (instanceName === t('obtain.instanceFallback', { id: instanceId })) {
                 return null;
               }
               
@@ -2700,16 +2702,16 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                         <div className="flex flex-wrap items-center gap-x-3 gap-y-1 ml-6 text-xs text-gray-400">
                           {levelReq && (
                             <div className="flex items-baseline gap-1.5">
-                              <span className="text-gray-500">等级:</span>
+                              <span className="text-gray-500">{t('obtain.levelLabel')}</span>
                               <span className="text-gray-300 font-medium">Lv.{levelReq}</span>
                               {sync && sync !== levelReq && (
-                                <span className="text-gray-500 text-[10px] leading-none -ml-0.5">(同步: {sync})</span>
+                                <span className="text-gray-500 text-[10px] leading-none -ml-0.5">{t('obtain.syncLevel', { level: sync })}</span>
                               )}
                             </div>
                           )}
                           {ilvlReq && ilvlReq > 0 && (
                             <div className="flex items-center gap-1.5">
-                              <span className="text-gray-500">iLvl要求:</span>
+                              <span className="text-gray-500">{t('obtain.ilvlRequired')}</span>
                               <span className="text-gray-300 font-medium">{ilvlReq}</span>
                             </div>
                           )}
@@ -2727,16 +2729,16 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                         <div className="flex flex-wrap items-center gap-x-3 gap-y-1 ml-6 text-xs text-gray-400">
                           {levelReq && (
                             <div className="flex items-baseline gap-1.5">
-                              <span className="text-gray-500">等级:</span>
+                              <span className="text-gray-500">{t('obtain.levelLabel')}</span>
                               <span className="text-gray-300 font-medium">Lv.{levelReq}</span>
                               {sync && sync !== levelReq && (
-                                <span className="text-gray-500 text-[10px] leading-none -ml-0.5">(同步: {sync})</span>
+                                <span className="text-gray-500 text-[10px] leading-none -ml-0.5">{t('obtain.syncLevel', { level: sync })}</span>
                               )}
                             </div>
                           )}
                           {ilvlReq && ilvlReq > 0 && (
                             <div className="flex items-center gap-1.5">
-                              <span className="text-gray-500">iLvl要求:</span>
+                              <span className="text-gray-500">{t('obtain.ilvlRequired')}</span>
                               <span className="text-gray-300 font-medium">{ilvlReq}</span>
                             </div>
                           )}
@@ -2788,14 +2790,14 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
           if (!monstersByZone['unknown']) {
             monstersByZone['unknown'] = {
               zoneId: 'unknown',
-              zoneName: '未知區域',
+              zoneName: t('obtain.unknownZone'),
               monsters: []
             };
           }
           monstersByZone['unknown'].monsters.push({
             mobId,
             mobName,
-            levelRange: minLevel ? `等級${minLevel}` : null,
+            levelRange: minLevel ? t('obtain.levelValue', { level: minLevel }) : null,
             mapId: null,
             positions: []
           });
@@ -2805,12 +2807,13 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         // Get zone name using the existing function
         const zoneName = getPlaceNameCN(zoneId);
         // Use zoneId as fallback if zone name not found
-        const displayZoneName = zoneName && zoneName !== `區域 ${zoneId}` ? zoneName : `區域 ${zoneId}`;
+        const zoneFallback = `${t('common.zone')} ${zoneId}`;
+        const displayZoneName = zoneName && zoneName !== zoneFallback ? zoneName : zoneFallback;
 
         // Calculate level range
         const levelRange = minLevel && maxLevel 
-          ? (minLevel === maxLevel ? `等級${minLevel}` : `等級${minLevel}～${maxLevel}`)
-          : (minLevel ? `等級${minLevel}` : null);
+          ? (minLevel === maxLevel ? t('obtain.levelValue', { level: minLevel }) : t('obtain.levelRange', { min: minLevel, max: maxLevel }))
+          : (minLevel ? t('obtain.levelValue', { level: minLevel }) : null);
 
         if (!monstersByZone[zoneId]) {
           monstersByZone[zoneId] = {
@@ -2838,7 +2841,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`drops-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
           <div className="flex items-center gap-2 mb-3">
             <img src="https://xivapi.com/c/BNpcName.png" alt="Monster" className="w-8 h-8" />
-            <span className="text-ffxiv-gold font-medium">怪物掉落</span>
+            <span className="text-ffxiv-gold font-medium">{t('obtain.method.drop')}</span>
           </div>
           
           {/* Table-like display */}
@@ -2883,7 +2886,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                               }}
                               className="text-xs text-blue-400 hover:text-ffxiv-gold transition-colors text-left mt-1"
                             >
-                              位置: ({Math.round(firstPosition.x * 10) / 10}, {Math.round(firstPosition.y * 10) / 10})
+                              {t('obtain.position', { x: Math.round(firstPosition.x * 10) / 10, y: Math.round(firstPosition.y * 10) / 10 })}
                             </button>
                           )}
                         </div>
@@ -2914,7 +2917,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`desynth-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/000000/000120.png" alt="Desynth" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">精製獲得</span>
+            <span className="text-ffxiv-gold font-medium">{t('obtain.method.desynth')}</span>
           </div>
           <div className="grid grid-cols-3 gap-2 mt-2">
             {validDesynthItems.map((desynthItemId, desynthIndex) => {
@@ -3010,7 +3013,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`quest-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/060000/060453.png" alt="Quest" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">任務獎勵</span>
+            <span className="text-ffxiv-gold font-medium">{t('obtain.method.quest')}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {validQuestIds.map((questId, questIndex) => {
@@ -3026,7 +3029,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                 // Try to get quest name from quests.json or questsDatabasePages
                 const quest = currentLoadedData.quests[questId] || currentLoadedData.quests[String(questId)];
                 const questDb = currentLoadedData.questsDatabasePages[questId] || currentLoadedData.questsDatabasePages[String(questId)];
-                const fallbackName = quest?.en || questDb?.en || `任務 ${questId}`;
+                const fallbackName = quest?.en || questDb?.en || t('obtain.questFallback', { id: questId });
                 
                 // Still render even without Traditional Chinese name
                 return (
@@ -3038,7 +3041,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                       </div>
                     </div>
                     <div className="text-xs text-gray-400 mt-1">
-                      任務 ID: {questId}
+                      {t('obtain.questId', { id: questId })}
                     </div>
                   </div>
                 );
@@ -3064,7 +3067,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
               // Format job category: 1 = all jobs (所有職業)
               let jobCategoryText = '';
               if (jobCategory === 1) {
-                jobCategoryText = '所有職業';
+                jobCategoryText = t('obtain.allJobs');
               } else if (jobCategory && twJobAbbrData[jobCategory]) {
                 jobCategoryText = twJobAbbrData[jobCategory].tw || '';
               }
@@ -3168,7 +3171,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                     {(questLevel || jobCategoryText) && (
                       <div className="flex items-center gap-2">
                         {jobCategoryText && <span>{jobCategoryText}</span>}
-                        {questLevel && <span>{questLevel}級</span>}
+                        {questLevel && <span>{t('obtain.questLevel', { level: questLevel })}</span>}
                       </div>
                     )}
                     
@@ -3254,7 +3257,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`fate-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/060000/060502.png" alt="FATE" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">危命任務</span>
+            <span className="text-ffxiv-gold font-medium">{t('obtain.method.fate')}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {validFates.map((fate, fateIndex) => {
@@ -3355,8 +3358,8 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                       )}
                       {fateLevel && (
                         <div className="text-xs text-gray-400 mt-0.5">
-                          {zoneName ? `${zoneName} ` : ''}{fateLevel}級危命任務
-                          {isNotoriousMonster && <span className="ml-1 text-yellow-400">惡名精英</span>}
+                          {zoneName ? `${zoneName} ` : ''}{t('obtain.fateLevel', { level: fateLevel })}
+                          {isNotoriousMonster && <span className="ml-1 text-yellow-400">{t('obtain.notoriousMonster')}</span>}
                         </div>
                       )}
                     </div>
@@ -3365,20 +3368,20 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                   {/* Reward Items with Ratings */}
                   {(silverRewardItems.length > 0 || goldRewardItems.length > 0 || rareRewardItems.length > 0) && (
                     <div className="mt-2 pt-2 border-t border-slate-700/50 w-full">
-                      <div className="text-xs text-gray-400 mb-2 font-medium">獎勵物品</div>
+                      <div className="text-xs text-gray-400 mb-2 font-medium">{t('obtain.rewardItems')}</div>
                       <div className="w-full border border-slate-700/50 rounded-lg overflow-hidden bg-slate-900/30">
                         <table className="w-full text-xs border-collapse">
                           <thead>
                             <tr className="bg-slate-800/50 border-b border-slate-700/50">
-                              <th className="text-left text-gray-400 font-normal py-2 px-3 w-20">評價</th>
-                              <th className="text-left text-gray-400 font-normal py-2 px-3">獎勵物品</th>
+                              <th className="text-left text-gray-400 font-normal py-2 px-3 w-20">{t('obtain.rating')}</th>
+                              <th className="text-left text-gray-400 font-normal py-2 px-3">{t('obtain.rewardItems')}</th>
                             </tr>
                           </thead>
                             <tbody>
                             {/* Gold Rating - best rating, show first */}
                             {goldRewardItems.length > 0 && (
                               <tr className="border-b border-slate-700/30 bg-slate-900/30">
-                                <td className="py-2.5 px-3 text-gray-300 align-top font-medium whitespace-nowrap">金牌</td>
+                                <td className="py-2.5 px-3 text-gray-300 align-top font-medium whitespace-nowrap">{t('obtain.ratingGold')}</td>
                                 <td className="py-2.5 px-3 w-auto">
                                   <div className="flex flex-wrap gap-2">
                                     {goldRewardItems.map((rewardItemId) => {
@@ -3430,7 +3433,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                             {/* Silver Rating - show after gold */}
                             {silverRewardItems.length > 0 && (
                               <tr className="bg-slate-900/30">
-                                <td className="py-2.5 px-3 text-gray-300 align-top font-medium whitespace-nowrap">銀牌</td>
+                                <td className="py-2.5 px-3 text-gray-300 align-top font-medium whitespace-nowrap">{t('obtain.ratingSilver')}</td>
                                 <td className="py-2.5 px-3 w-auto">
                                   <div className="flex flex-wrap gap-2">
                                     {silverRewardItems.map((rewardItemId) => {
@@ -3479,7 +3482,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                             {/* Rare Rating - show last */}
                             {rareRewardItems.length > 0 && (
                               <tr className="bg-slate-900/30">
-                                <td className="py-2.5 px-3 text-gray-300 align-top font-medium whitespace-nowrap">稀有</td>
+                                <td className="py-2.5 px-3 text-gray-300 align-top font-medium whitespace-nowrap">{t('obtain.ratingRare')}</td>
                                 <td className="py-2.5 px-3 w-auto">
                                   <div className="flex flex-wrap gap-2">
                                     {rareRewardItems.map((rewardItemId) => {
@@ -3587,12 +3590,12 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
 
       // Node type names
       const nodeTypeNames = {
-        0: '採礦',
-        1: '採石',
-        2: '採伐',
-        3: '割取',
-        4: '釣魚',
-        5: '潛水',
+        0: t('gathering.nodeMining'),
+        1: t('gathering.nodeQuarrying'),
+        2: t('gathering.nodeLogging'),
+        3: t('gathering.nodeHarvesting'),
+        4: t('gathering.nodeFishing'),
+        5: t('gathering.nodeSpearfishing'),
       };
 
       const gatheringLevel = data.level || 0;
@@ -3601,13 +3604,13 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
       // Handle negative types (timed nodes) by using absolute value
       const nodeType = Math.abs(rawNodeType);
       const nodeIcon = nodeTypeIcons[nodeType] || nodeTypeIcons[0];
-      const nodeTypeName = nodeTypeNames[nodeType] || '採集';
+      const nodeTypeName = nodeTypeNames[nodeType] || t('obtain.gatherFallback');
 
       return (
         <div key={`gathered-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
           <div className="flex items-center gap-2 mb-2">
             <img src={nodeIcon} alt={nodeTypeName} className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">採集獲得</span>
+            <span className="text-ffxiv-gold font-medium">{t('obtain.method.gathered')}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {data.nodes.map((node, nodeIndex) => {
@@ -3631,12 +3634,12 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                       {!isIslandNode && nodeLevel > 0 && (
                         <div className="text-xs text-gray-400 mt-0.5">
                           Lv.{nodeLevel} {nodeTypeName}
-                          {isLimited && <span className="ml-1 text-yellow-400">限時</span>}
+                          {isLimited && <span className="ml-1 text-yellow-400">{t('common.limited')}</span>}
                         </div>
                       )}
                       {isIslandNode && (
                         <div className="text-xs text-gray-400 mt-0.5">
-                          島嶼採集點
+                          {t('obtain.islandNode')}
                         </div>
                       )}
                     </div>
@@ -3652,7 +3655,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                           zoneName,
                           x: coords.x,
                           y: coords.y,
-                          npcName: `${nodeTypeName}採集點`,
+                          npcName: t('obtain.nodeSpot', { type: nodeTypeName }),
                           mapId: mapId,
                         });
                       }}
@@ -3696,7 +3699,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`reduced-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/061000/061808.png" alt="Reduction" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">分解獲得</span>
+            <span className="text-ffxiv-gold font-medium">{t('obtain.method.reduced')}</span>
           </div>
           <div className={validReductionItems.length === 1 ? "flex justify-center gap-2 mt-2" : "grid grid-cols-3 gap-2 mt-2"}>
             {validReductionItems.map((reductionItemId, reductionIndex) => {
@@ -3762,7 +3765,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`venture-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/021000/021267.png" alt="Venture" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">遠征獲得</span>
+            <span className="text-ffxiv-gold font-medium">{t('obtain.method.venture')}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {validVentureItems.map((ventureItemId, ventureIndex) => {
@@ -3827,7 +3830,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`gardening-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/061000/061808.png" alt="Gardening" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">園藝獲得</span>
+            <span className="text-ffxiv-gold font-medium">{t('obtain.method.gardening')}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {validSeeds.map((seed, seedIndex) => {
@@ -3883,12 +3886,12 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`mogstation-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/065000/065002.png" alt="Mogstation" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">商城購買</span>
+            <span className="text-ffxiv-gold font-medium">{t('obtain.method.mogstation')}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             <div className="w-[280px] flex-grow-0 bg-slate-900/50 rounded p-2 min-h-[70px] flex flex-col justify-center">
               <div className="text-sm text-gray-300 text-center">
-                可在 Mog Station 商城購買
+                {t('obtain.mogstation')}
               </div>
             </div>
           </div>
@@ -3947,7 +3950,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
           <div key={`levequest-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
             <div className="flex items-center gap-2 mb-2">
               <img src="https://xivapi.com/c/Leve.png" alt="Levequest" className="w-10 h-10" />
-              <span className="text-ffxiv-gold font-medium">理符任務</span>
+              <span className="text-ffxiv-gold font-medium">{t('obtain.method.leve')}</span>
             </div>
             <div className="flex flex-wrap gap-2 mt-2">
               {allLevequests.map((leve, leveIndex) => {
@@ -3962,11 +3965,11 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                 
                 // Get leve name from tw-leves.json or database pages
                 const leveNameData = twLevesStaticData && (twLevesStaticData[leveId] || twLevesStaticData[String(leveId)]);
-                const leveName = leveNameData?.tw || leveDbData?.zh || leveDbData?.en || `理符任務 ${leveId}`;
+                const leveName = leveNameData?.tw || leveDbData?.zh || leveDbData?.en || t('obtain.leveFallback', { id: leveId });
                 
                 // Get item name
                 const itemData = currentLoadedData.twItems[itemId] || currentLoadedData.twItems[String(itemId)];
-                const itemName = itemData?.tw || `物品 ${itemId}`;
+                const itemName = itemData?.tw || t('common.itemFallback', { id: itemId });
                 
                 // Get NPC info
                 const npcs = leveDbData?.npcs || [];
@@ -4041,9 +4044,9 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                         )}
                         {(leveLevel || cost !== null) && (
                           <div className="text-xs text-gray-400 mt-0.5">
-                            {leveLevel && <span>等級 {leveLevel}</span>}
+                            {leveLevel && <span>{t('obtain.levelValue', { level: leveLevel })}</span>}
                             {leveLevel && cost !== null && <span> • </span>}
-                            {cost !== null && <span>理符點數: {cost}</span>}
+                            {cost !== null && <span>{t('obtain.leveCost', { cost })}</span>}
                           </div>
                         )}
                       </div>
@@ -4052,11 +4055,11 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                     {/* Required items from items array */}
                     {requiredItems.length > 0 && (
                       <div className="text-xs text-gray-400">
-                        <div className="mb-1">需要物品:</div>
+                        <div className="mb-1">{t('obtain.requiredItems')}</div>
                         <div className="flex flex-wrap gap-2">
                           {requiredItems.map((reqItem, reqIndex) => {
                             const reqItemData = currentLoadedData.twItems[reqItem.id] || currentLoadedData.twItems[String(reqItem.id)];
-                            const reqItemName = reqItemData?.tw || `物品 ${reqItem.id}`;
+                            const reqItemName = reqItemData?.tw || t('common.itemFallback', { id: reqItem.id });
                             return (
                               <button
                                 key={reqIndex}
@@ -4095,11 +4098,11 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                     {/* Rewards with probabilities */}
                     {rewards.length > 0 && (
                       <div className="text-xs text-gray-400">
-                        <div className="mb-1">獎勵:</div>
+                        <div className="mb-1">{t('obtain.rewards')}</div>
                         <div className="space-y-1">
                           {rewards.map((reward, rewardIndex) => {
                             const rewardItemData = currentLoadedData.twItems[reward.id] || currentLoadedData.twItems[String(reward.id)];
-                            const rewardItemName = rewardItemData?.tw || `物品 ${reward.id}`;
+                            const rewardItemName = rewardItemData?.tw || t('common.itemFallback', { id: reward.id });
                             return (
                               <div key={rewardIndex} className="flex items-center gap-2">
                                 <ItemImage
@@ -4195,7 +4198,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`island-crop-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/063000/063950_hr1.png" alt="Island Crop" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">島嶼作物</span>
+            <span className="text-ffxiv-gold font-medium">{t('obtain.method.islandCrop')}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {validCrops.map((cropId, cropIndex) => {
@@ -4250,13 +4253,23 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`voyage-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/021000/021267.png" alt="Voyage" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">遠征</span>
+            <span className="text-ffxiv-gold font-medium">{t('obtain.method.voyage')}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             <div className="w-[280px] flex-grow-0 bg-slate-900/50 rounded p-2 min-h-[70px] flex flex-col justify-center">
               <div className="text-sm text-gray-300 text-center">
-                可通過遠征獲得
+                {t('obtain.voyageAvailable')}
               </div>
+              <button
+                onClick={(e) => {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  navigate('/voyages');
+                }}
+                className="mt-1 text-xs text-ffxiv-gold hover:text-yellow-400 transition-colors"
+              >
+                {t('obtain.voyageRoutes')}
+              </button>
             </div>
           </div>
         </div>
@@ -4278,14 +4291,14 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
           <div key={`island-crop-requirement-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
             <div className="flex items-center gap-2 mb-2">
               <img src="https://xivapi.com/i/063000/063950_hr1.png" alt="Island Crop" className="w-6 h-6" />
-              <span className="text-ffxiv-gold font-medium">島嶼作物</span>
+              <span className="text-ffxiv-gold font-medium">{t('obtain.method.islandCrop')}</span>
             </div>
             <div className="text-xs text-gray-400 mb-2">
-              在島嶼聖域種植種子獲得
+              {t('obtain.islandCropHint')}
             </div>
             <div className="flex flex-wrap gap-2 mt-2">
               <div className="w-full">
-                <div className="text-xs text-gray-400 mb-1">所需種子：</div>
+                <div className="text-xs text-gray-400 mb-1">{t('obtain.requiredSeed')}</div>
                 <button
                   onClick={(e) => {
                     e.preventDefault();
@@ -4308,15 +4321,15 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                 >
                   <ItemImage
                     itemId={seedId}
-                    alt={seedName || `種子 ${seedId}`}
+                    alt={seedName || t('obtain.seedFallback', { id: seedId })}
                     className="w-7 h-7 object-contain flex-shrink-0"
                   />
                   <div className="flex flex-col items-start flex-1 min-w-0">
                     <span className="hover:underline font-medium truncate w-full">
-                      {seedName || `種子 (ID: ${seedId})`}
+                      {seedName || t('obtain.seedIdFallback', { id: seedId })}
                     </span>
                     {!seedName && (
-                      <span className="text-xs text-gray-500 mt-0.5">資料載入中...</span>
+                      <span className="text-xs text-gray-500 mt-0.5">{t('obtain.dataLoading')}</span>
                     )}
                   </div>
                 </button>
@@ -4347,7 +4360,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`requirement-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/060000/060453.png" alt="Requirement" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">需求</span>
+            <span className="text-ffxiv-gold font-medium">{t('obtain.method.requirement')}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {validRequirements.map((reqId, reqIndex) => {
@@ -4435,7 +4448,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
           <div key={`masterbook-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
             <div className="flex items-center gap-2 mb-2">
               <img src="https://xivapi.com/i/065000/065002.png" alt="Masterbook" className="w-6 h-6" />
-              <span className="text-ffxiv-gold font-medium">製作書</span>
+              <span className="text-ffxiv-gold font-medium">{t('obtain.method.masterbook')}</span>
             </div>
             <div className="flex flex-wrap gap-2 mt-2">
               {validMasterbooks.map((entry, bookIndex) => {
@@ -4486,14 +4499,14 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
           <div key={`masterbook-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
             <div className="flex items-center gap-2 mb-2">
               <img src="https://xivapi.com/i/065000/065002.png" alt="Masterbook" className="w-6 h-6" />
-              <span className="text-ffxiv-gold font-medium">製作書</span>
+              <span className="text-ffxiv-gold font-medium">{t('obtain.method.masterbook')}</span>
             </div>
             <div className="mt-2 p-3 bg-yellow-900/20 border border-yellow-700/50 rounded-lg">
               <div className="flex items-start gap-2">
                 <span className="text-yellow-400 text-lg">⚠️</span>
                 <div className="flex-1">
                   <p className="text-sm text-yellow-300 mb-2">
-                    此物品的製作書資訊可能來自限時活動內容，資料庫中暫無詳細資料。
+                    {t('obtain.masterbookLimited')}
                   </p>
                   {wikiUrl ? (
                     <a
@@ -4506,12 +4519,12 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                       <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14" />
                       </svg>
-                      查看灰機 Wiki
+                      {t('obtain.viewHuijiWiki')}
                     </a>
                   ) : (
                     <div className="inline-flex items-center gap-2 px-3 py-1.5 bg-yellow-600/30 border border-yellow-500/50 rounded text-sm text-yellow-200 opacity-50">
                       <div className="animate-spin rounded-full h-4 w-4 border-2 border-yellow-400 border-t-transparent"></div>
-                      載入中...
+                      {t('common.loading')}
                     </div>
                   )}
                 </div>
@@ -4542,19 +4555,19 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
       };
 
       const nodeTypeNames = {
-        0: '採礦',
-        1: '採石',
-        2: '採伐',
-        3: '割取',
-        4: '釣魚',
-        5: '潛水',
+        0: t('gathering.nodeMining'),
+        1: t('gathering.nodeQuarrying'),
+        2: t('gathering.nodeLogging'),
+        3: t('gathering.nodeHarvesting'),
+        4: t('gathering.nodeFishing'),
+        5: t('gathering.nodeSpearfishing'),
       };
 
       return (
         <div key={`alarm-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/060000/060502.png" alt="Alarm" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">鬧鐘提醒</span>
+            <span className="text-ffxiv-gold font-medium">{t('obtain.method.alarm')}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {data.map((alarm, alarmIndex) => {
@@ -4566,7 +4579,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
               const coords = alarm.coords;
               const nodeType = alarm.type !== undefined ? Math.abs(alarm.type) : 0;
               const nodeIcon = nodeTypeIcons[nodeType] || nodeTypeIcons[0];
-              const nodeTypeName = nodeTypeNames[nodeType] || '採集';
+              const nodeTypeName = nodeTypeNames[nodeType] || t('obtain.gatherFallback');
               const duration = alarm.duration || 0;
               const spawns = alarm.spawns || [];
               const isEphemeral = alarm.ephemeral === true;
@@ -4582,9 +4595,9 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                       </div>
                       <div className="text-xs text-gray-400 mt-0.5">
                         {nodeTypeName}
-                        {duration > 0 && <span className="ml-1">持續 {duration} 分鐘</span>}
-                        {isEphemeral && <span className="ml-1 text-yellow-400">限時</span>}
-                        {spawns.length > 0 && <span className="ml-1">出現時間: {spawns.join(', ')}</span>}
+                        {duration > 0 && <span className="ml-1">{t('obtain.duration', { minutes: duration })}</span>}
+                        {isEphemeral && <span className="ml-1 text-yellow-400">{t('common.limited')}</span>}
+                        {spawns.length > 0 && <span className="ml-1">{t('obtain.spawnTimes', { times: spawns.join(', ') })}</span>}
                       </div>
                     </div>
                   </div>
@@ -4599,7 +4612,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                           zoneName,
                           x: coords.x,
                           y: coords.y,
-                          npcName: `${nodeTypeName}採集點`,
+                          npcName: t('obtain.nodeSpot', { type: nodeTypeName }),
                           mapId: mapId,
                         });
                       }}
@@ -4643,7 +4656,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`achievement-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 w-full self-start`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/060000/060453.png" alt="Achievement" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">成就獎勵</span>
+            <span className="text-ffxiv-gold font-medium">{t('obtain.method.achievement')}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {validAchievements.map((achievementId, achievementIndex) => {
@@ -4704,11 +4717,11 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
           >
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
           </svg>
-          取得方式
+          {t('item.obtainMethods')}
         </h3>
         {sortedSources.length > 0 && (
           <span className="text-xs text-gray-400 bg-amber-900/40 px-2 py-1 rounded border border-ffxiv-gold/30">
-            {sortedSources.length} 種
+            {t('obtain.methodCount', { count: sortedSources.length })}
           </span>
         )}
         
@@ -4723,7 +4736,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                   : 'border-gray-600 bg-slate-800/50 text-gray-400 hover:border-gray-500 hover:bg-slate-700/50'
               }`}
             >
-              全部
+              {t('obtain.filterAll')}
             </button>
             {uniqueMethodTypes.map((methodType) => {
               const methodName = getMethodTypeName(methodType);
@@ -4789,12 +4802,12 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
               <div className="flex flex-col gap-1 mt-2 pt-2 border-t border-slate-700">
                 {achievementTooltipInfo.id && (
                   <div className="text-xs text-gray-400">
-                    <span className="text-gray-500">成就ID:</span> {achievementTooltipInfo.id}
+                    <span className="text-gray-500">{t('obtain.achievementId')}</span> {achievementTooltipInfo.id}
                   </div>
                 )}
                 {achievementTooltipInfo.itemReward && (
                   <div className="text-xs text-gray-400">
-                    <span className="text-gray-500">獎勵物品:</span> 
+                    <span className="text-gray-500">{t('obtain.rewardItemsLabel')}</span> 
                     <button
                       onClick={(e) => {
                         e.preventDefault();
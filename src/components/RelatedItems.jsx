@@ -1,5 +1,6 @@
 // Related Items component - shows items that use the current item as an ingredient
 import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { findRelatedItems } from '../services/recipeDatabase';
 import { getItemById } from '../services/itemDatabase';
 import { getInternalUrl } from '../utils/internalUrl.js';
@@ -7,6 +8,7 @@ import { generateItemUrl } from '../utils/urlSlug';
 import ItemImage from './ItemImage';
 
 export default function RelatedItems({ itemId, onItemClick }) {
+  const navigate = useNavigate();
   const [relatedItemIds, setRelatedItemIds] = useState([]);
   const [relatedItems, setRelatedItems] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
@@ -88,6 +90,14 @@ export default function RelatedItems({ itemId, onItemClick }) {
             </span>
           )}
         </div>
+        {!isLoading && relatedItemIds.length > 0 && (
+          <button
+            onClick={() => navigate(`/used-in?item=${itemId}`)}
+            className="text-xs text-gray-400 hover:text-ffxiv-gold transition-colors"
+          >
+            完整用途與估價 →
+          </button>
+        )}
       </div>
 
       {/* Loading state */}
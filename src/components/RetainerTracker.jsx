@@ -0,0 +1,507 @@
+// Retainer Tracker (雇員壓價追蹤) - Find tracked items where another seller undercut your retainers
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import TaxRatesModal from './TaxRatesModal';
+import ItemImage from './ItemImage';
+import { APP_VERSION } from '../constants/version';
+import { useTranslation } from '../hooks/useTranslation';
+import { useItemNames } from '../hooks/useItemNames';
+import { searchTwItems } from '../services/supabaseData';
+import { checkRetainerUndercuts } from '../services/undercutTracker';
+import {
+  getRetainers,
+  getRetainerItems,
+  subscribeToRetainers,
+  addRetainer,
+  removeRetainer,
+  addRetainerItem,
+  removeRetainerItem,
+} from '../utils/retainers';
+import { getLocaleTag } from '../utils/uiLanguage';
+import { getInternalUrl } from '../utils/internalUrl.js';
+import { generateItemUrl } from '../utils/urlSlug';
+
+const MAX_SEARCH_RESULTS = 8;
+
+export default function RetainerTracker({
+  addToast,
+  removeToast,
+  toasts,
+  worlds,
+  selectedWorld,
+  selectedServerOption,
+  onServerOptionChange,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  isServerDataLoaded,
+  onItemSelect,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const navigate = useNavigate();
+  const { t, language } = useTranslation();
+  const [retainers, setRetainers] = useState(() => getRetainers());
+  const [items, setItems] = useState(() => getRetainerItems());
+  const [retainerName, setRetainerName] = useState('');
+  const [retainerWorldId, setRetainerWorldId] = useState('');
+  const [itemQuery, setItemQuery] = useState('');
+  const [itemMatches, setItemMatches] = useState([]);
+  const [results, setResults] = useState(null);
+  const [checkedAt, setCheckedAt] = useState(null);
+  const [showNotListed, setShowNotListed] = useState(false);
+  const [isChecking, setIsChecking] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  const dcWorldIds = useMemo(() => selectedWorld?.dcObj?.worlds || [], [selectedWorld]);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToRetainers(state => {
+      setRetainers(state.retainers);
+      setItems(state.items);
+    });
+    const handleStorageChange = (e) => {
+      if (e.key === 'ffxiv_market_retainers' || e.key === 'ffxiv_market_retainer_items') {
+        setRetainers(getRetainers());
+        setItems(getRetainerItems());
+      }
+    };
+    window.addEventListener('storage', handleStorageChange);
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', handleStorageChange);
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  // Default the retainer world to the selected world (or the DC's first world)
+  useEffect(() => {
+    if (retainerWorldId) return;
+    if (typeof selectedServerOption === 'number') {
+      setRetainerWorldId(String(selectedServerOption));
+    } else if (dcWorldIds.length > 0) {
+      setRetainerWorldId(String(dcWorldIds[0]));
+    }
+  }, [selectedServerOption, dcWorldIds, retainerWorldId]);
+
+  // Debounced item search; stale responses are dropped
+  useEffect(() => {
+    if (!itemQuery.trim()) {
+      setItemMatches([]);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const matches = await searchTwItems(itemQuery);
+      if (cancelled) return;
+      setItemMatches(
+        Object.entries(matches)
+          .slice(0, MAX_SEARCH_RESULTS)
+          .map(([id, data]) => ({ itemId: parseInt(id, 10), itemName: data.tw }))
+      );
+    }, 200);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [itemQuery]);
+
+  const handleAddRetainer = useCallback((e) => {
+    e.preventDefault();
+    const worldId = Number(retainerWorldId);
+    if (!retainerName.trim() || !worldId) return;
+    if (addRetainer(retainerName, worldId, worlds?.[worldId])) {
+      setRetainerName('');
+    } else {
+      addToast(t('retainers.retainerExists'), 'warning');
+    }
+  }, [retainerName, retainerWorldId, worlds, addToast, t]);
+
+  const handleAddItem = useCallback((match) => {
+    if (!addRetainerItem(match.itemId, match.itemName)) {
+      addToast(t('retainers.itemExists'), 'warning');
+    }
+    setItemQuery('');
+  }, [addToast, t]);
+
+  const handleCheck = useCallback(async () => {
+    if (retainers.length === 0 || items.length === 0) return;
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+
+    setIsChecking(true);
+    setProgress({ checked: 0, total: 0 });
+    try {
+      const checkResults = await checkRetainerUndercuts(retainers, items, {
+        signal,
+        onProgress: (checked, total) => setProgress({ checked, total }),
+      });
+      if (signal.aborted) return;
+      setResults(checkResults);
+      setCheckedAt(Date.now());
+
+      const undercutCount = checkResults.filter(result => result.isUndercut).length;
+      addToast(undercutCount > 0 ? t('retainers.undercutToast', { count: undercutCount }) : t('retainers.allLowestToast'), undercutCount > 0 ? 'warning' : 'success');
+    } catch (error) {
+      if (!signal.aborted) {
+        console.error('Failed to check retainer undercuts:', error);
+        addToast(error.message || t('common.checkFailed'), 'error');
+      }
+    } finally {
+      if (!signal.aborted) {
+        setIsChecking(false);
+        setProgress(null);
+      }
+    }
+  }, [retainers, items, addToast, t]);
+
+  const handleCopyPrice = useCallback((price) => {
+    navigator.clipboard.writeText(String(price)).then(() => {
+      addToast(t('common.copiedValue', { value: price.toLocaleString() }), 'success');
+    }).catch(() => {
+      addToast(t('common.copyFailed'), 'error');
+    });
+  }, [addToast, t]);
+
+  const handleOpenItem = useCallback((itemId, itemName) => {
+    const itemUrl = generateItemUrl(itemId, itemName || 'item');
+    window.open(`${window.location.origin}${getInternalUrl(itemUrl)}`, '_blank', 'noopener,noreferrer');
+  }, []);
+
+  // Undercut rows first (largest gap first), then the rest
+  const visibleResults = useMemo(() => {
+    if (!results) return [];
+    return results
+      .filter(result => showNotListed || !result.notListed)
+      .sort((a, b) => {
+        if (!!a.isUndercut !== !!b.isUndercut) return a.isUndercut ? -1 : 1;
+        if (!!a.notListed !== !!b.notListed) return a.notListed ? 1 : -1;
+        return (b.difference || 0) - (a.difference || 0);
+      });
+  }, [results, showNotListed]);
+
+  const localizedNames = useItemNames([
+    ...itemMatches.map(match => match.itemId),
+    ...items.map(item => item.itemId),
+  ], language);
+  const getItemName = (itemId, fallbackName) => (
+    localizedNames[itemId] || fallbackName || t('common.itemFallback', { id: itemId })
+  );
+
+  const undercutCount = results ? results.filter(result => result.isUndercut).length : 0;
+  const notListedCount = results ? results.filter(result => result.notListed).length : 0;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        onTaxRatesClick={onTaxRatesClick}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+              {t('retainers.title')}
+            </h1>
+            <p className="text-gray-400 text-sm sm:text-base">
+              {t('retainers.description')}
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+            {/* Retainers */}
+            <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6">
+              <h2 className="text-lg font-semibold text-ffxiv-gold mb-3">{t('retainers.myRetainers', { count: retainers.length })}</h2>
+              <form onSubmit={handleAddRetainer} className="flex gap-2 mb-3">
+                <input
+                  type="text"
+                  value={retainerName}
+                  onChange={(e) => setRetainerName(e.target.value)}
+                  placeholder={t('retainers.namePlaceholder')}
+                  className="flex-1 min-w-0 px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold"
+                />
+                <select
+                  value={retainerWorldId}
+                  onChange={(e) => setRetainerWorldId(e.target.value)}
+                  className="px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold"
+                >
+                  {dcWorldIds.map(worldId => (
+                    <option key={worldId} value={worldId}>{worlds?.[worldId] || worldId}</option>
+                  ))}
+                </select>
+                <button
+                  type="submit"
+                  disabled={!retainerName.trim() || !retainerWorldId}
+                  className="px-3 py-1.5 rounded text-sm bg-purple-800/60 text-white border border-purple-500/40 hover:bg-purple-700/60 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                >
+                  {t('common.add')}
+                </button>
+              </form>
+              {retainers.length === 0 ? (
+                <p className="text-sm text-gray-500 py-4 text-center">{t('retainers.noRetainers')}</p>
+              ) : (
+                <div className="flex flex-wrap gap-2">
+                  {retainers.map(retainer => (
+                    <span
+                      key={retainer.id}
+                      className="inline-flex items-center gap-1.5 px-2 py-1 rounded bg-slate-900/50 border border-purple-500/30 text-xs"
+                    >
+                      <span className="text-white">{retainer.name}</span>
+                      <span className="text-gray-500">@ {retainer.worldName}</span>
+                      <button
+                        onClick={() => removeRetainer(retainer.id)}
+                        className="text-gray-500 hover:text-red-400 transition-colors"
+                        title={t('common.remove')}
+                      >
+                        ✕
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Tracked items */}
+            <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6">
+              <h2 className="text-lg font-semibold text-ffxiv-gold mb-3">{t('retainers.trackedItems', { count: items.length })}</h2>
+              <div className="relative mb-3">
+                <input
+                  type="text"
+                  value={itemQuery}
+                  onChange={(e) => setItemQuery(e.target.value)}
+                  placeholder={t('common.searchItemToAdd')}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold"
+                />
+                {itemMatches.length > 0 && (
+                  <div className="absolute top-full left-0 right-0 mt-1 bg-slate-900/95 border border-purple-500/30 rounded-lg shadow-xl z-20 py-1">
+                    {itemMatches.map(match => (
+                      <button
+                        key={match.itemId}
+                        onClick={() => handleAddItem(match)}
+                        className="w-full px-3 py-1.5 flex items-center gap-2 hover:bg-purple-900/30 transition-colors text-left text-sm"
+                      >
+                        <ItemImage itemId={match.itemId} alt={getItemName(match.itemId, match.itemName)} className="w-6 h-6 object-contain rounded" />
+                        <span className="text-white truncate">{getItemName(match.itemId, match.itemName)}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+              {items.length === 0 ? (
+                <p className="text-sm text-gray-500 py-4 text-center">{t('retainers.noItems')}</p>
+              ) : (
+                <div className="flex flex-wrap gap-2 max-h-48 overflow-y-auto">
+                  {items.map(item => (
+                    <span
+                      key={item.itemId}
+                      className="inline-flex items-center gap-1.5 px-2 py-1 rounded bg-slate-900/50 border border-purple-500/30 text-xs"
+                    >
+                      <ItemImage itemId={item.itemId} alt={getItemName(item.itemId, item.itemName)} className="w-5 h-5 object-contain rounded" />
+                      <span className="text-white">{getItemName(item.itemId, item.itemName)}</span>
+                      <button
+                        onClick={() => removeRetainerItem(item.itemId)}
+                        className="text-gray-500 hover:text-red-400 transition-colors"
+                        title={t('common.remove')}
+                      >
+                        ✕
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Results */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6">
+            <div className="flex items-center justify-between flex-wrap gap-3 mb-4">
+              <h2 className="text-lg font-semibold text-ffxiv-gold">
+                {t('retainers.results')}
+                {results && (
+                  <span className={`ml-2 text-sm font-normal ${undercutCount > 0 ? 'text-orange-300' : 'text-green-400'}`}>
+                    {undercutCount > 0 ? t('retainers.undercutCount', { count: undercutCount }) : t('retainers.allLowest')}
+                  </span>
+                )}
+              </h2>
+              <div className="flex items-center gap-3">
+                {checkedAt && (
+                  <span className="text-xs text-gray-500">{t('retainers.lastCheck', { time: new Date(checkedAt).toLocaleTimeString(getLocaleTag(language)) })}</span>
+                )}
+                <button
+                  onClick={handleCheck}
+                  disabled={isChecking || retainers.length === 0 || items.length === 0}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-gradient-to-r from-ffxiv-gold to-yellow-500 text-slate-900 hover:shadow-[0_0_15px_rgba(212,175,55,0.5)] disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                >
+                  {isChecking
+                    ? t('retainers.checking', { progress: progress && progress.total > 0 ? `${progress.checked}/${progress.total}` : '' })
+                    : t('retainers.check')}
+                </button>
+              </div>
+            </div>
+
+            {!results ? (
+              <p className="text-center text-gray-400 py-8 text-sm">
+                {retainers.length === 0 || items.length === 0 ? t('retainers.setupHint') : t('retainers.checkHint')}
+              </p>
+            ) : (
+              <>
+                {notListedCount > 0 && (
+                  <label className="flex items-center gap-2 mb-3 text-xs text-gray-400 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={showNotListed}
+                      onChange={(e) => setShowNotListed(e.target.checked)}
+                      className="w-4 h-4 accent-ffxiv-gold"
+                    />
+                    {t('retainers.showNotListed', { count: notListedCount })}
+                  </label>
+                )}
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="border-b border-purple-500/30">
+                        <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('table.item')}</th>
+                        <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('retainers.worldRetainer')}</th>
+                        <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('retainers.myPrice')}</th>
+                        <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('retainers.competitorPrice')}</th>
+                        <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('retainers.difference')}</th>
+                        <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('retainers.suggestedPrice')}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {visibleResults.map(result => (
+                        <tr
+                          key={`${result.itemId}-${result.worldId}-${result.hq ? 'hq' : 'nq'}`}
+                          className={`border-b border-purple-500/10 ${result.isUndercut ? 'bg-orange-900/10' : ''}`}
+                        >
+                          <td className="px-2 sm:px-3 py-2">
+                            <button
+                              onClick={() => handleOpenItem(result.itemId, result.itemName)}
+                              className="flex items-center gap-2 text-left hover:text-ffxiv-gold transition-colors"
+                            >
+                              <ItemImage itemId={result.itemId} alt={getItemName(result.itemId, result.itemName)} className="w-7 h-7 object-contain rounded" />
+                              <span className="text-xs sm:text-sm">{getItemName(result.itemId, result.itemName)}</span>
+                              {result.hq && (
+                                <span className="px-1 py-0.5 text-[10px] font-bold text-ffxiv-gold border border-ffxiv-gold/50 rounded bg-ffxiv-gold/10">HQ</span>
+                              )}
+                            </button>
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-xs text-gray-300">
+                            {result.worldName}
+                            {result.retainer && <span className="block text-gray-500">{result.retainer.name}{result.myListingCount > 1 ? t('retainers.moreListings', { count: result.myListingCount }) : ''}</span>}
+                          </td>
+                          {result.notListed ? (
+                            <td colSpan={4} className="px-2 sm:px-3 py-2 text-right text-xs text-gray-500">{t('retainers.notListed')}</td>
+                          ) : (
+                            <>
+                              <td className={`px-2 sm:px-3 py-2 text-right text-xs font-semibold ${result.isUndercut ? 'text-orange-300' : 'text-green-400'}`}>
+                                {result.myPrice.toLocaleString()}
+                              </td>
+                              <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">
+                                {result.competitor ? (
+                                  <>
+                                    {result.competitor.pricePerUnit.toLocaleString()}
+                                    <span className="block text-gray-500 truncate max-w-[120px] ml-auto" title={result.competitor.retainerName}>{result.competitor.retainerName}</span>
+                                  </>
+                                ) : '-'}
+                              </td>
+                              <td className="px-2 sm:px-3 py-2 text-right text-xs">
+                                {result.isUndercut ? (
+                                  <span className="text-orange-300">-{result.difference.toLocaleString()}</span>
+                                ) : (
+                                  <span className="text-green-400">{t('retainers.lowest')}</span>
+                                )}
+                              </td>
+                              <td className="px-2 sm:px-3 py-2 text-right text-xs">
+                                {result.isUndercut ? (
+                                  <button
+                                    onClick={() => handleCopyPrice(result.suggestedPrice)}
+                                    className="px-2 py-0.5 rounded bg-purple-800/60 border border-purple-500/40 text-white hover:bg-purple-700/60 transition-colors"
+                                    title={t('common.copyPrice')}
+                                  >
+                                    {result.suggestedPrice.toLocaleString()}
+                                  </button>
+                                ) : (
+                                  <span className="text-gray-500">-</span>
+                                )}
+                              </td>
+                            </>
+                          )}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Version Info */}
+        <div className="mt-6 pt-4 border-t border-slate-600/30">
+          <p className="text-xs text-slate-500 text-center">
+            {t('common.appVersion')} <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+          </p>
+        </div>
+      </div>
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
@@ -1,11 +1,16 @@
 import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useHistory } from '../hooks/useHistory';
 import { getSearchHistory, removeSearchFromHistory } from '../utils/searchHistory';
 import { removeItemFromHistory } from '../utils/itemHistory';
+import { serializeSearchState } from '../utils/savedSearches';
 import ItemImage from './ItemImage';
 import OCRButton from './OCRButton';
+import { useTranslation } from '../hooks/useTranslation';
 
 export default function SearchBar({ onSearch, isLoading, value, onChange, disabled, disabledTooltip, selectedDcName, onItemSelect, searchResults = [], marketableItems = null, showOCRButton = true }) {
+  const navigate = useNavigate();
+  const { t } = useTranslation();
   const [searchTerm, setSearchTerm] = useState(value || '');
   const [isComposing, setIsComposing] = useState(false);
   const [showDropdown, setShowDropdown] = useState(false);
@@ -476,6 +481,14 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
     }
   };
 
+  // Multi-line OCR: price the recognized items in the advanced search batch table.
+  // Names are already resolved to exact item names, so exact matching is used.
+  const handleOCRBatchRecognized = (itemNames) => {
+    if (!itemNames || itemNames.length === 0) return;
+    const params = serializeSearchState({ tab: 'batch', batchInput: itemNames.join('\n'), batchFuzzy: false });
+    navigate(`/advanced-search?${params.toString()}`);
+  };
+
   const isDisabled = disabled || isLoading;
 
   return (
@@ -496,7 +509,7 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
           onBlur={handleBlur}
           onCompositionStart={() => setIsComposing(true)}
           onCompositionEnd={() => setIsComposing(false)}
-          placeholder="多關鍵詞用空格分隔（例：豹 褲）"
+          placeholder={t('searchBar.placeholder')}
           className={`w-full h-full pl-9 mid:pl-10 ${
             showOCRButton
               ? searchTerm.trim() && !isLoading && isFocused 
@@ -518,7 +531,7 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
             {isLoading && (
               <div className="animate-spin rounded-full h-3.5 w-3.5 mid:h-4 mid:w-4 border-b-2 border-ffxiv-gold"></div>
             )}
-            <OCRButton onTextRecognized={handleOCRTextRecognized} disabled={isDisabled} />
+            <OCRButton onTextRecognized={handleOCRTextRecognized} onBatchRecognized={handleOCRBatchRecognized} disabled={isDisabled} />
           </div>
         )}
         {/* Prompt to press Enter when there's input and focused */}
@@ -540,7 +553,7 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
               showOCRButton ? 'right-20 mid:right-28' : 'right-12 mid:right-16'
             }`}
           >
-            <span className="hidden mid:inline search-prompt-flow" data-text="按 Enter 搜索">按 Enter 搜索</span>
+            <span className="hidden mid:inline search-prompt-flow" data-text={t('searchBar.pressEnter')}>{t('searchBar.pressEnter')}</span>
             <span className="mid:hidden search-prompt-flow" data-text="Enter">Enter</span>
             <svg className="w-3 h-3 mid:w-3.5 mid:h-3.5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
@@ -567,7 +580,7 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
               /* Keyword Suggestions Dropdown - Show when on search page with input */
               <>
                 <div className="px-3 py-2 border-b border-slate-700/50">
-                  <span className="text-xs text-gray-400 font-medium">關鍵字推薦</span>
+                  <span className="text-xs text-gray-400 font-medium">{t('searchBar.suggestions')}</span>
                 </div>
                 <div className="py-1">
                   {getKeywordSuggestions().map((keyword, index) => (
@@ -604,7 +617,7 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
                   ))}
                   {getKeywordSuggestions().length === 0 && (
                     <div className="py-4 text-center text-xs text-gray-500">
-                      無匹配關鍵字
+                      {t('searchBar.noSuggestions')}
                     </div>
                   )}
                 </div>
@@ -616,7 +629,7 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
                 {searchHistory.length > 0 && (
                   <>
                     <div className="px-3 py-2 border-b border-slate-700/50">
-                      <span className="text-xs text-gray-400 font-medium">搜索關鍵字</span>
+                      <span className="text-xs text-gray-400 font-medium">{t('searchBar.recentSearches')}</span>
                     </div>
                     <div className="py-1">
                       {searchHistory.slice(0, 3).map((keyword, index) => (
@@ -656,7 +669,7 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
                           <button
                             onClick={(e) => handleRemoveSearchKeyword(e, keyword)}
                             className="flex-shrink-0 p-1 text-gray-400 hover:text-red-400 transition-colors opacity-0 group-hover:opacity-100"
-                            title="刪除"
+                            title={t('common.delete')}
                           >
                             <svg 
                               xmlns="http://www.w3.org/2000/svg" 
@@ -684,12 +697,12 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
                   <>
                     {searchHistory.length > 0 && (
                       <div className="px-3 py-2 border-t border-b border-slate-700/50">
-                        <span className="text-xs text-gray-400 font-medium">歷史記錄</span>
+                        <span className="text-xs text-gray-400 font-medium">{t('searchBar.history')}</span>
                       </div>
                     )}
                     {searchHistory.length === 0 && (
                       <div className="px-3 py-2 border-b border-slate-700/50">
-                        <span className="text-xs text-gray-400 font-medium">歷史記錄</span>
+                        <span className="text-xs text-gray-400 font-medium">{t('searchBar.history')}</span>
                       </div>
                     )}
                     <div className="py-1">
@@ -737,7 +750,7 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
                           <button
                             onClick={(e) => handleRemoveHistoryItem(e, item.id)}
                             className="flex-shrink-0 p-1 text-gray-400 hover:text-red-400 transition-colors opacity-0 group-hover:opacity-100"
-                            title="刪除"
+                            title={t('common.delete')}
                           >
                             <svg 
                               xmlns="http://www.w3.org/2000/svg" 
@@ -763,7 +776,7 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
                 {/* Empty state */}
                 {historyItems.length === 0 && searchHistory.length === 0 && (
                   <div className="py-4 text-center text-xs text-gray-500">
-                    暫無記錄
+                    {t('searchBar.noHistory')}
                   </div>
                 )}
               </>
@@ -4,6 +4,7 @@ import { useState, useMemo, useCallback, useEffect, useRef } from 'react';
 import ItemTable from './ItemTable';
 import ServerSelector from './ServerSelector';
 import RunningLoader from './RunningLoader';
+import { useTranslation } from '../hooks/useTranslation';
 
 export default function SearchResultsTable({
   // Results data
@@ -32,7 +33,7 @@ export default function SearchResultsTable({
   // ItemTable props
   onSelect,
   selectedItem = null,
-  averagePriceHeader = '平均價格',
+  averagePriceHeader,
   getSimplifiedChineseName,
   addToast,
   
@@ -51,7 +52,7 @@ export default function SearchResultsTable({
   velocityLoadingProgress = null, // Optional: external loading progress { loaded, total }. If provided, use this instead of calculating internally
   
       // Header
-      title = '搜索結果',
+      title,
       showServerBadge = true,
       titleSuffix = null, // Optional suffix for title (e.g., "，顯示 X 個")
       
@@ -86,6 +87,8 @@ export default function SearchResultsTable({
       // When false, allow tradable and untradable to mix in sort order
       separateTradableInSort = true,
 }) {
+  const { t } = useTranslation();
+
   // Pagination state (use external if provided, otherwise use internal)
   const [internalCurrentPage, setInternalCurrentPage] = useState(1);
   const [internalItemsPerPage, setInternalItemsPerPage] = useState(defaultItemsPerPage);
@@ -183,7 +186,7 @@ export default function SearchResultsTable({
   if (items.length === 0 && isSearching) {
     return (
       <div className="mb-6 min-h-[500px]">
-        <RunningLoader message={searchingItemsCount > 0 ? `正在載入 ${searchingItemsCount} 個物品...` : '正在搜尋中...'} />
+        <RunningLoader message={searchingItemsCount > 0 ? t('results.loadingItems', { count: searchingItemsCount }) : undefined} />
       </div>
     );
   }
@@ -202,15 +205,19 @@ export default function SearchResultsTable({
       <div className="flex items-center gap-3 mb-4 flex-wrap">
         {/* Show marketable items count in header (not total items) */}
         <h2 className="text-xl sm:text-2xl font-bold text-ffxiv-gold">
-          {title} ({tradeableCount > 0 ? tradeableCount : items.length} 個物品{titleSuffix || ''})
+          {t('results.titleCount', {
+            title: title || t('search.resultsTitle'),
+            count: tradeableCount > 0 ? tradeableCount : items.length,
+            suffix: titleSuffix || '',
+          })}
         </h2>
         {showServerBadge && selectedWorld && selectedServerOption && (
           <div className="flex items-center gap-2 px-3 py-1.5 bg-gradient-to-r from-purple-900/40 via-pink-900/30 to-indigo-900/40 border border-purple-500/30 rounded-lg backdrop-blur-sm">
             <div className="w-1.5 h-1.5 rounded-full bg-ffxiv-gold animate-pulse"></div>
             <span className="text-xs sm:text-sm font-semibold text-ffxiv-gold">
               {selectedServerOption === selectedWorld.section
-                ? `${selectedWorld.section} (全服)`
-                : worlds[selectedServerOption] || `伺服器 ${selectedServerOption}`
+                ? t('common.dcScope', { name: selectedWorld.section })
+                : worlds[selectedServerOption] || t('common.worldFallback', { id: selectedServerOption })
               }
             </span>
           </div>
@@ -252,10 +259,10 @@ export default function SearchResultsTable({
             }`}
           >
             {untradeableCount === 0 
-              ? '無不可交易物品'
+              ? t('results.noUntradable')
               : isShowUntradeable 
-                ? `隱藏不可交易物品` 
-                : `顯示不可交易物品 (${untradeableCount}個)`
+                ? t('results.hideUntradable')
+                : t('results.showUntradable', { count: untradeableCount })
             }
           </button>
         )}
@@ -266,7 +273,7 @@ export default function SearchResultsTable({
             <div className="flex items-center gap-2 px-2 py-1 bg-slate-800/50 border border-purple-500/30 rounded-lg">
               <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-ffxiv-gold"></div>
               <span className="text-xs text-gray-300">
-                載入中{velocityLoadingProgressDisplay && velocityLoadingProgressDisplay.total > 0 ? ` ${velocityLoadingProgressDisplay.loaded}/${velocityLoadingProgressDisplay.total}` : ''}
+                {t('results.loadingShort')}{velocityLoadingProgressDisplay && velocityLoadingProgressDisplay.total > 0 ? ` ${velocityLoadingProgressDisplay.loaded}/${velocityLoadingProgressDisplay.total}` : ''}
               </span>
             </div>
           )}
@@ -287,6 +294,10 @@ export default function SearchResultsTable({
                                    !isServerSelectorDisabled &&
                                    hasVelocityData &&
                                    (velocityLoadingProgress.total === 0 || velocityLoadingProgress.loaded >= velocityLoadingProgress.total);
+
+        // Split the message around {count} so the number keeps its highlight
+        const hiddenText = untradeableCount > 0 ? t('results.hiddenUntradable', { count: untradeableCount }) : '';
+        const [countBefore, countAfter = ''] = t(isLoadingComplete ? 'results.loaded' : 'results.found', { hidden: hiddenText }).split('{count}');
         
         return (
           <div className={`mb-4 p-4 rounded-lg border-2 transition-all duration-300 ${
@@ -308,24 +319,23 @@ export default function SearchResultsTable({
                       ? 'text-red-400'
                       : 'text-yellow-400'
                 }`}>
-                  {isLoadingComplete ? '完成載入' : (tradeableCount > 200 ? '結果數量過多' : '結果數量較多')}
+                  {isLoadingComplete ? t('results.loadComplete') : (tradeableCount > 200 ? t('results.tooMany') : t('results.many'))}
                 </h3>
                 <p className="text-sm text-gray-300">
                   {isLoadingComplete ? (
                     <>
-                      已載入 <span className="font-bold text-green-400">{tradeableCount}</span> 個可交易物品{untradeableCount > 0 ? `（另有 ${untradeableCount} 個不可交易物品已隱藏）` : ''}。
+                      {countBefore}<span className="font-bold text-green-400">{tradeableCount}</span>{countAfter}
                       <br />
-                      <span className="text-green-300">建議下次使用更嚴格的關鍵字搜尋會比較快。</span>
+                      <span className="text-green-300">{t('results.stricterNextTime')}</span>
                     </>
                   ) : (
                     <>
-                      找到 <span className={`font-bold ${
+                      {countBefore}<span className={`font-bold ${
                         tradeableCount > 200
                           ? 'text-red-400'
                           : 'text-yellow-400'
-                      }`}>{tradeableCount}</span> 個可交易物品{untradeableCount > 0 ? `（另有 ${untradeableCount} 個不可交易物品已隱藏）` : ''}。
-                      數據載入需要一些時間，排序可能會較慢。
-                      建議使用更嚴格的關鍵詞進行搜索，或請耐心等待。
+                      }`}>{tradeableCount}</span>{countAfter}
+                      {t('results.slowWarning')}
                     </>
                   )}
                 </p>
@@ -339,7 +349,7 @@ export default function SearchResultsTable({
       {selectedWorld && (
         <div className="mb-4 flex items-center gap-3 flex-wrap">
           <label className="text-sm font-semibold text-ffxiv-gold whitespace-nowrap">
-            伺服器選擇:
+            {t('results.serverSelect')}
           </label>
           <ServerSelector
             datacenters={datacenters}
@@ -359,7 +369,7 @@ export default function SearchResultsTable({
       {itemsToPaginate.length > itemsPerPage && (
         <div className="mb-4 flex items-center justify-between flex-wrap gap-3 bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-3">
           <div className="flex items-center gap-3">
-            <label className="text-sm text-gray-300">每頁顯示:</label>
+            <label className="text-sm text-gray-300">{t('pagination.perPage')}</label>
             <select
               value={itemsPerPage}
               onChange={(e) => handleItemsPerPageChange(parseInt(e.target.value, 10))}
@@ -370,7 +380,7 @@ export default function SearchResultsTable({
               ))}
             </select>
             <span className="text-sm text-gray-400">
-              顯示 {startIndex + 1}-{Math.min(endIndex, itemsToPaginate.length)} / {itemsToPaginate.length}
+              {t('pagination.showing', { start: startIndex + 1, end: Math.min(endIndex, itemsToPaginate.length), total: itemsToPaginate.length })}
             </span>
           </div>
           <div className="flex items-center gap-2">
@@ -383,7 +393,7 @@ export default function SearchResultsTable({
                   : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
               }`}
             >
-              首頁
+              {t('pagination.first')}
             </button>
             <button
               onClick={() => handlePageChange(currentPage - 1)}
@@ -394,10 +404,10 @@ export default function SearchResultsTable({
                   : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
               }`}
             >
-              上一頁
+              {t('pagination.prev')}
             </button>
             <span className="px-3 py-1.5 text-sm text-gray-300">
-              第 {currentPage} / {totalPages} 頁
+              {t('pagination.pageOf', { page: currentPage, total: totalPages })}
             </span>
             <button
               onClick={() => handlePageChange(currentPage + 1)}
@@ -408,7 +418,7 @@ export default function SearchResultsTable({
                   : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
               }`}
             >
-              下一頁
+              {t('pagination.next')}
             </button>
             <button
               onClick={() => handlePageChange(totalPages)}
@@ -419,7 +429,7 @@ export default function SearchResultsTable({
                   : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
               }`}
             >
-              末頁
+              {t('pagination.last')}
             </button>
           </div>
         </div>
@@ -437,7 +447,7 @@ export default function SearchResultsTable({
         itemRecentPurchases={itemRecentPurchases}
         itemTradability={itemTradability}
         isLoadingVelocities={isLoadingVelocities}
-        averagePriceHeader={averagePriceHeader}
+        averagePriceHeader={averagePriceHeader || t('table.averagePrice')}
         getSimplifiedChineseName={getSimplifiedChineseName}
         addToast={addToast}
         currentPage={currentPage}
@@ -465,7 +475,7 @@ export default function SearchResultsTable({
                 : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
             }`}
           >
-            首頁
+            {t('pagination.first')}
           </button>
           <button
             onClick={() => handlePageChange(currentPage - 1)}
@@ -476,10 +486,10 @@ export default function SearchResultsTable({
                 : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
             }`}
           >
-            上一頁
+            {t('pagination.prev')}
           </button>
           <span className="px-3 py-1.5 text-sm text-gray-300">
-            第 {currentPage} / {totalPages} 頁
+            {t('pagination.pageOf', { page: currentPage, total: totalPages })}
           </span>
           <button
             onClick={() => handlePageChange(currentPage + 1)}
@@ -490,7 +500,7 @@ export default function SearchResultsTable({
                 : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
             }`}
           >
-            下一頁
+            {t('pagination.next')}
           </button>
           <button
             onClick={() => handlePageChange(totalPages)}
@@ -501,7 +511,7 @@ export default function SearchResultsTable({
                 : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
             }`}
           >
-            末頁
+            {t('pagination.last')}
           </button>
         </div>
       )}
@@ -0,0 +1,354 @@
+// Shopping List (購物清單) - Plan the cheapest purchases across the data center, grouped by world
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import TaxRatesModal from './TaxRatesModal';
+import ItemImage from './ItemImage';
+import { APP_VERSION } from '../constants/version';
+import { useTranslation } from '../hooks/useTranslation';
+import { useItemNames } from '../hooks/useItemNames';
+import {
+  getShoppingList,
+  subscribeToShoppingList,
+  updateShoppingListItem,
+  removeFromShoppingList,
+  clearShoppingList,
+} from '../utils/shoppingList';
+import { fetchDataCenterListings, buildPurchasePlan, formatPurchasePlan } from '../services/purchasePlanner';
+
+export default function ShoppingList({
+  addToast,
+  removeToast,
+  toasts,
+  worlds,
+  selectedWorld,
+  selectedServerOption,
+  onServerOptionChange,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  isServerDataLoaded,
+  onItemSelect,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const navigate = useNavigate();
+  const { t, language } = useTranslation();
+  const [entries, setEntries] = useState(() => getShoppingList());
+  const [listingsByItemId, setListingsByItemId] = useState(null);
+  const [plannedDcName, setPlannedDcName] = useState(null);
+  const [isPlanning, setIsPlanning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  const dcName = selectedWorld?.section || null;
+
+  // Entries keep the name they were added with; show the UI language's name when there is one
+  const localizedNames = useItemNames(entries.map(entry => entry.itemId), language);
+  const displayEntries = useMemo(() => entries.map(entry => ({
+    ...entry,
+    itemName: localizedNames[entry.itemId] || entry.itemName || t('common.itemFallback', { id: entry.itemId }),
+  })), [entries, localizedNames, t]);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToShoppingList(setEntries);
+    const handleStorageChange = (e) => {
+      if (e.key === 'ffxiv_market_shopping_list') {
+        setEntries(getShoppingList());
+      }
+    };
+    window.addEventListener('storage', handleStorageChange);
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', handleStorageChange);
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  const handlePlan = useCallback(async () => {
+    if (!dcName || entries.length === 0) return;
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+
+    setIsPlanning(true);
+    setProgress({ loaded: 0, total: entries.length });
+    try {
+      const results = await fetchDataCenterListings(dcName, entries.map(entry => entry.itemId), {
+        signal,
+        onProgress: (loaded, total) => setProgress({ loaded, total }),
+      });
+      if (signal.aborted) return;
+      setListingsByItemId(results);
+      setPlannedDcName(dcName);
+    } catch (error) {
+      console.error('Failed to plan shopping list:', error);
+      addToast(t('common.marketDataLoadFailed'), 'error');
+    } finally {
+      if (!signal.aborted) {
+        setIsPlanning(false);
+        setProgress(null);
+      }
+    }
+  }, [dcName, entries, addToast, t]);
+
+  // Re-plan from cached listings when quantities change; only refetch when asked
+  const plan = useMemo(() => {
+    if (!listingsByItemId) return null;
+    const plannable = displayEntries.filter(entry => listingsByItemId[entry.itemId] !== undefined);
+    return buildPurchasePlan(plannable, listingsByItemId);
+  }, [displayEntries, listingsByItemId]);
+
+  const hasUnfetchedEntries = !!listingsByItemId && entries.some(entry => listingsByItemId[entry.itemId] === undefined);
+
+  const handleCopy = useCallback(() => {
+    if (!plan) return;
+    navigator.clipboard.writeText(formatPurchasePlan(plan)).then(() => {
+      addToast(t('shoppingList.routeCopied'), 'success');
+    }).catch(() => {
+      addToast(t('common.copyFailed'), 'error');
+    });
+  }, [plan, addToast, t]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        activePage="shopping-list"
+        onTaxRatesClick={onTaxRatesClick}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+              {t('shoppingList.title')}
+            </h1>
+            <p className="text-gray-400 text-sm sm:text-base">
+              {t('shoppingList.description')}
+            </p>
+          </div>
+
+          {/* List */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
+            <div className="flex items-center justify-between flex-wrap gap-3 mb-4">
+              <h2 className="text-lg font-semibold text-ffxiv-gold">
+                {t('shoppingList.itemsCount', { count: entries.length })}
+              </h2>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={handlePlan}
+                  disabled={isPlanning || entries.length === 0 || !dcName}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-gradient-to-r from-ffxiv-gold to-yellow-500 text-slate-900 hover:shadow-[0_0_15px_rgba(212,175,55,0.5)] disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                >
+                  {isPlanning
+                    ? t('shoppingList.planning', { progress: progress ? `${progress.loaded}/${progress.total}` : '' })
+                    : t('shoppingList.planRoute', { dc: dcName || '' })}
+                </button>
+                <button
+                  onClick={() => {
+                    clearShoppingList();
+                    setListingsByItemId(null);
+                  }}
+                  disabled={entries.length === 0}
+                  className="px-3 py-2 rounded-lg text-sm bg-red-900/40 text-red-300 border border-red-500/40 hover:bg-red-800/50 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                >
+                  {t('common.clear')}
+                </button>
+              </div>
+            </div>
+
+            {entries.length === 0 ? (
+              <p className="text-center text-gray-400 py-8 text-sm">
+                {t('shoppingList.empty')}
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-purple-500/30">
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('table.item')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('table.quantity')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-center text-ffxiv-gold font-semibold text-xs">{t('shoppingList.hqOnly')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('shoppingList.estimatedCost')}</th>
+                      <th className="px-2 sm:px-3 py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {displayEntries.map(entry => {
+                      const planned = plan?.items.find(item => item.itemId === entry.itemId);
+                      return (
+                        <tr key={entry.itemId} className="border-b border-purple-500/10">
+                          <td className="px-2 sm:px-3 py-2">
+                            <div className="flex items-center gap-2">
+                              <ItemImage itemId={entry.itemId} alt={entry.itemName} className="w-7 h-7 object-contain rounded" />
+                              <span className="text-white text-xs sm:text-sm">{entry.itemName}</span>
+                            </div>
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-right">
+                            <input
+                              key={`qty-${entry.quantity}`}
+                              type="number"
+                              min="1"
+                              defaultValue={entry.quantity}
+                              onBlur={(e) => updateShoppingListItem(entry.itemId, { quantity: e.target.value })}
+                              className="w-20 px-2 py-1 bg-slate-900/50 border border-purple-500/30 rounded text-white text-xs text-right focus:outline-none focus:border-ffxiv-gold"
+                            />
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-center">
+                            <input
+                              type="checkbox"
+                              checked={entry.hqOnly}
+                              onChange={(e) => updateShoppingListItem(entry.itemId, { hqOnly: e.target.checked })}
+                              className="w-4 h-4 accent-ffxiv-gold"
+                            />
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs">
+                            {planned ? (
+                              <span className={planned.shortfall > 0 ? 'text-orange-300' : 'text-green-400'}>
+                                {planned.cost.toLocaleString()}
+                                {planned.shortfall > 0 && <span className="block text-[10px]">{t('shoppingList.shortfall', { count: planned.shortfall })}</span>}
+                              </span>
+                            ) : (
+                              <span className="text-gray-500">-</span>
+                            )}
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-right">
+                            <button
+                              onClick={() => removeFromShoppingList(entry.itemId)}
+                              className="text-xs text-gray-500 hover:text-red-400 transition-colors"
+                              title={t('common.remove')}
+                            >
+                              ✕
+                            </button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* Route */}
+          {plan && (
+            <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6">
+              <div className="flex items-center justify-between flex-wrap gap-3 mb-4">
+                <h2 className="text-lg font-semibold text-ffxiv-gold">
+                  {t('shoppingList.routeTitle', { dc: plannedDcName })}
+                  <span className="ml-2 text-sm text-gray-300 font-normal">{t('shoppingList.routeTotal', { total: plan.total.toLocaleString() })}</span>
+                </h2>
+                <button
+                  onClick={handleCopy}
+                  className="px-3 py-1.5 rounded-lg text-xs sm:text-sm bg-purple-800/60 text-white border border-purple-500/40 hover:bg-purple-700/60 transition-all"
+                >
+                  {t('common.copySummary')}
+                </button>
+              </div>
+
+              {hasUnfetchedEntries && (
+                <p className="mb-3 text-xs text-yellow-400">{t('shoppingList.newItemsHint')}</p>
+              )}
+              {plan.unfilled.length > 0 && (
+                <p className="mb-3 text-xs text-orange-300">
+                  {t('shoppingList.unfilled', { items: plan.unfilled.map(item => `${item.itemName} ×${item.shortfall}`).join(t('common.listSeparator')) })}
+                </p>
+              )}
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {plan.worlds.map((world, index) => (
+                  <div key={world.worldName} className="bg-slate-900/40 rounded-lg border border-slate-600/40 p-3">
+                    <div className="flex items-center justify-between mb-2">
+                      <span className="text-sm font-semibold text-white">
+                        <span className="text-ffxiv-gold mr-1">{index + 1}.</span>
+                        {world.worldName}
+                      </span>
+                      <span className="text-sm text-green-400 font-semibold">{world.total.toLocaleString()}</span>
+                    </div>
+                    <table className="w-full text-xs">
+                      <tbody>
+                        {world.purchases.map(({ itemId, itemName, listing }) => (
+                          <tr key={`${itemId}-${listing.listingId || listing.retainerName}-${listing.pricePerUnit}`} className="border-t border-slate-700/40">
+                            <td className="py-1 pr-2 text-gray-200">
+                              {itemName}
+                              {listing.hq && <span className="ml-1 px-1 bg-ffxiv-gold/20 text-ffxiv-gold rounded">HQ</span>}
+                            </td>
+                            <td className="py-1 pr-2 text-right text-gray-300">×{listing.quantity}</td>
+                            <td className="py-1 pr-2 text-right text-green-400">{listing.pricePerUnit.toLocaleString()}</td>
+                            <td className="py-1 text-gray-500 truncate max-w-[100px]" title={listing.retainerName}>{listing.retainerName}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Version Info */}
+        <div className="mt-6 pt-4 border-t border-slate-600/30">
+          <p className="text-xs text-slate-500 text-center">
+            {t('common.appVersion')} <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+          </p>
+        </div>
+      </div>
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 // Tax Rates Modal Component - Shows market tax rates with highlighted selected server
 import { useEffect } from 'react';
+import { useTranslation } from '../hooks/useTranslation';
 
 export default function TaxRatesModal({ 
   isOpen, 
@@ -11,6 +12,8 @@ export default function TaxRatesModal({
   selectedServerOption,
   onServerOptionChange
 }) {
+  const { t } = useTranslation();
+
   // Close on Escape key
   useEffect(() => {
     const handleEscape = (e) => {
@@ -35,12 +38,12 @@ export default function TaxRatesModal({
           className="relative bg-gradient-to-br from-slate-900 via-purple-900/30 to-slate-900 rounded-lg border-2 border-purple-500/50 shadow-2xl max-w-md w-full p-6"
           onClick={(e) => e.stopPropagation()}
         >
-          <p className="text-gray-400 text-center">請先選擇伺服器</p>
+          <p className="text-gray-400 text-center">{t('common.selectServer')}</p>
           <button
             onClick={onClose}
             className="mt-4 w-full px-4 py-2 bg-purple-800/50 hover:bg-purple-700/70 rounded-lg text-white transition-all"
           >
-            關閉
+            {t('common.close')}
           </button>
         </div>
       </div>
@@ -55,15 +58,15 @@ export default function TaxRatesModal({
   // selectedServerOption is a string (datacenter name) when DC is selected
   const isSpecificServerSelected = selectedServerOption && typeof selectedServerOption === 'number';
 
-  // City names mapping (Traditional Chinese)
+  // City names mapping (tax rate field -> localized name)
   const cityNames = {
-    LimsaLominsa: '利姆薩·羅敏薩',
-    Gridania: '格里達尼亞',
-    'Ul\'dah': '烏爾達哈',
-    Ishgard: '伊修加德',
-    Kugane: '黃金港',
-    Crystarium: '水晶都',
-    OldSharlayan: '舊薩雷安'
+    LimsaLominsa: t('taxRates.city.LimsaLominsa'),
+    Gridania: t('taxRates.city.Gridania'),
+    'Ul\'dah': t('taxRates.city.Uldah'),
+    Ishgard: t('taxRates.city.Ishgard'),
+    Kugane: t('taxRates.city.Kugane'),
+    Crystarium: t('taxRates.city.Crystarium'),
+    OldSharlayan: t('taxRates.city.OldSharlayan')
   };
 
   return (
@@ -97,13 +100,13 @@ export default function TaxRatesModal({
               />
             </svg>
             <h2 className="text-xl sm:text-2xl font-bold text-ffxiv-gold">
-              市場稅率 - {selectedWorld.section}
+              {t('taxRates.title', { name: selectedWorld.section })}
             </h2>
           </div>
           <button
             onClick={onClose}
             className="p-2 text-gray-400 hover:text-white hover:bg-purple-800/40 rounded-lg transition-all"
-            title="關閉"
+            title={t('common.close')}
           >
             <svg
               xmlns="http://www.w3.org/2000/svg"
@@ -128,12 +131,12 @@ export default function TaxRatesModal({
             <div className="flex items-center justify-center py-12">
               <div className="flex items-center gap-3">
                 <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-ffxiv-gold"></div>
-                <span className="text-lg text-gray-300">載入市場稅率...</span>
+                <span className="text-lg text-gray-300">{t('taxRates.loading')}</span>
               </div>
             </div>
           ) : !hasTaxRates ? (
             <div className="text-center py-12">
-              <p className="text-gray-400">暫無稅率資料</p>
+              <p className="text-gray-400">{t('taxRates.empty')}</p>
             </div>
           ) : (
             <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
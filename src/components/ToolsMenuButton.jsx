@@ -0,0 +1,123 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { MARKET_TOOLS } from '../constants/tools';
+import { useTranslation } from '../hooks/useTranslation';
+
+export default function ToolsMenuButton({ setSearchText, isItemInfoPage = false }) {
+  const navigate = useNavigate();
+  const { t } = useTranslation();
+  const location = useLocation();
+  const [isOpen, setIsOpen] = useState(false);
+  const dropdownRef = useRef(null);
+  const timeoutRef = useRef(null);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      if (timeoutRef.current) {
+        clearTimeout(timeoutRef.current);
+      }
+    };
+  }, [isOpen]);
+
+  const handleMouseEnter = () => {
+    if (timeoutRef.current) {
+      clearTimeout(timeoutRef.current);
+    }
+    setIsOpen(true);
+  };
+
+  const handleMouseLeave = () => {
+    // Delay closing to allow moving to dropdown
+    timeoutRef.current = setTimeout(() => {
+      setIsOpen(false);
+    }, 200);
+  };
+
+  const handleToolClick = (path) => {
+    setIsOpen(false);
+    if (location.pathname === path) {
+      return;
+    }
+    if (setSearchText) {
+      setSearchText('');
+    }
+    navigate(path);
+  };
+
+  // Highlight button when on any tool page
+  const isOnToolPage = MARKET_TOOLS.some(tool => tool.path === location.pathname);
+  const pageClass = isItemInfoPage ? ' item-info-page' : '';
+
+  return (
+    <div
+      ref={dropdownRef}
+      className="relative"
+      onMouseEnter={handleMouseEnter}
+      onMouseLeave={handleMouseLeave}
+    >
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        onMouseDown={(e) => e.stopPropagation()}
+        className={`topbar-nav-button${pageClass} ${isOnToolPage ? 'active' : ''}`}
+        title={t('nav.tools')}
+      >
+        <svg
+          xmlns="http://www.w3.org/2000/svg"
+          className={`topbar-nav-icon${pageClass}`}
+          fill="none"
+          viewBox="0 0 24 24"
+          stroke="currentColor"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M4 6h16M4 10h16M4 14h16M4 18h16"
+          />
+        </svg>
+        <span className={`topbar-nav-text${pageClass}`}>{t('nav.tools')}</span>
+        {!isItemInfoPage && <span className="topbar-nav-text narrow-only">{t('nav.tools')}</span>}
+      </button>
+
+      {/* Dropdown Menu */}
+      {isOpen && (
+        <div
+          className="absolute top-full right-0 mt-2 w-64 bg-slate-900/95 backdrop-blur-sm border border-purple-500/30 rounded-lg shadow-xl z-50 max-h-96 overflow-y-auto py-1"
+          onMouseEnter={() => {
+            if (timeoutRef.current) {
+              clearTimeout(timeoutRef.current);
+            }
+          }}
+          onMouseLeave={handleMouseLeave}
+        >
+          {MARKET_TOOLS.map(tool => (
+            <button
+              key={tool.path}
+              onClick={() => handleToolClick(tool.path)}
+              className={`w-full px-3 py-2 text-left hover:bg-purple-900/30 transition-colors ${
+                location.pathname === tool.path ? 'bg-purple-900/40' : ''
+              }`}
+            >
+              <p className={`text-sm font-medium ${location.pathname === tool.path ? 'text-ffxiv-gold' : 'text-white'}`}>
+                {t(`tools.${tool.id}.label`, { defaultValue: tool.label })}
+              </p>
+              <p className="text-xs text-gray-400">{t(`tools.${tool.id}.description`, { defaultValue: tool.description })}</p>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
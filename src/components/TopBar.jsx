@@ -2,6 +2,9 @@ import { useState } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import SearchBar from './SearchBar';
 import HistoryButton from './HistoryButton';
+import ToolsMenuButton from './ToolsMenuButton';
+import LanguageMenuButton from './LanguageMenuButton';
+import { useTranslation } from '../hooks/useTranslation';
 import { getAssetPath } from '../utils/assetPath.js';
 import '../styles/TopBar.css';
 
@@ -24,7 +27,7 @@ export default function TopBar({
   
   // Optional: custom navigation buttons
   showNavigationButtons = true,
-  activePage = null, // 'crafting-inspiration', 'msq-price-checker', 'advanced-search', 'history', or null
+  activePage = null, // 'crafting-inspiration', 'msq-price-checker', 'advanced-search', 'history', 'watchlist', 'shopping-list', or null
   
   // Optional: custom handlers
   onMSQPriceCheckerClick,
@@ -34,6 +37,7 @@ export default function TopBar({
 }) {
   const navigate = useNavigate();
   const location = useLocation();
+  const { t } = useTranslation();
   
   // Track if wiki button is currently processing (to prevent duplicate clicks)
   const [isWikiProcessing, setIsWikiProcessing] = useState(false);
@@ -44,6 +48,8 @@ export default function TopBar({
     if (location.pathname === '/msq-price-checker') return 'msq-price-checker';
     if (location.pathname === '/advanced-search') return 'advanced-search';
     if (location.pathname === '/history') return 'history';
+    if (location.pathname === '/watchlist') return 'watchlist';
+    if (location.pathname === '/shopping-list') return 'shopping-list';
     return null;
   })();
   
@@ -91,6 +97,30 @@ export default function TopBar({
     }
   };
   
+  const handleWatchlistClick = () => {
+    // If already on the watchlist page, do nothing
+    if (location.pathname === '/watchlist') {
+      return;
+    }
+
+    if (setSearchText) {
+      setSearchText('');
+    }
+    navigate('/watchlist');
+  };
+
+  const handleShoppingListClick = () => {
+    // If already on the shopping list page, do nothing
+    if (location.pathname === '/shopping-list') {
+      return;
+    }
+
+    if (setSearchText) {
+      setSearchText('');
+    }
+    navigate('/shopping-list');
+  };
+  
   const isItemInfoPage = !!selectedItem;
   const logoClass = isServerDataLoaded ? 'topbar-logo-loaded' : 'topbar-logo-loading';
 
@@ -130,7 +160,7 @@ export default function TopBar({
             } catch (error) {
               console.error('Failed to open Wiki link:', error);
               if (addToast) {
-                addToast('無法打開Wiki連結', 'error');
+                addToast(t('toast.wikiOpenFailed'), 'error');
               }
             } finally {
               // Remove processing state after a short delay to allow window.open to complete
@@ -177,11 +207,11 @@ export default function TopBar({
       <button
         onClick={() => navigate('/')}
         className="topbar-desktop-logo"
-        title="返回主頁"
+        title={t('nav.home')}
       >
         <img
           src={`${getAssetPath('logo.png')}?v=2`}
-          alt="返回主頁"
+          alt={t('nav.home')}
           className={logoClass}
         />
       </button>
@@ -197,11 +227,11 @@ export default function TopBar({
               <button
                 onClick={() => navigate('/')}
                 className="topbar-mobile-logo"
-                title="返回主頁"
+                title={t('nav.home')}
               >
                 <img
                   src={`${getAssetPath('logo.png')}?v=2`}
-                  alt="返回主頁"
+                  alt={t('nav.home')}
                   className={logoClass}
                 />
               </button>
@@ -214,7 +244,7 @@ export default function TopBar({
                   value={searchText}
                   onChange={setSearchText}
                   disabled={!isServerDataLoaded}
-                  disabledTooltip={!isServerDataLoaded ? '請等待伺服器資料載入完成' : undefined}
+                  disabledTooltip={!isServerDataLoaded ? t('search.waitForServerData') : undefined}
                   selectedDcName={selectedDcName}
                   onItemSelect={onItemSelect}
                   searchResults={searchResults}
@@ -230,7 +260,7 @@ export default function TopBar({
                     <button
                       onClick={handleAdvancedSearchClick}
                       className={`topbar-nav-button item-info-page ${currentActivePage === 'advanced-search' ? 'active' : ''}`}
-                      title="進階搜尋"
+                      title={t('nav.advancedSearch')}
                     >
                       <svg
                         xmlns="http://www.w3.org/2000/svg"
@@ -246,7 +276,7 @@ export default function TopBar({
                           d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0zM10 7v3m0 0v3m0-3h3m-3 0H7"
                         />
                       </svg>
-                      <span className="topbar-nav-text item-info-page">進階搜尋</span>
+                      <span className="topbar-nav-text item-info-page">{t('nav.advancedSearch')}</span>
                     </button>
                   </div>
 
@@ -255,6 +285,66 @@ export default function TopBar({
                     <HistoryButton onItemSelect={onItemSelect} setSearchText={setSearchText} isItemInfoPage={true} />
                   </div>
 
+                  {/* Watchlist Button */}
+                  <div className="topbar-nav-button-container item-info-page-desktop">
+                    <button
+                      onClick={handleWatchlistClick}
+                      className={`topbar-nav-button item-info-page ${currentActivePage === 'watchlist' ? 'active' : ''}`}
+                      title={t('nav.watchlist')}
+                    >
+                      <svg
+                        xmlns="http://www.w3.org/2000/svg"
+                        className="topbar-nav-icon item-info-page"
+                        fill="none"
+                        viewBox="0 0 24 24"
+                        stroke="currentColor"
+                      >
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth={2}
+                          d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"
+                        />
+                      </svg>
+                      <span className="topbar-nav-text item-info-page">{t('nav.watchlist')}</span>
+                    </button>
+                  </div>
+
+                  {/* Shopping List Button */}
+                  <div className="topbar-nav-button-container item-info-page-desktop">
+                    <button
+                      onClick={handleShoppingListClick}
+                      className={`topbar-nav-button item-info-page ${currentActivePage === 'shopping-list' ? 'active' : ''}`}
+                      title={t('nav.shoppingList')}
+                    >
+                      <svg
+                        xmlns="http://www.w3.org/2000/svg"
+                        className="topbar-nav-icon item-info-page"
+                        fill="none"
+                        viewBox="0 0 24 24"
+                        stroke="currentColor"
+                      >
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth={2}
+                          d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z"
+                        />
+                      </svg>
+                      <span className="topbar-nav-text item-info-page">{t('nav.shoppingList')}</span>
+                    </button>
+                  </div>
+
+                  {/* Tools Menu Button */}
+                  <div className="topbar-nav-button-container item-info-page-desktop">
+                    <ToolsMenuButton setSearchText={setSearchText} isItemInfoPage={true} />
+                  </div>
+
+                  {/* Language Menu Button */}
+                  <div className="topbar-nav-button-container item-info-page-desktop">
+                    <LanguageMenuButton isItemInfoPage={true} />
+                  </div>
+
                   {/* Visual Separator */}
                   <div className="topbar-nav-separator item-info-page item-info-page-desktop"></div>
 
@@ -263,7 +353,7 @@ export default function TopBar({
                     <button
                       onClick={handleCraftingInspirationClick}
                       className={`topbar-nav-button item-info-page ${currentActivePage === 'crafting-inspiration' ? 'active' : ''}`}
-                      title="製造職找價"
+                      title={t('nav.craftingInspirationTitle')}
                     >
                       <svg
                         xmlns="http://www.w3.org/2000/svg"
@@ -285,7 +375,7 @@ export default function TopBar({
                           d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"
                         />
                       </svg>
-                      <span className="topbar-nav-text item-info-page">製造靈感</span>
+                      <span className="topbar-nav-text item-info-page">{t('nav.craftingInspiration')}</span>
                     </button>
                   </div>
 
@@ -294,7 +384,7 @@ export default function TopBar({
                     <button
                       onClick={handleMSQPriceCheckerClick}
                       className={`topbar-nav-button item-info-page ${currentActivePage === 'msq-price-checker' ? 'active' : ''}`}
-                      title="主線裝備查價"
+                      title={t('nav.msqTitle')}
                     >
                       <svg
                         xmlns="http://www.w3.org/2000/svg"
@@ -310,7 +400,7 @@ export default function TopBar({
                           d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"
                         />
                       </svg>
-                      <span className="topbar-nav-text item-info-page">主線裝備</span>
+                      <span className="topbar-nav-text item-info-page">{t('nav.msq')}</span>
                     </button>
                   </div>
 
@@ -319,7 +409,7 @@ export default function TopBar({
                     <button
                       onClick={onTaxRatesClick}
                       className="topbar-nav-button item-info-page"
-                      title="查稅"
+                      title={t('nav.taxRates')}
                     >
                       <svg
                         xmlns="http://www.w3.org/2000/svg"
@@ -335,7 +425,7 @@ export default function TopBar({
                           d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
                         />
                       </svg>
-                      <span className="topbar-nav-text item-info-page">查稅</span>
+                      <span className="topbar-nav-text item-info-page">{t('nav.taxRates')}</span>
                     </button>
                   </div>
                 </>
@@ -356,7 +446,7 @@ export default function TopBar({
                   <button
                     onClick={handleAdvancedSearchClick}
                     className={`topbar-nav-button item-info-page ${currentActivePage === 'advanced-search' ? 'active' : ''}`}
-                    title="進階搜尋"
+                    title={t('nav.advancedSearch')}
                   >
                     <svg
                       xmlns="http://www.w3.org/2000/svg"
@@ -372,7 +462,7 @@ export default function TopBar({
                         d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0zM10 7v3m0 0v3m0-3h3m-3 0H7"
                       />
                     </svg>
-                    <span className="topbar-nav-text item-info-page">進階搜尋</span>
+                    <span className="topbar-nav-text item-info-page">{t('nav.advancedSearch')}</span>
                   </button>
                 </div>
 
@@ -381,6 +471,66 @@ export default function TopBar({
                   <HistoryButton onItemSelect={onItemSelect} setSearchText={setSearchText} isItemInfoPage={true} />
                 </div>
 
+                {/* Watchlist Button */}
+                <div className="topbar-nav-button-container">
+                  <button
+                    onClick={handleWatchlistClick}
+                    className={`topbar-nav-button item-info-page ${currentActivePage === 'watchlist' ? 'active' : ''}`}
+                    title={t('nav.watchlist')}
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="topbar-nav-icon item-info-page"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"
+                      />
+                    </svg>
+                    <span className="topbar-nav-text item-info-page">{t('nav.watchlist')}</span>
+                  </button>
+                </div>
+
+                {/* Shopping List Button */}
+                <div className="topbar-nav-button-container">
+                  <button
+                    onClick={handleShoppingListClick}
+                    className={`topbar-nav-button item-info-page ${currentActivePage === 'shopping-list' ? 'active' : ''}`}
+                    title={t('nav.shoppingList')}
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="topbar-nav-icon item-info-page"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z"
+                      />
+                    </svg>
+                    <span className="topbar-nav-text item-info-page">{t('nav.shoppingList')}</span>
+                  </button>
+                </div>
+
+                {/* Tools Menu Button */}
+                <div className="topbar-nav-button-container">
+                  <ToolsMenuButton setSearchText={setSearchText} isItemInfoPage={true} />
+                </div>
+
+                {/* Language Menu Button */}
+                <div className="topbar-nav-button-container">
+                  <LanguageMenuButton isItemInfoPage={true} />
+                </div>
+
                 {/* Visual Separator */}
                 <div className="topbar-nav-separator item-info-page"></div>
 
@@ -389,7 +539,7 @@ export default function TopBar({
                   <button
                     onClick={handleCraftingInspirationClick}
                     className={`topbar-nav-button item-info-page ${currentActivePage === 'crafting-inspiration' ? 'active' : ''}`}
-                    title="製造職找價"
+                    title={t('nav.craftingInspirationTitle')}
                   >
                     <svg
                       xmlns="http://www.w3.org/2000/svg"
@@ -411,7 +561,7 @@ export default function TopBar({
                         d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"
                       />
                     </svg>
-                    <span className="topbar-nav-text item-info-page">製造靈感</span>
+                    <span className="topbar-nav-text item-info-page">{t('nav.craftingInspiration')}</span>
                   </button>
                 </div>
 
@@ -420,7 +570,7 @@ export default function TopBar({
                   <button
                     onClick={handleMSQPriceCheckerClick}
                     className={`topbar-nav-button item-info-page ${currentActivePage === 'msq-price-checker' ? 'active' : ''}`}
-                    title="主線裝備查價"
+                    title={t('nav.msqTitle')}
                   >
                     <svg
                       xmlns="http://www.w3.org/2000/svg"
@@ -436,7 +586,7 @@ export default function TopBar({
                         d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"
                       />
                     </svg>
-                    <span className="topbar-nav-text item-info-page">主線裝備</span>
+                    <span className="topbar-nav-text item-info-page">{t('nav.msq')}</span>
                   </button>
                 </div>
 
@@ -445,7 +595,7 @@ export default function TopBar({
                   <button
                     onClick={onTaxRatesClick}
                     className="topbar-nav-button item-info-page"
-                    title="查稅"
+                    title={t('nav.taxRates')}
                   >
                     <svg
                       xmlns="http://www.w3.org/2000/svg"
@@ -461,7 +611,7 @@ export default function TopBar({
                         d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
                       />
                     </svg>
-                    <span className="topbar-nav-text item-info-page">查稅</span>
+                    <span className="topbar-nav-text item-info-page">{t('nav.taxRates')}</span>
                   </button>
                 </div>
               </div>
@@ -475,11 +625,11 @@ export default function TopBar({
             <button
               onClick={() => navigate('/')}
               className="topbar-mobile-logo"
-              title="返回主頁"
+              title={t('nav.home')}
             >
               <img
                 src={`${getAssetPath('logo.png')}?v=2`}
-                alt="返回主頁"
+                alt={t('nav.home')}
                 className={logoClass}
               />
             </button>
@@ -492,7 +642,7 @@ export default function TopBar({
                 value={searchText}
                 onChange={setSearchText}
                 disabled={!isServerDataLoaded}
-                disabledTooltip={!isServerDataLoaded ? '請等待伺服器資料載入完成' : undefined}
+                disabledTooltip={!isServerDataLoaded ? t('search.waitForServerData') : undefined}
                 selectedDcName={selectedDcName}
                 onItemSelect={onItemSelect}
                 searchResults={searchResults}
@@ -508,7 +658,7 @@ export default function TopBar({
                   <button
                     onClick={handleAdvancedSearchClick}
                     className={`topbar-nav-button ${currentActivePage === 'advanced-search' ? 'active' : ''}`}
-                    title="進階搜尋"
+                    title={t('nav.advancedSearch')}
                   >
                     <svg
                       xmlns="http://www.w3.org/2000/svg"
@@ -524,8 +674,8 @@ export default function TopBar({
                         d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0zM10 7v3m0 0v3m0-3h3m-3 0H7"
                       />
                     </svg>
-                    <span className="topbar-nav-text">進階搜尋</span>
-                    <span className="topbar-nav-text narrow-only">進階</span>
+                    <span className="topbar-nav-text">{t('nav.advancedSearch')}</span>
+                    <span className="topbar-nav-text narrow-only">{t('nav.advancedSearchShort')}</span>
                   </button>
                 </div>
 
@@ -534,6 +684,68 @@ export default function TopBar({
                   <HistoryButton onItemSelect={onItemSelect} setSearchText={setSearchText} isItemInfoPage={false} />
                 </div>
 
+                {/* Watchlist Button */}
+                <div className="topbar-nav-button-container">
+                  <button
+                    onClick={handleWatchlistClick}
+                    className={`topbar-nav-button ${currentActivePage === 'watchlist' ? 'active' : ''}`}
+                    title={t('nav.watchlist')}
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="topbar-nav-icon"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"
+                      />
+                    </svg>
+                    <span className="topbar-nav-text">{t('nav.watchlist')}</span>
+                    <span className="topbar-nav-text narrow-only">{t('nav.watchlistShort')}</span>
+                  </button>
+                </div>
+
+                {/* Shopping List Button */}
+                <div className="topbar-nav-button-container">
+                  <button
+                    onClick={handleShoppingListClick}
+                    className={`topbar-nav-button ${currentActivePage === 'shopping-list' ? 'active' : ''}`}
+                    title={t('nav.shoppingList')}
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="topbar-nav-icon"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z"
+                      />
+                    </svg>
+                    <span className="topbar-nav-text">{t('nav.shoppingList')}</span>
+                    <span className="topbar-nav-text narrow-only">{t('nav.shoppingListShort')}</span>
+                  </button>
+                </div>
+
+                {/* Tools Menu Button */}
+                <div className="topbar-nav-button-container">
+                  <ToolsMenuButton setSearchText={setSearchText} isItemInfoPage={false} />
+                </div>
+
+                {/* Language Menu Button */}
+                <div className="topbar-nav-button-container">
+                  <LanguageMenuButton isItemInfoPage={false} />
+                </div>
+
                 {/* Visual Separator */}
                 <div className="topbar-nav-separator"></div>
 
@@ -542,7 +754,7 @@ export default function TopBar({
                   <button
                     onClick={handleCraftingInspirationClick}
                     className={`topbar-nav-button ${currentActivePage === 'crafting-inspiration' ? 'active' : ''}`}
-                    title="製造職找價"
+                    title={t('nav.craftingInspirationTitle')}
                   >
                     <svg
                       xmlns="http://www.w3.org/2000/svg"
@@ -564,8 +776,8 @@ export default function TopBar({
                         d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"
                       />
                     </svg>
-                    <span className="topbar-nav-text">製造靈感</span>
-                    <span className="topbar-nav-text narrow-only">感</span>
+                    <span className="topbar-nav-text">{t('nav.craftingInspiration')}</span>
+                    <span className="topbar-nav-text narrow-only">{t('nav.craftingInspirationShort')}</span>
                   </button>
                 </div>
 
@@ -574,7 +786,7 @@ export default function TopBar({
                   <button
                     onClick={handleMSQPriceCheckerClick}
                     className={`topbar-nav-button ${currentActivePage === 'msq-price-checker' ? 'active' : ''}`}
-                    title="主線裝備查價"
+                    title={t('nav.msqTitle')}
                   >
                     <svg
                       xmlns="http://www.w3.org/2000/svg"
@@ -590,8 +802,8 @@ export default function TopBar({
                         d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"
                       />
                     </svg>
-                    <span className="topbar-nav-text">主線裝備</span>
-                    <span className="topbar-nav-text narrow-only">裝備</span>
+                    <span className="topbar-nav-text">{t('nav.msq')}</span>
+                    <span className="topbar-nav-text narrow-only">{t('nav.msqShort')}</span>
                   </button>
                 </div>
 
@@ -600,7 +812,7 @@ export default function TopBar({
                   <button
                     onClick={onTaxRatesClick}
                     className="topbar-nav-button"
-                    title="查稅"
+                    title={t('nav.taxRates')}
                   >
                     <svg
                       xmlns="http://www.w3.org/2000/svg"
@@ -616,7 +828,7 @@ export default function TopBar({
                         d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
                       />
                     </svg>
-                    <span className="topbar-nav-text">查稅</span>
+                    <span className="topbar-nav-text">{t('nav.taxRates')}</span>
                   </button>
                 </div>
               </>
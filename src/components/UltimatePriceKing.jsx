@@ -14,8 +14,10 @@ import { getMarketableItems } from '../services/universalis';
 import { getItemById, getSimplifiedChineseName } from '../services/itemDatabase';
 import { getInternalUrl } from '../utils/internalUrl.js';
 import { generateItemUrl } from '../utils/urlSlug';
-import axios from 'axios';
+import { fetchAggregatedMarketData } from '../services/marketDataClient';
 import twJobAbbrData from '../../teamcraft_git/libs/data/src/lib/json/tw/tw-job-abbr.json';
+import { getJobName } from '../utils/gameDataNames';
+import { useTranslation } from '../hooks/useTranslation';
 
 export default function CraftingJobPriceChecker({ 
   addToast, 
@@ -41,6 +43,7 @@ export default function CraftingJobPriceChecker({
   isLoadingTaxRates
 }) {
   const navigate = useNavigate();
+  const { t, language } = useTranslation();
   const [ilvlMin, setIlvlMin] = useState(1);
   const [ilvlMax, setIlvlMax] = useState(11);
   const [ilvlMinInput, setIlvlMinInput] = useState('1');
@@ -205,19 +208,19 @@ export default function CraftingJobPriceChecker({
         if (prev.length >= 4) {
           // Show toast after state update completes to avoid render warnings
           Promise.resolve().then(() => {
-            addToast('最多只能選擇4個職業', 'warning');
+            addToast(t('craftingInspiration.maxJobs'), 'warning');
           });
           return prev; // Don't add the job
         }
         return [...prev, jobIdNum];
       }
     });
-  }, [addToast]);
+  }, [addToast, t]);
 
   // Helper function to fetch market data for items with progressive batching
   const fetchMarketData = useCallback(async (tradeableItemIds, limitItems = false) => {
     if (!selectedWorld || !selectedServerOption) {
-      addToast('請選擇伺服器', 'warning');
+      addToast(t('common.selectServer'), 'warning');
       return null;
     }
 
@@ -227,7 +230,7 @@ export default function CraftingJobPriceChecker({
       : tradeableItemIds;
 
     if (limitItems && tradeableItemIds.length > MAX_ITEMS_LIMIT) {
-      addToast(`已限制為前 ${itemsToProcess.length} 個物品，正在獲取市場數據...`, 'warning');
+      addToast(t('craftingInspiration.limitedFetching', { count: itemsToProcess.length }), 'warning');
     }
 
     setIsLoadingVelocities(true);
@@ -254,14 +257,8 @@ export default function CraftingJobPriceChecker({
         return;
       }
       
-      const itemIdsString = batch.join(',');
-      
       try {
-        const response = await axios.get(
-          `https://universalis.app/api/v2/aggregated/${encodeURIComponent(queryTarget)}/${itemIdsString}`
-        );
-        
-        const data = response.data;
+        const data = await fetchAggregatedMarketData(queryTarget, batch);
         
         // Process batch results
         const batchVelocities = {};
@@ -454,14 +451,14 @@ export default function CraftingJobPriceChecker({
       recentPurchases: {},
       tradability: {}
     };
-  }, [selectedWorld, selectedServerOption, addToast]);
+  }, [selectedWorld, selectedServerOption, addToast, t]);
 
   // Perform search
   const handleSearch = useCallback(async () => {
     if (isRecipeSearching) return;
 
     if (!isRangeValid) {
-      addToast(`範圍過大！最多只能搜索 ${getMaxRange(selectedJobs.length)} 個等級範圍`, 'error');
+      addToast(t('craftingInspiration.rangeTooLargeToast', { max: getMaxRange(selectedJobs.length) }), 'error');
       return;
     }
 
@@ -495,19 +492,19 @@ export default function CraftingJobPriceChecker({
       const itemIds = [...new Set(filteredRecipes.map(recipe => recipe.result))];
       
       if (itemIds.length === 0) {
-        addToast('未找到符合條件的配方', 'warning');
+        addToast(t('craftingInspiration.noRecipes'), 'warning');
         setIsRecipeSearching(false);
         return;
       }
 
-      addToast(`找到 ${itemIds.length} 個物品，正在過濾可交易物品...`, 'info');
+      addToast(t('craftingInspiration.filteringTradable', { count: itemIds.length }), 'info');
 
       // Filter out non-tradeable items using marketable API
       const marketableSet = await getMarketableItems();
       let tradeableItemIds = itemIds.filter(id => marketableSet.has(id));
 
       if (tradeableItemIds.length === 0) {
-        addToast('沒有可交易的物品', 'warning');
+        addToast(t('craftingInspiration.noTradable'), 'warning');
         setIsRecipeSearching(false);
         return;
       }
@@ -540,7 +537,7 @@ export default function CraftingJobPriceChecker({
       }
 
       setTooManyItemsWarning(null);
-      addToast(`找到 ${tradeableItemIds.length} 個可交易物品，正在獲取市場數據...`, 'info');
+      addToast(t('craftingInspiration.foundFetching', { count: tradeableItemIds.length, untradable: '' }), 'info');
 
       // Fetch item details for display (optimized - batch query)
       const { getTwItemsByIds } = await import('../services/supabaseData');
@@ -564,7 +561,7 @@ export default function CraftingJobPriceChecker({
       }).filter(item => item !== null);
 
       if (items.length === 0) {
-        addToast('無法獲取物品信息', 'error');
+        addToast(t('common.itemInfoFailed'), 'error');
         setIsRecipeSearching(false);
         return;
       }
@@ -580,15 +577,15 @@ export default function CraftingJobPriceChecker({
       }
 
       // State is already updated progressively by fetchMarketData
-      addToast(`搜索完成！找到 ${items.length} 個可交易物品`, 'success');
+      addToast(t('craftingInspiration.searchDone', { count: items.length, untradable: '' }), 'success');
     } catch (error) {
       console.error('Search error:', error);
-      addToast('搜索失敗，請稍後再試', 'error');
+      addToast(t('common.searchFailedRetry'), 'error');
       setIsLoadingVelocities(false);
     } finally {
       setIsRecipeSearching(false);
     }
-  }, [ilvlMin, ilvlMax, selectedJobs, isRecipeSearching, isRangeValid, getMaxRange, addToast, fetchMarketData]);
+  }, [ilvlMin, ilvlMax, selectedJobs, isRecipeSearching, isRangeValid, getMaxRange, addToast, fetchMarketData, t]);
 
   // Job icons mapping with XIVAPI URLs
   const jobIconUrls = {
@@ -613,7 +610,7 @@ export default function CraftingJobPriceChecker({
       const iconName = jobIconUrls[jobId];
       return {
         id: jobId,
-        name: data.tw,
+        name: getJobName(jobId, language) || data.tw,
         iconUrl: iconName ? `https://xivapi.com/cj/companion/${iconName}.png` : null
       };
     });
@@ -623,32 +620,32 @@ export default function CraftingJobPriceChecker({
   // Get disabled reason and button text
   const getButtonState = useMemo(() => {
     if (isRecipeSearching) {
-      return { disabled: true, text: '搜索中...', tooltip: null };
+      return { disabled: true, text: t('common.searching'), tooltip: null };
     }
     if (tooManyItemsWarning !== null) {
       return { 
         disabled: true, 
-        text: `搜索（找到 ${tooManyItemsWarning.total} 個物品，超過上限 ${tooManyItemsWarning.limit}）`, 
-        tooltip: `找到 ${tooManyItemsWarning.total} 個可交易物品，超過建議上限 ${tooManyItemsWarning.limit} 個。請縮小等級範圍或選擇更少的職業。`
+        text: t('craftingInspiration.buttonTooMany', tooManyItemsWarning), 
+        tooltip: t('craftingInspiration.tooltipTooMany', tooManyItemsWarning)
       };
     }
     if (!isRangeValid) {
       const currentRange = ilvlMax - ilvlMin;
       return { 
         disabled: true, 
-        text: `搜索（範圍過大：${currentRange} 個等級，最多 ${maxRange}）`, 
-        tooltip: `當前範圍為 ${currentRange} 個等級，超過最大允許範圍 ${maxRange} 個等級。建議調整為 ${suggestedRange.suggestedMin}-${suggestedRange.suggestedMax}。`
+        text: t('craftingInspiration.buttonRangeTooLarge', { range: currentRange, max: maxRange }), 
+        tooltip: t('craftingInspiration.tooltipRangeTooLarge', { range: currentRange, max: maxRange, ...suggestedRange })
       };
     }
     if (selectedJobs.length === 0) {
       return { 
         disabled: true, 
-        text: '搜索（請先選擇至少一個職業）', 
-        tooltip: '請至少選擇一個製造職業才能進行搜索。'
+        text: t('craftingInspiration.buttonSelectJob'), 
+        tooltip: t('craftingInspiration.tooltipSelectJob')
       };
     }
-    return { disabled: false, text: '搜索', tooltip: null };
-  }, [isRecipeSearching, tooManyItemsWarning, isRangeValid, ilvlMin, ilvlMax, maxRange, suggestedRange, selectedJobs.length]);
+    return { disabled: false, text: t('common.search'), tooltip: null };
+  }, [isRecipeSearching, tooManyItemsWarning, isRangeValid, ilvlMin, ilvlMax, maxRange, suggestedRange, selectedJobs.length, t]);
 
   // Manage loading indicator (same logic as AdvancedSearch)
   useEffect(() => {
@@ -744,10 +741,10 @@ export default function CraftingJobPriceChecker({
           {/* Header */}
           <div className="mb-6">
             <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
-              製造職找價
+              {t('nav.craftingInspirationTitle')}
             </h1>
             <p className="text-gray-400 text-sm sm:text-base">
-              用來根據製作職業查找物價肥美的物品，掌控市場雷電。
+              {t('craftingInspiration.description')}
             </p>
           </div>
 
@@ -756,11 +753,11 @@ export default function CraftingJobPriceChecker({
           {/* ILVL Range */}
           <div className="mb-6">
             <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
-              物品等級範圍 (1-999)
+              {t('craftingInspiration.ilvlRange')} (1-999)
             </label>
             <div className="flex items-center gap-4">
               <div className="flex-1">
-                <label className="block text-xs text-gray-400 mb-1">最小等級</label>
+                <label className="block text-xs text-gray-400 mb-1">{t('craftingInspiration.minLevel')}</label>
                 <input
                   type="text"
                   inputMode="numeric"
@@ -771,7 +768,7 @@ export default function CraftingJobPriceChecker({
               </div>
               <div className="pt-6 text-gray-400">-</div>
               <div className="flex-1">
-                <label className="block text-xs text-gray-400 mb-1">最大等級</label>
+                <label className="block text-xs text-gray-400 mb-1">{t('craftingInspiration.maxLevel')}</label>
                 <input
                   type="text"
                   inputMode="numeric"
@@ -782,16 +779,16 @@ export default function CraftingJobPriceChecker({
               </div>
             </div>
             <div className="mt-2 text-xs text-gray-400">
-              當前範圍: {ilvlMax - ilvlMin + 1} 個等級
+              {t('craftingInspiration.currentRange', { count: ilvlMax - ilvlMin + 1 })}
               {selectedJobs.length > 0 && (
                 <span className="ml-2 text-ffxiv-gold">
-                  (已選擇 {selectedJobs.length} 個職業，最大範圍: {maxRange})
+                  {t('craftingInspiration.rangeSummary', { jobs: selectedJobs.length, max: maxRange })}
                 </span>
               )}
             </div>
             {!isRangeValid && (
               <div className="mt-2 text-xs text-yellow-400">
-                範圍過大！建議調整為: {suggestedRange.suggestedMin}-{suggestedRange.suggestedMax}
+                {t('craftingInspiration.rangeTooLarge')}{t('craftingInspiration.suggested')} {suggestedRange.suggestedMin}-{suggestedRange.suggestedMax}
               </div>
             )}
           </div>
@@ -799,7 +796,7 @@ export default function CraftingJobPriceChecker({
           {/* Job Selector */}
           <div className="mb-6">
             <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
-              職業選擇 (最多4個)
+              {t('craftingInspiration.jobSelect')}
             </label>
             <div className="flex flex-wrap gap-2 max-h-48 overflow-y-auto p-2 bg-slate-900/30 rounded-lg border border-purple-500/20">
               {allJobs.map(job => {
@@ -837,9 +834,9 @@ export default function CraftingJobPriceChecker({
               })}
             </div>
             <div className="mt-2 text-xs text-gray-400">
-              已選擇: {selectedJobs.length}/4
+              {t('craftingInspiration.selectedCount', { count: selectedJobs.length })}
               {selectedJobs.length === 0 && (
-                <span className="ml-2 text-yellow-400">未選擇職業時，範圍限制為10個等級</span>
+                <span className="ml-2 text-yellow-400">{t('craftingInspiration.noJobHint')}</span>
               )}
             </div>
           </div>
@@ -848,7 +845,7 @@ export default function CraftingJobPriceChecker({
           {selectedWorld && (
             <div className="mb-6">
               <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
-                伺服器選擇
+                {t('common.serverSelect')}
               </label>
               <ServerSelector
                 datacenters={datacenters}
@@ -869,12 +866,12 @@ export default function CraftingJobPriceChecker({
                 <div className="text-2xl">⚠️</div>
                 <div className="flex-1">
                   <h3 className="text-yellow-400 font-semibold mb-2">
-                    找到的物品過多
+                    {t('craftingInspiration.tooManyTitle')}
                   </h3>
                   <p className="text-sm text-gray-300 mb-3">
-                    找到 <span className="text-yellow-400 font-bold">{tooManyItemsWarning.total}</span> 個可交易物品，
-                    超過建議上限 <span className="text-yellow-400 font-bold">{tooManyItemsWarning.limit}</span> 個。
-                    處理過多物品可能會導致搜索時間過長或性能問題。
+                    {t('craftingInspiration.tooManyBody').split(/\{(\w+)\}/).map((part, index) => (
+                      index % 2 === 1 ? <span key={index} className="text-yellow-400 font-bold">{tooManyItemsWarning[part]}</span> : part
+                    ))}
                   </p>
                   <div className="flex gap-2 flex-wrap">
                     <button
@@ -958,10 +955,10 @@ export default function CraftingJobPriceChecker({
                           }
 
                           // State is already updated progressively by fetchMarketData
-                          addToast(`搜索完成！找到 ${items.length} 個可交易物品（已限制）`, 'success');
+                          addToast(t('craftingInspiration.searchDoneLimited', { count: items.length }), 'success');
                         } catch (error) {
                           console.error('Search error:', error);
-                          addToast('搜索失敗，請稍後再試', 'error');
+                          addToast(t('common.searchFailedRetry'), 'error');
                           setIsLoadingVelocities(false);
                         } finally {
                           setIsRecipeSearching(false);
@@ -969,20 +966,20 @@ export default function CraftingJobPriceChecker({
                       }}
                       className="px-4 py-2 bg-yellow-600 hover:bg-yellow-500 text-white rounded-lg font-semibold text-sm transition-colors"
                     >
-                      繼續搜索（限制為前 {MAX_ITEMS_LIMIT} 個）
+                      {t('craftingInspiration.continueLimited', { limit: MAX_ITEMS_LIMIT })}
                     </button>
                     <button
                       onClick={() => {
                         setTooManyItemsWarning(null);
-                        addToast('已取消搜索', 'info');
+                        addToast(t('craftingInspiration.searchCancelled'), 'info');
                       }}
                       className="px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white rounded-lg font-semibold text-sm transition-colors"
                     >
-                      取消
+                      {t('common.cancel')}
                     </button>
                   </div>
                   <p className="text-xs text-gray-400 mt-3">
-                    💡 提示：嘗試縮小等級範圍或選擇更少的職業來減少結果數量
+                    {t('craftingInspiration.tip')}
                   </p>
                 </div>
               </div>
@@ -1009,15 +1006,15 @@ export default function CraftingJobPriceChecker({
           <div className="mb-6">
             <div className="flex items-center gap-3 mb-4 flex-wrap">
               <h2 className="text-xl sm:text-2xl font-bold text-ffxiv-gold">
-                搜索結果 ({searchResults.length > 0 ? searchResults.length : 0} 個物品)
+                {t('results.titleCount', { title: t('search.resultsTitle'), count: searchResults.length, suffix: '' })}
               </h2>
               {selectedWorld && selectedServerOption && (
                 <div className="flex items-center gap-2 px-3 py-1.5 bg-gradient-to-r from-purple-900/40 via-pink-900/30 to-indigo-900/40 border border-purple-500/30 rounded-lg backdrop-blur-sm">
                   <div className="w-1.5 h-1.5 rounded-full bg-ffxiv-gold animate-pulse"></div>
                   <span className="text-xs sm:text-sm font-semibold text-ffxiv-gold">
                     {selectedServerOption === selectedWorld.section 
-                      ? `${selectedWorld.section} (全服)`
-                      : worlds[selectedServerOption] || `伺服器 ${selectedServerOption}`
+                      ? t('common.dcScope', { name: selectedWorld.section })
+                      : worlds[selectedServerOption] || t('common.worldFallback', { id: selectedServerOption })
                     }
                   </span>
                 </div>
@@ -1026,7 +1023,7 @@ export default function CraftingJobPriceChecker({
               {showLoadingIndicator && (
                 <div className="flex items-center gap-2 px-2 py-1 bg-slate-800/50 border border-purple-500/30 rounded-lg">
                   <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-ffxiv-gold"></div>
-                  <span className="text-xs text-gray-300">載入中...</span>
+                  <span className="text-xs text-gray-300">{t('common.loading')}</span>
                 </div>
               )}
             </div>
@@ -1035,7 +1032,7 @@ export default function CraftingJobPriceChecker({
             {searchResults.length > itemsPerPage && (
               <div className="mb-4 flex items-center justify-between flex-wrap gap-3 bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-3">
                 <div className="flex items-center gap-3">
-                  <label className="text-sm text-gray-300">每頁顯示:</label>
+                  <label className="text-sm text-gray-300">{t('pagination.perPage')}</label>
                   <select
                     value={itemsPerPage}
                     onChange={(e) => {
@@ -1050,7 +1047,7 @@ export default function CraftingJobPriceChecker({
                     <option value={200}>200</option>
                   </select>
                   <span className="text-sm text-gray-400">
-                    顯示 {startIndex + 1}-{Math.min(endIndex, searchResults.length)} / {searchResults.length}
+                    {t('pagination.showing', { start: startIndex + 1, end: Math.min(endIndex, searchResults.length), total: searchResults.length })}
                   </span>
                 </div>
                 <div className="flex items-center gap-2">
@@ -1063,7 +1060,7 @@ export default function CraftingJobPriceChecker({
                         : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
                     }`}
                   >
-                    首頁
+                    {t('pagination.first')}
                   </button>
                   <button
                     onClick={() => handlePageChange(currentPage - 1)}
@@ -1074,10 +1071,10 @@ export default function CraftingJobPriceChecker({
                         : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
                     }`}
                   >
-                    上一頁
+                    {t('pagination.prev')}
                   </button>
                   <span className="px-3 py-1.5 text-sm text-gray-300">
-                    第 {currentPage} / {totalPages} 頁
+                    {t('pagination.pageOf', { page: currentPage, total: totalPages })}
                   </span>
                   <button
                     onClick={() => handlePageChange(currentPage + 1)}
@@ -1088,7 +1085,7 @@ export default function CraftingJobPriceChecker({
                         : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
                     }`}
                   >
-                    下一頁
+                    {t('pagination.next')}
                   </button>
                   <button
                     onClick={() => handlePageChange(totalPages)}
@@ -1099,7 +1096,7 @@ export default function CraftingJobPriceChecker({
                         : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
                     }`}
                   >
-                    末頁
+                    {t('pagination.last')}
                   </button>
                 </div>
               </div>
@@ -1121,7 +1118,7 @@ export default function CraftingJobPriceChecker({
                 itemRecentPurchases={itemRecentPurchases}
                 itemTradability={itemTradability}
                 isLoadingVelocities={isLoadingVelocities}
-                averagePriceHeader="平均價格"
+                averagePriceHeader={t('table.averagePrice')}
                 getSimplifiedChineseName={getSimplifiedChineseName}
                 addToast={addToast}
                 currentPage={currentPage}
@@ -1134,7 +1131,7 @@ export default function CraftingJobPriceChecker({
             {searchResults.length > itemsPerPage && (
               <div className="mt-4 flex items-center justify-between flex-wrap gap-3 bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-3">
                 <div className="flex items-center gap-3">
-                  <label className="text-sm text-gray-300">每頁顯示:</label>
+                  <label className="text-sm text-gray-300">{t('pagination.perPage')}</label>
                   <select
                     value={itemsPerPage}
                     onChange={(e) => {
@@ -1149,7 +1146,7 @@ export default function CraftingJobPriceChecker({
                     <option value={200}>200</option>
                   </select>
                   <span className="text-sm text-gray-400">
-                    顯示 {startIndex + 1}-{Math.min(endIndex, searchResults.length)} / {searchResults.length}
+                    {t('pagination.showing', { start: startIndex + 1, end: Math.min(endIndex, searchResults.length), total: searchResults.length })}
                   </span>
                 </div>
                 <div className="flex items-center gap-2">
@@ -1162,7 +1159,7 @@ export default function CraftingJobPriceChecker({
                         : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
                     }`}
                   >
-                    首頁
+                    {t('pagination.first')}
                   </button>
                   <button
                     onClick={() => handlePageChange(currentPage - 1)}
@@ -1173,10 +1170,10 @@ export default function CraftingJobPriceChecker({
                         : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
                     }`}
                   >
-                    上一頁
+                    {t('pagination.prev')}
                   </button>
                   <span className="px-3 py-1.5 text-sm text-gray-300">
-                    第 {currentPage} / {totalPages} 頁
+                    {t('pagination.pageOf', { page: currentPage, total: totalPages })}
                   </span>
                   <button
                     onClick={() => handlePageChange(currentPage + 1)}
@@ -1187,7 +1184,7 @@ export default function CraftingJobPriceChecker({
                         : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
                     }`}
                   >
-                    下一頁
+                    {t('pagination.next')}
                   </button>
                   <button
                     onClick={() => handlePageChange(totalPages)}
@@ -1198,7 +1195,7 @@ export default function CraftingJobPriceChecker({
                         : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
                     }`}
                   >
-                    末頁
+                    {t('pagination.last')}
                   </button>
                 </div>
               </div>
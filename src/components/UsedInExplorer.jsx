@@ -0,0 +1,542 @@
+// Used-In Explorer (素材用途探索) - Every product a material can be crafted into, valued per unit of material
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import TaxRatesModal from './TaxRatesModal';
+import ServerSelector from './ServerSelector';
+import ItemImage from './ItemImage';
+import ExportButton from './ExportButton';
+import { APP_VERSION } from '../constants/version';
+import { searchTwItems, getTwItemsByIds } from '../services/supabaseData';
+import { buildUsedInGraph, rankUsedInProducts } from '../services/reverseRecipes';
+import { getCraftingJobName } from '../services/craftingPlanner';
+import { getInternalUrl } from '../utils/internalUrl.js';
+import { generateItemUrl } from '../utils/urlSlug';
+import { getUILanguage } from '../utils/uiLanguage';
+import { translate } from '../i18n';
+import { useTranslation } from '../hooks/useTranslation';
+import { useItemNames } from '../hooks/useItemNames';
+
+// Products are listed on the market board, so the default market tax applies
+const TAX_RATE = 5;
+const MAX_SEARCH_RESULTS = 8;
+const DEPTH_OPTIONS = [1, 2, 3, 4];
+const MAX_PRODUCTS = 300;
+const MAX_DISPLAYED_RESULTS = 200;
+
+export default function UsedInExplorer({
+  addToast,
+  removeToast,
+  toasts,
+  datacenters,
+  worlds,
+  selectedWorld,
+  onWorldChange,
+  selectedServerOption,
+  onServerOptionChange,
+  serverOptions,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  isServerDataLoaded,
+  onItemSelect,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const navigate = useNavigate();
+  const { t, language } = useTranslation();
+  const [searchParams] = useSearchParams();
+  const [itemQuery, setItemQuery] = useState('');
+  const [itemMatches, setItemMatches] = useState([]);
+  const [material, setMaterial] = useState(null);
+  const [maxDepth, setMaxDepth] = useState(3);
+  const [endProductsOnly, setEndProductsOnly] = useState(false);
+  const [results, setResults] = useState([]);
+  const [rawPerMaterial, setRawPerMaterial] = useState(null);
+  const [isTruncated, setIsTruncated] = useState(false);
+  const [itemNames, setItemNames] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [searchedTarget, setSearchedTarget] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  const isWorldMode = typeof selectedServerOption === 'number';
+  const targetName = isWorldMode ? worlds?.[selectedServerOption] : selectedServerOption;
+
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  // ?item= preselects the material, e.g. when coming from an item page's related items
+  const itemParam = searchParams.get('item');
+  useEffect(() => {
+    const itemId = parseInt(itemParam, 10);
+    if (!itemId || itemId <= 0) return;
+    let cancelled = false;
+    getTwItemsByIds([itemId])
+      .then(names => {
+        if (cancelled) return;
+        setMaterial({ itemId, itemName: names[itemId]?.tw || '' });
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('Failed to load material name:', error);
+        addToast(translate(getUILanguage(), 'common.itemNamesLoadFailed'), 'error');
+        // The material itself is known, so it can still be explored without its name
+        setMaterial({ itemId, itemName: '' });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [itemParam, addToast]);
+
+  // Debounced item search; stale responses are dropped
+  useEffect(() => {
+    if (!itemQuery.trim()) {
+      setItemMatches([]);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const matches = await searchTwItems(itemQuery);
+      if (cancelled) return;
+      setItemMatches(
+        Object.entries(matches)
+          .slice(0, MAX_SEARCH_RESULTS)
+          .map(([id, data]) => ({ itemId: parseInt(id, 10), itemName: data.tw }))
+      );
+    }, 200);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [itemQuery]);
+
+  const handleSelectMaterial = useCallback((match) => {
+    setItemQuery('');
+    setMaterial(match);
+  }, []);
+
+  const handleStop = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    setIsLoading(false);
+    setProgress(null);
+  }, []);
+
+  const handleSearch = useCallback(async () => {
+    if (!material) {
+      addToast(t('usedIn.selectMaterial'), 'warning');
+      return;
+    }
+    if (!selectedServerOption) {
+      addToast(t('common.selectServer'), 'warning');
+      return;
+    }
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+
+    setIsLoading(true);
+    setResults([]);
+    setRawPerMaterial(null);
+    setProgress(null);
+
+    try {
+      const graph = await buildUsedInGraph(material.itemId, {
+        maxDepth,
+        maxProducts: MAX_PRODUCTS,
+        signal,
+        onProgress: (depth, products) => setProgress({ label: t('usedIn.progressDepth', { depth, count: products }) }),
+      });
+      if (signal.aborted) return;
+      if (graph.products.length === 0) {
+        addToast(t('usedIn.noRecipes'), 'info');
+        setSearchedTarget({ name: targetName, isWorldMode, materialId: material.itemId });
+        return;
+      }
+
+      const ranked = await rankUsedInProducts(selectedServerOption, material.itemId, graph.products, {
+        taxRate: TAX_RATE,
+        signal,
+        onProgress: (loaded, total) => setProgress({ label: t('usedIn.progressPrices'), loaded, total }),
+      });
+      if (signal.aborted) return;
+
+      const nameIds = [...new Set([material.itemId, ...graph.products.map(product => product.itemId)])];
+      const names = await getTwItemsByIds(nameIds, signal);
+      if (signal.aborted) return;
+
+      // End products are the ones nothing else in the graph is crafted from
+      const parentIds = new Set(graph.products.map(product => product.parentId));
+      setItemNames(names);
+      setResults(ranked.products.map(product => ({ ...product, isEndProduct: !parentIds.has(product.itemId) })));
+      setRawPerMaterial(ranked.rawPerMaterial);
+      setIsTruncated(graph.truncated);
+      setSearchedTarget({ name: targetName, isWorldMode, materialId: material.itemId });
+    } catch (error) {
+      if (!signal.aborted) {
+        console.error('Failed to explore used-in graph:', error);
+        addToast(error.message || t('common.queryFailed'), 'error');
+      }
+    } finally {
+      if (!signal.aborted) {
+        setIsLoading(false);
+        setProgress(null);
+      }
+    }
+  }, [material, maxDepth, selectedServerOption, targetName, isWorldMode, addToast, t]);
+
+  const displayedResults = useMemo(
+    () => (endProductsOnly ? results.filter(product => product.isEndProduct) : results),
+    [results, endProductsOnly]
+  );
+  const shownResults = useMemo(() => displayedResults.slice(0, MAX_DISPLAYED_RESULTS), [displayedResults]);
+
+  const localizedNames = useItemNames(
+    [...new Set([
+      material?.itemId,
+      ...itemMatches.map(match => match.itemId),
+      ...shownResults.flatMap(product => product.path),
+    ])].filter(Boolean),
+    language
+  );
+  const getItemName = useCallback((itemId) => (
+    localizedNames[itemId] || itemNames[itemId]?.tw || t('common.itemFallback', { id: itemId })
+  ), [localizedNames, itemNames, t]);
+  const materialName = material
+    ? localizedNames[material.itemId] || material.itemName || t('common.itemFallback', { id: material.itemId })
+    : '';
+
+  const handleOpenItem = useCallback((itemId) => {
+    const itemUrl = generateItemUrl(itemId, itemNames[itemId]?.tw || 'item');
+    window.open(`${window.location.origin}${getInternalUrl(itemUrl)}`, '_blank', 'noopener,noreferrer');
+  }, [itemNames]);
+
+  const getPathText = useCallback((product) => (
+    product.path.slice(1, -1).map(getItemName).join(' → ')
+  ), [getItemName]);
+
+  const exportColumns = useMemo(() => [
+    { key: 'itemId', label: 'ID' },
+    { key: 'name', label: t('table.itemName'), value: (row) => localizedNames[row.itemId] || itemNames[row.itemId]?.tw || '' },
+    { key: 'depth', label: t('usedIn.depth') },
+    { key: 'path', label: t('usedIn.via'), value: (row) => getPathText(row) },
+    { key: 'job', label: t('itemComparison.jobs'), value: (row) => getCraftingJobName(row.job, language) },
+    { key: 'level', label: t('common.level') },
+    { key: 'materialPerUnit', label: t('usedIn.materialPerUnit'), value: (row) => Number(row.materialPerUnit.toFixed(2)) },
+    { key: 'sellPrice', label: t('craftingProfit.salePrice') },
+    { key: 'otherCostPerUnit', label: t('usedIn.otherCost'), value: (row) => row.otherCostPerUnit ?? '' },
+    { key: 'netPerMaterial', label: t('usedIn.valuePerMaterial'), value: (row) => (row.netPerMaterial === null ? '' : Math.round(row.netPerMaterial)) },
+    { key: 'grossPerMaterial', label: t('usedIn.grossPerMaterial'), value: (row) => Math.round(row.grossPerMaterial) },
+    { key: 'velocity', label: t('table.velocity'), value: (row) => Number(row.velocity.toFixed(2)) },
+  ], [itemNames, localizedNames, getPathText, language, t]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        onTaxRatesClick={onTaxRatesClick}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+              {t('usedIn.title')}
+            </h1>
+            <p className="text-gray-400 text-sm sm:text-base">
+              {t('usedIn.description')}
+            </p>
+          </div>
+
+          {/* Server Selector */}
+          {selectedWorld && (
+            <div className="mb-6">
+              <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
+                {t('common.queryServer')}
+              </label>
+              <ServerSelector
+                datacenters={datacenters}
+                worlds={worlds}
+                selectedWorld={selectedWorld}
+                onWorldChange={onWorldChange}
+                selectedServerOption={selectedServerOption}
+                onServerOptionChange={onServerOptionChange}
+                serverOptions={serverOptions}
+                disabled={isLoading}
+              />
+            </div>
+          )}
+
+
+          {/* Filters */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
+            <div className="flex items-end gap-3 flex-wrap mb-4">
+              <div className="relative flex-1 min-w-[220px] max-w-md">
+                <label htmlFor="used-in-item" className="block text-xs text-gray-400 mb-1">{t('usedIn.material')}</label>
+                <input
+                  id="used-in-item"
+                  type="text"
+                  value={itemQuery}
+                  onChange={(e) => setItemQuery(e.target.value)}
+                  disabled={isLoading}
+                  placeholder={material ? materialName : t('usedIn.searchPlaceholder')}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold"
+                />
+                {itemMatches.length > 0 && (
+                  <div className="absolute top-full left-0 right-0 mt-1 bg-slate-900/95 border border-purple-500/30 rounded-lg shadow-xl z-20 py-1">
+                    {itemMatches.map(match => (
+                      <button
+                        key={match.itemId}
+                        onClick={() => handleSelectMaterial(match)}
+                        className="w-full px-3 py-1.5 flex items-center gap-2 hover:bg-purple-900/30 transition-colors text-left text-sm"
+                      >
+                        <ItemImage itemId={match.itemId} alt={localizedNames[match.itemId] || match.itemName} className="w-6 h-6 object-contain rounded" />
+                        <span className="text-white truncate">{localizedNames[match.itemId] || match.itemName}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+              {material && (
+                <div className="flex items-center gap-2 pb-1">
+                  <ItemImage itemId={material.itemId} alt={materialName} className="w-7 h-7 object-contain rounded" />
+                  <span className="text-white text-sm">{materialName}</span>
+                </div>
+              )}
+              <div>
+                <label htmlFor="used-in-depth" className="block text-xs text-gray-400 mb-1">{t('usedIn.maxDepth')}</label>
+                <select
+                  id="used-in-depth"
+                  value={maxDepth}
+                  onChange={(e) => setMaxDepth(parseInt(e.target.value, 10))}
+                  disabled={isLoading}
+                  className="px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold"
+                >
+                  {DEPTH_OPTIONS.map(depth => (
+                    <option key={depth} value={depth}>{t('usedIn.depthOption', { depth })}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="flex items-center gap-3 flex-wrap">
+              {isLoading ? (
+                <button
+                  onClick={handleStop}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-red-900/40 text-red-300 border border-red-500/40 hover:bg-red-800/50 transition-all"
+                >
+                  {t('common.stopQuery')}
+                </button>
+              ) : (
+                <button
+                  onClick={handleSearch}
+                  disabled={!selectedServerOption || !material}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-gradient-to-r from-ffxiv-gold to-yellow-500 text-slate-900 hover:shadow-[0_0_15px_rgba(212,175,55,0.5)] disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                >
+                  {t('usedIn.explore')}
+                </button>
+              )}
+              {progress && (
+                <div className="flex items-center gap-2 text-xs text-gray-400">
+                  {progress.total > 0 && (
+                    <div className="w-40 h-1.5 bg-slate-700 rounded-full overflow-hidden">
+                      <div
+                        className="h-full bg-ffxiv-gold transition-all"
+                        style={{ width: `${(progress.loaded / progress.total) * 100}%` }}
+                      />
+                    </div>
+                  )}
+                  {progress.label}
+                  {progress.total > 0 && ` ${progress.loaded.toLocaleString()} / ${progress.total.toLocaleString()}`}
+                </div>
+              )}
+              {searchedTarget && !isLoading && (
+                <span className="text-xs text-gray-500">
+                  {searchedTarget.isWorldMode ? t('common.worldScope', { name: searchedTarget.name }) : t('common.dcScope', { name: searchedTarget.name })} · {t('common.taxRate', { rate: TAX_RATE })}
+                </span>
+              )}
+            </div>
+          </div>
+
+          {/* Results */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6">
+            <div className="flex items-center gap-3 flex-wrap mb-4">
+              <h2 className="text-lg font-semibold text-ffxiv-gold">
+                {searchedTarget ? t('usedIn.usesOf', { name: getItemName(searchedTarget.materialId) }) : t('usedIn.resultsTitle')} ({displayedResults.length})
+                {displayedResults.length > MAX_DISPLAYED_RESULTS && (
+                  <span className="ml-2 text-sm text-gray-400 font-normal">{t('common.showingTop', { count: MAX_DISPLAYED_RESULTS })}</span>
+                )}
+              </h2>
+              {results.length > 0 && (
+                <>
+                  <label className="flex items-center gap-1.5 text-xs text-gray-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={endProductsOnly}
+                      onChange={(e) => setEndProductsOnly(e.target.checked)}
+                      className="accent-ffxiv-gold"
+                    />
+                    {t('usedIn.endProductsOnly')}
+                  </label>
+                  <ExportButton
+                    getRows={() => displayedResults}
+                    columns={exportColumns}
+                    filename="used-in"
+                    className="ml-auto"
+                  />
+                </>
+              )}
+            </div>
+
+            {results.length > 0 && (
+              <div className="flex items-center gap-4 flex-wrap mb-4 text-xs">
+                <span className="text-gray-400">
+                  {t('usedIn.rawSale')}
+                  <span className="text-white font-semibold ml-1">
+                    {rawPerMaterial ? t('usedIn.perUnit', { price: Math.round(rawPerMaterial).toLocaleString() }) : t('common.noPrice')}
+                  </span>
+                </span>
+                <span className="text-gray-500">{t('usedIn.beatsRawHint')}</span>
+                {isTruncated && (
+                  <span className="text-yellow-500">{t('usedIn.truncated', { max: MAX_PRODUCTS })}</span>
+                )}
+              </div>
+            )}
+
+            {displayedResults.length === 0 ? (
+              <p className="text-center text-gray-400 py-8 text-sm">
+                {isLoading ? t('common.querying') : searchedTarget ? t('usedIn.noProducts') : t('usedIn.idle')}
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-purple-500/30">
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">#</th>
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('usedIn.product')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('usedIn.recipe')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('usedIn.materialPerUnit')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('craftingProfit.salePrice')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('usedIn.otherCost')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('usedIn.valuePerMaterial')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('table.velocity')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {shownResults.map((product, index) => {
+                      const name = getItemName(product.itemId);
+                      const pathText = getPathText(product);
+                      const beatsRaw = product.netPerMaterial !== null && (rawPerMaterial === null || product.netPerMaterial > rawPerMaterial);
+                      return (
+                        <tr
+                          key={product.itemId}
+                          className="border-b border-purple-500/10 hover:bg-purple-900/20 transition-colors"
+                        >
+                          <td className="px-2 sm:px-3 py-2 text-xs text-gray-500">{index + 1}</td>
+                          <td className="px-2 sm:px-3 py-2">
+                            <button
+                              onClick={() => handleOpenItem(product.itemId)}
+                              className="flex items-center gap-2 text-left hover:text-ffxiv-gold transition-colors"
+                            >
+                              <ItemImage itemId={product.itemId} alt={name} className="w-7 h-7 object-contain rounded" />
+                              <span>
+                                <span className="text-white text-xs sm:text-sm">{name}</span>
+                                {pathText && <span className="block text-[11px] text-gray-500">{t('usedIn.viaPath', { path: pathText })}</span>}
+                              </span>
+                            </button>
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-xs text-gray-300 whitespace-nowrap">
+                            {getCraftingJobName(product.job, language)} <span className="text-gray-500">Lv.{product.level}</span>
+                            {product.depth > 1 && <span className="ml-1 text-purple-300">{t('usedIn.levelN', { depth: product.depth })}</span>}
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">{Number(product.materialPerUnit.toFixed(2)).toLocaleString()}</td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">{product.sellPrice.toLocaleString()}</td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">
+                            {product.otherCostPerUnit === null ? <span className="text-yellow-500" title={t('usedIn.missingPrices')}>-</span> : product.otherCostPerUnit.toLocaleString()}
+                          </td>
+                          <td
+                            className={`px-2 sm:px-3 py-2 text-right text-xs font-semibold ${beatsRaw ? 'text-green-400' : 'text-gray-300'}`}
+                            title={t('usedIn.grossTitle', { value: Math.round(product.grossPerMaterial).toLocaleString() })}
+                          >
+                            {product.netPerMaterial === null ? '-' : Math.round(product.netPerMaterial).toLocaleString()}
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">{product.velocity.toFixed(1)}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Version Info */}
+        <div className="mt-6 pt-4 border-t border-slate-600/30">
+          <p className="text-xs text-slate-500 text-center">
+            {t('common.appVersion')} <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+          </p>
+        </div>
+      </div>
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,509 @@
+// Vendor Flips (商店倒賣) - Gil shop items that sell on the market board well above the NPC price
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import TaxRatesModal from './TaxRatesModal';
+import ServerSelector from './ServerSelector';
+import ItemImage from './ItemImage';
+import MapModal from './MapModal';
+import ExportButton from './ExportButton';
+import { APP_VERSION } from '../constants/version';
+import { getMarketableItems } from '../services/universalis';
+import { getTwItemsByIds, getNpcsByIds, getTwNpcsByIds, getTwPlacesByIds, getPlacesByIds } from '../services/supabaseData';
+import { loadGilShopItems, rankVendorFlips } from '../services/vendorFlips';
+import { getLocalizedPlaceName } from '../utils/placeUtils';
+import { getInternalUrl } from '../utils/internalUrl.js';
+import { generateItemUrl } from '../utils/urlSlug';
+import { useTranslation } from '../hooks/useTranslation';
+import { useItemNames } from '../hooks/useItemNames';
+
+// Flipped items are listed on the market board, so the default market tax applies
+const TAX_RATE = 5;
+const MAX_DISPLAYED_RESULTS = 200;
+
+export default function VendorFlips({
+  addToast,
+  removeToast,
+  toasts,
+  datacenters,
+  worlds,
+  selectedWorld,
+  onWorldChange,
+  selectedServerOption,
+  onServerOptionChange,
+  serverOptions,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  isServerDataLoaded,
+  onItemSelect,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const navigate = useNavigate();
+  const { t, language } = useTranslation();
+  const [minMargin, setMinMargin] = useState('50');
+  const [minProfit, setMinProfit] = useState('100');
+  const [minVelocity, setMinVelocity] = useState('1');
+  const [results, setResults] = useState([]);
+  const [itemNames, setItemNames] = useState({});
+  const [npcLocations, setNpcLocations] = useState({});
+  const [placeNames, setPlaceNames] = useState({ twPlaces: {}, places: {} });
+  const [isLoading, setIsLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [searchedTarget, setSearchedTarget] = useState(null);
+  const [mapModal, setMapModal] = useState({ isOpen: false, zoneName: '', x: 0, y: 0, npcName: '', mapId: null });
+  const abortControllerRef = useRef(null);
+
+  const isWorldMode = typeof selectedServerOption === 'number';
+  const targetName = isWorldMode ? worlds?.[selectedServerOption] : selectedServerOption;
+
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  const handleStop = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    setIsLoading(false);
+    setProgress(null);
+  }, []);
+
+  const handleSearch = useCallback(async () => {
+    if (!selectedServerOption) {
+      addToast(t('common.selectServer'), 'warning');
+      return;
+    }
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+
+    setIsLoading(true);
+    setResults([]);
+    setProgress(null);
+
+    try {
+      const [shopItems, marketable] = await Promise.all([
+        loadGilShopItems(signal),
+        getMarketableItems(),
+      ]);
+      if (signal.aborted) return;
+
+      const items = shopItems.filter(item => marketable.has(item.itemId));
+      if (items.length === 0) {
+        addToast(t('vendorFlips.noShopItems'), 'warning');
+        return;
+      }
+
+      setProgress({ loaded: 0, total: items.length });
+      const ranked = await rankVendorFlips(selectedServerOption, items, {
+        taxRate: TAX_RATE,
+        minProfit: Number(minProfit) || 0,
+        minMargin: Number(minMargin) || 0,
+        minVelocity: Number(minVelocity) || 0,
+        signal,
+        onProgress: (loaded, total) => setProgress({ loaded, total }),
+      });
+      if (signal.aborted) return;
+
+      const npcIds = [...new Set(ranked.flatMap(item => item.npcIds))];
+      const [names, npcs, twNpcs] = await Promise.all([
+        getTwItemsByIds(ranked.map(item => item.itemId), signal),
+        getNpcsByIds(npcIds, signal),
+        getTwNpcsByIds(npcIds, signal),
+      ]);
+      if (signal.aborted) return;
+
+      const locations = {};
+      npcIds.forEach(npcId => {
+        const npc = npcs[npcId];
+        const position = npc?.position;
+        locations[npcId] = {
+          names: { tw: twNpcs[npcId]?.tw, en: npc?.en, ja: npc?.ja, de: npc?.de, fr: npc?.fr },
+          zoneId: position?.zoneid || null,
+          mapId: position?.map || null,
+          x: position?.x,
+          y: position?.y,
+        };
+      });
+      const zoneIds = [...new Set(Object.values(locations).map(location => location.zoneId).filter(Boolean))];
+      const [twPlaces, places] = await Promise.all([
+        getTwPlacesByIds(zoneIds, signal),
+        getPlacesByIds(zoneIds, signal),
+      ]);
+      if (signal.aborted) return;
+
+      setItemNames(names);
+      setNpcLocations(locations);
+      setPlaceNames({ twPlaces, places });
+      setResults(ranked);
+      setSearchedTarget({ name: targetName, isWorldMode });
+      if (ranked.length === 0) {
+        addToast(t('common.noMatchesRelax'), 'info');
+      }
+    } catch (error) {
+      if (!signal.aborted) {
+        console.error('Failed to rank vendor flips:', error);
+        addToast(error.message || t('common.queryFailed'), 'error');
+      }
+    } finally {
+      if (!signal.aborted) {
+        setIsLoading(false);
+        setProgress(null);
+      }
+    }
+  }, [selectedServerOption, minMargin, minProfit, minVelocity, targetName, isWorldMode, addToast, t]);
+
+  const getZoneName = useCallback((zoneId) => (
+    getLocalizedPlaceName(zoneId, placeNames, language, t('common.zone'))
+  ), [placeNames, language, t]);
+
+  // NPC names: en/ja/de/fr from npcs, TW from tw_npcs; ko (no Korean data) prefers English
+  const getNpcName = useCallback((npcId) => {
+    const names = npcLocations[npcId]?.names || {};
+    return names[language] || (language === 'ko' ? names.en : null) || names.tw || names.en || t('common.npcFallback', { id: npcId });
+  }, [npcLocations, language, t]);
+
+  // The first vendor with a known position, falling back to the first vendor
+  const getVendor = useCallback((item) => {
+    const located = item.npcIds.find(npcId => npcLocations[npcId]?.zoneId && npcLocations[npcId].x !== undefined);
+    const npcId = located || item.npcIds[0];
+    return npcId ? { npcId, ...npcLocations[npcId], name: getNpcName(npcId) } : null;
+  }, [npcLocations, getNpcName]);
+
+  const displayedResults = useMemo(() => results.slice(0, MAX_DISPLAYED_RESULTS), [results]);
+  const localizedNames = useItemNames(displayedResults.map(item => item.itemId), language);
+
+  const handleOpenItem = useCallback((itemId) => {
+    const itemUrl = generateItemUrl(itemId, itemNames[itemId]?.tw || 'item');
+    window.open(`${window.location.origin}${getInternalUrl(itemUrl)}`, '_blank', 'noopener,noreferrer');
+  }, [itemNames]);
+
+  const handleOpenMap = useCallback((vendor) => {
+    setMapModal({
+      isOpen: true,
+      zoneName: getZoneName(vendor.zoneId),
+      x: vendor.x,
+      y: vendor.y,
+      npcName: vendor.name,
+      mapId: vendor.mapId,
+    });
+  }, [getZoneName]);
+
+  const exportColumns = useMemo(() => [
+    { key: 'itemId', label: 'ID' },
+    { key: 'name', label: t('table.itemName'), value: (row) => localizedNames[row.itemId] || itemNames[row.itemId]?.tw || '' },
+    { key: 'npcPrice', label: t('vendorFlips.npcPrice') },
+    { key: 'marketPrice', label: t('vendorFlips.marketPrice') },
+    { key: 'velocity', label: t('table.velocity'), value: (row) => Number(row.velocity.toFixed(2)) },
+    { key: 'profit', label: t('vendorFlips.profitPerItemAfterTax') },
+    { key: 'margin', label: t('vendorFlips.marginPercent'), value: (row) => Math.round(row.margin) },
+    { key: 'dailyProfit', label: t('vendorFlips.dailyProfit') },
+    { key: 'vendor', label: 'NPC', value: (row) => {
+      const vendor = getVendor(row);
+      if (!vendor) return '';
+      return vendor.zoneId && vendor.x !== undefined
+        ? `${vendor.name} ${getZoneName(vendor.zoneId)} (${vendor.x.toFixed(1)}, ${vendor.y.toFixed(1)})`
+        : vendor.name || '';
+    } },
+  ], [itemNames, localizedNames, getVendor, getZoneName, t]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        onTaxRatesClick={onTaxRatesClick}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+              {t('vendorFlips.title')}
+            </h1>
+            <p className="text-gray-400 text-sm sm:text-base">
+              {t('vendorFlips.description')}
+            </p>
+          </div>
+
+          {/* Server Selector */}
+          {selectedWorld && (
+            <div className="mb-6">
+              <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
+                {t('common.queryServer')}
+              </label>
+              <ServerSelector
+                datacenters={datacenters}
+                worlds={worlds}
+                selectedWorld={selectedWorld}
+                onWorldChange={onWorldChange}
+                selectedServerOption={selectedServerOption}
+                onServerOptionChange={onServerOptionChange}
+                serverOptions={serverOptions}
+                disabled={isLoading}
+              />
+            </div>
+          )}
+
+          {/* Filters */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 sm:gap-4 mb-4">
+              <div>
+                <label htmlFor="vendor-min-margin" className="block text-xs text-gray-400 mb-1">{t('vendorFlips.minMargin')}</label>
+                <input
+                  id="vendor-min-margin"
+                  type="number"
+                  min="0"
+                  value={minMargin}
+                  onChange={(e) => setMinMargin(e.target.value)}
+                  disabled={isLoading}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                />
+              </div>
+              <div>
+                <label htmlFor="vendor-min-profit" className="block text-xs text-gray-400 mb-1">{t('vendorFlips.minProfit')}</label>
+                <input
+                  id="vendor-min-profit"
+                  type="number"
+                  min="0"
+                  value={minProfit}
+                  onChange={(e) => setMinProfit(e.target.value)}
+                  disabled={isLoading}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                />
+              </div>
+              <div>
+                <label htmlFor="vendor-min-velocity" className="block text-xs text-gray-400 mb-1">{t('common.minVelocity')}</label>
+                <input
+                  id="vendor-min-velocity"
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={minVelocity}
+                  onChange={(e) => setMinVelocity(e.target.value)}
+                  disabled={isLoading}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                />
+              </div>
+            </div>
+
+            <div className="flex items-center gap-3 flex-wrap">
+              {isLoading ? (
+                <button
+                  onClick={handleStop}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-red-900/40 text-red-300 border border-red-500/40 hover:bg-red-800/50 transition-all"
+                >
+                  {t('common.stopQuery')}
+                </button>
+              ) : (
+                <button
+                  onClick={handleSearch}
+                  disabled={!selectedServerOption}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-gradient-to-r from-ffxiv-gold to-yellow-500 text-slate-900 hover:shadow-[0_0_15px_rgba(212,175,55,0.5)] disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                >
+                  {t('vendorFlips.search')}
+                </button>
+              )}
+              {progress && progress.total > 0 && (
+                <div className="flex items-center gap-2 text-xs text-gray-400">
+                  <div className="w-40 h-1.5 bg-slate-700 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-ffxiv-gold transition-all"
+                      style={{ width: `${(progress.loaded / progress.total) * 100}%` }}
+                    />
+                  </div>
+                  {progress.loaded.toLocaleString()} / {progress.total.toLocaleString()}
+                </div>
+              )}
+              {searchedTarget && !isLoading && (
+                <span className="text-xs text-gray-500">
+                  {searchedTarget.isWorldMode ? t('common.worldScope', { name: searchedTarget.name }) : t('common.dcScope', { name: searchedTarget.name })} · {t('common.taxRate', { rate: TAX_RATE })}
+                </span>
+              )}
+            </div>
+          </div>
+
+          {/* Results */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6">
+            <div className="flex items-center gap-3 flex-wrap mb-4">
+              <h2 className="text-lg font-semibold text-ffxiv-gold">
+                {t('vendorFlips.resultsTitle', { count: results.length })}
+                {results.length > MAX_DISPLAYED_RESULTS && (
+                  <span className="ml-2 text-sm text-gray-400 font-normal">{t('common.showingTop', { count: MAX_DISPLAYED_RESULTS })}</span>
+                )}
+              </h2>
+              {results.length > 0 && (
+                <ExportButton
+                  getRows={() => results}
+                  columns={exportColumns}
+                  filename="vendor-flips"
+                  className="ml-auto"
+                />
+              )}
+            </div>
+
+            {results.length === 0 ? (
+              <p className="text-center text-gray-400 py-8 text-sm">
+                {isLoading ? t('common.querying') : searchedTarget ? t('common.noMatchesRelax') : t('vendorFlips.idle')}
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-purple-500/30">
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">#</th>
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('table.item')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('vendorFlips.vendor')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('vendorFlips.npcPrice')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('vendorFlips.marketPrice')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('table.velocity')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('vendorFlips.profitPerItem')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('vendorFlips.margin')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('vendorFlips.dailyProfit')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {displayedResults.map((item, index) => {
+                      const name = localizedNames[item.itemId] || itemNames[item.itemId]?.tw || t('common.itemFallback', { id: item.itemId });
+                      const vendor = getVendor(item);
+                      const hasLocation = vendor?.zoneId && vendor.x !== undefined && vendor.y !== undefined;
+                      return (
+                        <tr
+                          key={item.itemId}
+                          className="border-b border-purple-500/10 hover:bg-purple-900/20 transition-colors"
+                        >
+                          <td className="px-2 sm:px-3 py-2 text-xs text-gray-500">{index + 1}</td>
+                          <td className="px-2 sm:px-3 py-2">
+                            <button
+                              onClick={() => handleOpenItem(item.itemId)}
+                              className="flex items-center gap-2 text-left hover:text-ffxiv-gold transition-colors"
+                            >
+                              <ItemImage itemId={item.itemId} alt={name} className="w-7 h-7 object-contain rounded" />
+                              <span className="text-white text-xs sm:text-sm">{name}</span>
+                            </button>
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-xs">
+                            {vendor && (
+                              <div className="flex items-center gap-1.5">
+                                {hasLocation ? (
+                                  <button
+                                    onClick={() => handleOpenMap(vendor)}
+                                    className="text-blue-400 hover:text-blue-300 text-left transition-colors"
+                                  >
+                                    {vendor.name}
+                                    <span className="ml-1 text-gray-400">
+                                      {getZoneName(vendor.zoneId)} ({vendor.x.toFixed(1)}, {vendor.y.toFixed(1)})
+                                    </span>
+                                  </button>
+                                ) : (
+                                  <span className="text-gray-300">{vendor.name}</span>
+                                )}
+                                {item.npcIds.length > 1 && (
+                                  <span
+                                    className="text-gray-500"
+                                    title={item.npcIds.filter(npcId => npcId !== vendor.npcId).map(getNpcName).join(t('common.listSeparator'))}
+                                  >
+                                    +{item.npcIds.length - 1}
+                                  </span>
+                                )}
+                              </div>
+                            )}
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">{item.npcPrice.toLocaleString()}</td>
+                          <td
+                            className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300"
+                            title={t('vendorFlips.marketPriceTitle', { average: item.averagePrice?.toLocaleString() ?? '-', minListing: item.minListing?.toLocaleString() ?? '-' })}
+                          >
+                            {item.marketPrice.toLocaleString()}
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">{item.velocity.toFixed(1)}</td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-green-400 font-semibold">{item.profit.toLocaleString()}</td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">{Math.round(item.margin).toLocaleString()}%</td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-ffxiv-gold font-semibold">{item.dailyProfit.toLocaleString()}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Version Info */}
+        <div className="mt-6 pt-4 border-t border-slate-600/30">
+          <p className="text-xs text-slate-500 text-center">
+            {t('common.appVersion')} <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+          </p>
+        </div>
+      </div>
+
+      <MapModal
+        isOpen={mapModal.isOpen}
+        onClose={() => setMapModal({ ...mapModal, isOpen: false })}
+        zoneName={mapModal.zoneName}
+        x={mapModal.x}
+        y={mapModal.y}
+        npcName={mapModal.npcName}
+        mapId={mapModal.mapId}
+      />
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
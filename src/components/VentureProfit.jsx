@@ -0,0 +1,504 @@
+// Venture Profit (雇員探險收益) - Retainer ventures ranked by the gil their rewards sell for per venture
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import TaxRatesModal from './TaxRatesModal';
+import ServerSelector from './ServerSelector';
+import ItemImage from './ItemImage';
+import ExportButton from './ExportButton';
+import { APP_VERSION } from '../constants/version';
+import { getMarketableItems } from '../services/universalis';
+import { getTwItemsByIds } from '../services/supabaseData';
+import { RETAINER_CLASSES, loadVentureData, getAvailableTasks, rankVentures } from '../services/ventures';
+import { getInternalUrl } from '../utils/internalUrl.js';
+import { generateItemUrl } from '../utils/urlSlug';
+import { getJobName } from '../utils/gameDataNames';
+import { useTranslation } from '../hooks/useTranslation';
+import { useItemNames } from '../hooks/useItemNames';
+
+// Rewards are listed on the market board, so the default market tax applies
+const TAX_RATE = 5;
+const MAX_DISPLAYED_RESULTS = 200;
+
+export default function VentureProfit({
+  addToast,
+  removeToast,
+  toasts,
+  datacenters,
+  worlds,
+  selectedWorld,
+  onWorldChange,
+  selectedServerOption,
+  onServerOptionChange,
+  serverOptions,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  isServerDataLoaded,
+  onItemSelect,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const navigate = useNavigate();
+  const { t, language } = useTranslation();
+  const [retainerClass, setRetainerClass] = useState(RETAINER_CLASSES[0].category);
+  const [retainerLevel, setRetainerLevel] = useState('100');
+  const [retainerIlvl, setRetainerIlvl] = useState('715');
+  const [retainerGathering, setRetainerGathering] = useState('4000');
+  const [retainerPerception, setRetainerPerception] = useState('4000');
+  const [results, setResults] = useState([]);
+  const [quickExploration, setQuickExploration] = useState(null);
+  const [itemNames, setItemNames] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [searchedTarget, setSearchedTarget] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  const isWorldMode = typeof selectedServerOption === 'number';
+  const targetName = isWorldMode ? worlds?.[selectedServerOption] : selectedServerOption;
+  const isGatherer = RETAINER_CLASSES.find(entry => entry.category === retainerClass)?.isGatherer;
+
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  const handleStop = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    setIsLoading(false);
+    setProgress(null);
+  }, []);
+
+  const handleSearch = useCallback(async () => {
+    if (!selectedServerOption) {
+      addToast(t('common.selectServer'), 'warning');
+      return;
+    }
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+
+    setIsLoading(true);
+    setResults([]);
+    setQuickExploration(null);
+    setProgress(null);
+
+    try {
+      const [ventureData, marketable] = await Promise.all([
+        loadVentureData(),
+        getMarketableItems(),
+      ]);
+      if (signal.aborted) return;
+
+      const tasks = getAvailableTasks(ventureData.tasks, {
+        category: retainerClass,
+        level: Number(retainerLevel) || 0,
+        ilvl: Number(retainerIlvl) || 0,
+        gathering: Number(retainerGathering) || 0,
+        perception: Number(retainerPerception) || 0,
+      }).filter(task => marketable.has(task.itemId));
+      const quickPool = {
+        itemIds: ventureData.quickExplorationItemIds.filter(itemId => marketable.has(itemId)),
+        total: ventureData.quickExplorationItemIds.length,
+      };
+
+      setProgress({ loaded: 0, total: tasks.length + quickPool.itemIds.length });
+      const ranked = await rankVentures(selectedServerOption, tasks, quickPool, {
+        taxRate: TAX_RATE,
+        signal,
+        onProgress: (loaded, total) => setProgress({ loaded, total }),
+      });
+      if (signal.aborted) return;
+
+      const nameIds = [
+        ...ranked.tasks.map(task => task.itemId),
+        ...ranked.quickExploration.topRewards.map(reward => reward.itemId),
+      ];
+      const names = await getTwItemsByIds([...new Set(nameIds)], signal);
+      if (signal.aborted) return;
+
+      setItemNames(names);
+      setResults(ranked.tasks);
+      setQuickExploration(ranked.quickExploration);
+      setSearchedTarget({ name: targetName, isWorldMode });
+      if (ranked.tasks.length === 0) {
+        addToast(t('ventures.noTasks'), 'info');
+      }
+    } catch (error) {
+      if (!signal.aborted) {
+        console.error('Failed to rank ventures:', error);
+        addToast(error.message || t('common.queryFailed'), 'error');
+      }
+    } finally {
+      if (!signal.aborted) {
+        setIsLoading(false);
+        setProgress(null);
+      }
+    }
+  }, [selectedServerOption, retainerClass, retainerLevel, retainerIlvl, retainerGathering, retainerPerception, targetName, isWorldMode, addToast, t]);
+
+  const displayedResults = useMemo(() => results.slice(0, MAX_DISPLAYED_RESULTS), [results]);
+  const localizedNames = useItemNames(
+    [...displayedResults.map(task => task.itemId), ...(quickExploration?.topRewards || []).map(reward => reward.itemId)],
+    language
+  );
+  const getItemName = useCallback((itemId) => (
+    localizedNames[itemId] || itemNames[itemId]?.tw || t('common.itemFallback', { id: itemId })
+  ), [localizedNames, itemNames, t]);
+
+  const handleOpenItem = useCallback((itemId) => {
+    const itemUrl = generateItemUrl(itemId, itemNames[itemId]?.tw || 'item');
+    window.open(`${window.location.origin}${getInternalUrl(itemUrl)}`, '_blank', 'noopener,noreferrer');
+  }, [itemNames]);
+
+  const exportColumns = useMemo(() => [
+    { key: 'itemId', label: 'ID' },
+    { key: 'name', label: t('table.itemName'), value: (row) => localizedNames[row.itemId] || itemNames[row.itemId]?.tw || '' },
+    { key: 'level', label: t('ventures.taskLevel') },
+    { key: 'quantity', label: t('table.quantity') },
+    { key: 'unitPrice', label: t('table.unitPrice') },
+    { key: 'velocity', label: t('table.velocity'), value: (row) => Number(row.velocity.toFixed(2)) },
+    { key: 'cost', label: t('ventures.cost') },
+    { key: 'gilPerVenture', label: t('ventures.gilPerVentureAfterTax') },
+  ], [itemNames, localizedNames, t]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        onTaxRatesClick={onTaxRatesClick}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+              {t('ventures.title')}
+            </h1>
+            <p className="text-gray-400 text-sm sm:text-base">
+              {t('ventures.description')}
+            </p>
+          </div>
+
+          {/* Server Selector */}
+          {selectedWorld && (
+            <div className="mb-6">
+              <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
+                {t('common.queryServer')}
+              </label>
+              <ServerSelector
+                datacenters={datacenters}
+                worlds={worlds}
+                selectedWorld={selectedWorld}
+                onWorldChange={onWorldChange}
+                selectedServerOption={selectedServerOption}
+                onServerOptionChange={onServerOptionChange}
+                serverOptions={serverOptions}
+                disabled={isLoading}
+              />
+            </div>
+          )}
+
+
+          {/* Filters */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 sm:gap-4 mb-4">
+              <div>
+                <label htmlFor="venture-class" className="block text-xs text-gray-400 mb-1">{t('ventures.retainerClass')}</label>
+                <select
+                  id="venture-class"
+                  value={retainerClass}
+                  onChange={(e) => setRetainerClass(parseInt(e.target.value, 10))}
+                  disabled={isLoading}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold"
+                >
+                  {RETAINER_CLASSES.map(entry => (
+                    <option key={entry.category} value={entry.category}>
+                      {entry.labelKey ? t(entry.labelKey) : getJobName(entry.jobId, language)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="venture-level" className="block text-xs text-gray-400 mb-1">{t('ventures.retainerLevel')}</label>
+                <input
+                  id="venture-level"
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={retainerLevel}
+                  onChange={(e) => setRetainerLevel(e.target.value)}
+                  disabled={isLoading}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                />
+              </div>
+              {isGatherer ? (
+                <>
+                  <div>
+                    <label htmlFor="venture-gathering" className="block text-xs text-gray-400 mb-1">{t('ventures.gathering')}</label>
+                    <input
+                      id="venture-gathering"
+                      type="number"
+                      min="0"
+                      value={retainerGathering}
+                      onChange={(e) => setRetainerGathering(e.target.value)}
+                      disabled={isLoading}
+                      className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="venture-perception" className="block text-xs text-gray-400 mb-1">{t('ventures.perception')}</label>
+                    <input
+                      id="venture-perception"
+                      type="number"
+                      min="0"
+                      value={retainerPerception}
+                      onChange={(e) => setRetainerPerception(e.target.value)}
+                      disabled={isLoading}
+                      className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                    />
+                  </div>
+                </>
+              ) : (
+                <div>
+                  <label htmlFor="venture-ilvl" className="block text-xs text-gray-400 mb-1">{t('ventures.averageIlvl')}</label>
+                  <input
+                    id="venture-ilvl"
+                    type="number"
+                    min="0"
+                    value={retainerIlvl}
+                    onChange={(e) => setRetainerIlvl(e.target.value)}
+                    disabled={isLoading}
+                    className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm text-right focus:outline-none focus:border-ffxiv-gold"
+                  />
+                </div>
+              )}
+            </div>
+
+            <div className="flex items-center gap-3 flex-wrap">
+              {isLoading ? (
+                <button
+                  onClick={handleStop}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-red-900/40 text-red-300 border border-red-500/40 hover:bg-red-800/50 transition-all"
+                >
+                  {t('common.stopQuery')}
+                </button>
+              ) : (
+                <button
+                  onClick={handleSearch}
+                  disabled={!selectedServerOption}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-gradient-to-r from-ffxiv-gold to-yellow-500 text-slate-900 hover:shadow-[0_0_15px_rgba(212,175,55,0.5)] disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                >
+                  {t('ventures.search')}
+                </button>
+              )}
+              {progress && progress.total > 0 && (
+                <div className="flex items-center gap-2 text-xs text-gray-400">
+                  <div className="w-40 h-1.5 bg-slate-700 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-ffxiv-gold transition-all"
+                      style={{ width: `${(progress.loaded / progress.total) * 100}%` }}
+                    />
+                  </div>
+                  {progress.loaded.toLocaleString()} / {progress.total.toLocaleString()}
+                </div>
+              )}
+              {searchedTarget && !isLoading && (
+                <span className="text-xs text-gray-500">
+                  {searchedTarget.isWorldMode ? t('common.worldScope', { name: searchedTarget.name }) : t('common.dcScope', { name: searchedTarget.name })} · {t('common.taxRate', { rate: TAX_RATE })}
+                </span>
+              )}
+            </div>
+          </div>
+
+          {/* Quick exploration: a pool-wide average kept apart from the targeted ranking */}
+          {quickExploration && (
+            <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
+              <div className="flex items-baseline gap-3 flex-wrap mb-2">
+                <h2 className="text-lg font-semibold text-ffxiv-gold">{t('ventures.quickTitle')}</h2>
+                <span className="text-xs text-gray-400">
+                  {t('ventures.quickSummary', {
+                    cost: quickExploration.cost,
+                    pool: quickExploration.poolSize,
+                    priced: quickExploration.pricedCount,
+                  })}
+                </span>
+              </div>
+              <p className="text-xs text-yellow-500 mb-3">{t('ventures.quickNotComparable')}</p>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+                <div className="bg-slate-800/60 rounded-lg border border-purple-500/20 p-4">
+                  <div className="text-xs text-gray-400 mb-1">{t('ventures.quickPoolAverage')}</div>
+                  <div className="text-2xl font-bold text-gray-300">{quickExploration.averageGil.toLocaleString()}</div>
+                </div>
+                <div className="bg-slate-800/60 rounded-lg border border-purple-500/20 p-4">
+                  <div className="text-xs text-gray-400 mb-1">{t('ventures.quickPoolAveragePerVenture')}</div>
+                  <div className="text-2xl font-bold text-gray-300">{quickExploration.averagePerVenture.toLocaleString()}</div>
+                </div>
+              </div>
+              {quickExploration.topRewards.length > 0 && (
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-xs text-gray-400">{t('ventures.quickTopRewards')}</span>
+                  {quickExploration.topRewards.map(reward => {
+                    const name = getItemName(reward.itemId);
+                    return (
+                      <button
+                        key={reward.itemId}
+                        onClick={() => handleOpenItem(reward.itemId)}
+                        className="flex items-center gap-1.5 px-2 py-1 rounded bg-slate-900/50 border border-purple-500/20 hover:border-ffxiv-gold/60 transition-colors text-xs"
+                        title={t('ventures.velocityTitle', { value: reward.velocity.toFixed(1) })}
+                      >
+                        <ItemImage itemId={reward.itemId} alt={name} className="w-5 h-5 object-contain rounded" />
+                        <span className="text-white">{name}</span>
+                        <span className="text-gray-400">{reward.unitPrice.toLocaleString()}</span>
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Results */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6">
+            <div className="flex items-center gap-3 flex-wrap mb-4">
+              <h2 className="text-lg font-semibold text-ffxiv-gold">
+                {t('ventures.resultsTitle', { count: results.length })}
+                {results.length > MAX_DISPLAYED_RESULTS && (
+                  <span className="ml-2 text-sm text-gray-400 font-normal">{t('common.showingTop', { count: MAX_DISPLAYED_RESULTS })}</span>
+                )}
+              </h2>
+              {results.length > 0 && (
+                <ExportButton
+                  getRows={() => results}
+                  columns={exportColumns}
+                  filename="ventures"
+                  className="ml-auto"
+                />
+              )}
+            </div>
+
+            {results.length === 0 ? (
+              <p className="text-center text-gray-400 py-8 text-sm">
+                {isLoading ? t('common.querying') : searchedTarget ? t('ventures.noResults') : t('ventures.idle')}
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-purple-500/30">
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">#</th>
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('ventures.taskItem')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('ventures.taskLevel')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('table.quantity')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('table.unitPrice')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('table.velocity')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('ventures.gilPerVenture')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {displayedResults.map((task, index) => {
+                      const name = getItemName(task.itemId);
+                      // Bringing back more than sells in a day means waiting on the board
+                      const isSlow = task.velocity < task.quantity;
+                      return (
+                        <tr
+                          key={task.taskId}
+                          className="border-b border-purple-500/10 hover:bg-purple-900/20 transition-colors"
+                        >
+                          <td className="px-2 sm:px-3 py-2 text-xs text-gray-500">{index + 1}</td>
+                          <td className="px-2 sm:px-3 py-2">
+                            <button
+                              onClick={() => handleOpenItem(task.itemId)}
+                              className="flex items-center gap-2 text-left hover:text-ffxiv-gold transition-colors"
+                            >
+                              <ItemImage itemId={task.itemId} alt={name} className="w-7 h-7 object-contain rounded" />
+                              <span className="text-white text-xs sm:text-sm">{name}</span>
+                            </button>
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">{task.level}</td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">{task.quantity}</td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">{task.unitPrice.toLocaleString()}</td>
+                          <td
+                            className={`px-2 sm:px-3 py-2 text-right text-xs ${isSlow ? 'text-yellow-500' : 'text-gray-300'}`}
+                            title={isSlow ? t('ventures.slowTitle') : undefined}
+                          >
+                            {task.velocity.toFixed(1)}
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-ffxiv-gold font-semibold">{task.gilPerVenture.toLocaleString()}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Version Info */}
+        <div className="mt-6 pt-4 border-t border-slate-600/30">
+          <p className="text-xs text-slate-500 text-center">
+            {t('common.appVersion')} <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+          </p>
+        </div>
+      </div>
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,562 @@
+// Voyage Planner (遠征收益規劃) - Submarine and airship sectors valued by their possible loot
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import TaxRatesModal from './TaxRatesModal';
+import ServerSelector from './ServerSelector';
+import ItemImage from './ItemImage';
+import ExportButton from './ExportButton';
+import { APP_VERSION } from '../constants/version';
+import { getMarketableItems } from '../services/universalis';
+import { getTwItemsByIds } from '../services/supabaseData';
+import {
+  VOYAGE_TYPES,
+  VOYAGE_TYPE_LABEL_KEYS,
+  MAX_ROUTE_SECTORS,
+  loadVoyageData,
+  rankVoyageSectors,
+  suggestBestRoute,
+} from '../services/voyages';
+import { getInternalUrl } from '../utils/internalUrl.js';
+import { generateItemUrl } from '../utils/urlSlug';
+import { useTranslation } from '../hooks/useTranslation';
+import { useItemNames } from '../hooks/useItemNames';
+
+// Loot is listed on the market board, so the default market tax applies
+const TAX_RATE = 5;
+const LOOT_PREVIEW_COUNT = 3;
+
+export default function VoyagePlanner({
+  addToast,
+  removeToast,
+  toasts,
+  datacenters,
+  worlds,
+  selectedWorld,
+  onWorldChange,
+  selectedServerOption,
+  onServerOptionChange,
+  serverOptions,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  isServerDataLoaded,
+  onItemSelect,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const navigate = useNavigate();
+  const { t, language } = useTranslation();
+  const [voyageType, setVoyageType] = useState(VOYAGE_TYPES.SUBMARINE);
+  const [seaFilter, setSeaFilter] = useState('all');
+  const [sectors, setSectors] = useState([]);
+  const [routeIds, setRouteIds] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+  const [itemNames, setItemNames] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [searchedTarget, setSearchedTarget] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  const isWorldMode = typeof selectedServerOption === 'number';
+  const targetName = isWorldMode ? worlds?.[selectedServerOption] : selectedServerOption;
+  const isSubmarine = voyageType === VOYAGE_TYPES.SUBMARINE;
+
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  const handleStop = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    setIsLoading(false);
+    setProgress(null);
+  }, []);
+
+  const handleTypeChange = useCallback((type) => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    setVoyageType(type);
+    setSeaFilter('all');
+    setSectors([]);
+    setRouteIds([]);
+    setExpandedId(null);
+    setSearchedTarget(null);
+    setIsLoading(false);
+    setProgress(null);
+  }, []);
+
+  const handleSearch = useCallback(async () => {
+    if (!selectedServerOption) {
+      addToast(t('common.selectServer'), 'warning');
+      return;
+    }
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+
+    setIsLoading(true);
+    setSectors([]);
+    setRouteIds([]);
+    setExpandedId(null);
+    setProgress(null);
+
+    try {
+      const [allSectors, marketable] = await Promise.all([
+        loadVoyageData(),
+        getMarketableItems(),
+      ]);
+      if (signal.aborted) return;
+
+      const typeSectors = allSectors.filter(sector => sector.type === voyageType);
+      const ranked = await rankVoyageSectors(selectedServerOption, typeSectors, {
+        marketable,
+        taxRate: TAX_RATE,
+        signal,
+        onProgress: (loaded, total) => setProgress({ loaded, total }),
+      });
+      if (signal.aborted) return;
+
+      const names = await getTwItemsByIds([...new Set(ranked.flatMap(sector => sector.lootItemIds))], signal);
+      if (signal.aborted) return;
+
+      setItemNames(names);
+      setSectors(ranked);
+      setRouteIds(suggestBestRoute(ranked)?.sectors.map(sector => sector.id) || []);
+      setSearchedTarget({ name: targetName, isWorldMode });
+    } catch (error) {
+      if (!signal.aborted) {
+        console.error('Failed to rank voyage sectors:', error);
+        addToast(error.message || t('common.queryFailed'), 'error');
+      }
+    } finally {
+      if (!signal.aborted) {
+        setIsLoading(false);
+        setProgress(null);
+      }
+    }
+  }, [selectedServerOption, voyageType, targetName, isWorldMode, addToast, t]);
+
+  const seas = useMemo(() => (
+    [...new Set(sectors.map(sector => sector.sea))].sort((a, b) => a - b)
+  ), [sectors]);
+
+  const displayedSectors = useMemo(() => (
+    seaFilter === 'all' ? sectors : sectors.filter(sector => sector.sea === seaFilter)
+  ), [sectors, seaFilter]);
+
+  const bestRoute = useMemo(() => suggestBestRoute(displayedSectors), [displayedSectors]);
+
+  const route = useMemo(() => {
+    const routeSectors = routeIds
+      .map(id => sectors.find(sector => sector.id === id))
+      .filter(Boolean);
+    return {
+      sectors: routeSectors,
+      expectedGil: routeSectors.reduce((sum, sector) => sum + sector.expectedGil, 0),
+    };
+  }, [routeIds, sectors]);
+
+  const handleToggleRoute = useCallback((sector) => {
+    if (routeIds.includes(sector.id)) {
+      setRouteIds(routeIds.filter(id => id !== sector.id));
+      return;
+    }
+    // Submarine routes can't leave the sea they start in
+    const routeSea = route.sectors[0]?.sea;
+    if (isSubmarine && routeSea !== undefined && routeSea !== sector.sea) {
+      addToast(t('voyages.sameSeaOnly'), 'warning');
+      return;
+    }
+    if (routeIds.length >= MAX_ROUTE_SECTORS) {
+      addToast(t('voyages.maxSectors', { max: MAX_ROUTE_SECTORS }), 'warning');
+      return;
+    }
+    setRouteIds([...routeIds, sector.id]);
+  }, [routeIds, route.sectors, isSubmarine, addToast, t]);
+
+  // Previewed loot of every listed sector, plus the full loot table of the expanded one
+  const localizedNames = useItemNames(
+    displayedSectors.flatMap(sector => (
+      sector.id === expandedId ? sector.lootItemIds : sector.loot.slice(0, LOOT_PREVIEW_COUNT).map(reward => reward.itemId)
+    )),
+    language
+  );
+  const getItemName = useCallback((itemId) => (
+    localizedNames[itemId] || itemNames[itemId]?.tw || t('common.itemFallback', { id: itemId })
+  ), [localizedNames, itemNames, t]);
+
+  const getSectorName = useCallback((sector) => (
+    sector.names[language] || t('voyages.sectorFallback', { id: sector.id })
+  ), [language, t]);
+
+  const handleOpenItem = useCallback((itemId) => {
+    const itemUrl = generateItemUrl(itemId, itemNames[itemId]?.tw || 'item');
+    window.open(`${window.location.origin}${getInternalUrl(itemUrl)}`, '_blank', 'noopener,noreferrer');
+  }, [itemNames]);
+
+  const getSeaLabel = (sea) => t('voyages.seaN', { sea });
+
+  const exportColumns = useMemo(() => [
+    { key: 'id', label: 'ID' },
+    { key: 'name', label: t('voyages.sector'), value: (row) => getSectorName(row) },
+    ...(isSubmarine ? [{ key: 'sea', label: t('voyages.sea') }] : []),
+    { key: 'lootCount', label: t('voyages.possibleLoot'), value: (row) => row.lootItemIds.length },
+    { key: 'pricedCount', label: t('voyages.priced') },
+    { key: 'expectedGil', label: t('voyages.expectedGilAfterTax') },
+    {
+      key: 'bestLoot',
+      label: t('voyages.bestLoot'),
+      value: (row) => (row.loot[0] ? localizedNames[row.loot[0].itemId] || itemNames[row.loot[0].itemId]?.tw || row.loot[0].itemId : ''),
+    },
+  ], [isSubmarine, itemNames, localizedNames, getSectorName, t]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        onTaxRatesClick={onTaxRatesClick}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+              {t('voyages.title')}
+            </h1>
+            <p className="text-gray-400 text-sm sm:text-base">
+              {t('voyages.description')}
+            </p>
+          </div>
+
+          {/* Server Selector */}
+          {selectedWorld && (
+            <div className="mb-6">
+              <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
+                {t('common.queryServer')}
+              </label>
+              <ServerSelector
+                datacenters={datacenters}
+                worlds={worlds}
+                selectedWorld={selectedWorld}
+                onWorldChange={onWorldChange}
+                selectedServerOption={selectedServerOption}
+                onServerOptionChange={onServerOptionChange}
+                serverOptions={serverOptions}
+                disabled={isLoading}
+              />
+            </div>
+          )}
+
+
+          {/* Filters */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 sm:gap-4 mb-4">
+              <div>
+                <label htmlFor="voyage-type" className="block text-xs text-gray-400 mb-1">{t('voyages.voyageType')}</label>
+                <select
+                  id="voyage-type"
+                  value={voyageType}
+                  onChange={(e) => handleTypeChange(parseInt(e.target.value, 10))}
+                  disabled={isLoading}
+                  className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold"
+                >
+                  {Object.values(VOYAGE_TYPES).map(type => (
+                    <option key={type} value={type}>{t(VOYAGE_TYPE_LABEL_KEYS[type])}</option>
+                  ))}
+                </select>
+              </div>
+              {isSubmarine && seas.length > 0 && (
+                <div>
+                  <label htmlFor="voyage-sea" className="block text-xs text-gray-400 mb-1">{t('voyages.sea')}</label>
+                  <select
+                    id="voyage-sea"
+                    value={seaFilter}
+                    onChange={(e) => setSeaFilter(e.target.value === 'all' ? 'all' : parseInt(e.target.value, 10))}
+                    disabled={isLoading}
+                    className="w-full px-2 py-1.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold"
+                  >
+                    <option value="all">{t('voyages.allSeas')}</option>
+                    {seas.map(sea => (
+                      <option key={sea} value={sea}>{getSeaLabel(sea)}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </div>
+
+            <div className="flex items-center gap-3 flex-wrap">
+              {isLoading ? (
+                <button
+                  onClick={handleStop}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-red-900/40 text-red-300 border border-red-500/40 hover:bg-red-800/50 transition-all"
+                >
+                  {t('common.stopQuery')}
+                </button>
+              ) : (
+                <button
+                  onClick={handleSearch}
+                  disabled={!selectedServerOption}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-gradient-to-r from-ffxiv-gold to-yellow-500 text-slate-900 hover:shadow-[0_0_15px_rgba(212,175,55,0.5)] disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                >
+                  {t('voyages.search', { type: t(VOYAGE_TYPE_LABEL_KEYS[voyageType]) })}
+                </button>
+              )}
+              {progress && progress.total > 0 && (
+                <div className="flex items-center gap-2 text-xs text-gray-400">
+                  <div className="w-40 h-1.5 bg-slate-700 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-ffxiv-gold transition-all"
+                      style={{ width: `${(progress.loaded / progress.total) * 100}%` }}
+                    />
+                  </div>
+                  {progress.loaded.toLocaleString()} / {progress.total.toLocaleString()}
+                </div>
+              )}
+              {searchedTarget && !isLoading && (
+                <span className="text-xs text-gray-500">
+                  {searchedTarget.isWorldMode
+                    ? t('common.worldScope', { name: searchedTarget.name })
+                    : t('common.dcScope', { name: searchedTarget.name })} · {t('common.taxRate', { rate: TAX_RATE })}
+                </span>
+              )}
+            </div>
+          </div>
+
+          {/* Route */}
+          {sectors.length > 0 && (
+            <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
+              <div className="flex items-baseline gap-3 flex-wrap mb-3">
+                <h2 className="text-lg font-semibold text-ffxiv-gold">{t('voyages.routeTitle')}</h2>
+                <span className="text-xs text-gray-400">
+                  {t(isSubmarine ? 'voyages.routeHintSubmarine' : 'voyages.routeHint', { max: MAX_ROUTE_SECTORS })}
+                </span>
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+                <div className="bg-slate-800/60 rounded-lg border border-purple-500/20 p-4">
+                  <div className="text-xs text-gray-400 mb-1">{t('voyages.currentRoute')}</div>
+                  <div className="text-2xl font-bold text-ffxiv-gold">{route.expectedGil.toLocaleString()}</div>
+                </div>
+                <div className="bg-slate-800/60 rounded-lg border border-purple-500/20 p-4">
+                  <div className="text-xs text-gray-400 mb-1">
+                    {bestRoute && isSubmarine
+                      ? t('voyages.suggestedRouteInSea', { sea: getSeaLabel(bestRoute.sea) })
+                      : t('voyages.suggestedRoute')}
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <div className="text-2xl font-bold text-white">{bestRoute ? bestRoute.expectedGil.toLocaleString() : '-'}</div>
+                    {bestRoute && (
+                      <button
+                        onClick={() => setRouteIds(bestRoute.sectors.map(sector => sector.id))}
+                        className="px-2 py-1 rounded text-xs bg-purple-800/40 text-purple-200 border border-purple-500/40 hover:bg-purple-700/50 transition-colors"
+                      >
+                        {t('voyages.apply')}
+                      </button>
+                    )}
+                  </div>
+                  {bestRoute && (
+                    <div className="text-xs text-gray-500 mt-1">
+                      {bestRoute.sectors.map(sector => sector.location || getSectorName(sector)).join(' → ')}
+                    </div>
+                  )}
+                </div>
+              </div>
+              {route.sectors.length > 0 ? (
+                <div className="flex flex-wrap gap-2">
+                  {route.sectors.map(sector => (
+                    <button
+                      key={sector.id}
+                      onClick={() => handleToggleRoute(sector)}
+                      className="flex items-center gap-1.5 px-2 py-1 rounded bg-slate-900/50 border border-purple-500/20 hover:border-red-500/60 transition-colors text-xs"
+                      title={t('voyages.removeFromRoute')}
+                    >
+                      <span className="text-white">{getSectorName(sector)}</span>
+                      <span className="text-gray-400">{sector.expectedGil.toLocaleString()}</span>
+                      <span className="text-gray-500">×</span>
+                    </button>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-xs text-gray-500">{t('voyages.noRouteSectors')}</p>
+              )}
+            </div>
+          )}
+
+          {/* Results */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6">
+            <div className="flex items-center gap-3 flex-wrap mb-4">
+              <h2 className="text-lg font-semibold text-ffxiv-gold">
+                {t('voyages.resultsTitle', { count: displayedSectors.length })}
+              </h2>
+              {displayedSectors.length > 0 && (
+                <ExportButton
+                  getRows={() => displayedSectors}
+                  columns={exportColumns}
+                  filename="voyages"
+                  className="ml-auto"
+                />
+              )}
+            </div>
+
+            {displayedSectors.length === 0 ? (
+              <p className="text-center text-gray-400 py-8 text-sm">
+                {isLoading ? t('common.querying') : searchedTarget ? t('voyages.noResults') : t('voyages.idle')}
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-purple-500/30">
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('voyages.routeTitle')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('voyages.sector')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('voyages.possibleLoot')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('voyages.priced')}</th>
+                      <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('voyages.expectedGil')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {displayedSectors.map(sector => {
+                      const isExpanded = expandedId === sector.id;
+                      const isInRoute = routeIds.includes(sector.id);
+                      const lootPrices = new Map(sector.loot.map(reward => [reward.itemId, reward]));
+                      // Priced loot first, then whatever can't be sold
+                      const lootRows = [
+                        ...sector.loot,
+                        ...sector.lootItemIds.filter(itemId => !lootPrices.has(itemId)).map(itemId => ({ itemId })),
+                      ];
+                      return [
+                        <tr
+                          key={sector.id}
+                          onClick={() => setExpandedId(isExpanded ? null : sector.id)}
+                          className={`border-b border-purple-500/10 hover:bg-purple-900/20 transition-colors cursor-pointer ${isInRoute ? 'bg-purple-900/20' : ''}`}
+                        >
+                          <td className="px-2 sm:px-3 py-2" onClick={(e) => e.stopPropagation()}>
+                            <input
+                              type="checkbox"
+                              checked={isInRoute}
+                              onChange={() => handleToggleRoute(sector)}
+                              className="accent-ffxiv-gold"
+                              aria-label={t('voyages.addToRoute', { name: getSectorName(sector) })}
+                            />
+                          </td>
+                          <td className="px-2 sm:px-3 py-2">
+                            <div className="text-white text-xs sm:text-sm">{getSectorName(sector)}</div>
+                            {isSubmarine && <div className="text-[10px] text-gray-500">{getSeaLabel(sector.sea)}</div>}
+                          </td>
+                          <td className="px-2 sm:px-3 py-2">
+                            <div className="flex items-center gap-1">
+                              {sector.loot.slice(0, LOOT_PREVIEW_COUNT).map(reward => (
+                                <ItemImage
+                                  key={reward.itemId}
+                                  itemId={reward.itemId}
+                                  alt={getItemName(reward.itemId)}
+                                  title={`${getItemName(reward.itemId)}: ${reward.unitPrice.toLocaleString()}`}
+                                  className="w-6 h-6 object-contain rounded"
+                                />
+                              ))}
+                              <span className="text-[10px] text-gray-500">{t('voyages.lootCount', { count: sector.lootItemIds.length })}</span>
+                            </div>
+                          </td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-gray-300">{sector.pricedCount}</td>
+                          <td className="px-2 sm:px-3 py-2 text-right text-xs text-ffxiv-gold font-semibold">{sector.expectedGil.toLocaleString()}</td>
+                        </tr>,
+                        isExpanded && (
+                          <tr key={`${sector.id}-loot`} className="border-b border-purple-500/10 bg-slate-900/40">
+                            <td colSpan={5} className="px-2 sm:px-3 py-2">
+                              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+                                {lootRows.map(reward => {
+                                  const name = getItemName(reward.itemId);
+                                  return (
+                                    <button
+                                      key={reward.itemId}
+                                      onClick={() => handleOpenItem(reward.itemId)}
+                                      className="flex items-center gap-2 px-2 py-1 rounded bg-slate-800/60 border border-purple-500/20 hover:border-ffxiv-gold/50 text-left transition-colors"
+                                    >
+                                      <ItemImage itemId={reward.itemId} alt={name} className={`w-6 h-6 object-contain rounded ${reward.unitPrice ? '' : 'opacity-40'}`} />
+                                      <span className="text-xs text-white truncate flex-1">{name}</span>
+                                      <span className="text-xs text-gray-300">{reward.unitPrice ? reward.unitPrice.toLocaleString() : t('common.noPrice')}</span>
+                                      <span className="text-[10px] text-gray-500 w-14 text-right">{reward.velocity ? t('common.perDay', { count: reward.velocity.toFixed(1) }) : ''}</span>
+                                    </button>
+                                  );
+                                })}
+                              </div>
+                            </td>
+                          </tr>
+                        ),
+                      ];
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Version Info */}
+        <div className="mt-6 pt-4 border-t border-slate-600/30">
+          <p className="text-xs text-slate-500 text-center">
+            {t('common.appVersion')} <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+          </p>
+        </div>
+      </div>
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,399 @@
+// Watchlist (追蹤清單) - Pin items with buy/sell thresholds and get alerted when listings cross them
+import { useState, useCallback, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import TaxRatesModal from './TaxRatesModal';
+import ItemImage from './ItemImage';
+import { APP_VERSION } from '../constants/version';
+import { useTranslation } from '../hooks/useTranslation';
+import { useItemNames } from '../hooks/useItemNames';
+import { generateItemUrl } from '../utils/urlSlug';
+import { getInternalUrl } from '../utils/internalUrl.js';
+import { formatRelativeTime } from '../utils/timeFormat';
+import {
+  WATCHLIST_QUALITY,
+  updateWatchlistEntry,
+  removeFromWatchlist,
+  clearWatchlist,
+  exportWatchlist,
+  importWatchlist,
+  updateWatchlistSettings,
+} from '../utils/watchlist';
+
+// Label keys; NQ/HQ are the same in every language
+const QUALITY_OPTIONS = [
+  { value: WATCHLIST_QUALITY.ANY, labelKey: 'common.any' },
+  { value: WATCHLIST_QUALITY.NQ, label: 'NQ' },
+  { value: WATCHLIST_QUALITY.HQ, label: 'HQ' },
+];
+
+const INTERVAL_OPTIONS = [1, 5, 10, 15, 30, 60];
+
+export default function Watchlist({
+  addToast,
+  removeToast,
+  toasts,
+  worlds,
+  selectedWorld,
+  selectedServerOption,
+  onServerOptionChange,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  isServerDataLoaded,
+  onItemSelect,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+  watchlist,
+  watchlistSettings,
+  isCheckingWatchlist,
+  watchlistLastRunAt,
+  onCheckWatchlist,
+}) {
+  const navigate = useNavigate();
+  const { t, language } = useTranslation();
+  const localizedNames = useItemNames(watchlist.map(entry => entry.itemId), language);
+  const fileInputRef = useRef(null);
+  const [confirmClear, setConfirmClear] = useState(false);
+
+  const handleThresholdChange = useCallback((entryId, field, value) => {
+    // Reset the alert key so a changed threshold can alert again immediately
+    updateWatchlistEntry(entryId, { [field]: value, lastAlertKey: null });
+  }, []);
+
+  const handleOpenItem = useCallback((entry) => {
+    const itemUrl = generateItemUrl(entry.itemId, entry.itemName || 'item');
+    window.open(`${window.location.origin}${getInternalUrl(itemUrl)}`, '_blank', 'noopener,noreferrer');
+  }, []);
+
+  const handleExport = useCallback(() => {
+    const blob = new Blob([exportWatchlist()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ffxiv-market-watchlist-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }, []);
+
+  const handleImportFile = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const count = importWatchlist(text);
+      addToast(t('watchlist.imported', { count }), 'success');
+    } catch (error) {
+      console.error('Failed to import watchlist:', error);
+      addToast(error instanceof SyntaxError ? t('watchlist.importInvalidJson') : t('watchlist.importFailed', { message: error.message }), 'error');
+    }
+  }, [addToast, t]);
+
+  const handleToggleNotifications = useCallback(async () => {
+    if (watchlistSettings.browserNotifications) {
+      updateWatchlistSettings({ browserNotifications: false });
+      return;
+    }
+
+    if (!('Notification' in window)) {
+      addToast(t('watchlist.notificationsUnsupported'), 'warning');
+      return;
+    }
+
+    const permission = Notification.permission === 'granted'
+      ? 'granted'
+      : await Notification.requestPermission();
+    if (permission === 'granted') {
+      updateWatchlistSettings({ browserNotifications: true });
+      addToast(t('watchlist.notificationsEnabled'), 'success');
+    } else {
+      addToast(t('watchlist.notificationsDenied'), 'warning');
+    }
+  }, [watchlistSettings.browserNotifications, addToast, t]);
+
+  const handleClear = useCallback(() => {
+    if (!confirmClear) {
+      setConfirmClear(true);
+      setTimeout(() => setConfirmClear(false), 3000);
+      return;
+    }
+    clearWatchlist();
+    setConfirmClear(false);
+    addToast(t('watchlist.cleared'), 'info');
+  }, [confirmClear, addToast, t]);
+
+  const getStatus = (entry) => {
+    if (entry.lastPrice === null || entry.lastPrice === undefined) {
+      return { label: t('common.noData'), className: 'text-gray-500' };
+    }
+    if (entry.buyBelow !== null && entry.lastPrice <= entry.buyBelow) {
+      return { label: t('watchlist.statusBuy'), className: 'text-green-400 font-semibold' };
+    }
+    if (entry.sellAbove !== null && entry.lastPrice >= entry.sellAbove) {
+      return { label: t('watchlist.statusSell'), className: 'text-ffxiv-gold font-semibold' };
+    }
+    return { label: t('watchlist.statusWatching'), className: 'text-gray-400' };
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        activePage="watchlist"
+        onTaxRatesClick={onTaxRatesClick}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+              {t('watchlist.title')}
+            </h1>
+            <p className="text-gray-400 text-sm sm:text-base">
+              {t('watchlist.description')}
+            </p>
+          </div>
+
+          {/* Settings */}
+          <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
+            <div className="flex flex-wrap items-center gap-3 sm:gap-4">
+              <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={watchlistSettings.enabled}
+                  onChange={(e) => updateWatchlistSettings({ enabled: e.target.checked })}
+                  className="w-4 h-4 accent-ffxiv-gold"
+                />
+                {t('watchlist.autoCheck')}
+              </label>
+
+              <label className="flex items-center gap-2 text-sm text-gray-300">
+                {t('common.every')}
+                <select
+                  value={watchlistSettings.intervalMinutes}
+                  onChange={(e) => updateWatchlistSettings({ intervalMinutes: Number(e.target.value) })}
+                  className="px-2 py-1 bg-slate-900/50 border border-purple-500/30 rounded text-white text-sm focus:outline-none focus:border-ffxiv-gold"
+                >
+                  {INTERVAL_OPTIONS.map(minutes => (
+                    <option key={minutes} value={minutes}>{minutes}</option>
+                  ))}
+                </select>
+                {t('common.minutes')}
+              </label>
+
+              <button
+                onClick={handleToggleNotifications}
+                className={`px-3 py-1.5 rounded-lg text-xs sm:text-sm font-medium transition-all border ${
+                  watchlistSettings.browserNotifications
+                    ? 'bg-ffxiv-gold text-slate-900 border-ffxiv-gold'
+                    : 'bg-slate-800/50 text-gray-300 border-purple-500/30 hover:bg-purple-800/40'
+                }`}
+              >
+                {watchlistSettings.browserNotifications ? t('watchlist.notificationsOn') : t('watchlist.notificationsOff')}
+              </button>
+
+              <button
+                onClick={onCheckWatchlist}
+                disabled={isCheckingWatchlist || watchlist.length === 0}
+                className="px-3 py-1.5 rounded-lg text-xs sm:text-sm font-medium bg-purple-800/60 text-white border border-purple-500/40 hover:bg-purple-700/60 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+              >
+                {isCheckingWatchlist ? t('watchlist.checking') : t('watchlist.checkNow')}
+              </button>
+
+              {watchlistLastRunAt && (
+                <span className="text-xs text-gray-500">
+                  {t('watchlist.lastCheck', { time: formatRelativeTime(watchlistLastRunAt) })}
+                </span>
+              )}
+
+              <div className="flex items-center gap-2 sm:ml-auto">
+                <button
+                  onClick={handleExport}
+                  disabled={watchlist.length === 0}
+                  className="px-3 py-1.5 rounded-lg text-xs sm:text-sm bg-slate-800/50 text-gray-300 border border-purple-500/30 hover:bg-purple-800/40 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                >
+                  {t('common.export')}
+                </button>
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  className="px-3 py-1.5 rounded-lg text-xs sm:text-sm bg-slate-800/50 text-gray-300 border border-purple-500/30 hover:bg-purple-800/40 transition-all"
+                >
+                  {t('common.import')}
+                </button>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept="application/json,.json"
+                  onChange={handleImportFile}
+                  className="hidden"
+                />
+                <button
+                  onClick={handleClear}
+                  disabled={watchlist.length === 0}
+                  className="px-3 py-1.5 rounded-lg text-xs sm:text-sm bg-red-900/40 text-red-300 border border-red-500/40 hover:bg-red-800/50 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                >
+                  {confirmClear ? t('common.confirmClear') : t('common.clear')}
+                </button>
+              </div>
+            </div>
+          </div>
+
+          {/* Watchlist Table */}
+          {watchlist.length === 0 ? (
+            <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-8 text-center text-gray-400">
+              {t('watchlist.empty')}
+            </div>
+          ) : (
+            <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-slate-900/50">
+                  <tr>
+                    <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('table.item')}</th>
+                    <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('table.world')}</th>
+                    <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('watchlist.quality')}</th>
+                    <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('watchlist.buyBelow')}</th>
+                    <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('watchlist.sellAbove')}</th>
+                    <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('watchlist.currentLowest')}</th>
+                    <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('watchlist.status')}</th>
+                    <th className="px-2 sm:px-3 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {watchlist.map(entry => {
+                    const status = getStatus(entry);
+                    const itemName = localizedNames[entry.itemId] || entry.itemName || t('common.itemFallback', { id: entry.itemId });
+                    return (
+                      <tr key={entry.id} className="border-t border-purple-500/10 hover:bg-purple-900/10">
+                        <td className="px-2 sm:px-3 py-2">
+                          <button
+                            onClick={() => handleOpenItem(entry)}
+                            className="flex items-center gap-2 text-left hover:text-ffxiv-gold transition-colors"
+                          >
+                            <ItemImage itemId={entry.itemId} alt={itemName} className="w-7 h-7 object-contain rounded" />
+                            <span>{itemName}</span>
+                          </button>
+                        </td>
+                        <td className="px-2 sm:px-3 py-2 text-gray-300">
+                          {typeof entry.scope === 'number' ? (worlds?.[entry.scope] || entry.scopeName) : entry.scopeName}
+                        </td>
+                        <td className="px-2 sm:px-3 py-2">
+                          <select
+                            value={entry.quality}
+                            onChange={(e) => handleThresholdChange(entry.id, 'quality', e.target.value)}
+                            className="px-1.5 py-1 bg-slate-900/50 border border-purple-500/30 rounded text-white text-xs focus:outline-none focus:border-ffxiv-gold"
+                          >
+                            {QUALITY_OPTIONS.map(({ value, label, labelKey }) => (
+                              <option key={value} value={value}>{labelKey ? t(labelKey) : label}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-2 sm:px-3 py-2 text-right">
+                          <input
+                            key={`buy-${entry.buyBelow}`}
+                            type="number"
+                            min="1"
+                            defaultValue={entry.buyBelow ?? ''}
+                            onBlur={(e) => handleThresholdChange(entry.id, 'buyBelow', e.target.value)}
+                            placeholder="-"
+                            className="w-24 px-2 py-1 bg-slate-900/50 border border-purple-500/30 rounded text-white text-xs text-right focus:outline-none focus:border-ffxiv-gold"
+                          />
+                        </td>
+                        <td className="px-2 sm:px-3 py-2 text-right">
+                          <input
+                            key={`sell-${entry.sellAbove}`}
+                            type="number"
+                            min="1"
+                            defaultValue={entry.sellAbove ?? ''}
+                            onBlur={(e) => handleThresholdChange(entry.id, 'sellAbove', e.target.value)}
+                            placeholder="-"
+                            className="w-24 px-2 py-1 bg-slate-900/50 border border-purple-500/30 rounded text-white text-xs text-right focus:outline-none focus:border-ffxiv-gold"
+                          />
+                        </td>
+                        <td className="px-2 sm:px-3 py-2 text-right text-gray-200 font-mono">
+                          {entry.lastPrice !== null && entry.lastPrice !== undefined ? entry.lastPrice.toLocaleString() : '-'}
+                          {entry.lastCheckedAt && (
+                            <div className="text-[10px] text-gray-500 font-sans">{formatRelativeTime(entry.lastCheckedAt)}</div>
+                          )}
+                        </td>
+                        <td className={`px-2 sm:px-3 py-2 text-xs ${status.className}`}>{status.label}</td>
+                        <td className="px-2 sm:px-3 py-2 text-right">
+                          <button
+                            onClick={() => removeFromWatchlist(entry.id)}
+                            className="text-xs text-gray-500 hover:text-red-400 transition-colors"
+                            title={t('common.remove')}
+                          >
+                            ✕
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Version Info */}
+        <div className="mt-6 pt-4 border-t border-slate-600/30">
+          <p className="text-xs text-slate-500 text-center">
+            {t('common.appVersion')} <span className="text-ffxiv-gold font-semibold">{APP_VERSION}</span>
+          </p>
+        </div>
+      </div>
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
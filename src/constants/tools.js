@@ -0,0 +1,83 @@
+// Market tools listed in the TopBar tools menu (工具)
+// Each tool is a page registered in App.jsx under the same path; label/description are the
+// TW text, translated via the tools.<id>.* catalog keys
+export const MARKET_TOOLS = [
+  {
+    id: 'arbitrage',
+    path: '/arbitrage',
+    label: '跨服倒賣',
+    description: '找出其他伺服器便宜、可搬回本服轉賣的物品',
+  },
+  {
+    id: 'retainers',
+    path: '/retainers',
+    label: '雇員壓價追蹤',
+    description: '檢查雇員掛單是否被壓價並建議新價格',
+  },
+  {
+    id: 'gathering',
+    path: '/gathering',
+    label: '採集賺錢',
+    description: '依市場價格與銷量排序採礦、園藝、捕魚的採集物',
+  },
+  {
+    id: 'craftingPlanner',
+    path: '/crafting-planner',
+    label: '製作計畫',
+    description: '合併多個成品的材料需求，列出購買清單與製作順序',
+  },
+  {
+    id: 'desynth',
+    path: '/desynth',
+    label: '精製分解估價',
+    description: '估算精製與分解產出的價值，與直接賣出比較',
+  },
+  {
+    id: 'vendorFlips',
+    path: '/vendor-flips',
+    label: '商店倒賣',
+    description: '找出 NPC 金幣商店便宜、市場板賣得更貴的物品',
+  },
+  {
+    id: 'currencyExchange',
+    path: '/currency-exchange',
+    label: '貨幣兌換',
+    description: '比較神典石、工票與徽章能兌換的物品，找出每單位貨幣最值錢的選擇',
+  },
+  {
+    id: 'itemComparison',
+    path: '/item-compare',
+    label: '裝備比較',
+    description: '並排比較裝備的屬性、魔晶石孔、職業與價格',
+  },
+  {
+    id: 'meldingCost',
+    path: '/melding',
+    label: '魔晶石鑲嵌估價',
+    description: '計算禁斷成功率、預期消耗的魔晶石數量與花費',
+  },
+  {
+    id: 'usedIn',
+    path: '/used-in',
+    label: '素材用途探索',
+    description: '追溯素材能做成的所有成品，找出最划算的用途',
+  },
+  {
+    id: 'ventures',
+    path: '/ventures',
+    label: '雇員探險收益',
+    description: '依每枚探險幣能換多少金幣排序雇員可接的指定委託',
+  },
+  {
+    id: 'voyages',
+    path: '/voyages',
+    label: '遠征收益規劃',
+    description: '估算潛水艇與飛空艇各探索區域的戰利品價值，找出最賺的航線',
+  },
+  {
+    id: 'islandWorkshop',
+    path: '/island-workshop',
+    label: '無人島工房排程',
+    description: '依本週人氣與供給排出貝殼最多的工房排程，並查詢牧場與農田產物市價',
+  },
+];
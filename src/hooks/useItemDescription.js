@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react';
+import { getItemDescriptionsByIds } from '../services/supabaseData';
+
+/**
+ * Custom hook for an item's description in the UI language
+ * @param {number|null} itemId - Item ID, or null when no item is shown
+ * @param {string} language - UI language code
+ * @returns {string|null} - Description, or null while loading / when the item has none
+ */
+export function useItemDescription(itemId, language) {
+  const [description, setDescription] = useState(null);
+
+  useEffect(() => {
+    setDescription(null);
+    if (!itemId) return undefined;
+
+    const abortController = new AbortController();
+    getItemDescriptionsByIds([itemId], language, abortController.signal)
+      .then(result => {
+        if (!abortController.signal.aborted) {
+          setDescription(result[itemId] || null);
+        }
+      })
+      .catch(error => {
+        if (error.name !== 'AbortError') {
+          console.error('Failed to load item description:', error);
+        }
+      });
+
+    return () => abortController.abort();
+  }, [itemId, language]);
+
+  return description;
+}
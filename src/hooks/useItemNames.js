@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+import { getItemNamesByIds } from '../services/supabaseData';
+
+/**
+ * Custom hook for item names in the UI language
+ * TW names are already on the items, so nothing is fetched for 'tw'.
+ * @param {Array<number>} itemIds - Item IDs currently displayed
+ * @param {string} language - UI language code
+ * @returns {Object} {itemId: name}; missing IDs should fall back to the TW name
+ */
+export function useItemNames(itemIds, language) {
+  const [names, setNames] = useState({});
+  const idsKey = (itemIds || []).join(',');
+
+  useEffect(() => {
+    if (language === 'tw' || !idsKey) {
+      setNames({});
+      return undefined;
+    }
+
+    const abortController = new AbortController();
+    getItemNamesByIds(idsKey.split(',').map(Number), language, abortController.signal)
+      .then(result => {
+        if (!abortController.signal.aborted) {
+          setNames(result);
+        }
+      })
+      .catch(error => {
+        if (error.name !== 'AbortError') {
+          console.error('Failed to load localized item names:', error);
+        }
+      });
+
+    return () => abortController.abort();
+  }, [idsKey, language]);
+
+  return names;
+}
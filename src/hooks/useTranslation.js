@@ -0,0 +1,33 @@
+import { useState, useEffect, useCallback } from 'react';
+import { translate } from '../i18n';
+import { getUILanguage, setUILanguage, subscribeToUILanguage } from '../utils/uiLanguage';
+
+/**
+ * Custom hook for UI translations
+ * Re-renders the component when the UI language changes (in this tab or another)
+ * @returns {Object} { t(key, params), language, setLanguage(code) }
+ */
+export function useTranslation() {
+  const [language, setLanguageState] = useState(() => getUILanguage());
+
+  useEffect(() => {
+    const unsubscribe = subscribeToUILanguage(setLanguageState);
+
+    // Also listen for storage events (for cross-tab sync)
+    const handleStorageChange = (e) => {
+      if (e.key === 'ffxiv_market_ui_language') {
+        setLanguageState(getUILanguage());
+      }
+    };
+    window.addEventListener('storage', handleStorageChange);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', handleStorageChange);
+    };
+  }, []);
+
+  const t = useCallback((key, params) => translate(language, key, params), [language]);
+
+  return { t, language, setLanguage: setUILanguage };
+}
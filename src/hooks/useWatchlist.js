@@ -0,0 +1,174 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getMarketData } from '../services/universalis';
+import { translate } from '../i18n';
+import { getUILanguage } from '../utils/uiLanguage';
+import {
+  getWatchlist,
+  getWatchlistSettings,
+  subscribeToWatchlist,
+  recordWatchlistChecks,
+  evaluateWatchlistEntry,
+  WATCHLIST_QUALITY,
+} from '../utils/watchlist';
+
+// Delay the first check after load so it doesn't compete with the initial page requests
+const INITIAL_CHECK_DELAY_MS = 10000;
+
+/**
+ * Show a browser notification if the user has granted permission
+ * @param {string} title
+ * @param {string} body
+ */
+function showBrowserNotification(title, body) {
+  if (typeof window === 'undefined' || !('Notification' in window)) return;
+  if (Notification.permission !== 'granted') return;
+  try {
+    new Notification(title, { body, tag: title });
+  } catch (error) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.error('Failed to show browser notification:', error);
+  }
+}
+
+/**
+ * Custom hook for the watchlist
+ * Keeps the watchlist/settings in sync with localStorage and polls Universalis on an interval,
+ * raising toasts (and browser notifications if enabled) when a listing crosses a threshold
+ * @param {Function} addToast - Toast callback from App
+ */
+export function useWatchlist(addToast) {
+  const [watchlist, setWatchlist] = useState(() => getWatchlist());
+  const [settings, setSettings] = useState(() => getWatchlistSettings());
+  const [isChecking, setIsChecking] = useState(false);
+  const [lastRunAt, setLastRunAt] = useState(null);
+  const isCheckingRef = useRef(false);
+  const abortControllerRef = useRef(null);
+
+  // Subscribe to watchlist changes
+  useEffect(() => {
+    const handleChange = (newWatchlist) => {
+      setWatchlist(newWatchlist);
+      setSettings(getWatchlistSettings());
+    };
+    const unsubscribe = subscribeToWatchlist(handleChange);
+
+    // Also listen for storage events (for cross-tab sync)
+    const handleStorageChange = (e) => {
+      if (e.key === 'ffxiv_market_watchlist' || e.key === 'ffxiv_market_watchlist_settings') {
+        handleChange(getWatchlist());
+      }
+    };
+    window.addEventListener('storage', handleStorageChange);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', handleStorageChange);
+    };
+  }, []);
+
+  const checkNow = useCallback(async () => {
+    if (isCheckingRef.current) return;
+    const entries = getWatchlist();
+    if (entries.length === 0) return;
+
+    isCheckingRef.current = true;
+    setIsChecking(true);
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+    const notify = getWatchlistSettings().browserNotifications;
+
+    // Entries on the same item/scope/quality share one request
+    const marketDataCache = new Map();
+    const results = {};
+
+    try {
+      // Sequential on purpose: getMarketData goes through requestManager's rate limiting
+      for (const entry of entries) {
+        if (signal.aborted) return;
+
+        const cacheKey = `${entry.scope}:${entry.itemId}:${entry.quality}`;
+        let data = marketDataCache.get(cacheKey);
+        if (data === undefined) {
+          // Filter by quality upstream, or the cheapest listings could all be the other quality
+          const hq = entry.quality === WATCHLIST_QUALITY.ANY ? undefined : entry.quality === WATCHLIST_QUALITY.HQ;
+          try {
+            data = await getMarketData(entry.scope, entry.itemId, { listings: 20, entries: 1, hq, signal });
+          } catch (error) {
+            console.error(`Watchlist check failed for item ${entry.itemId}:`, error);
+            data = null;
+          }
+          marketDataCache.set(cacheKey, data);
+        }
+        if (signal.aborted) return;
+        if (!data) continue;
+
+        const { price, listing, alert } = evaluateWatchlistEntry(entry, data.listings);
+        // Only alert once per crossing: the key resets when the price moves back out of range
+        const alertKey = alert || null;
+
+        if (alert && alertKey !== entry.lastAlertKey) {
+          // Read per alert: checks run in the background, so the language may change between them
+          const language = getUILanguage();
+          const name = entry.itemName || translate(language, 'common.itemFallback', { id: entry.itemId });
+          const message = translate(language, alert === 'buy' ? 'watchlist.alertBuy' : 'watchlist.alertSell', {
+            name,
+            quality: listing.hq ? ' HQ' : '',
+            world: listing.worldName || data.worldName || entry.scopeName,
+            price: price.toLocaleString(),
+            target: (alert === 'buy' ? entry.buyBelow : entry.sellAbove).toLocaleString(),
+          });
+
+          addToast(message, alert === 'buy' ? 'success' : 'info');
+          if (notify) {
+            showBrowserNotification(translate(language, alert === 'buy' ? 'watchlist.notifyBuyTitle' : 'watchlist.notifySellTitle'), message);
+          }
+        }
+
+        results[entry.id] = {
+          lastPrice: price,
+          lastCheckedAt: Date.now(),
+          lastAlertKey: alertKey,
+        };
+      }
+    } finally {
+      if (Object.keys(results).length > 0) {
+        recordWatchlistChecks(results);
+      }
+      isCheckingRef.current = false;
+      setIsChecking(false);
+      setLastRunAt(Date.now());
+    }
+  }, [addToast]);
+
+  // Background polling
+  useEffect(() => {
+    if (!settings.enabled || watchlist.length === 0) return;
+
+    const intervalMs = Math.max(1, Number(settings.intervalMinutes) || 5) * 60 * 1000;
+    const initialTimeoutId = setTimeout(checkNow, INITIAL_CHECK_DELAY_MS);
+    const intervalId = setInterval(checkNow, intervalMs);
+
+    return () => {
+      clearTimeout(initialTimeoutId);
+      clearInterval(intervalId);
+    };
+    // Only restart polling when the list goes from empty to non-empty, not on every price update
+  }, [settings.enabled, settings.intervalMinutes, watchlist.length > 0, checkNow]);
+
+  // Abort an in-flight check on unmount
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  return {
+    watchlist,
+    settings,
+    isChecking,
+    lastRunAt,
+    checkNow,
+  };
+}
@@ -0,0 +1,47 @@
+// Message catalogs for the UI - flat dotted keys, one file per language in ./locales
+import tw from './locales/tw';
+import zh from './locales/zh';
+import en from './locales/en';
+import ja from './locales/ja';
+import ko from './locales/ko';
+import de from './locales/de';
+import fr from './locales/fr';
+
+const CATALOGS = { tw, zh, en, ja, ko, de, fr };
+
+/**
+ * Languages to try, in order, for a key
+ * The two Chinese catalogs fall back to each other; everything else goes through English first.
+ * @param {string} language
+ * @returns {Array<string>}
+ */
+function getFallbackChain(language) {
+  if (language === 'tw') return ['tw', 'zh'];
+  if (language === 'zh') return ['zh', 'tw'];
+  return [language, 'en', 'tw'];
+}
+
+/**
+ * Look up a message
+ * @param {string} language - Language code (tw, zh, en, ja, ko, de, fr)
+ * @param {string} key - e.g. 'nav.tools'
+ * @param {Object} params - {name} placeholders; defaultValue is used when no catalog has the key
+ * @returns {string}
+ */
+export function translate(language, key, params = {}) {
+  let message = null;
+  for (const code of getFallbackChain(language)) {
+    const catalog = CATALOGS[code];
+    if (catalog && catalog[key] !== undefined) {
+      message = catalog[key];
+      break;
+    }
+  }
+  if (message === null) {
+    message = params.defaultValue !== undefined ? params.defaultValue : key;
+  }
+
+  return String(message).replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? String(params[name]) : match
+  );
+}
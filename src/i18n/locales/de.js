@@ -0,0 +1,1108 @@
+// German (Deutsch)
+export default {
+  'common.copyItemName': 'Gegenstandsnamen kopieren',
+  'common.copiedItemName': 'Gegenstandsname kopiert',
+  'common.copyFailed': 'Kopieren fehlgeschlagen',
+  'common.loading': 'Wird geladen...',
+  'common.yes': 'Ja',
+  'common.no': 'Nein',
+  'common.loadFailed': 'Laden fehlgeschlagen',
+  'common.componentLoadFailed': '{name} konnte nicht geladen werden. Bitte lade die Seite neu.',
+  'common.unknownItem': 'Unbekannter Gegenstand',
+  'common.refresh': 'Aktualisieren',
+  'common.itemFallback': 'Gegenstand {id}',
+  'common.remove': 'Entfernen',
+  'common.clear': 'Leeren',
+  'common.confirmClear': 'Alles leeren?',
+  'common.import': 'Importieren',
+  'common.export': 'Exportieren',
+  'common.appVersion': 'Version:',
+  'common.noData': 'Noch keine Daten',
+  'common.any': 'Beliebig',
+  'common.minutes': 'Min.',
+  'common.every': 'Alle',
+  'common.listSeparator': ', ',
+  'common.copySummary': 'Zusammenfassung kopieren',
+  'common.marketDataLoadFailed': 'Marktdaten konnten nicht geladen werden',
+  'common.worldFallback': 'Welt {id}',
+  'common.selectServer': 'Bitte wähle einen Server',
+  'common.taxRate': 'Steuer {rate} %',
+  'common.categoriesLoadFailed': 'Gegenstandskategorien konnten nicht geladen werden',
+  'common.itemNamesLoadFailed': 'Gegenstandsnamen konnten nicht geladen werden',
+  'common.scanFailed': 'Scan fehlgeschlagen',
+  'common.stopScan': 'Scan stoppen',
+  'common.showingTop': 'Die ersten {count} werden angezeigt',
+  'common.itemCategory': 'Gegenstandskategorie',
+  'common.allMarketable': 'Alle handelbaren Gegenstände',
+  'common.noMarketableInCategory': 'Keine handelbaren Gegenstände in dieser Kategorie',
+  'common.minVelocity': 'Min. Tagesverkäufe',
+  'common.noMatchesRelax': 'Keine passenden Gegenstände, lockere die Filter',
+  'common.lowestPrice': 'Günstigster Preis',
+  'common.afterTaxProfit': 'Gewinn nach Steuern',
+  'common.dailyProfit': 'Gesch. Tagesgewinn',
+  'common.add': 'Hinzufügen',
+  'common.checkFailed': 'Prüfung fehlgeschlagen',
+  'common.copiedValue': '{value} kopiert',
+  'common.copyPrice': 'Preis kopieren',
+  'common.searchItemToAdd': 'Gegenstandsnamen suchen, um ihn hinzuzufügen',
+  'common.delete': 'Löschen',
+  'common.saveFailed': 'Speichern fehlgeschlagen',
+  'common.addedToShoppingList': '{count} Gegenstände zur Einkaufsliste hinzugefügt',
+  'common.close': 'Schließen',
+  'common.queryServer': 'Server',
+  'common.minLevel': 'Min. Stufe',
+  'common.maxLevel': 'Max. Stufe',
+  'common.level': 'Stufe',
+  'common.stopQuery': 'Abbrechen',
+  'common.querying': 'Suche läuft...',
+  'common.queryFailed': 'Suche fehlgeschlagen',
+  'common.worldScope': 'Server {name}',
+  'common.dcScope': 'Ganz {name}',
+  'common.limited': 'Zeitlich',
+  'common.priceSource': 'Preisquelle',
+  'common.averageSalePrice': 'Durchschnittlicher Verkaufspreis',
+  'common.noSalesMinListing': 'Keine Verkäufe, günstigstes Angebot verwendet',
+  'common.zone': 'Gebiet',
+  'common.categoryFallback': 'Kategorie {id}',
+  'common.noMatches': 'Keine passenden Gegenstände',
+  'common.noPrice': 'Kein Preis',
+  'common.perDay': '{count}/Tag',
+  'common.npcFallback': 'NPC {id}',
+  'common.search': 'Suchen',
+  'common.searching': 'Suche...',
+  'common.searchFailedRetry': 'Suche fehlgeschlagen, bitte später erneut versuchen',
+  'common.itemInfoFailed': 'Gegenstandsdaten konnten nicht geladen werden',
+  'common.cancel': 'Abbrechen',
+  'common.serverSelect': 'Server',
+  'common.confirm': 'Bestätigen',
+
+  'nav.home': 'Zur Startseite',
+  'nav.advancedSearch': 'Erweiterte Suche',
+  'nav.advancedSearchShort': 'Suche',
+  'nav.watchlist': 'Beobachtungsliste',
+  'nav.watchlistShort': 'Beob.',
+  'nav.shoppingList': 'Einkaufsliste',
+  'nav.shoppingListShort': 'Liste',
+  'nav.craftingInspiration': 'Handwerksideen',
+  'nav.craftingInspirationShort': 'Handw.',
+  'nav.craftingInspirationTitle': 'Preissuche für Handwerker',
+  'nav.msq': 'Hauptszenario-Ausrüstung',
+  'nav.msqShort': 'Ausr.',
+  'nav.msqTitle': 'Preise der Hauptszenario-Ausrüstung',
+  'nav.taxRates': 'Steuern',
+  'nav.tools': 'Werkzeuge',
+  'nav.history': 'Verlauf',
+  'nav.historyShort': 'Verlauf',
+  'nav.language': 'Sprache',
+
+  'search.waitForServerData': 'Bitte warten, bis die Serverdaten geladen sind',
+  'search.resultsTitle': 'Suchergebnisse',
+  'toast.wikiOpenFailed': 'Wiki-Link konnte nicht geöffnet werden',
+  'toast.itemSetFailed': 'Set-Suche fehlgeschlagen',
+  'toast.addedToWatchlist': '{name} ({scope}) wurde zur Beobachtungsliste hinzugefügt. Preisgrenzen legst du in der Beobachtungsliste fest.',
+  'toast.serverLoadTimeout': 'Zeitüberschreitung beim Laden der Server, neuer Versuch ({attempt}/3)...',
+  'toast.serverDataEmpty': 'Serverliste war leer, neuer Versuch ({attempt}/3)...',
+  'toast.serverLoadFailedRetry': 'Server konnten nicht geladen werden, neuer Versuch ({attempt}/3)...',
+  'toast.serverDataLoaded': 'Serverliste geladen',
+  'toast.serverDataRecovered': 'Serverliste nach erneutem Versuch geladen',
+  'toast.serverListFailed': 'Serverliste konnte nicht geladen werden. Bitte lade die Seite neu.',
+  'toast.itemSelected': 'Ausgewählt: {name}',
+  'toast.itemNotFound': 'Gegenstand nicht gefunden',
+  'toast.itemLoadFailed': 'Gegenstand konnte nicht geladen werden',
+  'toast.foundInSimplified': 'Keine Treffer in traditionellem Chinesisch für „{text}“, aber in der vereinfachten chinesischen Datenbank!',
+  'toast.tryingConversion': 'Keine Treffer für „{text}“, versuche „{converted}“',
+  'toast.foundItems': '{count} Gegenstände gefunden',
+  'toast.foundMarketable': '{count} handelbare Gegenstände gefunden',
+  'toast.foundMarketableAndNot': '{count} handelbare und {untradable} nicht handelbare Gegenstände gefunden',
+  'toast.noResults': 'Keine Gegenstände gefunden',
+  'toast.searchFailed': 'Suche fehlgeschlagen',
+  'toast.requestTimeoutRetry': 'Zeitüberschreitung, neuer Versuch ({attempt}/3)...',
+  'toast.requestFailedRetry': 'Anfrage fehlgeschlagen, neuer Versuch ({attempt}/3)...',
+  'toast.marketDataRecovered': 'Marktdaten geladen',
+  'toast.marketDataFailed': 'Marktdaten konnten nicht geladen werden',
+  'toast.notOnMarket': 'Für diesen Gegenstand gibt es keine Marktdaten',
+  'toast.pageStillLoading': 'Diese Seite wird noch geladen, bitte warten...',
+
+  'history.empty': 'Noch kein Verlauf',
+  'history.recent': 'Zuletzt angesehen ({count})',
+  'history.clear': 'Verlauf löschen',
+  'history.confirmClear': 'Gesamten Verlauf löschen?',
+  'history.loading': 'Verlauf wird geladen...',
+  'history.emptyHint': 'Geöffnete Gegenstände werden automatisch im Verlauf gespeichert',
+  'history.recentItems': 'Zuletzt angesehene Gegenstände',
+
+  'tools.arbitrage.label': 'Welten-Arbitrage',
+  'tools.arbitrage.description': 'Gegenstände finden, die auf anderen Welten günstig sind und sich daheim teurer verkaufen',
+  'tools.retainers.label': 'Gehilfen-Unterbietungen',
+  'tools.retainers.description': 'Prüfen, ob Angebote deiner Gehilfen unterboten wurden, mit Preisvorschlag',
+  'tools.gathering.label': 'Sammler-Gewinne',
+  'tools.gathering.description': 'Gegenstände von Minenarbeiter, Gärtner und Fischer nach Preis und Absatz sortieren',
+  'tools.craftingPlanner.label': 'Herstellungsplaner',
+  'tools.craftingPlanner.description': 'Materialien mehrerer Gegenstände zu einer Einkaufsliste und Herstellungsreihenfolge zusammenfassen',
+  'tools.desynth.label': 'Verwertungswert',
+  'tools.desynth.description': 'Wert von Verwertung und Reduktion schätzen und mit dem direkten Verkauf vergleichen',
+  'tools.vendorFlips.label': 'Händler-Flips',
+  'tools.vendorFlips.description': 'Händlerwaren finden, die auf dem Marktbrett deutlich teurer verkauft werden',
+  'tools.currencyExchange.label': 'Währungstausch',
+  'tools.currencyExchange.description': 'Tauschwaren für Allagische Steine, Scheine und Abzeichen nach Gil pro Einheit vergleichen',
+  'tools.itemComparison.label': 'Ausrüstungsvergleich',
+  'tools.itemComparison.description': 'Werte, Materiaslots, Klassen und Preise von Ausrüstung nebeneinander vergleichen',
+  'tools.meldingCost.label': 'Materia-Kosten',
+  'tools.meldingCost.description': 'Erfolgsraten beim Übersetzen, erwarteter Materia-Verbrauch und Gil-Kosten',
+  'tools.usedIn.label': 'Verwendungs-Explorer',
+  'tools.usedIn.description': 'Alle Erzeugnisse eines Materials verfolgen und die wertvollste Verwendung finden',
+  'tools.ventures.label': 'Unternehmungsertrag',
+  'tools.ventures.description': 'Gezielte Unternehmungen eines Gehilfen nach Gil pro Wertmarke vergleichen',
+  'tools.voyages.label': 'Erkundungsplaner',
+  'tools.voyages.description': 'Beute von U-Booten und Luftschiffen pro Sektor bewerten und die lukrativste Route finden',
+  'tools.islandWorkshop.label': 'Inselwerkstatt-Planer',
+  'tools.islandWorkshop.description': 'Wochenplan der Werkstatt für die meisten Kaurimuscheln erstellen und Weide- und Feldertrag bepreisen',
+
+  'table.image': 'Symbol',
+  'table.itemName': 'Gegenstand',
+  'table.version': 'Patch',
+  'table.velocity': 'Verkäufe/Tag',
+  'table.averagePrice': 'Durchschnittspreis',
+  'table.dcAveragePrice': 'DC-Durchschnittspreis',
+  'table.minListing': 'Günstigstes Angebot',
+  'table.minListingWorld': 'Welt des günstigsten Angebots',
+  'table.recentPurchase': 'Letzter Verkauf',
+  'table.recentPurchaseWorld': 'Welt des letzten Verkaufs',
+  'table.tradable': 'Handelbar',
+  'table.untradable': 'Nicht handelbar',
+  'table.links': 'Links',
+  'table.unitPrice': 'Preis',
+  'table.quantity': 'Menge',
+  'table.total': 'Gesamt',
+  'table.retainer': 'Gehilfe',
+  'table.buyer': 'Käufer',
+  'table.world': 'Welt',
+  'table.time': 'Zeit',
+  'table.loadingMarketData': 'Marktdaten werden geladen...',
+  'table.versionTitle': 'Patch {version}',
+  'table.region': 'Region: {region}',
+  'table.copyHint': 'Mit der Kopier-Schaltfläche den Gegenstandsnamen kopieren',
+  'table.item': 'Gegenstand',
+
+  'filter.rarity': 'Seltenheit:',
+  'filter.version': 'Patch:',
+  'filter.waitForItems': 'Bitte warten, bis die Gegenstände geladen sind',
+  'filter.noItems': '{label} (keine Gegenstände)',
+
+  'rarity.1': 'Gewöhnlich',
+  'rarity.2': 'Ungewöhnlich',
+  'rarity.3': 'Selten',
+  'rarity.4': 'Relikt',
+
+  'listings.empty': 'Keine Angebote',
+  'listings.mine': 'Meins',
+  'sales.empty': 'Keine Verkaufshistorie',
+
+  'shoppingList.add': '+Liste',
+  'shoppingList.addTitle': 'Zur Einkaufsliste hinzufügen',
+  'shoppingList.added': 'Zur Einkaufsliste hinzugefügt',
+  'shoppingList.title': 'Einkaufsliste',
+  'shoppingList.description': 'Füge Gegenstände aus Suchergebnissen, dem Herstellungspreisbaum oder der erweiterten Suche hinzu, um die günstigsten Angebote im Datenzentrum zu finden und eine Einkaufsroute nach Welt zu planen.',
+  'shoppingList.itemsCount': 'Gegenstände ({count})',
+  'shoppingList.planning': 'Wird geladen {progress}',
+  'shoppingList.planRoute': 'Einkaufsroute für {dc} planen',
+  'shoppingList.empty': 'Die Liste ist leer. Füge Gegenstände über „+Liste“ in den Suchergebnissen oder den Warenkorb-Button im Herstellungspreisbaum hinzu.',
+  'shoppingList.hqOnly': 'Nur HQ',
+  'shoppingList.estimatedCost': 'Geschätzte Kosten',
+  'shoppingList.shortfall': 'Fehlen {count}',
+  'shoppingList.routeTitle': 'Einkaufsroute {dc}',
+  'shoppingList.routeTotal': 'Gesamt {total} Gil',
+  'shoppingList.newItemsHint': 'Die Liste enthält neue Gegenstände, bitte plane die Route neu',
+  'shoppingList.unfilled': 'Nicht genug Angebote: {items}',
+  'shoppingList.routeCopied': 'Einkaufsroute kopiert',
+  'shoppingList.summaryTotal': 'Gesamt: {total} Gil',
+  'shoppingList.summaryUnfilled': 'Fehlend: {items}',
+  'shoppingList.addAll': 'Alle zur Einkaufsliste hinzufügen',
+
+  'export.label': 'Export:',
+  'export.copied': 'Kopiert',
+  'export.failed': 'Export fehlgeschlagen',
+  'export.copy': 'Kopieren',
+  'export.csvTitle': 'CSV herunterladen',
+  'export.jsonTitle': 'JSON herunterladen',
+  'export.tsvTitle': 'Tabelle kopieren (in Tabellenkalkulation einfügen)',
+
+  'slot.MainHand': 'Waffe',
+  'slot.OffHand': 'Nebenhand',
+  'slot.Head': 'Kopf',
+  'slot.Body': 'Rumpf',
+  'slot.Gloves': 'Hände',
+  'slot.Waist': 'Gürtel',
+  'slot.Legs': 'Beine',
+  'slot.Feet': 'Füße',
+  'slot.Ears': 'Ohrringe',
+  'slot.Neck': 'Halskette',
+  'slot.Wrists': 'Armbänder',
+  'slot.Rings': 'Ringe',
+  'slot.OneHandWeapon': 'Einhandwaffe',
+  'slot.TwoHandWeapon': 'Zweihandwaffe',
+  'slot.BodyHead': 'Rumpf (mit Kopf)',
+  'slot.BodyHeadLegsFeet': 'Rumpf (mit Kopf, Beinen, Füßen)',
+  'slot.LegsFeet': 'Beine (mit Füßen)',
+
+  'error.serverListFailed': 'Serverliste konnte nicht geladen werden',
+  'error.searchFailed': 'Suche fehlgeschlagen, bitte später erneut versuchen',
+  'error.rateLimited': 'Zu viele Anfragen, bitte gleich noch einmal versuchen',
+  'error.notOnMarket': 'Für diesen Gegenstand gibt es keine Marktdaten, er ist am Marktbrett eventuell nicht handelbar',
+
+  'app.loadingServers': 'Server werden geladen...',
+
+  'item.notOnTwServers': 'Nicht in den Daten der TW-Server',
+  'item.obtainMethods': 'Beschaffung',
+  'item.obtainExpand': 'Beschaffung anzeigen',
+  'item.obtainCollapse': 'Beschaffung ausblenden',
+  'item.obtainLoadFailed': 'Beschaffung konnte nicht geladen werden. Bitte lade die Seite neu.',
+  'item.loadingObtain': 'Beschaffung wird geladen...',
+  'item.craftingTree': 'Herstellungs-Preisbaum',
+  'item.craftingTreeExpand': 'Herstellungs-Preisbaum anzeigen',
+  'item.craftingTreeCollapse': 'Herstellungs-Preisbaum ausblenden',
+  'item.craftingTreeLoadFailed': 'Herstellungs-Preisbaum konnte nicht geladen werden. Bitte lade die Seite neu.',
+  'item.loadingCraftingTree': 'Herstellungs-Preisbaum wird geladen...',
+  'item.loadingRecipe': 'Rezept wird geladen...',
+  'item.preparing': 'Wird vorbereitet...',
+  'item.noRecipe': 'Für diesen Gegenstand gibt es kein Rezept',
+  'item.relatedItems': 'Verwendet in',
+  'item.relatedExpand': 'Verwendungen anzeigen',
+  'item.relatedCollapse': 'Verwendungen ausblenden',
+  'item.relatedLoadFailed': 'Verwendungen konnten nicht geladen werden. Bitte lade die Seite neu.',
+  'item.loadingRelated': 'Verwendungen werden geladen...',
+  'item.notUsedAsMaterial': 'Dieser Gegenstand wird nicht als Material verwendet',
+  'item.itemSet': 'Ausrüstungsset',
+  'item.itemSetCount': 'Ausrüstungsset ({count})',
+  'item.itemSetExpand': 'Ausrüstungsset anzeigen',
+  'item.itemSetCollapse': 'Ausrüstungsset ausblenden',
+  'item.noItemSet': 'Kein passendes Ausrüstungsset',
+  'item.itemSetRule': 'Ein Set ist Ausrüstung mit gleichem Patch, gleicher Gegenstandsstufe, Anlegestufe und Klassenbeschränkung. Unten stehen die anderen Teile (ohne diesen).',
+  'item.notEquipment': 'Dieser Gegenstand ist keine Ausrüstung und hat kein Set.',
+  'item.noSetData': 'Keine weitere Ausrüstung aus diesem Set.',
+  'item.averagePriceLoading': 'Durchschnittspreis wird geladen…',
+  'item.watch': 'Beobachten',
+  'item.watching': 'Beobachtet',
+  'item.watchTitle': 'Zur Beobachtungsliste hinzufügen (aktueller Server)',
+  'item.watchedTitle': 'Bereits auf der Beobachtungsliste - zum Anzeigen klicken',
+  'item.listings': 'Angebote',
+  'item.sales': 'Verkaufsverlauf',
+  'item.loadingSales': 'Verkaufsverlauf wird geladen...',
+  'item.priceTrend': 'Preisentwicklung',
+  'item.priceTrendLoadFailed': 'Preisentwicklung konnte nicht geladen werden. Bitte lade die Seite neu.',
+  'item.autoRetry': 'Neuer Versuch in 3 Sekunden...',
+  'item.loadingItem': 'Gegenstand wird geladen...',
+
+  'home.tips': 'Tipps',
+  'home.tipKeywords': 'Mehrere Suchbegriffe durch Leerzeichen trennen (z. B. „verblichene Karte“)',
+  'home.tipHistory': 'Geöffnete Gegenstände werden im Verlauf gespeichert (bis zu 10), erreichbar über die Verlauf-Schaltfläche neben der Suche',
+  'home.tipContact': 'Neue Patches erfordern ein manuelles Backend-Update durch den Autor. Bei Problemen bitte den Autor auf Discord kontaktieren: wuperbear',
+  'home.loadingRecent': 'Letzte Aktualisierungen werden geladen...',
+
+  'watchlist.title': 'Beobachtungsliste',
+  'watchlist.description': 'Beobachte Gegenstände von ihrer Seite aus und lege Kauf-/Verkaufsschwellen fest, um benachrichtigt zu werden, wenn der Preis sie überschreitet.',
+  'watchlist.autoCheck': 'Automatisch prüfen',
+  'watchlist.notificationsOn': 'Browser-Benachrichtigungen: an',
+  'watchlist.notificationsOff': 'Browser-Benachrichtigungen: aus',
+  'watchlist.checking': 'Wird geprüft...',
+  'watchlist.checkNow': 'Jetzt prüfen',
+  'watchlist.lastCheck': 'Zuletzt geprüft: {time}',
+  'watchlist.empty': 'Deine Beobachtungsliste ist leer. Klicke auf einer Gegenstandsseite auf „Beobachten“, um zu beginnen.',
+  'watchlist.quality': 'Qualität',
+  'watchlist.buyBelow': 'Kaufen ≤',
+  'watchlist.sellAbove': 'Verkaufen ≥',
+  'watchlist.currentLowest': 'Aktuell günstigster',
+  'watchlist.status': 'Status',
+  'watchlist.statusBuy': 'Kaufen',
+  'watchlist.statusSell': 'Verkaufen',
+  'watchlist.statusWatching': 'Wird beobachtet',
+  'watchlist.imported': '{count} Einträge importiert',
+  'watchlist.importInvalidJson': 'Import fehlgeschlagen: Die Datei ist kein gültiges JSON',
+  'watchlist.importFailed': 'Import fehlgeschlagen: {message}',
+  'watchlist.importBadFormat': 'Ungültiges Importformat',
+  'watchlist.importNothing': 'Nichts zu importieren',
+  'watchlist.notificationsUnsupported': 'Dieser Browser unterstützt keine Benachrichtigungen',
+  'watchlist.notificationsEnabled': 'Browser-Benachrichtigungen aktiviert',
+  'watchlist.notificationsDenied': 'Berechtigung für Browser-Benachrichtigungen verweigert',
+  'watchlist.cleared': 'Beobachtungsliste geleert',
+  'watchlist.alertBuy': '{name}{quality} ist auf {world} auf {price} Gil gefallen (Ziel ≤ {target})',
+  'watchlist.alertSell': '{name}{quality} ist auf {world} auf {price} Gil gestiegen (Ziel ≥ {target})',
+  'watchlist.notifyBuyTitle': 'Beobachtungsliste: Kaufen',
+  'watchlist.notifySellTitle': 'Beobachtungsliste: Verkaufen',
+
+  'arbitrage.title': 'Weltübergreifende Arbitrage',
+  'arbitrage.description': 'Durchsucht handelbare Gegenstände nach solchen, deren günstigstes Angebot auf einer anderen Welt deutlich unter dem durchschnittlichen Verkaufspreis deiner Heimatwelt liegt, sortiert nach Gewinn nach Steuern × Tagesverkäufe. Bei Auswahl eines Datenzentrums wird stattdessen mit dessen Durchschnitt verglichen.',
+  'arbitrage.homeServer': 'Heimatserver (Verkaufsort)',
+  'arbitrage.minProfit': 'Min. Gewinn pro Stück',
+  'arbitrage.minDiscount': 'Min. Rabatt (%)',
+  'arbitrage.startScan': '{name} scannen',
+  'arbitrage.sellWorld': 'Verkauf auf {name}',
+  'arbitrage.dcAverage': 'Durchschnitt {name}',
+  'arbitrage.resultsTitle': 'Gelegenheiten ({count})',
+  'arbitrage.scanning': 'Scan läuft, gefundene Gegenstände erscheinen sofort...',
+  'arbitrage.idle': 'Wähle Server und Kategorie und starte dann den Scan',
+  'arbitrage.buyWorld': 'Kaufen auf',
+  'arbitrage.expectedSellPrice': 'Gesch. Verkaufspreis',
+  'arbitrage.discount': 'Rabatt',
+  'arbitrage.averagePriceTitle': 'Durchschnittlicher Verkaufspreis {price}',
+
+  'retainers.title': 'Gehilfen-Unterbietungs-Tracker',
+  'retainers.description': 'Registriere deine Gehilfen und ihre Welten, füge die Gegenstände hinzu, die du verkaufst, und prüfe mit einem Klick, welche Angebote nicht mehr die günstigsten sind, um wie viel und auf welchen Preis du sie setzen solltest.',
+  'retainers.myRetainers': 'Meine Gehilfen ({count})',
+  'retainers.namePlaceholder': 'Name des Gehilfen',
+  'retainers.noRetainers': 'Noch keine Gehilfen registriert',
+  'retainers.trackedItems': 'Verkaufte Gegenstände ({count})',
+  'retainers.noItems': 'Noch keine Gegenstände hinzugefügt',
+  'retainers.retainerExists': 'Dieser Gehilfe ist bereits registriert',
+  'retainers.itemExists': 'Dieser Gegenstand wird bereits verfolgt',
+  'retainers.undercutToast': '{count} Angebote wurden unterboten',
+  'retainers.allLowestToast': 'Alle deine Angebote sind die günstigsten',
+  'retainers.results': 'Ergebnisse',
+  'retainers.undercutCount': '{count} unterboten',
+  'retainers.allLowest': 'Alle am günstigsten',
+  'retainers.lastCheck': 'Zuletzt geprüft {time}',
+  'retainers.checking': 'Wird geprüft {progress}',
+  'retainers.check': 'Unterbietungen prüfen',
+  'retainers.setupHint': 'Registriere zuerst einen Gehilfen und füge Verkaufsgegenstände hinzu',
+  'retainers.checkHint': 'Klicke auf „Unterbietungen prüfen“, um zu beginnen',
+  'retainers.showNotListed': 'Nicht angebotene Gegenstände anzeigen ({count})',
+  'retainers.worldRetainer': 'Welt / Gehilfe',
+  'retainers.myPrice': 'Mein Preis',
+  'retainers.competitorPrice': 'Günstigster Konkurrent',
+  'retainers.difference': 'Differenz',
+  'retainers.suggestedPrice': 'Empfohlener Preis',
+  'retainers.moreListings': ' und {count} Angebote',
+  'retainers.notListed': 'Keiner deiner Gehilfen bietet dies auf dieser Welt an',
+  'retainers.lowest': 'Am günstigsten',
+
+  'city.limsaLominsa': 'Limsa Lominsa',
+  'city.gridania': 'Gridania',
+  'city.uldah': "Ul'dah",
+  'city.ishgard': 'Ishgard',
+  'city.kugane': 'Kugane',
+  'city.crystarium': 'Crystarium',
+  'city.oldSharlayan': 'Alt-Sharlayan',
+  'city.tuliyollal': 'Tuliyollal',
+
+  'craftingProfit.calculating': 'Gewinn wird berechnet...',
+  'craftingProfit.title': 'Herstellungsgewinn',
+  'craftingProfit.salePrice': 'Verkaufspreis',
+  'craftingProfit.materialCost': 'Materialkosten / Stück',
+  'craftingProfit.unitsPerCraft': '{count} pro Herstellung',
+  'craftingProfit.netRevenue': 'Erlös nach Steuern / Stück',
+  'craftingProfit.taxCity': ' ({city})',
+  'craftingProfit.taxDefault': ' (Standard)',
+  'craftingProfit.netProfit': 'Nettogewinn / Marge',
+  'craftingProfit.gilPerHour': 'Gil pro Stunde',
+  'craftingProfit.dcVelocity': 'DZ-Verkäufe/Tag {velocity}',
+  'craftingProfit.missingPrices': 'Einige Materialien haben keinen Preis und können nicht hergestellt werden, daher lassen sich die Kosten nicht berechnen',
+  'craftingProfit.crystalsExcluded': 'Kristalle sind in den Kosten nicht enthalten; aktiviere den Kristall-Schalter, um sie einzubeziehen',
+  'craftingProfit.plan': 'Kauf-/Herstellungsplan',
+  'craftingProfit.buy': 'Kaufen ({count})',
+  'craftingProfit.craft': 'Herstellen ({count})',
+  'craftingProfit.crafts': '{count}×',
+  'craftingProfit.allCheaperToBuy': 'Alle Materialien sind günstiger zu kaufen',
+
+  'priceHistory.window24h': '24 Std.',
+  'priceHistory.window7d': '7 Tage',
+  'priceHistory.window30d': '30 Tage',
+  'priceHistory.loadFailed': 'Preisverlauf konnte nicht geladen werden',
+  'priceHistory.byQuality': 'Nach Qualität',
+  'priceHistory.byWorld': 'Nach Welt',
+  'priceHistory.volume': 'Volumen',
+  'priceHistory.volumeTotal': 'Volumen {count}',
+  'priceHistory.loading': 'Preisverlauf wird geladen...',
+  'priceHistory.noSales': 'Keine Verkäufe in diesem Zeitraum',
+
+  'ocr.multiLineEmpty': 'Aus dem Bild konnte keine Gegenstandsliste gelesen werden. Stelle sicher, dass der Screenshot die Namensspalte enthält und der Text in traditionellem Chinesisch ist.',
+  'ocr.multiLineHint': 'Mach einen Screenshot der ganzen Liste und prüfe alle Preise auf einmal!',
+  'ocr.singleHint': 'Mach einen Screenshot des Namens und lass OCR ihn lesen!',
+  'ocr.modeSingle': 'Einzelner Gegenstand',
+  'ocr.modeMulti': 'Liste',
+  'ocr.multiLineSources': 'Screenshots von Gehilfen-Verkaufslisten, Inventar oder Marktbrett',
+  'ocr.linesFound': '{count} Zeilen erkannt. Bestätige, welche Gegenstände geprüft werden sollen (Zeilen mit niedriger Übereinstimmung können falsch gelesen sein).',
+  'ocr.noMatch': 'Kein passender Gegenstand',
+  'ocr.retake': 'Neuer Screenshot',
+  'ocr.batchPrice': 'Preise abfragen ({count})',
+  'ocr.tesseractNotLoaded': 'Tesseract.js ist noch nicht geladen, bitte versuche es gleich noch einmal',
+  'ocr.recognitionFailed': 'Bei der OCR-Erkennung ist ein Fehler aufgetreten',
+
+  'savedSearch.saved': 'Suche „{name}“ gespeichert',
+  'savedSearch.linkCopied': 'Suchlink kopiert',
+  'savedSearch.count': 'Gespeicherte Suchen ({count})',
+  'savedSearch.none': 'Noch keine gespeicherten Suchen',
+  'savedSearch.namePlaceholder': 'Name der Suche',
+  'savedSearch.save': 'Aktuelle Suche speichern',
+  'savedSearch.copyLinkTitle': 'Link mit den aktuellen Filtern kopieren',
+  'savedSearch.copyLink': 'Link zum Teilen kopieren',
+
+  'dataCache.title': 'Datencache',
+  'dataCache.groupRecipes': 'Rezepte (alle)',
+  'dataCache.groupRecipesByResult': 'Rezepte (nach Produkt)',
+  'dataCache.groupRecipesByIngredient': 'Rezepte (nach Zutat)',
+  'dataCache.groupRecipesByJobLevel': 'Rezepte (nach Job-Stufe)',
+  'dataCache.groupItemDescriptions': 'Gegenstandsbeschreibungen',
+  'dataCache.groupItemCategoryNames': 'Namen der Gegenstandskategorien',
+  'dataCache.groupItemCategories': 'Gegenstandskategorien',
+  'dataCache.groupEquipment': 'Ausrüstung',
+  'dataCache.groupEquipSlots': 'Ausrüstungsplätze',
+  'dataCache.groupJobNames': 'Job-Namen',
+  'dataCache.groupPatchNames': 'Patch-Namen',
+  'dataCache.cleared': 'Cache geleert, die Daten werden neu heruntergeladen',
+  'dataCache.memoryCleared': 'Arbeitsspeicher-Cache geleert',
+  'dataCache.description': 'Spieldaten wie Rezepte und Kategorien werden im Browser gespeichert und stehen nach dem Neuladen oder offline zur Verfügung. Sie werden bei Versionsupdates automatisch ungültig, und Daten, die älter als ein Tag sind, werden im Hintergrund neu geladen.',
+  'dataCache.loading': 'Cache-Informationen werden gelesen...',
+  'dataCache.unavailable': 'Dieser Browser unterstützt kein IndexedDB (evtl. privater Modus), daher werden keine Daten offline gespeichert',
+  'dataCache.dataVersion': 'Datenversion',
+  'dataCache.entries': 'Cache-Einträge',
+  'dataCache.size': 'Cache-Größe (geschätzt)',
+  'dataCache.siteUsage': 'Gesamtnutzung der Seite {size}',
+  'dataCache.empty': 'Noch keine Daten im Cache',
+  'dataCache.data': 'Daten',
+  'dataCache.items': 'Einträge',
+  'dataCache.sizeColumn': 'Größe',
+  'dataCache.updatedAt': 'Aktualisiert',
+  'dataCache.online': '● Online',
+  'dataCache.offline': '● Offline, zwischengespeicherte Daten werden verwendet',
+  'dataCache.clearing': 'Wird geleert...',
+  'dataCache.clearAndRedownload': 'Leeren und neu laden',
+
+  'craftingTree.addToListTitle': 'Zur Einkaufsliste hinzufügen ×{quantity}',
+  'craftingTree.addToPlanner': 'Zum Herstellungsplan hinzufügen',
+  'craftingTree.addedToPlanner': 'Zum Herstellungsplan hinzugefügt',
+  'craftingTree.addToPlannerTitle': 'Zum Herstellungsplan hinzufügen, um Materialien mit anderen Produkten zusammenzufassen',
+  'craftingTree.jobFallback': 'Klasse {id}',
+  'craftingTree.expert': 'Experte',
+  'craftingTree.switchRecipe': 'Rezept wechseln',
+  'craftingTree.ownedMaterials': 'Vorhandene Materialien',
+  'craftingTree.ownedApplied': '{count} eingetragen, von Baum und Kosten abgezogen',
+  'craftingTree.clearOwned': 'Vorhandene Mengen dieses Baums löschen',
+  'craftingTree.requiredMissing': 'Benötigt / fehlt noch',
+  'craftingTree.ownedCount': 'Vorhandene Menge',
+  'craftingTree.requiredTotal': 'Insgesamt {count} benötigt',
+  'craftingTree.owned': 'Vorhanden {count}',
+  'craftingTree.kindResult': 'Produkt',
+  'craftingTree.kindIntermediate': 'Zwischenprodukt',
+  'craftingTree.kindMaterial': 'Material',
+  'craftingTree.exportKind': 'Typ',
+  'craftingTree.exportOwned': 'Vorhanden',
+  'craftingTree.exportPriceType': 'Preisart',
+  'craftingTree.exportSubtotal': 'Zwischensumme',
+  'craftingTree.copied': 'Kopiert',
+  'craftingTree.copyName': 'Namen kopieren',
+  'craftingTree.formulaTitle': 'Berechnungsdetails',
+  'craftingTree.materialBreakdown': 'Materialkosten im Detail:',
+  'craftingTree.materialLine': '{amount} × {unit} = {total}',
+  'craftingTree.craftedSuffix': ' (hergestellt)',
+  'craftingTree.materialTotal': 'Materialkosten gesamt:',
+  'craftingTree.yields': 'Ertrag pro Herstellung: {yields}',
+  'craftingTree.yieldsIncluded': 'Ertrag pro Herstellung: {yields}, in den Kosten berücksichtigt',
+  'craftingTree.unitCostFormula': 'Stückkosten = Gesamtkosten ÷ Ertrag:',
+  'craftingTree.materialCost': 'Materialkosten:',
+  'craftingTree.priceComparison': 'Preisvergleich:',
+  'craftingTree.craftCost': 'Herstellungskosten:',
+  'craftingTree.craftCostWithYields': 'Herstellungskosten (Ertrag {yields} berücksichtigt):',
+  'craftingTree.buyCost': 'Kaufkosten:',
+  'craftingTree.unitPriceLine': 'Stückpreis: {unit} × {amount} = {total}',
+  'craftingTree.difference': 'Differenz:',
+  'craftingTree.viewItem': '{name} anzeigen',
+  'craftingTree.minListingFallback': 'Keine Verkäufe in den letzten vier Tagen, stattdessen niedrigstes Angebot',
+  'craftingTree.notForSale': 'Nicht im Angebot',
+  'craftingTree.insufficientMaterials': 'Auf diesem Server fehlen wichtige Materialien und das fertige Produkt',
+  'craftingTree.viewFormula': 'Klicken, um die Berechnung zu sehen',
+  'craftingTree.optimalRouteNote': 'Optimale Route (je Material das Günstigere aus Kauf oder Herstellung)',
+  'craftingTree.optimalCraft': 'Beste Herstellung: {price}',
+  'craftingTree.buyFinished': 'Fertig kaufen: {price}',
+  'craftingTree.recommendBuy': 'Direkt kaufen',
+  'craftingTree.recommendCraft': 'Selbst herstellen',
+  'craftingTree.bestCraftOnly': 'Beste Herstellung: {price}',
+  'craftingTree.samePrice': 'Gleicher Preis',
+  'craftingTree.recommendCraftSave': 'Selbst herstellen, spart {price}',
+  'craftingTree.recommendBuySave': 'Direkt kaufen, spart {price}',
+  'craftingTree.insufficientInfo': 'Zu wenige Daten',
+  'craftingTree.materials': 'Materialien: {price}',
+  'craftingTree.finished': 'Fertig: {price}',
+  'craftingTree.finishedAmount': '{amount} fertig: {price}',
+  'craftingTree.craftSave': 'Herstellen spart {price}',
+  'craftingTree.buySave': 'Kaufen spart {price}',
+  'craftingTree.yieldsPerCraft': 'Jede Herstellung ergibt {yields}',
+  'craftingTree.dcSearch': '{name} (Rechenzentrum)',
+  'craftingTree.noRecipe': 'Kein Herstellungsrezept',
+  'craftingTree.title': 'Herstellungspreisbaum',
+  'craftingTree.crystalToggle': 'Kristalle',
+  'craftingTree.crystalHint': 'Genauere Preise für Handwerker, die in großen Mengen herstellen',
+  'craftingTree.priceDcMin': 'Preise sind die niedrigsten Angebote im Rechenzentrum',
+  'craftingTree.priceNone': 'Dieser Server hat weder Durchschnittspreis noch Angebot, daher kein Preis',
+  'craftingTree.pricePartialFallback': 'Einige Gegenstände wurden 4 Tage nicht verkauft, daher wird ihr niedrigstes Angebot genutzt',
+  'craftingTree.priceNoSalesFallback': 'Keine Verkäufe in den letzten vier Tagen, daher weder Durchschnitt noch Verkaufsrate; einige Preise nutzen das niedrigste Angebot',
+  'craftingTree.priceWorldAverage': 'Preise sind der Durchschnittsverkaufspreis dieses Servers über 4 Tage',
+  'craftingTree.velocityLabel': 'Verkäufe/Tag:',
+  'craftingTree.velocityWorldTitle': 'Verkäufe/Tag auf diesem Server',
+  'craftingTree.velocityWorld': 'Server {value}',
+  'craftingTree.velocityDcTitle': 'Verkäufe/Tag im Rechenzentrum',
+  'craftingTree.velocityDc': 'DC {value}',
+  'craftingTree.loadingPrices': 'Preise werden geladen...',
+  'craftingTree.legendRoute': 'Beste Route ({method})',
+  'craftingTree.methodCraft': 'Herstellen',
+  'craftingTree.methodBuy': 'Kaufen',
+  'craftingTree.legendPrice': 'Preis',
+  'craftingTree.legendMinPrice': 'niedrigstes Angebot',
+  'craftingTree.legendAvgPrice': 'Durchschnittspreis',
+
+  'gathering.title': 'Sammel-Profite',
+  'gathering.description': 'Wähle eine Sammelklasse und einen Stufenbereich, um handelbare Sammelgegenstände nach Gil pro Sammelvorgang nach Steuern zu sortieren, mit Fundorten. Tägliches Potenzial = Stückpreis nach Steuern × Tagesverkäufe, etwa so viel nimmt der Markt täglich auf.',
+  'gathering.itemsPerGather': 'Gegenstände pro Sammelvorgang',
+  'gathering.search': '{job}-Sammelprofite ermitteln',
+  'gathering.includeLimited': 'Zeitlich begrenzte Sammelstellen einbeziehen',
+  'gathering.noItemsInRange': 'Keine handelbaren Sammelgegenstände in diesem Stufenbereich',
+  'gathering.resultsTitle': 'Rangliste der Sammelgegenstände ({count})',
+  'gathering.idle': 'Wähle Klasse und Stufenbereich, um zu starten',
+  'gathering.gatheringLevel': 'Sammelstufe',
+  'gathering.location': 'Fundort',
+  'gathering.gilPerGather': 'Gil pro Sammelvorgang',
+  'gathering.dailyGil': 'Tägliches Potenzial',
+  'gathering.nodeLabel': '{type}-Sammelstelle St. {level}',
+  'gathering.nodeMining': 'Bergbau',
+  'gathering.nodeQuarrying': 'Steinbruch',
+  'gathering.nodeLogging': 'Holzfällen',
+  'gathering.nodeHarvesting': 'Ernten',
+  'gathering.nodeFishing': 'Fischen',
+  'gathering.nodeSpearfishing': 'Speerfischen',
+
+  'desynth.title': 'Verwertungswert',
+  'desynth.description': 'Schätzt den Wert von Verwertung und Ätherreduktion und vergleicht ihn mit dem Direktverkauf oder dem Marktpreis, um günstige Ausrüstung zu finden, die sich zum Zerlegen lohnt. Die Daten nennen nur mögliche Ergebnisse ohne Wahrscheinlichkeiten, daher gilt jedes Ergebnis als gleich wahrscheinlich; die Menge pro Vorgang ist einstellbar.',
+  'desynth.methodDesynth': 'Verwertung',
+  'desynth.methodReduction': 'Ätherreduktion',
+  'desynth.modeCategory': 'Nach Kategorie',
+  'desynth.modeItem': 'Einzelner Gegenstand',
+  'desynth.method': 'Methode',
+  'desynth.searchPlaceholder': 'Gegenstand zum Verwerten oder Reduzieren suchen',
+  'desynth.itemsPerExtraction': 'Menge pro Vorgang',
+  'desynth.search': 'Wert der {method} ermitteln',
+  'desynth.onlyProfitable': 'Nur Gegenstände mit Gewinn nach dem Kauf',
+  'desynth.resultsTitle': 'Bewertung ({count})',
+  'desynth.idle': 'Wähle eine Kategorie oder einen Gegenstand',
+  'desynth.possibleOutputs': 'Mögliche Ergebnisse',
+  'desynth.buyPrice': 'Kaufpreis',
+  'desynth.sellDirect': 'Direktverkauf',
+  'desynth.sellDirectAfterTax': 'Direktverkauf (nach Steuern)',
+  'desynth.expectedValue': 'Erwarteter Ertrag',
+  'desynth.expectedValueAfterTax': 'Erwarteter Ertrag (nach Steuern)',
+  'desynth.vsSelling': 'Ggü. Verkauf',
+  'desynth.profitVsSelling': 'Mehr als Verkauf',
+  'desynth.profitVsBuying': 'Netto nach Kauf',
+  'desynth.unpricedOutputs': '{count} Ergebnisse ohne Preis, mit 0 gerechnet',
+  'desynth.dataLoadFailed': 'Verwertungsdaten konnten nicht geladen werden',
+  'desynth.noExtractionData': 'Für diesen Gegenstand gibt es keine Verwertungs- oder Reduktionsdaten',
+
+  'vendorFlips.title': 'Händler-Weiterverkauf',
+  'vendorFlips.description': 'Findet Gegenstände, die NPC-Händler für Gil verkaufen, die auf dem Marktbrett aber mehr einbringen. Marktpreis ist der niedrigere Wert aus Durchschnittsverkaufspreis und günstigstem Angebot; Gewinn pro Stück = Marktpreis nach Steuern − NPC-Preis; tägliches Potenzial = Gewinn pro Stück × Tagesverkäufe.',
+  'vendorFlips.minMargin': 'Min. Marge (%)',
+  'vendorFlips.minProfit': 'Min. Gewinn pro Stück',
+  'vendorFlips.search': 'Weiterverkäufe suchen',
+  'vendorFlips.noShopItems': 'Keine handelbaren Händlergegenstände',
+  'vendorFlips.resultsTitle': 'Rangliste ({count})',
+  'vendorFlips.idle': 'Filter setzen, um zu starten',
+  'vendorFlips.vendor': 'Händler',
+  'vendorFlips.npcPrice': 'NPC-Preis',
+  'vendorFlips.marketPrice': 'Marktpreis',
+  'vendorFlips.profitPerItem': 'Gewinn pro Stück',
+  'vendorFlips.profitPerItemAfterTax': 'Gewinn pro Stück (nach Steuern)',
+  'vendorFlips.margin': 'Marge',
+  'vendorFlips.marginPercent': 'Marge (%)',
+  'vendorFlips.dailyProfit': 'Tägliches Potenzial',
+  'vendorFlips.marketPriceTitle': 'Durchschnitt {average} / günstigstes Angebot {minListing}',
+
+  'currencyExchange.title': 'Währungstausch',
+  'currencyExchange.description': 'Wähle Allagische Steine, Wertmarken oder Abzeichen, um alle damit erhältlichen handelbaren Gegenstände nach Gil pro Währungseinheit nach Steuern zu sortieren. Der erwartete Ertrag richtet sich nach deinem Bestand, höchstens aber nach einer Woche Marktverkäufen.',
+  'currencyExchange.groupTomestones': 'Allagische Steine',
+  'currencyExchange.groupScrips': 'Wertmarken',
+  'currencyExchange.groupSeals': 'Abzeichen und Marken',
+  'currencyExchange.groupGrandCompany': 'Staatstaler',
+  'currencyExchange.budget': 'Bestand',
+  'currencyExchange.search': 'Tausch für {currency} bewerten',
+  'currencyExchange.noTrades': 'Mit dieser Währung gibt es keine handelbaren Gegenstände',
+  'currencyExchange.resultsTitle': 'Rangliste ({count})',
+  'currencyExchange.idle': 'Wähle eine Währung, um zu starten',
+  'currencyExchange.cost': 'Kosten',
+  'currencyExchange.amountPerTrade': 'Menge pro Tausch',
+  'currencyExchange.gilPerCurrency': 'Gil pro Währungseinheit',
+  'currencyExchange.affordable': 'Erschwinglich',
+  'currencyExchange.sellablePerWeek': 'In einer Woche verkäuflich',
+  'currencyExchange.affordableSellable': 'Erschwinglich / in einer Woche verkäuflich',
+  'currencyExchange.expectedGil': 'Erwarteter Ertrag',
+
+  'itemComparison.title': 'Ausrüstungsvergleich',
+  'itemComparison.description': 'Vergleiche bis zu {max} Ausrüstungsteile nebeneinander: Gegenstandsstufe, Grundwerte, Materia-Plätze, Jobs und aktueller Tiefstpreis. Der Hauptwert wird aus Stufe und Platz geschätzt, die Nebenwertzeile ist die Einfassungsobergrenze, und der Preis pro Hauptwertpunkt nutzt den günstigeren NQ/HQ-Tiefstpreis.',
+  'itemComparison.loadFailed': 'Ausrüstungsdaten konnten nicht geladen werden',
+  'itemComparison.pricesLoadFailed': 'Preise konnten nicht geladen werden',
+  'itemComparison.tooMany': 'Du kannst höchstens {max} Ausrüstungsteile vergleichen',
+  'itemComparison.addItem': 'Ausrüstung hinzufügen ({count}/{max})',
+  'itemComparison.searchPlaceholder': 'Ausrüstung nach Namen suchen',
+  'itemComparison.clearAll': 'Alle entfernen',
+  'itemComparison.loadingPrices': 'Preise werden geladen...',
+  'itemComparison.resultsTitle': 'Vergleich',
+  'itemComparison.pricesFor': 'Preise: {scope}',
+  'itemComparison.idle': 'Suche Ausrüstung und füge sie hinzu, um zu vergleichen',
+  'itemComparison.notEquipment': 'Keine Ausrüstung',
+  'itemComparison.removeItem': '{name} entfernen',
+  'itemComparison.ilvl': 'Gegenstandsstufe',
+  'itemComparison.equipLevel': 'Anlegestufe',
+  'itemComparison.slot': 'Platz',
+  'itemComparison.jobs': 'Jobs',
+  'itemComparison.primaryStat': 'Hauptwert (geschätzt)',
+  'itemComparison.substatCap': 'Nebenwert-Obergrenze',
+  'itemComparison.materiaSlots': 'Materia-Plätze',
+  'itemComparison.advancedMelding': ' (verbotene Einfassung)',
+  'itemComparison.nqPrice': 'NQ-Tiefstpreis',
+  'itemComparison.hqPrice': 'HQ-Tiefstpreis',
+  'itemComparison.costPerStat': 'Preis pro Hauptwertpunkt',
+  'itemComparison.paramFallback': 'Wert {id}',
+  'itemComparison.compareTop': 'Die ersten {count} vergleichen',
+
+  'meldingCost.title': 'Einfassungskosten',
+  'meldingCost.description': 'Wähle ein Ausrüstungsteil und die einzufassende Materia, um für jeden Platz die Erfolgsrate der verbotenen Einfassung, den erwarteten Materia-Verbrauch und die Kosten zu aktuellen Preisen zu sehen. Ein Fehlschlag kostet nur die Materia, daher ist der erwartete Verbrauch 100 ÷ Erfolgsrate; die {pct}%-Menge reicht mit {pct}% Wahrscheinlichkeit.',
+  'meldingCost.materiaLoadFailed': 'Materia-Daten konnten nicht geladen werden',
+  'meldingCost.addedToShoppingList': '{count} Materia zur Einkaufsliste hinzugefügt',
+  'meldingCost.groupCombat': 'Kampf',
+  'meldingCost.groupCrafting': 'Handwerk',
+  'meldingCost.groupGathering': 'Sammeln',
+  'meldingCost.slot': 'Platz',
+  'meldingCost.overmeld': 'Verboten',
+  'meldingCost.overmeldSuffix': ' (verboten)',
+  'meldingCost.materia': 'Materia',
+  'meldingCost.stat': 'Wert',
+  'meldingCost.successRate': 'Erfolgsrate',
+  'meldingCost.successRatePercent': 'Erfolgsrate (%)',
+  'meldingCost.expectedCount': 'Erwarteter Verbrauch',
+  'meldingCost.safeCount': 'Menge für {pct}% Sicherheit',
+  'meldingCost.safeCountShort': '{pct}% Sicherheit',
+  'meldingCost.expectedCost': 'Erwartete Kosten',
+  'meldingCost.gear': 'Ausrüstung',
+  'meldingCost.loadingMateria': 'Materia-Daten werden geladen...',
+  'meldingCost.hqGear': 'HQ-Ausrüstung',
+  'meldingCost.ilvl': 'GS {ilvl}',
+  'meldingCost.materiaSlots': '{count} Materia-Plätze',
+  'meldingCost.overmeldable': ', verbotene Einfassung möglich',
+  'meldingCost.notOvermeldable': ', keine verbotene Einfassung',
+  'meldingCost.notMeldable': 'In diesen Gegenstand kann keine Materia eingefasst werden',
+  'meldingCost.planTitle': 'Einfassungsplan',
+  'meldingCost.meldCount': 'Anzahl Materia',
+  'meldingCost.totalExpectedCount': 'Erwarteter Materia-Verbrauch',
+  'meldingCost.missingPrices': '{count} Materia ohne Preis, nicht eingerechnet',
+  'meldingCost.safeBudget': 'Budget für {pct}% Sicherheit',
+  'meldingCost.impossibleSlot': 'Materia gerader Stufen ab VI passen nur in den ersten verbotenen Platz; wähle für Plätze mit 0 % Erfolgsrate andere Materia.',
+  'meldingCost.applyToAll': 'Auf alle anwenden',
+
+  'usedIn.title': 'Verwendungs-Explorer',
+  'usedIn.description': 'Verfolgt Rezepte von einem Material aus über mehrere Stufen und bewertet alle daraus herstellbaren Produkte zu aktuellen Preisen. Wert pro Material = (Verkaufspreis nach Steuern − Kosten der übrigen Materialien auf dem Weg) ÷ Materialverbrauch pro Produkt, direkt vergleichbar mit dem Verkauf des Materials selbst.',
+  'usedIn.selectMaterial': 'Wähle zuerst ein Material',
+  'usedIn.noRecipes': 'Kein Rezept verwendet dieses Material',
+  'usedIn.progressDepth': 'Stufe {depth}, {count} Produkte gefunden',
+  'usedIn.progressPrices': 'Preise werden geladen',
+  'usedIn.depth': 'Stufe',
+  'usedIn.via': 'Über',
+  'usedIn.viaPath': 'über {path}',
+  'usedIn.materialPerUnit': 'Material pro Produkt',
+  'usedIn.otherCost': 'Kosten übriger Materialien',
+  'usedIn.valuePerMaterial': 'Wert pro Material',
+  'usedIn.grossPerMaterial': 'Wert pro Material (ohne übrige Materialien)',
+  'usedIn.material': 'Material',
+  'usedIn.searchPlaceholder': 'Material nach Namen suchen',
+  'usedIn.maxDepth': 'Zu verfolgende Stufen',
+  'usedIn.depthOption': '{depth} Stufen',
+  'usedIn.explore': 'Verwendungen suchen',
+  'usedIn.usesOf': 'Verwendungen von {name}',
+  'usedIn.resultsTitle': 'Rangliste der Verwendungen',
+  'usedIn.endProductsOnly': 'Nur Endprodukte',
+  'usedIn.rawSale': 'Material direkt verkaufen:',
+  'usedIn.perUnit': '{price} pro Stück',
+  'usedIn.beatsRawHint': 'Grüne Produkte lohnen sich mehr als der Direktverkauf',
+  'usedIn.truncated': 'Nach {max} Produkten abgebrochen; versuche weniger Stufen',
+  'usedIn.noProducts': 'Keine Produkte bewertbar',
+  'usedIn.idle': 'Wähle ein Material, um zu starten',
+  'usedIn.product': 'Produkt',
+  'usedIn.recipe': 'Rezept',
+  'usedIn.levelN': 'Stufe {depth}',
+  'usedIn.missingPrices': 'Einige Materialien haben keinen Preis',
+  'usedIn.grossTitle': '{value} ohne übrige Materialien',
+
+  'ventures.title': 'Gehilfen-Unternehmungen',
+  'ventures.description': 'Listet die gezielten Unternehmungen, die ein Gehilfe nach Klasse, Stufe und Gegenstandsstufe bzw. Wahrnehmung annehmen kann, mit dem Gil nach Steuern pro Wertmarke zu Marktpreisen. Der schnelle Streifzug wird getrennt als Durchschnitt über seinen gesamten Belohnungspool angezeigt, nur zur Orientierung; er ist nicht direkt mit gezielten Unternehmungen vergleichbar.',
+  'ventures.classCombat': 'Kampfklasse',
+  'ventures.noTasks': 'Dieser Gehilfe kann keine gezielten Unternehmungen annehmen; passe Stufe oder Werte an',
+  'ventures.retainerClass': 'Gehilfenklasse',
+  'ventures.retainerLevel': 'Gehilfenstufe',
+  'ventures.gathering': 'Sammelgeschick',
+  'ventures.perception': 'Wahrnehmung',
+  'ventures.averageIlvl': 'Durchschnittliche Gegenstandsstufe',
+  'ventures.search': 'Unternehmungen bewerten',
+  'ventures.quickTitle': 'Schneller Streifzug',
+  'ventures.quickSummary': '{cost} Wertmarken pro Streifzug · {pool} Belohnungen im Pool, {priced} mit Marktpreis',
+  'ventures.quickNotComparable': 'Der Belohnungspool mischt Belohnungen aller Klassen und Stufen, und die Daten enthalten keine Belohnungen oder Chancen je Klasse oder Stufe. Die Werte unten sind ein Durchschnitt über den ganzen Pool, nicht der Erwartungswert dieses Gehilfen, und nicht mit gezielten Unternehmungen vergleichbar.',
+  'ventures.quickPoolAverage': 'Pooldurchschnitt pro Streifzug',
+  'ventures.quickPoolAveragePerVenture': 'Pooldurchschnitt pro Wertmarke',
+  'ventures.quickTopRewards': 'Teuerste Belohnungen im Pool',
+  'ventures.velocityTitle': '{value} Verkäufe pro Tag',
+  'ventures.resultsTitle': 'Gezielte Unternehmungen ({count})',
+  'ventures.noResults': 'Keine gezielten Unternehmungen bewertbar',
+  'ventures.idle': 'Richte den Gehilfen ein, um zu starten',
+  'ventures.taskItem': 'Belohnung',
+  'ventures.taskLevel': 'Stufe der Unternehmung',
+  'ventures.cost': 'Wertmarken',
+  'ventures.gilPerVenture': 'Pro Wertmarke',
+  'ventures.gilPerVentureAfterTax': 'Gil pro Wertmarke (nach Steuern)',
+  'ventures.slowTitle': 'Verkauft sich pro Tag weniger, als eine Unternehmung einbringt',
+
+  'voyages.title': 'Erkundungsplaner',
+  'voyages.description': 'Listet, was U-Boote und Luftschiffe der Freien Gesellschaft aus jedem Sektor mitbringen können, und bewertet jeden Sektor und ganze Routen zu Marktpreisen nach Steuern. Dropraten sind nicht veröffentlicht, daher wird jeder Sektor über alle möglichen Funde gemittelt; nicht handelbare Funde zählen als 0.',
+  'voyages.typeAirship': 'Luftschiff',
+  'voyages.typeSubmarine': 'U-Boot',
+  'voyages.voyageType': 'Erkundungsart',
+  'voyages.sea': 'Seegebiet',
+  'voyages.allSeas': 'Alle Seegebiete',
+  'voyages.seaN': 'Seegebiet {sea}',
+  'voyages.search': '{type}-Erträge abfragen',
+  'voyages.sameSeaOnly': 'U-Boot-Routen müssen in einem Seegebiet bleiben',
+  'voyages.maxSectors': 'Eine Route umfasst höchstens {max} Sektoren',
+  'voyages.routeTitle': 'Route',
+  'voyages.routeHint': 'Sektoren unten ankreuzen, um eine Route zu bilden (höchstens {max}); jeder Sektor wird mit einem mitgebrachten Gegenstand bewertet',
+  'voyages.routeHintSubmarine': 'Sektoren unten ankreuzen, um eine Route zu bilden (höchstens {max}, alle im selben Seegebiet); jeder Sektor wird mit einem mitgebrachten Gegenstand bewertet',
+  'voyages.currentRoute': 'Erwartete Gil pro Fahrt auf dieser Route',
+  'voyages.suggestedRoute': 'Vorgeschlagene Route',
+  'voyages.suggestedRouteInSea': 'Vorgeschlagene Route ({sea})',
+  'voyages.apply': 'Übernehmen',
+  'voyages.removeFromRoute': 'Aus der Route entfernen',
+  'voyages.noRouteSectors': 'Noch keine Sektoren ausgewählt',
+  'voyages.resultsTitle': 'Sektor-Rangliste ({count})',
+  'voyages.noResults': 'Keine Sektoren bewertbar',
+  'voyages.idle': 'Erkundungsart wählen, um zu starten',
+  'voyages.sector': 'Sektor',
+  'voyages.possibleLoot': 'Mögliche Funde',
+  'voyages.priced': 'Mit Preis',
+  'voyages.expectedGil': 'Erwartete Gil',
+  'voyages.expectedGilAfterTax': 'Erwartete Gil (nach Steuern)',
+  'voyages.bestLoot': 'Wertvollster Fund',
+  'voyages.addToRoute': '{name} zur Route hinzufügen',
+  'voyages.lootCount': '{count} Arten',
+  'voyages.sectorFallback': 'Sektor {id}',
+
+  'islandWorkshop.title': 'Inselwerkstatt-Planer',
+  'islandWorkshop.description': 'Gib das Beliebtheitsmuster der Woche und das Angebot jedes Werkstücks ein, um den Werkstattplan mit den meisten Kaurimuscheln pro Tag zu erhalten (verschiedene Werkstücke mit gemeinsamem Thema hintereinander lösen den Effizienzbonus aus). Für spätere Tage wird der Angebotsanstieg aus der Planproduktion geschätzt, daher nur als Richtwert. Weide- und Feldertrag lassen sich unten bepreisen.',
+  'islandWorkshop.loadFailed': 'Inseldaten konnten nicht geladen werden',
+  'islandWorkshop.noneMarketable': 'Derzeit ist kein Weide- oder Feldertrag auf dem Markt handelbar',
+  'islandWorkshop.day': 'Tag',
+  'islandWorkshop.order': 'Reihenfolge',
+  'islandWorkshop.startHour': 'Startstunde',
+  'islandWorkshop.craftwork': 'Werkstück',
+  'islandWorkshop.efficiencyBonus': 'Effizienzbonus',
+  'islandWorkshop.cowriesPerWorkshop': 'Kaurimuscheln pro Werkstatt',
+  'islandWorkshop.sourcePasture': 'Weide',
+  'islandWorkshop.sourceCropland': 'Feld',
+  'islandWorkshop.pattern': 'Beliebtheitsmuster der Woche',
+  'islandWorkshop.patternN': 'Muster {pattern}',
+  'islandWorkshop.rank': 'Inselrang',
+  'islandWorkshop.workshops': 'Werkstätten',
+  'islandWorkshop.workshopCount': '{count}',
+  'islandWorkshop.tier': 'Werkstattstufe',
+  'islandWorkshop.groove': 'Elan',
+  'islandWorkshop.restDays': 'Ruhetage:',
+  'islandWorkshop.dayN': 'Tag {day}',
+  'islandWorkshop.scheduleTitle': 'Wochenplan',
+  'islandWorkshop.weekTotal': 'Geschätzte Kaurimuscheln',
+  'islandWorkshop.rest': 'Ruhetag',
+  'islandWorkshop.stepTitle': 'Start {hour}:00 · Angebot {supply}',
+  'islandWorkshop.demandTitle': 'Nachfrage der Woche ({count})',
+  'islandWorkshop.setAllSupply': 'Gesamtes Angebot setzen auf',
+  'islandWorkshop.choose': 'Auswählen',
+  'islandWorkshop.noCraftworks': 'Auf diesem Rang sind keine Werkstücke verfügbar',
+  'islandWorkshop.theme': 'Thema',
+  'islandWorkshop.craftingTime': 'Dauer',
+  'islandWorkshop.baseValue': 'Grundwert',
+  'islandWorkshop.popularity': 'Beliebtheit',
+  'islandWorkshop.currentSupply': 'Aktuelles Angebot',
+  'islandWorkshop.supplyFor': 'Angebot für {name}',
+  'islandWorkshop.leavingsTitle': 'Preise für Weide- und Feldertrag',
+  'islandWorkshop.queryPrices': 'Preise abfragen',
+  'islandWorkshop.popularityVeryHigh': 'Sehr hoch',
+  'islandWorkshop.popularityHigh': 'Hoch',
+  'islandWorkshop.popularityAverage': 'Durchschnittlich',
+  'islandWorkshop.popularityLow': 'Niedrig',
+  'islandWorkshop.supplyNonexistent': 'Nicht vorhanden',
+  'islandWorkshop.supplyInsufficient': 'Unzureichend',
+  'islandWorkshop.supplySufficient': 'Ausreichend',
+  'islandWorkshop.supplySurplus': 'Überschuss',
+  'islandWorkshop.supplyOverflowing': 'Überfluss',
+
+  'craftingPlanner.title': 'Handwerksplaner',
+  'craftingPlanner.description': 'Mehrere Endprodukte mit Menge einreihen und eine zusammengeführte Materialliste erhalten. Gemeinsame Zwischenprodukte werden einmal gezählt und auf ihre Ausbeute aufgerundet; die Schritte stellen zuerst Zwischenprodukte her und folgen dann Klasse und Stufe. Rezeptwahl und vorhandene Materialien stammen aus dem Herstellungsbaum der Gegenstandsseite.',
+  'craftingPlanner.targetsTitle': 'Ziele ({count})',
+  'craftingPlanner.searchPlaceholder': 'Gegenstände suchen und als Ziel hinzufügen',
+  'craftingPlanner.emptyQueue': 'Noch keine Gegenstände. Oben suchen oder über den Herstellungsbaum einer Gegenstandsseite hinzufügen',
+  'craftingPlanner.plan': 'Plan berechnen',
+  'craftingPlanner.planning': 'Wird berechnet...',
+  'craftingPlanner.excludeCrystals': 'Kristalle ignorieren',
+  'craftingPlanner.useOwned': 'Vorhandene Materialien abziehen',
+  'craftingPlanner.outdated': 'Ziele geändert, bitte neu berechnen',
+  'craftingPlanner.materialCost': 'Materialkosten',
+  'craftingPlanner.missingPrices': '{count} Materialien ohne Preis nicht eingerechnet',
+  'craftingPlanner.targetValue': 'Marktwert der Ziele',
+  'craftingPlanner.savings': 'Ersparnis durch Herstellung',
+  'craftingPlanner.materialsTitle': 'Zu kaufende Materialien ({count})',
+  'craftingPlanner.required': 'Benötigt',
+  'craftingPlanner.owned': 'Vorhanden',
+  'craftingPlanner.toBuy': 'Zu kaufen',
+  'craftingPlanner.subtotal': 'Zwischensumme',
+  'craftingPlanner.unitPriceTitle': 'Stückpreis {price}',
+  'craftingPlanner.stepsTitle': 'Herstellungsschritte ({count})',
+  'craftingPlanner.copyPlan': 'Plan kopieren',
+  'craftingPlanner.noCrafts': 'Vorhandene Materialien reichen, nichts herzustellen',
+  'craftingPlanner.order': 'Reihenfolge',
+  'craftingPlanner.job': 'Klasse',
+  'craftingPlanner.crafts': 'Herstellungen',
+  'craftingPlanner.produced': 'Ergebnis',
+  'craftingPlanner.surplus': 'Überschuss',
+  'craftingPlanner.ownedTitle': '{count} bereits vorhanden',
+  'craftingPlanner.uncraftable': '{count} Gegenstände haben kein Rezept und stehen bei den zu kaufenden Materialien',
+  'craftingPlanner.planFailed': 'Herstellungsplan konnte nicht berechnet werden',
+  'craftingPlanner.copied': 'Herstellungsplan kopiert',
+  'craftingPlanner.addedMaterials': '{count} Materialien zur Einkaufsliste hinzugefügt',
+  'craftingPlanner.copyBuyHeader': '[Zu kaufende Materialien]',
+  'craftingPlanner.copyStepsHeader': '[Herstellungsschritte]',
+  'craftingPlanner.copyStep': '{index}. {job} Lv.{level} {name} ×{crafts} Herstellungen{yields}',
+  'craftingPlanner.copyYields': ' (ergibt {count})',
+
+  'time.unknown': 'Unbekannt',
+  'time.minutesAgo': 'vor {minutes} Min.',
+  'time.hoursAgo': 'vor {hours} Std.',
+  'time.hoursMinutesAgo': 'vor {hours} Std. {minutes} Min.',
+  'time.daysAgo': 'vor {days} T.',
+  'time.daysHoursAgo': 'vor {days} T. {hours} Std.',
+  'time.weeksAgo': 'vor {weeks} Wo.',
+  'time.weeksDaysAgo': 'vor {weeks} Wo. {days} T.',
+
+  'notFound.title': 'Seite nicht gefunden',
+  'notFound.description': 'Die gesuchte Seite existiert leider nicht oder wurde entfernt.',
+  'notFound.countdown': 'Zurück zur Startseite in {seconds} s...',
+  'notFound.redirecting': 'Weiterleitung...',
+  'notFound.goHome': 'Jetzt zur Startseite',
+
+  'loader.searching': 'Suche läuft...',
+
+  'searchBar.placeholder': 'Mehrere Stichwörter mit Leerzeichen trennen',
+  'searchBar.pressEnter': 'Enter zum Suchen',
+  'searchBar.suggestions': 'Vorgeschlagene Stichwörter',
+  'searchBar.noSuggestions': 'Keine passenden Stichwörter',
+  'searchBar.recentSearches': 'Suchbegriffe',
+  'searchBar.history': 'Verlauf',
+  'searchBar.noHistory': 'Noch keine Einträge',
+
+  'map.locationInfo': 'Standort',
+  'map.location': 'Standort',
+  'map.zone': 'Gebiet:',
+  'map.coordinates': 'Koordinaten:',
+  'map.coordinatesShort': 'Koordinaten',
+  'map.mapId': 'Karten-ID:',
+  'map.copyZone': 'Gebietsnamen kopieren (FF14 wird automatisch angehängt)',
+  'map.notFound': '⚠️ Kartendaten nicht gefunden (Karten-ID: {mapId})',
+  'map.loading': 'Karte wird geladen...',
+  'map.alt': 'Karte',
+
+  'taxRates.title': 'Marktsteuersätze - {name}',
+  'taxRates.loading': 'Marktsteuersätze werden geladen...',
+  'taxRates.empty': 'Keine Steuerdaten',
+  'taxRates.city.LimsaLominsa': 'Limsa Lominsa',
+  'taxRates.city.Gridania': 'Gridania',
+  'taxRates.city.Uldah': "Ul'dah",
+  'taxRates.city.Ishgard': 'Ishgard',
+  'taxRates.city.Kugane': 'Kugane',
+  'taxRates.city.Crystarium': 'Crystarium',
+  'taxRates.city.OldSharlayan': 'Alt-Sharlayan',
+
+  'results.loadingItems': '{count} Gegenstände werden geladen...',
+  'results.titleCount': '{title} ({count} Gegenstände{suffix})',
+  'results.noUntradable': 'Keine nicht handelbaren Gegenstände',
+  'results.hideUntradable': 'Nicht handelbare ausblenden',
+  'results.showUntradable': 'Nicht handelbare anzeigen ({count})',
+  'results.loadingShort': 'Lädt',
+  'results.loadComplete': 'Laden abgeschlossen',
+  'results.tooMany': 'Zu viele Ergebnisse',
+  'results.many': 'Viele Ergebnisse',
+  'results.loaded': '{count} handelbare Gegenstände geladen{hidden}.',
+  'results.found': '{count} handelbare Gegenstände gefunden{hidden}.',
+  'results.hiddenUntradable': ' ({count} nicht handelbare ausgeblendet)',
+  'results.stricterNextTime': 'Genauere Stichwörter sind beim nächsten Mal schneller.',
+  'results.slowWarning': 'Das Laden der Daten dauert etwas, das Sortieren kann langsam sein. Verwende genauere Stichwörter oder warte bitte.',
+  'results.serverSelect': 'Server:',
+
+  'pagination.perPage': 'Pro Seite:',
+  'pagination.showing': 'Zeige {start}-{end} / {total}',
+  'pagination.first': 'Erste',
+  'pagination.prev': 'Zurück',
+  'pagination.pageOf': 'Seite {page} / {total}',
+  'pagination.next': 'Weiter',
+  'pagination.last': 'Letzte',
+
+  'msq.ilvlValue': 'Gegenstandsstufe: {ilvl}',
+  'msq.ilvlRange': 'Gib eine Zahl zwischen 1 und 999 ein',
+  'msq.invalidIlvl': 'Gib eine gültige Gegenstandsstufe ein',
+  'msq.noItemsForIlvl': 'Keine Gegenstände mit dieser Stufe gefunden',
+  'msq.noItemsInCategory': 'Keine passenden Gegenstände in dieser Ausrüstungskategorie',
+  'msq.description': 'Prüfe schnell die Marktpreise der Ausrüstungstruhen aus der Hauptgeschichte.',
+  'msq.ilvlLabel': 'Gegenstandsstufe (GS)',
+  'msq.ilvlPlaceholder': 'Gegenstandsstufe eingeben...',
+  'msq.categoryLabel': 'Ausrüstungskategorie (optional)',
+  'msq.allCategories': 'Alle Kategorien',
+
+  'craftingInspiration.description': 'Finde die lukrativsten Gegenstände für deine Handwerksklassen und behalte den Markt im Griff.',
+  'craftingInspiration.maxJobs': 'Du kannst höchstens 4 Klassen wählen',
+  'craftingInspiration.limitedFetching': 'Auf die ersten {count} Gegenstände begrenzt, Marktdaten werden geladen...',
+  'craftingInspiration.rangeTooLargeToast': 'Bereich zu groß! Höchstens {max} Stufen durchsuchbar',
+  'craftingInspiration.noRecipes': 'Keine passenden Rezepte gefunden',
+  'craftingInspiration.filteringTradable': '{count} Gegenstände gefunden, handelbare werden gefiltert...',
+  'craftingInspiration.noItems': 'Keine Gegenstände gefunden',
+  'craftingInspiration.noTradable': 'Keine handelbaren Gegenstände',
+  'craftingInspiration.untradableSuffix': ', {count} nicht handelbare',
+  'craftingInspiration.foundFetching': '{count} handelbare Gegenstände{untradable} gefunden, Marktdaten werden geladen...',
+  'craftingInspiration.searchDone': 'Suche abgeschlossen! {count} handelbare Gegenstände{untradable} gefunden',
+  'craftingInspiration.searchDoneLimited': 'Suche abgeschlossen! {count} handelbare Gegenstände (begrenzt)',
+  'craftingInspiration.buttonTooMany': 'Suchen ({total} Gegenstände, über dem Limit von {limit})',
+  'craftingInspiration.tooltipTooMany': '{total} handelbare Gegenstände gefunden, über dem empfohlenen Limit von {limit}. Grenze den Stufenbereich ein oder wähle weniger Klassen.',
+  'craftingInspiration.buttonRangeTooLarge': 'Suchen (Bereich zu groß: {range} Stufen, max. {max})',
+  'craftingInspiration.tooltipRangeTooLarge': 'Der aktuelle Bereich umfasst {range} Stufen, mehr als das Maximum von {max}. Versuche {suggestedMin}-{suggestedMax}.',
+  'craftingInspiration.buttonSelectJob': 'Suchen (zuerst mindestens eine Klasse wählen)',
+  'craftingInspiration.tooltipSelectJob': 'Wähle mindestens eine Handwerksklasse, um zu suchen.',
+  'craftingInspiration.jobSelect': 'Klassen (max. 4)',
+  'craftingInspiration.selectedCount': 'Ausgewählt: {count}/4',
+  'craftingInspiration.noJobHint': 'Ohne gewählte Klasse ist der Bereich auf 10 Stufen begrenzt',
+  'craftingInspiration.ilvlRange': 'Gegenstandsstufenbereich',
+  'craftingInspiration.currentRange': 'Aktueller Bereich: {count} Stufen',
+  'craftingInspiration.selectedJobs': '{count} Klassen ausgewählt',
+  'craftingInspiration.maxRange': 'Max. Bereich: {count} Stufen',
+  'craftingInspiration.selectJobFirst': '⚠️ Wähle zuerst eine Klasse',
+  'craftingInspiration.minLevel': 'Min. Stufe',
+  'craftingInspiration.maxLevel': 'Max. Stufe',
+  'craftingInspiration.rangeRule': 'Mehr Klassen bedeuten einen kleineren Stufenbereich:',
+  'craftingInspiration.jobCount': '{count} Klassen: ',
+  'craftingInspiration.rangeTooLarge': 'Bereich zu groß!',
+  'craftingInspiration.suggested': 'Vorschlag:',
+  'craftingInspiration.autoAdjusted': 'Auf {min}-{max} angepasst',
+  'craftingInspiration.applySuggestion': 'Vorschlag übernehmen',
+  'craftingInspiration.tooManyTitle': 'Zu viele Gegenstände gefunden',
+  'craftingInspiration.tooManyBody': '{total} handelbare Gegenstände gefunden, über dem empfohlenen Limit von {limit}. Zu viele Gegenstände können die Suche verlangsamen oder Leistungsprobleme verursachen.',
+  'craftingInspiration.continueLimited': 'Weitersuchen (auf die ersten {limit} begrenzt)',
+  'craftingInspiration.searchCancelled': 'Suche abgebrochen',
+  'craftingInspiration.tip': '💡 Tipp: Grenze den Stufenbereich ein oder wähle weniger Klassen, um weniger Ergebnisse zu erhalten',
+  'craftingInspiration.rangeSummary': '({jobs} Klassen ausgewählt, max. Bereich: {max})',
+
+  'obtain.noData': 'Noch keine Daten zur Beschaffung',
+  'obtain.treasureFinder': 'Zum Schatzkarten-Finder',
+  'obtain.method.crafted': 'Herstellung',
+  'obtain.method.trade': 'Tausch',
+  'obtain.method.vendor': 'NPC-Händler',
+  'obtain.method.treasure': 'Schatztruhen / Behälter',
+  'obtain.method.instance': 'Inhaltsbeute',
+  'obtain.method.desynth': 'Verwertung',
+  'obtain.method.quest': 'Questbelohnung',
+  'obtain.method.fate': 'FATE',
+  'obtain.method.gathered': 'Sammeln',
+  'obtain.method.reduced': 'Reduktion',
+  'obtain.method.venture': 'Gehilfenunternehmung',
+  'obtain.method.gardening': 'Gartenarbeit',
+  'obtain.method.mogstation': 'Mog Station-Kauf',
+  'obtain.method.leve': 'Freibrief',
+  'obtain.method.voyage': 'Erkundungen',
+  'obtain.method.requirement': 'Voraussetzung',
+  'obtain.method.masterbook': 'Meisterbuch',
+  'obtain.method.alarm': 'Sammelalarme',
+  'obtain.method.drop': 'Monsterbeute',
+  'obtain.method.achievement': 'Errungenschaftsbelohnung',
+  'obtain.method.islandCrop': 'Inselernte',
+  'obtain.method.unknown': 'Unbekannt',
+  'obtain.currencyFallback': 'Währung',
+  'obtain.instanceFallback': 'Inhalt {id}',
+  'obtain.expandTree': 'Baum ausklappen',
+  'obtain.collapseTree': 'Baum einklappen',
+  'obtain.clickExpandTree': 'Klicken, um den Herstellungspreisbaum auszuklappen',
+  'obtain.clickCollapseTree': 'Klicken, um den Herstellungspreisbaum einzuklappen',
+  'obtain.masterbookFallback': 'Spezielles Meisterbuch',
+  'obtain.requiresHq': 'Erfordert die HQ-Version',
+  'obtain.requiredQuest': 'Erfordert Quest:',
+  'obtain.locationCount': '{count} Orte',
+  'obtain.requiredAchievement': 'Erfordert Errungenschaft:',
+  'obtain.levelLabel': 'Stufe:',
+  'obtain.syncLevel': '(synchronisiert: {level})',
+  'obtain.ilvlRequired': 'Erforderliche GS:',
+  'obtain.unknownZone': 'Unbekanntes Gebiet',
+  'obtain.levelValue': 'St. {level}',
+  'obtain.levelRange': 'St. {min}–{max}',
+  'obtain.position': 'Position: ({x}, {y})',
+  'obtain.questFallback': 'Quest {id}',
+  'obtain.questId': 'Quest-ID: {id}',
+  'obtain.allJobs': 'Alle Klassen',
+  'obtain.questLevel': 'St. {level}',
+  'obtain.fateLevel': 'FATE St. {level}',
+  'obtain.notoriousMonster': 'Berüchtigtes Monster',
+  'obtain.rewardItems': 'Belohnungen',
+  'obtain.rating': 'Bewertung',
+  'obtain.ratingGold': 'Gold',
+  'obtain.ratingSilver': 'Silber',
+  'obtain.ratingRare': 'Selten',
+  'obtain.gatherFallback': 'Sammeln',
+  'obtain.islandNode': 'Sammelstelle auf der Insel',
+  'obtain.nodeSpot': '{type}-Sammelstelle',
+  'obtain.mogstation': 'Im Mog Station-Shop erhältlich',
+  'obtain.leveFallback': 'Freibrief {id}',
+  'obtain.leveCost': 'Freibriefe: {cost}',
+  'obtain.requiredItems': 'Benötigte Gegenstände:',
+  'obtain.rewards': 'Belohnungen:',
+  'obtain.voyageAvailable': 'Durch Erkundungen erhältlich',
+  'obtain.voyageRoutes': 'Erträge je Route →',
+  'obtain.islandCropHint': 'Wird im Inselparadies aus Samen angebaut',
+  'obtain.requiredSeed': 'Benötigter Samen:',
+  'obtain.seedFallback': 'Samen {id}',
+  'obtain.seedIdFallback': 'Samen (ID: {id})',
+  'obtain.dataLoading': 'Daten werden geladen...',
+  'obtain.masterbookLimited': 'Das Meisterbuch dieses Gegenstands stammt möglicherweise aus einem zeitlich begrenzten Event; die Datenbank enthält noch keine Details.',
+  'obtain.viewHuijiWiki': 'Huiji-Wiki öffnen',
+  'obtain.duration': 'Dauer {minutes} Min.',
+  'obtain.spawnTimes': 'Erscheint: {times}',
+  'obtain.methodCount': '{count} Wege',
+  'obtain.filterAll': 'Alle',
+  'obtain.achievementId': 'Errungenschafts-ID:',
+  'obtain.rewardItemsLabel': 'Belohnungen:',
+
+  'advancedSearch.description': 'Marktpreise vieler Gegenstände auf einmal abfragen oder mit Filtern suchen.',
+  'advancedSearch.tabFilter': 'Filtersuche',
+  'advancedSearch.tabBatch': 'Sammelsuche',
+  'advancedSearch.batchLabel': 'Gegenstandsnamen (einer pro Zeile oder durch Kommas getrennt)',
+  'advancedSearch.batchPlaceholder': 'Gegenstandsnamen eingeben, z. B.:\n精金錠\n秘銀錠\n山銅錠\noder: 精金錠, 秘銀錠, 山銅錠',
+  'advancedSearch.batchLimitHint': 'Bis zu 100 Gegenstandsnamen pro Suche (traditionelle oder vereinfachte chinesische Namen)',
+  'advancedSearch.exactSearch': 'Exakte Suche',
+  'advancedSearch.exactSearchShort': 'Exakt',
+  'advancedSearch.exactSearchOn': 'Exakte Suche einschalten',
+  'advancedSearch.exactSearchOff': 'Exakte Suche ausschalten',
+  'advancedSearch.bugNotice': 'Diese Seite hat mehr Fälle, als der Autor allein testen kann. Wenn du einen Fehler findest, melde ihn bitte über die Bahamut- oder Discord-Links auf der Startseite. Danke!',
+  'advancedSearch.selectJobs': 'Klassen auswählen',
+  'advancedSearch.selectCategories': 'Gegenstandskategorien auswählen',
+  'advancedSearch.categoryFilterPlaceholder': 'Kategorien filtern',
+  'advancedSearch.equipmentGroup': 'Ausrüstung',
+  'advancedSearch.miscGroup': 'Sonstiges',
+  'advancedSearch.noCategoryMatch': 'Keine Kategorie passt zu „{term}“',
+  'advancedSearch.selectedCategories': '{count} Kategorien ausgewählt',
+  'advancedSearch.categoryMainHand': 'Haupthand',
+  'advancedSearch.categoryOffHand': 'Nebenhand',
+  'advancedSearch.categoryMountBarding': 'Reittiere / Rüstungen',
+  'advancedSearch.nameFilterPlaceholder': 'Nach Gegenstandsname filtern (Stichwörter mit Leerzeichen trennen)',
+  'advancedSearch.stopSearch': 'Suche stoppen',
+  'advancedSearch.clearFilters': 'Filter zurücksetzen',
+  'advancedSearch.showingFiltered': ', {count} angezeigt',
+  'advancedSearch.enterItemName': 'Gib mindestens einen Gegenstandsnamen ein',
+  'advancedSearch.tooManyNames': 'Pro Suche sind höchstens 100 Gegenstandsnamen möglich',
+  'advancedSearch.duplicatesRemoved': '{count} doppelte Gegenstandsnamen entfernt',
+  'advancedSearch.noItemsFound': 'Keine Gegenstände gefunden',
+  'advancedSearch.noTradable': 'Keine handelbaren Gegenstände',
+  'advancedSearch.selectJobOrCategory': 'Wähle mindestens eine Klasse oder Kategorie aus',
+  'advancedSearch.noMatchingItems': 'Keine Gegenstände entsprechen diesen Filtern',
+  'advancedSearch.marketDataError': 'Fehler beim Laden der Marktdaten. Bitte später erneut versuchen',
+};
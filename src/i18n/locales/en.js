@@ -0,0 +1,1108 @@
+// English - also the fallback for languages missing a key
+export default {
+  'common.copyItemName': 'Copy item name',
+  'common.copiedItemName': 'Item name copied',
+  'common.copyFailed': 'Copy failed',
+  'common.loading': 'Loading...',
+  'common.yes': 'Yes',
+  'common.no': 'No',
+  'common.loadFailed': 'Failed to load',
+  'common.componentLoadFailed': 'Could not load {name}. Please reload the page.',
+  'common.unknownItem': 'Unknown item',
+  'common.refresh': 'Refresh',
+  'common.itemFallback': 'Item {id}',
+  'common.remove': 'Remove',
+  'common.clear': 'Clear',
+  'common.confirmClear': 'Clear everything?',
+  'common.import': 'Import',
+  'common.export': 'Export',
+  'common.appVersion': 'Version:',
+  'common.noData': 'No data yet',
+  'common.any': 'Any',
+  'common.minutes': 'min',
+  'common.every': 'Every',
+  'common.listSeparator': ', ',
+  'common.copySummary': 'Copy summary',
+  'common.marketDataLoadFailed': 'Failed to load market data',
+  'common.worldFallback': 'World {id}',
+  'common.selectServer': 'Please select a server',
+  'common.taxRate': 'Tax {rate}%',
+  'common.categoriesLoadFailed': 'Failed to load item categories',
+  'common.itemNamesLoadFailed': 'Failed to load item names',
+  'common.scanFailed': 'Scan failed',
+  'common.stopScan': 'Stop scan',
+  'common.showingTop': 'Showing top {count}',
+  'common.itemCategory': 'Item category',
+  'common.allMarketable': 'All marketable items',
+  'common.noMarketableInCategory': 'No marketable items in this category',
+  'common.minVelocity': 'Min. daily sales',
+  'common.noMatchesRelax': 'No items match, try relaxing the filters',
+  'common.lowestPrice': 'Lowest price',
+  'common.afterTaxProfit': 'Profit after tax',
+  'common.dailyProfit': 'Est. daily profit',
+  'common.add': 'Add',
+  'common.checkFailed': 'Check failed',
+  'common.copiedValue': 'Copied {value}',
+  'common.copyPrice': 'Copy price',
+  'common.searchItemToAdd': 'Search an item name to track it',
+  'common.delete': 'Delete',
+  'common.saveFailed': 'Save failed',
+  'common.addedToShoppingList': 'Added {count} items to the shopping list',
+  'common.close': 'Close',
+  'common.queryServer': 'Server',
+  'common.minLevel': 'Min level',
+  'common.maxLevel': 'Max level',
+  'common.level': 'Level',
+  'common.stopQuery': 'Stop',
+  'common.querying': 'Searching...',
+  'common.queryFailed': 'Search failed',
+  'common.worldScope': 'Server {name}',
+  'common.dcScope': 'All of {name}',
+  'common.limited': 'Timed',
+  'common.priceSource': 'Price source',
+  'common.averageSalePrice': 'Average sale price',
+  'common.noSalesMinListing': 'No sales history, using the lowest listing',
+  'common.zone': 'Zone',
+  'common.categoryFallback': 'Category {id}',
+  'common.noMatches': 'No matching items',
+  'common.noPrice': 'No price',
+  'common.perDay': '{count}/day',
+  'common.npcFallback': 'NPC {id}',
+  'common.search': 'Search',
+  'common.searching': 'Searching...',
+  'common.searchFailedRetry': 'Search failed, please try again later',
+  'common.itemInfoFailed': 'Could not load item details',
+  'common.cancel': 'Cancel',
+  'common.serverSelect': 'Server',
+  'common.confirm': 'Confirm',
+
+  'nav.home': 'Back to home',
+  'nav.advancedSearch': 'Advanced Search',
+  'nav.advancedSearchShort': 'Search',
+  'nav.watchlist': 'Watchlist',
+  'nav.watchlistShort': 'Watch',
+  'nav.shoppingList': 'Shopping List',
+  'nav.shoppingListShort': 'List',
+  'nav.craftingInspiration': 'Crafting Ideas',
+  'nav.craftingInspirationShort': 'Craft',
+  'nav.craftingInspirationTitle': 'Crafter price finder',
+  'nav.msq': 'MSQ Gear',
+  'nav.msqShort': 'Gear',
+  'nav.msqTitle': 'MSQ gear price checker',
+  'nav.taxRates': 'Taxes',
+  'nav.tools': 'Tools',
+  'nav.history': 'History',
+  'nav.historyShort': 'History',
+  'nav.language': 'Language',
+
+  'search.waitForServerData': 'Please wait for server data to load',
+  'search.resultsTitle': 'Search results',
+  'toast.wikiOpenFailed': 'Could not open the wiki link',
+  'toast.itemSetFailed': 'Could not look up the gear set',
+  'toast.addedToWatchlist': 'Added {name} ({scope}) to the watchlist. Set price thresholds on the Watchlist page.',
+  'toast.serverLoadTimeout': 'Loading servers timed out, retrying ({attempt}/3)...',
+  'toast.serverDataEmpty': 'Server list was empty, retrying ({attempt}/3)...',
+  'toast.serverLoadFailedRetry': 'Could not load servers, retrying ({attempt}/3)...',
+  'toast.serverDataLoaded': 'Server list loaded',
+  'toast.serverDataRecovered': 'Server list loaded after retrying',
+  'toast.serverListFailed': 'Could not load the server list. Please reload the page.',
+  'toast.itemSelected': 'Selected: {name}',
+  'toast.itemNotFound': 'Item not found',
+  'toast.itemLoadFailed': 'Could not load the item',
+  'toast.foundInSimplified': 'No Traditional Chinese results for "{text}", but the Simplified Chinese database has matches!',
+  'toast.tryingConversion': 'No results for "{text}", trying "{converted}" instead',
+  'toast.foundItems': 'Found {count} items',
+  'toast.foundMarketable': 'Found {count} tradable items',
+  'toast.foundMarketableAndNot': 'Found {count} tradable and {untradable} untradable items',
+  'toast.noResults': 'No items found',
+  'toast.searchFailed': 'Search failed',
+  'toast.requestTimeoutRetry': 'Request timed out, retrying ({attempt}/3)...',
+  'toast.requestFailedRetry': 'Request failed, retrying ({attempt}/3)...',
+  'toast.marketDataRecovered': 'Market data loaded',
+  'toast.marketDataFailed': 'Could not load market data',
+  'toast.notOnMarket': 'This item has no market data',
+  'toast.pageStillLoading': 'This page is still loading, please wait...',
+
+  'history.empty': 'No history yet',
+  'history.recent': 'Recently viewed ({count})',
+  'history.clear': 'Clear history',
+  'history.confirmClear': 'Clear all history?',
+  'history.loading': 'Loading history...',
+  'history.emptyHint': 'Items you open are saved to your history automatically',
+  'history.recentItems': 'Recently viewed items',
+
+  'tools.arbitrage.label': 'Cross-world Arbitrage',
+  'tools.arbitrage.description': 'Find items that are cheap on other worlds and resell for more at home',
+  'tools.retainers.label': 'Retainer Undercuts',
+  'tools.retainers.description': 'Check whether your retainer listings were undercut and get a suggested price',
+  'tools.gathering.label': 'Gathering Profits',
+  'tools.gathering.description': 'Rank Miner, Botanist and Fisher items by market price and sales',
+  'tools.craftingPlanner.label': 'Crafting Planner',
+  'tools.craftingPlanner.description': 'Merge materials for several crafted items into one shopping list and craft order',
+  'tools.desynth.label': 'Desynthesis Value',
+  'tools.desynth.description': 'Estimate desynthesis and reduction outputs and compare them with selling the item',
+  'tools.vendorFlips.label': 'Vendor Flips',
+  'tools.vendorFlips.description': 'Find gil shop items that sell on the market board for well above the NPC price',
+  'tools.currencyExchange.label': 'Currency Exchange',
+  'tools.currencyExchange.description': 'Rank what tomestones, scrips and seals buy by gil earned per currency unit',
+  'tools.itemComparison.label': 'Item Comparison',
+  'tools.itemComparison.description': 'Compare equipment stats, materia slots, jobs and prices side by side',
+  'tools.meldingCost.label': 'Melding Cost',
+  'tools.meldingCost.description': 'Overmeld success rates, expected materia used and gil cost',
+  'tools.usedIn.label': 'Used-In Explorer',
+  'tools.usedIn.description': 'Trace everything a material crafts into and find its most valuable use',
+  'tools.ventures.label': 'Venture Profit',
+  'tools.ventures.description': 'Rank the targeted ventures a retainer can take by gil per venture',
+  'tools.voyages.label': 'Voyage Planner',
+  'tools.voyages.description': 'Value submarine and airship loot per sector and find the most profitable route',
+  'tools.islandWorkshop.label': 'Island Workshop Planner',
+  'tools.islandWorkshop.description': 'Plan the weekly workshop agenda for the most cowries and price pasture and crop leavings',
+
+  'table.image': 'Icon',
+  'table.itemName': 'Item',
+  'table.version': 'Patch',
+  'table.velocity': 'Sales/day',
+  'table.averagePrice': 'Average price',
+  'table.dcAveragePrice': 'DC average price',
+  'table.minListing': 'Lowest listing',
+  'table.minListingWorld': 'Lowest listing world',
+  'table.recentPurchase': 'Last sale',
+  'table.recentPurchaseWorld': 'Last sale world',
+  'table.tradable': 'Tradable',
+  'table.untradable': 'Untradable',
+  'table.links': 'Links',
+  'table.unitPrice': 'Price',
+  'table.quantity': 'Qty',
+  'table.total': 'Total',
+  'table.retainer': 'Retainer',
+  'table.buyer': 'Buyer',
+  'table.world': 'World',
+  'table.time': 'Time',
+  'table.loadingMarketData': 'Loading market data...',
+  'table.versionTitle': 'Patch {version}',
+  'table.region': 'Region: {region}',
+  'table.copyHint': 'Use the copy button to copy an item name',
+  'table.item': 'Item',
+
+  'filter.rarity': 'Rarity:',
+  'filter.version': 'Patch:',
+  'filter.waitForItems': 'Please wait for items to finish loading',
+  'filter.noItems': '{label} (no items)',
+
+  'rarity.1': 'Common',
+  'rarity.2': 'Uncommon',
+  'rarity.3': 'Rare',
+  'rarity.4': 'Relic',
+
+  'listings.empty': 'No listings',
+  'listings.mine': 'Mine',
+  'sales.empty': 'No sales history',
+
+  'shoppingList.add': '+List',
+  'shoppingList.addTitle': 'Add to shopping list',
+  'shoppingList.added': 'Added to shopping list',
+  'shoppingList.title': 'Shopping List',
+  'shoppingList.description': 'Add items from search results, the crafting price tree or advanced search to find the cheapest listings across the data center and plan a purchase route by world.',
+  'shoppingList.itemsCount': 'Items ({count})',
+  'shoppingList.planning': 'Loading {progress}',
+  'shoppingList.planRoute': 'Plan {dc} purchase route',
+  'shoppingList.empty': 'The list is empty. Add items with "+List" in search results or the cart button in the crafting price tree.',
+  'shoppingList.hqOnly': 'HQ only',
+  'shoppingList.estimatedCost': 'Estimated cost',
+  'shoppingList.shortfall': 'Short {count}',
+  'shoppingList.routeTitle': '{dc} purchase route',
+  'shoppingList.routeTotal': 'Total {total} gil',
+  'shoppingList.newItemsHint': 'The list has new items, please plan the route again',
+  'shoppingList.unfilled': 'Not enough listings: {items}',
+  'shoppingList.routeCopied': 'Purchase route copied',
+  'shoppingList.summaryTotal': 'Total: {total} gil',
+  'shoppingList.summaryUnfilled': 'Missing: {items}',
+  'shoppingList.addAll': 'Add all to shopping list',
+
+  'export.label': 'Export:',
+  'export.copied': 'Copied',
+  'export.failed': 'Export failed',
+  'export.copy': 'Copy',
+  'export.csvTitle': 'Download CSV',
+  'export.jsonTitle': 'Download JSON',
+  'export.tsvTitle': 'Copy table (paste into a spreadsheet)',
+
+  'slot.MainHand': 'Main Hand',
+  'slot.OffHand': 'Off Hand',
+  'slot.Head': 'Head',
+  'slot.Body': 'Body',
+  'slot.Gloves': 'Hands',
+  'slot.Waist': 'Waist',
+  'slot.Legs': 'Legs',
+  'slot.Feet': 'Feet',
+  'slot.Ears': 'Earrings',
+  'slot.Neck': 'Necklace',
+  'slot.Wrists': 'Bracelets',
+  'slot.Rings': 'Rings',
+  'slot.OneHandWeapon': 'One-handed weapon',
+  'slot.TwoHandWeapon': 'Two-handed weapon',
+  'slot.BodyHead': 'Body (covers head)',
+  'slot.BodyHeadLegsFeet': 'Body (covers head, legs, feet)',
+  'slot.LegsFeet': 'Legs (covers feet)',
+
+  'error.serverListFailed': 'Could not load the server list',
+  'error.searchFailed': 'Search failed, please try again later',
+  'error.rateLimited': 'Too many requests, please try again shortly',
+  'error.notOnMarket': 'This item has no market data and may not be tradable on the market board',
+
+  'app.loadingServers': 'Loading servers...',
+
+  'item.notOnTwServers': 'Not found in TW server data',
+  'item.obtainMethods': 'Sources',
+  'item.obtainExpand': 'Show sources',
+  'item.obtainCollapse': 'Hide sources',
+  'item.obtainLoadFailed': 'Sources failed to load. Please reload the page.',
+  'item.loadingObtain': 'Loading sources...',
+  'item.craftingTree': 'Crafting price tree',
+  'item.craftingTreeExpand': 'Show crafting price tree',
+  'item.craftingTreeCollapse': 'Hide crafting price tree',
+  'item.craftingTreeLoadFailed': 'Crafting price tree failed to load. Please reload the page.',
+  'item.loadingCraftingTree': 'Loading crafting price tree...',
+  'item.loadingRecipe': 'Loading recipe...',
+  'item.preparing': 'Preparing...',
+  'item.noRecipe': 'This item has no recipe',
+  'item.relatedItems': 'Used in',
+  'item.relatedExpand': "Show what it's used in",
+  'item.relatedCollapse': "Hide what it's used in",
+  'item.relatedLoadFailed': 'Uses failed to load. Please reload the page.',
+  'item.loadingRelated': 'Loading uses...',
+  'item.notUsedAsMaterial': "This item isn't used as a material",
+  'item.itemSet': 'Gear set',
+  'item.itemSetCount': 'Gear set ({count})',
+  'item.itemSetExpand': 'Show gear set',
+  'item.itemSetCollapse': 'Hide gear set',
+  'item.noItemSet': 'No matching gear set',
+  'item.itemSetRule': 'A set is gear with the same patch, item level, equip level and job restriction. The other pieces are listed below (not including this one).',
+  'item.notEquipment': "This item isn't equipment, so it has no set.",
+  'item.noSetData': 'No other gear from this set.',
+  'item.averagePriceLoading': 'Loading average price…',
+  'item.watch': 'Watch',
+  'item.watching': 'Watching',
+  'item.watchTitle': 'Add to watchlist (current server)',
+  'item.watchedTitle': 'Already on your watchlist - click to view',
+  'item.listings': 'Listings',
+  'item.sales': 'Sale history',
+  'item.loadingSales': 'Loading sale history...',
+  'item.priceTrend': 'Price trend',
+  'item.priceTrendLoadFailed': 'Price trend failed to load. Please reload the page.',
+  'item.autoRetry': 'Retrying automatically in 3 seconds...',
+  'item.loadingItem': 'Loading item...',
+
+  'home.tips': 'Tips',
+  'home.tipKeywords': 'Search for several keywords separated by spaces (e.g. "timeworn map")',
+  'home.tipHistory': 'Items you open are saved to your history (up to 10), which you can open from the History button next to the search bar',
+  'home.tipContact': 'New game patches need a manual backend update by the author. If something is broken, contact the author on Discord: wuperbear',
+  'home.loadingRecent': 'Loading recent updates...',
+
+  'watchlist.title': 'Watchlist',
+  'watchlist.description': 'Watch items from their item page and set buy/sell thresholds to get alerted when the price crosses them.',
+  'watchlist.autoCheck': 'Auto check',
+  'watchlist.notificationsOn': 'Browser notifications: on',
+  'watchlist.notificationsOff': 'Browser notifications: off',
+  'watchlist.checking': 'Checking...',
+  'watchlist.checkNow': 'Check now',
+  'watchlist.lastCheck': 'Last check: {time}',
+  'watchlist.empty': 'Your watchlist is empty. Click "Watch" on an item page to get started.',
+  'watchlist.quality': 'Quality',
+  'watchlist.buyBelow': 'Buy ≤',
+  'watchlist.sellAbove': 'Sell ≥',
+  'watchlist.currentLowest': 'Current lowest',
+  'watchlist.status': 'Status',
+  'watchlist.statusBuy': 'Buy now',
+  'watchlist.statusSell': 'Sell now',
+  'watchlist.statusWatching': 'Watching',
+  'watchlist.imported': 'Imported {count} watchlist entries',
+  'watchlist.importInvalidJson': 'Import failed: the file is not valid JSON',
+  'watchlist.importFailed': 'Import failed: {message}',
+  'watchlist.importBadFormat': 'Invalid import format',
+  'watchlist.importNothing': 'Nothing to import',
+  'watchlist.notificationsUnsupported': 'This browser does not support notifications',
+  'watchlist.notificationsEnabled': 'Browser notifications enabled',
+  'watchlist.notificationsDenied': 'Browser notification permission was denied',
+  'watchlist.cleared': 'Watchlist cleared',
+  'watchlist.alertBuy': '{name}{quality} dropped to {price} gil on {world} (target ≤ {target})',
+  'watchlist.alertSell': '{name}{quality} rose to {price} gil on {world} (target ≥ {target})',
+  'watchlist.notifyBuyTitle': 'Watchlist: time to buy',
+  'watchlist.notifySellTitle': 'Watchlist: time to sell',
+
+  'arbitrage.title': 'Cross-World Arbitrage',
+  'arbitrage.description': 'Scans marketable items for ones whose lowest listing on another world is well below the average sale price on your home world, ranked by after-tax profit × daily sales. With a data center selected, prices are compared to the data center average instead.',
+  'arbitrage.homeServer': 'Home server (where you sell)',
+  'arbitrage.minProfit': 'Min. profit per item',
+  'arbitrage.minDiscount': 'Min. discount (%)',
+  'arbitrage.startScan': 'Scan {name}',
+  'arbitrage.sellWorld': 'Selling on {name}',
+  'arbitrage.dcAverage': '{name} average',
+  'arbitrage.resultsTitle': 'Opportunities ({count})',
+  'arbitrage.scanning': 'Scanning, items appear as they are found...',
+  'arbitrage.idle': 'Choose a server and category, then start scanning',
+  'arbitrage.buyWorld': 'Buy on',
+  'arbitrage.expectedSellPrice': 'Est. sell price',
+  'arbitrage.discount': 'Discount',
+  'arbitrage.averagePriceTitle': 'Average sale price {price}',
+
+  'retainers.title': 'Retainer Undercut Tracker',
+  'retainers.description': 'Register your retainers and their worlds, add the items you are selling, and check in one click which listings are no longer the cheapest, by how much, and what to reprice them to.',
+  'retainers.myRetainers': 'My retainers ({count})',
+  'retainers.namePlaceholder': 'Retainer name',
+  'retainers.noRetainers': 'No retainers registered yet',
+  'retainers.trackedItems': 'Items for sale ({count})',
+  'retainers.noItems': 'No items added yet',
+  'retainers.retainerExists': 'This retainer is already registered',
+  'retainers.itemExists': 'This item is already tracked',
+  'retainers.undercutToast': '{count} listings were undercut',
+  'retainers.allLowestToast': 'All your listings are the cheapest',
+  'retainers.results': 'Results',
+  'retainers.undercutCount': '{count} undercut',
+  'retainers.allLowest': 'All cheapest',
+  'retainers.lastCheck': 'Last check {time}',
+  'retainers.checking': 'Checking {progress}',
+  'retainers.check': 'Check undercuts',
+  'retainers.setupHint': 'Register a retainer and add items for sale first',
+  'retainers.checkHint': 'Click "Check undercuts" to start',
+  'retainers.showNotListed': 'Show items not listed ({count})',
+  'retainers.worldRetainer': 'World / Retainer',
+  'retainers.myPrice': 'My price',
+  'retainers.competitorPrice': 'Lowest competitor',
+  'retainers.difference': 'Difference',
+  'retainers.suggestedPrice': 'Suggested price',
+  'retainers.moreListings': ' and {count} listings',
+  'retainers.notListed': 'None of your retainers list this item on this world',
+  'retainers.lowest': 'Cheapest',
+
+  'city.limsaLominsa': 'Limsa Lominsa',
+  'city.gridania': 'Gridania',
+  'city.uldah': "Ul'dah",
+  'city.ishgard': 'Ishgard',
+  'city.kugane': 'Kugane',
+  'city.crystarium': 'Crystarium',
+  'city.oldSharlayan': 'Old Sharlayan',
+  'city.tuliyollal': 'Tuliyollal',
+
+  'craftingProfit.calculating': 'Calculating profit...',
+  'craftingProfit.title': 'Crafting profit',
+  'craftingProfit.salePrice': 'Sale price',
+  'craftingProfit.materialCost': 'Material cost / unit',
+  'craftingProfit.unitsPerCraft': '{count} per craft',
+  'craftingProfit.netRevenue': 'Revenue after tax / unit',
+  'craftingProfit.taxCity': ' ({city})',
+  'craftingProfit.taxDefault': ' (default)',
+  'craftingProfit.netProfit': 'Net profit / margin',
+  'craftingProfit.gilPerHour': 'Gil per hour',
+  'craftingProfit.dcVelocity': 'DC sales/day {velocity}',
+  'craftingProfit.missingPrices': 'Some materials have no price and cannot be crafted, so the cost cannot be calculated',
+  'craftingProfit.crystalsExcluded': 'Crystals are not included in the cost; turn on the crystal toggle to include them',
+  'craftingProfit.plan': 'Buy / craft plan',
+  'craftingProfit.buy': 'Buy ({count})',
+  'craftingProfit.craft': 'Craft ({count})',
+  'craftingProfit.crafts': '{count}×',
+  'craftingProfit.allCheaperToBuy': 'Buying every material is cheaper',
+
+  'priceHistory.window24h': '24h',
+  'priceHistory.window7d': '7 days',
+  'priceHistory.window30d': '30 days',
+  'priceHistory.loadFailed': 'Failed to load price history',
+  'priceHistory.byQuality': 'By quality',
+  'priceHistory.byWorld': 'By world',
+  'priceHistory.volume': 'Volume',
+  'priceHistory.volumeTotal': 'Volume {count}',
+  'priceHistory.loading': 'Loading price history...',
+  'priceHistory.noSales': 'No sales in this period',
+
+  'ocr.multiLineEmpty': 'Could not read an item list from the image. Make sure the screenshot includes the item name column and the text is in Traditional Chinese.',
+  'ocr.multiLineHint': 'Screenshot a whole item list and price everything at once!',
+  'ocr.singleHint': 'Screenshot an item name and let OCR read it for you!',
+  'ocr.modeSingle': 'Single item',
+  'ocr.modeMulti': 'Item list',
+  'ocr.multiLineSources': 'Retainer sale lists, inventory or market board screenshots',
+  'ocr.linesFound': 'Recognized {count} lines. Confirm which items to price (lines with a low match score may be misread).',
+  'ocr.noMatch': 'No matching item',
+  'ocr.retake': 'New screenshot',
+  'ocr.batchPrice': 'Price selected ({count})',
+  'ocr.tesseractNotLoaded': 'Tesseract.js is not loaded yet, please try again shortly',
+  'ocr.recognitionFailed': 'An error occurred during OCR recognition',
+
+  'savedSearch.saved': 'Saved search "{name}"',
+  'savedSearch.linkCopied': 'Search link copied',
+  'savedSearch.count': 'Saved searches ({count})',
+  'savedSearch.none': 'No saved searches yet',
+  'savedSearch.namePlaceholder': 'Search name',
+  'savedSearch.save': 'Save current search',
+  'savedSearch.copyLinkTitle': 'Copy a link with the current filters',
+  'savedSearch.copyLink': 'Copy share link',
+
+  'dataCache.title': 'Data cache',
+  'dataCache.groupRecipes': 'Recipes (all)',
+  'dataCache.groupRecipesByResult': 'Recipes (by product)',
+  'dataCache.groupRecipesByIngredient': 'Recipes (by ingredient)',
+  'dataCache.groupRecipesByJobLevel': 'Recipes (by job level)',
+  'dataCache.groupItemDescriptions': 'Item descriptions',
+  'dataCache.groupItemCategoryNames': 'Item category names',
+  'dataCache.groupItemCategories': 'Item categories',
+  'dataCache.groupEquipment': 'Equipment',
+  'dataCache.groupEquipSlots': 'Equipment slots',
+  'dataCache.groupJobNames': 'Job names',
+  'dataCache.groupPatchNames': 'Patch names',
+  'dataCache.cleared': 'Cache cleared, data will be downloaded again',
+  'dataCache.memoryCleared': 'Memory cache cleared',
+  'dataCache.description': 'Game data such as recipes and categories is stored in your browser, so it is available after a reload or offline. It is invalidated automatically on version updates, and data older than a day is re-downloaded in the background.',
+  'dataCache.loading': 'Reading cache info...',
+  'dataCache.unavailable': 'This browser does not support IndexedDB (possibly private mode), so data will not be saved offline',
+  'dataCache.dataVersion': 'Data version',
+  'dataCache.entries': 'Cached entries',
+  'dataCache.size': 'Cache size (estimated)',
+  'dataCache.siteUsage': 'Total site usage {size}',
+  'dataCache.empty': 'No cached data yet',
+  'dataCache.data': 'Data',
+  'dataCache.items': 'Entries',
+  'dataCache.sizeColumn': 'Size',
+  'dataCache.updatedAt': 'Updated',
+  'dataCache.online': '● Online',
+  'dataCache.offline': '● Offline, using cached data',
+  'dataCache.clearing': 'Clearing...',
+  'dataCache.clearAndRedownload': 'Clear and re-download',
+
+  'craftingTree.addToListTitle': 'Add to shopping list ×{quantity}',
+  'craftingTree.addToPlanner': 'Add to crafting plan',
+  'craftingTree.addedToPlanner': 'Added to crafting plan',
+  'craftingTree.addToPlannerTitle': 'Add to the crafting plan to combine materials with other products',
+  'craftingTree.jobFallback': 'Job {id}',
+  'craftingTree.expert': 'Expert',
+  'craftingTree.switchRecipe': 'Switch recipe',
+  'craftingTree.ownedMaterials': 'Owned materials',
+  'craftingTree.ownedApplied': '{count} entered, deducted from the tree and cost',
+  'craftingTree.clearOwned': 'Clear owned counts for this tree',
+  'craftingTree.requiredMissing': 'Required / still needed',
+  'craftingTree.ownedCount': 'Owned quantity',
+  'craftingTree.requiredTotal': '{count} required in total',
+  'craftingTree.owned': 'Own {count}',
+  'craftingTree.kindResult': 'Product',
+  'craftingTree.kindIntermediate': 'Intermediate',
+  'craftingTree.kindMaterial': 'Material',
+  'craftingTree.exportKind': 'Type',
+  'craftingTree.exportOwned': 'Owned',
+  'craftingTree.exportPriceType': 'Price type',
+  'craftingTree.exportSubtotal': 'Subtotal',
+  'craftingTree.copied': 'Copied',
+  'craftingTree.copyName': 'Copy name',
+  'craftingTree.formulaTitle': 'Calculation details',
+  'craftingTree.materialBreakdown': 'Material cost breakdown:',
+  'craftingTree.materialLine': '{amount} × {unit} = {total}',
+  'craftingTree.craftedSuffix': ' (crafted)',
+  'craftingTree.materialTotal': 'Total material cost:',
+  'craftingTree.yields': 'Yield per craft: {yields}',
+  'craftingTree.yieldsIncluded': 'Yield per craft: {yields}, included in the cost',
+  'craftingTree.unitCostFormula': 'Unit cost = total cost ÷ yield:',
+  'craftingTree.materialCost': 'Material cost:',
+  'craftingTree.priceComparison': 'Price comparison:',
+  'craftingTree.craftCost': 'Crafting cost:',
+  'craftingTree.craftCostWithYields': 'Crafting cost (yield of {yields} included):',
+  'craftingTree.buyCost': 'Purchase cost:',
+  'craftingTree.unitPriceLine': 'Unit price: {unit} × {amount} = {total}',
+  'craftingTree.difference': 'Difference:',
+  'craftingTree.viewItem': 'View {name}',
+  'craftingTree.minListingFallback': 'No sales in the last four days, using the lowest listing instead',
+  'craftingTree.notForSale': 'Not for sale',
+  'craftingTree.insufficientMaterials': 'Key materials and the finished item are both unavailable on this server',
+  'craftingTree.viewFormula': 'Click to see the calculation',
+  'craftingTree.optimalRouteNote': 'Using the optimal route (the cheaper of buying or crafting each material)',
+  'craftingTree.optimalCraft': 'Best craft: {price}',
+  'craftingTree.buyFinished': 'Buy finished: {price}',
+  'craftingTree.recommendBuy': 'Buy it directly',
+  'craftingTree.recommendCraft': 'Craft it yourself',
+  'craftingTree.bestCraftOnly': 'Best craft: {price}',
+  'craftingTree.samePrice': 'Same price',
+  'craftingTree.recommendCraftSave': 'Craft it yourself, save {price}',
+  'craftingTree.recommendBuySave': 'Buy it directly, save {price}',
+  'craftingTree.insufficientInfo': 'Not enough data',
+  'craftingTree.materials': 'Materials: {price}',
+  'craftingTree.finished': 'Finished: {price}',
+  'craftingTree.finishedAmount': '{amount} finished: {price}',
+  'craftingTree.craftSave': 'Craft saves {price}',
+  'craftingTree.buySave': 'Buying saves {price}',
+  'craftingTree.yieldsPerCraft': 'Each craft yields {yields}',
+  'craftingTree.dcSearch': '{name} (data center)',
+  'craftingTree.noRecipe': 'No crafting recipe',
+  'craftingTree.title': 'Crafting price tree',
+  'craftingTree.crystalToggle': 'Crystals',
+  'craftingTree.crystalHint': 'More precise pricing for crafters making items in bulk',
+  'craftingTree.priceDcMin': 'Prices are the lowest listings across the data center',
+  'craftingTree.priceNone': 'This server has no average price or listing, so no price can be shown',
+  'craftingTree.pricePartialFallback': 'Some items had no sales in 4 days, so their lowest listing on this server is used',
+  'craftingTree.priceNoSalesFallback': "No sales in the last four days, so there is no average or velocity and some prices use this server's lowest listing",
+  'craftingTree.priceWorldAverage': "Prices are this server's average sale price over 4 days",
+  'craftingTree.velocityLabel': 'Daily sales:',
+  'craftingTree.velocityWorldTitle': 'Daily sales on this server',
+  'craftingTree.velocityWorld': 'Server {value}',
+  'craftingTree.velocityDcTitle': 'Daily sales across the data center',
+  'craftingTree.velocityDc': 'DC {value}',
+  'craftingTree.loadingPrices': 'Loading prices...',
+  'craftingTree.legendRoute': 'Best route ({method})',
+  'craftingTree.methodCraft': 'craft',
+  'craftingTree.methodBuy': 'buy',
+  'craftingTree.legendPrice': 'Price',
+  'craftingTree.legendMinPrice': 'lowest listing',
+  'craftingTree.legendAvgPrice': 'average price',
+
+  'gathering.title': 'Gathering Profits',
+  'gathering.description': 'Pick a gathering class and level range to rank tradable gathered items by after-tax gil per gather, with their node locations. Daily potential = after-tax unit price × daily sales, roughly what the market absorbs each day.',
+  'gathering.itemsPerGather': 'Items per gather',
+  'gathering.search': 'Rank {job} gathering profits',
+  'gathering.includeLimited': 'Include timed nodes',
+  'gathering.noItemsInRange': 'No tradable gathered items in this level range',
+  'gathering.resultsTitle': 'Gathered item ranking ({count})',
+  'gathering.idle': 'Pick a class and level range to start',
+  'gathering.gatheringLevel': 'Gathering level',
+  'gathering.location': 'Location',
+  'gathering.gilPerGather': 'Gil per gather',
+  'gathering.dailyGil': 'Daily potential',
+  'gathering.nodeLabel': '{type} node Lv.{level}',
+  'gathering.nodeMining': 'Mining',
+  'gathering.nodeQuarrying': 'Quarrying',
+  'gathering.nodeLogging': 'Logging',
+  'gathering.nodeHarvesting': 'Harvesting',
+  'gathering.nodeFishing': 'Fishing',
+  'gathering.nodeSpearfishing': 'Spearfishing',
+
+  'desynth.title': 'Desynthesis Value',
+  'desynth.description': 'Estimate what desynthesis and aetherial reduction yield and compare it with selling the item or buying it on the market, to find cheap gear worth buying to break down. The data lists possible outputs without drop rates, so the expected value treats every output as equally likely; the amount per extraction is adjustable.',
+  'desynth.methodDesynth': 'Desynthesis',
+  'desynth.methodReduction': 'Aetherial reduction',
+  'desynth.modeCategory': 'Rank by category',
+  'desynth.modeItem': 'Single item',
+  'desynth.method': 'Method',
+  'desynth.searchPlaceholder': 'Search for an item to desynthesize or reduce',
+  'desynth.itemsPerExtraction': 'Items per extraction',
+  'desynth.search': 'Value {method}',
+  'desynth.onlyProfitable': 'Only show items that profit after buying',
+  'desynth.resultsTitle': 'Valuation results ({count})',
+  'desynth.idle': 'Pick a category or item to start',
+  'desynth.possibleOutputs': 'Possible outputs',
+  'desynth.buyPrice': 'Buy price',
+  'desynth.sellDirect': 'Sell as is',
+  'desynth.sellDirectAfterTax': 'Sell as is (after tax)',
+  'desynth.expectedValue': 'Expected output value',
+  'desynth.expectedValueAfterTax': 'Expected output value (after tax)',
+  'desynth.vsSelling': 'Vs. selling',
+  'desynth.profitVsSelling': 'Gain over selling',
+  'desynth.profitVsBuying': 'Net after buying',
+  'desynth.unpricedOutputs': '{count} outputs have no price and count as 0',
+  'desynth.dataLoadFailed': 'Failed to load desynthesis data',
+  'desynth.noExtractionData': 'This item has no desynthesis or reduction data',
+
+  'vendorFlips.title': 'Vendor Flips',
+  'vendorFlips.description': 'Find items that NPC shops sell for gil but that sell for more on the market board. The market price is the lower of the average sale price and the lowest listing; profit per item = after-tax market price − NPC price; daily potential = profit per item × daily sales.',
+  'vendorFlips.minMargin': 'Min margin (%)',
+  'vendorFlips.minProfit': 'Min profit per item',
+  'vendorFlips.search': 'Find vendor flips',
+  'vendorFlips.noShopItems': 'No tradable shop items',
+  'vendorFlips.resultsTitle': 'Flip ranking ({count})',
+  'vendorFlips.idle': 'Set the filters to start',
+  'vendorFlips.vendor': 'Vendor',
+  'vendorFlips.npcPrice': 'NPC price',
+  'vendorFlips.marketPrice': 'Market price',
+  'vendorFlips.profitPerItem': 'Profit per item',
+  'vendorFlips.profitPerItemAfterTax': 'Profit per item (after tax)',
+  'vendorFlips.margin': 'Margin',
+  'vendorFlips.marginPercent': 'Margin (%)',
+  'vendorFlips.dailyProfit': 'Daily potential',
+  'vendorFlips.marketPriceTitle': 'Average sale {average} / lowest listing {minListing}',
+
+  'currencyExchange.title': 'Currency Exchange',
+  'currencyExchange.description': 'Pick a tomestone, scrip or seal to list every tradable item it buys, ranked by after-tax gil per unit of currency. Expected gil uses how many you can buy with what you hold, capped at a week of market sales.',
+  'currencyExchange.groupTomestones': 'Tomestones',
+  'currencyExchange.groupScrips': 'Scrips',
+  'currencyExchange.groupSeals': 'Seals and marks',
+  'currencyExchange.groupGrandCompany': 'Grand Company seals',
+  'currencyExchange.budget': 'Amount held',
+  'currencyExchange.search': 'Value {currency} trades',
+  'currencyExchange.noTrades': 'This currency buys no tradable items',
+  'currencyExchange.resultsTitle': 'Trade ranking ({count})',
+  'currencyExchange.idle': 'Pick a currency to start',
+  'currencyExchange.cost': 'Cost',
+  'currencyExchange.amountPerTrade': 'Items per trade',
+  'currencyExchange.gilPerCurrency': 'Gil per currency unit',
+  'currencyExchange.affordable': 'Affordable',
+  'currencyExchange.sellablePerWeek': 'Sellable in a week',
+  'currencyExchange.affordableSellable': 'Affordable / sellable in a week',
+  'currencyExchange.expectedGil': 'Expected gil',
+
+  'itemComparison.title': 'Gear Comparison',
+  'itemComparison.description': 'Compare up to {max} pieces of gear side by side: item level, base stats, materia slots, jobs and current lowest price. The primary stat is estimated from item level and slot, the substat row is the melding cap, and price per primary stat point uses the cheaper of the NQ/HQ lowest listings.',
+  'itemComparison.loadFailed': 'Failed to load gear data',
+  'itemComparison.pricesLoadFailed': 'Failed to load prices',
+  'itemComparison.tooMany': 'You can compare up to {max} pieces of gear',
+  'itemComparison.addItem': 'Add gear ({count}/{max})',
+  'itemComparison.searchPlaceholder': 'Search gear by name',
+  'itemComparison.clearAll': 'Clear all',
+  'itemComparison.loadingPrices': 'Loading prices...',
+  'itemComparison.resultsTitle': 'Comparison',
+  'itemComparison.pricesFor': '{scope} prices',
+  'itemComparison.idle': 'Search and add gear to start comparing',
+  'itemComparison.notEquipment': 'Not gear',
+  'itemComparison.removeItem': 'Remove {name}',
+  'itemComparison.ilvl': 'Item level',
+  'itemComparison.equipLevel': 'Equip level',
+  'itemComparison.slot': 'Slot',
+  'itemComparison.jobs': 'Jobs',
+  'itemComparison.primaryStat': 'Primary stat (estimated)',
+  'itemComparison.substatCap': 'Substat cap',
+  'itemComparison.materiaSlots': 'Materia slots',
+  'itemComparison.advancedMelding': ' (overmeldable)',
+  'itemComparison.nqPrice': 'NQ lowest price',
+  'itemComparison.hqPrice': 'HQ lowest price',
+  'itemComparison.costPerStat': 'Price per primary stat point',
+  'itemComparison.paramFallback': 'Stat {id}',
+  'itemComparison.compareTop': 'Compare the first {count} side by side',
+
+  'meldingCost.title': 'Melding Cost',
+  'meldingCost.description': "Pick a piece of gear and the materia to meld to see each slot's overmeld success rate, the expected number of materia used and what that costs at current prices. A failure only loses the materia, so the expected count is 100 ÷ success rate; the {pct}% count is enough to succeed with {pct}% probability.",
+  'meldingCost.materiaLoadFailed': 'Failed to load materia data',
+  'meldingCost.addedToShoppingList': 'Added {count} materia to the shopping list',
+  'meldingCost.groupCombat': 'Combat',
+  'meldingCost.groupCrafting': 'Crafting',
+  'meldingCost.groupGathering': 'Gathering',
+  'meldingCost.slot': 'Slot',
+  'meldingCost.overmeld': 'Overmeld',
+  'meldingCost.overmeldSuffix': ' (overmeld)',
+  'meldingCost.materia': 'Materia',
+  'meldingCost.stat': 'Stat',
+  'meldingCost.successRate': 'Success rate',
+  'meldingCost.successRatePercent': 'Success rate (%)',
+  'meldingCost.expectedCount': 'Expected count',
+  'meldingCost.safeCount': '{pct}% confidence count',
+  'meldingCost.safeCountShort': '{pct}% confidence',
+  'meldingCost.expectedCost': 'Expected cost',
+  'meldingCost.gear': 'Gear',
+  'meldingCost.loadingMateria': 'Loading materia data...',
+  'meldingCost.hqGear': 'HQ gear',
+  'meldingCost.ilvl': 'iLvl {ilvl}',
+  'meldingCost.materiaSlots': '{count} materia slots',
+  'meldingCost.overmeldable': ', overmeldable',
+  'meldingCost.notOvermeldable': ', no overmelding',
+  'meldingCost.notMeldable': "This item can't be melded",
+  'meldingCost.planTitle': 'Melding plan',
+  'meldingCost.meldCount': 'Materia to meld',
+  'meldingCost.totalExpectedCount': 'Expected materia used',
+  'meldingCost.missingPrices': '{count} materia have no price and are left out',
+  'meldingCost.safeBudget': '{pct}% confidence budget',
+  'meldingCost.impossibleSlot': 'Even-tier materia from VI up only fit the first overmeld slot; pick other materia for slots with a 0% success rate.',
+  'meldingCost.applyToAll': 'Apply to all',
+
+  'usedIn.title': 'Used-In Explorer',
+  'usedIn.description': 'Follow recipes up several levels from a material to find everything it can be crafted into, valued at current prices. Value per material = (after-tax sale price − cost of the other materials on the way) ÷ materials used per product, so it compares directly with selling the material itself.',
+  'usedIn.selectMaterial': 'Pick a material first',
+  'usedIn.noRecipes': 'No recipe uses this material',
+  'usedIn.progressDepth': 'Level {depth}, {count} products found',
+  'usedIn.progressPrices': 'Loading prices',
+  'usedIn.depth': 'Depth',
+  'usedIn.via': 'Via',
+  'usedIn.viaPath': 'via {path}',
+  'usedIn.materialPerUnit': 'Material per product',
+  'usedIn.otherCost': 'Other material cost',
+  'usedIn.valuePerMaterial': 'Value per material',
+  'usedIn.grossPerMaterial': 'Value per material (before other materials)',
+  'usedIn.material': 'Material',
+  'usedIn.searchPlaceholder': 'Search materials by name',
+  'usedIn.maxDepth': 'Levels to follow',
+  'usedIn.depthOption': '{depth} levels',
+  'usedIn.explore': 'Explore uses',
+  'usedIn.usesOf': 'Uses of {name}',
+  'usedIn.resultsTitle': 'Uses ranking',
+  'usedIn.endProductsOnly': 'End products only',
+  'usedIn.rawSale': 'Selling the material:',
+  'usedIn.perUnit': '{price} each',
+  'usedIn.beatsRawHint': 'Green products beat selling the material',
+  'usedIn.truncated': 'Stopped after {max} products; try fewer levels',
+  'usedIn.noProducts': 'No products could be valued',
+  'usedIn.idle': 'Pick a material to start',
+  'usedIn.product': 'Product',
+  'usedIn.recipe': 'Recipe',
+  'usedIn.levelN': 'level {depth}',
+  'usedIn.missingPrices': 'Some materials have no price',
+  'usedIn.grossTitle': '{value} before other materials',
+
+  'ventures.title': 'Venture Profit',
+  'ventures.description': "Lists the targeted ventures a retainer can take for its class, level and item level or perception, with the after-tax gil each venture token earns at market prices. Quick exploration is shown separately as an average over its whole reward pool, for reference only; it can't be compared directly with targeted ventures.",
+  'ventures.classCombat': 'Combat class',
+  'ventures.noTasks': "This retainer can't take any targeted ventures; adjust its level or stats",
+  'ventures.retainerClass': 'Retainer class',
+  'ventures.retainerLevel': 'Retainer level',
+  'ventures.gathering': 'Gathering',
+  'ventures.perception': 'Perception',
+  'ventures.averageIlvl': 'Average item level',
+  'ventures.search': 'Value ventures',
+  'ventures.quickTitle': 'Quick exploration',
+  'ventures.quickSummary': '{cost} venture tokens each · {pool} rewards in the pool, {priced} with a market price',
+  'ventures.quickNotComparable': "The reward pool mixes rewards for every class and level, and the data has no per-class or per-level rewards or odds. The figures below are a pool-wide average, not what this retainer can expect, and aren't comparable with targeted ventures.",
+  'ventures.quickPoolAverage': 'Pool average per run',
+  'ventures.quickPoolAveragePerVenture': 'Pool average per venture token',
+  'ventures.quickTopRewards': 'Highest-priced rewards in the pool',
+  'ventures.velocityTitle': '{value} sales per day',
+  'ventures.resultsTitle': 'Targeted ventures ({count})',
+  'ventures.noResults': 'No targeted ventures could be valued',
+  'ventures.idle': 'Set up the retainer to start',
+  'ventures.taskItem': 'Venture reward',
+  'ventures.taskLevel': 'Venture level',
+  'ventures.cost': 'Venture tokens',
+  'ventures.gilPerVenture': 'Per venture token',
+  'ventures.gilPerVentureAfterTax': 'Gil per venture token (after tax)',
+  'ventures.slowTitle': 'Sells fewer per day than one venture brings back',
+
+  'voyages.title': 'Voyage Planner',
+  'voyages.description': "Lists what each free company submarine and airship sector can bring back and values every sector and whole route at market prices after tax. Drop rates aren't published, so each sector averages over all its possible loot, and untradeable loot counts as 0.",
+  'voyages.typeAirship': 'Airship',
+  'voyages.typeSubmarine': 'Submarine',
+  'voyages.voyageType': 'Voyage type',
+  'voyages.sea': 'Sea',
+  'voyages.allSeas': 'All seas',
+  'voyages.seaN': 'Sea {sea}',
+  'voyages.search': 'Check {type} earnings',
+  'voyages.sameSeaOnly': 'Submarine routes must stay within one sea',
+  'voyages.maxSectors': 'A route visits at most {max} sectors',
+  'voyages.routeTitle': 'Route',
+  'voyages.routeHint': 'Tick sectors below to build a route (up to {max}); each sector is valued as one item brought back',
+  'voyages.routeHintSubmarine': 'Tick sectors below to build a route (up to {max}, all in one sea); each sector is valued as one item brought back',
+  'voyages.currentRoute': 'Expected gil per run on this route',
+  'voyages.suggestedRoute': 'Suggested route',
+  'voyages.suggestedRouteInSea': 'Suggested route ({sea})',
+  'voyages.apply': 'Apply',
+  'voyages.removeFromRoute': 'Remove from route',
+  'voyages.noRouteSectors': 'No sectors selected yet',
+  'voyages.resultsTitle': 'Sector ranking ({count})',
+  'voyages.noResults': 'No sectors could be valued',
+  'voyages.idle': 'Pick a voyage type to start',
+  'voyages.sector': 'Sector',
+  'voyages.possibleLoot': 'Possible loot',
+  'voyages.priced': 'Priced',
+  'voyages.expectedGil': 'Expected gil',
+  'voyages.expectedGilAfterTax': 'Expected gil (after tax)',
+  'voyages.bestLoot': 'Highest-priced loot',
+  'voyages.addToRoute': 'Add {name} to the route',
+  'voyages.lootCount': '{count} kinds',
+  'voyages.sectorFallback': 'Sector {id}',
+
+  'islandWorkshop.title': 'Island Workshop Planner',
+  'islandWorkshop.description': "Enter this week's popularity pattern and each handicraft's supply to get the workshop agenda that earns the most cowries each day (different handicrafts sharing a theme back to back trigger the efficiency bonus). Later days estimate the supply rise from what the agenda makes, so treat them as a guide. Pasture and crop leavings can be priced below.",
+  'islandWorkshop.loadFailed': 'Failed to load island data',
+  'islandWorkshop.noneMarketable': 'No pasture or crop leavings can be sold on the market right now',
+  'islandWorkshop.day': 'Day',
+  'islandWorkshop.order': 'Order',
+  'islandWorkshop.startHour': 'Start hour',
+  'islandWorkshop.craftwork': 'Handicraft',
+  'islandWorkshop.efficiencyBonus': 'Efficiency bonus',
+  'islandWorkshop.cowriesPerWorkshop': 'Cowries per workshop',
+  'islandWorkshop.sourcePasture': 'Pasture',
+  'islandWorkshop.sourceCropland': 'Cropland',
+  'islandWorkshop.pattern': "This week's popularity pattern",
+  'islandWorkshop.patternN': 'Pattern {pattern}',
+  'islandWorkshop.rank': 'Sanctuary rank',
+  'islandWorkshop.workshops': 'Workshops',
+  'islandWorkshop.workshopCount': '{count}',
+  'islandWorkshop.tier': 'Workshop tier',
+  'islandWorkshop.groove': 'Groove',
+  'islandWorkshop.restDays': 'Rest days:',
+  'islandWorkshop.dayN': 'Day {day}',
+  'islandWorkshop.scheduleTitle': "This week's agenda",
+  'islandWorkshop.weekTotal': 'Estimated cowries',
+  'islandWorkshop.rest': 'Rest',
+  'islandWorkshop.stepTitle': 'Starts {hour}:00 · Supply {supply}',
+  'islandWorkshop.demandTitle': "This week's demand ({count})",
+  'islandWorkshop.setAllSupply': 'Set all supply to',
+  'islandWorkshop.choose': 'Choose',
+  'islandWorkshop.noCraftworks': 'No handicrafts are available at this rank',
+  'islandWorkshop.theme': 'Theme',
+  'islandWorkshop.craftingTime': 'Time',
+  'islandWorkshop.baseValue': 'Base value',
+  'islandWorkshop.popularity': 'Popularity',
+  'islandWorkshop.currentSupply': 'Current supply',
+  'islandWorkshop.supplyFor': '{name} supply',
+  'islandWorkshop.leavingsTitle': 'Pasture and crop leavings prices',
+  'islandWorkshop.queryPrices': 'Check prices',
+  'islandWorkshop.popularityVeryHigh': 'Very high',
+  'islandWorkshop.popularityHigh': 'High',
+  'islandWorkshop.popularityAverage': 'Average',
+  'islandWorkshop.popularityLow': 'Low',
+  'islandWorkshop.supplyNonexistent': 'Nonexistent',
+  'islandWorkshop.supplyInsufficient': 'Insufficient',
+  'islandWorkshop.supplySufficient': 'Sufficient',
+  'islandWorkshop.supplySurplus': 'Surplus',
+  'islandWorkshop.supplyOverflowing': 'Overflowing',
+
+  'craftingPlanner.title': 'Crafting Planner',
+  'craftingPlanner.description': "Queue several finished items and quantities and get one merged material list. Shared intermediates are counted once and rounded up to their yield; craft steps make intermediates first, then follow job and level. Recipe choices and owned materials come from the item page's crafting tree.",
+  'craftingPlanner.targetsTitle': 'Targets ({count})',
+  'craftingPlanner.searchPlaceholder': 'Search items to add as targets',
+  'craftingPlanner.emptyQueue': "No items yet. Search above or add them from an item page's crafting tree",
+  'craftingPlanner.plan': 'Build plan',
+  'craftingPlanner.planning': 'Calculating...',
+  'craftingPlanner.excludeCrystals': 'Skip crystals',
+  'craftingPlanner.useOwned': 'Deduct owned materials',
+  'craftingPlanner.outdated': 'Targets changed, build the plan again',
+  'craftingPlanner.materialCost': 'Material cost',
+  'craftingPlanner.missingPrices': '{count} materials have no price and are left out',
+  'craftingPlanner.targetValue': 'Market value of targets',
+  'craftingPlanner.savings': 'Saved by crafting',
+  'craftingPlanner.materialsTitle': 'Materials to buy ({count})',
+  'craftingPlanner.required': 'Required',
+  'craftingPlanner.owned': 'Owned',
+  'craftingPlanner.toBuy': 'To buy',
+  'craftingPlanner.subtotal': 'Subtotal',
+  'craftingPlanner.unitPriceTitle': 'Unit price {price}',
+  'craftingPlanner.stepsTitle': 'Craft steps ({count})',
+  'craftingPlanner.copyPlan': 'Copy plan',
+  'craftingPlanner.noCrafts': 'Owned materials already cover everything, nothing to craft',
+  'craftingPlanner.order': 'Order',
+  'craftingPlanner.job': 'Job',
+  'craftingPlanner.crafts': 'Crafts',
+  'craftingPlanner.produced': 'Produced',
+  'craftingPlanner.surplus': 'Surplus',
+  'craftingPlanner.ownedTitle': '{count} already owned',
+  'craftingPlanner.uncraftable': '{count} items have no recipe and were added to the materials to buy',
+  'craftingPlanner.planFailed': 'Failed to build the crafting plan',
+  'craftingPlanner.copied': 'Crafting plan copied',
+  'craftingPlanner.addedMaterials': 'Added {count} materials to the shopping list',
+  'craftingPlanner.copyBuyHeader': '[Materials to buy]',
+  'craftingPlanner.copyStepsHeader': '[Craft steps]',
+  'craftingPlanner.copyStep': '{index}. {job} Lv.{level} {name} ×{crafts} crafts{yields}',
+  'craftingPlanner.copyYields': ' (makes {count})',
+
+  'time.unknown': 'Unknown',
+  'time.minutesAgo': '{minutes} min ago',
+  'time.hoursAgo': '{hours} h ago',
+  'time.hoursMinutesAgo': '{hours} h {minutes} min ago',
+  'time.daysAgo': '{days} d ago',
+  'time.daysHoursAgo': '{days} d {hours} h ago',
+  'time.weeksAgo': '{weeks} wk ago',
+  'time.weeksDaysAgo': '{weeks} wk {days} d ago',
+
+  'notFound.title': 'Page not found',
+  'notFound.description': 'Sorry, the page you are looking for does not exist or has been removed.',
+  'notFound.countdown': 'Returning to the home page in {seconds} s...',
+  'notFound.redirecting': 'Redirecting...',
+  'notFound.goHome': 'Back to home now',
+
+  'loader.searching': 'Searching...',
+
+  'searchBar.placeholder': 'Separate multiple keywords with spaces',
+  'searchBar.pressEnter': 'Press Enter to search',
+  'searchBar.suggestions': 'Suggested keywords',
+  'searchBar.noSuggestions': 'No matching keywords',
+  'searchBar.recentSearches': 'Search keywords',
+  'searchBar.history': 'History',
+  'searchBar.noHistory': 'No records yet',
+
+  'map.locationInfo': 'Location',
+  'map.location': 'Location',
+  'map.zone': 'Zone:',
+  'map.coordinates': 'Coordinates:',
+  'map.coordinatesShort': 'Coordinates',
+  'map.mapId': 'Map ID:',
+  'map.copyZone': 'Copy zone name (FF14 is appended automatically)',
+  'map.notFound': '⚠️ Map data not found (map ID: {mapId})',
+  'map.loading': 'Loading map...',
+  'map.alt': 'Map',
+
+  'taxRates.title': 'Market tax rates - {name}',
+  'taxRates.loading': 'Loading market tax rates...',
+  'taxRates.empty': 'No tax rate data',
+  'taxRates.city.LimsaLominsa': 'Limsa Lominsa',
+  'taxRates.city.Gridania': 'Gridania',
+  'taxRates.city.Uldah': "Ul'dah",
+  'taxRates.city.Ishgard': 'Ishgard',
+  'taxRates.city.Kugane': 'Kugane',
+  'taxRates.city.Crystarium': 'The Crystarium',
+  'taxRates.city.OldSharlayan': 'Old Sharlayan',
+
+  'results.loadingItems': 'Loading {count} items...',
+  'results.titleCount': '{title} ({count} items{suffix})',
+  'results.noUntradable': 'No untradable items',
+  'results.hideUntradable': 'Hide untradable items',
+  'results.showUntradable': 'Show untradable items ({count})',
+  'results.loadingShort': 'Loading',
+  'results.loadComplete': 'Loading complete',
+  'results.tooMany': 'Too many results',
+  'results.many': 'Many results',
+  'results.loaded': 'Loaded {count} tradable items{hidden}.',
+  'results.found': 'Found {count} tradable items{hidden}.',
+  'results.hiddenUntradable': ' ({count} untradable items hidden)',
+  'results.stricterNextTime': 'Using more specific keywords next time will be faster.',
+  'results.slowWarning': 'Loading the data takes a while and sorting may be slow. Try more specific keywords or please wait.',
+  'results.serverSelect': 'Server:',
+
+  'pagination.perPage': 'Per page:',
+  'pagination.showing': 'Showing {start}-{end} / {total}',
+  'pagination.first': 'First',
+  'pagination.prev': 'Previous',
+  'pagination.pageOf': 'Page {page} / {total}',
+  'pagination.next': 'Next',
+  'pagination.last': 'Last',
+
+  'msq.ilvlValue': 'Item level: {ilvl}',
+  'msq.ilvlRange': 'Enter a number between 1 and 999',
+  'msq.invalidIlvl': 'Enter a valid item level',
+  'msq.noItemsForIlvl': 'No items found at this item level',
+  'msq.noItemsInCategory': 'No matching items in this equipment category',
+  'msq.description': 'Quickly check market prices for the gear coffers you get from the main story.',
+  'msq.ilvlLabel': 'Item level (ilvl)',
+  'msq.ilvlPlaceholder': 'Enter item level...',
+  'msq.categoryLabel': 'Equipment category (optional)',
+  'msq.allCategories': 'All categories',
+
+  'craftingInspiration.description': 'Find the most lucrative items for your crafting jobs and stay on top of the market.',
+  'craftingInspiration.maxJobs': 'You can select up to 4 jobs',
+  'craftingInspiration.limitedFetching': 'Limited to the first {count} items, fetching market data...',
+  'craftingInspiration.rangeTooLargeToast': 'Range too large! You can search at most {max} levels',
+  'craftingInspiration.noRecipes': 'No recipes match these conditions',
+  'craftingInspiration.filteringTradable': 'Found {count} items, filtering tradable items...',
+  'craftingInspiration.noItems': 'No items found',
+  'craftingInspiration.noTradable': 'No tradable items',
+  'craftingInspiration.untradableSuffix': ', {count} untradable items',
+  'craftingInspiration.foundFetching': 'Found {count} tradable items{untradable}, fetching market data...',
+  'craftingInspiration.searchDone': 'Search complete! Found {count} tradable items{untradable}',
+  'craftingInspiration.searchDoneLimited': 'Search complete! Found {count} tradable items (limited)',
+  'craftingInspiration.buttonTooMany': 'Search (found {total} items, over the limit of {limit})',
+  'craftingInspiration.tooltipTooMany': 'Found {total} tradable items, over the recommended limit of {limit}. Narrow the level range or select fewer jobs.',
+  'craftingInspiration.buttonRangeTooLarge': 'Search (range too large: {range} levels, max {max})',
+  'craftingInspiration.tooltipRangeTooLarge': 'The current range is {range} levels, over the maximum of {max}. Try {suggestedMin}-{suggestedMax}.',
+  'craftingInspiration.buttonSelectJob': 'Search (select at least one job first)',
+  'craftingInspiration.tooltipSelectJob': 'Select at least one crafting job to search.',
+  'craftingInspiration.jobSelect': 'Jobs (up to 4)',
+  'craftingInspiration.selectedCount': 'Selected: {count}/4',
+  'craftingInspiration.noJobHint': 'Without a job selected the range is limited to 10 levels',
+  'craftingInspiration.ilvlRange': 'Item level range',
+  'craftingInspiration.currentRange': 'Current range: {count} levels',
+  'craftingInspiration.selectedJobs': '{count} jobs selected',
+  'craftingInspiration.maxRange': 'Max range: {count} levels',
+  'craftingInspiration.selectJobFirst': '⚠️ Select a job first',
+  'craftingInspiration.minLevel': 'Min level',
+  'craftingInspiration.maxLevel': 'Max level',
+  'craftingInspiration.rangeRule': 'More jobs means a smaller level range:',
+  'craftingInspiration.jobCount': '{count} jobs: ',
+  'craftingInspiration.rangeTooLarge': 'Range too large!',
+  'craftingInspiration.suggested': 'Suggested:',
+  'craftingInspiration.autoAdjusted': 'Adjusted to {min}-{max}',
+  'craftingInspiration.applySuggestion': 'Apply suggestion',
+  'craftingInspiration.tooManyTitle': 'Too many items found',
+  'craftingInspiration.tooManyBody': 'Found {total} tradable items, over the recommended limit of {limit}. Processing too many items can make the search slow or cause performance issues.',
+  'craftingInspiration.continueLimited': 'Continue (limited to the first {limit})',
+  'craftingInspiration.searchCancelled': 'Search cancelled',
+  'craftingInspiration.tip': '💡 Tip: narrow the level range or select fewer jobs to get fewer results',
+  'craftingInspiration.rangeSummary': '({jobs} jobs selected, max range: {max})',
+
+  'obtain.noData': 'No acquisition data yet',
+  'obtain.treasureFinder': 'Open the treasure map finder',
+  'obtain.method.crafted': 'Crafting',
+  'obtain.method.trade': 'Exchange',
+  'obtain.method.vendor': 'NPC vendor',
+  'obtain.method.treasure': 'Treasure chests / containers',
+  'obtain.method.instance': 'Duty drop',
+  'obtain.method.desynth': 'Desynthesis',
+  'obtain.method.quest': 'Quest reward',
+  'obtain.method.fate': 'FATE',
+  'obtain.method.gathered': 'Gathering',
+  'obtain.method.reduced': 'Aetherial reduction',
+  'obtain.method.venture': 'Retainer venture',
+  'obtain.method.gardening': 'Gardening',
+  'obtain.method.mogstation': 'Mog Station purchase',
+  'obtain.method.leve': 'Levequest',
+  'obtain.method.voyage': 'Voyages',
+  'obtain.method.requirement': 'Requirement',
+  'obtain.method.masterbook': 'Master recipe book',
+  'obtain.method.alarm': 'Gathering alarms',
+  'obtain.method.drop': 'Monster drop',
+  'obtain.method.achievement': 'Achievement reward',
+  'obtain.method.islandCrop': 'Island crop',
+  'obtain.method.unknown': 'Unknown',
+  'obtain.currencyFallback': 'Currency',
+  'obtain.instanceFallback': 'Duty {id}',
+  'obtain.expandTree': 'Expand tree',
+  'obtain.collapseTree': 'Collapse tree',
+  'obtain.clickExpandTree': 'Click to expand the crafting price tree',
+  'obtain.clickCollapseTree': 'Click to collapse the crafting price tree',
+  'obtain.masterbookFallback': 'Master recipe book',
+  'obtain.requiresHq': 'Requires the high-quality version',
+  'obtain.requiredQuest': 'Requires quest:',
+  'obtain.locationCount': '{count} locations',
+  'obtain.requiredAchievement': 'Requires achievement:',
+  'obtain.levelLabel': 'Level:',
+  'obtain.syncLevel': '(synced: {level})',
+  'obtain.ilvlRequired': 'Required iLvl:',
+  'obtain.unknownZone': 'Unknown area',
+  'obtain.levelValue': 'Lv.{level}',
+  'obtain.levelRange': 'Lv.{min}–{max}',
+  'obtain.position': 'Position: ({x}, {y})',
+  'obtain.questFallback': 'Quest {id}',
+  'obtain.questId': 'Quest ID: {id}',
+  'obtain.allJobs': 'All classes',
+  'obtain.questLevel': 'Lv.{level}',
+  'obtain.fateLevel': 'Lv.{level} FATE',
+  'obtain.notoriousMonster': 'Notorious monster',
+  'obtain.rewardItems': 'Reward items',
+  'obtain.rating': 'Rating',
+  'obtain.ratingGold': 'Gold',
+  'obtain.ratingSilver': 'Silver',
+  'obtain.ratingRare': 'Rare',
+  'obtain.gatherFallback': 'Gathering',
+  'obtain.islandNode': 'Island gathering point',
+  'obtain.nodeSpot': '{type} point',
+  'obtain.mogstation': 'Available on the Mog Station',
+  'obtain.leveFallback': 'Levequest {id}',
+  'obtain.leveCost': 'Allowances: {cost}',
+  'obtain.requiredItems': 'Required items:',
+  'obtain.rewards': 'Rewards:',
+  'obtain.voyageAvailable': 'Obtainable from voyages',
+  'obtain.voyageRoutes': 'Route earnings →',
+  'obtain.islandCropHint': 'Grown from seeds in the Island Sanctuary',
+  'obtain.requiredSeed': 'Required seed:',
+  'obtain.seedFallback': 'Seed {id}',
+  'obtain.seedIdFallback': 'Seed (ID: {id})',
+  'obtain.dataLoading': 'Loading data...',
+  'obtain.masterbookLimited': 'The master book for this item may come from a limited-time event; the database has no details yet.',
+  'obtain.viewHuijiWiki': 'Open Huiji Wiki',
+  'obtain.duration': 'Lasts {minutes} min',
+  'obtain.spawnTimes': 'Spawns: {times}',
+  'obtain.methodCount': '{count} methods',
+  'obtain.filterAll': 'All',
+  'obtain.achievementId': 'Achievement ID:',
+  'obtain.rewardItemsLabel': 'Reward items:',
+
+  'advancedSearch.description': 'Look up market prices for many items at once, or search with filters.',
+  'advancedSearch.tabFilter': 'Filter search',
+  'advancedSearch.tabBatch': 'Batch search',
+  'advancedSearch.batchLabel': 'Item names (one per line or comma-separated)',
+  'advancedSearch.batchPlaceholder': 'Enter item names, e.g.:\n精金錠\n秘銀錠\n山銅錠\nor: 精金錠, 秘銀錠, 山銅錠',
+  'advancedSearch.batchLimitHint': 'Up to 100 item names per search (Traditional or Simplified Chinese names)',
+  'advancedSearch.exactSearch': 'Exact match',
+  'advancedSearch.exactSearchShort': 'Exact',
+  'advancedSearch.exactSearchOn': 'Turn on exact match',
+  'advancedSearch.exactSearchOff': 'Turn off exact match',
+  'advancedSearch.bugNotice': 'This page has more cases than the author can test alone. If you find a bug, please report it through the Bahamut or Discord links on the home page. Thank you!',
+  'advancedSearch.selectJobs': 'Select classes',
+  'advancedSearch.selectCategories': 'Select item categories',
+  'advancedSearch.categoryFilterPlaceholder': 'Filter categories',
+  'advancedSearch.equipmentGroup': 'Equipment',
+  'advancedSearch.miscGroup': 'Miscellaneous',
+  'advancedSearch.noCategoryMatch': 'No categories match "{term}"',
+  'advancedSearch.selectedCategories': '{count} categories selected',
+  'advancedSearch.categoryMainHand': 'Main hand',
+  'advancedSearch.categoryOffHand': 'Off hand',
+  'advancedSearch.categoryMountBarding': 'Mounts / barding',
+  'advancedSearch.nameFilterPlaceholder': 'Filter by item name (separate keywords with spaces)',
+  'advancedSearch.stopSearch': 'Stop search',
+  'advancedSearch.clearFilters': 'Clear filters',
+  'advancedSearch.showingFiltered': ', showing {count}',
+  'advancedSearch.enterItemName': 'Enter at least one item name',
+  'advancedSearch.tooManyNames': 'You can search at most 100 item names at a time',
+  'advancedSearch.duplicatesRemoved': 'Removed {count} duplicate item names',
+  'advancedSearch.noItemsFound': 'No items found',
+  'advancedSearch.noTradable': 'No tradable items',
+  'advancedSearch.selectJobOrCategory': 'Select at least one class or category',
+  'advancedSearch.noMatchingItems': 'No items match these filters',
+  'advancedSearch.marketDataError': 'Failed to load market data. Please try again later',
+};
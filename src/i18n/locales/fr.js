@@ -0,0 +1,1108 @@
+// French (Français)
+export default {
+  'common.copyItemName': "Copier le nom de l'objet",
+  'common.copiedItemName': "Nom de l'objet copié",
+  'common.copyFailed': 'Échec de la copie',
+  'common.loading': 'Chargement...',
+  'common.yes': 'Oui',
+  'common.no': 'Non',
+  'common.loadFailed': 'Échec du chargement',
+  'common.componentLoadFailed': 'Impossible de charger {name}. Veuillez recharger la page.',
+  'common.unknownItem': 'Objet inconnu',
+  'common.refresh': 'Actualiser',
+  'common.itemFallback': 'Objet {id}',
+  'common.remove': 'Retirer',
+  'common.clear': 'Vider',
+  'common.confirmClear': 'Tout vider ?',
+  'common.import': 'Importer',
+  'common.export': 'Exporter',
+  'common.appVersion': 'Version :',
+  'common.noData': 'Pas encore de données',
+  'common.any': 'Toutes',
+  'common.minutes': 'min',
+  'common.every': 'Toutes les',
+  'common.listSeparator': ', ',
+  'common.copySummary': 'Copier le résumé',
+  'common.marketDataLoadFailed': 'Échec du chargement des données du marché',
+  'common.worldFallback': 'Monde {id}',
+  'common.selectServer': 'Veuillez choisir un serveur',
+  'common.taxRate': 'Taxe {rate} %',
+  'common.categoriesLoadFailed': "Échec du chargement des catégories d'objets",
+  'common.itemNamesLoadFailed': "Échec du chargement des noms d'objets",
+  'common.scanFailed': "Échec de l'analyse",
+  'common.stopScan': "Arrêter l'analyse",
+  'common.showingTop': '{count} premiers affichés',
+  'common.itemCategory': "Catégorie d'objet",
+  'common.allMarketable': 'Tous les objets commercialisables',
+  'common.noMarketableInCategory': 'Aucun objet commercialisable dans cette catégorie',
+  'common.minVelocity': 'Ventes quotidiennes min.',
+  'common.noMatchesRelax': "Aucun objet ne correspond, essayez d'assouplir les filtres",
+  'common.lowestPrice': 'Prix le plus bas',
+  'common.afterTaxProfit': 'Bénéfice après taxe',
+  'common.dailyProfit': 'Bénéfice quotidien estimé',
+  'common.add': 'Ajouter',
+  'common.checkFailed': 'Échec de la vérification',
+  'common.copiedValue': '{value} copié',
+  'common.copyPrice': 'Copier le prix',
+  'common.searchItemToAdd': 'Rechercher un objet à suivre',
+  'common.delete': 'Supprimer',
+  'common.saveFailed': "Échec de l'enregistrement",
+  'common.addedToShoppingList': "{count} objets ajoutés à la liste d'achats",
+  'common.close': 'Fermer',
+  'common.queryServer': 'Serveur',
+  'common.minLevel': 'Niveau min.',
+  'common.maxLevel': 'Niveau max.',
+  'common.level': 'Niveau',
+  'common.stopQuery': 'Arrêter',
+  'common.querying': 'Recherche...',
+  'common.queryFailed': 'Échec de la recherche',
+  'common.worldScope': 'Serveur {name}',
+  'common.dcScope': 'Tout {name}',
+  'common.limited': 'Temporaire',
+  'common.priceSource': 'Source du prix',
+  'common.averageSalePrice': 'Prix de vente moyen',
+  'common.noSalesMinListing': 'Aucune vente, offre la plus basse utilisée',
+  'common.zone': 'Zone',
+  'common.categoryFallback': 'Catégorie {id}',
+  'common.noMatches': 'Aucun objet correspondant',
+  'common.noPrice': 'Pas de prix',
+  'common.perDay': '{count}/jour',
+  'common.npcFallback': 'PNJ {id}',
+  'common.search': 'Rechercher',
+  'common.searching': 'Recherche...',
+  'common.searchFailedRetry': 'Échec de la recherche, réessayez plus tard',
+  'common.itemInfoFailed': "Impossible de charger les informations de l'objet",
+  'common.cancel': 'Annuler',
+  'common.serverSelect': 'Serveur',
+  'common.confirm': 'Confirmer',
+
+  'nav.home': "Retour à l'accueil",
+  'nav.advancedSearch': 'Recherche avancée',
+  'nav.advancedSearchShort': 'Recherche',
+  'nav.watchlist': 'Liste de suivi',
+  'nav.watchlistShort': 'Suivi',
+  'nav.shoppingList': 'Liste de courses',
+  'nav.shoppingListShort': 'Liste',
+  'nav.craftingInspiration': "Idées d'artisanat",
+  'nav.craftingInspirationShort': 'Artisanat',
+  'nav.craftingInspirationTitle': 'Recherche de prix pour artisans',
+  'nav.msq': 'Équipement de quête',
+  'nav.msqShort': 'Équip.',
+  'nav.msqTitle': "Prix de l'équipement de la quête principale",
+  'nav.taxRates': 'Taxes',
+  'nav.tools': 'Outils',
+  'nav.history': 'Historique',
+  'nav.historyShort': 'Historique',
+  'nav.language': 'Langue',
+
+  'search.waitForServerData': 'Veuillez attendre le chargement des données du serveur',
+  'search.resultsTitle': 'Résultats de recherche',
+  'toast.wikiOpenFailed': "Impossible d'ouvrir le lien du wiki",
+  'toast.itemSetFailed': "Échec de la recherche de l'ensemble",
+  'toast.addedToWatchlist': '{name} ({scope}) a été ajouté à la liste de suivi. Définissez les seuils dans la liste de suivi.',
+  'toast.serverLoadTimeout': 'Délai dépassé pour les serveurs, nouvel essai ({attempt}/3)...',
+  'toast.serverDataEmpty': 'Liste des serveurs vide, nouvel essai ({attempt}/3)...',
+  'toast.serverLoadFailedRetry': 'Échec du chargement des serveurs, nouvel essai ({attempt}/3)...',
+  'toast.serverDataLoaded': 'Liste des serveurs chargée',
+  'toast.serverDataRecovered': 'Liste des serveurs chargée après un nouvel essai',
+  'toast.serverListFailed': 'Impossible de charger la liste des serveurs. Veuillez recharger la page.',
+  'toast.itemSelected': 'Sélectionné : {name}',
+  'toast.itemNotFound': 'Objet introuvable',
+  'toast.itemLoadFailed': "Impossible de charger l'objet",
+  'toast.foundInSimplified': 'Aucun résultat en chinois traditionnel pour « {text} », mais la base en chinois simplifié en contient !',
+  'toast.tryingConversion': 'Aucun résultat pour « {text} », essai avec « {converted} »',
+  'toast.foundItems': '{count} objets trouvés',
+  'toast.foundMarketable': '{count} objets échangeables trouvés',
+  'toast.foundMarketableAndNot': '{count} objets échangeables et {untradable} non échangeables trouvés',
+  'toast.noResults': 'Aucun objet trouvé',
+  'toast.searchFailed': 'Échec de la recherche',
+  'toast.requestTimeoutRetry': 'Délai dépassé, nouvel essai ({attempt}/3)...',
+  'toast.requestFailedRetry': 'Échec de la requête, nouvel essai ({attempt}/3)...',
+  'toast.marketDataRecovered': 'Données du marché chargées',
+  'toast.marketDataFailed': 'Impossible de charger les données du marché',
+  'toast.notOnMarket': "Cet objet n'a pas de données de marché",
+  'toast.pageStillLoading': 'Cette page est encore en cours de chargement, patientez...',
+
+  'history.empty': 'Aucun historique',
+  'history.recent': 'Consultés récemment ({count})',
+  'history.clear': "Effacer l'historique",
+  'history.confirmClear': "Effacer tout l'historique ?",
+  'history.loading': "Chargement de l'historique...",
+  'history.emptyHint': "Les objets consultés sont enregistrés automatiquement dans l'historique",
+  'history.recentItems': 'Objets consultés récemment',
+
+  'tools.arbitrage.label': 'Arbitrage entre mondes',
+  'tools.arbitrage.description': "Trouver des objets bon marché sur d'autres mondes à revendre plus cher chez soi",
+  'tools.retainers.label': 'Suivi des servants',
+  'tools.retainers.description': 'Vérifier si les ventes de vos servants ont été sous-cotées et proposer un nouveau prix',
+  'tools.gathering.label': 'Profits de récolte',
+  'tools.gathering.description': 'Classer les objets de mineur, botaniste et pêcheur par prix et volume de ventes',
+  'tools.craftingPlanner.label': "Planificateur d'artisanat",
+  'tools.craftingPlanner.description': "Regrouper les matériaux de plusieurs objets en une liste d'achats et un ordre de fabrication",
+  'tools.desynth.label': 'Valeur du recyclage',
+  'tools.desynth.description': "Estimer la valeur du recyclage et de la réduction éthérée et la comparer à la vente directe de l'objet",
+  'tools.vendorFlips.label': 'Revente de marchand',
+  'tools.vendorFlips.description': 'Trouver les objets des marchands PNJ qui se revendent bien plus cher au tableau des ventes',
+  'tools.currencyExchange.label': 'Échange de monnaies',
+  'tools.currencyExchange.description': "Classer ce que les mémoquartz, assignats et insignes permettent d'acheter selon les gils par unité",
+  'tools.itemComparison.label': "Comparateur d'équipement",
+  'tools.itemComparison.description': 'Comparer côte à côte les attributs, emplacements de matéria, classes et prix des équipements',
+  'tools.meldingCost.label': 'Coût de sertissage',
+  'tools.meldingCost.description': 'Taux de réussite du sertissage forcé, matérias consommées et coût en gils',
+  'tools.usedIn.label': "Explorateur d'utilisations",
+  'tools.usedIn.description': "Retrouver tout ce qu'un matériau permet de fabriquer et son usage le plus rentable",
+  'tools.ventures.label': 'Rentabilité des tâches',
+  'tools.ventures.description': "Classez les tâches ciblées d'un servant en gils par jeton de tâche",
+  'tools.voyages.label': "Planificateur d'expéditions",
+  'tools.voyages.description': "Estimez le butin des sous-marins et aéronefs par secteur et trouvez l'itinéraire le plus rentable",
+  'tools.islandWorkshop.label': "Planificateur d'atelier insulaire",
+  'tools.islandWorkshop.description': "Planifiez l'atelier de la semaine pour un maximum de cauris et estimez les produits du pâturage et des cultures",
+
+  'table.image': 'Icône',
+  'table.itemName': 'Objet',
+  'table.version': 'Patch',
+  'table.velocity': 'Ventes/jour',
+  'table.averagePrice': 'Prix moyen',
+  'table.dcAveragePrice': 'Prix moyen du centre de données',
+  'table.minListing': 'Offre la plus basse',
+  'table.minListingWorld': "Monde de l'offre la plus basse",
+  'table.recentPurchase': 'Dernière vente',
+  'table.recentPurchaseWorld': 'Monde de la dernière vente',
+  'table.tradable': 'Échangeable',
+  'table.untradable': 'Non échangeable',
+  'table.links': 'Liens',
+  'table.unitPrice': 'Prix',
+  'table.quantity': 'Qté',
+  'table.total': 'Total',
+  'table.retainer': 'Servant',
+  'table.buyer': 'Acheteur',
+  'table.world': 'Monde',
+  'table.time': 'Date',
+  'table.loadingMarketData': 'Chargement des données du marché...',
+  'table.versionTitle': 'Patch {version}',
+  'table.region': 'Région : {region}',
+  'table.copyHint': "Utilisez le bouton de copie pour copier le nom de l'objet",
+  'table.item': 'Objet',
+
+  'filter.rarity': 'Rareté :',
+  'filter.version': 'Patch :',
+  'filter.waitForItems': 'Veuillez attendre la fin du chargement des objets',
+  'filter.noItems': '{label} (aucun objet)',
+
+  'rarity.1': 'Commun',
+  'rarity.2': 'Peu commun',
+  'rarity.3': 'Rare',
+  'rarity.4': 'Relique',
+
+  'listings.empty': 'Aucune offre',
+  'listings.mine': 'Moi',
+  'sales.empty': 'Aucun historique de ventes',
+
+  'shoppingList.add': '+Liste',
+  'shoppingList.addTitle': 'Ajouter à la liste de courses',
+  'shoppingList.added': 'Ajouté à la liste de courses',
+  'shoppingList.title': "Liste d'achats",
+  'shoppingList.description': "Ajoutez des objets depuis les résultats de recherche, l'arbre des prix de fabrication ou la recherche avancée pour trouver les annonces les moins chères du centre de données et planifier un itinéraire d'achat par monde.",
+  'shoppingList.itemsCount': 'Objets ({count})',
+  'shoppingList.planning': 'Chargement {progress}',
+  'shoppingList.planRoute': "Planifier l'itinéraire d'achat {dc}",
+  'shoppingList.empty': "La liste est vide. Ajoutez des objets avec « +Liste » dans les résultats de recherche ou le bouton panier de l'arbre des prix de fabrication.",
+  'shoppingList.hqOnly': 'HQ uniquement',
+  'shoppingList.estimatedCost': 'Coût estimé',
+  'shoppingList.shortfall': 'Manque {count}',
+  'shoppingList.routeTitle': "Itinéraire d'achat {dc}",
+  'shoppingList.routeTotal': 'Total {total} gils',
+  'shoppingList.newItemsHint': "La liste contient de nouveaux objets, veuillez recalculer l'itinéraire",
+  'shoppingList.unfilled': 'Annonces insuffisantes : {items}',
+  'shoppingList.routeCopied': "Itinéraire d'achat copié",
+  'shoppingList.summaryTotal': 'Total : {total} gils',
+  'shoppingList.summaryUnfilled': 'Manquant : {items}',
+  'shoppingList.addAll': "Tout ajouter à la liste d'achats",
+
+  'export.label': 'Exporter :',
+  'export.copied': 'Copié',
+  'export.failed': "Échec de l'export",
+  'export.copy': 'Copier',
+  'export.csvTitle': 'Télécharger en CSV',
+  'export.jsonTitle': 'Télécharger en JSON',
+  'export.tsvTitle': 'Copier le tableau (à coller dans un tableur)',
+
+  'slot.MainHand': 'Arme principale',
+  'slot.OffHand': 'Arme secondaire',
+  'slot.Head': 'Tête',
+  'slot.Body': 'Torse',
+  'slot.Gloves': 'Mains',
+  'slot.Waist': 'Taille',
+  'slot.Legs': 'Jambes',
+  'slot.Feet': 'Pieds',
+  'slot.Ears': "Boucles d'oreilles",
+  'slot.Neck': 'Collier',
+  'slot.Wrists': 'Bracelets',
+  'slot.Rings': 'Bagues',
+  'slot.OneHandWeapon': 'Arme à une main',
+  'slot.TwoHandWeapon': 'Arme à deux mains',
+  'slot.BodyHead': 'Torse (couvre la tête)',
+  'slot.BodyHeadLegsFeet': 'Torse (couvre tête, jambes, pieds)',
+  'slot.LegsFeet': 'Jambes (couvre les pieds)',
+
+  'error.serverListFailed': 'Impossible de charger la liste des serveurs',
+  'error.searchFailed': 'La recherche a échoué, réessayez plus tard',
+  'error.rateLimited': 'Trop de requêtes, réessayez dans un instant',
+  'error.notOnMarket': "Cet objet n'a pas de données de marché et ne peut peut-être pas être vendu au tableau des ventes",
+
+  'app.loadingServers': 'Chargement des serveurs...',
+
+  'item.notOnTwServers': 'Introuvable dans les données des serveurs TW',
+  'item.obtainMethods': 'Obtention',
+  'item.obtainExpand': "Afficher l'obtention",
+  'item.obtainCollapse': "Masquer l'obtention",
+  'item.obtainLoadFailed': "Impossible de charger l'obtention. Veuillez recharger la page.",
+  'item.loadingObtain': "Chargement de l'obtention...",
+  'item.craftingTree': 'Arbre des prix de fabrication',
+  'item.craftingTreeExpand': "Afficher l'arbre des prix de fabrication",
+  'item.craftingTreeCollapse': "Masquer l'arbre des prix de fabrication",
+  'item.craftingTreeLoadFailed': "Impossible de charger l'arbre des prix. Veuillez recharger la page.",
+  'item.loadingCraftingTree': "Chargement de l'arbre des prix...",
+  'item.loadingRecipe': 'Chargement de la recette...',
+  'item.preparing': 'Préparation...',
+  'item.noRecipe': "Cet objet n'a pas de recette",
+  'item.relatedItems': 'Utilisé dans',
+  'item.relatedExpand': 'Afficher les utilisations',
+  'item.relatedCollapse': 'Masquer les utilisations',
+  'item.relatedLoadFailed': 'Impossible de charger les utilisations. Veuillez recharger la page.',
+  'item.loadingRelated': 'Chargement des utilisations...',
+  'item.notUsedAsMaterial': "Cet objet n'est pas utilisé comme matériau",
+  'item.itemSet': "Ensemble d'équipement",
+  'item.itemSetCount': "Ensemble d'équipement ({count})",
+  'item.itemSetExpand': "Afficher l'ensemble",
+  'item.itemSetCollapse': "Masquer l'ensemble",
+  'item.noItemSet': 'Aucun ensemble correspondant',
+  'item.itemSetRule': "Un ensemble regroupe l'équipement de même patch, niveau d'objet, niveau requis et restriction de classe. Les autres pièces sont listées ci-dessous (sans celle-ci).",
+  'item.notEquipment': "Cet objet n'est pas un équipement et n'a pas d'ensemble.",
+  'item.noSetData': 'Aucun autre équipement de cet ensemble.',
+  'item.averagePriceLoading': 'Chargement du prix moyen…',
+  'item.watch': 'Suivre',
+  'item.watching': 'Suivi',
+  'item.watchTitle': 'Ajouter à la liste de suivi (serveur actuel)',
+  'item.watchedTitle': "Déjà dans la liste de suivi - cliquez pour l'afficher",
+  'item.listings': 'Annonces',
+  'item.sales': 'Historique des ventes',
+  'item.loadingSales': "Chargement de l'historique des ventes...",
+  'item.priceTrend': 'Évolution des prix',
+  'item.priceTrendLoadFailed': "Impossible de charger l'évolution des prix. Veuillez recharger la page.",
+  'item.autoRetry': 'Nouvel essai automatique dans 3 secondes...',
+  'item.loadingItem': "Chargement de l'objet...",
+
+  'home.tips': 'Astuces',
+  'home.tipKeywords': 'Recherchez plusieurs mots séparés par des espaces (ex. « vieille carte »)',
+  'home.tipHistory': "Les objets consultés sont enregistrés dans l'historique (10 au maximum), accessible via le bouton Historique à côté de la recherche",
+  'home.tipContact': "Les nouveaux patchs demandent une mise à jour manuelle du serveur par l'auteur. En cas de problème, contactez l'auteur sur Discord : wuperbear",
+  'home.loadingRecent': 'Chargement des mises à jour récentes...',
+
+  'watchlist.title': 'Liste de suivi',
+  'watchlist.description': "Suivez des objets depuis leur page et définissez des seuils d'achat/vente pour être alerté quand le prix les franchit.",
+  'watchlist.autoCheck': 'Vérification auto',
+  'watchlist.notificationsOn': 'Notifications du navigateur : activées',
+  'watchlist.notificationsOff': 'Notifications du navigateur : désactivées',
+  'watchlist.checking': 'Vérification...',
+  'watchlist.checkNow': 'Vérifier maintenant',
+  'watchlist.lastCheck': 'Dernière vérification : {time}',
+  'watchlist.empty': "Votre liste de suivi est vide. Cliquez sur « Suivre » sur la page d'un objet pour commencer.",
+  'watchlist.quality': 'Qualité',
+  'watchlist.buyBelow': 'Achat ≤',
+  'watchlist.sellAbove': 'Vente ≥',
+  'watchlist.currentLowest': 'Prix le plus bas',
+  'watchlist.status': 'Statut',
+  'watchlist.statusBuy': 'À acheter',
+  'watchlist.statusSell': 'À vendre',
+  'watchlist.statusWatching': 'En suivi',
+  'watchlist.imported': '{count} éléments suivis importés',
+  'watchlist.importInvalidJson': "Échec de l'import : le fichier n'est pas un JSON valide",
+  'watchlist.importFailed': "Échec de l'import : {message}",
+  'watchlist.importBadFormat': "Format d'import invalide",
+  'watchlist.importNothing': 'Aucun élément à importer',
+  'watchlist.notificationsUnsupported': 'Ce navigateur ne prend pas en charge les notifications',
+  'watchlist.notificationsEnabled': 'Notifications du navigateur activées',
+  'watchlist.notificationsDenied': "L'autorisation des notifications a été refusée",
+  'watchlist.cleared': 'Liste de suivi vidée',
+  'watchlist.alertBuy': '{name}{quality} est descendu à {price} gils sur {world} (objectif ≤ {target})',
+  'watchlist.alertSell': '{name}{quality} est monté à {price} gils sur {world} (objectif ≥ {target})',
+  'watchlist.notifyBuyTitle': 'Liste de suivi : à acheter',
+  'watchlist.notifySellTitle': 'Liste de suivi : à vendre',
+
+  'arbitrage.title': 'Arbitrage inter-mondes',
+  'arbitrage.description': "Analyse les objets commercialisables dont l'annonce la moins chère sur un autre monde est nettement inférieure au prix de vente moyen de votre monde, triés par bénéfice après taxe × ventes quotidiennes. Avec un centre de données sélectionné, la comparaison se fait avec sa moyenne.",
+  'arbitrage.homeServer': 'Serveur principal (lieu de vente)',
+  'arbitrage.minProfit': 'Bénéfice min. par objet',
+  'arbitrage.minDiscount': 'Remise min. (%)',
+  'arbitrage.startScan': 'Analyser {name}',
+  'arbitrage.sellWorld': 'Vente sur {name}',
+  'arbitrage.dcAverage': 'Moyenne {name}',
+  'arbitrage.resultsTitle': 'Opportunités ({count})',
+  'arbitrage.scanning': "Analyse en cours, les objets apparaissent dès qu'ils sont trouvés...",
+  'arbitrage.idle': "Choisissez un serveur et une catégorie, puis lancez l'analyse",
+  'arbitrage.buyWorld': 'Acheter sur',
+  'arbitrage.expectedSellPrice': 'Prix de vente estimé',
+  'arbitrage.discount': 'Remise',
+  'arbitrage.averagePriceTitle': 'Prix de vente moyen {price}',
+
+  'retainers.title': 'Suivi des sous-enchères des servants',
+  'retainers.description': 'Enregistrez vos servants et leurs mondes, ajoutez les objets que vous vendez et vérifiez en un clic quelles annonces ne sont plus les moins chères, de combien, et à quel prix les remettre.',
+  'retainers.myRetainers': 'Mes servants ({count})',
+  'retainers.namePlaceholder': 'Nom du servant',
+  'retainers.noRetainers': 'Aucun servant enregistré',
+  'retainers.trackedItems': 'Objets en vente ({count})',
+  'retainers.noItems': 'Aucun objet ajouté',
+  'retainers.retainerExists': 'Ce servant est déjà enregistré',
+  'retainers.itemExists': 'Cet objet est déjà suivi',
+  'retainers.undercutToast': '{count} annonces ont été sous-cotées',
+  'retainers.allLowestToast': 'Toutes vos annonces sont les moins chères',
+  'retainers.results': 'Résultats',
+  'retainers.undercutCount': '{count} sous-cotées',
+  'retainers.allLowest': 'Toutes au plus bas',
+  'retainers.lastCheck': 'Dernière vérification {time}',
+  'retainers.checking': 'Vérification {progress}',
+  'retainers.check': 'Vérifier les sous-enchères',
+  'retainers.setupHint': "Enregistrez d'abord un servant et ajoutez des objets en vente",
+  'retainers.checkHint': 'Cliquez sur « Vérifier les sous-enchères » pour commencer',
+  'retainers.showNotListed': 'Afficher les objets non mis en vente ({count})',
+  'retainers.worldRetainer': 'Monde / Servant',
+  'retainers.myPrice': 'Mon prix',
+  'retainers.competitorPrice': 'Concurrent le moins cher',
+  'retainers.difference': 'Écart',
+  'retainers.suggestedPrice': 'Prix suggéré',
+  'retainers.moreListings': ' et {count} annonces',
+  'retainers.notListed': 'Aucun de vos servants ne vend cet objet sur ce monde',
+  'retainers.lowest': 'Le moins cher',
+
+  'city.limsaLominsa': 'Limsa Lominsa',
+  'city.gridania': 'Gridania',
+  'city.uldah': "Ul'dah",
+  'city.ishgard': 'Ishgard',
+  'city.kugane': 'Kugane',
+  'city.crystarium': 'Cristarium',
+  'city.oldSharlayan': 'Vieille Sharlayan',
+  'city.tuliyollal': 'Tuliyollal',
+
+  'craftingProfit.calculating': 'Calcul du bénéfice...',
+  'craftingProfit.title': 'Bénéfice de fabrication',
+  'craftingProfit.salePrice': 'Prix de vente',
+  'craftingProfit.materialCost': 'Coût des matériaux / unité',
+  'craftingProfit.unitsPerCraft': '{count} par fabrication',
+  'craftingProfit.netRevenue': 'Revenu après taxe / unité',
+  'craftingProfit.taxCity': ' ({city})',
+  'craftingProfit.taxDefault': ' (par défaut)',
+  'craftingProfit.netProfit': 'Bénéfice net / marge',
+  'craftingProfit.gilPerHour': 'Gils par heure',
+  'craftingProfit.dcVelocity': 'Ventes/jour du CD {velocity}',
+  'craftingProfit.missingPrices': "Certains matériaux n'ont pas de prix et ne peuvent pas être fabriqués, le coût ne peut donc pas être calculé",
+  'craftingProfit.crystalsExcluded': "Les cristaux ne sont pas inclus dans le coût ; activez l'option cristaux pour les inclure",
+  'craftingProfit.plan': "Plan d'achat / fabrication",
+  'craftingProfit.buy': 'Acheter ({count})',
+  'craftingProfit.craft': 'Fabriquer ({count})',
+  'craftingProfit.crafts': '{count}×',
+  'craftingProfit.allCheaperToBuy': "Il est moins cher d'acheter tous les matériaux",
+
+  'priceHistory.window24h': '24 h',
+  'priceHistory.window7d': '7 jours',
+  'priceHistory.window30d': '30 jours',
+  'priceHistory.loadFailed': "Échec du chargement de l'historique des prix",
+  'priceHistory.byQuality': 'Par qualité',
+  'priceHistory.byWorld': 'Par monde',
+  'priceHistory.volume': 'Volume',
+  'priceHistory.volumeTotal': 'Volume {count}',
+  'priceHistory.loading': "Chargement de l'historique des prix...",
+  'priceHistory.noSales': 'Aucune vente sur cette période',
+
+  'ocr.multiLineEmpty': "Impossible de lire une liste d'objets dans l'image. Vérifiez que la capture contient la colonne des noms et que le texte est en chinois traditionnel.",
+  'ocr.multiLineHint': "Capturez toute une liste d'objets et consultez tous les prix d'un coup !",
+  'ocr.singleHint': "Capturez le nom d'un objet et laissez l'OCR le lire !",
+  'ocr.modeSingle': 'Objet unique',
+  'ocr.modeMulti': 'Liste',
+  'ocr.multiLineSources': "Captures de listes de vente de servants, d'inventaire ou du tableau des ventes",
+  'ocr.linesFound': '{count} lignes reconnues. Confirmez les objets à évaluer (les lignes à faible correspondance peuvent être mal lues).',
+  'ocr.noMatch': 'Aucun objet correspondant',
+  'ocr.retake': 'Nouvelle capture',
+  'ocr.batchPrice': 'Consulter les prix ({count})',
+  'ocr.tesseractNotLoaded': "Tesseract.js n'est pas encore chargé, réessayez dans un instant",
+  'ocr.recognitionFailed': "Une erreur s'est produite pendant la reconnaissance OCR",
+
+  'savedSearch.saved': 'Recherche « {name} » enregistrée',
+  'savedSearch.linkCopied': 'Lien de recherche copié',
+  'savedSearch.count': 'Recherches enregistrées ({count})',
+  'savedSearch.none': 'Aucune recherche enregistrée',
+  'savedSearch.namePlaceholder': 'Nom de la recherche',
+  'savedSearch.save': 'Enregistrer la recherche',
+  'savedSearch.copyLinkTitle': 'Copier un lien avec les filtres actuels',
+  'savedSearch.copyLink': 'Copier le lien de partage',
+
+  'dataCache.title': 'Cache de données',
+  'dataCache.groupRecipes': 'Recettes (toutes)',
+  'dataCache.groupRecipesByResult': 'Recettes (par produit)',
+  'dataCache.groupRecipesByIngredient': 'Recettes (par ingrédient)',
+  'dataCache.groupRecipesByJobLevel': 'Recettes (par niveau de classe)',
+  'dataCache.groupItemDescriptions': "Descriptions d'objets",
+  'dataCache.groupItemCategoryNames': "Noms des catégories d'objets",
+  'dataCache.groupItemCategories': "Catégories d'objets",
+  'dataCache.groupEquipment': 'Équipement',
+  'dataCache.groupEquipSlots': "Emplacements d'équipement",
+  'dataCache.groupJobNames': 'Noms des classes',
+  'dataCache.groupPatchNames': 'Noms des mises à jour',
+  'dataCache.cleared': 'Cache vidé, les données seront à nouveau téléchargées',
+  'dataCache.memoryCleared': 'Cache mémoire vidé',
+  'dataCache.description': "Les données du jeu comme les recettes et les catégories sont stockées dans votre navigateur et restent disponibles après un rechargement ou hors ligne. Elles sont invalidées automatiquement lors des mises à jour, et les données de plus d'un jour sont retéléchargées en arrière-plan.",
+  'dataCache.loading': 'Lecture des informations du cache...',
+  'dataCache.unavailable': 'Ce navigateur ne prend pas en charge IndexedDB (mode privé ?), les données ne seront pas enregistrées hors ligne',
+  'dataCache.dataVersion': 'Version des données',
+  'dataCache.entries': 'Entrées en cache',
+  'dataCache.size': 'Taille du cache (estimée)',
+  'dataCache.siteUsage': 'Utilisation totale du site {size}',
+  'dataCache.empty': 'Aucune donnée en cache',
+  'dataCache.data': 'Données',
+  'dataCache.items': 'Entrées',
+  'dataCache.sizeColumn': 'Taille',
+  'dataCache.updatedAt': 'Mis à jour',
+  'dataCache.online': '● En ligne',
+  'dataCache.offline': '● Hors ligne, données en cache utilisées',
+  'dataCache.clearing': 'Vidage...',
+  'dataCache.clearAndRedownload': 'Vider et retélécharger',
+
+  'craftingTree.addToListTitle': "Ajouter à la liste d'achats ×{quantity}",
+  'craftingTree.addToPlanner': "Ajouter au plan d'artisanat",
+  'craftingTree.addedToPlanner': "Ajouté au plan d'artisanat",
+  'craftingTree.addToPlannerTitle': "Ajouter au plan d'artisanat pour regrouper les matériaux avec d'autres produits",
+  'craftingTree.jobFallback': 'Classe {id}',
+  'craftingTree.expert': 'Expert',
+  'craftingTree.switchRecipe': 'Changer de recette',
+  'craftingTree.ownedMaterials': 'Matériaux possédés',
+  'craftingTree.ownedApplied': "{count} saisis, déduits de l'arbre et du coût",
+  'craftingTree.clearOwned': 'Effacer les quantités possédées de cet arbre',
+  'craftingTree.requiredMissing': 'Requis / manquant',
+  'craftingTree.ownedCount': 'Quantité possédée',
+  'craftingTree.requiredTotal': '{count} requis au total',
+  'craftingTree.owned': 'Possédé {count}',
+  'craftingTree.kindResult': 'Produit',
+  'craftingTree.kindIntermediate': 'Intermédiaire',
+  'craftingTree.kindMaterial': 'Matériau',
+  'craftingTree.exportKind': 'Type',
+  'craftingTree.exportOwned': 'Possédé',
+  'craftingTree.exportPriceType': 'Type de prix',
+  'craftingTree.exportSubtotal': 'Sous-total',
+  'craftingTree.copied': 'Copié',
+  'craftingTree.copyName': 'Copier le nom',
+  'craftingTree.formulaTitle': 'Détails du calcul',
+  'craftingTree.materialBreakdown': 'Détail du coût des matériaux :',
+  'craftingTree.materialLine': '{amount} × {unit} = {total}',
+  'craftingTree.craftedSuffix': ' (fabriqué)',
+  'craftingTree.materialTotal': 'Coût total des matériaux :',
+  'craftingTree.yields': 'Rendement par fabrication : {yields}',
+  'craftingTree.yieldsIncluded': 'Rendement par fabrication : {yields}, inclus dans le coût',
+  'craftingTree.unitCostFormula': 'Coût unitaire = coût total ÷ rendement :',
+  'craftingTree.materialCost': 'Coût des matériaux :',
+  'craftingTree.priceComparison': 'Comparaison des prix :',
+  'craftingTree.craftCost': 'Coût de fabrication :',
+  'craftingTree.craftCostWithYields': 'Coût de fabrication (rendement de {yields} inclus) :',
+  'craftingTree.buyCost': "Coût d'achat :",
+  'craftingTree.unitPriceLine': 'Prix unitaire : {unit} × {amount} = {total}',
+  'craftingTree.difference': 'Différence :',
+  'craftingTree.viewItem': 'Voir {name}',
+  'craftingTree.minListingFallback': 'Aucune vente ces quatre derniers jours, prix le plus bas utilisé',
+  'craftingTree.notForSale': 'Pas en vente',
+  'craftingTree.insufficientMaterials': 'Matériaux clés et produit fini indisponibles sur ce serveur',
+  'craftingTree.viewFormula': 'Cliquez pour voir le calcul',
+  'craftingTree.optimalRouteNote': 'Itinéraire optimal (pour chaque matériau, le moins cher entre achat et fabrication)',
+  'craftingTree.optimalCraft': 'Meilleure fabrication : {price}',
+  'craftingTree.buyFinished': 'Acheter fini : {price}',
+  'craftingTree.recommendBuy': 'Achat direct conseillé',
+  'craftingTree.recommendCraft': 'Fabrication conseillée',
+  'craftingTree.bestCraftOnly': 'Meilleure fabrication : {price}',
+  'craftingTree.samePrice': 'Même prix',
+  'craftingTree.recommendCraftSave': 'Fabrication conseillée, économie de {price}',
+  'craftingTree.recommendBuySave': 'Achat direct conseillé, économie de {price}',
+  'craftingTree.insufficientInfo': 'Données insuffisantes',
+  'craftingTree.materials': 'Matériaux : {price}',
+  'craftingTree.finished': 'Produit fini : {price}',
+  'craftingTree.finishedAmount': '{amount} produits finis : {price}',
+  'craftingTree.craftSave': 'Fabriquer économise {price}',
+  'craftingTree.buySave': 'Acheter économise {price}',
+  'craftingTree.yieldsPerCraft': 'Chaque fabrication donne {yields}',
+  'craftingTree.dcSearch': '{name} (centre de données)',
+  'craftingTree.noRecipe': 'Aucune recette de fabrication',
+  'craftingTree.title': 'Arbre des prix de fabrication',
+  'craftingTree.crystalToggle': 'Cristaux',
+  'craftingTree.crystalHint': 'Des prix plus précis pour les artisans qui fabriquent en grande quantité',
+  'craftingTree.priceDcMin': 'Les prix sont les offres les plus basses du centre de données',
+  'craftingTree.priceNone': "Ce serveur n'a ni prix moyen ni offre, aucun prix ne peut être affiché",
+  'craftingTree.pricePartialFallback': "Certains objets n'ont pas été vendus depuis 4 jours, leur offre la plus basse sur ce serveur est utilisée",
+  'craftingTree.priceNoSalesFallback': "Aucune vente ces quatre derniers jours : ni moyenne ni vélocité, certains prix utilisent l'offre la plus basse du serveur",
+  'craftingTree.priceWorldAverage': 'Les prix sont le prix de vente moyen de ce serveur sur 4 jours',
+  'craftingTree.velocityLabel': 'Ventes/jour :',
+  'craftingTree.velocityWorldTitle': 'Ventes/jour sur ce serveur',
+  'craftingTree.velocityWorld': 'Serveur {value}',
+  'craftingTree.velocityDcTitle': 'Ventes/jour sur le centre de données',
+  'craftingTree.velocityDc': 'DC {value}',
+  'craftingTree.loadingPrices': 'Chargement des prix...',
+  'craftingTree.legendRoute': 'Meilleur itinéraire ({method})',
+  'craftingTree.methodCraft': 'fabrication',
+  'craftingTree.methodBuy': 'achat',
+  'craftingTree.legendPrice': 'Prix',
+  'craftingTree.legendMinPrice': 'offre la plus basse',
+  'craftingTree.legendAvgPrice': 'prix moyen',
+
+  'gathering.title': 'Profits de récolte',
+  'gathering.description': 'Choisissez une classe de récolte et une plage de niveaux pour classer les objets récoltés échangeables par gils par récolte après taxe, avec leurs emplacements. Potentiel quotidien = prix unitaire après taxe × ventes quotidiennes, soit environ ce que le marché absorbe chaque jour.',
+  'gathering.itemsPerGather': 'Objets par récolte',
+  'gathering.search': 'Classer les profits de récolte {job}',
+  'gathering.includeLimited': 'Inclure les points temporaires',
+  'gathering.noItemsInRange': 'Aucun objet récolté échangeable dans cette plage de niveaux',
+  'gathering.resultsTitle': 'Classement des objets récoltés ({count})',
+  'gathering.idle': 'Choisissez une classe et une plage de niveaux pour commencer',
+  'gathering.gatheringLevel': 'Niveau de récolte',
+  'gathering.location': 'Emplacement',
+  'gathering.gilPerGather': 'Gils par récolte',
+  'gathering.dailyGil': 'Potentiel quotidien',
+  'gathering.nodeLabel': 'Point de {type} niv. {level}',
+  'gathering.nodeMining': 'minage',
+  'gathering.nodeQuarrying': 'extraction',
+  'gathering.nodeLogging': 'abattage',
+  'gathering.nodeHarvesting': 'fauchage',
+  'gathering.nodeFishing': 'pêche',
+  'gathering.nodeSpearfishing': 'pêche au harpon',
+
+  'desynth.title': 'Valeur de recyclage',
+  'desynth.description': "Estime la valeur obtenue par recyclage et réduction éthérée et la compare à la vente directe ou au prix d'achat sur le marché, pour trouver de l'équipement bon marché à recycler. Les données listent les résultats possibles sans taux, la valeur attendue considère donc chaque résultat comme équiprobable ; la quantité par opération est réglable.",
+  'desynth.methodDesynth': 'Recyclage',
+  'desynth.methodReduction': 'Réduction éthérée',
+  'desynth.modeCategory': 'Par catégorie',
+  'desynth.modeItem': 'Objet unique',
+  'desynth.method': 'Méthode',
+  'desynth.searchPlaceholder': 'Rechercher un objet à recycler ou réduire',
+  'desynth.itemsPerExtraction': 'Quantité par opération',
+  'desynth.search': 'Évaluer : {method}',
+  'desynth.onlyProfitable': "N'afficher que les objets rentables après achat",
+  'desynth.resultsTitle': 'Résultats ({count})',
+  'desynth.idle': 'Choisissez une catégorie ou un objet pour commencer',
+  'desynth.possibleOutputs': 'Résultats possibles',
+  'desynth.buyPrice': "Prix d'achat",
+  'desynth.sellDirect': 'Vente directe',
+  'desynth.sellDirectAfterTax': 'Vente directe (après taxe)',
+  'desynth.expectedValue': 'Valeur attendue',
+  'desynth.expectedValueAfterTax': 'Valeur attendue (après taxe)',
+  'desynth.vsSelling': 'Vs vente',
+  'desynth.profitVsSelling': 'Gain par rapport à la vente',
+  'desynth.profitVsBuying': 'Net après achat',
+  'desynth.unpricedOutputs': '{count} résultats sans prix, comptés comme 0',
+  'desynth.dataLoadFailed': 'Échec du chargement des données de recyclage',
+  'desynth.noExtractionData': "Cet objet n'a pas de données de recyclage ou de réduction",
+
+  'vendorFlips.title': 'Revente de marchands',
+  'vendorFlips.description': "Trouve les objets vendus contre des gils par les marchands PNJ qui se revendent plus cher au tableau des ventes. Le prix du marché est le plus bas entre le prix de vente moyen et l'offre la plus basse ; profit par objet = prix du marché après taxe − prix PNJ ; potentiel quotidien = profit par objet × ventes quotidiennes.",
+  'vendorFlips.minMargin': 'Marge min. (%)',
+  'vendorFlips.minProfit': 'Profit min. par objet',
+  'vendorFlips.search': 'Chercher des reventes',
+  'vendorFlips.noShopItems': 'Aucun objet de marchand échangeable',
+  'vendorFlips.resultsTitle': 'Classement ({count})',
+  'vendorFlips.idle': 'Réglez les filtres pour commencer',
+  'vendorFlips.vendor': 'Marchand',
+  'vendorFlips.npcPrice': 'Prix PNJ',
+  'vendorFlips.marketPrice': 'Prix du marché',
+  'vendorFlips.profitPerItem': 'Profit par objet',
+  'vendorFlips.profitPerItemAfterTax': 'Profit par objet (après taxe)',
+  'vendorFlips.margin': 'Marge',
+  'vendorFlips.marginPercent': 'Marge (%)',
+  'vendorFlips.dailyProfit': 'Potentiel quotidien',
+  'vendorFlips.marketPriceTitle': 'Vente moyenne {average} / offre la plus basse {minListing}',
+
+  'currencyExchange.title': 'Échange de monnaies',
+  'currencyExchange.description': "Choisissez des mémoquartz, assignats ou insignes pour lister les objets échangeables qu'ils permettent d'obtenir, classés par gils par unité de monnaie après taxe. Le gain estimé dépend de votre stock, plafonné à une semaine de ventes du marché.",
+  'currencyExchange.groupTomestones': 'Mémoquartz',
+  'currencyExchange.groupScrips': 'Assignats',
+  'currencyExchange.groupSeals': 'Insignes et marques',
+  'currencyExchange.groupGrandCompany': 'Sceaux de Grande Compagnie',
+  'currencyExchange.budget': 'Quantité possédée',
+  'currencyExchange.search': 'Évaluer les échanges : {currency}',
+  'currencyExchange.noTrades': "Cette monnaie n'achète aucun objet échangeable",
+  'currencyExchange.resultsTitle': 'Classement ({count})',
+  'currencyExchange.idle': 'Choisissez une monnaie pour commencer',
+  'currencyExchange.cost': 'Coût',
+  'currencyExchange.amountPerTrade': 'Quantité par échange',
+  'currencyExchange.gilPerCurrency': 'Gils par unité',
+  'currencyExchange.affordable': 'Achetable',
+  'currencyExchange.sellablePerWeek': 'Vendable en une semaine',
+  'currencyExchange.affordableSellable': 'Achetable / vendable en une semaine',
+  'currencyExchange.expectedGil': 'Gain estimé',
+
+  'itemComparison.title': "Comparaison d'équipement",
+  'itemComparison.description': "Comparez jusqu'à {max} pièces d'équipement côte à côte : niveau d'objet, caractéristiques de base, emplacements de matéria, classes et prix le plus bas actuel. La caractéristique principale est estimée d'après le niveau et l'emplacement, la ligne secondaire est le plafond de sertissage, et le prix par point utilise le moins cher des prix NQ/HQ.",
+  'itemComparison.loadFailed': "Échec du chargement des données d'équipement",
+  'itemComparison.pricesLoadFailed': 'Échec du chargement des prix',
+  'itemComparison.tooMany': "Vous pouvez comparer jusqu'à {max} pièces d'équipement",
+  'itemComparison.addItem': 'Ajouter un équipement ({count}/{max})',
+  'itemComparison.searchPlaceholder': 'Rechercher un équipement',
+  'itemComparison.clearAll': 'Tout effacer',
+  'itemComparison.loadingPrices': 'Chargement des prix...',
+  'itemComparison.resultsTitle': 'Comparaison',
+  'itemComparison.pricesFor': 'Prix : {scope}',
+  'itemComparison.idle': 'Recherchez et ajoutez un équipement pour comparer',
+  'itemComparison.notEquipment': 'Pas un équipement',
+  'itemComparison.removeItem': 'Retirer {name}',
+  'itemComparison.ilvl': "Niveau d'objet",
+  'itemComparison.equipLevel': 'Niveau requis',
+  'itemComparison.slot': 'Emplacement',
+  'itemComparison.jobs': 'Classes',
+  'itemComparison.primaryStat': 'Caractéristique principale (estimée)',
+  'itemComparison.substatCap': 'Plafond secondaire',
+  'itemComparison.materiaSlots': 'Emplacements de matéria',
+  'itemComparison.advancedMelding': ' (sertissage forcé)',
+  'itemComparison.nqPrice': 'Prix NQ le plus bas',
+  'itemComparison.hqPrice': 'Prix HQ le plus bas',
+  'itemComparison.costPerStat': 'Prix par point principal',
+  'itemComparison.paramFallback': 'Caractéristique {id}',
+  'itemComparison.compareTop': 'Comparer les {count} premiers',
+
+  'meldingCost.title': 'Coût de sertissage',
+  'meldingCost.description': 'Choisissez un équipement et les matérias à sertir pour voir, par emplacement, le taux de réussite du sertissage forcé, le nombre de matérias attendu et son coût aux prix actuels. Un échec ne coûte que la matéria : le nombre attendu vaut 100 ÷ taux de réussite, et la quantité à {pct}% suffit avec {pct}% de probabilité.',
+  'meldingCost.materiaLoadFailed': 'Échec du chargement des matérias',
+  'meldingCost.addedToShoppingList': '{count} matérias ajoutées à la liste de courses',
+  'meldingCost.groupCombat': 'Combat',
+  'meldingCost.groupCrafting': 'Artisanat',
+  'meldingCost.groupGathering': 'Récolte',
+  'meldingCost.slot': 'Emplacement',
+  'meldingCost.overmeld': 'Forcé',
+  'meldingCost.overmeldSuffix': ' (forcé)',
+  'meldingCost.materia': 'Matéria',
+  'meldingCost.stat': 'Caractéristique',
+  'meldingCost.successRate': 'Taux de réussite',
+  'meldingCost.successRatePercent': 'Taux de réussite (%)',
+  'meldingCost.expectedCount': 'Nombre attendu',
+  'meldingCost.safeCount': 'Quantité à {pct}%',
+  'meldingCost.safeCountShort': 'À {pct}%',
+  'meldingCost.expectedCost': 'Coût attendu',
+  'meldingCost.gear': 'Équipement',
+  'meldingCost.loadingMateria': 'Chargement des matérias...',
+  'meldingCost.hqGear': 'Équipement HQ',
+  'meldingCost.ilvl': 'Niv. {ilvl}',
+  'meldingCost.materiaSlots': '{count} emplacements de matéria',
+  'meldingCost.overmeldable': ', sertissage forcé possible',
+  'meldingCost.notOvermeldable': ', pas de sertissage forcé',
+  'meldingCost.notMeldable': 'Cet objet ne peut pas être serti',
+  'meldingCost.planTitle': 'Plan de sertissage',
+  'meldingCost.meldCount': 'Nombre de matérias',
+  'meldingCost.totalExpectedCount': 'Matérias attendues',
+  'meldingCost.missingPrices': '{count} matérias sans prix, non comptées',
+  'meldingCost.safeBudget': 'Budget à {pct}%',
+  'meldingCost.impossibleSlot': "Les matérias de rang pair à partir de VI ne vont que dans le premier emplacement forcé ; choisissez-en d'autres pour les emplacements à 0 %.",
+  'meldingCost.applyToAll': 'Appliquer à tous',
+
+  'usedIn.title': "Explorateur d'utilisations",
+  'usedIn.description': "Remonte les recettes sur plusieurs niveaux à partir d'un matériau pour trouver tout ce qu'il permet de fabriquer, évalué aux prix actuels. Valeur par matériau = (prix de vente après taxe − coût des autres matériaux en chemin) ÷ matériaux utilisés par produit, comparable directement à la vente du matériau.",
+  'usedIn.selectMaterial': "Choisissez d'abord un matériau",
+  'usedIn.noRecipes': "Aucune recette n'utilise ce matériau",
+  'usedIn.progressDepth': 'Niveau {depth}, {count} produits trouvés',
+  'usedIn.progressPrices': 'Chargement des prix',
+  'usedIn.depth': 'Niveau',
+  'usedIn.via': 'Via',
+  'usedIn.viaPath': 'via {path}',
+  'usedIn.materialPerUnit': 'Matériau par produit',
+  'usedIn.otherCost': 'Coût des autres matériaux',
+  'usedIn.valuePerMaterial': 'Valeur par matériau',
+  'usedIn.grossPerMaterial': 'Valeur par matériau (hors autres matériaux)',
+  'usedIn.material': 'Matériau',
+  'usedIn.searchPlaceholder': 'Rechercher un matériau',
+  'usedIn.maxDepth': 'Niveaux à remonter',
+  'usedIn.depthOption': '{depth} niveaux',
+  'usedIn.explore': 'Explorer les utilisations',
+  'usedIn.usesOf': 'Utilisations de {name}',
+  'usedIn.resultsTitle': 'Classement des utilisations',
+  'usedIn.endProductsOnly': 'Produits finaux seulement',
+  'usedIn.rawSale': 'Vente directe du matériau :',
+  'usedIn.perUnit': "{price} l'unité",
+  'usedIn.beatsRawHint': 'En vert : produits plus rentables que la vente directe',
+  'usedIn.truncated': 'Arrêt après {max} produits ; essayez moins de niveaux',
+  'usedIn.noProducts': 'Aucun produit évaluable',
+  'usedIn.idle': 'Choisissez un matériau pour commencer',
+  'usedIn.product': 'Produit',
+  'usedIn.recipe': 'Recette',
+  'usedIn.levelN': 'niveau {depth}',
+  'usedIn.missingPrices': "Certains matériaux n'ont pas de prix",
+  'usedIn.grossTitle': '{value} hors autres matériaux',
+
+  'ventures.title': 'Rentabilité des tâches de servants',
+  'ventures.description': "Liste les tâches ciblées qu'un servant peut accepter selon sa classe, son niveau et son niveau d'objet ou sa perception, avec les gils après taxe rapportés par jeton de tâche aux prix du marché. La tâche improvisée est affichée à part comme moyenne sur toute sa réserve de récompenses, à titre indicatif ; elle n'est pas directement comparable aux tâches ciblées.",
+  'ventures.classCombat': 'Classe de combat',
+  'ventures.noTasks': 'Ce servant ne peut accepter aucune tâche ciblée ; ajustez son niveau ou ses caractéristiques',
+  'ventures.retainerClass': 'Classe du servant',
+  'ventures.retainerLevel': 'Niveau du servant',
+  'ventures.gathering': 'Collecte',
+  'ventures.perception': 'Perception',
+  'ventures.averageIlvl': "Niveau d'objet moyen",
+  'ventures.search': 'Évaluer les tâches',
+  'ventures.quickTitle': 'Tâche improvisée',
+  'ventures.quickSummary': '{cost} jetons par tâche · {pool} récompenses, dont {priced} avec un prix',
+  'ventures.quickNotComparable': "La réserve mélange les récompenses de toutes les classes et de tous les niveaux, et les données n'ont ni récompenses ni probabilités par classe ou niveau. Les valeurs ci-dessous sont une moyenne sur toute la réserve, pas le gain attendu de ce servant, et ne sont pas comparables aux tâches ciblées.",
+  'ventures.quickPoolAverage': 'Moyenne de la réserve par tâche',
+  'ventures.quickPoolAveragePerVenture': 'Moyenne de la réserve par jeton',
+  'ventures.quickTopRewards': 'Récompenses les plus chères de la réserve',
+  'ventures.velocityTitle': '{value} ventes par jour',
+  'ventures.resultsTitle': 'Tâches ciblées ({count})',
+  'ventures.noResults': 'Aucune tâche ciblée évaluable',
+  'ventures.idle': 'Configurez le servant pour commencer',
+  'ventures.taskItem': 'Récompense',
+  'ventures.taskLevel': 'Niveau de la tâche',
+  'ventures.cost': 'Jetons de tâche',
+  'ventures.gilPerVenture': 'Par jeton',
+  'ventures.gilPerVentureAfterTax': 'Gils par jeton (après taxe)',
+  'ventures.slowTitle': "Se vend moins par jour qu'une tâche n'en rapporte",
+
+  'voyages.title': "Planificateur d'expéditions",
+  'voyages.description': "Liste ce que les sous-marins et aéronefs de compagnie libre peuvent rapporter de chaque secteur et estime chaque secteur et itinéraire au prix du marché après taxe. Les taux d'obtention n'étant pas publiés, chaque secteur fait la moyenne de tous ses butins possibles ; les objets non échangeables comptent pour 0.",
+  'voyages.typeAirship': 'Aéronef',
+  'voyages.typeSubmarine': 'Sous-marin',
+  'voyages.voyageType': "Type d'expédition",
+  'voyages.sea': 'Zone maritime',
+  'voyages.allSeas': 'Toutes les zones',
+  'voyages.seaN': 'Zone {sea}',
+  'voyages.search': 'Estimer les gains ({type})',
+  'voyages.sameSeaOnly': 'Un itinéraire de sous-marin doit rester dans une même zone',
+  'voyages.maxSectors': 'Un itinéraire compte au plus {max} secteurs',
+  'voyages.routeTitle': 'Itinéraire',
+  'voyages.routeHint': 'Cochez des secteurs ci-dessous pour composer un itinéraire (au plus {max}) ; chaque secteur est estimé pour un objet rapporté',
+  'voyages.routeHintSubmarine': 'Cochez des secteurs ci-dessous pour composer un itinéraire (au plus {max}, dans une même zone) ; chaque secteur est estimé pour un objet rapporté',
+  'voyages.currentRoute': 'Gils attendus par trajet sur cet itinéraire',
+  'voyages.suggestedRoute': 'Itinéraire suggéré',
+  'voyages.suggestedRouteInSea': 'Itinéraire suggéré ({sea})',
+  'voyages.apply': 'Appliquer',
+  'voyages.removeFromRoute': "Retirer de l'itinéraire",
+  'voyages.noRouteSectors': 'Aucun secteur sélectionné',
+  'voyages.resultsTitle': 'Classement des secteurs ({count})',
+  'voyages.noResults': "Aucun secteur n'a pu être estimé",
+  'voyages.idle': "Choisissez un type d'expédition pour commencer",
+  'voyages.sector': 'Secteur',
+  'voyages.possibleLoot': 'Butin possible',
+  'voyages.priced': 'Avec prix',
+  'voyages.expectedGil': 'Gils attendus',
+  'voyages.expectedGilAfterTax': 'Gils attendus (après taxe)',
+  'voyages.bestLoot': 'Butin le plus cher',
+  'voyages.addToRoute': "Ajouter {name} à l'itinéraire",
+  'voyages.lootCount': '{count} types',
+  'voyages.sectorFallback': 'Secteur {id}',
+
+  'islandWorkshop.title': "Planificateur d'atelier insulaire",
+  'islandWorkshop.description': "Saisissez le schéma de popularité de la semaine et l'offre de chaque objet pour obtenir le planning d'atelier rapportant le plus de cauris chaque jour (enchaîner des objets différents partageant un thème déclenche le bonus d'efficacité). Les jours suivants estiment la hausse de l'offre d'après la production prévue, à titre indicatif. Les produits du pâturage et des cultures peuvent être estimés plus bas.",
+  'islandWorkshop.loadFailed': "Échec du chargement des données de l'île",
+  'islandWorkshop.noneMarketable': "Aucun produit du pâturage ou des cultures n'est actuellement échangeable",
+  'islandWorkshop.day': 'Jour',
+  'islandWorkshop.order': 'Ordre',
+  'islandWorkshop.startHour': 'Heure de début',
+  'islandWorkshop.craftwork': 'Objet',
+  'islandWorkshop.efficiencyBonus': "Bonus d'efficacité",
+  'islandWorkshop.cowriesPerWorkshop': 'Cauris par atelier',
+  'islandWorkshop.sourcePasture': 'Pâturage',
+  'islandWorkshop.sourceCropland': 'Cultures',
+  'islandWorkshop.pattern': 'Schéma de popularité de la semaine',
+  'islandWorkshop.patternN': 'Schéma {pattern}',
+  'islandWorkshop.rank': "Rang de l'île",
+  'islandWorkshop.workshops': 'Ateliers',
+  'islandWorkshop.workshopCount': '{count}',
+  'islandWorkshop.tier': "Niveau d'atelier",
+  'islandWorkshop.groove': 'Élan',
+  'islandWorkshop.restDays': 'Jours de repos :',
+  'islandWorkshop.dayN': 'Jour {day}',
+  'islandWorkshop.scheduleTitle': 'Planning de la semaine',
+  'islandWorkshop.weekTotal': 'Cauris estimés',
+  'islandWorkshop.rest': 'Repos',
+  'islandWorkshop.stepTitle': 'Début {hour}:00 · Offre {supply}',
+  'islandWorkshop.demandTitle': 'Demande de la semaine ({count})',
+  'islandWorkshop.setAllSupply': "Régler toute l'offre sur",
+  'islandWorkshop.choose': 'Choisir',
+  'islandWorkshop.noCraftworks': 'Aucun objet disponible à ce rang',
+  'islandWorkshop.theme': 'Thème',
+  'islandWorkshop.craftingTime': 'Durée',
+  'islandWorkshop.baseValue': 'Valeur de base',
+  'islandWorkshop.popularity': 'Popularité',
+  'islandWorkshop.currentSupply': 'Offre actuelle',
+  'islandWorkshop.supplyFor': 'Offre de {name}',
+  'islandWorkshop.leavingsTitle': 'Prix des produits du pâturage et des cultures',
+  'islandWorkshop.queryPrices': 'Consulter les prix',
+  'islandWorkshop.popularityVeryHigh': 'Très élevée',
+  'islandWorkshop.popularityHigh': 'Élevée',
+  'islandWorkshop.popularityAverage': 'Moyenne',
+  'islandWorkshop.popularityLow': 'Faible',
+  'islandWorkshop.supplyNonexistent': 'Inexistante',
+  'islandWorkshop.supplyInsufficient': 'Insuffisante',
+  'islandWorkshop.supplySufficient': 'Suffisante',
+  'islandWorkshop.supplySurplus': 'Excédentaire',
+  'islandWorkshop.supplyOverflowing': 'Débordante',
+
+  'craftingPlanner.title': "Planificateur d'artisanat",
+  'craftingPlanner.description': "Ajoutez plusieurs objets finis et leurs quantités pour obtenir une seule liste de matériaux. Les produits intermédiaires communs sont comptés une fois et arrondis à leur rendement ; les étapes fabriquent d'abord les intermédiaires, puis suivent la classe et le niveau. Le choix des recettes et les matériaux possédés viennent de l'arbre de fabrication de la page de l'objet.",
+  'craftingPlanner.targetsTitle': 'Objectifs ({count})',
+  'craftingPlanner.searchPlaceholder': 'Rechercher un objet à ajouter aux objectifs',
+  'craftingPlanner.emptyQueue': "Aucun objet pour l'instant. Recherchez ci-dessus ou ajoutez-en depuis l'arbre de fabrication d'une page d'objet",
+  'craftingPlanner.plan': 'Calculer le plan',
+  'craftingPlanner.planning': 'Calcul en cours...',
+  'craftingPlanner.excludeCrystals': 'Ignorer les cristaux',
+  'craftingPlanner.useOwned': 'Déduire les matériaux possédés',
+  'craftingPlanner.outdated': 'Les objectifs ont changé, recalculez le plan',
+  'craftingPlanner.materialCost': 'Coût des matériaux',
+  'craftingPlanner.missingPrices': '{count} matériaux sans prix non comptés',
+  'craftingPlanner.targetValue': 'Valeur des objectifs',
+  'craftingPlanner.savings': 'Économie en fabriquant',
+  'craftingPlanner.materialsTitle': 'Matériaux à acheter ({count})',
+  'craftingPlanner.required': 'Requis',
+  'craftingPlanner.owned': 'Possédés',
+  'craftingPlanner.toBuy': 'À acheter',
+  'craftingPlanner.subtotal': 'Sous-total',
+  'craftingPlanner.unitPriceTitle': 'Prix unitaire {price}',
+  'craftingPlanner.stepsTitle': 'Étapes de fabrication ({count})',
+  'craftingPlanner.copyPlan': 'Copier le plan',
+  'craftingPlanner.noCrafts': 'Les matériaux possédés suffisent, rien à fabriquer',
+  'craftingPlanner.order': 'Ordre',
+  'craftingPlanner.job': 'Classe',
+  'craftingPlanner.crafts': 'Fabrications',
+  'craftingPlanner.produced': 'Produits',
+  'craftingPlanner.surplus': 'Surplus',
+  'craftingPlanner.ownedTitle': '{count} déjà possédés',
+  'craftingPlanner.uncraftable': '{count} objets sans recette ont été ajoutés aux matériaux à acheter',
+  'craftingPlanner.planFailed': 'Échec du calcul du plan de fabrication',
+  'craftingPlanner.copied': 'Plan de fabrication copié',
+  'craftingPlanner.addedMaterials': "{count} matériaux ajoutés à la liste d'achats",
+  'craftingPlanner.copyBuyHeader': '[Matériaux à acheter]',
+  'craftingPlanner.copyStepsHeader': '[Étapes de fabrication]',
+  'craftingPlanner.copyStep': '{index}. {job} Niv.{level} {name} ×{crafts} fabrications{yields}',
+  'craftingPlanner.copyYields': ' (produit {count})',
+
+  'time.unknown': 'Inconnu',
+  'time.minutesAgo': 'il y a {minutes} min',
+  'time.hoursAgo': 'il y a {hours} h',
+  'time.hoursMinutesAgo': 'il y a {hours} h {minutes} min',
+  'time.daysAgo': 'il y a {days} j',
+  'time.daysHoursAgo': 'il y a {days} j {hours} h',
+  'time.weeksAgo': 'il y a {weeks} sem.',
+  'time.weeksDaysAgo': 'il y a {weeks} sem. {days} j',
+
+  'notFound.title': 'Page introuvable',
+  'notFound.description': "Désolé, la page demandée n'existe pas ou a été supprimée.",
+  'notFound.countdown': "Retour à l'accueil dans {seconds} s...",
+  'notFound.redirecting': 'Redirection...',
+  'notFound.goHome': "Retour à l'accueil",
+
+  'loader.searching': 'Recherche en cours...',
+
+  'searchBar.placeholder': 'Séparez plusieurs mots-clés par des espaces',
+  'searchBar.pressEnter': 'Appuyez sur Entrée pour rechercher',
+  'searchBar.suggestions': 'Mots-clés suggérés',
+  'searchBar.noSuggestions': 'Aucun mot-clé correspondant',
+  'searchBar.recentSearches': 'Mots-clés recherchés',
+  'searchBar.history': 'Historique',
+  'searchBar.noHistory': 'Aucun historique',
+
+  'map.locationInfo': 'Emplacement',
+  'map.location': 'Emplacement',
+  'map.zone': 'Zone :',
+  'map.coordinates': 'Coordonnées :',
+  'map.coordinatesShort': 'Coordonnées',
+  'map.mapId': 'ID de carte :',
+  'map.copyZone': 'Copier le nom de la zone (FF14 est ajouté automatiquement)',
+  'map.notFound': '⚠️ Données de carte introuvables (ID de carte : {mapId})',
+  'map.loading': 'Chargement de la carte...',
+  'map.alt': 'Carte',
+
+  'taxRates.title': 'Taxes du marché - {name}',
+  'taxRates.loading': 'Chargement des taxes du marché...',
+  'taxRates.empty': 'Aucune donnée de taxe',
+  'taxRates.city.LimsaLominsa': 'Limsa Lominsa',
+  'taxRates.city.Gridania': 'Gridania',
+  'taxRates.city.Uldah': "Ul'dah",
+  'taxRates.city.Ishgard': 'Ishgard',
+  'taxRates.city.Kugane': 'Kugane',
+  'taxRates.city.Crystarium': 'Cristarium',
+  'taxRates.city.OldSharlayan': 'Vieille Sharlayan',
+
+  'results.loadingItems': 'Chargement de {count} objets...',
+  'results.titleCount': '{title} ({count} objets{suffix})',
+  'results.noUntradable': 'Aucun objet non échangeable',
+  'results.hideUntradable': 'Masquer les objets non échangeables',
+  'results.showUntradable': 'Afficher les objets non échangeables ({count})',
+  'results.loadingShort': 'Chargement',
+  'results.loadComplete': 'Chargement terminé',
+  'results.tooMany': 'Trop de résultats',
+  'results.many': 'Nombreux résultats',
+  'results.loaded': '{count} objets échangeables chargés{hidden}.',
+  'results.found': '{count} objets échangeables trouvés{hidden}.',
+  'results.hiddenUntradable': ' ({count} objets non échangeables masqués)',
+  'results.stricterNextTime': 'Des mots-clés plus précis seront plus rapides la prochaine fois.',
+  'results.slowWarning': 'Le chargement des données prend du temps et le tri peut être lent. Essayez des mots-clés plus précis ou patientez.',
+  'results.serverSelect': 'Serveur :',
+
+  'pagination.perPage': 'Par page :',
+  'pagination.showing': 'Affichage {start}-{end} / {total}',
+  'pagination.first': 'Première',
+  'pagination.prev': 'Précédente',
+  'pagination.pageOf': 'Page {page} / {total}',
+  'pagination.next': 'Suivante',
+  'pagination.last': 'Dernière',
+
+  'msq.ilvlValue': "Niveau d'objet : {ilvl}",
+  'msq.ilvlRange': 'Saisissez un nombre entre 1 et 999',
+  'msq.invalidIlvl': "Saisissez un niveau d'objet valide",
+  'msq.noItemsForIlvl': "Aucun objet trouvé pour ce niveau d'objet",
+  'msq.noItemsInCategory': "Aucun objet correspondant dans cette catégorie d'équipement",
+  'msq.description': "Vérifiez rapidement les prix des coffres d'équipement obtenus dans la quête principale.",
+  'msq.ilvlLabel': "Niveau d'objet (iLvl)",
+  'msq.ilvlPlaceholder': "Saisir le niveau d'objet...",
+  'msq.categoryLabel': "Catégorie d'équipement (facultatif)",
+  'msq.allCategories': 'Toutes les catégories',
+
+  'craftingInspiration.description': "Trouvez les objets les plus rentables pour vos métiers d'artisanat et dominez le marché.",
+  'craftingInspiration.maxJobs': 'Vous pouvez sélectionner 4 métiers au maximum',
+  'craftingInspiration.limitedFetching': 'Limité aux {count} premiers objets, récupération des données du marché...',
+  'craftingInspiration.rangeTooLargeToast': 'Plage trop large ! Vous pouvez rechercher au maximum {max} niveaux',
+  'craftingInspiration.noRecipes': 'Aucune recette ne correspond à ces critères',
+  'craftingInspiration.filteringTradable': '{count} objets trouvés, filtrage des objets échangeables...',
+  'craftingInspiration.noItems': 'Aucun objet trouvé',
+  'craftingInspiration.noTradable': 'Aucun objet échangeable',
+  'craftingInspiration.untradableSuffix': ', {count} objets non échangeables',
+  'craftingInspiration.foundFetching': '{count} objets échangeables{untradable} trouvés, récupération des données du marché...',
+  'craftingInspiration.searchDone': 'Recherche terminée ! {count} objets échangeables{untradable} trouvés',
+  'craftingInspiration.searchDoneLimited': 'Recherche terminée ! {count} objets échangeables (limité)',
+  'craftingInspiration.buttonTooMany': 'Rechercher ({total} objets, au-delà de la limite de {limit})',
+  'craftingInspiration.tooltipTooMany': '{total} objets échangeables trouvés, au-delà de la limite recommandée de {limit}. Réduisez la plage de niveaux ou sélectionnez moins de métiers.',
+  'craftingInspiration.buttonRangeTooLarge': 'Rechercher (plage trop large : {range} niveaux, max {max})',
+  'craftingInspiration.tooltipRangeTooLarge': 'La plage actuelle couvre {range} niveaux, au-delà du maximum de {max}. Essayez {suggestedMin}-{suggestedMax}.',
+  'craftingInspiration.buttonSelectJob': "Rechercher (sélectionnez d'abord au moins un métier)",
+  'craftingInspiration.tooltipSelectJob': "Sélectionnez au moins un métier d'artisanat pour rechercher.",
+  'craftingInspiration.jobSelect': 'Métiers (4 max.)',
+  'craftingInspiration.selectedCount': 'Sélectionnés : {count}/4',
+  'craftingInspiration.noJobHint': 'Sans métier sélectionné, la plage est limitée à 10 niveaux',
+  'craftingInspiration.ilvlRange': "Plage de niveaux d'objet",
+  'craftingInspiration.currentRange': 'Plage actuelle : {count} niveaux',
+  'craftingInspiration.selectedJobs': '{count} métiers sélectionnés',
+  'craftingInspiration.maxRange': 'Plage max. : {count} niveaux',
+  'craftingInspiration.selectJobFirst': "⚠️ Sélectionnez d'abord un métier",
+  'craftingInspiration.minLevel': 'Niveau min.',
+  'craftingInspiration.maxLevel': 'Niveau max.',
+  'craftingInspiration.rangeRule': 'Plus de métiers, plage de niveaux plus réduite :',
+  'craftingInspiration.jobCount': '{count} métiers : ',
+  'craftingInspiration.rangeTooLarge': 'Plage trop large !',
+  'craftingInspiration.suggested': 'Suggestion :',
+  'craftingInspiration.autoAdjusted': 'Ajusté à {min}-{max}',
+  'craftingInspiration.applySuggestion': 'Appliquer la suggestion',
+  'craftingInspiration.tooManyTitle': "Trop d'objets trouvés",
+  'craftingInspiration.tooManyBody': "{total} objets échangeables trouvés, au-delà de la limite recommandée de {limit}. Traiter trop d'objets peut ralentir la recherche ou causer des problèmes de performance.",
+  'craftingInspiration.continueLimited': 'Continuer (limité aux {limit} premiers)',
+  'craftingInspiration.searchCancelled': 'Recherche annulée',
+  'craftingInspiration.tip': '💡 Astuce : réduisez la plage de niveaux ou sélectionnez moins de métiers pour obtenir moins de résultats',
+  'craftingInspiration.rangeSummary': '({jobs} métiers sélectionnés, plage max. : {max})',
+
+  'obtain.noData': "Aucune donnée d'obtention pour le moment",
+  'obtain.treasureFinder': "Ouvrir l'outil de recherche de cartes au trésor",
+  'obtain.method.crafted': 'Artisanat',
+  'obtain.method.trade': 'Échange',
+  'obtain.method.vendor': 'Marchand PNJ',
+  'obtain.method.treasure': 'Coffres / conteneurs',
+  'obtain.method.instance': 'Butin de mission',
+  'obtain.method.desynth': 'Recyclage',
+  'obtain.method.quest': 'Récompense de quête',
+  'obtain.method.fate': 'ALÉA',
+  'obtain.method.gathered': 'Récolte',
+  'obtain.method.reduced': 'Réduction',
+  'obtain.method.venture': 'Tâche de servant',
+  'obtain.method.gardening': 'Jardinage',
+  'obtain.method.mogstation': 'Achat sur la Mog Station',
+  'obtain.method.leve': 'Mandat',
+  'obtain.method.voyage': 'Explorations',
+  'obtain.method.requirement': 'Condition',
+  'obtain.method.masterbook': 'Livre de maître',
+  'obtain.method.alarm': 'Alarmes de récolte',
+  'obtain.method.drop': 'Butin de monstre',
+  'obtain.method.achievement': 'Récompense de haut fait',
+  'obtain.method.islandCrop': "Culture de l'île",
+  'obtain.method.unknown': 'Inconnu',
+  'obtain.currencyFallback': 'Monnaie',
+  'obtain.instanceFallback': 'Mission {id}',
+  'obtain.expandTree': "Déplier l'arbre",
+  'obtain.collapseTree': "Replier l'arbre",
+  'obtain.clickExpandTree': "Cliquer pour déplier l'arbre des prix de fabrication",
+  'obtain.clickCollapseTree': "Cliquer pour replier l'arbre des prix de fabrication",
+  'obtain.masterbookFallback': 'Livre de maître dédié',
+  'obtain.requiresHq': 'Nécessite la version HQ',
+  'obtain.requiredQuest': 'Quête requise :',
+  'obtain.locationCount': '{count} emplacements',
+  'obtain.requiredAchievement': 'Haut fait requis :',
+  'obtain.levelLabel': 'Niveau :',
+  'obtain.syncLevel': '(synchro : {level})',
+  'obtain.ilvlRequired': 'iNiv requis :',
+  'obtain.unknownZone': 'Zone inconnue',
+  'obtain.levelValue': 'Niv. {level}',
+  'obtain.levelRange': 'Niv. {min}–{max}',
+  'obtain.position': 'Position : ({x}, {y})',
+  'obtain.questFallback': 'Quête {id}',
+  'obtain.questId': 'ID de quête : {id}',
+  'obtain.allJobs': 'Toutes les classes',
+  'obtain.questLevel': 'Niv. {level}',
+  'obtain.fateLevel': 'ALÉA niv. {level}',
+  'obtain.notoriousMonster': 'Monstre notoire',
+  'obtain.rewardItems': 'Objets de récompense',
+  'obtain.rating': 'Évaluation',
+  'obtain.ratingGold': 'Or',
+  'obtain.ratingSilver': 'Argent',
+  'obtain.ratingRare': 'Rare',
+  'obtain.gatherFallback': 'Récolte',
+  'obtain.islandNode': "Point de récolte de l'île",
+  'obtain.nodeSpot': 'Point de récolte ({type})',
+  'obtain.mogstation': 'Disponible sur la Mog Station',
+  'obtain.leveFallback': 'Mandat {id}',
+  'obtain.leveCost': 'Mandats : {cost}',
+  'obtain.requiredItems': 'Objets requis :',
+  'obtain.rewards': 'Récompenses :',
+  'obtain.voyageAvailable': 'Obtenable via les explorations',
+  'obtain.voyageRoutes': 'Gains par itinéraire →',
+  'obtain.islandCropHint': "S'obtient en plantant des graines sur l'île",
+  'obtain.requiredSeed': 'Graine requise :',
+  'obtain.seedFallback': 'Graine {id}',
+  'obtain.seedIdFallback': 'Graine (ID : {id})',
+  'obtain.dataLoading': 'Chargement des données...',
+  'obtain.masterbookLimited': "Le livre de maître de cet objet provient peut-être d'un événement limité ; la base de données n'a pas encore de détails.",
+  'obtain.viewHuijiWiki': 'Ouvrir le wiki Huiji',
+  'obtain.duration': 'Dure {minutes} min',
+  'obtain.spawnTimes': 'Apparition : {times}',
+  'obtain.methodCount': '{count} moyens',
+  'obtain.filterAll': 'Tous',
+  'obtain.achievementId': 'ID du haut fait :',
+  'obtain.rewardItemsLabel': 'Objets de récompense :',
+
+  'advancedSearch.description': 'Consultez les prix de nombreux objets en une fois, ou recherchez avec des filtres.',
+  'advancedSearch.tabFilter': 'Recherche filtrée',
+  'advancedSearch.tabBatch': 'Recherche groupée',
+  'advancedSearch.batchLabel': "Noms d'objets (un par ligne ou séparés par des virgules)",
+  'advancedSearch.batchPlaceholder': "Saisissez des noms d'objets, par ex. :\n精金錠\n秘銀錠\n山銅錠\nou : 精金錠, 秘銀錠, 山銅錠",
+  'advancedSearch.batchLimitHint': "Jusqu'à 100 noms d'objets par recherche (noms en chinois traditionnel ou simplifié)",
+  'advancedSearch.exactSearch': 'Correspondance exacte',
+  'advancedSearch.exactSearchShort': 'Exact',
+  'advancedSearch.exactSearchOn': 'Activer la correspondance exacte',
+  'advancedSearch.exactSearchOff': 'Désactiver la correspondance exacte',
+  'advancedSearch.bugNotice': "Cette page comporte plus de cas que l'auteur ne peut en tester seul. Si vous trouvez un bug, signalez-le via les liens Bahamut ou Discord de la page d'accueil. Merci !",
+  'advancedSearch.selectJobs': 'Choisir des classes',
+  'advancedSearch.selectCategories': "Choisir des catégories d'objets",
+  'advancedSearch.categoryFilterPlaceholder': 'Filtrer les catégories',
+  'advancedSearch.equipmentGroup': 'Équipement',
+  'advancedSearch.miscGroup': 'Divers',
+  'advancedSearch.noCategoryMatch': 'Aucune catégorie ne correspond à « {term} »',
+  'advancedSearch.selectedCategories': '{count} catégories sélectionnées',
+  'advancedSearch.categoryMainHand': 'Main principale',
+  'advancedSearch.categoryOffHand': 'Main secondaire',
+  'advancedSearch.categoryMountBarding': 'Montures / bardes',
+  'advancedSearch.nameFilterPlaceholder': "Filtrer par nom d'objet (séparez les mots-clés par des espaces)",
+  'advancedSearch.stopSearch': 'Arrêter la recherche',
+  'advancedSearch.clearFilters': 'Effacer les filtres',
+  'advancedSearch.showingFiltered': ', {count} affichés',
+  'advancedSearch.enterItemName': "Saisissez au moins un nom d'objet",
+  'advancedSearch.tooManyNames': "Vous pouvez rechercher au maximum 100 noms d'objets à la fois",
+  'advancedSearch.duplicatesRemoved': "{count} noms d'objets en double supprimés",
+  'advancedSearch.noItemsFound': 'Aucun objet trouvé',
+  'advancedSearch.noTradable': 'Aucun objet échangeable',
+  'advancedSearch.selectJobOrCategory': 'Choisissez au moins une classe ou une catégorie',
+  'advancedSearch.noMatchingItems': 'Aucun objet ne correspond à ces filtres',
+  'advancedSearch.marketDataError': 'Erreur lors du chargement des données du marché. Réessayez plus tard',
+};
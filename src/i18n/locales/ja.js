@@ -0,0 +1,1108 @@
+// Japanese (日本語)
+export default {
+  'common.copyItemName': 'アイテム名をコピー',
+  'common.copiedItemName': 'アイテム名をコピーしました',
+  'common.copyFailed': 'コピーに失敗しました',
+  'common.loading': '読み込み中...',
+  'common.yes': 'はい',
+  'common.no': 'いいえ',
+  'common.loadFailed': '読み込みに失敗しました',
+  'common.componentLoadFailed': '{name} を読み込めませんでした。ページを再読み込みしてください',
+  'common.unknownItem': '不明なアイテム',
+  'common.refresh': '更新',
+  'common.itemFallback': 'アイテム {id}',
+  'common.remove': '削除',
+  'common.clear': 'クリア',
+  'common.confirmClear': 'すべてクリアしますか？',
+  'common.import': 'インポート',
+  'common.export': 'エクスポート',
+  'common.appVersion': 'バージョン:',
+  'common.noData': 'データなし',
+  'common.any': '指定なし',
+  'common.minutes': '分',
+  'common.every': '間隔',
+  'common.listSeparator': '、',
+  'common.copySummary': '概要をコピー',
+  'common.marketDataLoadFailed': 'マーケットデータの読み込みに失敗しました',
+  'common.worldFallback': 'ワールド {id}',
+  'common.selectServer': 'サーバーを選択してください',
+  'common.taxRate': '税率 {rate}%',
+  'common.categoriesLoadFailed': 'アイテムカテゴリの読み込みに失敗しました',
+  'common.itemNamesLoadFailed': 'アイテム名の読み込みに失敗しました',
+  'common.scanFailed': 'スキャンに失敗しました',
+  'common.stopScan': 'スキャン停止',
+  'common.showingTop': '上位 {count} 件を表示',
+  'common.itemCategory': 'アイテムカテゴリ',
+  'common.allMarketable': 'すべての取引可能アイテム',
+  'common.noMarketableInCategory': 'このカテゴリに取引可能なアイテムはありません',
+  'common.minVelocity': '最低日間販売数',
+  'common.noMatchesRelax': '条件に合うアイテムがありません。条件を緩めてください',
+  'common.lowestPrice': '最安値',
+  'common.afterTaxProfit': '税引後利益',
+  'common.dailyProfit': '推定日間利益',
+  'common.add': '追加',
+  'common.checkFailed': 'チェックに失敗しました',
+  'common.copiedValue': '{value} をコピーしました',
+  'common.copyPrice': '価格をコピー',
+  'common.searchItemToAdd': 'アイテム名を検索して追加',
+  'common.delete': '削除',
+  'common.saveFailed': '保存に失敗しました',
+  'common.addedToShoppingList': '{count} 件のアイテムを買い物リストに追加しました',
+  'common.close': '閉じる',
+  'common.queryServer': '検索するサーバー',
+  'common.minLevel': '最低レベル',
+  'common.maxLevel': '最高レベル',
+  'common.level': 'レベル',
+  'common.stopQuery': '検索を中止',
+  'common.querying': '検索中...',
+  'common.queryFailed': '検索に失敗しました',
+  'common.worldScope': 'サーバー {name}',
+  'common.dcScope': '{name} 全サーバー',
+  'common.limited': '時限',
+  'common.priceSource': '価格の出典',
+  'common.averageSalePrice': '平均取引価格',
+  'common.noSalesMinListing': '取引履歴がないため最安出品価格を使用',
+  'common.zone': 'エリア',
+  'common.categoryFallback': 'カテゴリ {id}',
+  'common.noMatches': '条件に合うアイテムはありません',
+  'common.noPrice': '価格なし',
+  'common.perDay': '{count}/日',
+  'common.npcFallback': 'NPC {id}',
+  'common.search': '検索',
+  'common.searching': '検索中...',
+  'common.searchFailedRetry': '検索に失敗しました。しばらくしてから再試行してください',
+  'common.itemInfoFailed': 'アイテム情報を取得できません',
+  'common.cancel': 'キャンセル',
+  'common.serverSelect': 'サーバー選択',
+  'common.confirm': '確認',
+
+  'nav.home': 'ホームに戻る',
+  'nav.advancedSearch': '詳細検索',
+  'nav.advancedSearchShort': '詳細',
+  'nav.watchlist': 'ウォッチリスト',
+  'nav.watchlistShort': 'ウォッチ',
+  'nav.shoppingList': '買い物リスト',
+  'nav.shoppingListShort': 'リスト',
+  'nav.craftingInspiration': '製作アイデア',
+  'nav.craftingInspirationShort': '製作',
+  'nav.craftingInspirationTitle': 'クラフター価格検索',
+  'nav.msq': 'メイン装備',
+  'nav.msqShort': '装備',
+  'nav.msqTitle': 'メインクエスト装備の価格チェック',
+  'nav.taxRates': '税率',
+  'nav.tools': 'ツール',
+  'nav.history': '閲覧履歴',
+  'nav.historyShort': '履歴',
+  'nav.language': '言語',
+
+  'search.waitForServerData': 'サーバーデータの読み込みをお待ちください',
+  'search.resultsTitle': '検索結果',
+  'toast.wikiOpenFailed': 'Wikiリンクを開けませんでした',
+  'toast.itemSetFailed': 'セット装備の検索に失敗しました',
+  'toast.addedToWatchlist': '{name}（{scope}）をウォッチリストに追加しました。しきい値はウォッチリストで設定できます',
+  'toast.serverLoadTimeout': 'サーバーの読み込みがタイムアウトしました。再試行中 ({attempt}/3)...',
+  'toast.serverDataEmpty': 'サーバー一覧が空でした。再試行中 ({attempt}/3)...',
+  'toast.serverLoadFailedRetry': 'サーバーの読み込みに失敗しました。再試行中 ({attempt}/3)...',
+  'toast.serverDataLoaded': 'サーバー一覧を読み込みました',
+  'toast.serverDataRecovered': '再試行でサーバー一覧を読み込みました',
+  'toast.serverListFailed': 'サーバー一覧を読み込めません。ページを再読み込みしてください',
+  'toast.itemSelected': '選択: {name}',
+  'toast.itemNotFound': 'アイテムが見つかりません',
+  'toast.itemLoadFailed': 'アイテムの読み込みに失敗しました',
+  'toast.foundInSimplified': '「{text}」は繁体字では見つからず、簡体字データベースで見つかりました！',
+  'toast.tryingConversion': '「{text}」の検索結果がないため、「{converted}」で再検索しています',
+  'toast.foundItems': '{count} 件のアイテムが見つかりました',
+  'toast.foundMarketable': '取引可能なアイテムが {count} 件見つかりました',
+  'toast.foundMarketableAndNot': '取引可能 {count} 件、取引不可 {untradable} 件のアイテムが見つかりました',
+  'toast.noResults': 'アイテムが見つかりません',
+  'toast.searchFailed': '検索に失敗しました',
+  'toast.requestTimeoutRetry': 'リクエストがタイムアウトしました。再試行中 ({attempt}/3)...',
+  'toast.requestFailedRetry': 'リクエストに失敗しました。再試行中 ({attempt}/3)...',
+  'toast.marketDataRecovered': 'マーケットデータを読み込みました',
+  'toast.marketDataFailed': 'マーケットデータの読み込みに失敗しました',
+  'toast.notOnMarket': 'このアイテムのマーケットデータはありません',
+  'toast.pageStillLoading': 'このページはまだ読み込み中です。しばらくお待ちください...',
+
+  'history.empty': '履歴はありません',
+  'history.recent': '最近の閲覧 ({count})',
+  'history.clear': '履歴を消去',
+  'history.confirmClear': 'すべての履歴を消去しますか？',
+  'history.loading': '履歴を読み込み中...',
+  'history.emptyHint': 'アイテムの詳細を開くと自動的に履歴に保存されます',
+  'history.recentItems': '最近表示したアイテム',
+
+  'tools.arbitrage.label': 'ワールド間転売',
+  'tools.arbitrage.description': '他ワールドで安く買い、ホームで高く売れるアイテムを探します',
+  'tools.retainers.label': 'リテイナー値下げ監視',
+  'tools.retainers.description': 'リテイナーの出品が値下げされていないか確認し、新しい価格を提案します',
+  'tools.gathering.label': 'ギャザラー金策',
+  'tools.gathering.description': '採掘師・園芸師・漁師のアイテムを相場と販売数で並べ替えます',
+  'tools.craftingPlanner.label': '製作計画',
+  'tools.craftingPlanner.description': '複数の完成品の素材をまとめ、購入リストと製作順を表示します',
+  'tools.desynth.label': '分解・精選査定',
+  'tools.desynth.description': '分解と精選で得られるアイテムの価値を見積もり、そのまま売る場合と比較します',
+  'tools.vendorFlips.label': 'NPC転売',
+  'tools.vendorFlips.description': 'NPCショップで安く買えてマーケットで高く売れるアイテムを探します',
+  'tools.currencyExchange.label': '通貨交換',
+  'tools.currencyExchange.description': '神典石・スクリップ・シールで交換できるアイテムを1単位あたりのギルで比較します',
+  'tools.itemComparison.label': '装備比較',
+  'tools.itemComparison.description': '装備のステータス・マテリア穴・ジョブ・価格を並べて比較します',
+  'tools.meldingCost.label': 'マテリア装着コスト',
+  'tools.meldingCost.description': '禁断の成功率と消費マテリアの期待数・費用を計算します',
+  'tools.usedIn.label': '素材の用途探索',
+  'tools.usedIn.description': '素材から作れる製作品をたどり、最も価値の高い使い道を探します',
+  'tools.ventures.label': 'リテイナーベンチャー収益',
+  'tools.ventures.description': 'リテイナーが受けられる指名依頼を、ベンチャースクリップ1枚あたりのギルで比較',
+  'tools.voyages.label': '探索航路プランナー',
+  'tools.voyages.description': '潜水艦・飛空艇の探索エリアごとの戦利品を評価し、最も稼げる航路を探す',
+  'tools.islandWorkshop.label': '無人島工房スケジュール',
+  'tools.islandWorkshop.description': '今週の人気度と供給からカウリの最も多い工房スケジュールを作成し、牧場と畑の産物を相場で確認',
+
+  'table.image': 'アイコン',
+  'table.itemName': 'アイテム名',
+  'table.version': 'パッチ',
+  'table.velocity': '1日の販売数',
+  'table.averagePrice': '平均価格',
+  'table.dcAveragePrice': 'DC平均価格',
+  'table.minListing': '最安出品価格',
+  'table.minListingWorld': '最安出品ワールド',
+  'table.recentPurchase': '直近取引価格',
+  'table.recentPurchaseWorld': '直近取引ワールド',
+  'table.tradable': '取引可',
+  'table.untradable': '取引不可',
+  'table.links': 'リンク',
+  'table.unitPrice': '単価',
+  'table.quantity': '数量',
+  'table.total': '合計',
+  'table.retainer': 'リテイナー',
+  'table.buyer': '購入者',
+  'table.world': 'ワールド',
+  'table.time': '日時',
+  'table.loadingMarketData': 'マーケットデータを読み込み中...',
+  'table.versionTitle': 'パッチ {version}',
+  'table.region': '地域: {region}',
+  'table.copyHint': 'コピーボタンでアイテム名をコピーできます',
+  'table.item': 'アイテム',
+
+  'filter.rarity': 'レアリティ:',
+  'filter.version': 'パッチ:',
+  'filter.waitForItems': 'アイテムの読み込み完了までお待ちください',
+  'filter.noItems': '{label}（該当なし）',
+
+  'rarity.1': 'ノーマル',
+  'rarity.2': 'マスターピース',
+  'rarity.3': 'レア',
+  'rarity.4': 'レリック',
+
+  'listings.empty': '出品はありません',
+  'listings.mine': '自分',
+  'sales.empty': '取引履歴はありません',
+
+  'shoppingList.add': '+リスト',
+  'shoppingList.addTitle': '買い物リストに追加',
+  'shoppingList.added': '買い物リストに追加しました',
+  'shoppingList.title': '買い物リスト',
+  'shoppingList.description': '検索結果・製作価格ツリー・詳細検索からアイテムを追加すると、データセンター内の最安出品を探し、ワールドごとの購入ルートを作成します。',
+  'shoppingList.itemsCount': 'アイテム ({count})',
+  'shoppingList.planning': '取得中 {progress}',
+  'shoppingList.planRoute': '{dc} の購入ルートを計算',
+  'shoppingList.empty': 'リストは空です。検索結果の「+リスト」または製作価格ツリーのカートボタンで追加できます。',
+  'shoppingList.hqOnly': 'HQのみ',
+  'shoppingList.estimatedCost': '見積費用',
+  'shoppingList.shortfall': '不足 {count}',
+  'shoppingList.routeTitle': '{dc} 購入ルート',
+  'shoppingList.routeTotal': '合計 {total} gil',
+  'shoppingList.newItemsHint': 'リストに新しいアイテムがあります。購入ルートを再計算してください',
+  'shoppingList.unfilled': '出品不足：{items}',
+  'shoppingList.routeCopied': '購入ルートをコピーしました',
+  'shoppingList.summaryTotal': '合計: {total} gil',
+  'shoppingList.summaryUnfilled': '不足: {items}',
+  'shoppingList.addAll': 'すべて買い物リストに追加',
+
+  'export.label': 'エクスポート:',
+  'export.copied': 'コピーしました',
+  'export.failed': 'エクスポートに失敗しました',
+  'export.copy': 'コピー',
+  'export.csvTitle': 'CSVをダウンロード',
+  'export.jsonTitle': 'JSONをダウンロード',
+  'export.tsvTitle': '表をコピー（スプレッドシートに貼り付け）',
+
+  'slot.MainHand': 'メインアーム',
+  'slot.OffHand': 'サブアーム',
+  'slot.Head': '頭',
+  'slot.Body': '胴',
+  'slot.Gloves': '手',
+  'slot.Waist': '腰',
+  'slot.Legs': '脚',
+  'slot.Feet': '足',
+  'slot.Ears': '耳',
+  'slot.Neck': '首',
+  'slot.Wrists': '腕',
+  'slot.Rings': '指',
+  'slot.OneHandWeapon': '片手武器',
+  'slot.TwoHandWeapon': '両手武器',
+  'slot.BodyHead': '胴（頭装備不可）',
+  'slot.BodyHeadLegsFeet': '胴（頭・脚・足装備不可）',
+  'slot.LegsFeet': '脚（足装備不可）',
+
+  'error.serverListFailed': 'サーバー一覧を読み込めません',
+  'error.searchFailed': '検索に失敗しました。しばらくしてから再試行してください',
+  'error.rateLimited': 'リクエストが多すぎます。しばらくしてから再試行してください',
+  'error.notOnMarket': 'このアイテムはマーケットデータがなく、マーケットボードで取引できない可能性があります',
+
+  'app.loadingServers': 'サーバーを読み込み中...',
+
+  'item.notOnTwServers': '繁中サーバーのデータにありません',
+  'item.obtainMethods': '入手方法',
+  'item.obtainExpand': '入手方法を表示',
+  'item.obtainCollapse': '入手方法を隠す',
+  'item.obtainLoadFailed': '入手方法の読み込みに失敗しました。ページを再読み込みしてください',
+  'item.loadingObtain': '入手方法を読み込み中...',
+  'item.craftingTree': '製作価格ツリー',
+  'item.craftingTreeExpand': '製作価格ツリーを表示',
+  'item.craftingTreeCollapse': '製作価格ツリーを隠す',
+  'item.craftingTreeLoadFailed': '製作価格ツリーの読み込みに失敗しました。ページを再読み込みしてください',
+  'item.loadingCraftingTree': '製作価格ツリーを読み込み中...',
+  'item.loadingRecipe': 'レシピを読み込み中...',
+  'item.preparing': '準備中...',
+  'item.noRecipe': 'このアイテムにはレシピがありません',
+  'item.relatedItems': '使用先',
+  'item.relatedExpand': '使用先を表示',
+  'item.relatedCollapse': '使用先を隠す',
+  'item.relatedLoadFailed': '使用先の読み込みに失敗しました。ページを再読み込みしてください',
+  'item.loadingRelated': '使用先を読み込み中...',
+  'item.notUsedAsMaterial': 'このアイテムは素材として使われていません',
+  'item.itemSet': 'セット装備',
+  'item.itemSetCount': 'セット装備 ({count})',
+  'item.itemSetExpand': 'セット装備を表示',
+  'item.itemSetCollapse': 'セット装備を隠す',
+  'item.noItemSet': '同じセットの装備はありません',
+  'item.itemSetRule': '同じパッチ・アイテムレベル・装備レベル・ジョブ制限の装備を同じセットとみなします。下に同じセットの他の部位を表示します（この装備は除く）。',
+  'item.notEquipment': 'このアイテムは装備ではないため、セット情報はありません。',
+  'item.noSetData': '同じセットの装備データはありません。',
+  'item.averagePriceLoading': '平均価格を読み込み中…',
+  'item.watch': 'ウォッチ',
+  'item.watching': 'ウォッチ中',
+  'item.watchTitle': 'ウォッチリストに追加（現在のサーバー）',
+  'item.watchedTitle': 'ウォッチリストに登録済み。クリックで表示',
+  'item.listings': '出品一覧',
+  'item.sales': '取引履歴',
+  'item.loadingSales': '取引履歴を読み込み中...',
+  'item.priceTrend': '価格推移',
+  'item.priceTrendLoadFailed': '価格推移の読み込みに失敗しました。ページを再読み込みしてください',
+  'item.autoRetry': '3秒後に自動で再試行します...',
+  'item.loadingItem': 'アイテムを読み込み中...',
+
+  'home.tips': '使い方のヒント',
+  'home.tipKeywords': 'スペース区切りで複数のキーワードを検索できます（例：「古ぼけた 地図」）',
+  'home.tipHistory': 'アイテムの詳細を開くと履歴に自動保存されます（最大10件）。検索欄の横の履歴ボタンから確認できます',
+  'home.tipContact': '新しいパッチはバックエンドを作者が手動で更新する必要があります。不具合があれば作者の Discord：wuperbear までご連絡ください',
+  'home.loadingRecent': '最近の更新を読み込み中...',
+
+  'watchlist.title': 'ウォッチリスト',
+  'watchlist.description': 'アイテムページからウォッチに追加し、購入/売却のしきい値を設定すると、価格がしきい値を超えたときに通知されます。',
+  'watchlist.autoCheck': '自動チェック',
+  'watchlist.notificationsOn': 'ブラウザ通知：オン',
+  'watchlist.notificationsOff': 'ブラウザ通知：オフ',
+  'watchlist.checking': 'チェック中...',
+  'watchlist.checkNow': '今すぐチェック',
+  'watchlist.lastCheck': '前回のチェック: {time}',
+  'watchlist.empty': 'ウォッチリストは空です。アイテムページの「ウォッチ」から追加できます。',
+  'watchlist.quality': '品質',
+  'watchlist.buyBelow': '購入 ≤',
+  'watchlist.sellAbove': '売却 ≥',
+  'watchlist.currentLowest': '現在の最安値',
+  'watchlist.status': '状態',
+  'watchlist.statusBuy': '購入可',
+  'watchlist.statusSell': '売却可',
+  'watchlist.statusWatching': '監視中',
+  'watchlist.imported': '{count} 件のウォッチ項目をインポートしました',
+  'watchlist.importInvalidJson': 'インポート失敗：ファイルが有効な JSON ではありません',
+  'watchlist.importFailed': 'インポート失敗：{message}',
+  'watchlist.importBadFormat': 'インポート形式が正しくありません',
+  'watchlist.importNothing': 'インポートできる項目がありません',
+  'watchlist.notificationsUnsupported': 'このブラウザは通知に対応していません',
+  'watchlist.notificationsEnabled': 'ブラウザ通知をオンにしました',
+  'watchlist.notificationsDenied': 'ブラウザ通知の許可が拒否されました',
+  'watchlist.cleared': 'ウォッチリストをクリアしました',
+  'watchlist.alertBuy': '{name}{quality} が {world} で {price} gil に下がりました（目標 ≤ {target}）',
+  'watchlist.alertSell': '{name}{quality} が {world} で {price} gil に上がりました（目標 ≥ {target}）',
+  'watchlist.notifyBuyTitle': 'ウォッチリスト：購入タイミング',
+  'watchlist.notifySellTitle': 'ウォッチリスト：売却タイミング',
+
+  'arbitrage.title': 'ワールド間転売',
+  'arbitrage.description': '取引可能アイテムをスキャンし、他ワールドの最安値がホームワールドの平均取引価格を大きく下回るものを、税引後利益 × 日間販売数の順に表示します。データセンターを選択した場合はデータセンター平均価格と比較します。',
+  'arbitrage.homeServer': 'ホームサーバー（売却先）',
+  'arbitrage.minProfit': '最低単価利益',
+  'arbitrage.minDiscount': '最低割引率 (%)',
+  'arbitrage.startScan': '{name} をスキャン',
+  'arbitrage.sellWorld': '売却サーバー {name}',
+  'arbitrage.dcAverage': '{name} 平均',
+  'arbitrage.resultsTitle': '転売チャンス ({count})',
+  'arbitrage.scanning': 'スキャン中、見つかったアイテムはすぐに表示されます...',
+  'arbitrage.idle': 'サーバーとカテゴリを選んでスキャンを開始してください',
+  'arbitrage.buyWorld': '購入サーバー',
+  'arbitrage.expectedSellPrice': '推定売却価格',
+  'arbitrage.discount': '割引率',
+  'arbitrage.averagePriceTitle': '平均取引価格 {price}',
+
+  'retainers.title': 'リテイナー値下げ監視',
+  'retainers.description': 'リテイナー名とワールドを登録し、出品中のアイテムを追加すると、最安値でなくなった出品・価格差・おすすめの新価格をワンクリックで確認できます。',
+  'retainers.myRetainers': 'マイリテイナー ({count})',
+  'retainers.namePlaceholder': 'リテイナー名',
+  'retainers.noRetainers': 'リテイナーが登録されていません',
+  'retainers.trackedItems': '出品アイテム ({count})',
+  'retainers.noItems': 'アイテムが追加されていません',
+  'retainers.retainerExists': 'このリテイナーは登録済みです',
+  'retainers.itemExists': 'このアイテムは既に追加されています',
+  'retainers.undercutToast': '{count} 件の出品が値下げされています',
+  'retainers.allLowestToast': 'すべての出品が最安値です',
+  'retainers.results': 'チェック結果',
+  'retainers.undercutCount': '{count} 件値下げ',
+  'retainers.allLowest': 'すべて最安値',
+  'retainers.lastCheck': '前回のチェック {time}',
+  'retainers.checking': 'チェック中 {progress}',
+  'retainers.check': '値下げをチェック',
+  'retainers.setupHint': '先にリテイナーを登録し、出品アイテムを追加してください',
+  'retainers.checkHint': '「値下げをチェック」をクリックして開始',
+  'retainers.showNotListed': '未出品のアイテムを表示 ({count})',
+  'retainers.worldRetainer': 'ワールド / リテイナー',
+  'retainers.myPrice': '自分の価格',
+  'retainers.competitorPrice': '競合の最安値',
+  'retainers.difference': '差額',
+  'retainers.suggestedPrice': 'おすすめ価格',
+  'retainers.moreListings': ' ほか計 {count} 件',
+  'retainers.notListed': 'このワールドにはリテイナーの出品がありません',
+  'retainers.lowest': '最安値',
+
+  'city.limsaLominsa': 'リムサ・ロミンサ',
+  'city.gridania': 'グリダニア',
+  'city.uldah': 'ウルダハ',
+  'city.ishgard': 'イシュガルド',
+  'city.kugane': 'クガネ',
+  'city.crystarium': 'クリスタリウム',
+  'city.oldSharlayan': 'オールド・シャーレアン',
+  'city.tuliyollal': 'トライヨラ',
+
+  'craftingProfit.calculating': '利益を計算中...',
+  'craftingProfit.title': '製作利益',
+  'craftingProfit.salePrice': '販売価格',
+  'craftingProfit.materialCost': '素材コスト / 個',
+  'craftingProfit.unitsPerCraft': '1回の製作で {count} 個',
+  'craftingProfit.netRevenue': '税引後収入 / 個',
+  'craftingProfit.taxCity': '（{city}）',
+  'craftingProfit.taxDefault': '（デフォルト）',
+  'craftingProfit.netProfit': '純利益 / 利益率',
+  'craftingProfit.gilPerHour': '時給',
+  'craftingProfit.dcVelocity': 'DC 日間販売数 {velocity}',
+  'craftingProfit.missingPrices': '一部の素材に価格がなく製作もできないため、コストを計算できません',
+  'craftingProfit.crystalsExcluded': 'コストにクリスタルは含まれていません。クリスタルのスイッチをオンにすると含めて計算します',
+  'craftingProfit.plan': '購入 / 製作リスト',
+  'craftingProfit.buy': '購入 ({count})',
+  'craftingProfit.craft': '製作 ({count})',
+  'craftingProfit.crafts': '{count} 回',
+  'craftingProfit.allCheaperToBuy': 'すべての素材は購入した方が安いです',
+
+  'priceHistory.window24h': '24時間',
+  'priceHistory.window7d': '7日',
+  'priceHistory.window30d': '30日',
+  'priceHistory.loadFailed': '価格履歴の読み込みに失敗しました',
+  'priceHistory.byQuality': '品質別に表示',
+  'priceHistory.byWorld': 'ワールド別に表示',
+  'priceHistory.volume': '取引数',
+  'priceHistory.volumeTotal': '取引数 {count}',
+  'priceHistory.loading': '価格履歴を読み込み中...',
+  'priceHistory.noSales': 'この期間の取引はありません',
+
+  'ocr.multiLineEmpty': '画像からアイテムリストを認識できませんでした。スクリーンショットにアイテム名の列が含まれ、文字が繁体字中国語であることを確認してください。',
+  'ocr.multiLineHint': 'アイテムリスト全体をスクリーンショットして、一度にすべての価格を調べよう！',
+  'ocr.singleHint': 'アイテム名をスクリーンショットすれば OCR が読み取ります！',
+  'ocr.modeSingle': '単一アイテム',
+  'ocr.modeMulti': 'リスト',
+  'ocr.multiLineSources': 'リテイナー出品リスト・所持品・マーケット一覧のスクリーンショット',
+  'ocr.linesFound': '{count} 行を認識しました。価格を調べるアイテムを確認してください（一致度が低い行は誤認識の可能性があります）。',
+  'ocr.noMatch': '該当するアイテムがありません',
+  'ocr.retake': '撮り直す',
+  'ocr.batchPrice': 'まとめて価格を調べる ({count})',
+  'ocr.tesseractNotLoaded': 'Tesseract.js がまだ読み込まれていません。しばらくしてから再試行してください',
+  'ocr.recognitionFailed': 'OCR 認識中にエラーが発生しました',
+
+  'savedSearch.saved': '検索「{name}」を保存しました',
+  'savedSearch.linkCopied': '検索リンクをコピーしました',
+  'savedSearch.count': '保存した検索 ({count})',
+  'savedSearch.none': '保存した検索はありません',
+  'savedSearch.namePlaceholder': '検索名',
+  'savedSearch.save': '現在の検索を保存',
+  'savedSearch.copyLinkTitle': '現在の絞り込み条件を含むリンクをコピー',
+  'savedSearch.copyLink': '共有リンクをコピー',
+
+  'dataCache.title': 'データキャッシュ',
+  'dataCache.groupRecipes': 'レシピ（すべて）',
+  'dataCache.groupRecipesByResult': 'レシピ（完成品別）',
+  'dataCache.groupRecipesByIngredient': 'レシピ（素材別）',
+  'dataCache.groupRecipesByJobLevel': 'レシピ（ジョブレベル別）',
+  'dataCache.groupItemDescriptions': 'アイテム説明',
+  'dataCache.groupItemCategoryNames': 'アイテムカテゴリ名',
+  'dataCache.groupItemCategories': 'アイテムカテゴリ',
+  'dataCache.groupEquipment': '装備',
+  'dataCache.groupEquipSlots': '装備部位',
+  'dataCache.groupJobNames': 'ジョブ名',
+  'dataCache.groupPatchNames': 'パッチ名',
+  'dataCache.cleared': 'キャッシュを削除しました。データを再ダウンロードします',
+  'dataCache.memoryCleared': 'メモリキャッシュを削除しました',
+  'dataCache.description': 'レシピやカテゴリなどのゲームデータはブラウザに保存され、再読み込み時やオフラインでも使えます。バージョン更新時に自動で無効になり、1日以上経過したデータはバックグラウンドで再ダウンロードされます。',
+  'dataCache.loading': 'キャッシュ情報を読み込み中...',
+  'dataCache.unavailable': 'このブラウザは IndexedDB に対応していません（プライベートモードの可能性があります）。データはオフライン保存されません',
+  'dataCache.dataVersion': 'データバージョン',
+  'dataCache.entries': 'キャッシュ項目',
+  'dataCache.size': 'キャッシュサイズ（推定）',
+  'dataCache.siteUsage': 'サイト全体の使用量 {size}',
+  'dataCache.empty': 'キャッシュされたデータはありません',
+  'dataCache.data': 'データ',
+  'dataCache.items': '項目',
+  'dataCache.sizeColumn': 'サイズ',
+  'dataCache.updatedAt': '更新日時',
+  'dataCache.online': '● オンライン',
+  'dataCache.offline': '● オフライン、キャッシュデータを使用中',
+  'dataCache.clearing': '削除中...',
+  'dataCache.clearAndRedownload': '削除して再ダウンロード',
+
+  'craftingTree.addToListTitle': '買い物リストに追加 ×{quantity}',
+  'craftingTree.addToPlanner': '製作計画に追加',
+  'craftingTree.addedToPlanner': '製作計画に追加しました',
+  'craftingTree.addToPlannerTitle': '製作計画に追加し、他の完成品と素材をまとめて計算します',
+  'craftingTree.jobFallback': 'ジョブ {id}',
+  'craftingTree.expert': 'エキスパート',
+  'craftingTree.switchRecipe': 'レシピを切り替え',
+  'craftingTree.ownedMaterials': '所持素材',
+  'craftingTree.ownedApplied': '{count} 件入力済み、ツリーとコストから差し引き済み',
+  'craftingTree.clearOwned': 'このツリーの所持数をクリア',
+  'craftingTree.requiredMissing': '必要数 / 不足数',
+  'craftingTree.ownedCount': '所持数',
+  'craftingTree.requiredTotal': '合計 {count} 必要',
+  'craftingTree.owned': '所持 {count}',
+  'craftingTree.kindResult': '完成品',
+  'craftingTree.kindIntermediate': '中間素材',
+  'craftingTree.kindMaterial': '素材',
+  'craftingTree.exportKind': '種類',
+  'craftingTree.exportOwned': '所持',
+  'craftingTree.exportPriceType': '価格の種類',
+  'craftingTree.exportSubtotal': '小計',
+  'craftingTree.copied': 'コピーしました',
+  'craftingTree.copyName': '名前をコピー',
+  'craftingTree.formulaTitle': '計算式の詳細',
+  'craftingTree.materialBreakdown': '素材コストの内訳：',
+  'craftingTree.materialLine': '{amount} 個 × {unit} = {total}',
+  'craftingTree.craftedSuffix': '（製作）',
+  'craftingTree.materialTotal': '素材の総コスト：',
+  'craftingTree.yields': '製作個数：{yields}',
+  'craftingTree.yieldsIncluded': '製作個数：{yields}（コストに反映済み）',
+  'craftingTree.unitCostFormula': '1個あたりのコスト = 総コスト ÷ 製作個数：',
+  'craftingTree.materialCost': '素材コスト：',
+  'craftingTree.priceComparison': '価格比較：',
+  'craftingTree.craftCost': '製作コスト：',
+  'craftingTree.craftCostWithYields': '製作コスト（製作個数={yields} を考慮）：',
+  'craftingTree.buyCost': '購入コスト：',
+  'craftingTree.unitPriceLine': '単価：{unit} × {amount} 個 = {total}',
+  'craftingTree.difference': '差額：',
+  'craftingTree.viewItem': '{name} を表示',
+  'craftingTree.minListingFallback': '直近4日間に販売がないため最安値を使用',
+  'craftingTree.notForSale': '出品なし',
+  'craftingTree.insufficientMaterials': 'このサーバーには主要素材も完成品も出品がありません',
+  'craftingTree.viewFormula': 'クリックで計算式を表示',
+  'craftingTree.optimalRouteNote': '最適ルートで計算（各素材は購入/製作の安い方）',
+  'craftingTree.optimalCraft': '最適製作: {price}',
+  'craftingTree.buyFinished': '完成品を購入: {price}',
+  'craftingTree.recommendBuy': '購入がおすすめ',
+  'craftingTree.recommendCraft': '自作がおすすめ',
+  'craftingTree.bestCraftOnly': '自作最安: {price}',
+  'craftingTree.samePrice': '同じ価格',
+  'craftingTree.recommendCraftSave': '自作がおすすめ、{price} お得',
+  'craftingTree.recommendBuySave': '購入がおすすめ、{price} お得',
+  'craftingTree.insufficientInfo': '情報不足',
+  'craftingTree.materials': '素材: {price}',
+  'craftingTree.finished': '完成品: {price}',
+  'craftingTree.finishedAmount': '完成品{amount}個: {price}',
+  'craftingTree.craftSave': '自作で {price} お得',
+  'craftingTree.buySave': '購入で {price} お得',
+  'craftingTree.yieldsPerCraft': '1回の製作で {yields} 個',
+  'craftingTree.dcSearch': '{name}（DC全体）',
+  'craftingTree.noRecipe': '製作レシピなし',
+  'craftingTree.title': '製作価格ツリー',
+  'craftingTree.crystalToggle': 'クリスタル',
+  'craftingTree.crystalHint': '大量製作する職人向けに、より正確な価格を算出します',
+  'craftingTree.priceDcMin': '価格はDC全体の最安出品価格です',
+  'craftingTree.priceNone': 'このサーバーには平均価格も出品もないため価格を表示できません',
+  'craftingTree.pricePartialFallback': '一部のアイテムは4日間販売がないため、このサーバーの最安値を使用',
+  'craftingTree.priceNoSalesFallback': '直近4日間の販売記録がなく平均値も販売数もないため、一部の価格はこのサーバーの最安値を使用',
+  'craftingTree.priceWorldAverage': '価格はこのサーバーの4日間の平均販売価格です',
+  'craftingTree.velocityLabel': '1日の販売数:',
+  'craftingTree.velocityWorldTitle': 'このサーバーの1日の販売数',
+  'craftingTree.velocityWorld': 'サーバー {value}',
+  'craftingTree.velocityDcTitle': 'DC全体の1日の販売数',
+  'craftingTree.velocityDc': 'DC {value}',
+  'craftingTree.loadingPrices': '価格を読み込み中...',
+  'craftingTree.legendRoute': '最適ルート（{method}）',
+  'craftingTree.methodCraft': '製作',
+  'craftingTree.methodBuy': '購入',
+  'craftingTree.legendPrice': '価格',
+  'craftingTree.legendMinPrice': '最安値',
+  'craftingTree.legendAvgPrice': '平均価格',
+
+  'gathering.title': '採集で稼ぐ',
+  'gathering.description': '採集ジョブとレベル範囲を選ぶと、取引可能な採集品を税引き後の採集1回あたりの収益順に並べ、採集場所も表示します。1日の潜在収益 = 税引き後単価 × 1日平均販売数で、市場が1日に吸収できるおおよその金額です。',
+  'gathering.itemsPerGather': '採集1回あたりの個数',
+  'gathering.search': '{job}の採集収益を検索',
+  'gathering.includeLimited': '時限採集場所を含める',
+  'gathering.noItemsInRange': 'このレベル範囲に取引可能な採集品はありません',
+  'gathering.resultsTitle': '採集品ランキング ({count})',
+  'gathering.idle': 'ジョブとレベル範囲を選んで検索してください',
+  'gathering.gatheringLevel': '採集レベル',
+  'gathering.location': '採集場所',
+  'gathering.gilPerGather': '採集1回あたりの収益',
+  'gathering.dailyGil': '1日の潜在収益',
+  'gathering.nodeLabel': '{type}ポイント Lv.{level}',
+  'gathering.nodeMining': '採掘',
+  'gathering.nodeQuarrying': '砕岩',
+  'gathering.nodeLogging': '伐採',
+  'gathering.nodeHarvesting': '草刈',
+  'gathering.nodeFishing': '釣り',
+  'gathering.nodeSpearfishing': '銛漁',
+
+  'desynth.title': '分解・精選の価値',
+  'desynth.description': '分解と精選で得られるアイテムの価値を見積もり、そのまま売る場合やマーケットでの購入価格と比べて、買って分解する価値のある安い装備を探します。データには出現しうるアイテムのみで確率がないため、期待値は各アイテムが同確率として計算します。1回あたりの個数は調整できます。',
+  'desynth.methodDesynth': '分解',
+  'desynth.methodReduction': '精選',
+  'desynth.modeCategory': 'カテゴリ別ランキング',
+  'desynth.modeItem': '単一アイテム',
+  'desynth.method': '方法',
+  'desynth.searchPlaceholder': '分解・精選するアイテムを検索',
+  'desynth.itemsPerExtraction': '1回あたりの個数',
+  'desynth.search': '{method}の価値を検索',
+  'desynth.onlyProfitable': '購入しても利益が出るアイテムのみ表示',
+  'desynth.resultsTitle': '見積もり結果 ({count})',
+  'desynth.idle': 'カテゴリかアイテムを選んで検索してください',
+  'desynth.possibleOutputs': '入手しうるアイテム',
+  'desynth.buyPrice': '購入価格',
+  'desynth.sellDirect': 'そのまま売却',
+  'desynth.sellDirectAfterTax': 'そのまま売却(税引き後)',
+  'desynth.expectedValue': '期待値',
+  'desynth.expectedValueAfterTax': '期待値(税引き後)',
+  'desynth.vsSelling': '売却との差',
+  'desynth.profitVsSelling': '売却より多い額',
+  'desynth.profitVsBuying': '購入後の純利益',
+  'desynth.unpricedOutputs': '{count} 件のアイテムに価格がないため 0 として計算',
+  'desynth.dataLoadFailed': '分解データの読み込みに失敗しました',
+  'desynth.noExtractionData': 'このアイテムには分解・精選データがありません',
+
+  'vendorFlips.title': 'NPCショップ転売',
+  'vendorFlips.description': 'NPCショップでギルで買えるのに、マーケットではより高く売れるアイテムを探します。市場価格は平均取引価格と最安出品価格の低い方で、1個あたりの利益 = 税引き後の市場価格 − NPC価格、1日の潜在利益 = 1個あたりの利益 × 1日平均販売数です。',
+  'vendorFlips.minMargin': '最低利益率 (%)',
+  'vendorFlips.minProfit': '1個あたりの最低利益',
+  'vendorFlips.search': '転売候補を検索',
+  'vendorFlips.noShopItems': '取引可能なショップアイテムはありません',
+  'vendorFlips.resultsTitle': '転売ランキング ({count})',
+  'vendorFlips.idle': '条件を設定して検索してください',
+  'vendorFlips.vendor': '販売NPC',
+  'vendorFlips.npcPrice': 'NPC価格',
+  'vendorFlips.marketPrice': '市場価格',
+  'vendorFlips.profitPerItem': '1個あたりの利益',
+  'vendorFlips.profitPerItemAfterTax': '1個あたりの利益(税引き後)',
+  'vendorFlips.margin': '利益率',
+  'vendorFlips.marginPercent': '利益率(%)',
+  'vendorFlips.dailyProfit': '1日の潜在利益',
+  'vendorFlips.marketPriceTitle': '平均取引価格 {average} / 最安出品価格 {minListing}',
+
+  'currencyExchange.title': '通貨交換',
+  'currencyExchange.description': 'アラガントームストーン、スクリップ、シールなどを選ぶと、交換できる取引可能アイテムを税引き後の通貨1単位あたりのギル順に並べます。予想収益は所持数で交換できる数を基準にしますが、市場の1週間分の販売数を上限とします。',
+  'currencyExchange.groupTomestones': 'アラガントームストーン',
+  'currencyExchange.groupScrips': 'スクリップ',
+  'currencyExchange.groupSeals': 'シール・戦利品',
+  'currencyExchange.groupGrandCompany': '軍票',
+  'currencyExchange.budget': '所持数',
+  'currencyExchange.search': '{currency}の交換価値を検索',
+  'currencyExchange.noTrades': 'この通貨で交換できる取引可能アイテムはありません',
+  'currencyExchange.resultsTitle': '交換ランキング ({count})',
+  'currencyExchange.idle': '通貨を選んで検索してください',
+  'currencyExchange.cost': '交換価格',
+  'currencyExchange.amountPerTrade': '1回の交換で得る数',
+  'currencyExchange.gilPerCurrency': '通貨1単位あたりのギル',
+  'currencyExchange.affordable': '交換可能数',
+  'currencyExchange.sellablePerWeek': '1週間で売れる数',
+  'currencyExchange.affordableSellable': '交換可能 / 1週間で売れる数',
+  'currencyExchange.expectedGil': '予想収益',
+
+  'itemComparison.title': '装備比較',
+  'itemComparison.description': '最大{max}個の装備のアイテムレベル、基本性能、マテリア穴、装備可能ジョブ、現在の最安値を並べて比較します。メインステータスはアイテムレベルと部位から推定し、サブステータス欄は装着上限です。メインステータス1あたりの価格はNQ/HQのうち安い方の最安値で計算します。',
+  'itemComparison.loadFailed': '装備データの読み込みに失敗しました',
+  'itemComparison.pricesLoadFailed': '価格の読み込みに失敗しました',
+  'itemComparison.tooMany': '比較できる装備は最大{max}個です',
+  'itemComparison.addItem': '装備を追加 ({count}/{max})',
+  'itemComparison.searchPlaceholder': '装備名で検索',
+  'itemComparison.clearAll': 'すべてクリア',
+  'itemComparison.loadingPrices': '価格を読み込み中...',
+  'itemComparison.resultsTitle': '比較結果',
+  'itemComparison.pricesFor': '{scope}の価格',
+  'itemComparison.idle': '装備を検索して追加すると比較できます',
+  'itemComparison.notEquipment': '装備ではありません',
+  'itemComparison.removeItem': '{name}を削除',
+  'itemComparison.ilvl': 'アイテムレベル',
+  'itemComparison.equipLevel': '装備レベル',
+  'itemComparison.slot': '部位',
+  'itemComparison.jobs': 'ジョブ',
+  'itemComparison.primaryStat': 'メインステータス（推定）',
+  'itemComparison.substatCap': 'サブステータス上限',
+  'itemComparison.materiaSlots': 'マテリア穴',
+  'itemComparison.advancedMelding': '（禁断可）',
+  'itemComparison.nqPrice': 'NQ最安値',
+  'itemComparison.hqPrice': 'HQ最安値',
+  'itemComparison.costPerStat': 'メインステータス1あたりの価格',
+  'itemComparison.paramFallback': 'ステータス {id}',
+  'itemComparison.compareTop': '上位{count}件を並べて比較',
+
+  'meldingCost.title': 'マテリア装着見積もり',
+  'meldingCost.description': '装備と装着するマテリアを選ぶと、各穴の禁断成功率、予想消費数、現在の相場での費用を計算します。失敗してもマテリアを失うだけなので予想消費数は 100 ÷ 成功率です。{pct}%確実数は{pct}%の確率で成功に足りる数です。',
+  'meldingCost.materiaLoadFailed': 'マテリアデータの読み込みに失敗しました',
+  'meldingCost.addedToShoppingList': '{count}種類のマテリアを買い物リストに追加しました',
+  'meldingCost.groupCombat': '戦闘',
+  'meldingCost.groupCrafting': '製作',
+  'meldingCost.groupGathering': '採集',
+  'meldingCost.slot': '穴',
+  'meldingCost.overmeld': '禁断',
+  'meldingCost.overmeldSuffix': '（禁断）',
+  'meldingCost.materia': 'マテリア',
+  'meldingCost.stat': 'ステータス',
+  'meldingCost.successRate': '成功率',
+  'meldingCost.successRatePercent': '成功率 (%)',
+  'meldingCost.expectedCount': '予想消費数',
+  'meldingCost.safeCount': '{pct}%確実数',
+  'meldingCost.safeCountShort': '{pct}%確実',
+  'meldingCost.expectedCost': '予想費用',
+  'meldingCost.gear': '装備',
+  'meldingCost.loadingMateria': 'マテリアデータを読み込み中...',
+  'meldingCost.hqGear': 'HQ装備',
+  'meldingCost.ilvl': 'IL{ilvl}',
+  'meldingCost.materiaSlots': 'マテリア穴 {count}',
+  'meldingCost.overmeldable': '、禁断可',
+  'meldingCost.notOvermeldable': '、禁断不可',
+  'meldingCost.notMeldable': 'このアイテムにはマテリアを装着できません',
+  'meldingCost.planTitle': '装着プラン',
+  'meldingCost.meldCount': '装着数',
+  'meldingCost.totalExpectedCount': '予想マテリア消費数',
+  'meldingCost.missingPrices': '{count}種類のマテリアは価格がなく計算に含まれません',
+  'meldingCost.safeBudget': '{pct}%確実予算',
+  'meldingCost.impossibleSlot': 'VI型以上の偶数型マテリアは最初の禁断穴にしか装着できません。成功率0%の穴には別のマテリアを選んでください。',
+  'meldingCost.applyToAll': 'すべてに適用',
+
+  'usedIn.title': '素材用途エクスプローラー',
+  'usedIn.description': '素材から複数階層のレシピをたどり、作れる完成品をすべて現在の相場で評価します。素材1個あたりの価値 = (税引き後の売値 − 経路上の他の素材の購入費) ÷ 完成品1個あたりの素材使用数で、素材自体の売値と直接比較できます。',
+  'usedIn.selectMaterial': '先に素材を選んでください',
+  'usedIn.noRecipes': 'この素材を使うレシピはありません',
+  'usedIn.progressDepth': '{depth}階層目、完成品{count}個',
+  'usedIn.progressPrices': '価格を読み込み中',
+  'usedIn.depth': '階層',
+  'usedIn.via': '経由',
+  'usedIn.viaPath': '{path}経由',
+  'usedIn.materialPerUnit': '完成品1個あたりの素材数',
+  'usedIn.otherCost': '他の素材費',
+  'usedIn.valuePerMaterial': '素材1個あたりの価値',
+  'usedIn.grossPerMaterial': '素材1個あたりの価値（他の素材費を引く前）',
+  'usedIn.material': '素材',
+  'usedIn.searchPlaceholder': '素材名で検索',
+  'usedIn.maxDepth': 'たどる階層数',
+  'usedIn.depthOption': '{depth}階層',
+  'usedIn.explore': '用途を探す',
+  'usedIn.usesOf': '{name}の用途',
+  'usedIn.resultsTitle': '用途ランキング',
+  'usedIn.endProductsOnly': '最終完成品のみ',
+  'usedIn.rawSale': '素材をそのまま売る場合：',
+  'usedIn.perUnit': '{price} / 個',
+  'usedIn.beatsRawHint': '緑は素材をそのまま売るより得な完成品です',
+  'usedIn.truncated': '完成品が{max}個を超えたため中断しました。階層数を減らしてください',
+  'usedIn.noProducts': '評価できる完成品がありません',
+  'usedIn.idle': '素材を選んで探索を開始してください',
+  'usedIn.product': '完成品',
+  'usedIn.recipe': 'レシピ',
+  'usedIn.levelN': '{depth}階層目',
+  'usedIn.missingPrices': '一部の素材に価格がありません',
+  'usedIn.grossTitle': '他の素材費を引く前 {value}',
+
+  'ventures.title': 'リテイナーベンチャー収益',
+  'ventures.description': 'リテイナーのクラス、レベル、IL/識質力から受けられる指名依頼を一覧にし、相場からベンチャースクリップ1枚あたりの税引き後収益を計算します。ほりだしもの依頼は報酬プール全体の平均を参考として別に表示し、指名依頼とは直接比較できません。',
+  'ventures.classCombat': '戦闘職',
+  'ventures.noTasks': 'このリテイナーが受けられる指名依頼はありません。レベルや能力値を調整してください',
+  'ventures.retainerClass': 'リテイナーのクラス',
+  'ventures.retainerLevel': 'リテイナーのレベル',
+  'ventures.gathering': '獲得力',
+  'ventures.perception': '識質力',
+  'ventures.averageIlvl': '平均アイテムレベル',
+  'ventures.search': 'ベンチャー収益を検索',
+  'ventures.quickTitle': 'ほりだしもの依頼',
+  'ventures.quickSummary': '1回 {cost} 枚 · 報酬プール{pool}種、うち{priced}種に相場あり',
+  'ventures.quickNotComparable': '報酬プールには全クラス・全レベルの報酬が含まれ、データにはクラスやレベルごとの報酬・確率がありません。以下はプール全体の平均で、このリテイナーの期待収益ではなく、指名依頼とは比較できません。',
+  'ventures.quickPoolAverage': 'プール平均（1回）',
+  'ventures.quickPoolAveragePerVenture': 'プール平均（1枚あたり）',
+  'ventures.quickTopRewards': 'プール内の高額報酬',
+  'ventures.velocityTitle': '1日平均販売数 {value}',
+  'ventures.resultsTitle': '指名依頼ランキング ({count})',
+  'ventures.noResults': '評価できる指名依頼がありません',
+  'ventures.idle': 'リテイナーを設定して検索してください',
+  'ventures.taskItem': '依頼の報酬',
+  'ventures.taskLevel': '依頼レベル',
+  'ventures.cost': 'ベンチャースクリップ',
+  'ventures.gilPerVenture': '1枚あたり',
+  'ventures.gilPerVentureAfterTax': '1枚あたりの収益（税引き後）',
+  'ventures.slowTitle': '1日の販売数が1回の依頼で持ち帰る数より少ない',
+
+  'voyages.title': '遠征収益プランナー',
+  'voyages.description': 'フリーカンパニーの潜水艇と飛空艇が各探索区域で持ち帰る可能性のあるアイテムを一覧にし、相場から区域ごと・航路全体の税引き後期待収益を見積もります。ドロップ率は公開されていないため、各区域は候補アイテムすべての平均で計算し、取引不可のアイテムは 0 として扱います。',
+  'voyages.typeAirship': '飛空艇',
+  'voyages.typeSubmarine': '潜水艇',
+  'voyages.voyageType': '遠征の種類',
+  'voyages.sea': '海域',
+  'voyages.allSeas': 'すべての海域',
+  'voyages.seaN': '第{sea}海域',
+  'voyages.search': '{type}の収益を検索',
+  'voyages.sameSeaOnly': '潜水艇の航路は同じ海域内に限られます',
+  'voyages.maxSectors': '航路は最大 {max} 区域までです',
+  'voyages.routeTitle': '航路',
+  'voyages.routeHint': '下の区域にチェックを入れて航路を組みます（最大 {max} 区域）。各区域はアイテム1個を持ち帰るものとして見積もります',
+  'voyages.routeHintSubmarine': '下の区域にチェックを入れて航路を組みます（最大 {max} 区域、同じ海域内）。各区域はアイテム1個を持ち帰るものとして見積もります',
+  'voyages.currentRoute': '現在の航路の1回あたり期待収益',
+  'voyages.suggestedRoute': 'おすすめ航路',
+  'voyages.suggestedRouteInSea': 'おすすめ航路（{sea}）',
+  'voyages.apply': '適用',
+  'voyages.removeFromRoute': '航路から外す',
+  'voyages.noRouteSectors': '区域が選択されていません',
+  'voyages.resultsTitle': '探索区域ランキング ({count})',
+  'voyages.noResults': '見積もれる探索区域がありません',
+  'voyages.idle': '遠征の種類を選んで検索を開始',
+  'voyages.sector': '区域',
+  'voyages.possibleLoot': '入手候補',
+  'voyages.priced': '相場あり',
+  'voyages.expectedGil': '期待収益',
+  'voyages.expectedGilAfterTax': '期待収益(税引き後)',
+  'voyages.bestLoot': '最高値のアイテム',
+  'voyages.addToRoute': '{name} を航路に追加',
+  'voyages.lootCount': '全 {count} 種',
+  'voyages.sectorFallback': '区域 {id}',
+
+  'islandWorkshop.title': '無人島工房スケジュール',
+  'islandWorkshop.description': '今週の人気度パターンと各製作物の供給状況を入力すると、毎日カウリを最も多く稼げる工房スケジュールを自動で組みます（同じテーマの別の製作物を続けて作ると効率ボーナスが発生します）。以降の日はスケジュールの生産量から供給の上昇を見積もるため、参考値です。下では牧場と畑の産物の相場を確認できます。',
+  'islandWorkshop.loadFailed': '無人島データの読み込みに失敗しました',
+  'islandWorkshop.noneMarketable': '牧場と畑の産物は現在どれもマーケットで取引できません',
+  'islandWorkshop.day': '日',
+  'islandWorkshop.order': '順番',
+  'islandWorkshop.startHour': '開始時間',
+  'islandWorkshop.craftwork': '製作物',
+  'islandWorkshop.efficiencyBonus': '効率ボーナス',
+  'islandWorkshop.cowriesPerWorkshop': '工房あたりのカウリ',
+  'islandWorkshop.sourcePasture': '牧場',
+  'islandWorkshop.sourceCropland': '畑',
+  'islandWorkshop.pattern': '今週の人気度パターン',
+  'islandWorkshop.patternN': 'パターン {pattern}',
+  'islandWorkshop.rank': '開拓ランク',
+  'islandWorkshop.workshops': '工房の数',
+  'islandWorkshop.workshopCount': '{count} 棟',
+  'islandWorkshop.tier': '工房のランク',
+  'islandWorkshop.groove': '勢い',
+  'islandWorkshop.restDays': '休息日：',
+  'islandWorkshop.dayN': '{day}日目',
+  'islandWorkshop.scheduleTitle': '今週のスケジュール',
+  'islandWorkshop.weekTotal': '見積もりカウリ合計',
+  'islandWorkshop.rest': '休息',
+  'islandWorkshop.stepTitle': '{hour}:00 開始 · 供給 {supply}',
+  'islandWorkshop.demandTitle': '今週の需要 ({count})',
+  'islandWorkshop.setAllSupply': 'すべての供給を設定',
+  'islandWorkshop.choose': '選択',
+  'islandWorkshop.noCraftworks': 'この開拓ランクで作れる製作物はありません',
+  'islandWorkshop.theme': 'テーマ',
+  'islandWorkshop.craftingTime': '所要時間',
+  'islandWorkshop.baseValue': '基本価値',
+  'islandWorkshop.popularity': '人気度',
+  'islandWorkshop.currentSupply': '現在の供給',
+  'islandWorkshop.supplyFor': '{name} の供給',
+  'islandWorkshop.leavingsTitle': '牧場と畑の産物の相場',
+  'islandWorkshop.queryPrices': '相場を検索',
+  'islandWorkshop.popularityVeryHigh': '大人気',
+  'islandWorkshop.popularityHigh': '人気',
+  'islandWorkshop.popularityAverage': '普通',
+  'islandWorkshop.popularityLow': '不人気',
+  'islandWorkshop.supplyNonexistent': '品切れ',
+  'islandWorkshop.supplyInsufficient': '不足',
+  'islandWorkshop.supplySufficient': '普通',
+  'islandWorkshop.supplySurplus': '余剰',
+  'islandWorkshop.supplyOverflowing': '過剰',
+
+  'craftingPlanner.title': '製作計画',
+  'craftingPlanner.description': '複数の完成品と数量をまとめて登録し、必要な素材を合算します。共通の中間素材は一度だけ計算し、完成個数で切り上げます。製作手順は中間素材を先に作り、その後クラスとレベル順に並べます。レシピの選択と所持素材はアイテムページの製作ツリーの設定を使います。',
+  'craftingPlanner.targetsTitle': '製作目標 ({count})',
+  'craftingPlanner.searchPlaceholder': 'アイテム名を検索して製作目標に追加',
+  'craftingPlanner.emptyQueue': 'まだアイテムがありません。上で検索するか、アイテムページの製作ツリーから追加してください',
+  'craftingPlanner.plan': '製作計画を計算',
+  'craftingPlanner.planning': '計算中...',
+  'craftingPlanner.excludeCrystals': 'クリスタルを除く',
+  'craftingPlanner.useOwned': '所持素材を差し引く',
+  'craftingPlanner.outdated': '製作目標が変更されました。再計算してください',
+  'craftingPlanner.materialCost': '素材コスト',
+  'craftingPlanner.missingPrices': '{count} 件の素材は価格がなく、計算に含めていません',
+  'craftingPlanner.targetValue': '完成品の相場',
+  'craftingPlanner.savings': '製作による節約額',
+  'craftingPlanner.materialsTitle': '購入する素材 ({count})',
+  'craftingPlanner.required': '必要数',
+  'craftingPlanner.owned': '所持',
+  'craftingPlanner.toBuy': '購入数',
+  'craftingPlanner.subtotal': '小計',
+  'craftingPlanner.unitPriceTitle': '単価 {price}',
+  'craftingPlanner.stepsTitle': '製作手順 ({count})',
+  'craftingPlanner.copyPlan': '計画をコピー',
+  'craftingPlanner.noCrafts': '所持素材で足りているため、製作は不要です',
+  'craftingPlanner.order': '順番',
+  'craftingPlanner.job': 'クラス',
+  'craftingPlanner.crafts': '製作回数',
+  'craftingPlanner.produced': '完成数',
+  'craftingPlanner.surplus': '余り',
+  'craftingPlanner.ownedTitle': '所持 {count}',
+  'craftingPlanner.uncraftable': '{count} 件のアイテムはレシピがないため、購入する素材に含めました',
+  'craftingPlanner.planFailed': '製作計画の計算に失敗しました',
+  'craftingPlanner.copied': '製作計画をコピーしました',
+  'craftingPlanner.addedMaterials': '{count} 件の素材を買い物リストに追加しました',
+  'craftingPlanner.copyBuyHeader': '【購入する素材】',
+  'craftingPlanner.copyStepsHeader': '【製作手順】',
+  'craftingPlanner.copyStep': '{index}. {job} Lv.{level} {name} ×{crafts} 回{yields}',
+  'craftingPlanner.copyYields': '（完成 {count}）',
+
+  'time.unknown': '不明',
+  'time.minutesAgo': '{minutes}分前',
+  'time.hoursAgo': '{hours}時間前',
+  'time.hoursMinutesAgo': '{hours}時間{minutes}分前',
+  'time.daysAgo': '{days}日前',
+  'time.daysHoursAgo': '{days}日{hours}時間前',
+  'time.weeksAgo': '{weeks}週間前',
+  'time.weeksDaysAgo': '{weeks}週間{days}日前',
+
+  'notFound.title': 'ページが見つかりません',
+  'notFound.description': 'お探しのページは存在しないか、削除されました。',
+  'notFound.countdown': '{seconds} 秒後にホームへ戻ります...',
+  'notFound.redirecting': '移動中...',
+  'notFound.goHome': '今すぐホームへ戻る',
+
+  'loader.searching': '検索中...',
+
+  'searchBar.placeholder': '複数のキーワードはスペースで区切ります',
+  'searchBar.pressEnter': 'Enter で検索',
+  'searchBar.suggestions': 'キーワード候補',
+  'searchBar.noSuggestions': '一致するキーワードがありません',
+  'searchBar.recentSearches': '検索キーワード',
+  'searchBar.history': '履歴',
+  'searchBar.noHistory': '記録はありません',
+
+  'map.locationInfo': '位置情報',
+  'map.location': '位置',
+  'map.zone': 'エリア：',
+  'map.coordinates': '座標：',
+  'map.coordinatesShort': '座標',
+  'map.mapId': 'マップID：',
+  'map.copyZone': 'エリア名をコピー（FF14 を自動付加）',
+  'map.notFound': '⚠️ マップデータが見つかりません（マップID: {mapId}）',
+  'map.loading': 'マップを読み込み中...',
+  'map.alt': 'マップ',
+
+  'taxRates.title': 'マーケット税率 - {name}',
+  'taxRates.loading': 'マーケット税率を読み込み中...',
+  'taxRates.empty': '税率データがありません',
+  'taxRates.city.LimsaLominsa': 'リムサ・ロミンサ',
+  'taxRates.city.Gridania': 'グリダニア',
+  'taxRates.city.Uldah': 'ウルダハ',
+  'taxRates.city.Ishgard': 'イシュガルド',
+  'taxRates.city.Kugane': 'クガネ',
+  'taxRates.city.Crystarium': 'クリスタリウム',
+  'taxRates.city.OldSharlayan': 'オールド・シャーレアン',
+
+  'results.loadingItems': '{count} 件のアイテムを読み込み中...',
+  'results.titleCount': '{title}（{count} 件{suffix}）',
+  'results.noUntradable': '取引不可アイテムなし',
+  'results.hideUntradable': '取引不可アイテムを隠す',
+  'results.showUntradable': '取引不可アイテムを表示（{count}件）',
+  'results.loadingShort': '読み込み中',
+  'results.loadComplete': '読み込み完了',
+  'results.tooMany': '結果が多すぎます',
+  'results.many': '結果が多めです',
+  'results.loaded': '取引可能なアイテムを {count} 件読み込みました{hidden}。',
+  'results.found': '取引可能なアイテムが {count} 件見つかりました{hidden}。',
+  'results.hiddenUntradable': '（取引不可アイテム {count} 件は非表示）',
+  'results.stricterNextTime': '次回はより絞り込んだキーワードで検索すると速くなります。',
+  'results.slowWarning': 'データの読み込みに時間がかかり、並べ替えが遅くなる場合があります。より絞り込んだキーワードで検索するか、しばらくお待ちください。',
+  'results.serverSelect': 'サーバー選択:',
+
+  'pagination.perPage': '表示件数:',
+  'pagination.showing': '{start}-{end} / {total} 件を表示',
+  'pagination.first': '最初',
+  'pagination.prev': '前へ',
+  'pagination.pageOf': '{page} / {total} ページ',
+  'pagination.next': '次へ',
+  'pagination.last': '最後',
+
+  'msq.ilvlValue': 'アイテムレベル: {ilvl}',
+  'msq.ilvlRange': '1～999 の数値を入力してください',
+  'msq.invalidIlvl': '有効なアイテムレベルを入力してください',
+  'msq.noItemsForIlvl': 'このアイテムレベルのアイテムは見つかりません',
+  'msq.noItemsInCategory': 'この装備カテゴリに該当するアイテムはありません',
+  'msq.description': 'メインクエストで手に入る装備箱の相場をすばやく確認できます。',
+  'msq.ilvlLabel': 'アイテムレベル (IL)',
+  'msq.ilvlPlaceholder': 'アイテムレベルを入力...',
+  'msq.categoryLabel': '装備カテゴリ（任意）',
+  'msq.allCategories': 'すべてのカテゴリ',
+
+  'craftingInspiration.description': '製作職ごとに相場のおいしいアイテムを探して、マーケットを制しましょう。',
+  'craftingInspiration.maxJobs': '選択できる職業は最大4つです',
+  'craftingInspiration.limitedFetching': '先頭の {count} 件に制限しました。マーケットデータを取得中...',
+  'craftingInspiration.rangeTooLargeToast': '範囲が広すぎます！検索できるのは最大 {max} レベル分です',
+  'craftingInspiration.noRecipes': '条件に合うレシピが見つかりません',
+  'craftingInspiration.filteringTradable': '{count} 件のアイテムが見つかりました。取引可能なアイテムを絞り込み中...',
+  'craftingInspiration.noItems': 'アイテムが見つかりません',
+  'craftingInspiration.noTradable': '取引可能なアイテムはありません',
+  'craftingInspiration.untradableSuffix': '、取引不可 {count} 件',
+  'craftingInspiration.foundFetching': '取引可能なアイテム {count} 件{untradable}が見つかりました。マーケットデータを取得中...',
+  'craftingInspiration.searchDone': '検索完了！取引可能なアイテム {count} 件{untradable}が見つかりました',
+  'craftingInspiration.searchDoneLimited': '検索完了！取引可能なアイテム {count} 件（制限済み）',
+  'craftingInspiration.buttonTooMany': '検索（{total} 件見つかり、上限 {limit} を超過）',
+  'craftingInspiration.tooltipTooMany': '取引可能なアイテムが {total} 件あり、推奨上限の {limit} 件を超えています。レベル範囲を狭めるか、職業を減らしてください。',
+  'craftingInspiration.buttonRangeTooLarge': '検索（範囲が広すぎます：{range} レベル、最大 {max}）',
+  'craftingInspiration.tooltipRangeTooLarge': '現在の範囲は {range} レベルで、最大 {max} レベルを超えています。{suggestedMin}-{suggestedMax} への調整をおすすめします。',
+  'craftingInspiration.buttonSelectJob': '検索（先に職業を1つ以上選択してください）',
+  'craftingInspiration.tooltipSelectJob': '検索するには製作職を1つ以上選択してください。',
+  'craftingInspiration.jobSelect': '職業選択（最大4つ）',
+  'craftingInspiration.selectedCount': '選択中: {count}/4',
+  'craftingInspiration.noJobHint': '職業未選択時は範囲が10レベルに制限されます',
+  'craftingInspiration.ilvlRange': 'アイテムレベル範囲',
+  'craftingInspiration.currentRange': '現在の範囲: {count} レベル',
+  'craftingInspiration.selectedJobs': '{count} 職業を選択中',
+  'craftingInspiration.maxRange': '最大範囲: {count} レベル',
+  'craftingInspiration.selectJobFirst': '⚠️ 先に職業を選択してください',
+  'craftingInspiration.minLevel': '最小レベル',
+  'craftingInspiration.maxLevel': '最大レベル',
+  'craftingInspiration.rangeRule': '職業が多いほどレベル範囲の上限が狭くなります：',
+  'craftingInspiration.jobCount': '{count}職',
+  'craftingInspiration.rangeTooLarge': '範囲が広すぎます！',
+  'craftingInspiration.suggested': 'おすすめの範囲:',
+  'craftingInspiration.autoAdjusted': '{min}-{max} に調整しました',
+  'craftingInspiration.applySuggestion': 'おすすめを適用',
+  'craftingInspiration.tooManyTitle': '見つかったアイテムが多すぎます',
+  'craftingInspiration.tooManyBody': '取引可能なアイテムが {total} 件あり、推奨上限の {limit} 件を超えています。件数が多すぎると検索に時間がかかったり、動作が重くなることがあります。',
+  'craftingInspiration.continueLimited': '検索を続ける（先頭 {limit} 件に制限）',
+  'craftingInspiration.searchCancelled': '検索をキャンセルしました',
+  'craftingInspiration.tip': '💡 ヒント：レベル範囲を狭めるか職業を減らすと結果が少なくなります',
+  'craftingInspiration.rangeSummary': '（{jobs} 職業を選択中、最大範囲: {max}）',
+
+  'obtain.noData': '入手方法のデータはまだありません',
+  'obtain.treasureFinder': '宝の地図検索ツールへ',
+  'obtain.method.crafted': '製作',
+  'obtain.method.trade': '交換',
+  'obtain.method.vendor': 'NPCショップ',
+  'obtain.method.treasure': '宝箱・容器',
+  'obtain.method.instance': 'コンテンツドロップ',
+  'obtain.method.desynth': '分解',
+  'obtain.method.quest': 'クエスト報酬',
+  'obtain.method.fate': 'F.A.T.E.',
+  'obtain.method.gathered': '採集',
+  'obtain.method.reduced': '精選',
+  'obtain.method.venture': 'リテイナーベンチャー',
+  'obtain.method.gardening': '栽培',
+  'obtain.method.mogstation': 'モグステーション購入',
+  'obtain.method.leve': 'ギルドリーヴ',
+  'obtain.method.voyage': 'ボイジャー',
+  'obtain.method.requirement': '必要条件',
+  'obtain.method.masterbook': '秘伝書',
+  'obtain.method.alarm': '採集アラーム',
+  'obtain.method.drop': 'モンスタードロップ',
+  'obtain.method.achievement': 'アチーブメント報酬',
+  'obtain.method.islandCrop': '無人島の作物',
+  'obtain.method.unknown': '不明',
+  'obtain.currencyFallback': '通貨',
+  'obtain.instanceFallback': 'コンテンツ {id}',
+  'obtain.expandTree': 'ツリーを展開',
+  'obtain.collapseTree': 'ツリーを閉じる',
+  'obtain.clickExpandTree': 'クリックで製作価格ツリーを展開',
+  'obtain.clickCollapseTree': 'クリックで製作価格ツリーを閉じる',
+  'obtain.masterbookFallback': '専用の秘伝書',
+  'obtain.requiresHq': 'HQ品が必要',
+  'obtain.requiredQuest': '必要なクエスト：',
+  'obtain.locationCount': '{count} か所',
+  'obtain.requiredAchievement': '必要なアチーブメント：',
+  'obtain.levelLabel': 'レベル:',
+  'obtain.syncLevel': '(シンク: {level})',
+  'obtain.ilvlRequired': '必要IL:',
+  'obtain.unknownZone': '不明なエリア',
+  'obtain.levelValue': 'Lv.{level}',
+  'obtain.levelRange': 'Lv.{min}～{max}',
+  'obtain.position': '座標: ({x}, {y})',
+  'obtain.questFallback': 'クエスト {id}',
+  'obtain.questId': 'クエストID: {id}',
+  'obtain.allJobs': '全クラス',
+  'obtain.questLevel': 'Lv.{level}',
+  'obtain.fateLevel': 'Lv.{level} F.A.T.E.',
+  'obtain.notoriousMonster': 'モブハント対象',
+  'obtain.rewardItems': '報酬アイテム',
+  'obtain.rating': '評価',
+  'obtain.ratingGold': '金',
+  'obtain.ratingSilver': '銀',
+  'obtain.ratingRare': 'レア',
+  'obtain.gatherFallback': '採集',
+  'obtain.islandNode': '無人島の採集場所',
+  'obtain.nodeSpot': '{type}の採集場所',
+  'obtain.mogstation': 'モグステーションで購入可能',
+  'obtain.leveFallback': 'ギルドリーヴ {id}',
+  'obtain.leveCost': 'リーヴ権: {cost}',
+  'obtain.requiredItems': '必要アイテム:',
+  'obtain.rewards': '報酬:',
+  'obtain.voyageAvailable': 'ボイジャーで入手可能',
+  'obtain.voyageRoutes': '航路ごとの収益 →',
+  'obtain.islandCropHint': '無人島で種を植えて入手',
+  'obtain.requiredSeed': '必要な種：',
+  'obtain.seedFallback': '種 {id}',
+  'obtain.seedIdFallback': '種 (ID: {id})',
+  'obtain.dataLoading': 'データを読み込み中...',
+  'obtain.masterbookLimited': 'この秘伝書は期間限定イベント由来の可能性があり、データベースに詳細がありません。',
+  'obtain.viewHuijiWiki': '灰機Wikiを見る',
+  'obtain.duration': '{minutes}分間',
+  'obtain.spawnTimes': '出現時間: {times}',
+  'obtain.methodCount': '{count} 種類',
+  'obtain.filterAll': 'すべて',
+  'obtain.achievementId': 'アチーブメントID:',
+  'obtain.rewardItemsLabel': '報酬アイテム:',
+
+  'advancedSearch.description': '複数アイテムの相場を一括検索するか、条件を指定して検索します。',
+  'advancedSearch.tabFilter': '条件検索',
+  'advancedSearch.tabBatch': '一括検索',
+  'advancedSearch.batchLabel': 'アイテム名リスト（1行に1つ、またはカンマ区切り）',
+  'advancedSearch.batchPlaceholder': 'アイテム名を入力（例）：\n精金錠\n秘銀錠\n山銅錠\nまたは：精金錠, 秘銀錠, 山銅錠',
+  'advancedSearch.batchLimitHint': '一度に最大100件のアイテム名を検索できます（繁体字・簡体字中国語の名称に対応）',
+  'advancedSearch.exactSearch': '完全一致検索',
+  'advancedSearch.exactSearchShort': '完全一致',
+  'advancedSearch.exactSearchOn': '完全一致検索をオンにする',
+  'advancedSearch.exactSearchOff': '完全一致検索をオフにする',
+  'advancedSearch.bugNotice': 'このページは検証範囲が広く、作者一人では確認しきれません。不具合を見つけたら、ホームページのバハムートまたはDiscordから報告していただけると助かります。',
+  'advancedSearch.selectJobs': 'クラスを選択',
+  'advancedSearch.selectCategories': 'アイテムカテゴリを選択',
+  'advancedSearch.categoryFilterPlaceholder': 'カテゴリを絞り込む',
+  'advancedSearch.equipmentGroup': '装備',
+  'advancedSearch.miscGroup': 'その他',
+  'advancedSearch.noCategoryMatch': '「{term}」に一致するカテゴリはありません',
+  'advancedSearch.selectedCategories': '{count}個のカテゴリを選択中',
+  'advancedSearch.categoryMainHand': 'メインアーム',
+  'advancedSearch.categoryOffHand': 'サブアーム',
+  'advancedSearch.categoryMountBarding': 'マウント・バード',
+  'advancedSearch.nameFilterPlaceholder': 'アイテム名で絞り込み（複数キーワードはスペース区切り）',
+  'advancedSearch.stopSearch': '検索を停止',
+  'advancedSearch.clearFilters': '条件をクリア',
+  'advancedSearch.showingFiltered': '、{count}件を表示',
+  'advancedSearch.enterItemName': 'アイテム名を1つ以上入力してください',
+  'advancedSearch.tooManyNames': '一度に検索できるアイテム名は最大100件です',
+  'advancedSearch.duplicatesRemoved': '重複したアイテム名を{count}件削除しました',
+  'advancedSearch.noItemsFound': 'アイテムが見つかりません',
+  'advancedSearch.noTradable': '取引可能なアイテムがありません',
+  'advancedSearch.selectJobOrCategory': 'クラスまたはカテゴリを1つ以上選択してください',
+  'advancedSearch.noMatchingItems': '条件に一致するアイテムが見つかりません',
+  'advancedSearch.marketDataError': '相場データの取得中にエラーが発生しました。しばらくしてから再試行してください',
+};
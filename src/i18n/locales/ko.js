@@ -0,0 +1,1108 @@
+// Korean (한국어)
+export default {
+  'common.copyItemName': '아이템 이름 복사',
+  'common.copiedItemName': '아이템 이름을 복사했습니다',
+  'common.copyFailed': '복사 실패',
+  'common.loading': '불러오는 중...',
+  'common.yes': '예',
+  'common.no': '아니요',
+  'common.loadFailed': '불러오기 실패',
+  'common.componentLoadFailed': '{name}을(를) 불러올 수 없습니다. 페이지를 새로고침하세요',
+  'common.unknownItem': '알 수 없는 아이템',
+  'common.refresh': '새로고침',
+  'common.itemFallback': '아이템 {id}',
+  'common.remove': '삭제',
+  'common.clear': '비우기',
+  'common.confirmClear': '모두 비울까요?',
+  'common.import': '가져오기',
+  'common.export': '내보내기',
+  'common.appVersion': '버전:',
+  'common.noData': '데이터 없음',
+  'common.any': '전체',
+  'common.minutes': '분',
+  'common.every': '간격',
+  'common.listSeparator': ', ',
+  'common.copySummary': '요약 복사',
+  'common.marketDataLoadFailed': '시장 데이터를 불러오지 못했습니다',
+  'common.worldFallback': '서버 {id}',
+  'common.selectServer': '서버를 선택하세요',
+  'common.taxRate': '세율 {rate}%',
+  'common.categoriesLoadFailed': '아이템 분류를 불러오지 못했습니다',
+  'common.itemNamesLoadFailed': '아이템 이름을 불러오지 못했습니다',
+  'common.scanFailed': '스캔 실패',
+  'common.stopScan': '스캔 중지',
+  'common.showingTop': '상위 {count}개 표시',
+  'common.itemCategory': '아이템 분류',
+  'common.allMarketable': '거래 가능한 모든 아이템',
+  'common.noMarketableInCategory': '이 분류에는 거래 가능한 아이템이 없습니다',
+  'common.minVelocity': '최소 일일 판매량',
+  'common.noMatchesRelax': '조건에 맞는 아이템이 없습니다. 필터를 완화해 보세요',
+  'common.lowestPrice': '최저가',
+  'common.afterTaxProfit': '세후 이익',
+  'common.dailyProfit': '예상 일일 이익',
+  'common.add': '추가',
+  'common.checkFailed': '확인 실패',
+  'common.copiedValue': '{value} 복사됨',
+  'common.copyPrice': '가격 복사',
+  'common.searchItemToAdd': '아이템 이름을 검색해 추가',
+  'common.delete': '삭제',
+  'common.saveFailed': '저장 실패',
+  'common.addedToShoppingList': '아이템 {count}개를 쇼핑 목록에 추가했습니다',
+  'common.close': '닫기',
+  'common.queryServer': '조회 서버',
+  'common.minLevel': '최저 레벨',
+  'common.maxLevel': '최고 레벨',
+  'common.level': '레벨',
+  'common.stopQuery': '조회 중지',
+  'common.querying': '조회 중...',
+  'common.queryFailed': '조회 실패',
+  'common.worldScope': '서버 {name}',
+  'common.dcScope': '{name} 전체 서버',
+  'common.limited': '시간 한정',
+  'common.priceSource': '가격 출처',
+  'common.averageSalePrice': '평균 거래가',
+  'common.noSalesMinListing': '거래 기록이 없어 최저 판매가 사용',
+  'common.zone': '지역',
+  'common.categoryFallback': '분류 {id}',
+  'common.noMatches': '조건에 맞는 아이템이 없습니다',
+  'common.noPrice': '가격 없음',
+  'common.perDay': '{count}/일',
+  'common.npcFallback': 'NPC {id}',
+  'common.search': '검색',
+  'common.searching': '검색 중...',
+  'common.searchFailedRetry': '검색에 실패했습니다. 잠시 후 다시 시도하세요',
+  'common.itemInfoFailed': '아이템 정보를 가져올 수 없습니다',
+  'common.cancel': '취소',
+  'common.serverSelect': '서버 선택',
+  'common.confirm': '확인',
+
+  'nav.home': '홈으로',
+  'nav.advancedSearch': '상세 검색',
+  'nav.advancedSearchShort': '상세',
+  'nav.watchlist': '관심 목록',
+  'nav.watchlistShort': '관심',
+  'nav.shoppingList': '구매 목록',
+  'nav.shoppingListShort': '목록',
+  'nav.craftingInspiration': '제작 아이디어',
+  'nav.craftingInspirationShort': '제작',
+  'nav.craftingInspirationTitle': '제작자 가격 찾기',
+  'nav.msq': '메인 장비',
+  'nav.msqShort': '장비',
+  'nav.msqTitle': '메인 퀘스트 장비 시세',
+  'nav.taxRates': '세율',
+  'nav.tools': '도구',
+  'nav.history': '기록',
+  'nav.historyShort': '기록',
+  'nav.language': '언어',
+
+  'search.waitForServerData': '서버 데이터를 불러올 때까지 기다려 주세요',
+  'search.resultsTitle': '검색 결과',
+  'toast.wikiOpenFailed': 'Wiki 링크를 열 수 없습니다',
+  'toast.itemSetFailed': '세트 장비를 조회하지 못했습니다',
+  'toast.addedToWatchlist': '{name} ({scope})을(를) 관심 목록에 추가했습니다. 알림 가격은 관심 목록에서 설정하세요',
+  'toast.serverLoadTimeout': '서버 로딩 시간이 초과되어 재시도 중 ({attempt}/3)...',
+  'toast.serverDataEmpty': '서버 목록이 비어 있어 재시도 중 ({attempt}/3)...',
+  'toast.serverLoadFailedRetry': '서버를 불러오지 못해 재시도 중 ({attempt}/3)...',
+  'toast.serverDataLoaded': '서버 목록을 불러왔습니다',
+  'toast.serverDataRecovered': '재시도 후 서버 목록을 불러왔습니다',
+  'toast.serverListFailed': '서버 목록을 불러올 수 없습니다. 페이지를 새로고침하세요',
+  'toast.itemSelected': '선택됨: {name}',
+  'toast.itemNotFound': '아이템을 찾을 수 없습니다',
+  'toast.itemLoadFailed': '아이템을 불러오지 못했습니다',
+  'toast.foundInSimplified': '"{text}"은(는) 번체 검색 결과가 없어 간체 중국어 데이터베이스에서 찾았습니다!',
+  'toast.tryingConversion': '"{text}" 검색 결과가 없어 "{converted}"(으)로 다시 검색합니다',
+  'toast.foundItems': '아이템 {count}개를 찾았습니다',
+  'toast.foundMarketable': '거래 가능한 아이템 {count}개를 찾았습니다',
+  'toast.foundMarketableAndNot': '거래 가능 {count}개, 거래 불가 {untradable}개 아이템을 찾았습니다',
+  'toast.noResults': '검색 결과가 없습니다',
+  'toast.searchFailed': '검색 실패',
+  'toast.requestTimeoutRetry': '요청 시간이 초과되어 재시도 중 ({attempt}/3)...',
+  'toast.requestFailedRetry': '요청에 실패해 재시도 중 ({attempt}/3)...',
+  'toast.marketDataRecovered': '시장 데이터를 불러왔습니다',
+  'toast.marketDataFailed': '시장 데이터를 불러오지 못했습니다',
+  'toast.notOnMarket': '이 아이템은 시장 데이터가 없습니다',
+  'toast.pageStillLoading': '이 페이지는 아직 불러오는 중입니다. 잠시 기다려 주세요...',
+
+  'history.empty': '기록이 없습니다',
+  'history.recent': '최근 본 아이템 ({count})',
+  'history.clear': '기록 지우기',
+  'history.confirmClear': '모든 기록을 지우시겠습니까?',
+  'history.loading': '기록 불러오는 중...',
+  'history.emptyHint': '아이템 상세를 열면 자동으로 기록에 저장됩니다',
+  'history.recentItems': '최근 본 아이템',
+
+  'tools.arbitrage.label': '서버 간 되팔기',
+  'tools.arbitrage.description': '다른 서버에서 싸게 사서 내 서버에서 비싸게 팔 수 있는 아이템 찾기',
+  'tools.retainers.label': '집사 가격 경쟁 추적',
+  'tools.retainers.description': '집사 판매 등록이 더 싼 가격에 밀렸는지 확인하고 새 가격을 제안합니다',
+  'tools.gathering.label': '채집 수익',
+  'tools.gathering.description': '광부·원예가·어부 아이템을 시세와 판매량으로 정렬합니다',
+  'tools.craftingPlanner.label': '제작 계획',
+  'tools.craftingPlanner.description': '여러 완성품의 재료를 합쳐 구매 목록과 제작 순서를 보여줍니다',
+  'tools.desynth.label': '분해·정제 가치',
+  'tools.desynth.description': '분해와 정제로 얻는 아이템의 가치를 추정하고 그대로 파는 경우와 비교합니다',
+  'tools.vendorFlips.label': '상점 되팔기',
+  'tools.vendorFlips.description': 'NPC 상점에서 싸게 사서 거래소에서 비싸게 팔 수 있는 아이템을 찾습니다',
+  'tools.currencyExchange.label': '재화 교환',
+  'tools.currencyExchange.description': '석판, 제작·채집 징표, 인장으로 교환할 수 있는 아이템을 재화 1개당 길로 비교합니다',
+  'tools.itemComparison.label': '장비 비교',
+  'tools.itemComparison.description': '장비의 능력치, 마테리아 슬롯, 직업, 가격을 나란히 비교합니다',
+  'tools.meldingCost.label': '마테리아 장착 비용',
+  'tools.meldingCost.description': '금단 성공률과 예상 마테리아 소모량 및 비용을 계산합니다',
+  'tools.usedIn.label': '재료 용도 탐색',
+  'tools.usedIn.description': '재료로 만들 수 있는 모든 제작품을 추적해 가장 가치 있는 용도를 찾습니다',
+  'tools.ventures.label': '집사 조달 수익',
+  'tools.ventures.description': '집사가 받을 수 있는 지정 조달을 집사 조달 증서 1장당 길로 순위 매김',
+  'tools.voyages.label': '탐사 항로 계획',
+  'tools.voyages.description': '잠수함·비공정 탐사 구역별 전리품 가치를 계산해 가장 수익성 높은 항로 찾기',
+  'tools.islandWorkshop.label': '무인도 공방 일정',
+  'tools.islandWorkshop.description': '이번 주 인기도와 공급으로 별개오지를 가장 많이 버는 공방 일정을 짜고 목장·밭 산물 시세 확인',
+
+  'table.image': '아이콘',
+  'table.itemName': '아이템',
+  'table.version': '패치',
+  'table.velocity': '일일 판매량',
+  'table.averagePrice': '평균 가격',
+  'table.dcAveragePrice': '데이터센터 평균 가격',
+  'table.minListing': '최저 판매가',
+  'table.minListingWorld': '최저 판매 서버',
+  'table.recentPurchase': '최근 거래가',
+  'table.recentPurchaseWorld': '최근 거래 서버',
+  'table.tradable': '거래 가능',
+  'table.untradable': '거래 불가',
+  'table.links': '링크',
+  'table.unitPrice': '단가',
+  'table.quantity': '수량',
+  'table.total': '합계',
+  'table.retainer': '집사',
+  'table.buyer': '구매자',
+  'table.world': '서버',
+  'table.time': '시간',
+  'table.loadingMarketData': '시장 데이터를 불러오는 중...',
+  'table.versionTitle': '패치 {version}',
+  'table.region': '지역: {region}',
+  'table.copyHint': '복사 버튼으로 아이템 이름을 복사할 수 있습니다',
+  'table.item': '아이템',
+
+  'filter.rarity': '희귀도:',
+  'filter.version': '패치:',
+  'filter.waitForItems': '아이템을 모두 불러올 때까지 기다려 주세요',
+  'filter.noItems': '{label} (아이템 없음)',
+
+  'rarity.1': '일반',
+  'rarity.2': '고급',
+  'rarity.3': '희귀',
+  'rarity.4': '유물',
+
+  'listings.empty': '판매 등록이 없습니다',
+  'listings.mine': '내 것',
+  'sales.empty': '거래 기록이 없습니다',
+
+  'shoppingList.add': '+목록',
+  'shoppingList.addTitle': '구매 목록에 추가',
+  'shoppingList.added': '구매 목록에 추가했습니다',
+  'shoppingList.title': '쇼핑 목록',
+  'shoppingList.description': '검색 결과, 제작 가격 트리, 고급 검색에서 아이템을 추가하면 데이터 센터 전체의 최저가 매물을 찾아 서버별 구매 경로를 만들어 줍니다.',
+  'shoppingList.itemsCount': '아이템 ({count})',
+  'shoppingList.planning': '조회 중 {progress}',
+  'shoppingList.planRoute': '{dc} 구매 경로 계산',
+  'shoppingList.empty': '목록이 비어 있습니다. 검색 결과의 "+목록" 또는 제작 가격 트리의 장바구니 버튼으로 추가하세요.',
+  'shoppingList.hqOnly': 'HQ만',
+  'shoppingList.estimatedCost': '예상 비용',
+  'shoppingList.shortfall': '부족 {count}',
+  'shoppingList.routeTitle': '{dc} 구매 경로',
+  'shoppingList.routeTotal': '합계 {total} gil',
+  'shoppingList.newItemsHint': '목록에 새 아이템이 있습니다. 구매 경로를 다시 계산하세요',
+  'shoppingList.unfilled': '매물 부족: {items}',
+  'shoppingList.routeCopied': '구매 경로를 복사했습니다',
+  'shoppingList.summaryTotal': '합계: {total} gil',
+  'shoppingList.summaryUnfilled': '부족: {items}',
+  'shoppingList.addAll': '모두 쇼핑 목록에 추가',
+
+  'export.label': '내보내기:',
+  'export.copied': '복사됨',
+  'export.failed': '내보내기 실패',
+  'export.copy': '복사',
+  'export.csvTitle': 'CSV 다운로드',
+  'export.jsonTitle': 'JSON 다운로드',
+  'export.tsvTitle': '표 복사 (스프레드시트에 붙여넣기)',
+
+  'slot.MainHand': '주무기',
+  'slot.OffHand': '보조무기',
+  'slot.Head': '머리',
+  'slot.Body': '몸통',
+  'slot.Gloves': '손',
+  'slot.Waist': '허리',
+  'slot.Legs': '다리',
+  'slot.Feet': '발',
+  'slot.Ears': '귀걸이',
+  'slot.Neck': '목걸이',
+  'slot.Wrists': '팔찌',
+  'slot.Rings': '반지',
+  'slot.OneHandWeapon': '한손 무기',
+  'slot.TwoHandWeapon': '양손 무기',
+  'slot.BodyHead': '몸통(머리 포함)',
+  'slot.BodyHeadLegsFeet': '몸통(머리·다리·발 포함)',
+  'slot.LegsFeet': '다리(발 포함)',
+
+  'error.serverListFailed': '서버 목록을 불러올 수 없습니다',
+  'error.searchFailed': '검색에 실패했습니다. 잠시 후 다시 시도하세요',
+  'error.rateLimited': '요청이 너무 많습니다. 잠시 후 다시 시도하세요',
+  'error.notOnMarket': '이 아이템은 시장 데이터가 없어 거래소에서 거래할 수 없을 수 있습니다',
+
+  'app.loadingServers': '서버 불러오는 중...',
+
+  'item.notOnTwServers': '대만 서버 데이터에 없습니다',
+  'item.obtainMethods': '획득 방법',
+  'item.obtainExpand': '획득 방법 펼치기',
+  'item.obtainCollapse': '획득 방법 접기',
+  'item.obtainLoadFailed': '획득 방법을 불러오지 못했습니다. 페이지를 새로고침하세요',
+  'item.loadingObtain': '획득 방법 불러오는 중...',
+  'item.craftingTree': '제작 가격 트리',
+  'item.craftingTreeExpand': '제작 가격 트리 펼치기',
+  'item.craftingTreeCollapse': '제작 가격 트리 접기',
+  'item.craftingTreeLoadFailed': '제작 가격 트리를 불러오지 못했습니다. 페이지를 새로고침하세요',
+  'item.loadingCraftingTree': '제작 가격 트리 불러오는 중...',
+  'item.loadingRecipe': '레시피 불러오는 중...',
+  'item.preparing': '준비 중...',
+  'item.noRecipe': '이 아이템은 제작 레시피가 없습니다',
+  'item.relatedItems': '사용처',
+  'item.relatedExpand': '사용처 펼치기',
+  'item.relatedCollapse': '사용처 접기',
+  'item.relatedLoadFailed': '사용처를 불러오지 못했습니다. 페이지를 새로고침하세요',
+  'item.loadingRelated': '사용처 불러오는 중...',
+  'item.notUsedAsMaterial': '이 아이템은 재료로 쓰이지 않습니다',
+  'item.itemSet': '세트 장비',
+  'item.itemSetCount': '세트 장비 ({count})',
+  'item.itemSetExpand': '세트 장비 펼치기',
+  'item.itemSetCollapse': '세트 장비 접기',
+  'item.noItemSet': '같은 세트 장비가 없습니다',
+  'item.itemSetRule': '같은 패치, 아이템 레벨, 장비 레벨, 직업 제한인 장비를 같은 세트로 봅니다. 아래에 같은 세트의 다른 부위를 표시합니다(현재 장비 제외).',
+  'item.notEquipment': '이 아이템은 장비가 아니어서 세트 정보가 없습니다.',
+  'item.noSetData': '같은 세트 장비 데이터가 없습니다.',
+  'item.averagePriceLoading': '평균 가격 불러오는 중…',
+  'item.watch': '관심 등록',
+  'item.watching': '관심 등록됨',
+  'item.watchTitle': '관심 목록에 추가 (현재 서버)',
+  'item.watchedTitle': '이미 관심 목록에 있습니다. 클릭해서 보기',
+  'item.listings': '판매 목록',
+  'item.sales': '거래 기록',
+  'item.loadingSales': '거래 기록 불러오는 중...',
+  'item.priceTrend': '가격 추이',
+  'item.priceTrendLoadFailed': '가격 추이를 불러오지 못했습니다. 페이지를 새로고침하세요',
+  'item.autoRetry': '3초 후 자동으로 재시도합니다...',
+  'item.loadingItem': '아이템 불러오는 중...',
+
+  'home.tips': '사용 팁',
+  'home.tipKeywords': '여러 키워드를 공백으로 구분해 검색할 수 있습니다 (예: "낡은 지도")',
+  'home.tipHistory': '아이템 상세를 열면 기록에 자동 저장되며(최대 10개), 검색창 옆 기록 버튼에서 볼 수 있습니다',
+  'home.tipContact': '새 패치는 작성자가 백엔드를 직접 업데이트해야 합니다. 문제가 있으면 작성자 Discord: wuperbear 로 연락해 주세요',
+  'home.loadingRecent': '최근 업데이트 불러오는 중...',
+
+  'watchlist.title': '관심 목록',
+  'watchlist.description': '아이템 페이지에서 관심 목록에 추가하고 구매/판매 기준가를 설정하면 가격이 기준을 넘을 때 알려줍니다.',
+  'watchlist.autoCheck': '자동 확인',
+  'watchlist.notificationsOn': '브라우저 알림: 켜짐',
+  'watchlist.notificationsOff': '브라우저 알림: 꺼짐',
+  'watchlist.checking': '확인 중...',
+  'watchlist.checkNow': '지금 확인',
+  'watchlist.lastCheck': '마지막 확인: {time}',
+  'watchlist.empty': '관심 목록이 비어 있습니다. 아이템 페이지에서 "관심 추가"를 눌러 시작하세요.',
+  'watchlist.quality': '품질',
+  'watchlist.buyBelow': '구매 ≤',
+  'watchlist.sellAbove': '판매 ≥',
+  'watchlist.currentLowest': '현재 최저가',
+  'watchlist.status': '상태',
+  'watchlist.statusBuy': '구매 가능',
+  'watchlist.statusSell': '판매 가능',
+  'watchlist.statusWatching': '감시 중',
+  'watchlist.imported': '관심 항목 {count}개를 가져왔습니다',
+  'watchlist.importInvalidJson': '가져오기 실패: 올바른 JSON 파일이 아닙니다',
+  'watchlist.importFailed': '가져오기 실패: {message}',
+  'watchlist.importBadFormat': '가져오기 형식이 올바르지 않습니다',
+  'watchlist.importNothing': '가져올 항목이 없습니다',
+  'watchlist.notificationsUnsupported': '이 브라우저는 알림을 지원하지 않습니다',
+  'watchlist.notificationsEnabled': '브라우저 알림을 켰습니다',
+  'watchlist.notificationsDenied': '브라우저 알림 권한이 거부되었습니다',
+  'watchlist.cleared': '관심 목록을 비웠습니다',
+  'watchlist.alertBuy': '{name}{quality} 가격이 {world}에서 {price} gil로 내려갔습니다 (목표 ≤ {target})',
+  'watchlist.alertSell': '{name}{quality} 가격이 {world}에서 {price} gil로 올랐습니다 (목표 ≥ {target})',
+  'watchlist.notifyBuyTitle': '관심 목록: 구매 시점',
+  'watchlist.notifySellTitle': '관심 목록: 판매 시점',
+
+  'arbitrage.title': '서버 간 차익 거래',
+  'arbitrage.description': '거래 가능한 아이템을 스캔해 다른 서버의 최저가가 내 서버 평균 거래가보다 크게 낮은 아이템을 세후 이익 × 일일 판매량 순으로 보여줍니다. 데이터 센터를 선택하면 데이터 센터 평균가와 비교합니다.',
+  'arbitrage.homeServer': '내 서버 (판매 서버)',
+  'arbitrage.minProfit': '최소 개당 이익',
+  'arbitrage.minDiscount': '최소 할인율 (%)',
+  'arbitrage.startScan': '{name} 스캔 시작',
+  'arbitrage.sellWorld': '판매 서버 {name}',
+  'arbitrage.dcAverage': '{name} 평균',
+  'arbitrage.resultsTitle': '차익 기회 ({count})',
+  'arbitrage.scanning': '스캔 중, 찾은 아이템이 바로 표시됩니다...',
+  'arbitrage.idle': '서버와 분류를 선택한 후 스캔을 시작하세요',
+  'arbitrage.buyWorld': '구매 서버',
+  'arbitrage.expectedSellPrice': '예상 판매가',
+  'arbitrage.discount': '할인율',
+  'arbitrage.averagePriceTitle': '평균 거래가 {price}',
+
+  'retainers.title': '리테이너 가격 경쟁 추적',
+  'retainers.description': '리테이너 이름과 서버를 등록하고 판매 중인 아이템을 추가하면, 어떤 매물이 더 이상 최저가가 아닌지, 차이가 얼마인지, 추천 새 가격을 한 번에 확인할 수 있습니다.',
+  'retainers.myRetainers': '내 리테이너 ({count})',
+  'retainers.namePlaceholder': '리테이너 이름',
+  'retainers.noRetainers': '등록된 리테이너가 없습니다',
+  'retainers.trackedItems': '판매 아이템 ({count})',
+  'retainers.noItems': '추가된 아이템이 없습니다',
+  'retainers.retainerExists': '이미 등록된 리테이너입니다',
+  'retainers.itemExists': '이미 추적 중인 아이템입니다',
+  'retainers.undercutToast': '{count}개 매물이 더 싸게 팔리고 있습니다',
+  'retainers.allLowestToast': '모든 매물이 최저가입니다',
+  'retainers.results': '확인 결과',
+  'retainers.undercutCount': '{count}개 가격 밀림',
+  'retainers.allLowest': '모두 최저가',
+  'retainers.lastCheck': '마지막 확인 {time}',
+  'retainers.checking': '확인 중 {progress}',
+  'retainers.check': '가격 경쟁 확인',
+  'retainers.setupHint': '먼저 리테이너를 등록하고 판매 아이템을 추가하세요',
+  'retainers.checkHint': '"가격 경쟁 확인"을 눌러 시작하세요',
+  'retainers.showNotListed': '등록되지 않은 아이템 표시 ({count})',
+  'retainers.worldRetainer': '서버 / 리테이너',
+  'retainers.myPrice': '내 가격',
+  'retainers.competitorPrice': '경쟁 최저가',
+  'retainers.difference': '차액',
+  'retainers.suggestedPrice': '추천 가격',
+  'retainers.moreListings': ' 외 총 {count}건',
+  'retainers.notListed': '이 서버에 내 리테이너 매물이 없습니다',
+  'retainers.lowest': '최저가',
+
+  'city.limsaLominsa': '림사 로민사',
+  'city.gridania': '그리다니아',
+  'city.uldah': '울다하',
+  'city.ishgard': '이슈가르드',
+  'city.kugane': '쿠가네',
+  'city.crystarium': '크리스타리움',
+  'city.oldSharlayan': '올드 샬레이안',
+  'city.tuliyollal': '툴라이욜라',
+
+  'craftingProfit.calculating': '이익 계산 중...',
+  'craftingProfit.title': '제작 이익',
+  'craftingProfit.salePrice': '판매가',
+  'craftingProfit.materialCost': '재료 비용 / 개',
+  'craftingProfit.unitsPerCraft': '제작당 {count}개',
+  'craftingProfit.netRevenue': '세후 수입 / 개',
+  'craftingProfit.taxCity': ' ({city})',
+  'craftingProfit.taxDefault': ' (기본값)',
+  'craftingProfit.netProfit': '순이익 / 이익률',
+  'craftingProfit.gilPerHour': '시간당 수익',
+  'craftingProfit.dcVelocity': 'DC 일일 판매량 {velocity}',
+  'craftingProfit.missingPrices': '일부 재료에 가격이 없고 제작도 불가능해 비용을 계산할 수 없습니다',
+  'craftingProfit.crystalsExcluded': '비용에 크리스탈이 포함되지 않았습니다. 크리스탈 스위치를 켜면 함께 계산합니다',
+  'craftingProfit.plan': '구매 / 제작 목록',
+  'craftingProfit.buy': '구매 ({count})',
+  'craftingProfit.craft': '제작 ({count})',
+  'craftingProfit.crafts': '{count}회',
+  'craftingProfit.allCheaperToBuy': '모든 재료를 구매하는 편이 더 쌉니다',
+
+  'priceHistory.window24h': '24시간',
+  'priceHistory.window7d': '7일',
+  'priceHistory.window30d': '30일',
+  'priceHistory.loadFailed': '가격 기록을 불러오지 못했습니다',
+  'priceHistory.byQuality': '품질별 보기',
+  'priceHistory.byWorld': '서버별 보기',
+  'priceHistory.volume': '거래량',
+  'priceHistory.volumeTotal': '거래량 {count}',
+  'priceHistory.loading': '가격 기록을 불러오는 중...',
+  'priceHistory.noSales': '이 기간에 거래 기록이 없습니다',
+
+  'ocr.multiLineEmpty': '이미지에서 아이템 목록을 인식하지 못했습니다. 스크린샷에 아이템 이름 열이 있고 번체 중국어 텍스트인지 확인하세요.',
+  'ocr.multiLineHint': '아이템 목록 전체를 캡처해 모든 가격을 한 번에 조회하세요!',
+  'ocr.singleHint': '아이템 이름을 캡처하면 OCR이 인식해 줍니다!',
+  'ocr.modeSingle': '단일 아이템',
+  'ocr.modeMulti': '여러 줄 목록',
+  'ocr.multiLineSources': '리테이너 판매 목록, 소지품 또는 장터 목록 스크린샷',
+  'ocr.linesFound': '{count}줄을 인식했습니다. 시세를 조회할 아이템을 확인하세요 (일치도가 낮은 줄은 잘못 인식되었을 수 있습니다).',
+  'ocr.noMatch': '일치하는 아이템 없음',
+  'ocr.retake': '다시 캡처',
+  'ocr.batchPrice': '일괄 시세 조회 ({count})',
+  'ocr.tesseractNotLoaded': 'Tesseract.js가 아직 로드되지 않았습니다. 잠시 후 다시 시도하세요',
+  'ocr.recognitionFailed': 'OCR 인식 중 오류가 발생했습니다',
+
+  'savedSearch.saved': '검색 "{name}"을(를) 저장했습니다',
+  'savedSearch.linkCopied': '검색 링크를 복사했습니다',
+  'savedSearch.count': '저장된 검색 ({count})',
+  'savedSearch.none': '저장된 검색이 없습니다',
+  'savedSearch.namePlaceholder': '검색 이름',
+  'savedSearch.save': '현재 검색 저장',
+  'savedSearch.copyLinkTitle': '현재 필터가 포함된 링크 복사',
+  'savedSearch.copyLink': '공유 링크 복사',
+
+  'dataCache.title': '데이터 캐시',
+  'dataCache.groupRecipes': '레시피 (전체)',
+  'dataCache.groupRecipesByResult': '레시피 (완성품별)',
+  'dataCache.groupRecipesByIngredient': '레시피 (재료별)',
+  'dataCache.groupRecipesByJobLevel': '레시피 (직업 레벨별)',
+  'dataCache.groupItemDescriptions': '아이템 설명',
+  'dataCache.groupItemCategoryNames': '아이템 분류 이름',
+  'dataCache.groupItemCategories': '아이템 분류',
+  'dataCache.groupEquipment': '장비',
+  'dataCache.groupEquipSlots': '장비 부위',
+  'dataCache.groupJobNames': '직업 이름',
+  'dataCache.groupPatchNames': '패치 이름',
+  'dataCache.cleared': '캐시를 지웠습니다. 데이터를 다시 내려받습니다',
+  'dataCache.memoryCleared': '메모리 캐시를 지웠습니다',
+  'dataCache.description': '레시피, 분류 등 게임 데이터는 브라우저에 저장되어 새로고침하거나 오프라인일 때도 사용할 수 있습니다. 버전이 업데이트되면 자동으로 무효화되며, 하루가 지난 데이터는 백그라운드에서 다시 내려받습니다.',
+  'dataCache.loading': '캐시 정보를 읽는 중...',
+  'dataCache.unavailable': '이 브라우저는 IndexedDB를 지원하지 않습니다 (시크릿 모드일 수 있음). 데이터가 오프라인으로 저장되지 않습니다',
+  'dataCache.dataVersion': '데이터 버전',
+  'dataCache.entries': '캐시 항목',
+  'dataCache.size': '캐시 크기 (추정)',
+  'dataCache.siteUsage': '사이트 전체 사용량 {size}',
+  'dataCache.empty': '캐시된 데이터가 없습니다',
+  'dataCache.data': '데이터',
+  'dataCache.items': '항목',
+  'dataCache.sizeColumn': '크기',
+  'dataCache.updatedAt': '업데이트 시간',
+  'dataCache.online': '● 온라인',
+  'dataCache.offline': '● 오프라인, 캐시 데이터 사용 중',
+  'dataCache.clearing': '지우는 중...',
+  'dataCache.clearAndRedownload': '지우고 다시 내려받기',
+
+  'craftingTree.addToListTitle': '쇼핑 목록에 추가 ×{quantity}',
+  'craftingTree.addToPlanner': '제작 계획에 추가',
+  'craftingTree.addedToPlanner': '제작 계획에 추가됨',
+  'craftingTree.addToPlannerTitle': '제작 계획에 추가해 다른 완성품과 재료를 합산합니다',
+  'craftingTree.jobFallback': '직업 {id}',
+  'craftingTree.expert': '전문가',
+  'craftingTree.switchRecipe': '레시피 전환',
+  'craftingTree.ownedMaterials': '보유 재료',
+  'craftingTree.ownedApplied': '{count}개 입력됨, 트리와 비용에서 차감됨',
+  'craftingTree.clearOwned': '이 트리의 보유 수량 지우기',
+  'craftingTree.requiredMissing': '필요 / 부족',
+  'craftingTree.ownedCount': '보유 수량',
+  'craftingTree.requiredTotal': '총 {count}개 필요',
+  'craftingTree.owned': '보유 {count}',
+  'craftingTree.kindResult': '완성품',
+  'craftingTree.kindIntermediate': '중간 재료',
+  'craftingTree.kindMaterial': '재료',
+  'craftingTree.exportKind': '유형',
+  'craftingTree.exportOwned': '보유',
+  'craftingTree.exportPriceType': '가격 유형',
+  'craftingTree.exportSubtotal': '소계',
+  'craftingTree.copied': '복사됨',
+  'craftingTree.copyName': '이름 복사',
+  'craftingTree.formulaTitle': '계산식 상세',
+  'craftingTree.materialBreakdown': '재료 비용 내역:',
+  'craftingTree.materialLine': '{amount}개 × {unit} = {total}',
+  'craftingTree.craftedSuffix': ' (제작)',
+  'craftingTree.materialTotal': '재료 총비용:',
+  'craftingTree.yields': '제작 산출 수량: {yields}',
+  'craftingTree.yieldsIncluded': '제작 산출 수량: {yields}, 비용에 반영됨',
+  'craftingTree.unitCostFormula': '개당 비용 = 총비용 ÷ 산출 수량:',
+  'craftingTree.materialCost': '재료 비용:',
+  'craftingTree.priceComparison': '가격 비교:',
+  'craftingTree.craftCost': '제작 비용:',
+  'craftingTree.craftCostWithYields': '제작 비용 (산출 수량={yields} 반영):',
+  'craftingTree.buyCost': '구매 비용:',
+  'craftingTree.unitPriceLine': '단가: {unit} × {amount}개 = {total}',
+  'craftingTree.difference': '차액:',
+  'craftingTree.viewItem': '{name} 보기',
+  'craftingTree.minListingFallback': '최근 4일간 판매가 없어 최저가를 사용합니다',
+  'craftingTree.notForSale': '판매 없음',
+  'craftingTree.insufficientMaterials': '이 서버에는 핵심 재료와 완성품 매물이 모두 없습니다',
+  'craftingTree.viewFormula': '클릭하여 계산식 보기',
+  'craftingTree.optimalRouteNote': '최적 경로로 계산 (각 재료는 구매/제작 중 저렴한 쪽)',
+  'craftingTree.optimalCraft': '최적 제작: {price}',
+  'craftingTree.buyFinished': '완성품 구매: {price}',
+  'craftingTree.recommendBuy': '직접 구매 추천',
+  'craftingTree.recommendCraft': '직접 제작 추천',
+  'craftingTree.bestCraftOnly': '최적 제작: {price}',
+  'craftingTree.samePrice': '가격 동일',
+  'craftingTree.recommendCraftSave': '직접 제작 추천, {price} 절약',
+  'craftingTree.recommendBuySave': '직접 구매 추천, {price} 절약',
+  'craftingTree.insufficientInfo': '정보 부족',
+  'craftingTree.materials': '재료: {price}',
+  'craftingTree.finished': '완성품: {price}',
+  'craftingTree.finishedAmount': '완성품 {amount}개: {price}',
+  'craftingTree.craftSave': '제작 시 {price} 절약',
+  'craftingTree.buySave': '구매 시 {price} 절약',
+  'craftingTree.yieldsPerCraft': '1회 제작 시 {yields}개',
+  'craftingTree.dcSearch': '{name} (전체 서버)',
+  'craftingTree.noRecipe': '제작 레시피 없음',
+  'craftingTree.title': '제작 가격 트리',
+  'craftingTree.crystalToggle': '크리스탈',
+  'craftingTree.crystalHint': '대량 제작하는 장인을 위해 가격을 더 정확히 계산합니다',
+  'craftingTree.priceDcMin': '가격은 전체 서버 최저 판매가입니다',
+  'craftingTree.priceNone': '이 서버에는 평균가와 최저가가 없어 가격을 표시할 수 없습니다',
+  'craftingTree.pricePartialFallback': '일부 아이템은 4일간 판매가 없어 이 서버의 최저가를 사용합니다',
+  'craftingTree.priceNoSalesFallback': '최근 4일간 판매 기록이 없어 평균가와 판매량이 없으며 일부 가격은 이 서버의 최저가를 사용합니다',
+  'craftingTree.priceWorldAverage': '가격은 이 서버의 4일간 평균 판매가입니다',
+  'craftingTree.velocityLabel': '일일 판매량:',
+  'craftingTree.velocityWorldTitle': '이 서버 일일 판매량',
+  'craftingTree.velocityWorld': '서버 {value}',
+  'craftingTree.velocityDcTitle': '전체 서버 일일 판매량',
+  'craftingTree.velocityDc': '전체 {value}',
+  'craftingTree.loadingPrices': '가격 불러오는 중...',
+  'craftingTree.legendRoute': '최적 경로({method})',
+  'craftingTree.methodCraft': '제작',
+  'craftingTree.methodBuy': '구매',
+  'craftingTree.legendPrice': '가격',
+  'craftingTree.legendMinPrice': '최저가',
+  'craftingTree.legendAvgPrice': '평균가',
+
+  'gathering.title': '채집 수익',
+  'gathering.description': '채집 직업과 레벨 범위를 선택하면 거래 가능한 채집물을 세후 채집 1회당 수익순으로 정렬하고 채집 위치를 표시합니다. 일일 잠재 수익 = 세후 단가 × 일평균 판매량으로, 시장이 하루에 소화할 수 있는 대략적인 금액입니다.',
+  'gathering.itemsPerGather': '채집 1회당 수량',
+  'gathering.search': '{job} 채집 수익 조회',
+  'gathering.includeLimited': '시간 한정 채집 지점 포함',
+  'gathering.noItemsInRange': '이 레벨 범위에 거래 가능한 채집물이 없습니다',
+  'gathering.resultsTitle': '채집물 순위 ({count})',
+  'gathering.idle': '직업과 레벨 범위를 선택한 후 조회하세요',
+  'gathering.gatheringLevel': '채집 레벨',
+  'gathering.location': '채집 위치',
+  'gathering.gilPerGather': '채집 1회당 수익',
+  'gathering.dailyGil': '일일 잠재 수익',
+  'gathering.nodeLabel': '{type} 채집 지점 Lv.{level}',
+  'gathering.nodeMining': '채굴',
+  'gathering.nodeQuarrying': '채석',
+  'gathering.nodeLogging': '벌목',
+  'gathering.nodeHarvesting': '풀베기',
+  'gathering.nodeFishing': '낚시',
+  'gathering.nodeSpearfishing': '작살 낚시',
+
+  'desynth.title': '분해·정제 가치',
+  'desynth.description': '분해와 정제로 얻는 아이템의 가치를 추정해 그대로 팔거나 시장에서 살 때의 가격과 비교하고, 사서 분해할 만한 싼 장비를 찾습니다. 데이터에는 가능한 결과물만 있고 확률이 없으므로 기댓값은 모든 결과물이 같은 확률이라고 보고 계산합니다. 1회당 수량은 조정할 수 있습니다.',
+  'desynth.methodDesynth': '분해',
+  'desynth.methodReduction': '정제',
+  'desynth.modeCategory': '분류별 순위',
+  'desynth.modeItem': '단일 아이템',
+  'desynth.method': '방식',
+  'desynth.searchPlaceholder': '분해 또는 정제할 아이템 검색',
+  'desynth.itemsPerExtraction': '1회당 수량',
+  'desynth.search': '{method} 가치 조회',
+  'desynth.onlyProfitable': '구매 후에도 이익이 나는 아이템만 표시',
+  'desynth.resultsTitle': '평가 결과 ({count})',
+  'desynth.idle': '분류나 아이템을 선택한 후 조회하세요',
+  'desynth.possibleOutputs': '가능한 결과물',
+  'desynth.buyPrice': '구매가',
+  'desynth.sellDirect': '그대로 판매',
+  'desynth.sellDirectAfterTax': '그대로 판매(세후)',
+  'desynth.expectedValue': '기대 결과물 가치',
+  'desynth.expectedValueAfterTax': '기대 결과물 가치(세후)',
+  'desynth.vsSelling': '판매 대비',
+  'desynth.profitVsSelling': '판매보다 많은 금액',
+  'desynth.profitVsBuying': '구매 후 순이익',
+  'desynth.unpricedOutputs': '결과물 {count}개에 가격이 없어 0으로 계산',
+  'desynth.dataLoadFailed': '분해 데이터를 불러오지 못했습니다',
+  'desynth.noExtractionData': '이 아이템에는 분해·정제 데이터가 없습니다',
+
+  'vendorFlips.title': '상점 되팔기',
+  'vendorFlips.description': 'NPC 상점에서 길로 살 수 있지만 시장에서는 더 비싸게 팔리는 아이템을 찾습니다. 시장가는 평균 거래가와 최저 판매가 중 낮은 쪽이며, 개당 이익 = 세후 시장가 − NPC 가격, 일일 잠재 이익 = 개당 이익 × 일평균 판매량입니다.',
+  'vendorFlips.minMargin': '최저 이익률 (%)',
+  'vendorFlips.minProfit': '개당 최저 이익',
+  'vendorFlips.search': '되팔기 조회',
+  'vendorFlips.noShopItems': '거래 가능한 상점 아이템이 없습니다',
+  'vendorFlips.resultsTitle': '되팔기 순위 ({count})',
+  'vendorFlips.idle': '필터를 설정한 후 조회하세요',
+  'vendorFlips.vendor': '판매 NPC',
+  'vendorFlips.npcPrice': 'NPC 가격',
+  'vendorFlips.marketPrice': '시장가',
+  'vendorFlips.profitPerItem': '개당 이익',
+  'vendorFlips.profitPerItemAfterTax': '개당 이익(세후)',
+  'vendorFlips.margin': '이익률',
+  'vendorFlips.marginPercent': '이익률(%)',
+  'vendorFlips.dailyProfit': '일일 잠재 이익',
+  'vendorFlips.marketPriceTitle': '평균 거래가 {average} / 최저 판매가 {minListing}',
+
+  'currencyExchange.title': '화폐 교환',
+  'currencyExchange.description': '석판, 스크립, 인장 등을 선택하면 교환 가능한 거래 가능 아이템을 세후 화폐 1단위당 길 순으로 정렬합니다. 예상 수익은 보유 수량으로 교환할 수 있는 수량을 기준으로 하되 시장의 1주일 판매량을 넘지 않습니다.',
+  'currencyExchange.groupTomestones': '석판',
+  'currencyExchange.groupScrips': '스크립',
+  'currencyExchange.groupSeals': '인장과 전리품',
+  'currencyExchange.groupGrandCompany': '총사령부 군표',
+  'currencyExchange.budget': '보유 수량',
+  'currencyExchange.search': '{currency} 교환 가치 조회',
+  'currencyExchange.noTrades': '이 화폐로 교환할 수 있는 거래 가능 아이템이 없습니다',
+  'currencyExchange.resultsTitle': '교환 순위 ({count})',
+  'currencyExchange.idle': '화폐를 선택한 후 조회하세요',
+  'currencyExchange.cost': '교환가',
+  'currencyExchange.amountPerTrade': '1회 교환 수량',
+  'currencyExchange.gilPerCurrency': '화폐 1단위당 길',
+  'currencyExchange.affordable': '교환 가능 수량',
+  'currencyExchange.sellablePerWeek': '1주일 판매 가능',
+  'currencyExchange.affordableSellable': '교환 가능 / 1주일 판매 가능',
+  'currencyExchange.expectedGil': '예상 수익',
+
+  'itemComparison.title': '장비 비교',
+  'itemComparison.description': '최대 {max}개 장비의 아이템 레벨, 기본 성능, 마테리아 슬롯, 착용 가능 직업, 현재 최저가를 나란히 비교합니다. 주 능력치는 아이템 레벨과 부위로 추정하며 부 능력치 행은 장착 상한입니다. 주 능력치 1당 가격은 NQ/HQ 중 더 싼 최저가로 계산합니다.',
+  'itemComparison.loadFailed': '장비 데이터를 불러오지 못했습니다',
+  'itemComparison.pricesLoadFailed': '가격을 불러오지 못했습니다',
+  'itemComparison.tooMany': '최대 {max}개 장비까지 비교할 수 있습니다',
+  'itemComparison.addItem': '장비 추가 ({count}/{max})',
+  'itemComparison.searchPlaceholder': '장비 이름 검색',
+  'itemComparison.clearAll': '모두 지우기',
+  'itemComparison.loadingPrices': '가격 불러오는 중...',
+  'itemComparison.resultsTitle': '비교 결과',
+  'itemComparison.pricesFor': '{scope} 가격',
+  'itemComparison.idle': '장비를 검색해 추가하면 비교를 시작합니다',
+  'itemComparison.notEquipment': '장비가 아님',
+  'itemComparison.removeItem': '{name} 제거',
+  'itemComparison.ilvl': '아이템 레벨',
+  'itemComparison.equipLevel': '착용 레벨',
+  'itemComparison.slot': '부위',
+  'itemComparison.jobs': '직업',
+  'itemComparison.primaryStat': '주 능력치(추정)',
+  'itemComparison.substatCap': '부 능력치 상한',
+  'itemComparison.materiaSlots': '마테리아 슬롯',
+  'itemComparison.advancedMelding': '(금단 가능)',
+  'itemComparison.nqPrice': 'NQ 최저가',
+  'itemComparison.hqPrice': 'HQ 최저가',
+  'itemComparison.costPerStat': '주 능력치 1당 가격',
+  'itemComparison.paramFallback': '능력치 {id}',
+  'itemComparison.compareTop': '상위 {count}개 나란히 비교',
+
+  'meldingCost.title': '마테리아 장착 비용',
+  'meldingCost.description': '장비와 장착할 마테리아를 선택하면 슬롯별 금단 성공률, 예상 소모 수량, 현재 시세 기준 비용을 계산합니다. 실패해도 마테리아만 잃으므로 예상 소모는 100 ÷ 성공률이며, {pct}% 확신 수량은 {pct}% 확률로 성공하기에 충분한 수량입니다.',
+  'meldingCost.materiaLoadFailed': '마테리아 데이터를 불러오지 못했습니다',
+  'meldingCost.addedToShoppingList': '마테리아 {count}종을 쇼핑 목록에 추가했습니다',
+  'meldingCost.groupCombat': '전투',
+  'meldingCost.groupCrafting': '제작',
+  'meldingCost.groupGathering': '채집',
+  'meldingCost.slot': '슬롯',
+  'meldingCost.overmeld': '금단',
+  'meldingCost.overmeldSuffix': '(금단)',
+  'meldingCost.materia': '마테리아',
+  'meldingCost.stat': '능력치',
+  'meldingCost.successRate': '성공률',
+  'meldingCost.successRatePercent': '성공률 (%)',
+  'meldingCost.expectedCount': '예상 소모',
+  'meldingCost.safeCount': '{pct}% 확신 수량',
+  'meldingCost.safeCountShort': '{pct}% 확신',
+  'meldingCost.expectedCost': '예상 비용',
+  'meldingCost.gear': '장비',
+  'meldingCost.loadingMateria': '마테리아 데이터 불러오는 중...',
+  'meldingCost.hqGear': 'HQ 장비',
+  'meldingCost.ilvl': '아이템 레벨 {ilvl}',
+  'meldingCost.materiaSlots': '마테리아 슬롯 {count}',
+  'meldingCost.overmeldable': ', 금단 가능',
+  'meldingCost.notOvermeldable': ', 금단 불가',
+  'meldingCost.notMeldable': '이 아이템에는 마테리아를 장착할 수 없습니다',
+  'meldingCost.planTitle': '장착 계획',
+  'meldingCost.meldCount': '장착 수량',
+  'meldingCost.totalExpectedCount': '예상 마테리아 소모',
+  'meldingCost.missingPrices': '마테리아 {count}종은 가격이 없어 제외되었습니다',
+  'meldingCost.safeBudget': '{pct}% 확신 예산',
+  'meldingCost.impossibleSlot': 'VI형 이상의 짝수형 마테리아는 첫 번째 금단 슬롯에만 장착할 수 있습니다. 성공률 0%인 슬롯에는 다른 마테리아를 선택하세요.',
+  'meldingCost.applyToAll': '모두 적용',
+
+  'usedIn.title': '재료 용도 탐색',
+  'usedIn.description': '재료에서 여러 단계의 레시피를 거슬러 올라가 만들 수 있는 모든 완성품을 현재 시세로 평가합니다. 재료 1개당 가치 = (세후 판매가 − 경로상 다른 재료의 구매 비용) ÷ 완성품 1개당 재료 사용량이므로 재료 자체의 판매가와 바로 비교할 수 있습니다.',
+  'usedIn.selectMaterial': '먼저 재료를 선택하세요',
+  'usedIn.noRecipes': '이 재료를 사용하는 레시피가 없습니다',
+  'usedIn.progressDepth': '{depth}단계, 완성품 {count}개 발견',
+  'usedIn.progressPrices': '가격 불러오는 중',
+  'usedIn.depth': '단계',
+  'usedIn.via': '경유',
+  'usedIn.viaPath': '{path} 경유',
+  'usedIn.materialPerUnit': '완성품당 재료 사용량',
+  'usedIn.otherCost': '기타 재료 비용',
+  'usedIn.valuePerMaterial': '재료 1개당 가치',
+  'usedIn.grossPerMaterial': '재료 1개당 가치(기타 재료 미차감)',
+  'usedIn.material': '재료',
+  'usedIn.searchPlaceholder': '재료 이름 검색',
+  'usedIn.maxDepth': '추적 단계',
+  'usedIn.depthOption': '{depth}단계',
+  'usedIn.explore': '용도 탐색',
+  'usedIn.usesOf': '{name}의 용도',
+  'usedIn.resultsTitle': '용도 순위',
+  'usedIn.endProductsOnly': '최종 완성품만',
+  'usedIn.rawSale': '재료 직접 판매:',
+  'usedIn.perUnit': '개당 {price}',
+  'usedIn.beatsRawHint': '녹색은 재료를 직접 파는 것보다 유리한 완성품입니다',
+  'usedIn.truncated': '완성품이 {max}개를 넘어 추적을 중단했습니다. 단계를 줄여 보세요',
+  'usedIn.noProducts': '평가할 수 있는 완성품이 없습니다',
+  'usedIn.idle': '재료를 선택한 후 탐색하세요',
+  'usedIn.product': '완성품',
+  'usedIn.recipe': '레시피',
+  'usedIn.levelN': '{depth}단계',
+  'usedIn.missingPrices': '일부 재료에 가격이 없습니다',
+  'usedIn.grossTitle': '기타 재료 미차감 {value}',
+
+  'ventures.title': '집사 조달 수익',
+  'ventures.description': '집사의 직업, 레벨, 아이템 레벨/감별력으로 받을 수 있는 지정 조달을 나열하고 시세 기준 집사 조달 증서 1장당 세후 수익을 계산합니다. 발굴수행은 전체 보상 풀의 평균을 참고용으로 따로 표시하며 지정 조달과 직접 비교할 수 없습니다.',
+  'ventures.classCombat': '전투 직업',
+  'ventures.noTasks': '이 집사가 받을 수 있는 지정 조달이 없습니다. 레벨이나 능력치를 조정하세요',
+  'ventures.retainerClass': '집사 직업',
+  'ventures.retainerLevel': '집사 레벨',
+  'ventures.gathering': '획득력',
+  'ventures.perception': '감별력',
+  'ventures.averageIlvl': '평균 아이템 레벨',
+  'ventures.search': '조달 수익 조회',
+  'ventures.quickTitle': '발굴수행',
+  'ventures.quickSummary': '1회 {cost}장 · 보상 풀 {pool}종, 시세 있음 {priced}종',
+  'ventures.quickNotComparable': '보상 풀에는 모든 직업과 레벨의 보상이 섞여 있으며, 데이터에 직업·레벨별 보상이나 확률이 없습니다. 아래 값은 풀 전체 평균으로 이 집사의 기대 수익이 아니며 지정 조달과 비교할 수 없습니다.',
+  'ventures.quickPoolAverage': '풀 평균(1회)',
+  'ventures.quickPoolAveragePerVenture': '풀 평균(증서 1장당)',
+  'ventures.quickTopRewards': '풀 내 최고가 보상',
+  'ventures.velocityTitle': '일평균 판매량 {value}',
+  'ventures.resultsTitle': '지정 조달 순위 ({count})',
+  'ventures.noResults': '평가할 수 있는 지정 조달이 없습니다',
+  'ventures.idle': '집사를 설정한 후 조회하세요',
+  'ventures.taskItem': '조달 보상',
+  'ventures.taskLevel': '조달 레벨',
+  'ventures.cost': '집사 조달 증서',
+  'ventures.gilPerVenture': '증서 1장당',
+  'ventures.gilPerVentureAfterTax': '증서 1장당 수익(세후)',
+  'ventures.slowTitle': '일일 판매량이 조달 1회 획득량보다 적습니다',
+
+  'voyages.title': '원정 수익 계획',
+  'voyages.description': '부대 잠수함과 비공정의 탐사 구역별로 가져올 수 있는 아이템을 나열하고, 시세로 구역별·항로 전체의 세후 기대 수익을 추정합니다. 드롭률은 공개되지 않았으므로 각 구역은 가능한 모든 아이템의 평균으로 계산하며, 거래 불가 아이템은 0으로 칩니다.',
+  'voyages.typeAirship': '비공정',
+  'voyages.typeSubmarine': '잠수함',
+  'voyages.voyageType': '원정 종류',
+  'voyages.sea': '해역',
+  'voyages.allSeas': '모든 해역',
+  'voyages.seaN': '제{sea}해역',
+  'voyages.search': '{type} 수익 조회',
+  'voyages.sameSeaOnly': '잠수함 항로는 같은 해역 안에서만 가능합니다',
+  'voyages.maxSectors': '항로는 최대 {max}개 구역까지입니다',
+  'voyages.routeTitle': '항로',
+  'voyages.routeHint': '아래 구역을 선택해 항로를 구성합니다(최대 {max}개). 각 구역은 아이템 1개를 가져오는 것으로 추정합니다',
+  'voyages.routeHintSubmarine': '아래 구역을 선택해 항로를 구성합니다(최대 {max}개, 같은 해역 안). 각 구역은 아이템 1개를 가져오는 것으로 추정합니다',
+  'voyages.currentRoute': '현재 항로 1회당 기대 수익',
+  'voyages.suggestedRoute': '추천 항로',
+  'voyages.suggestedRouteInSea': '추천 항로({sea})',
+  'voyages.apply': '적용',
+  'voyages.removeFromRoute': '항로에서 제거',
+  'voyages.noRouteSectors': '선택한 구역이 없습니다',
+  'voyages.resultsTitle': '탐사 구역 순위 ({count})',
+  'voyages.noResults': '추정할 수 있는 탐사 구역이 없습니다',
+  'voyages.idle': '원정 종류를 선택해 조회를 시작하세요',
+  'voyages.sector': '구역',
+  'voyages.possibleLoot': '획득 가능',
+  'voyages.priced': '시세 있음',
+  'voyages.expectedGil': '기대 수익',
+  'voyages.expectedGilAfterTax': '기대 수익(세후)',
+  'voyages.bestLoot': '최고가 아이템',
+  'voyages.addToRoute': '{name}을(를) 항로에 추가',
+  'voyages.lootCount': '총 {count}종',
+  'voyages.sectorFallback': '구역 {id}',
+
+  'islandWorkshop.title': '무인도 공방 일정',
+  'islandWorkshop.description': '이번 주 인기도 패턴과 제작품별 공급 상태를 입력하면 매일 별개오지를 가장 많이 버는 공방 일정을 자동으로 짭니다(같은 주제의 다른 제작품을 연달아 만들면 효율 보너스가 붙습니다). 이후 날짜는 일정의 생산량으로 공급 상승을 추정하므로 참고용입니다. 아래에서 목장·밭 산물의 시세를 확인할 수 있습니다.',
+  'islandWorkshop.loadFailed': '무인도 데이터를 불러오지 못했습니다',
+  'islandWorkshop.noneMarketable': '목장·밭 산물은 현재 모두 시장에서 거래할 수 없습니다',
+  'islandWorkshop.day': '일차',
+  'islandWorkshop.order': '순서',
+  'islandWorkshop.startHour': '시작 시간',
+  'islandWorkshop.craftwork': '제작품',
+  'islandWorkshop.efficiencyBonus': '효율 보너스',
+  'islandWorkshop.cowriesPerWorkshop': '공방당 별개오지',
+  'islandWorkshop.sourcePasture': '목장',
+  'islandWorkshop.sourceCropland': '밭',
+  'islandWorkshop.pattern': '이번 주 인기도 패턴',
+  'islandWorkshop.patternN': '패턴 {pattern}',
+  'islandWorkshop.rank': '개척 등급',
+  'islandWorkshop.workshops': '공방 수',
+  'islandWorkshop.workshopCount': '{count}개',
+  'islandWorkshop.tier': '공방 등급',
+  'islandWorkshop.groove': '기세',
+  'islandWorkshop.restDays': '휴식일:',
+  'islandWorkshop.dayN': '{day}일차',
+  'islandWorkshop.scheduleTitle': '이번 주 일정',
+  'islandWorkshop.weekTotal': '예상 별개오지 합계',
+  'islandWorkshop.rest': '휴식',
+  'islandWorkshop.stepTitle': '{hour}:00 시작 · 공급 {supply}',
+  'islandWorkshop.demandTitle': '이번 주 수요 ({count})',
+  'islandWorkshop.setAllSupply': '전체 공급 설정',
+  'islandWorkshop.choose': '선택',
+  'islandWorkshop.noCraftworks': '이 개척 등급에서 만들 수 있는 제작품이 없습니다',
+  'islandWorkshop.theme': '주제',
+  'islandWorkshop.craftingTime': '소요 시간',
+  'islandWorkshop.baseValue': '기본 가치',
+  'islandWorkshop.popularity': '인기도',
+  'islandWorkshop.currentSupply': '현재 공급',
+  'islandWorkshop.supplyFor': '{name} 공급',
+  'islandWorkshop.leavingsTitle': '목장·밭 산물 시세',
+  'islandWorkshop.queryPrices': '시세 조회',
+  'islandWorkshop.popularityVeryHigh': '매우 높음',
+  'islandWorkshop.popularityHigh': '높음',
+  'islandWorkshop.popularityAverage': '보통',
+  'islandWorkshop.popularityLow': '낮음',
+  'islandWorkshop.supplyNonexistent': '바닥남',
+  'islandWorkshop.supplyInsufficient': '부족',
+  'islandWorkshop.supplySufficient': '보통',
+  'islandWorkshop.supplySurplus': '여유',
+  'islandWorkshop.supplyOverflowing': '과잉',
+
+  'craftingPlanner.title': '제작 계획',
+  'craftingPlanner.description': '여러 완성품과 수량을 한 번에 넣어 필요한 재료를 합산합니다. 공통 중간 재료는 한 번만 계산하고 생산 수량에 맞춰 올림합니다. 제작 단계는 중간 재료를 먼저 만들고 직업과 레벨 순으로 정렬합니다. 레시피 선택과 보유 재료는 아이템 페이지 제작 트리 설정을 따릅니다.',
+  'craftingPlanner.targetsTitle': '제작 목표 ({count})',
+  'craftingPlanner.searchPlaceholder': '아이템 이름을 검색해 제작 목표에 추가',
+  'craftingPlanner.emptyQueue': '아직 아이템이 없습니다. 위에서 검색하거나 아이템 페이지의 제작 트리에서 추가하세요',
+  'craftingPlanner.plan': '제작 계획 계산',
+  'craftingPlanner.planning': '계산 중...',
+  'craftingPlanner.excludeCrystals': '크리스탈 제외',
+  'craftingPlanner.useOwned': '보유 재료 차감',
+  'craftingPlanner.outdated': '제작 목표가 변경되었습니다. 다시 계산하세요',
+  'craftingPlanner.materialCost': '재료 비용',
+  'craftingPlanner.missingPrices': '재료 {count}개는 가격이 없어 제외했습니다',
+  'craftingPlanner.targetValue': '완성품 시세',
+  'craftingPlanner.savings': '제작으로 절약',
+  'craftingPlanner.materialsTitle': '구매할 재료 ({count})',
+  'craftingPlanner.required': '필요',
+  'craftingPlanner.owned': '보유',
+  'craftingPlanner.toBuy': '구매',
+  'craftingPlanner.subtotal': '소계',
+  'craftingPlanner.unitPriceTitle': '단가 {price}',
+  'craftingPlanner.stepsTitle': '제작 단계 ({count})',
+  'craftingPlanner.copyPlan': '계획 복사',
+  'craftingPlanner.noCrafts': '보유 재료로 충분해 제작할 필요가 없습니다',
+  'craftingPlanner.order': '순서',
+  'craftingPlanner.job': '직업',
+  'craftingPlanner.crafts': '제작 횟수',
+  'craftingPlanner.produced': '생산량',
+  'craftingPlanner.surplus': '남는 수량',
+  'craftingPlanner.ownedTitle': '{count}개 보유 중',
+  'craftingPlanner.uncraftable': '아이템 {count}개는 레시피가 없어 구매할 재료에 넣었습니다',
+  'craftingPlanner.planFailed': '제작 계획을 계산하지 못했습니다',
+  'craftingPlanner.copied': '제작 계획을 복사했습니다',
+  'craftingPlanner.addedMaterials': '재료 {count}개를 쇼핑 목록에 추가했습니다',
+  'craftingPlanner.copyBuyHeader': '【구매할 재료】',
+  'craftingPlanner.copyStepsHeader': '【제작 단계】',
+  'craftingPlanner.copyStep': '{index}. {job} Lv.{level} {name} ×{crafts}회{yields}',
+  'craftingPlanner.copyYields': ' (생산 {count})',
+
+  'time.unknown': '알 수 없음',
+  'time.minutesAgo': '{minutes}분 전',
+  'time.hoursAgo': '{hours}시간 전',
+  'time.hoursMinutesAgo': '{hours}시간 {minutes}분 전',
+  'time.daysAgo': '{days}일 전',
+  'time.daysHoursAgo': '{days}일 {hours}시간 전',
+  'time.weeksAgo': '{weeks}주 전',
+  'time.weeksDaysAgo': '{weeks}주 {days}일 전',
+
+  'notFound.title': '페이지를 찾을 수 없습니다',
+  'notFound.description': '죄송합니다. 요청하신 페이지가 존재하지 않거나 삭제되었습니다.',
+  'notFound.countdown': '{seconds}초 후 홈으로 돌아갑니다...',
+  'notFound.redirecting': '이동 중...',
+  'notFound.goHome': '지금 홈으로 돌아가기',
+
+  'loader.searching': '검색 중...',
+
+  'searchBar.placeholder': '여러 키워드는 공백으로 구분하세요',
+  'searchBar.pressEnter': 'Enter로 검색',
+  'searchBar.suggestions': '추천 키워드',
+  'searchBar.noSuggestions': '일치하는 키워드가 없습니다',
+  'searchBar.recentSearches': '검색 키워드',
+  'searchBar.history': '기록',
+  'searchBar.noHistory': '기록이 없습니다',
+
+  'map.locationInfo': '위치 정보',
+  'map.location': '위치',
+  'map.zone': '지역:',
+  'map.coordinates': '좌표:',
+  'map.coordinatesShort': '좌표',
+  'map.mapId': '지도 ID:',
+  'map.copyZone': '지역 이름 복사 (FF14 자동 추가)',
+  'map.notFound': '⚠️ 지도 데이터를 찾을 수 없습니다 (지도 ID: {mapId})',
+  'map.loading': '지도 불러오는 중...',
+  'map.alt': '지도',
+
+  'taxRates.title': '시장 세율 - {name}',
+  'taxRates.loading': '시장 세율 불러오는 중...',
+  'taxRates.empty': '세율 데이터가 없습니다',
+  'taxRates.city.LimsaLominsa': '림사 로민사',
+  'taxRates.city.Gridania': '그리다니아',
+  'taxRates.city.Uldah': '울다하',
+  'taxRates.city.Ishgard': '이슈가르드',
+  'taxRates.city.Kugane': '쿠가네',
+  'taxRates.city.Crystarium': '크리스타리움',
+  'taxRates.city.OldSharlayan': '올드 샬레이안',
+
+  'results.loadingItems': '아이템 {count}개 불러오는 중...',
+  'results.titleCount': '{title} (아이템 {count}개{suffix})',
+  'results.noUntradable': '거래 불가 아이템 없음',
+  'results.hideUntradable': '거래 불가 아이템 숨기기',
+  'results.showUntradable': '거래 불가 아이템 표시 ({count}개)',
+  'results.loadingShort': '불러오는 중',
+  'results.loadComplete': '불러오기 완료',
+  'results.tooMany': '결과가 너무 많습니다',
+  'results.many': '결과가 많습니다',
+  'results.loaded': '거래 가능 아이템 {count}개를 불러왔습니다{hidden}.',
+  'results.found': '거래 가능 아이템 {count}개를 찾았습니다{hidden}.',
+  'results.hiddenUntradable': ' (거래 불가 아이템 {count}개 숨김)',
+  'results.stricterNextTime': '다음에는 더 구체적인 키워드로 검색하면 더 빠릅니다.',
+  'results.slowWarning': '데이터를 불러오는 데 시간이 걸려 정렬이 느릴 수 있습니다. 더 구체적인 키워드로 검색하거나 잠시 기다려 주세요.',
+  'results.serverSelect': '서버 선택:',
+
+  'pagination.perPage': '페이지당 표시:',
+  'pagination.showing': '{start}-{end} / {total} 표시',
+  'pagination.first': '처음',
+  'pagination.prev': '이전',
+  'pagination.pageOf': '{page} / {total} 페이지',
+  'pagination.next': '다음',
+  'pagination.last': '마지막',
+
+  'msq.ilvlValue': '아이템 레벨: {ilvl}',
+  'msq.ilvlRange': '1~999 사이의 숫자를 입력하세요',
+  'msq.invalidIlvl': '올바른 아이템 레벨을 입력하세요',
+  'msq.noItemsForIlvl': '이 아이템 레벨의 아이템이 없습니다',
+  'msq.noItemsInCategory': '이 장비 분류에 해당하는 아이템이 없습니다',
+  'msq.description': '메인 퀘스트에서 얻는 장비 상자의 시세를 빠르게 확인할 수 있습니다.',
+  'msq.ilvlLabel': '아이템 레벨 (IL)',
+  'msq.ilvlPlaceholder': '아이템 레벨 입력...',
+  'msq.categoryLabel': '장비 분류 (선택)',
+  'msq.allCategories': '전체 분류',
+
+  'craftingInspiration.description': '제작 직업별로 시세가 좋은 아이템을 찾아 시장을 장악하세요.',
+  'craftingInspiration.maxJobs': '직업은 최대 4개까지 선택할 수 있습니다',
+  'craftingInspiration.limitedFetching': '처음 {count}개 아이템으로 제한했습니다. 시장 데이터를 가져오는 중...',
+  'craftingInspiration.rangeTooLargeToast': '범위가 너무 넓습니다! 최대 {max}개 레벨까지 검색할 수 있습니다',
+  'craftingInspiration.noRecipes': '조건에 맞는 레시피가 없습니다',
+  'craftingInspiration.filteringTradable': '아이템 {count}개를 찾았습니다. 거래 가능 아이템을 거르는 중...',
+  'craftingInspiration.noItems': '아이템을 찾지 못했습니다',
+  'craftingInspiration.noTradable': '거래 가능한 아이템이 없습니다',
+  'craftingInspiration.untradableSuffix': ', 거래 불가 아이템 {count}개',
+  'craftingInspiration.foundFetching': '거래 가능 아이템 {count}개{untradable}를 찾았습니다. 시장 데이터를 가져오는 중...',
+  'craftingInspiration.searchDone': '검색 완료! 거래 가능 아이템 {count}개{untradable}를 찾았습니다',
+  'craftingInspiration.searchDoneLimited': '검색 완료! 거래 가능 아이템 {count}개 (제한됨)',
+  'craftingInspiration.buttonTooMany': '검색 (아이템 {total}개, 상한 {limit} 초과)',
+  'craftingInspiration.tooltipTooMany': '거래 가능 아이템이 {total}개로 권장 상한 {limit}개를 넘었습니다. 레벨 범위를 좁히거나 직업을 줄이세요.',
+  'craftingInspiration.buttonRangeTooLarge': '검색 (범위 초과: {range}개 레벨, 최대 {max})',
+  'craftingInspiration.tooltipRangeTooLarge': '현재 범위는 {range}개 레벨로 최대 {max}개 레벨을 넘었습니다. {suggestedMin}-{suggestedMax}(으)로 조정하세요.',
+  'craftingInspiration.buttonSelectJob': '검색 (먼저 직업을 하나 이상 선택하세요)',
+  'craftingInspiration.tooltipSelectJob': '검색하려면 제작 직업을 하나 이상 선택하세요.',
+  'craftingInspiration.jobSelect': '직업 선택 (최대 4개)',
+  'craftingInspiration.selectedCount': '선택됨: {count}/4',
+  'craftingInspiration.noJobHint': '직업을 선택하지 않으면 범위가 10개 레벨로 제한됩니다',
+  'craftingInspiration.ilvlRange': '아이템 레벨 범위',
+  'craftingInspiration.currentRange': '현재 범위: {count}개 레벨',
+  'craftingInspiration.selectedJobs': '직업 {count}개 선택됨',
+  'craftingInspiration.maxRange': '최대 범위: {count}개 레벨',
+  'craftingInspiration.selectJobFirst': '⚠️ 먼저 직업을 선택하세요',
+  'craftingInspiration.minLevel': '최소 레벨',
+  'craftingInspiration.maxLevel': '최대 레벨',
+  'craftingInspiration.rangeRule': '직업이 많을수록 레벨 범위 제한이 커집니다:',
+  'craftingInspiration.jobCount': '직업 {count}개: ',
+  'craftingInspiration.rangeTooLarge': '범위가 너무 넓습니다!',
+  'craftingInspiration.suggested': '권장 범위:',
+  'craftingInspiration.autoAdjusted': '{min}-{max}(으)로 조정했습니다',
+  'craftingInspiration.applySuggestion': '권장 범위 적용',
+  'craftingInspiration.tooManyTitle': '찾은 아이템이 너무 많습니다',
+  'craftingInspiration.tooManyBody': '거래 가능 아이템이 {total}개로 권장 상한 {limit}개를 넘었습니다. 아이템이 너무 많으면 검색이 오래 걸리거나 성능 문제가 생길 수 있습니다.',
+  'craftingInspiration.continueLimited': '계속 검색 (처음 {limit}개로 제한)',
+  'craftingInspiration.searchCancelled': '검색을 취소했습니다',
+  'craftingInspiration.tip': '💡 팁: 레벨 범위를 좁히거나 직업을 줄이면 결과 수가 줄어듭니다',
+  'craftingInspiration.rangeSummary': '(직업 {jobs}개 선택, 최대 범위: {max})',
+
+  'obtain.noData': '획득 방법 데이터가 아직 없습니다',
+  'obtain.treasureFinder': '보물지도 검색기로 이동',
+  'obtain.method.crafted': '제작',
+  'obtain.method.trade': '교환',
+  'obtain.method.vendor': 'NPC 상점',
+  'obtain.method.treasure': '보물상자/용기',
+  'obtain.method.instance': '임무 드롭',
+  'obtain.method.desynth': '분해',
+  'obtain.method.quest': '퀘스트 보상',
+  'obtain.method.fate': '돌발 임무',
+  'obtain.method.gathered': '채집',
+  'obtain.method.reduced': '정제',
+  'obtain.method.venture': '집사 임무',
+  'obtain.method.gardening': '원예',
+  'obtain.method.mogstation': '모그 스테이션 구매',
+  'obtain.method.leve': '길드리브',
+  'obtain.method.voyage': '탐사',
+  'obtain.method.requirement': '요구 조건',
+  'obtain.method.masterbook': '비전서',
+  'obtain.method.alarm': '채집 알람',
+  'obtain.method.drop': '몬스터 드롭',
+  'obtain.method.achievement': '업적 보상',
+  'obtain.method.islandCrop': '무인도 작물',
+  'obtain.method.unknown': '알 수 없음',
+  'obtain.currencyFallback': '화폐',
+  'obtain.instanceFallback': '임무 {id}',
+  'obtain.expandTree': '트리 펼치기',
+  'obtain.collapseTree': '트리 접기',
+  'obtain.clickExpandTree': '클릭하여 제작 가격 트리 펼치기',
+  'obtain.clickCollapseTree': '클릭하여 제작 가격 트리 접기',
+  'obtain.masterbookFallback': '전용 비전서',
+  'obtain.requiresHq': 'HQ 버전 필요',
+  'obtain.requiredQuest': '필요 퀘스트:',
+  'obtain.locationCount': '위치 {count}곳',
+  'obtain.requiredAchievement': '필요 업적:',
+  'obtain.levelLabel': '레벨:',
+  'obtain.syncLevel': '(동기화: {level})',
+  'obtain.ilvlRequired': '필요 아이템 레벨:',
+  'obtain.unknownZone': '알 수 없는 지역',
+  'obtain.levelValue': 'Lv.{level}',
+  'obtain.levelRange': 'Lv.{min}~{max}',
+  'obtain.position': '위치: ({x}, {y})',
+  'obtain.questFallback': '퀘스트 {id}',
+  'obtain.questId': '퀘스트 ID: {id}',
+  'obtain.allJobs': '모든 클래스',
+  'obtain.questLevel': 'Lv.{level}',
+  'obtain.fateLevel': 'Lv.{level} 돌발 임무',
+  'obtain.notoriousMonster': '마물',
+  'obtain.rewardItems': '보상 아이템',
+  'obtain.rating': '평가',
+  'obtain.ratingGold': '금',
+  'obtain.ratingSilver': '은',
+  'obtain.ratingRare': '희귀',
+  'obtain.gatherFallback': '채집',
+  'obtain.islandNode': '무인도 채집 장소',
+  'obtain.nodeSpot': '{type} 채집 장소',
+  'obtain.mogstation': '모그 스테이션에서 구매 가능',
+  'obtain.leveFallback': '길드리브 {id}',
+  'obtain.leveCost': '길드리브 권한: {cost}',
+  'obtain.requiredItems': '필요 아이템:',
+  'obtain.rewards': '보상:',
+  'obtain.voyageAvailable': '탐사로 획득 가능',
+  'obtain.voyageRoutes': '항로별 수익 →',
+  'obtain.islandCropHint': '무인도에서 씨앗을 심어 획득',
+  'obtain.requiredSeed': '필요한 씨앗:',
+  'obtain.seedFallback': '씨앗 {id}',
+  'obtain.seedIdFallback': '씨앗 (ID: {id})',
+  'obtain.dataLoading': '데이터 불러오는 중...',
+  'obtain.masterbookLimited': '이 아이템의 비전서는 기간 한정 이벤트에서 얻는 것일 수 있으며, 데이터베이스에 자세한 정보가 없습니다.',
+  'obtain.viewHuijiWiki': 'Huiji 위키 보기',
+  'obtain.duration': '{minutes}분 지속',
+  'obtain.spawnTimes': '출현 시간: {times}',
+  'obtain.methodCount': '{count}가지',
+  'obtain.filterAll': '전체',
+  'obtain.achievementId': '업적 ID:',
+  'obtain.rewardItemsLabel': '보상 아이템:',
+
+  'advancedSearch.description': '여러 아이템의 시세를 한 번에 검색하거나 조건을 지정해 검색합니다.',
+  'advancedSearch.tabFilter': '조건 검색',
+  'advancedSearch.tabBatch': '일괄 검색',
+  'advancedSearch.batchLabel': '아이템 이름 목록 (한 줄에 하나 또는 쉼표로 구분)',
+  'advancedSearch.batchPlaceholder': '아이템 이름 입력 (예):\n精金錠\n秘銀錠\n山銅錠\n또는: 精金錠, 秘銀錠, 山銅錠',
+  'advancedSearch.batchLimitHint': '한 번에 최대 100개의 아이템 이름을 검색할 수 있습니다 (번체/간체 중국어 이름 지원)',
+  'advancedSearch.exactSearch': '정확히 일치',
+  'advancedSearch.exactSearchShort': '정확히',
+  'advancedSearch.exactSearchOn': '정확히 일치 켜기',
+  'advancedSearch.exactSearchOff': '정확히 일치 끄기',
+  'advancedSearch.bugNotice': '이 페이지는 테스트할 범위가 너무 넓어 제작자 혼자서는 모두 확인하기 어렵습니다. 버그를 발견하시면 홈페이지의 바하무트 또는 디스코드로 알려 주세요. 감사합니다!',
+  'advancedSearch.selectJobs': '클래스 선택',
+  'advancedSearch.selectCategories': '아이템 분류 선택',
+  'advancedSearch.categoryFilterPlaceholder': '분류 필터',
+  'advancedSearch.equipmentGroup': '장비',
+  'advancedSearch.miscGroup': '기타',
+  'advancedSearch.noCategoryMatch': '"{term}"와(과) 일치하는 분류가 없습니다',
+  'advancedSearch.selectedCategories': '분류 {count}개 선택됨',
+  'advancedSearch.categoryMainHand': '주무기',
+  'advancedSearch.categoryOffHand': '보조무기',
+  'advancedSearch.categoryMountBarding': '탈것/초코보 갑옷',
+  'advancedSearch.nameFilterPlaceholder': '아이템 이름 필터 (여러 키워드는 공백으로 구분)',
+  'advancedSearch.stopSearch': '검색 중지',
+  'advancedSearch.clearFilters': '필터 초기화',
+  'advancedSearch.showingFiltered': ', {count}개 표시',
+  'advancedSearch.enterItemName': '아이템 이름을 하나 이상 입력하세요',
+  'advancedSearch.tooManyNames': '한 번에 최대 100개의 아이템 이름만 검색할 수 있습니다',
+  'advancedSearch.duplicatesRemoved': '중복된 아이템 이름 {count}개를 제거했습니다',
+  'advancedSearch.noItemsFound': '아이템을 찾을 수 없습니다',
+  'advancedSearch.noTradable': '거래 가능한 아이템이 없습니다',
+  'advancedSearch.selectJobOrCategory': '클래스 또는 분류를 하나 이상 선택하세요',
+  'advancedSearch.noMatchingItems': '조건에 맞는 아이템을 찾을 수 없습니다',
+  'advancedSearch.marketDataError': '시세 데이터를 불러오는 중 오류가 발생했습니다. 잠시 후 다시 시도하세요',
+};
@@ -0,0 +1,1108 @@
+// Traditional Chinese (繁體中文) - the source catalog; every key must exist here
+export default {
+  'common.copyItemName': '複製物品名稱',
+  'common.copiedItemName': '已複製物品名稱',
+  'common.copyFailed': '複製失敗',
+  'common.loading': '載入中...',
+  'common.yes': '是',
+  'common.no': '否',
+  'common.loadFailed': '載入失敗',
+  'common.componentLoadFailed': '無法載入 {name}，請重新整理頁面',
+  'common.unknownItem': '未知物品',
+  'common.refresh': '刷新',
+  'common.itemFallback': '物品 {id}',
+  'common.remove': '移除',
+  'common.clear': '清空',
+  'common.confirmClear': '確定清空？',
+  'common.import': '匯入',
+  'common.export': '匯出',
+  'common.appVersion': '版本號:',
+  'common.noData': '尚無資料',
+  'common.any': '不限',
+  'common.minutes': '分鐘',
+  'common.every': '每',
+  'common.listSeparator': '、',
+  'common.copySummary': '複製摘要',
+  'common.marketDataLoadFailed': '載入市場資料失敗',
+  'common.worldFallback': '伺服器 {id}',
+  'common.selectServer': '請選擇伺服器',
+  'common.taxRate': '稅率 {rate}%',
+  'common.categoriesLoadFailed': '載入物品分類失敗',
+  'common.itemNamesLoadFailed': '載入物品名稱失敗',
+  'common.scanFailed': '掃描失敗',
+  'common.stopScan': '停止掃描',
+  'common.showingTop': '顯示前 {count} 個',
+  'common.itemCategory': '物品分類',
+  'common.allMarketable': '全部可交易物品',
+  'common.noMarketableInCategory': '此分類沒有可交易物品',
+  'common.minVelocity': '最低日均銷量',
+  'common.noMatchesRelax': '沒有符合條件的物品，可放寬篩選條件',
+  'common.lowestPrice': '最低價',
+  'common.afterTaxProfit': '稅後利潤',
+  'common.dailyProfit': '預估日利潤',
+  'common.add': '新增',
+  'common.checkFailed': '檢查失敗',
+  'common.copiedValue': '已複製 {value}',
+  'common.copyPrice': '複製價格',
+  'common.searchItemToAdd': '搜尋物品名稱加入追蹤',
+  'common.delete': '刪除',
+  'common.saveFailed': '儲存失敗',
+  'common.addedToShoppingList': '已將 {count} 個物品加入購物清單',
+  'common.close': '關閉',
+  'common.queryServer': '查詢伺服器',
+  'common.minLevel': '最低等級',
+  'common.maxLevel': '最高等級',
+  'common.level': '等級',
+  'common.stopQuery': '停止查詢',
+  'common.querying': '查詢中...',
+  'common.queryFailed': '查詢失敗',
+  'common.worldScope': '伺服器 {name}',
+  'common.dcScope': '{name} 全服',
+  'common.limited': '限時',
+  'common.priceSource': '價格來源',
+  'common.averageSalePrice': '平均成交價',
+  'common.noSalesMinListing': '無成交紀錄，使用最低在售價',
+  'common.zone': '區域',
+  'common.categoryFallback': '分類 {id}',
+  'common.noMatches': '沒有符合條件的物品',
+  'common.noPrice': '無價格',
+  'common.perDay': '{count}/日',
+  'common.npcFallback': 'NPC {id}',
+  'common.search': '搜索',
+  'common.searching': '搜索中...',
+  'common.searchFailedRetry': '搜索失敗，請稍後再試',
+  'common.itemInfoFailed': '無法獲取物品信息',
+  'common.cancel': '取消',
+  'common.serverSelect': '伺服器選擇',
+  'common.confirm': '確認',
+
+  'nav.home': '返回主頁',
+  'nav.advancedSearch': '進階搜尋',
+  'nav.advancedSearchShort': '進階',
+  'nav.watchlist': '追蹤清單',
+  'nav.watchlistShort': '追蹤',
+  'nav.shoppingList': '購物清單',
+  'nav.shoppingListShort': '清單',
+  'nav.craftingInspiration': '製造靈感',
+  'nav.craftingInspirationShort': '感',
+  'nav.craftingInspirationTitle': '製造職找價',
+  'nav.msq': '主線裝備',
+  'nav.msqShort': '裝備',
+  'nav.msqTitle': '主線裝備查價',
+  'nav.taxRates': '查稅',
+  'nav.tools': '工具',
+  'nav.history': '歷史記錄',
+  'nav.historyShort': '歷史',
+  'nav.language': '語言',
+
+  'search.waitForServerData': '請等待伺服器資料載入完成',
+  'search.resultsTitle': '搜索結果',
+  'toast.wikiOpenFailed': '無法打開Wiki連結',
+  'toast.itemSetFailed': '套裝查詢失敗',
+  'toast.addedToWatchlist': '已將 {name} ({scope}) 加入追蹤清單，可到追蹤清單設定門檻',
+  'toast.serverLoadTimeout': '伺服器加載超時，正在重試 ({attempt}/3)...',
+  'toast.serverDataEmpty': '伺服器資料為空，正在重試 ({attempt}/3)...',
+  'toast.serverLoadFailedRetry': '伺服器加載失敗，正在重試 ({attempt}/3)...',
+  'toast.serverDataLoaded': '伺服器資料加載完成',
+  'toast.serverDataRecovered': '伺服器資料加載成功',
+  'toast.serverListFailed': '無法加載服務器列表，請刷新頁面重試',
+  'toast.itemSelected': '已選擇: {name}',
+  'toast.itemNotFound': '找不到該物品',
+  'toast.itemLoadFailed': '載入物品失敗',
+  'toast.foundInSimplified': '「{text}」繁體搜尋無資料，在簡體中文資料庫找到結果！',
+  'toast.tryingConversion': '「{text}」無搜尋結果，正在嘗試轉譯成「{converted}」',
+  'toast.foundItems': '找到 {count} 個物品',
+  'toast.foundMarketable': '找到 {count} 個可交易物品',
+  'toast.foundMarketableAndNot': '找到 {count} 個可交易物品、{untradable} 個不可交易物品',
+  'toast.noResults': '未找到可製品',
+  'toast.searchFailed': '搜索失敗',
+  'toast.requestTimeoutRetry': '請求超時，正在重試 ({attempt}/3)...',
+  'toast.requestFailedRetry': '請求失敗，正在重試 ({attempt}/3)...',
+  'toast.marketDataRecovered': '數據加載成功',
+  'toast.marketDataFailed': '加載市場數據失敗',
+  'toast.notOnMarket': '此物品在市場數據中不存在',
+  'toast.pageStillLoading': '該頁面資料正在載入中，請稍候...',
+
+  'history.empty': '暫無歷史記錄',
+  'history.recent': '最近查看 ({count})',
+  'history.clear': '清空歷史記錄',
+  'history.confirmClear': '確定要清空所有歷史記錄嗎？',
+  'history.loading': '載入歷史記錄...',
+  'history.emptyHint': '查看物品詳情後，會自動保存到歷史記錄',
+  'history.recentItems': '最近查看的物品',
+
+  'tools.arbitrage.label': '跨服倒賣',
+  'tools.arbitrage.description': '找出其他伺服器便宜、可搬回本服轉賣的物品',
+  'tools.retainers.label': '雇員壓價追蹤',
+  'tools.retainers.description': '檢查雇員掛單是否被壓價並建議新價格',
+  'tools.gathering.label': '採集賺錢',
+  'tools.gathering.description': '依市場價格與銷量排序採礦、園藝、捕魚的採集物',
+  'tools.craftingPlanner.label': '製作計畫',
+  'tools.craftingPlanner.description': '合併多個成品的材料需求，列出購買清單與製作順序',
+  'tools.desynth.label': '精製分解估價',
+  'tools.desynth.description': '估算精製與分解產出的價值，與直接賣出比較',
+  'tools.vendorFlips.label': '商店倒賣',
+  'tools.vendorFlips.description': '找出 NPC 金幣商店便宜、市場板賣得更貴的物品',
+  'tools.currencyExchange.label': '貨幣兌換',
+  'tools.currencyExchange.description': '比較神典石、工票與徽章能兌換的物品，找出每單位貨幣最值錢的選擇',
+  'tools.itemComparison.label': '裝備比較',
+  'tools.itemComparison.description': '並排比較裝備的屬性、魔晶石孔、職業與價格',
+  'tools.meldingCost.label': '魔晶石鑲嵌估價',
+  'tools.meldingCost.description': '計算禁斷成功率、預期消耗的魔晶石數量與花費',
+  'tools.usedIn.label': '素材用途探索',
+  'tools.usedIn.description': '追溯素材能做成的所有成品，找出最划算的用途',
+  'tools.ventures.label': '雇員探險收益',
+  'tools.ventures.description': '依每枚探險幣能換多少金幣排序雇員可接的指定委託',
+  'tools.voyages.label': '遠征收益規劃',
+  'tools.voyages.description': '估算潛水艇與飛空艇各探索區域的戰利品價值，找出最賺的航線',
+  'tools.islandWorkshop.label': '無人島工房排程',
+  'tools.islandWorkshop.description': '依本週人氣與供給排出貝殼最多的工房排程，並查詢牧場與農田產物市價',
+
+  'table.image': '圖片',
+  'table.itemName': '物品名',
+  'table.version': '版本',
+  'table.velocity': '日均銷量',
+  'table.averagePrice': '平均價格',
+  'table.dcAveragePrice': '全服平均價格',
+  'table.minListing': '最低在售價',
+  'table.minListingWorld': '最低在售伺服器',
+  'table.recentPurchase': '最近成交價',
+  'table.recentPurchaseWorld': '最近成交伺服器',
+  'table.tradable': '可交易',
+  'table.untradable': '不可交易',
+  'table.links': '鏈接',
+  'table.unitPrice': '單價',
+  'table.quantity': '數量',
+  'table.total': '總計',
+  'table.retainer': '雇員',
+  'table.buyer': '買家',
+  'table.world': '服務器',
+  'table.time': '時間',
+  'table.loadingMarketData': '載入市場數據中...',
+  'table.versionTitle': '版本 {version}',
+  'table.region': '區域: {region}',
+  'table.copyHint': '點擊複製按鈕可複製物品名稱',
+  'table.item': '物品',
+
+  'filter.rarity': '稀有度選擇:',
+  'filter.version': '版本號選擇:',
+  'filter.waitForItems': '請耐心等待物品加載完成',
+  'filter.noItems': '{label} (無物品)',
+
+  'rarity.1': '普通',
+  'rarity.2': '精良',
+  'rarity.3': '稀有',
+  'rarity.4': '史诗',
+
+  'listings.empty': '暫無在售列表',
+  'listings.mine': '我的',
+  'sales.empty': '暫無歷史交易記錄',
+
+  'shoppingList.add': '+清單',
+  'shoppingList.addTitle': '加入購物清單',
+  'shoppingList.added': '已加入購物清單',
+  'shoppingList.title': '購物清單',
+  'shoppingList.description': '從搜尋結果、製作價格樹或進階搜尋加入物品，自動找出全服最便宜的掛單並依伺服器排出採購路線。',
+  'shoppingList.itemsCount': '物品 ({count})',
+  'shoppingList.planning': '查詢中 {progress}',
+  'shoppingList.planRoute': '計算 {dc} 採購路線',
+  'shoppingList.empty': '清單是空的。在搜尋結果的「+清單」或製作價格樹的購物車按鈕加入物品。',
+  'shoppingList.hqOnly': '僅HQ',
+  'shoppingList.estimatedCost': '預估花費',
+  'shoppingList.shortfall': '缺 {count}',
+  'shoppingList.routeTitle': '{dc} 採購路線',
+  'shoppingList.routeTotal': '總計 {total} gil',
+  'shoppingList.newItemsHint': '清單有新物品，請重新計算採購路線',
+  'shoppingList.unfilled': '掛單不足：{items}',
+  'shoppingList.routeCopied': '已複製購買路線',
+  'shoppingList.summaryTotal': '總計: {total} gil',
+  'shoppingList.summaryUnfilled': '不足: {items}',
+  'shoppingList.addAll': '全部加入購物清單',
+
+  'export.label': '匯出:',
+  'export.copied': '已複製',
+  'export.failed': '匯出失敗',
+  'export.copy': '複製',
+  'export.csvTitle': 'CSV 下載',
+  'export.jsonTitle': 'JSON 下載',
+  'export.tsvTitle': '複製表格 (貼到試算表)',
+
+  'slot.MainHand': '主手武器',
+  'slot.OffHand': '副手',
+  'slot.Head': '頭部',
+  'slot.Body': '身體',
+  'slot.Gloves': '手套',
+  'slot.Waist': '腰部',
+  'slot.Legs': '腿部',
+  'slot.Feet': '腳部',
+  'slot.Ears': '耳環',
+  'slot.Neck': '項鍊',
+  'slot.Wrists': '手環',
+  'slot.Rings': '戒指',
+  'slot.OneHandWeapon': '單手武器',
+  'slot.TwoHandWeapon': '雙手武器',
+  'slot.BodyHead': '身體（佔頭部）',
+  'slot.BodyHeadLegsFeet': '身體（佔頭腿腳）',
+  'slot.LegsFeet': '腿部（佔腳部）',
+
+  'error.serverListFailed': '無法加載服務器列表',
+  'error.searchFailed': '搜索失敗，請稍後再試',
+  'error.rateLimited': '請求頻率過高，請稍後再試',
+  'error.notOnMarket': '此物品在市場數據中不存在，可能無法在市場板交易',
+
+  'app.loadingServers': '正在載入伺服器...',
+
+  'item.notOnTwServers': '繁中服數據查無此物',
+  'item.obtainMethods': '取得方式',
+  'item.obtainExpand': '展開取得方式',
+  'item.obtainCollapse': '收起取得方式',
+  'item.obtainLoadFailed': '取得方式載入失敗，請重新整理頁面',
+  'item.loadingObtain': '載入取得方式...',
+  'item.craftingTree': '製作價格樹',
+  'item.craftingTreeExpand': '展開製作價格樹',
+  'item.craftingTreeCollapse': '收起製作價格樹',
+  'item.craftingTreeLoadFailed': '製作價格樹載入失敗，請重新整理頁面',
+  'item.loadingCraftingTree': '載入製作價格樹...',
+  'item.loadingRecipe': '載入配方中...',
+  'item.preparing': '準備中...',
+  'item.noRecipe': '此物品無製作配方',
+  'item.relatedItems': '可製品',
+  'item.relatedExpand': '展開可製品',
+  'item.relatedCollapse': '收起可製品',
+  'item.relatedLoadFailed': '可製品載入失敗，請重新整理頁面',
+  'item.loadingRelated': '載入可製品...',
+  'item.notUsedAsMaterial': '此物品未被用作材料',
+  'item.itemSet': '全套查詢',
+  'item.itemSetCount': '全套查詢 ({count})',
+  'item.itemSetExpand': '展開全套查詢結果',
+  'item.itemSetCollapse': '收起全套查詢結果',
+  'item.noItemSet': '查無同套裝結果',
+  'item.itemSetRule': '同套裝判定：同版本、同品級（ilvl）、同裝備等級、同職業限制；下方列出同套的其他部位（不含當前這件）。',
+  'item.notEquipment': '此物品非裝備，無套裝資訊。',
+  'item.noSetData': '無同套裝備資料。',
+  'item.averagePriceLoading': '均價載入中…',
+  'item.watch': '加入追蹤',
+  'item.watching': '追蹤中',
+  'item.watchTitle': '加入追蹤清單（目前伺服器）',
+  'item.watchedTitle': '已在追蹤清單中，點擊查看',
+  'item.listings': '在售列表',
+  'item.sales': '歷史交易',
+  'item.loadingSales': '正在加載歷史數據...',
+  'item.priceTrend': '價格走勢',
+  'item.priceTrendLoadFailed': '價格走勢載入失敗，請重新整理頁面',
+  'item.autoRetry': '將在3秒後自動重試...',
+  'item.loadingItem': '正在載入物品...',
+
+  'home.tips': '使用提示',
+  'home.tipKeywords': '支持多關鍵詞搜索，用空格分隔（例如：「陳舊的 地圖」）',
+  'home.tipHistory': '查看物品詳情會自動保存到歷史記錄，最多保存10個物品，可在搜索欄旁的歷史記錄按鈕查看',
+  'home.tipContact': '目前新版本會需要作者手動更新後端，如有功能異常請聯繫作者DC：wuperbear',
+  'home.loadingRecent': '載入最近更新...',
+
+  'watchlist.title': '追蹤清單',
+  'watchlist.description': '在物品頁加入追蹤，設定買入/賣出門檻，價格跨過門檻時會自動提醒。',
+  'watchlist.autoCheck': '自動檢查',
+  'watchlist.notificationsOn': '瀏覽器通知：開',
+  'watchlist.notificationsOff': '瀏覽器通知：關',
+  'watchlist.checking': '檢查中...',
+  'watchlist.checkNow': '立即檢查',
+  'watchlist.lastCheck': '上次檢查: {time}',
+  'watchlist.empty': '追蹤清單是空的，在物品頁點「加入追蹤」即可開始。',
+  'watchlist.quality': '品質',
+  'watchlist.buyBelow': '買入 ≤',
+  'watchlist.sellAbove': '賣出 ≥',
+  'watchlist.currentLowest': '目前最低價',
+  'watchlist.status': '狀態',
+  'watchlist.statusBuy': '可買入',
+  'watchlist.statusSell': '可賣出',
+  'watchlist.statusWatching': '監控中',
+  'watchlist.imported': '已匯入 {count} 個追蹤項目',
+  'watchlist.importInvalidJson': '匯入失敗：檔案不是有效的 JSON',
+  'watchlist.importFailed': '匯入失敗：{message}',
+  'watchlist.importBadFormat': '匯入格式錯誤',
+  'watchlist.importNothing': '沒有可匯入的項目',
+  'watchlist.notificationsUnsupported': '此瀏覽器不支援通知',
+  'watchlist.notificationsEnabled': '已開啟瀏覽器通知',
+  'watchlist.notificationsDenied': '瀏覽器通知權限被拒絕',
+  'watchlist.cleared': '已清空追蹤清單',
+  'watchlist.alertBuy': '{name}{quality} 在 {world} 降至 {price} gil（目標 ≤ {target}）',
+  'watchlist.alertSell': '{name}{quality} 在 {world} 升至 {price} gil（目標 ≥ {target}）',
+  'watchlist.notifyBuyTitle': '追蹤清單：可以買入',
+  'watchlist.notifySellTitle': '追蹤清單：可以賣出',
+
+  'arbitrage.title': '跨服倒賣',
+  'arbitrage.description': '掃描可交易物品，找出其他伺服器最低價明顯低於本服平均成交價的物品，依稅後利潤 × 日均銷量排序。選擇全服時改與全服平均價比較。',
+  'arbitrage.homeServer': '本服（賣出伺服器）',
+  'arbitrage.minProfit': '最低單件利潤',
+  'arbitrage.minDiscount': '最低折扣 (%)',
+  'arbitrage.startScan': '開始掃描 {name}',
+  'arbitrage.sellWorld': '賣出伺服器 {name}',
+  'arbitrage.dcAverage': '{name} 全服平均',
+  'arbitrage.resultsTitle': '倒賣機會 ({count})',
+  'arbitrage.scanning': '掃描中，找到的物品會即時顯示...',
+  'arbitrage.idle': '選擇伺服器與分類後開始掃描',
+  'arbitrage.buyWorld': '購買伺服器',
+  'arbitrage.expectedSellPrice': '預估售價',
+  'arbitrage.discount': '折扣',
+  'arbitrage.averagePriceTitle': '平均成交價 {price}',
+
+  'retainers.title': '雇員壓價追蹤',
+  'retainers.description': '登錄雇員名稱與所在伺服器，並加入正在販售的物品，一鍵檢查哪些掛單已不是最低價、差多少，以及建議的新價格。',
+  'retainers.myRetainers': '我的雇員 ({count})',
+  'retainers.namePlaceholder': '雇員名稱',
+  'retainers.noRetainers': '尚未登錄雇員',
+  'retainers.trackedItems': '販售物品 ({count})',
+  'retainers.noItems': '尚未加入物品',
+  'retainers.retainerExists': '此雇員已登錄',
+  'retainers.itemExists': '此物品已在追蹤清單',
+  'retainers.undercutToast': '{count} 個掛單被壓價',
+  'retainers.allLowestToast': '所有掛單都是最低價',
+  'retainers.results': '檢查結果',
+  'retainers.undercutCount': '{count} 個被壓價',
+  'retainers.allLowest': '全部最低價',
+  'retainers.lastCheck': '上次檢查 {time}',
+  'retainers.checking': '檢查中 {progress}',
+  'retainers.check': '檢查壓價',
+  'retainers.setupHint': '先登錄雇員並加入販售物品',
+  'retainers.checkHint': '點擊「檢查壓價」開始',
+  'retainers.showNotListed': '顯示未上架的物品 ({count})',
+  'retainers.worldRetainer': '伺服器 / 雇員',
+  'retainers.myPrice': '我的價格',
+  'retainers.competitorPrice': '最低競爭價',
+  'retainers.difference': '差額',
+  'retainers.suggestedPrice': '建議價格',
+  'retainers.moreListings': ' 等 {count} 筆',
+  'retainers.notListed': '此伺服器沒有你的雇員掛單',
+  'retainers.lowest': '最低價',
+
+  'city.limsaLominsa': '利姆薩·羅敏薩',
+  'city.gridania': '格里達尼亞',
+  'city.uldah': '烏爾達哈',
+  'city.ishgard': '伊修加德',
+  'city.kugane': '黃金港',
+  'city.crystarium': '水晶都',
+  'city.oldSharlayan': '舊薩雷安',
+  'city.tuliyollal': '圖萊尤拉',
+
+  'craftingProfit.calculating': '計算利潤中...',
+  'craftingProfit.title': '製作利潤',
+  'craftingProfit.salePrice': '售價',
+  'craftingProfit.materialCost': '材料成本 / 個',
+  'craftingProfit.unitsPerCraft': '每次製作產出 {count} 個',
+  'craftingProfit.netRevenue': '稅後收入 / 個',
+  'craftingProfit.taxCity': '（{city}）',
+  'craftingProfit.taxDefault': '（預設）',
+  'craftingProfit.netProfit': '淨利 / 利潤率',
+  'craftingProfit.gilPerHour': '每小時收益',
+  'craftingProfit.dcVelocity': '全服日均銷量 {velocity}',
+  'craftingProfit.missingPrices': '部分材料無價格且無法製作，無法計算成本',
+  'craftingProfit.crystalsExcluded': '成本未計入水晶，開啟水晶開關可一併計算',
+  'craftingProfit.plan': '購買 / 製作清單',
+  'craftingProfit.buy': '購買 ({count})',
+  'craftingProfit.craft': '製作 ({count})',
+  'craftingProfit.crafts': '{count} 次',
+  'craftingProfit.allCheaperToBuy': '所有材料直接購買較便宜',
+
+  'priceHistory.window24h': '24小時',
+  'priceHistory.window7d': '7天',
+  'priceHistory.window30d': '30天',
+  'priceHistory.loadFailed': '載入歷史價格失敗',
+  'priceHistory.byQuality': '依品質顯示',
+  'priceHistory.byWorld': '依伺服器顯示',
+  'priceHistory.volume': '成交量',
+  'priceHistory.volumeTotal': '成交量 {count}',
+  'priceHistory.loading': '載入歷史價格中...',
+  'priceHistory.noSales': '此期間無成交記錄',
+
+  'ocr.multiLineEmpty': '無法辨識圖片中的物品清單。請確認截圖包含物品名稱欄位，且文字為繁體中文。',
+  'ocr.multiLineHint': '截圖整個物品清單，一次查詢所有物品價格！',
+  'ocr.singleHint': '直接截圖物品名稱，讓 OCR 幫你識別！',
+  'ocr.modeSingle': '單一物品',
+  'ocr.modeMulti': '多行清單',
+  'ocr.multiLineSources': '雇員出售清單、背包或市場列表截圖',
+  'ocr.linesFound': '辨識到 {count} 行，請確認要查價的物品（匹配度低的行可能辨識錯誤）',
+  'ocr.noMatch': '找不到對應物品',
+  'ocr.retake': '重新截圖',
+  'ocr.batchPrice': '批量查價 ({count})',
+  'ocr.tesseractNotLoaded': 'Tesseract.js 尚未載入，請稍候再試',
+  'ocr.recognitionFailed': 'OCR 辨識過程發生錯誤',
+
+  'savedSearch.saved': '已儲存搜尋「{name}」',
+  'savedSearch.linkCopied': '已複製搜尋連結',
+  'savedSearch.count': '已儲存的搜尋 ({count})',
+  'savedSearch.none': '尚無已儲存的搜尋',
+  'savedSearch.namePlaceholder': '搜尋名稱',
+  'savedSearch.save': '儲存目前搜尋',
+  'savedSearch.copyLinkTitle': '複製包含目前篩選條件的連結',
+  'savedSearch.copyLink': '複製分享連結',
+
+  'dataCache.title': '資料快取',
+  'dataCache.groupRecipes': '配方（全部）',
+  'dataCache.groupRecipesByResult': '配方（依成品）',
+  'dataCache.groupRecipesByIngredient': '配方（依材料）',
+  'dataCache.groupRecipesByJobLevel': '配方（依職業等級）',
+  'dataCache.groupItemDescriptions': '物品說明',
+  'dataCache.groupItemCategoryNames': '物品分類名稱',
+  'dataCache.groupItemCategories': '物品分類',
+  'dataCache.groupEquipment': '裝備',
+  'dataCache.groupEquipSlots': '裝備部位',
+  'dataCache.groupJobNames': '職業名稱',
+  'dataCache.groupPatchNames': '版本名稱',
+  'dataCache.cleared': '已清除快取，資料將重新下載',
+  'dataCache.memoryCleared': '已清除記憶體快取',
+  'dataCache.description': '配方、分類等遊戲資料會儲存在瀏覽器中，重新整理頁面或離線時可直接使用。資料會在版本更新時自動失效，超過一天的資料會在背景重新下載。',
+  'dataCache.loading': '讀取快取資訊...',
+  'dataCache.unavailable': '此瀏覽器不支援 IndexedDB（可能為無痕模式），資料將不會離線保存',
+  'dataCache.dataVersion': '資料版本',
+  'dataCache.entries': '快取項目',
+  'dataCache.size': '快取大小（估計）',
+  'dataCache.siteUsage': '網站總用量 {size}',
+  'dataCache.empty': '目前沒有快取資料',
+  'dataCache.data': '資料',
+  'dataCache.items': '項目',
+  'dataCache.sizeColumn': '大小',
+  'dataCache.updatedAt': '更新時間',
+  'dataCache.online': '● 已連線',
+  'dataCache.offline': '● 離線中，使用快取資料',
+  'dataCache.clearing': '清除中...',
+  'dataCache.clearAndRedownload': '清除並重新下載',
+
+  'craftingTree.addToListTitle': '加入購物清單 ×{quantity}',
+  'craftingTree.addToPlanner': '加入製作計畫',
+  'craftingTree.addedToPlanner': '已加入製作計畫',
+  'craftingTree.addToPlannerTitle': '加入製作計畫，與其他成品合併計算材料',
+  'craftingTree.jobFallback': '職業 {id}',
+  'craftingTree.expert': '專家',
+  'craftingTree.switchRecipe': '切換配方',
+  'craftingTree.ownedMaterials': '持有材料',
+  'craftingTree.ownedApplied': '已填 {count} 項，樹與成本已扣除',
+  'craftingTree.clearOwned': '清除本樹持有數量',
+  'craftingTree.requiredMissing': '共需要 / 還缺',
+  'craftingTree.ownedCount': '持有數量',
+  'craftingTree.requiredTotal': '共需要 {count}',
+  'craftingTree.owned': '持有 {count}',
+  'craftingTree.kindResult': '成品',
+  'craftingTree.kindIntermediate': '中間素材',
+  'craftingTree.kindMaterial': '材料',
+  'craftingTree.exportKind': '類型',
+  'craftingTree.exportOwned': '持有',
+  'craftingTree.exportPriceType': '價格類型',
+  'craftingTree.exportSubtotal': '小計',
+  'craftingTree.copied': '已複製',
+  'craftingTree.copyName': '複製名稱',
+  'craftingTree.formulaTitle': '計算公式詳情',
+  'craftingTree.materialBreakdown': '材料成本明細：',
+  'craftingTree.materialLine': '{amount} 個 × {unit} = {total}',
+  'craftingTree.craftedSuffix': ' (製作)',
+  'craftingTree.materialTotal': '材料總成本：',
+  'craftingTree.yields': '製作產出數量：{yields}',
+  'craftingTree.yieldsIncluded': '製作產出數量：{yields}，已納入成本考量',
+  'craftingTree.unitCostFormula': '單個成本 = 總成本 ÷ 產出數量：',
+  'craftingTree.materialCost': '材料成本：',
+  'craftingTree.priceComparison': '價格比較：',
+  'craftingTree.craftCost': '製作成本：',
+  'craftingTree.craftCostWithYields': '製作成本 (已考慮產出數量={yields})：',
+  'craftingTree.buyCost': '購買成本：',
+  'craftingTree.unitPriceLine': '單價：{unit} × {amount} 個 = {total}',
+  'craftingTree.difference': '差額：',
+  'craftingTree.viewItem': '查看 {name}',
+  'craftingTree.minListingFallback': '最近四天無銷售發生，改為用最低價格',
+  'craftingTree.notForSale': '無販售',
+  'craftingTree.insufficientMaterials': '該服缺乏關鍵素材且無成品購買',
+  'craftingTree.viewFormula': '點擊查看計算公式',
+  'craftingTree.optimalRouteNote': '以最優路線計算（每項材料取買/製的較低價）',
+  'craftingTree.optimalCraft': '最優製作: {price}',
+  'craftingTree.buyFinished': '直購成品: {price}',
+  'craftingTree.recommendBuy': '建議直購',
+  'craftingTree.recommendCraft': '建議自製',
+  'craftingTree.bestCraftOnly': '自製最佳: {price}',
+  'craftingTree.samePrice': '價格相同',
+  'craftingTree.recommendCraftSave': '建議自製，省 {price}',
+  'craftingTree.recommendBuySave': '建議直購，省 {price}',
+  'craftingTree.insufficientInfo': '資訊不足',
+  'craftingTree.materials': '材料: {price}',
+  'craftingTree.finished': '成品: {price}',
+  'craftingTree.finishedAmount': '{amount}個成品: {price}',
+  'craftingTree.craftSave': '自製省 {price}',
+  'craftingTree.buySave': '直購省 {price}',
+  'craftingTree.yieldsPerCraft': '單次製作產出 {yields} 個',
+  'craftingTree.dcSearch': '{name}（全服搜尋）',
+  'craftingTree.noRecipe': '無製作配方',
+  'craftingTree.title': '製作價格樹',
+  'craftingTree.crystalToggle': '水晶開關',
+  'craftingTree.crystalHint': '提供給大量製作的匠人更精確定位價格',
+  'craftingTree.priceDcMin': '價格為全服最低在售價格',
+  'craftingTree.priceNone': '該服無平均價格且無最低價格，無法顯示價格',
+  'craftingTree.pricePartialFallback': '部分物品4天內無銷售記錄，無平均值改用該服最低價格',
+  'craftingTree.priceNoSalesFallback': '最近四天沒有成功銷售記錄，無平均值和日均銷售，部分價格會使用該服最低價格',
+  'craftingTree.priceWorldAverage': '價格為4天內該服賣出平均價格',
+  'craftingTree.velocityLabel': '日均銷量:',
+  'craftingTree.velocityWorldTitle': '單服日均銷量',
+  'craftingTree.velocityWorld': '單服 {value}',
+  'craftingTree.velocityDcTitle': '全服日均銷量',
+  'craftingTree.velocityDc': '全服 {value}',
+  'craftingTree.loadingPrices': '載入價格中...',
+  'craftingTree.legendRoute': '最優路線({method})',
+  'craftingTree.methodCraft': '製作',
+  'craftingTree.methodBuy': '購買',
+  'craftingTree.legendPrice': '價格',
+  'craftingTree.legendMinPrice': '最低價',
+  'craftingTree.legendAvgPrice': '平均價',
+
+  'gathering.title': '採集賺錢',
+  'gathering.description': '選擇採集職業與等級範圍，依稅後每次採集收益排序可交易的採集物，並列出採集點位置。日潛在收益 = 稅後單價 × 日均銷量，代表市場每天大約能消化的金額。',
+  'gathering.itemsPerGather': '每次採集數量',
+  'gathering.search': '查詢 {job} 採集收益',
+  'gathering.includeLimited': '包含限時採集點',
+  'gathering.noItemsInRange': '此等級範圍沒有可交易的採集物品',
+  'gathering.resultsTitle': '採集物排行 ({count})',
+  'gathering.idle': '選擇職業與等級範圍後開始查詢',
+  'gathering.gatheringLevel': '採集等級',
+  'gathering.location': '採集地點',
+  'gathering.gilPerGather': '每次採集收益',
+  'gathering.dailyGil': '日潛在收益',
+  'gathering.nodeLabel': '{type}採集點 Lv.{level}',
+  'gathering.nodeMining': '採礦',
+  'gathering.nodeQuarrying': '採石',
+  'gathering.nodeLogging': '採伐',
+  'gathering.nodeHarvesting': '割取',
+  'gathering.nodeFishing': '釣魚',
+  'gathering.nodeSpearfishing': '潛水',
+
+  'desynth.title': '精製分解估價',
+  'desynth.description': '估算精製與分解的產出價值，並與直接賣出或市場購入價比較，找出值得買來精製的便宜裝備。資料只列出可能產出、沒有掉落機率，因此期望值以各產出機率相同計算，每次產出數量可自行調整。',
+  'desynth.methodDesynth': '精製',
+  'desynth.methodReduction': '分解',
+  'desynth.modeCategory': '依分類排行',
+  'desynth.modeItem': '單一物品',
+  'desynth.method': '方式',
+  'desynth.searchPlaceholder': '搜尋要精製或分解的物品',
+  'desynth.itemsPerExtraction': '每次產出數量',
+  'desynth.search': '查詢{method}價值',
+  'desynth.onlyProfitable': '只顯示購入後有賺的物品',
+  'desynth.resultsTitle': '估價結果 ({count})',
+  'desynth.idle': '選擇分類或物品後開始查詢',
+  'desynth.possibleOutputs': '可能產出',
+  'desynth.buyPrice': '購入價',
+  'desynth.sellDirect': '直接賣出',
+  'desynth.sellDirectAfterTax': '直接賣出(稅後)',
+  'desynth.expectedValue': '期望產出價值',
+  'desynth.expectedValueAfterTax': '期望產出價值(稅後)',
+  'desynth.vsSelling': '比直接賣出',
+  'desynth.profitVsSelling': '比直接賣出多',
+  'desynth.profitVsBuying': '購入後淨賺',
+  'desynth.unpricedOutputs': '{count} 項產出無價格，以 0 計算',
+  'desynth.dataLoadFailed': '載入精製資料失敗',
+  'desynth.noExtractionData': '此物品沒有精製或分解資料',
+
+  'vendorFlips.title': '商店倒賣',
+  'vendorFlips.description': '找出 NPC 商店用金幣就能買到、在市場板上卻賣得比較貴的物品。市場價取平均成交價與最低在售價中較低者，每件利潤 = 稅後市場價 − NPC 價格；日潛在利潤 = 每件利潤 × 日均銷量。',
+  'vendorFlips.minMargin': '最低利潤率 (%)',
+  'vendorFlips.minProfit': '最低每件利潤',
+  'vendorFlips.search': '查詢商店倒賣',
+  'vendorFlips.noShopItems': '沒有可交易的商店物品',
+  'vendorFlips.resultsTitle': '倒賣排行 ({count})',
+  'vendorFlips.idle': '設定篩選條件後開始查詢',
+  'vendorFlips.vendor': '販售 NPC',
+  'vendorFlips.npcPrice': 'NPC 價格',
+  'vendorFlips.marketPrice': '市場價',
+  'vendorFlips.profitPerItem': '每件利潤',
+  'vendorFlips.profitPerItemAfterTax': '每件利潤(稅後)',
+  'vendorFlips.margin': '利潤率',
+  'vendorFlips.marginPercent': '利潤率(%)',
+  'vendorFlips.dailyProfit': '日潛在利潤',
+  'vendorFlips.marketPriceTitle': '平均成交價 {average} / 最低在售價 {minListing}',
+
+  'currencyExchange.title': '貨幣兌換',
+  'currencyExchange.description': '選擇神典石、工票或徽章，列出所有能用它兌換的可交易物品，依稅後每單位貨幣可換得的金幣排序。預估收益以持有數量能兌換的數量為準，但不超過市場一週的銷量。',
+  'currencyExchange.groupTomestones': '神典石',
+  'currencyExchange.groupScrips': '工票',
+  'currencyExchange.groupSeals': '徽章與戰利品',
+  'currencyExchange.groupGrandCompany': '軍票',
+  'currencyExchange.budget': '持有數量',
+  'currencyExchange.search': '查詢 {currency} 兌換價值',
+  'currencyExchange.noTrades': '此貨幣沒有可兌換的可交易物品',
+  'currencyExchange.resultsTitle': '兌換排行 ({count})',
+  'currencyExchange.idle': '選擇貨幣後開始查詢',
+  'currencyExchange.cost': '兌換價',
+  'currencyExchange.amountPerTrade': '每次獲得數量',
+  'currencyExchange.gilPerCurrency': '每單位貨幣金幣',
+  'currencyExchange.affordable': '可兌換數量',
+  'currencyExchange.sellablePerWeek': '一週可售出',
+  'currencyExchange.affordableSellable': '可兌換 / 一週可售',
+  'currencyExchange.expectedGil': '預估收益',
+
+  'itemComparison.title': '裝備比較',
+  'itemComparison.description': '最多 {max} 件裝備並排比較品級、基本性能、魔晶石孔、可用職業與目前最低價。主屬性依品級與部位估算，副屬性欄為鑲嵌上限；每點主屬性價格以 NQ/HQ 中較便宜的最低價計算。',
+  'itemComparison.loadFailed': '載入裝備資料失敗',
+  'itemComparison.pricesLoadFailed': '載入價格失敗',
+  'itemComparison.tooMany': '最多同時比較 {max} 件裝備',
+  'itemComparison.addItem': '加入裝備 ({count}/{max})',
+  'itemComparison.searchPlaceholder': '搜尋裝備名稱',
+  'itemComparison.clearAll': '清除全部',
+  'itemComparison.loadingPrices': '載入價格中...',
+  'itemComparison.resultsTitle': '比較結果',
+  'itemComparison.pricesFor': '{scope}價格',
+  'itemComparison.idle': '搜尋並加入裝備後開始比較',
+  'itemComparison.notEquipment': '不是裝備',
+  'itemComparison.removeItem': '移除 {name}',
+  'itemComparison.ilvl': '品級',
+  'itemComparison.equipLevel': '裝備等級',
+  'itemComparison.slot': '部位',
+  'itemComparison.jobs': '職業',
+  'itemComparison.primaryStat': '主屬性（估算）',
+  'itemComparison.substatCap': '副屬性上限',
+  'itemComparison.materiaSlots': '魔晶石孔',
+  'itemComparison.advancedMelding': '（可禁斷）',
+  'itemComparison.nqPrice': 'NQ 最低價',
+  'itemComparison.hqPrice': 'HQ 最低價',
+  'itemComparison.costPerStat': '每點主屬性價格',
+  'itemComparison.paramFallback': '屬性 {id}',
+  'itemComparison.compareTop': '並排比較前 {count} 件',
+
+  'meldingCost.title': '魔晶石鑲嵌估價',
+  'meldingCost.description': '選擇裝備與要鑲嵌的魔晶石，計算每個孔位的禁斷成功率、預期消耗數量與目前市價下的花費。失敗只會損失魔晶石，預期消耗為 100 ÷ 成功率；{pct}% 把握數量為有 {pct}% 機率足夠成功的數量。',
+  'meldingCost.materiaLoadFailed': '載入魔晶石資料失敗',
+  'meldingCost.addedToShoppingList': '已將 {count} 種魔晶石加入購物清單',
+  'meldingCost.groupCombat': '戰鬥',
+  'meldingCost.groupCrafting': '製作',
+  'meldingCost.groupGathering': '採集',
+  'meldingCost.slot': '孔位',
+  'meldingCost.overmeld': '禁斷',
+  'meldingCost.overmeldSuffix': '（禁斷）',
+  'meldingCost.materia': '魔晶石',
+  'meldingCost.stat': '屬性',
+  'meldingCost.successRate': '成功率',
+  'meldingCost.successRatePercent': '成功率 (%)',
+  'meldingCost.expectedCount': '預期消耗',
+  'meldingCost.safeCount': '{pct}% 把握數量',
+  'meldingCost.safeCountShort': '{pct}% 把握',
+  'meldingCost.expectedCost': '預期花費',
+  'meldingCost.gear': '裝備',
+  'meldingCost.loadingMateria': '載入魔晶石資料中...',
+  'meldingCost.hqGear': 'HQ 裝備',
+  'meldingCost.ilvl': '品級 {ilvl}',
+  'meldingCost.materiaSlots': '魔晶石孔 {count}',
+  'meldingCost.overmeldable': '，可禁斷',
+  'meldingCost.notOvermeldable': '，不可禁斷',
+  'meldingCost.notMeldable': '此物品無法鑲嵌魔晶石',
+  'meldingCost.planTitle': '鑲嵌計畫',
+  'meldingCost.meldCount': '鑲嵌數量',
+  'meldingCost.totalExpectedCount': '預期消耗魔晶石',
+  'meldingCost.missingPrices': '{count} 種魔晶石無價格，未計入',
+  'meldingCost.safeBudget': '{pct}% 把握預算',
+  'meldingCost.impossibleSlot': '陸型以上的偶數型魔晶石只能鑲嵌在第一個禁斷孔，成功率為 0 的孔位請改用其他魔晶石。',
+  'meldingCost.applyToAll': '套用至全部',
+
+  'usedIn.title': '素材用途探索',
+  'usedIn.description': '從素材往上追溯多層配方，找出它能做成的所有成品並依目前市價估值。每個素材價值 = (稅後售價 − 路徑上其他材料的購買成本) ÷ 每件成品耗用的素材數，可直接和素材本身的售價比較。',
+  'usedIn.selectMaterial': '請先選擇素材',
+  'usedIn.noRecipes': '沒有使用此素材的配方',
+  'usedIn.progressDepth': '第 {depth} 層，已找到 {count} 個成品',
+  'usedIn.progressPrices': '載入價格',
+  'usedIn.depth': '層數',
+  'usedIn.via': '經由',
+  'usedIn.viaPath': '經由 {path}',
+  'usedIn.materialPerUnit': '每件耗用素材',
+  'usedIn.otherCost': '其他材料成本',
+  'usedIn.valuePerMaterial': '每個素材價值',
+  'usedIn.grossPerMaterial': '每個素材價值(不扣材料)',
+  'usedIn.material': '素材',
+  'usedIn.searchPlaceholder': '搜尋素材名稱',
+  'usedIn.maxDepth': '追溯層數',
+  'usedIn.depthOption': '{depth} 層',
+  'usedIn.explore': '探索用途',
+  'usedIn.usesOf': '{name} 的用途',
+  'usedIn.resultsTitle': '用途排行',
+  'usedIn.endProductsOnly': '只看最終成品',
+  'usedIn.rawSale': '直接賣出素材：',
+  'usedIn.perUnit': '{price} / 個',
+  'usedIn.beatsRawHint': '綠色為比直接賣素材更划算的成品',
+  'usedIn.truncated': '成品超過 {max} 個，已停止追溯，可減少層數',
+  'usedIn.noProducts': '沒有可估價的成品',
+  'usedIn.idle': '選擇素材後開始探索',
+  'usedIn.product': '成品',
+  'usedIn.recipe': '配方',
+  'usedIn.levelN': '第 {depth} 層',
+  'usedIn.missingPrices': '部分材料無價格',
+  'usedIn.grossTitle': '不扣其他材料 {value}',
+
+  'ventures.title': '雇員探險收益',
+  'ventures.description': '依雇員職業、等級與品級/鑑別力，列出可接的指定委託並以市價計算每枚探險幣的稅後收益。自由探索委託另外列出全獎勵池的平均值供參考，無法和指定委託直接比較。',
+  'ventures.classCombat': '戰鬥職',
+  'ventures.noTasks': '沒有此雇員可接的指定委託，可調整等級或屬性',
+  'ventures.retainerClass': '雇員職業',
+  'ventures.retainerLevel': '雇員等級',
+  'ventures.gathering': '獲得力',
+  'ventures.perception': '鑑別力',
+  'ventures.averageIlvl': '平均品級',
+  'ventures.search': '查詢探險收益',
+  'ventures.quickTitle': '自由探索委託',
+  'ventures.quickSummary': '每次 {cost} 枚探險幣 · 獎勵池 {pool} 種，{priced} 種有市價',
+  'ventures.quickNotComparable': '獎勵池包含所有職業與等級的獎勵，資料中沒有依雇員職業或等級區分的獎勵與機率，因此以下為全池平均，並非此雇員的期望收益，不可與指定委託比較。',
+  'ventures.quickPoolAverage': '全池平均每次',
+  'ventures.quickPoolAveragePerVenture': '全池平均每枚探險幣',
+  'ventures.quickTopRewards': '全池最高價獎勵',
+  'ventures.velocityTitle': '日均銷量 {value}',
+  'ventures.resultsTitle': '指定委託排行 ({count})',
+  'ventures.noResults': '沒有可估價的指定委託',
+  'ventures.idle': '設定雇員後開始查詢',
+  'ventures.taskItem': '委託物品',
+  'ventures.taskLevel': '委託等級',
+  'ventures.cost': '探險幣',
+  'ventures.gilPerVenture': '每枚探險幣',
+  'ventures.gilPerVentureAfterTax': '每枚探險幣收益(稅後)',
+  'ventures.slowTitle': '每日銷量少於一次委託帶回的數量',
+
+  'voyages.title': '遠征收益規劃',
+  'voyages.description': '列出部隊潛水艇與飛空艇各探索區域可能帶回的物品，以市價估算每個區域與整條航線的稅後期望收益。掉落機率未公開，每個區域以其所有可能物品平均計算，不可交易的物品以 0 計。',
+  'voyages.typeAirship': '飛空艇',
+  'voyages.typeSubmarine': '潛水艇',
+  'voyages.voyageType': '遠征類型',
+  'voyages.sea': '海域',
+  'voyages.allSeas': '全部海域',
+  'voyages.seaN': '第 {sea} 海域',
+  'voyages.search': '查詢{type}收益',
+  'voyages.sameSeaOnly': '潛水艇航線只能在同一片海域內',
+  'voyages.maxSectors': '航線最多 {max} 個區域',
+  'voyages.routeTitle': '航線',
+  'voyages.routeHint': '勾選下方區域組成航線（最多 {max} 個），每個區域以帶回一件物品估算',
+  'voyages.routeHintSubmarine': '勾選下方區域組成航線（最多 {max} 個，需在同一海域），每個區域以帶回一件物品估算',
+  'voyages.currentRoute': '目前航線每趟期望收益',
+  'voyages.suggestedRoute': '建議航線',
+  'voyages.suggestedRouteInSea': '建議航線（{sea}）',
+  'voyages.apply': '套用',
+  'voyages.removeFromRoute': '從航線移除',
+  'voyages.noRouteSectors': '尚未選擇區域',
+  'voyages.resultsTitle': '探索區域排行 ({count})',
+  'voyages.noResults': '沒有可估價的探索區域',
+  'voyages.idle': '選擇遠征類型後開始查詢',
+  'voyages.sector': '區域',
+  'voyages.possibleLoot': '可能獲得',
+  'voyages.priced': '有市價',
+  'voyages.expectedGil': '期望收益',
+  'voyages.expectedGilAfterTax': '期望收益(稅後)',
+  'voyages.bestLoot': '最高價物品',
+  'voyages.addToRoute': '將 {name} 加入航線',
+  'voyages.lootCount': '共 {count} 種',
+  'voyages.sectorFallback': '區域 {id}',
+
+  'islandWorkshop.title': '無人島工房排程',
+  'islandWorkshop.description': '輸入本週的人氣模式與各製作物的供給狀況，自動排出每天產出最多無人島貝殼的工房排程（連續製作同主題的不同物品可觸發效率加成）。之後的天數會依排程產量估算供給上升，僅供參考。下方可查詢牧場與農田產物的市價。',
+  'islandWorkshop.loadFailed': '無人島資料載入失敗',
+  'islandWorkshop.noneMarketable': '牧場與農田的產物目前都無法在市場交易',
+  'islandWorkshop.day': '天數',
+  'islandWorkshop.order': '順序',
+  'islandWorkshop.startHour': '開始時間',
+  'islandWorkshop.craftwork': '製作物',
+  'islandWorkshop.efficiencyBonus': '效率加成',
+  'islandWorkshop.cowriesPerWorkshop': '每間工房貝殼',
+  'islandWorkshop.sourcePasture': '牧場',
+  'islandWorkshop.sourceCropland': '農田',
+  'islandWorkshop.pattern': '本週人氣模式',
+  'islandWorkshop.patternN': '模式 {pattern}',
+  'islandWorkshop.rank': '開拓等級',
+  'islandWorkshop.workshops': '工房數量',
+  'islandWorkshop.workshopCount': '{count} 間',
+  'islandWorkshop.tier': '工房等級',
+  'islandWorkshop.groove': '幹勁',
+  'islandWorkshop.restDays': '休息日：',
+  'islandWorkshop.dayN': '第 {day} 天',
+  'islandWorkshop.scheduleTitle': '本週排程',
+  'islandWorkshop.weekTotal': '預估總貝殼',
+  'islandWorkshop.rest': '休息',
+  'islandWorkshop.stepTitle': '{hour}:00 開始 · 供給 {supply}',
+  'islandWorkshop.demandTitle': '本週需求 ({count})',
+  'islandWorkshop.setAllSupply': '全部供給設為',
+  'islandWorkshop.choose': '選擇',
+  'islandWorkshop.noCraftworks': '此開拓等級沒有可製作的物品',
+  'islandWorkshop.theme': '主題',
+  'islandWorkshop.craftingTime': '工時',
+  'islandWorkshop.baseValue': '基本價值',
+  'islandWorkshop.popularity': '人氣',
+  'islandWorkshop.currentSupply': '目前供給',
+  'islandWorkshop.supplyFor': '{name} 供給',
+  'islandWorkshop.leavingsTitle': '牧場與農田產物市價',
+  'islandWorkshop.queryPrices': '查詢市價',
+  'islandWorkshop.popularityVeryHigh': '非常受歡迎',
+  'islandWorkshop.popularityHigh': '受歡迎',
+  'islandWorkshop.popularityAverage': '普通',
+  'islandWorkshop.popularityLow': '不受歡迎',
+  'islandWorkshop.supplyNonexistent': '極度短缺',
+  'islandWorkshop.supplyInsufficient': '不足',
+  'islandWorkshop.supplySufficient': '普通',
+  'islandWorkshop.supplySurplus': '充足',
+  'islandWorkshop.supplyOverflowing': '過剩',
+
+  'craftingPlanner.title': '製作計畫',
+  'craftingPlanner.description': '一次排入多個成品與數量，合併計算所需材料。共用的半成品只會計算一次，並依產出數量取整；製作步驟先做半成品，再依職業與等級排列。配方選擇與持有材料沿用物品頁的製作樹設定。',
+  'craftingPlanner.targetsTitle': '製作目標 ({count})',
+  'craftingPlanner.searchPlaceholder': '搜尋物品名稱加入製作目標',
+  'craftingPlanner.emptyQueue': '尚未加入物品，可在上方搜尋或從物品頁的製作樹加入',
+  'craftingPlanner.plan': '計算製作計畫',
+  'craftingPlanner.planning': '計算中...',
+  'craftingPlanner.excludeCrystals': '不計水晶',
+  'craftingPlanner.useOwned': '扣除持有材料',
+  'craftingPlanner.outdated': '製作目標已變更，請重新計算',
+  'craftingPlanner.materialCost': '材料成本',
+  'craftingPlanner.missingPrices': '{count} 項材料無價格，未計入',
+  'craftingPlanner.targetValue': '成品市價',
+  'craftingPlanner.savings': '製作可省下',
+  'craftingPlanner.materialsTitle': '購買材料 ({count})',
+  'craftingPlanner.required': '需求',
+  'craftingPlanner.owned': '持有',
+  'craftingPlanner.toBuy': '需購買',
+  'craftingPlanner.subtotal': '小計',
+  'craftingPlanner.unitPriceTitle': '單價 {price}',
+  'craftingPlanner.stepsTitle': '製作步驟 ({count})',
+  'craftingPlanner.copyPlan': '複製計畫',
+  'craftingPlanner.noCrafts': '持有材料已足夠，不需要製作',
+  'craftingPlanner.order': '順序',
+  'craftingPlanner.job': '職業',
+  'craftingPlanner.crafts': '製作次數',
+  'craftingPlanner.produced': '產出',
+  'craftingPlanner.surplus': '剩餘',
+  'craftingPlanner.ownedTitle': '已持有 {count}',
+  'craftingPlanner.uncraftable': '{count} 個物品沒有配方，已列入購買材料',
+  'craftingPlanner.planFailed': '計算製作計畫失敗',
+  'craftingPlanner.copied': '已複製製作計畫',
+  'craftingPlanner.addedMaterials': '已將 {count} 項材料加入購物清單',
+  'craftingPlanner.copyBuyHeader': '【購買材料】',
+  'craftingPlanner.copyStepsHeader': '【製作步驟】',
+  'craftingPlanner.copyStep': '{index}. {job} Lv.{level} {name} ×{crafts} 次{yields}',
+  'craftingPlanner.copyYields': '（產出 {count}）',
+
+  'time.unknown': '未知',
+  'time.minutesAgo': '{minutes}分鐘前',
+  'time.hoursAgo': '{hours}小時前',
+  'time.hoursMinutesAgo': '{hours}小時{minutes}分鐘前',
+  'time.daysAgo': '{days}天前',
+  'time.daysHoursAgo': '{days}天{hours}小時前',
+  'time.weeksAgo': '{weeks}週前',
+  'time.weeksDaysAgo': '{weeks}週{days}天前',
+
+  'notFound.title': '頁面未找到',
+  'notFound.description': '抱歉，您訪問的頁面不存在或已被移除。',
+  'notFound.countdown': '將在 {seconds} 秒後自動返回首頁...',
+  'notFound.redirecting': '正在跳轉...',
+  'notFound.goHome': '立即返回首頁',
+
+  'loader.searching': '正在搜尋中...',
+
+  'searchBar.placeholder': '多關鍵詞用空格分隔（例：豹 褲）',
+  'searchBar.pressEnter': '按 Enter 搜索',
+  'searchBar.suggestions': '關鍵字推薦',
+  'searchBar.noSuggestions': '無匹配關鍵字',
+  'searchBar.recentSearches': '搜索關鍵字',
+  'searchBar.history': '歷史記錄',
+  'searchBar.noHistory': '暫無記錄',
+
+  'map.locationInfo': '位置信息',
+  'map.location': '位置',
+  'map.zone': '區域：',
+  'map.coordinates': '座標：',
+  'map.coordinatesShort': '座標',
+  'map.mapId': '地圖ID：',
+  'map.copyZone': '複製區域名稱（會自動添加 FF14）',
+  'map.notFound': '⚠️ 地圖數據未找到（地圖ID: {mapId}）',
+  'map.loading': '載入地圖中...',
+  'map.alt': '地圖',
+
+  'taxRates.title': '市場稅率 - {name}',
+  'taxRates.loading': '載入市場稅率...',
+  'taxRates.empty': '暫無稅率資料',
+  'taxRates.city.LimsaLominsa': '利姆薩·羅敏薩',
+  'taxRates.city.Gridania': '格里達尼亞',
+  'taxRates.city.Uldah': '烏爾達哈',
+  'taxRates.city.Ishgard': '伊修加德',
+  'taxRates.city.Kugane': '黃金港',
+  'taxRates.city.Crystarium': '水晶都',
+  'taxRates.city.OldSharlayan': '舊薩雷安',
+
+  'results.loadingItems': '正在載入 {count} 個物品...',
+  'results.titleCount': '{title} ({count} 個物品{suffix})',
+  'results.noUntradable': '無不可交易物品',
+  'results.hideUntradable': '隱藏不可交易物品',
+  'results.showUntradable': '顯示不可交易物品 ({count}個)',
+  'results.loadingShort': '載入中',
+  'results.loadComplete': '完成載入',
+  'results.tooMany': '結果數量過多',
+  'results.many': '結果數量較多',
+  'results.loaded': '已載入 {count} 個可交易物品{hidden}。',
+  'results.found': '找到 {count} 個可交易物品{hidden}。',
+  'results.hiddenUntradable': '（另有 {count} 個不可交易物品已隱藏）',
+  'results.stricterNextTime': '建議下次使用更嚴格的關鍵字搜尋會比較快。',
+  'results.slowWarning': '數據載入需要一些時間，排序可能會較慢。建議使用更嚴格的關鍵詞進行搜索，或請耐心等待。',
+  'results.serverSelect': '伺服器選擇:',
+
+  'pagination.perPage': '每頁顯示:',
+  'pagination.showing': '顯示 {start}-{end} / {total}',
+  'pagination.first': '首頁',
+  'pagination.prev': '上一頁',
+  'pagination.pageOf': '第 {page} / {total} 頁',
+  'pagination.next': '下一頁',
+  'pagination.last': '末頁',
+
+  'msq.ilvlValue': '物品等級: {ilvl}',
+  'msq.ilvlRange': '請輸入1-999之間的數字',
+  'msq.invalidIlvl': '請輸入有效的物品等級',
+  'msq.noItemsForIlvl': '未找到該物品等級的物品',
+  'msq.noItemsInCategory': '該裝備分類中沒有相符的物品',
+  'msq.description': '主線拿到的箱子可以快速查看市場價格。',
+  'msq.ilvlLabel': '物品等級 (ilvl品級)',
+  'msq.ilvlPlaceholder': '輸入物品等級...',
+  'msq.categoryLabel': '裝備分類 (可選)',
+  'msq.allCategories': '全部分類',
+
+  'craftingInspiration.description': '用來根據製作職業查找物價肥美的物品，掌控市場雷電。',
+  'craftingInspiration.maxJobs': '最多只能選擇4個職業',
+  'craftingInspiration.limitedFetching': '已限制為前 {count} 個物品，正在獲取市場數據...',
+  'craftingInspiration.rangeTooLargeToast': '範圍過大！最多只能搜索 {max} 個等級範圍',
+  'craftingInspiration.noRecipes': '未找到符合條件的配方',
+  'craftingInspiration.filteringTradable': '找到 {count} 個物品，正在過濾可交易物品...',
+  'craftingInspiration.noItems': '沒有找到物品',
+  'craftingInspiration.noTradable': '沒有可交易的物品',
+  'craftingInspiration.untradableSuffix': '、{count} 個不可交易物品',
+  'craftingInspiration.foundFetching': '找到 {count} 個可交易物品{untradable}，正在獲取市場數據...',
+  'craftingInspiration.searchDone': '搜索完成！找到 {count} 個可交易物品{untradable}',
+  'craftingInspiration.searchDoneLimited': '搜索完成！找到 {count} 個可交易物品（已限制）',
+  'craftingInspiration.buttonTooMany': '搜索（找到 {total} 個物品，超過上限 {limit}）',
+  'craftingInspiration.tooltipTooMany': '找到 {total} 個可交易物品，超過建議上限 {limit} 個。請縮小等級範圍或選擇更少的職業。',
+  'craftingInspiration.buttonRangeTooLarge': '搜索（範圍過大：{range} 個等級，最多 {max}）',
+  'craftingInspiration.tooltipRangeTooLarge': '當前範圍為 {range} 個等級，超過最大允許範圍 {max} 個等級。建議調整為 {suggestedMin}-{suggestedMax}。',
+  'craftingInspiration.buttonSelectJob': '搜索（請先選擇至少一個職業）',
+  'craftingInspiration.tooltipSelectJob': '請至少選擇一個製造職業才能進行搜索。',
+  'craftingInspiration.jobSelect': '職業選擇 (最多4個)',
+  'craftingInspiration.selectedCount': '已選擇: {count}/4',
+  'craftingInspiration.noJobHint': '未選擇職業時，範圍限制為10個等級',
+  'craftingInspiration.ilvlRange': '物品等級範圍',
+  'craftingInspiration.currentRange': '當前範圍: {count} 個等級',
+  'craftingInspiration.selectedJobs': '已選擇 {count} 個職業',
+  'craftingInspiration.maxRange': '最大範圍: {count} 個等級',
+  'craftingInspiration.selectJobFirst': '⚠️ 請先選擇職業',
+  'craftingInspiration.minLevel': '最小等級',
+  'craftingInspiration.maxLevel': '最大等級',
+  'craftingInspiration.rangeRule': '職業越多等級范圍限制越多：',
+  'craftingInspiration.jobCount': '{count}職',
+  'craftingInspiration.rangeTooLarge': '範圍過大！',
+  'craftingInspiration.suggested': '建議調整為:',
+  'craftingInspiration.autoAdjusted': '已自動調整為 {min}-{max}',
+  'craftingInspiration.applySuggestion': '套用建議',
+  'craftingInspiration.tooManyTitle': '找到的物品過多',
+  'craftingInspiration.tooManyBody': '找到 {total} 個可交易物品，超過建議上限 {limit} 個。處理過多物品可能會導致搜索時間過長或性能問題。',
+  'craftingInspiration.continueLimited': '繼續搜索（限制為前 {limit} 個）',
+  'craftingInspiration.searchCancelled': '已取消搜索',
+  'craftingInspiration.tip': '💡 提示：嘗試縮小等級範圍或選擇更少的職業來減少結果數量',
+  'craftingInspiration.rangeSummary': '(已選擇 {jobs} 個職業，最大範圍: {max})',
+
+  'obtain.noData': '暫無取得方式資料',
+  'obtain.treasureFinder': '前往藏寶圖查詢器',
+  'obtain.method.crafted': '製作',
+  'obtain.method.trade': '兌換',
+  'obtain.method.vendor': 'NPC商店',
+  'obtain.method.treasure': '寶箱/容器',
+  'obtain.method.instance': '副本掉落',
+  'obtain.method.desynth': '精製獲得',
+  'obtain.method.quest': '任務獎勵',
+  'obtain.method.fate': '危命任務',
+  'obtain.method.gathered': '採集獲得',
+  'obtain.method.reduced': '分解獲得',
+  'obtain.method.venture': '遠征獲得',
+  'obtain.method.gardening': '園藝獲得',
+  'obtain.method.mogstation': '商城購買',
+  'obtain.method.leve': '理符任務',
+  'obtain.method.voyage': '遠征',
+  'obtain.method.requirement': '需求',
+  'obtain.method.masterbook': '製作書',
+  'obtain.method.alarm': '鬧鐘提醒',
+  'obtain.method.drop': '怪物掉落',
+  'obtain.method.achievement': '成就獎勵',
+  'obtain.method.islandCrop': '島嶼作物',
+  'obtain.method.unknown': '未知',
+  'obtain.currencyFallback': '貨幣',
+  'obtain.instanceFallback': '副本 {id}',
+  'obtain.expandTree': '展開樹',
+  'obtain.collapseTree': '收起樹',
+  'obtain.clickExpandTree': '點擊展開製作價格樹',
+  'obtain.clickCollapseTree': '點擊收起製作價格樹',
+  'obtain.masterbookFallback': '專用配方書',
+  'obtain.requiresHq': '需要高品質版本',
+  'obtain.requiredQuest': '需要完成任務：',
+  'obtain.locationCount': '{count} 個位置',
+  'obtain.requiredAchievement': '需要完成成就：',
+  'obtain.levelLabel': '等級:',
+  'obtain.syncLevel': '(同步: {level})',
+  'obtain.ilvlRequired': 'iLvl要求:',
+  'obtain.unknownZone': '未知區域',
+  'obtain.levelValue': '等級{level}',
+  'obtain.levelRange': '等級{min}～{max}',
+  'obtain.position': '位置: ({x}, {y})',
+  'obtain.questFallback': '任務 {id}',
+  'obtain.questId': '任務 ID: {id}',
+  'obtain.allJobs': '所有職業',
+  'obtain.questLevel': '{level}級',
+  'obtain.fateLevel': '{level}級危命任務',
+  'obtain.notoriousMonster': '惡名精英',
+  'obtain.rewardItems': '獎勵物品',
+  'obtain.rating': '評價',
+  'obtain.ratingGold': '金牌',
+  'obtain.ratingSilver': '銀牌',
+  'obtain.ratingRare': '稀有',
+  'obtain.gatherFallback': '採集',
+  'obtain.islandNode': '島嶼採集點',
+  'obtain.nodeSpot': '{type}採集點',
+  'obtain.mogstation': '可在 Mog Station 商城購買',
+  'obtain.leveFallback': '理符任務 {id}',
+  'obtain.leveCost': '理符點數: {cost}',
+  'obtain.requiredItems': '需要物品:',
+  'obtain.rewards': '獎勵:',
+  'obtain.voyageAvailable': '可通過遠征獲得',
+  'obtain.voyageRoutes': '各航線收益 →',
+  'obtain.islandCropHint': '在島嶼聖域種植種子獲得',
+  'obtain.requiredSeed': '所需種子：',
+  'obtain.seedFallback': '種子 {id}',
+  'obtain.seedIdFallback': '種子 (ID: {id})',
+  'obtain.dataLoading': '資料載入中...',
+  'obtain.masterbookLimited': '此物品的製作書資訊可能來自限時活動內容，資料庫中暫無詳細資料。',
+  'obtain.viewHuijiWiki': '查看灰機 Wiki',
+  'obtain.duration': '持續 {minutes} 分鐘',
+  'obtain.spawnTimes': '出現時間: {times}',
+  'obtain.methodCount': '{count} 種',
+  'obtain.filterAll': '全部',
+  'obtain.achievementId': '成就ID:',
+  'obtain.rewardItemsLabel': '獎勵物品:',
+
+  'advancedSearch.description': '批量搜尋多個物品的市場價格，或使用篩選條件進行搜尋。',
+  'advancedSearch.tabFilter': '篩選搜尋',
+  'advancedSearch.tabBatch': '批量搜尋',
+  'advancedSearch.batchLabel': '物品名稱列表（每行一個或逗號分隔）',
+  'advancedSearch.batchPlaceholder': '輸入物品名稱，例如：\n精金錠\n秘銀錠\n山銅錠\n或：精金錠, 秘銀錠, 山銅錠',
+  'advancedSearch.batchLimitHint': '一次最多可搜尋100個物品名稱（支援繁體/簡體中文）',
+  'advancedSearch.exactSearch': '精確搜尋',
+  'advancedSearch.exactSearchShort': '精準',
+  'advancedSearch.exactSearchOn': '開啟精確搜尋',
+  'advancedSearch.exactSearchOff': '關閉精確搜尋',
+  'advancedSearch.bugNotice': '這個頁面測試量過於龐大，作者個人時間有限。各位使用大大有發現bug歡迎參考主頁上的巴哈或dc方式回報，感激感激',
+  'advancedSearch.selectJobs': '選擇職業',
+  'advancedSearch.selectCategories': '選擇物品分類',
+  'advancedSearch.categoryFilterPlaceholder': '篩選搜尋分類',
+  'advancedSearch.equipmentGroup': '裝備類',
+  'advancedSearch.miscGroup': '雜物類',
+  'advancedSearch.noCategoryMatch': '沒有找到匹配「{term}」的分類',
+  'advancedSearch.selectedCategories': '已選擇 {count} 個分類',
+  'advancedSearch.categoryMainHand': '主手',
+  'advancedSearch.categoryOffHand': '副手',
+  'advancedSearch.categoryMountBarding': '坐騎/鳥甲',
+  'advancedSearch.nameFilterPlaceholder': '物品名篩選（多關鍵詞用空格分隔）',
+  'advancedSearch.stopSearch': '停止搜尋',
+  'advancedSearch.clearFilters': '清空篩選',
+  'advancedSearch.showingFiltered': '，顯示 {count} 個',
+  'advancedSearch.enterItemName': '請輸入至少一個物品名稱',
+  'advancedSearch.tooManyNames': '一次最多只能搜尋100個物品名稱',
+  'advancedSearch.duplicatesRemoved': '已移除 {count} 個重複的物品名稱',
+  'advancedSearch.noItemsFound': '未找到任何物品',
+  'advancedSearch.noTradable': '沒有可交易的物品',
+  'advancedSearch.selectJobOrCategory': '請至少選擇一個職業或分類',
+  'advancedSearch.noMatchingItems': '未找到符合條件的物品',
+  'advancedSearch.marketDataError': '查詢市場資料時發生錯誤，請稍後再試',
+};
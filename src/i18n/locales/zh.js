@@ -0,0 +1,1108 @@
+// Simplified Chinese (简体中文)
+export default {
+  'common.copyItemName': '复制物品名称',
+  'common.copiedItemName': '已复制物品名称',
+  'common.copyFailed': '复制失败',
+  'common.loading': '加载中...',
+  'common.yes': '是',
+  'common.no': '否',
+  'common.loadFailed': '加载失败',
+  'common.componentLoadFailed': '无法加载 {name}，请刷新页面',
+  'common.unknownItem': '未知物品',
+  'common.refresh': '刷新',
+  'common.itemFallback': '物品 {id}',
+  'common.remove': '移除',
+  'common.clear': '清空',
+  'common.confirmClear': '确定清空？',
+  'common.import': '导入',
+  'common.export': '导出',
+  'common.appVersion': '版本号:',
+  'common.noData': '尚无数据',
+  'common.any': '不限',
+  'common.minutes': '分钟',
+  'common.every': '每',
+  'common.listSeparator': '、',
+  'common.copySummary': '复制摘要',
+  'common.marketDataLoadFailed': '加载市场数据失败',
+  'common.worldFallback': '服务器 {id}',
+  'common.selectServer': '请选择服务器',
+  'common.taxRate': '税率 {rate}%',
+  'common.categoriesLoadFailed': '加载物品分类失败',
+  'common.itemNamesLoadFailed': '加载物品名称失败',
+  'common.scanFailed': '扫描失败',
+  'common.stopScan': '停止扫描',
+  'common.showingTop': '显示前 {count} 个',
+  'common.itemCategory': '物品分类',
+  'common.allMarketable': '全部可交易物品',
+  'common.noMarketableInCategory': '此分类没有可交易物品',
+  'common.minVelocity': '最低日均销量',
+  'common.noMatchesRelax': '没有符合条件的物品，可放宽筛选条件',
+  'common.lowestPrice': '最低价',
+  'common.afterTaxProfit': '税后利润',
+  'common.dailyProfit': '预估日利润',
+  'common.add': '新增',
+  'common.checkFailed': '检查失败',
+  'common.copiedValue': '已复制 {value}',
+  'common.copyPrice': '复制价格',
+  'common.searchItemToAdd': '搜索物品名称加入追踪',
+  'common.delete': '删除',
+  'common.saveFailed': '储存失败',
+  'common.addedToShoppingList': '已将 {count} 个物品加入购物清单',
+  'common.close': '关闭',
+  'common.queryServer': '查询服务器',
+  'common.minLevel': '最低等级',
+  'common.maxLevel': '最高等级',
+  'common.level': '等级',
+  'common.stopQuery': '停止查询',
+  'common.querying': '查询中...',
+  'common.queryFailed': '查询失败',
+  'common.worldScope': '服务器 {name}',
+  'common.dcScope': '{name} 全服',
+  'common.limited': '限时',
+  'common.priceSource': '价格来源',
+  'common.averageSalePrice': '平均成交价',
+  'common.noSalesMinListing': '无成交纪录，使用最低在售价',
+  'common.zone': '区域',
+  'common.categoryFallback': '分类 {id}',
+  'common.noMatches': '没有符合条件的物品',
+  'common.noPrice': '无价格',
+  'common.perDay': '{count}/日',
+  'common.npcFallback': 'NPC {id}',
+  'common.search': '搜索',
+  'common.searching': '搜索中...',
+  'common.searchFailedRetry': '搜索失败，请稍后再试',
+  'common.itemInfoFailed': '无法获取物品信息',
+  'common.cancel': '取消',
+  'common.serverSelect': '服务器选择',
+  'common.confirm': '确认',
+
+  'nav.home': '返回主页',
+  'nav.advancedSearch': '高级搜索',
+  'nav.advancedSearchShort': '高级',
+  'nav.watchlist': '关注列表',
+  'nav.watchlistShort': '关注',
+  'nav.shoppingList': '购物清单',
+  'nav.shoppingListShort': '清单',
+  'nav.craftingInspiration': '制作灵感',
+  'nav.craftingInspirationShort': '灵感',
+  'nav.craftingInspirationTitle': '制作职业找价',
+  'nav.msq': '主线装备',
+  'nav.msqShort': '装备',
+  'nav.msqTitle': '主线装备查价',
+  'nav.taxRates': '查税',
+  'nav.tools': '工具',
+  'nav.history': '历史记录',
+  'nav.historyShort': '历史',
+  'nav.language': '语言',
+
+  'search.waitForServerData': '请等待服务器数据加载完成',
+  'search.resultsTitle': '搜索结果',
+  'toast.wikiOpenFailed': '无法打开Wiki链接',
+  'toast.itemSetFailed': '套装查询失败',
+  'toast.addedToWatchlist': '已将 {name} ({scope}) 加入追踪清单，可到追踪清单设置门槛',
+  'toast.serverLoadTimeout': '服务器加载超时，正在重试 ({attempt}/3)...',
+  'toast.serverDataEmpty': '服务器数据为空，正在重试 ({attempt}/3)...',
+  'toast.serverLoadFailedRetry': '服务器加载失败，正在重试 ({attempt}/3)...',
+  'toast.serverDataLoaded': '服务器数据加载完成',
+  'toast.serverDataRecovered': '服务器数据加载成功',
+  'toast.serverListFailed': '无法加载服务器列表，请刷新页面重试',
+  'toast.itemSelected': '已选择: {name}',
+  'toast.itemNotFound': '找不到该物品',
+  'toast.itemLoadFailed': '加载物品失败',
+  'toast.foundInSimplified': '「{text}」繁体搜索无数据，在简体中文数据库找到结果！',
+  'toast.tryingConversion': '「{text}」无搜索结果，正在尝试转译成「{converted}」',
+  'toast.foundItems': '找到 {count} 个物品',
+  'toast.foundMarketable': '找到 {count} 个可交易物品',
+  'toast.foundMarketableAndNot': '找到 {count} 个可交易物品、{untradable} 个不可交易物品',
+  'toast.noResults': '未找到可制品',
+  'toast.searchFailed': '搜索失败',
+  'toast.requestTimeoutRetry': '请求超时，正在重试 ({attempt}/3)...',
+  'toast.requestFailedRetry': '请求失败，正在重试 ({attempt}/3)...',
+  'toast.marketDataRecovered': '数据加载成功',
+  'toast.marketDataFailed': '加载市场数据失败',
+  'toast.notOnMarket': '此物品在市场数据中不存在',
+  'toast.pageStillLoading': '该页面数据正在加载中，请稍候...',
+
+  'history.empty': '暂无历史记录',
+  'history.recent': '最近查看 ({count})',
+  'history.clear': '清空历史记录',
+  'history.confirmClear': '确定要清空所有历史记录吗？',
+  'history.loading': '加载历史记录...',
+  'history.emptyHint': '查看物品详情后，会自动保存到历史记录',
+  'history.recentItems': '最近查看的物品',
+
+  'tools.arbitrage.label': '跨服倒卖',
+  'tools.arbitrage.description': '找出其他服务器便宜、可搬回本服转卖的物品',
+  'tools.retainers.label': '雇员压价追踪',
+  'tools.retainers.description': '检查雇员挂单是否被压价并建议新价格',
+  'tools.gathering.label': '采集赚钱',
+  'tools.gathering.description': '按市场价格与销量排序采矿、园艺、捕鱼的采集物',
+  'tools.craftingPlanner.label': '制作计划',
+  'tools.craftingPlanner.description': '合并多个成品的材料需求，列出购买清单与制作顺序',
+  'tools.desynth.label': '精制分解估价',
+  'tools.desynth.description': '估算精制与分解产出的价值，与直接卖出比较',
+  'tools.vendorFlips.label': '商店倒卖',
+  'tools.vendorFlips.description': '找出 NPC 金币商店便宜、市场板卖得更贵的物品',
+  'tools.currencyExchange.label': '货币兑换',
+  'tools.currencyExchange.description': '比较神典石、工票与徽章能兑换的物品，找出每单位货币最值钱的选择',
+  'tools.itemComparison.label': '装备比较',
+  'tools.itemComparison.description': '并排比较装备的属性、魔晶石孔、职业与价格',
+  'tools.meldingCost.label': '魔晶石镶嵌估价',
+  'tools.meldingCost.description': '计算禁断成功率、预期消耗的魔晶石数量与花费',
+  'tools.usedIn.label': '素材用途探索',
+  'tools.usedIn.description': '追溯素材能做成的所有成品，找出最划算的用途',
+  'tools.ventures.label': '雇员探险收益',
+  'tools.ventures.description': '依每枚探险币能换多少金币排序雇员可接的指定委托',
+  'tools.voyages.label': '远征收益规划',
+  'tools.voyages.description': '估算潜水艇与飞空艇各探索区域的战利品价值，找出最赚的航线',
+  'tools.islandWorkshop.label': '无人岛工房排程',
+  'tools.islandWorkshop.description': '依本周人气与供给排出贝壳最多的工房排程，并查询牧场与农田产物市价',
+
+  'table.image': '图片',
+  'table.itemName': '物品名',
+  'table.version': '版本',
+  'table.velocity': '日均销量',
+  'table.averagePrice': '平均价格',
+  'table.dcAveragePrice': '大区平均价格',
+  'table.minListing': '最低在售价',
+  'table.minListingWorld': '最低在售服务器',
+  'table.recentPurchase': '最近成交价',
+  'table.recentPurchaseWorld': '最近成交服务器',
+  'table.tradable': '可交易',
+  'table.untradable': '不可交易',
+  'table.links': '链接',
+  'table.unitPrice': '单价',
+  'table.quantity': '数量',
+  'table.total': '总计',
+  'table.retainer': '雇员',
+  'table.buyer': '买家',
+  'table.world': '服务器',
+  'table.time': '时间',
+  'table.loadingMarketData': '加载市场数据中...',
+  'table.versionTitle': '版本 {version}',
+  'table.region': '区域: {region}',
+  'table.copyHint': '点击复制按钮可复制物品名称',
+  'table.item': '物品',
+
+  'filter.rarity': '稀有度选择:',
+  'filter.version': '版本号选择:',
+  'filter.waitForItems': '请耐心等待物品加载完成',
+  'filter.noItems': '{label} (无物品)',
+
+  'rarity.1': '普通',
+  'rarity.2': '精良',
+  'rarity.3': '稀有',
+  'rarity.4': '史诗',
+
+  'listings.empty': '暂无在售列表',
+  'listings.mine': '我的',
+  'sales.empty': '暂无历史交易记录',
+
+  'shoppingList.add': '+清单',
+  'shoppingList.addTitle': '加入购物清单',
+  'shoppingList.added': '已加入购物清单',
+  'shoppingList.title': '购物清单',
+  'shoppingList.description': '从搜索结果、制作价格树或进阶搜索加入物品，自动找出全服最便宜的挂单并依服务器排出采购路线。',
+  'shoppingList.itemsCount': '物品 ({count})',
+  'shoppingList.planning': '查询中 {progress}',
+  'shoppingList.planRoute': '计算 {dc} 采购路线',
+  'shoppingList.empty': '清单是空的。在搜索结果的「+清单」或制作价格树的购物车按钮加入物品。',
+  'shoppingList.hqOnly': '仅HQ',
+  'shoppingList.estimatedCost': '预估花费',
+  'shoppingList.shortfall': '缺 {count}',
+  'shoppingList.routeTitle': '{dc} 采购路线',
+  'shoppingList.routeTotal': '总计 {total} gil',
+  'shoppingList.newItemsHint': '清单有新物品，请重新计算采购路线',
+  'shoppingList.unfilled': '挂单不足：{items}',
+  'shoppingList.routeCopied': '已复制购买路线',
+  'shoppingList.summaryTotal': '总计: {total} gil',
+  'shoppingList.summaryUnfilled': '不足: {items}',
+  'shoppingList.addAll': '全部加入购物清单',
+
+  'export.label': '导出:',
+  'export.copied': '已复制',
+  'export.failed': '导出失败',
+  'export.copy': '复制',
+  'export.csvTitle': 'CSV 下载',
+  'export.jsonTitle': 'JSON 下载',
+  'export.tsvTitle': '复制表格 (粘贴到电子表格)',
+
+  'slot.MainHand': '主手武器',
+  'slot.OffHand': '副手',
+  'slot.Head': '头部',
+  'slot.Body': '身体',
+  'slot.Gloves': '手套',
+  'slot.Waist': '腰部',
+  'slot.Legs': '腿部',
+  'slot.Feet': '脚部',
+  'slot.Ears': '耳环',
+  'slot.Neck': '项链',
+  'slot.Wrists': '手镯',
+  'slot.Rings': '戒指',
+  'slot.OneHandWeapon': '单手武器',
+  'slot.TwoHandWeapon': '双手武器',
+  'slot.BodyHead': '身体（占头部）',
+  'slot.BodyHeadLegsFeet': '身体（占头腿脚）',
+  'slot.LegsFeet': '腿部（占脚部）',
+
+  'error.serverListFailed': '无法加载服务器列表',
+  'error.searchFailed': '搜索失败，请稍后再试',
+  'error.rateLimited': '请求频率过高，请稍后再试',
+  'error.notOnMarket': '此物品在市场数据中不存在，可能无法在市场板交易',
+
+  'app.loadingServers': '正在加载服务器...',
+
+  'item.notOnTwServers': '繁中服数据查无此物',
+  'item.obtainMethods': '取得方式',
+  'item.obtainExpand': '展开取得方式',
+  'item.obtainCollapse': '收起取得方式',
+  'item.obtainLoadFailed': '取得方式加载失败，请刷新页面',
+  'item.loadingObtain': '加载取得方式...',
+  'item.craftingTree': '制作价格树',
+  'item.craftingTreeExpand': '展开制作价格树',
+  'item.craftingTreeCollapse': '收起制作价格树',
+  'item.craftingTreeLoadFailed': '制作价格树加载失败，请刷新页面',
+  'item.loadingCraftingTree': '加载制作价格树...',
+  'item.loadingRecipe': '加载配方中...',
+  'item.preparing': '准备中...',
+  'item.noRecipe': '此物品无制作配方',
+  'item.relatedItems': '可制品',
+  'item.relatedExpand': '展开可制品',
+  'item.relatedCollapse': '收起可制品',
+  'item.relatedLoadFailed': '可制品加载失败，请刷新页面',
+  'item.loadingRelated': '加载可制品...',
+  'item.notUsedAsMaterial': '此物品未被用作材料',
+  'item.itemSet': '全套查询',
+  'item.itemSetCount': '全套查询 ({count})',
+  'item.itemSetExpand': '展开全套查询结果',
+  'item.itemSetCollapse': '收起全套查询结果',
+  'item.noItemSet': '查无同套装结果',
+  'item.itemSetRule': '同套装判定：同版本、同品级（ilvl）、同装备等级、同职业限制；下方列出同套的其他部位（不含当前这件）。',
+  'item.notEquipment': '此物品非装备，无套装资讯。',
+  'item.noSetData': '无同套装备数据。',
+  'item.averagePriceLoading': '均价加载中…',
+  'item.watch': '加入追踪',
+  'item.watching': '追踪中',
+  'item.watchTitle': '加入追踪清单（目前服务器）',
+  'item.watchedTitle': '已在追踪清单中，点击查看',
+  'item.listings': '在售列表',
+  'item.sales': '历史交易',
+  'item.loadingSales': '正在加载历史数据...',
+  'item.priceTrend': '价格走势',
+  'item.priceTrendLoadFailed': '价格走势加载失败，请刷新页面',
+  'item.autoRetry': '将在3秒后自动重试...',
+  'item.loadingItem': '正在加载物品...',
+
+  'home.tips': '使用提示',
+  'home.tipKeywords': '支持多关键词搜索，用空格分隔（例如：「陈旧的 地图」）',
+  'home.tipHistory': '查看物品详情会自动保存到历史记录，最多保存10个物品，可在搜索栏旁的历史记录按钮查看',
+  'home.tipContact': '目前新版本会需要作者手动更新后端，如有功能异常请联系作者DC：wuperbear',
+  'home.loadingRecent': '加载最近更新...',
+
+  'watchlist.title': '追踪清单',
+  'watchlist.description': '在物品页加入追踪，设置买入/卖出门槛，价格跨过门槛时会自动提醒。',
+  'watchlist.autoCheck': '自动检查',
+  'watchlist.notificationsOn': '浏览器通知：开',
+  'watchlist.notificationsOff': '浏览器通知：关',
+  'watchlist.checking': '检查中...',
+  'watchlist.checkNow': '立即检查',
+  'watchlist.lastCheck': '上次检查: {time}',
+  'watchlist.empty': '追踪清单是空的，在物品页点「加入追踪」即可开始。',
+  'watchlist.quality': '品质',
+  'watchlist.buyBelow': '买入 ≤',
+  'watchlist.sellAbove': '卖出 ≥',
+  'watchlist.currentLowest': '目前最低价',
+  'watchlist.status': '状态',
+  'watchlist.statusBuy': '可买入',
+  'watchlist.statusSell': '可卖出',
+  'watchlist.statusWatching': '监控中',
+  'watchlist.imported': '已导入 {count} 个追踪项目',
+  'watchlist.importInvalidJson': '导入失败：文件不是有效的 JSON',
+  'watchlist.importFailed': '导入失败：{message}',
+  'watchlist.importBadFormat': '导入格式错误',
+  'watchlist.importNothing': '没有可导入的项目',
+  'watchlist.notificationsUnsupported': '此浏览器不支持通知',
+  'watchlist.notificationsEnabled': '已开启浏览器通知',
+  'watchlist.notificationsDenied': '浏览器通知权限被拒绝',
+  'watchlist.cleared': '已清空追踪清单',
+  'watchlist.alertBuy': '{name}{quality} 在 {world} 降至 {price} gil（目标 ≤ {target}）',
+  'watchlist.alertSell': '{name}{quality} 在 {world} 升至 {price} gil（目标 ≥ {target}）',
+  'watchlist.notifyBuyTitle': '追踪清单：可以买入',
+  'watchlist.notifySellTitle': '追踪清单：可以卖出',
+
+  'arbitrage.title': '跨服倒卖',
+  'arbitrage.description': '扫描可交易物品，找出其他服务器最低价明显低于本服平均成交价的物品，依税后利润 × 日均销量排序。选择全服时改与全服平均价比较。',
+  'arbitrage.homeServer': '本服（卖出服务器）',
+  'arbitrage.minProfit': '最低单件利润',
+  'arbitrage.minDiscount': '最低折扣 (%)',
+  'arbitrage.startScan': '开始扫描 {name}',
+  'arbitrage.sellWorld': '卖出服务器 {name}',
+  'arbitrage.dcAverage': '{name} 全服平均',
+  'arbitrage.resultsTitle': '倒卖机会 ({count})',
+  'arbitrage.scanning': '扫描中，找到的物品会即时显示...',
+  'arbitrage.idle': '选择服务器与分类后开始扫描',
+  'arbitrage.buyWorld': '购买服务器',
+  'arbitrage.expectedSellPrice': '预估售价',
+  'arbitrage.discount': '折扣',
+  'arbitrage.averagePriceTitle': '平均成交价 {price}',
+
+  'retainers.title': '雇员压价追踪',
+  'retainers.description': '登录雇员名称与所在服务器，并加入正在贩售的物品，一键检查哪些挂单已不是最低价、差多少，以及建议的新价格。',
+  'retainers.myRetainers': '我的雇员 ({count})',
+  'retainers.namePlaceholder': '雇员名称',
+  'retainers.noRetainers': '尚未登录雇员',
+  'retainers.trackedItems': '贩售物品 ({count})',
+  'retainers.noItems': '尚未加入物品',
+  'retainers.retainerExists': '此雇员已登录',
+  'retainers.itemExists': '此物品已在追踪清单',
+  'retainers.undercutToast': '{count} 个挂单被压价',
+  'retainers.allLowestToast': '所有挂单都是最低价',
+  'retainers.results': '检查结果',
+  'retainers.undercutCount': '{count} 个被压价',
+  'retainers.allLowest': '全部最低价',
+  'retainers.lastCheck': '上次检查 {time}',
+  'retainers.checking': '检查中 {progress}',
+  'retainers.check': '检查压价',
+  'retainers.setupHint': '先登录雇员并加入贩售物品',
+  'retainers.checkHint': '点击「检查压价」开始',
+  'retainers.showNotListed': '显示未上架的物品 ({count})',
+  'retainers.worldRetainer': '服务器 / 雇员',
+  'retainers.myPrice': '我的价格',
+  'retainers.competitorPrice': '最低竞争价',
+  'retainers.difference': '差额',
+  'retainers.suggestedPrice': '建议价格',
+  'retainers.moreListings': ' 等 {count} 笔',
+  'retainers.notListed': '此服务器没有你的雇员挂单',
+  'retainers.lowest': '最低价',
+
+  'city.limsaLominsa': '利姆萨·罗敏萨',
+  'city.gridania': '格里达尼亚',
+  'city.uldah': '乌尔达哈',
+  'city.ishgard': '伊修加德',
+  'city.kugane': '黄金港',
+  'city.crystarium': '水晶都',
+  'city.oldSharlayan': '旧萨雷安',
+  'city.tuliyollal': '图莱尤拉',
+
+  'craftingProfit.calculating': '计算利润中...',
+  'craftingProfit.title': '制作利润',
+  'craftingProfit.salePrice': '售价',
+  'craftingProfit.materialCost': '材料成本 / 个',
+  'craftingProfit.unitsPerCraft': '每次制作产出 {count} 个',
+  'craftingProfit.netRevenue': '税后收入 / 个',
+  'craftingProfit.taxCity': '（{city}）',
+  'craftingProfit.taxDefault': '（默认）',
+  'craftingProfit.netProfit': '净利 / 利润率',
+  'craftingProfit.gilPerHour': '每小时收益',
+  'craftingProfit.dcVelocity': '全服日均销量 {velocity}',
+  'craftingProfit.missingPrices': '部分材料无价格且无法制作，无法计算成本',
+  'craftingProfit.crystalsExcluded': '成本未计入水晶，开启水晶开关可一并计算',
+  'craftingProfit.plan': '购买 / 制作清单',
+  'craftingProfit.buy': '购买 ({count})',
+  'craftingProfit.craft': '制作 ({count})',
+  'craftingProfit.crafts': '{count} 次',
+  'craftingProfit.allCheaperToBuy': '所有材料直接购买较便宜',
+
+  'priceHistory.window24h': '24小时',
+  'priceHistory.window7d': '7天',
+  'priceHistory.window30d': '30天',
+  'priceHistory.loadFailed': '加载历史价格失败',
+  'priceHistory.byQuality': '依品质显示',
+  'priceHistory.byWorld': '依服务器显示',
+  'priceHistory.volume': '成交量',
+  'priceHistory.volumeTotal': '成交量 {count}',
+  'priceHistory.loading': '加载历史价格中...',
+  'priceHistory.noSales': '此期间无成交记录',
+
+  'ocr.multiLineEmpty': '无法辨识图片中的物品清单。请确认截图包含物品名称栏位，且文字为繁体中文。',
+  'ocr.multiLineHint': '截图整个物品清单，一次查询所有物品价格！',
+  'ocr.singleHint': '直接截图物品名称，让 OCR 帮你识别！',
+  'ocr.modeSingle': '单一物品',
+  'ocr.modeMulti': '多行清单',
+  'ocr.multiLineSources': '雇员出售清单、背包或市场列表截图',
+  'ocr.linesFound': '辨识到 {count} 行，请确认要查价的物品（匹配度低的行可能辨识错误）',
+  'ocr.noMatch': '找不到对应物品',
+  'ocr.retake': '重新截图',
+  'ocr.batchPrice': '批量查价 ({count})',
+  'ocr.tesseractNotLoaded': 'Tesseract.js 尚未加载，请稍候再试',
+  'ocr.recognitionFailed': 'OCR 辨识过程发生错误',
+
+  'savedSearch.saved': '已储存搜索「{name}」',
+  'savedSearch.linkCopied': '已复制搜索链接',
+  'savedSearch.count': '已储存的搜索 ({count})',
+  'savedSearch.none': '尚无已储存的搜索',
+  'savedSearch.namePlaceholder': '搜索名称',
+  'savedSearch.save': '储存目前搜索',
+  'savedSearch.copyLinkTitle': '复制包含目前筛选条件的链接',
+  'savedSearch.copyLink': '复制分享链接',
+
+  'dataCache.title': '数据快取',
+  'dataCache.groupRecipes': '配方（全部）',
+  'dataCache.groupRecipesByResult': '配方（依成品）',
+  'dataCache.groupRecipesByIngredient': '配方（依材料）',
+  'dataCache.groupRecipesByJobLevel': '配方（依职业等级）',
+  'dataCache.groupItemDescriptions': '物品说明',
+  'dataCache.groupItemCategoryNames': '物品分类名称',
+  'dataCache.groupItemCategories': '物品分类',
+  'dataCache.groupEquipment': '装备',
+  'dataCache.groupEquipSlots': '装备部位',
+  'dataCache.groupJobNames': '职业名称',
+  'dataCache.groupPatchNames': '版本名称',
+  'dataCache.cleared': '已清除快取，数据将重新下载',
+  'dataCache.memoryCleared': '已清除记忆体快取',
+  'dataCache.description': '配方、分类等游戏数据会储存在浏览器中，刷新页面或离线时可直接使用。数据会在版本更新时自动失效，超过一天的数据会在背景重新下载。',
+  'dataCache.loading': '读取快取资讯...',
+  'dataCache.unavailable': '此浏览器不支持 IndexedDB（可能为无痕模式），数据将不会离线保存',
+  'dataCache.dataVersion': '数据版本',
+  'dataCache.entries': '快取项目',
+  'dataCache.size': '快取大小（估计）',
+  'dataCache.siteUsage': '网站总用量 {size}',
+  'dataCache.empty': '目前没有快取数据',
+  'dataCache.data': '数据',
+  'dataCache.items': '项目',
+  'dataCache.sizeColumn': '大小',
+  'dataCache.updatedAt': '更新时间',
+  'dataCache.online': '● 已连线',
+  'dataCache.offline': '● 离线中，使用快取数据',
+  'dataCache.clearing': '清除中...',
+  'dataCache.clearAndRedownload': '清除并重新下载',
+
+  'craftingTree.addToListTitle': '加入购物清单 ×{quantity}',
+  'craftingTree.addToPlanner': '加入制作计划',
+  'craftingTree.addedToPlanner': '已加入制作计划',
+  'craftingTree.addToPlannerTitle': '加入制作计划，与其他成品合并计算材料',
+  'craftingTree.jobFallback': '职业 {id}',
+  'craftingTree.expert': '专家',
+  'craftingTree.switchRecipe': '切换配方',
+  'craftingTree.ownedMaterials': '持有材料',
+  'craftingTree.ownedApplied': '已填 {count} 项，树与成本已扣除',
+  'craftingTree.clearOwned': '清除本树持有数量',
+  'craftingTree.requiredMissing': '共需要 / 还缺',
+  'craftingTree.ownedCount': '持有数量',
+  'craftingTree.requiredTotal': '共需要 {count}',
+  'craftingTree.owned': '持有 {count}',
+  'craftingTree.kindResult': '成品',
+  'craftingTree.kindIntermediate': '中间素材',
+  'craftingTree.kindMaterial': '材料',
+  'craftingTree.exportKind': '类型',
+  'craftingTree.exportOwned': '持有',
+  'craftingTree.exportPriceType': '价格类型',
+  'craftingTree.exportSubtotal': '小计',
+  'craftingTree.copied': '已复制',
+  'craftingTree.copyName': '复制名称',
+  'craftingTree.formulaTitle': '计算公式详情',
+  'craftingTree.materialBreakdown': '材料成本明细：',
+  'craftingTree.materialLine': '{amount} 个 × {unit} = {total}',
+  'craftingTree.craftedSuffix': ' (制作)',
+  'craftingTree.materialTotal': '材料总成本：',
+  'craftingTree.yields': '制作产出数量：{yields}',
+  'craftingTree.yieldsIncluded': '制作产出数量：{yields}，已纳入成本考量',
+  'craftingTree.unitCostFormula': '单个成本 = 总成本 ÷ 产出数量：',
+  'craftingTree.materialCost': '材料成本：',
+  'craftingTree.priceComparison': '价格比较：',
+  'craftingTree.craftCost': '制作成本：',
+  'craftingTree.craftCostWithYields': '制作成本 (已考虑产出数量={yields})：',
+  'craftingTree.buyCost': '购买成本：',
+  'craftingTree.unitPriceLine': '单价：{unit} × {amount} 个 = {total}',
+  'craftingTree.difference': '差额：',
+  'craftingTree.viewItem': '查看 {name}',
+  'craftingTree.minListingFallback': '最近四天无销售发生，改为用最低价格',
+  'craftingTree.notForSale': '无贩售',
+  'craftingTree.insufficientMaterials': '该服缺乏关键素材且无成品购买',
+  'craftingTree.viewFormula': '点击查看计算公式',
+  'craftingTree.optimalRouteNote': '以最优路线计算（每项材料取买/制的较低价）',
+  'craftingTree.optimalCraft': '最优制作: {price}',
+  'craftingTree.buyFinished': '直购成品: {price}',
+  'craftingTree.recommendBuy': '建议直购',
+  'craftingTree.recommendCraft': '建议自制',
+  'craftingTree.bestCraftOnly': '自制最佳: {price}',
+  'craftingTree.samePrice': '价格相同',
+  'craftingTree.recommendCraftSave': '建议自制，省 {price}',
+  'craftingTree.recommendBuySave': '建议直购，省 {price}',
+  'craftingTree.insufficientInfo': '资讯不足',
+  'craftingTree.materials': '材料: {price}',
+  'craftingTree.finished': '成品: {price}',
+  'craftingTree.finishedAmount': '{amount}个成品: {price}',
+  'craftingTree.craftSave': '自制省 {price}',
+  'craftingTree.buySave': '直购省 {price}',
+  'craftingTree.yieldsPerCraft': '单次制作产出 {yields} 个',
+  'craftingTree.dcSearch': '{name}（全服搜索）',
+  'craftingTree.noRecipe': '无制作配方',
+  'craftingTree.title': '制作价格树',
+  'craftingTree.crystalToggle': '水晶开关',
+  'craftingTree.crystalHint': '提供给大量制作的匠人更精确定位价格',
+  'craftingTree.priceDcMin': '价格为全服最低在售价格',
+  'craftingTree.priceNone': '该服无平均价格且无最低价格，无法显示价格',
+  'craftingTree.pricePartialFallback': '部分物品4天内无销售记录，无平均值改用该服最低价格',
+  'craftingTree.priceNoSalesFallback': '最近四天没有成功销售记录，无平均值和日均销售，部分价格会使用该服最低价格',
+  'craftingTree.priceWorldAverage': '价格为4天内该服卖出平均价格',
+  'craftingTree.velocityLabel': '日均销量:',
+  'craftingTree.velocityWorldTitle': '单服日均销量',
+  'craftingTree.velocityWorld': '单服 {value}',
+  'craftingTree.velocityDcTitle': '全服日均销量',
+  'craftingTree.velocityDc': '全服 {value}',
+  'craftingTree.loadingPrices': '加载价格中...',
+  'craftingTree.legendRoute': '最优路线({method})',
+  'craftingTree.methodCraft': '制作',
+  'craftingTree.methodBuy': '购买',
+  'craftingTree.legendPrice': '价格',
+  'craftingTree.legendMinPrice': '最低价',
+  'craftingTree.legendAvgPrice': '平均价',
+
+  'gathering.title': '采集赚钱',
+  'gathering.description': '选择采集职业与等级范围，依税后每次采集收益排序可交易的采集物，并列出采集点位置。日潜在收益 = 税后单价 × 日均销量，代表市场每天大约能消化的金额。',
+  'gathering.itemsPerGather': '每次采集数量',
+  'gathering.search': '查询 {job} 采集收益',
+  'gathering.includeLimited': '包含限时采集点',
+  'gathering.noItemsInRange': '此等级范围没有可交易的采集物品',
+  'gathering.resultsTitle': '采集物排行 ({count})',
+  'gathering.idle': '选择职业与等级范围后开始查询',
+  'gathering.gatheringLevel': '采集等级',
+  'gathering.location': '采集地点',
+  'gathering.gilPerGather': '每次采集收益',
+  'gathering.dailyGil': '日潜在收益',
+  'gathering.nodeLabel': '{type}采集点 Lv.{level}',
+  'gathering.nodeMining': '采矿',
+  'gathering.nodeQuarrying': '采石',
+  'gathering.nodeLogging': '采伐',
+  'gathering.nodeHarvesting': '割取',
+  'gathering.nodeFishing': '钓鱼',
+  'gathering.nodeSpearfishing': '潜水',
+
+  'desynth.title': '精制分解估价',
+  'desynth.description': '估算精制与分解的产出价值，并与直接卖出或市场购入价比较，找出值得买来精制的便宜装备。数据只列出可能产出、没有掉落机率，因此期望值以各产出机率相同计算，每次产出数量可自行调整。',
+  'desynth.methodDesynth': '精制',
+  'desynth.methodReduction': '分解',
+  'desynth.modeCategory': '依分类排行',
+  'desynth.modeItem': '单一物品',
+  'desynth.method': '方式',
+  'desynth.searchPlaceholder': '搜索要精制或分解的物品',
+  'desynth.itemsPerExtraction': '每次产出数量',
+  'desynth.search': '查询{method}价值',
+  'desynth.onlyProfitable': '只显示购入后有赚的物品',
+  'desynth.resultsTitle': '估价结果 ({count})',
+  'desynth.idle': '选择分类或物品后开始查询',
+  'desynth.possibleOutputs': '可能产出',
+  'desynth.buyPrice': '购入价',
+  'desynth.sellDirect': '直接卖出',
+  'desynth.sellDirectAfterTax': '直接卖出(税后)',
+  'desynth.expectedValue': '期望产出价值',
+  'desynth.expectedValueAfterTax': '期望产出价值(税后)',
+  'desynth.vsSelling': '比直接卖出',
+  'desynth.profitVsSelling': '比直接卖出多',
+  'desynth.profitVsBuying': '购入后净赚',
+  'desynth.unpricedOutputs': '{count} 项产出无价格，以 0 计算',
+  'desynth.dataLoadFailed': '加载精制数据失败',
+  'desynth.noExtractionData': '此物品没有精制或分解数据',
+
+  'vendorFlips.title': '商店倒卖',
+  'vendorFlips.description': '找出 NPC 商店用金币就能买到、在市场板上却卖得比较贵的物品。市场价取平均成交价与最低在售价中较低者，每件利润 = 税后市场价 − NPC 价格；日潜在利润 = 每件利润 × 日均销量。',
+  'vendorFlips.minMargin': '最低利润率 (%)',
+  'vendorFlips.minProfit': '最低每件利润',
+  'vendorFlips.search': '查询商店倒卖',
+  'vendorFlips.noShopItems': '没有可交易的商店物品',
+  'vendorFlips.resultsTitle': '倒卖排行 ({count})',
+  'vendorFlips.idle': '设置筛选条件后开始查询',
+  'vendorFlips.vendor': '贩售 NPC',
+  'vendorFlips.npcPrice': 'NPC 价格',
+  'vendorFlips.marketPrice': '市场价',
+  'vendorFlips.profitPerItem': '每件利润',
+  'vendorFlips.profitPerItemAfterTax': '每件利润(税后)',
+  'vendorFlips.margin': '利润率',
+  'vendorFlips.marginPercent': '利润率(%)',
+  'vendorFlips.dailyProfit': '日潜在利润',
+  'vendorFlips.marketPriceTitle': '平均成交价 {average} / 最低在售价 {minListing}',
+
+  'currencyExchange.title': '货币兑换',
+  'currencyExchange.description': '选择神典石、工票或徽章，列出所有能用它兑换的可交易物品，依税后每单位货币可换得的金币排序。预估收益以持有数量能兑换的数量为准，但不超过市场一周的销量。',
+  'currencyExchange.groupTomestones': '神典石',
+  'currencyExchange.groupScrips': '工票',
+  'currencyExchange.groupSeals': '徽章与战利品',
+  'currencyExchange.groupGrandCompany': '军票',
+  'currencyExchange.budget': '持有数量',
+  'currencyExchange.search': '查询 {currency} 兑换价值',
+  'currencyExchange.noTrades': '此货币没有可兑换的可交易物品',
+  'currencyExchange.resultsTitle': '兑换排行 ({count})',
+  'currencyExchange.idle': '选择货币后开始查询',
+  'currencyExchange.cost': '兑换价',
+  'currencyExchange.amountPerTrade': '每次获得数量',
+  'currencyExchange.gilPerCurrency': '每单位货币金币',
+  'currencyExchange.affordable': '可兑换数量',
+  'currencyExchange.sellablePerWeek': '一周可售出',
+  'currencyExchange.affordableSellable': '可兑换 / 一周可售',
+  'currencyExchange.expectedGil': '预估收益',
+
+  'itemComparison.title': '装备比较',
+  'itemComparison.description': '最多 {max} 件装备并排比较品级、基本性能、魔晶石孔、可用职业与目前最低价。主属性依品级与部位估算，副属性栏为镶嵌上限；每点主属性价格以 NQ/HQ 中较便宜的最低价计算。',
+  'itemComparison.loadFailed': '加载装备数据失败',
+  'itemComparison.pricesLoadFailed': '加载价格失败',
+  'itemComparison.tooMany': '最多同时比较 {max} 件装备',
+  'itemComparison.addItem': '加入装备 ({count}/{max})',
+  'itemComparison.searchPlaceholder': '搜索装备名称',
+  'itemComparison.clearAll': '清除全部',
+  'itemComparison.loadingPrices': '加载价格中...',
+  'itemComparison.resultsTitle': '比较结果',
+  'itemComparison.pricesFor': '{scope}价格',
+  'itemComparison.idle': '搜索并加入装备后开始比较',
+  'itemComparison.notEquipment': '不是装备',
+  'itemComparison.removeItem': '移除 {name}',
+  'itemComparison.ilvl': '品级',
+  'itemComparison.equipLevel': '装备等级',
+  'itemComparison.slot': '部位',
+  'itemComparison.jobs': '职业',
+  'itemComparison.primaryStat': '主属性（估算）',
+  'itemComparison.substatCap': '副属性上限',
+  'itemComparison.materiaSlots': '魔晶石孔',
+  'itemComparison.advancedMelding': '（可禁断）',
+  'itemComparison.nqPrice': 'NQ 最低价',
+  'itemComparison.hqPrice': 'HQ 最低价',
+  'itemComparison.costPerStat': '每点主属性价格',
+  'itemComparison.paramFallback': '属性 {id}',
+  'itemComparison.compareTop': '并排比较前 {count} 件',
+
+  'meldingCost.title': '魔晶石镶嵌估价',
+  'meldingCost.description': '选择装备与要镶嵌的魔晶石，计算每个孔位的禁断成功率、预期消耗数量与目前市价下的花费。失败只会损失魔晶石，预期消耗为 100 ÷ 成功率；{pct}% 把握数量为有 {pct}% 机率足够成功的数量。',
+  'meldingCost.materiaLoadFailed': '加载魔晶石数据失败',
+  'meldingCost.addedToShoppingList': '已将 {count} 种魔晶石加入购物清单',
+  'meldingCost.groupCombat': '战斗',
+  'meldingCost.groupCrafting': '制作',
+  'meldingCost.groupGathering': '采集',
+  'meldingCost.slot': '孔位',
+  'meldingCost.overmeld': '禁断',
+  'meldingCost.overmeldSuffix': '（禁断）',
+  'meldingCost.materia': '魔晶石',
+  'meldingCost.stat': '属性',
+  'meldingCost.successRate': '成功率',
+  'meldingCost.successRatePercent': '成功率 (%)',
+  'meldingCost.expectedCount': '预期消耗',
+  'meldingCost.safeCount': '{pct}% 把握数量',
+  'meldingCost.safeCountShort': '{pct}% 把握',
+  'meldingCost.expectedCost': '预期花费',
+  'meldingCost.gear': '装备',
+  'meldingCost.loadingMateria': '加载魔晶石数据中...',
+  'meldingCost.hqGear': 'HQ 装备',
+  'meldingCost.ilvl': '品级 {ilvl}',
+  'meldingCost.materiaSlots': '魔晶石孔 {count}',
+  'meldingCost.overmeldable': '，可禁断',
+  'meldingCost.notOvermeldable': '，不可禁断',
+  'meldingCost.notMeldable': '此物品无法镶嵌魔晶石',
+  'meldingCost.planTitle': '镶嵌计划',
+  'meldingCost.meldCount': '镶嵌数量',
+  'meldingCost.totalExpectedCount': '预期消耗魔晶石',
+  'meldingCost.missingPrices': '{count} 种魔晶石无价格，未计入',
+  'meldingCost.safeBudget': '{pct}% 把握预算',
+  'meldingCost.impossibleSlot': '陆型以上的偶数型魔晶石只能镶嵌在第一个禁断孔，成功率为 0 的孔位请改用其他魔晶石。',
+  'meldingCost.applyToAll': '套用至全部',
+
+  'usedIn.title': '素材用途探索',
+  'usedIn.description': '从素材往上追溯多层配方，找出它能做成的所有成品并依目前市价估值。每个素材价值 = (税后售价 − 路径上其他材料的购买成本) ÷ 每件成品耗用的素材数，可直接和素材本身的售价比较。',
+  'usedIn.selectMaterial': '请先选择素材',
+  'usedIn.noRecipes': '没有使用此素材的配方',
+  'usedIn.progressDepth': '第 {depth} 层，已找到 {count} 个成品',
+  'usedIn.progressPrices': '加载价格',
+  'usedIn.depth': '层数',
+  'usedIn.via': '经由',
+  'usedIn.viaPath': '经由 {path}',
+  'usedIn.materialPerUnit': '每件耗用素材',
+  'usedIn.otherCost': '其他材料成本',
+  'usedIn.valuePerMaterial': '每个素材价值',
+  'usedIn.grossPerMaterial': '每个素材价值(不扣材料)',
+  'usedIn.material': '素材',
+  'usedIn.searchPlaceholder': '搜索素材名称',
+  'usedIn.maxDepth': '追溯层数',
+  'usedIn.depthOption': '{depth} 层',
+  'usedIn.explore': '探索用途',
+  'usedIn.usesOf': '{name} 的用途',
+  'usedIn.resultsTitle': '用途排行',
+  'usedIn.endProductsOnly': '只看最终成品',
+  'usedIn.rawSale': '直接卖出素材：',
+  'usedIn.perUnit': '{price} / 个',
+  'usedIn.beatsRawHint': '绿色为比直接卖素材更划算的成品',
+  'usedIn.truncated': '成品超过 {max} 个，已停止追溯，可减少层数',
+  'usedIn.noProducts': '没有可估价的成品',
+  'usedIn.idle': '选择素材后开始探索',
+  'usedIn.product': '成品',
+  'usedIn.recipe': '配方',
+  'usedIn.levelN': '第 {depth} 层',
+  'usedIn.missingPrices': '部分材料无价格',
+  'usedIn.grossTitle': '不扣其他材料 {value}',
+
+  'ventures.title': '雇员探险收益',
+  'ventures.description': '依雇员职业、等级与品级/鉴别力，列出可接的指定委托并以市价计算每枚探险币的税后收益。自由探索委托另外列出全奖励池的平均值供参考，无法和指定委托直接比较。',
+  'ventures.classCombat': '战斗职',
+  'ventures.noTasks': '没有此雇员可接的指定委托，可调整等级或属性',
+  'ventures.retainerClass': '雇员职业',
+  'ventures.retainerLevel': '雇员等级',
+  'ventures.gathering': '获得力',
+  'ventures.perception': '鉴别力',
+  'ventures.averageIlvl': '平均品级',
+  'ventures.search': '查询探险收益',
+  'ventures.quickTitle': '自由探索委托',
+  'ventures.quickSummary': '每次 {cost} 枚探险币 · 奖励池 {pool} 种，{priced} 种有市价',
+  'ventures.quickNotComparable': '奖励池包含所有职业与等级的奖励，数据中没有依雇员职业或等级区分的奖励与机率，因此以下为全池平均，并非此雇员的期望收益，不可与指定委托比较。',
+  'ventures.quickPoolAverage': '全池平均每次',
+  'ventures.quickPoolAveragePerVenture': '全池平均每枚探险币',
+  'ventures.quickTopRewards': '全池最高价奖励',
+  'ventures.velocityTitle': '日均销量 {value}',
+  'ventures.resultsTitle': '指定委托排行 ({count})',
+  'ventures.noResults': '没有可估价的指定委托',
+  'ventures.idle': '设置雇员后开始查询',
+  'ventures.taskItem': '委托物品',
+  'ventures.taskLevel': '委托等级',
+  'ventures.cost': '探险币',
+  'ventures.gilPerVenture': '每枚探险币',
+  'ventures.gilPerVentureAfterTax': '每枚探险币收益(税后)',
+  'ventures.slowTitle': '每日销量少于一次委托带回的数量',
+
+  'voyages.title': '远征收益规划',
+  'voyages.description': '列出部队潜水艇与飞空艇各探索区域可能带回的物品，以市价估算每个区域与整条航线的税后期望收益。掉落机率未公开，每个区域以其所有可能物品平均计算，不可交易的物品以 0 计。',
+  'voyages.typeAirship': '飞空艇',
+  'voyages.typeSubmarine': '潜水艇',
+  'voyages.voyageType': '远征类型',
+  'voyages.sea': '海域',
+  'voyages.allSeas': '全部海域',
+  'voyages.seaN': '第 {sea} 海域',
+  'voyages.search': '查询{type}收益',
+  'voyages.sameSeaOnly': '潜水艇航线只能在同一片海域内',
+  'voyages.maxSectors': '航线最多 {max} 个区域',
+  'voyages.routeTitle': '航线',
+  'voyages.routeHint': '勾选下方区域组成航线（最多 {max} 个），每个区域以带回一件物品估算',
+  'voyages.routeHintSubmarine': '勾选下方区域组成航线（最多 {max} 个，需在同一海域），每个区域以带回一件物品估算',
+  'voyages.currentRoute': '目前航线每趟期望收益',
+  'voyages.suggestedRoute': '建议航线',
+  'voyages.suggestedRouteInSea': '建议航线（{sea}）',
+  'voyages.apply': '套用',
+  'voyages.removeFromRoute': '从航线移除',
+  'voyages.noRouteSectors': '尚未选择区域',
+  'voyages.resultsTitle': '探索区域排行 ({count})',
+  'voyages.noResults': '没有可估价的探索区域',
+  'voyages.idle': '选择远征类型后开始查询',
+  'voyages.sector': '区域',
+  'voyages.possibleLoot': '可能获得',
+  'voyages.priced': '有市价',
+  'voyages.expectedGil': '期望收益',
+  'voyages.expectedGilAfterTax': '期望收益(税后)',
+  'voyages.bestLoot': '最高价物品',
+  'voyages.addToRoute': '将 {name} 加入航线',
+  'voyages.lootCount': '共 {count} 种',
+  'voyages.sectorFallback': '区域 {id}',
+
+  'islandWorkshop.title': '无人岛工房排程',
+  'islandWorkshop.description': '输入本周的人气模式与各制作物的供给状况，自动排出每天产出最多无人岛贝壳的工房排程（连续制作同主题的不同物品可触发效率加成）。之后的天数会依排程产量估算供给上升，仅供参考。下方可查询牧场与农田产物的市价。',
+  'islandWorkshop.loadFailed': '无人岛数据加载失败',
+  'islandWorkshop.noneMarketable': '牧场与农田的产物目前都无法在市场交易',
+  'islandWorkshop.day': '天数',
+  'islandWorkshop.order': '顺序',
+  'islandWorkshop.startHour': '开始时间',
+  'islandWorkshop.craftwork': '制作物',
+  'islandWorkshop.efficiencyBonus': '效率加成',
+  'islandWorkshop.cowriesPerWorkshop': '每间工房贝壳',
+  'islandWorkshop.sourcePasture': '牧场',
+  'islandWorkshop.sourceCropland': '农田',
+  'islandWorkshop.pattern': '本周人气模式',
+  'islandWorkshop.patternN': '模式 {pattern}',
+  'islandWorkshop.rank': '开拓等级',
+  'islandWorkshop.workshops': '工房数量',
+  'islandWorkshop.workshopCount': '{count} 间',
+  'islandWorkshop.tier': '工房等级',
+  'islandWorkshop.groove': '干劲',
+  'islandWorkshop.restDays': '休息日：',
+  'islandWorkshop.dayN': '第 {day} 天',
+  'islandWorkshop.scheduleTitle': '本周排程',
+  'islandWorkshop.weekTotal': '预估总贝壳',
+  'islandWorkshop.rest': '休息',
+  'islandWorkshop.stepTitle': '{hour}:00 开始 · 供给 {supply}',
+  'islandWorkshop.demandTitle': '本周需求 ({count})',
+  'islandWorkshop.setAllSupply': '全部供给设为',
+  'islandWorkshop.choose': '选择',
+  'islandWorkshop.noCraftworks': '此开拓等级没有可制作的物品',
+  'islandWorkshop.theme': '主题',
+  'islandWorkshop.craftingTime': '工时',
+  'islandWorkshop.baseValue': '基本价值',
+  'islandWorkshop.popularity': '人气',
+  'islandWorkshop.currentSupply': '目前供给',
+  'islandWorkshop.supplyFor': '{name} 供给',
+  'islandWorkshop.leavingsTitle': '牧场与农田产物市价',
+  'islandWorkshop.queryPrices': '查询市价',
+  'islandWorkshop.popularityVeryHigh': '非常受欢迎',
+  'islandWorkshop.popularityHigh': '受欢迎',
+  'islandWorkshop.popularityAverage': '普通',
+  'islandWorkshop.popularityLow': '不受欢迎',
+  'islandWorkshop.supplyNonexistent': '极度短缺',
+  'islandWorkshop.supplyInsufficient': '不足',
+  'islandWorkshop.supplySufficient': '普通',
+  'islandWorkshop.supplySurplus': '充足',
+  'islandWorkshop.supplyOverflowing': '过剩',
+
+  'craftingPlanner.title': '制作计划',
+  'craftingPlanner.description': '一次排入多个成品与数量，合并计算所需材料。共用的半成品只会计算一次，并依产出数量取整；制作步骤先做半成品，再依职业与等级排列。配方选择与持有材料沿用物品页的制作树设置。',
+  'craftingPlanner.targetsTitle': '制作目标 ({count})',
+  'craftingPlanner.searchPlaceholder': '搜索物品名称加入制作目标',
+  'craftingPlanner.emptyQueue': '尚未加入物品，可在上方搜索或从物品页的制作树加入',
+  'craftingPlanner.plan': '计算制作计划',
+  'craftingPlanner.planning': '计算中...',
+  'craftingPlanner.excludeCrystals': '不计水晶',
+  'craftingPlanner.useOwned': '扣除持有材料',
+  'craftingPlanner.outdated': '制作目标已变更，请重新计算',
+  'craftingPlanner.materialCost': '材料成本',
+  'craftingPlanner.missingPrices': '{count} 项材料无价格，未计入',
+  'craftingPlanner.targetValue': '成品市价',
+  'craftingPlanner.savings': '制作可省下',
+  'craftingPlanner.materialsTitle': '购买材料 ({count})',
+  'craftingPlanner.required': '需求',
+  'craftingPlanner.owned': '持有',
+  'craftingPlanner.toBuy': '需购买',
+  'craftingPlanner.subtotal': '小计',
+  'craftingPlanner.unitPriceTitle': '单价 {price}',
+  'craftingPlanner.stepsTitle': '制作步骤 ({count})',
+  'craftingPlanner.copyPlan': '复制计划',
+  'craftingPlanner.noCrafts': '持有材料已足够，不需要制作',
+  'craftingPlanner.order': '顺序',
+  'craftingPlanner.job': '职业',
+  'craftingPlanner.crafts': '制作次数',
+  'craftingPlanner.produced': '产出',
+  'craftingPlanner.surplus': '剩余',
+  'craftingPlanner.ownedTitle': '已持有 {count}',
+  'craftingPlanner.uncraftable': '{count} 个物品没有配方，已列入购买材料',
+  'craftingPlanner.planFailed': '计算制作计划失败',
+  'craftingPlanner.copied': '已复制制作计划',
+  'craftingPlanner.addedMaterials': '已将 {count} 项材料加入购物清单',
+  'craftingPlanner.copyBuyHeader': '【购买材料】',
+  'craftingPlanner.copyStepsHeader': '【制作步骤】',
+  'craftingPlanner.copyStep': '{index}. {job} Lv.{level} {name} ×{crafts} 次{yields}',
+  'craftingPlanner.copyYields': '（产出 {count}）',
+
+  'time.unknown': '未知',
+  'time.minutesAgo': '{minutes}分钟前',
+  'time.hoursAgo': '{hours}小时前',
+  'time.hoursMinutesAgo': '{hours}小时{minutes}分钟前',
+  'time.daysAgo': '{days}天前',
+  'time.daysHoursAgo': '{days}天{hours}小时前',
+  'time.weeksAgo': '{weeks}周前',
+  'time.weeksDaysAgo': '{weeks}周{days}天前',
+
+  'notFound.title': '页面未找到',
+  'notFound.description': '抱歉，您访问的页面不存在或已被移除。',
+  'notFound.countdown': '将在 {seconds} 秒后自动返回首页...',
+  'notFound.redirecting': '正在跳转...',
+  'notFound.goHome': '立即返回首页',
+
+  'loader.searching': '正在搜索中...',
+
+  'searchBar.placeholder': '多关键词用空格分隔（例：豹 裤）',
+  'searchBar.pressEnter': '按 Enter 搜索',
+  'searchBar.suggestions': '关键字推荐',
+  'searchBar.noSuggestions': '无匹配关键字',
+  'searchBar.recentSearches': '搜索关键字',
+  'searchBar.history': '历史记录',
+  'searchBar.noHistory': '暂无记录',
+
+  'map.locationInfo': '位置信息',
+  'map.location': '位置',
+  'map.zone': '区域：',
+  'map.coordinates': '座标：',
+  'map.coordinatesShort': '座标',
+  'map.mapId': '地图ID：',
+  'map.copyZone': '复制区域名称（会自动添加 FF14）',
+  'map.notFound': '⚠️ 地图数据未找到（地图ID: {mapId}）',
+  'map.loading': '加载地图中...',
+  'map.alt': '地图',
+
+  'taxRates.title': '市场税率 - {name}',
+  'taxRates.loading': '加载市场税率...',
+  'taxRates.empty': '暂无税率数据',
+  'taxRates.city.LimsaLominsa': '利姆萨·罗敏萨',
+  'taxRates.city.Gridania': '格里达尼亚',
+  'taxRates.city.Uldah': '乌尔达哈',
+  'taxRates.city.Ishgard': '伊修加德',
+  'taxRates.city.Kugane': '黄金港',
+  'taxRates.city.Crystarium': '水晶都',
+  'taxRates.city.OldSharlayan': '旧萨雷安',
+
+  'results.loadingItems': '正在加载 {count} 个物品...',
+  'results.titleCount': '{title} ({count} 个物品{suffix})',
+  'results.noUntradable': '无不可交易物品',
+  'results.hideUntradable': '隐藏不可交易物品',
+  'results.showUntradable': '显示不可交易物品 ({count}个)',
+  'results.loadingShort': '加载中',
+  'results.loadComplete': '完成加载',
+  'results.tooMany': '结果数量过多',
+  'results.many': '结果数量较多',
+  'results.loaded': '已加载 {count} 个可交易物品{hidden}。',
+  'results.found': '找到 {count} 个可交易物品{hidden}。',
+  'results.hiddenUntradable': '（另有 {count} 个不可交易物品已隐藏）',
+  'results.stricterNextTime': '建议下次使用更严格的关键字搜索会比较快。',
+  'results.slowWarning': '数据加载需要一些时间，排序可能会较慢。建议使用更严格的关键词进行搜索，或请耐心等待。',
+  'results.serverSelect': '服务器选择:',
+
+  'pagination.perPage': '每页显示:',
+  'pagination.showing': '显示 {start}-{end} / {total}',
+  'pagination.first': '首页',
+  'pagination.prev': '上一页',
+  'pagination.pageOf': '第 {page} / {total} 页',
+  'pagination.next': '下一页',
+  'pagination.last': '末页',
+
+  'msq.ilvlValue': '物品等级: {ilvl}',
+  'msq.ilvlRange': '请输入1-999之间的数字',
+  'msq.invalidIlvl': '请输入有效的物品等级',
+  'msq.noItemsForIlvl': '未找到该物品等级的物品',
+  'msq.noItemsInCategory': '该装备分类中没有相符的物品',
+  'msq.description': '主线拿到的箱子可以快速查看市场价格。',
+  'msq.ilvlLabel': '物品等级 (ilvl品级)',
+  'msq.ilvlPlaceholder': '输入物品等级...',
+  'msq.categoryLabel': '装备分类 (可选)',
+  'msq.allCategories': '全部分类',
+
+  'craftingInspiration.description': '用来根据制作职业查找物价肥美的物品，掌控市场雷电。',
+  'craftingInspiration.maxJobs': '最多只能选择4个职业',
+  'craftingInspiration.limitedFetching': '已限制为前 {count} 个物品，正在获取市场数据...',
+  'craftingInspiration.rangeTooLargeToast': '范围过大！最多只能搜索 {max} 个等级范围',
+  'craftingInspiration.noRecipes': '未找到符合条件的配方',
+  'craftingInspiration.filteringTradable': '找到 {count} 个物品，正在过滤可交易物品...',
+  'craftingInspiration.noItems': '没有找到物品',
+  'craftingInspiration.noTradable': '没有可交易的物品',
+  'craftingInspiration.untradableSuffix': '、{count} 个不可交易物品',
+  'craftingInspiration.foundFetching': '找到 {count} 个可交易物品{untradable}，正在获取市场数据...',
+  'craftingInspiration.searchDone': '搜索完成！找到 {count} 个可交易物品{untradable}',
+  'craftingInspiration.searchDoneLimited': '搜索完成！找到 {count} 个可交易物品（已限制）',
+  'craftingInspiration.buttonTooMany': '搜索（找到 {total} 个物品，超过上限 {limit}）',
+  'craftingInspiration.tooltipTooMany': '找到 {total} 个可交易物品，超过建议上限 {limit} 个。请缩小等级范围或选择更少的职业。',
+  'craftingInspiration.buttonRangeTooLarge': '搜索（范围过大：{range} 个等级，最多 {max}）',
+  'craftingInspiration.tooltipRangeTooLarge': '当前范围为 {range} 个等级，超过最大允许范围 {max} 个等级。建议调整为 {suggestedMin}-{suggestedMax}。',
+  'craftingInspiration.buttonSelectJob': '搜索（请先选择至少一个职业）',
+  'craftingInspiration.tooltipSelectJob': '请至少选择一个制造职业才能进行搜索。',
+  'craftingInspiration.jobSelect': '职业选择 (最多4个)',
+  'craftingInspiration.selectedCount': '已选择: {count}/4',
+  'craftingInspiration.noJobHint': '未选择职业时，范围限制为10个等级',
+  'craftingInspiration.ilvlRange': '物品等级范围',
+  'craftingInspiration.currentRange': '当前范围: {count} 个等级',
+  'craftingInspiration.selectedJobs': '已选择 {count} 个职业',
+  'craftingInspiration.maxRange': '最大范围: {count} 个等级',
+  'craftingInspiration.selectJobFirst': '⚠️ 请先选择职业',
+  'craftingInspiration.minLevel': '最小等级',
+  'craftingInspiration.maxLevel': '最大等级',
+  'craftingInspiration.rangeRule': '职业越多等级范围限制越多：',
+  'craftingInspiration.jobCount': '{count}职',
+  'craftingInspiration.rangeTooLarge': '范围过大！',
+  'craftingInspiration.suggested': '建议调整为:',
+  'craftingInspiration.autoAdjusted': '已自动调整为 {min}-{max}',
+  'craftingInspiration.applySuggestion': '套用建议',
+  'craftingInspiration.tooManyTitle': '找到的物品过多',
+  'craftingInspiration.tooManyBody': '找到 {total} 个可交易物品，超过建议上限 {limit} 个。处理过多物品可能会导致搜索时间过长或性能问题。',
+  'craftingInspiration.continueLimited': '继续搜索（限制为前 {limit} 个）',
+  'craftingInspiration.searchCancelled': '已取消搜索',
+  'craftingInspiration.tip': '💡 提示：尝试缩小等级范围或选择更少的职业来减少结果数量',
+  'craftingInspiration.rangeSummary': '(已选择 {jobs} 个职业，最大范围: {max})',
+
+  'obtain.noData': '暂无取得方式数据',
+  'obtain.treasureFinder': '前往藏宝图查询器',
+  'obtain.method.crafted': '制作',
+  'obtain.method.trade': '兑换',
+  'obtain.method.vendor': 'NPC商店',
+  'obtain.method.treasure': '宝箱/容器',
+  'obtain.method.instance': '副本掉落',
+  'obtain.method.desynth': '精制获得',
+  'obtain.method.quest': '任务奖励',
+  'obtain.method.fate': '危命任务',
+  'obtain.method.gathered': '采集获得',
+  'obtain.method.reduced': '分解获得',
+  'obtain.method.venture': '远征获得',
+  'obtain.method.gardening': '园艺获得',
+  'obtain.method.mogstation': '商城购买',
+  'obtain.method.leve': '理符任务',
+  'obtain.method.voyage': '远征',
+  'obtain.method.requirement': '需求',
+  'obtain.method.masterbook': '制作书',
+  'obtain.method.alarm': '闹钟提醒',
+  'obtain.method.drop': '怪物掉落',
+  'obtain.method.achievement': '成就奖励',
+  'obtain.method.islandCrop': '岛屿作物',
+  'obtain.method.unknown': '未知',
+  'obtain.currencyFallback': '货币',
+  'obtain.instanceFallback': '副本 {id}',
+  'obtain.expandTree': '展开树',
+  'obtain.collapseTree': '收起树',
+  'obtain.clickExpandTree': '点击展开制作价格树',
+  'obtain.clickCollapseTree': '点击收起制作价格树',
+  'obtain.masterbookFallback': '专用配方书',
+  'obtain.requiresHq': '需要高品质版本',
+  'obtain.requiredQuest': '需要完成任务：',
+  'obtain.locationCount': '{count} 个位置',
+  'obtain.requiredAchievement': '需要完成成就：',
+  'obtain.levelLabel': '等级:',
+  'obtain.syncLevel': '(同步: {level})',
+  'obtain.ilvlRequired': 'iLvl要求:',
+  'obtain.unknownZone': '未知区域',
+  'obtain.levelValue': '等级{level}',
+  'obtain.levelRange': '等级{min}～{max}',
+  'obtain.position': '位置: ({x}, {y})',
+  'obtain.questFallback': '任务 {id}',
+  'obtain.questId': '任务 ID: {id}',
+  'obtain.allJobs': '所有职业',
+  'obtain.questLevel': '{level}级',
+  'obtain.fateLevel': '{level}级危命任务',
+  'obtain.notoriousMonster': '恶名精英',
+  'obtain.rewardItems': '奖励物品',
+  'obtain.rating': '评价',
+  'obtain.ratingGold': '金牌',
+  'obtain.ratingSilver': '银牌',
+  'obtain.ratingRare': '稀有',
+  'obtain.gatherFallback': '采集',
+  'obtain.islandNode': '岛屿采集点',
+  'obtain.nodeSpot': '{type}采集点',
+  'obtain.mogstation': '可在 Mog Station 商城购买',
+  'obtain.leveFallback': '理符任务 {id}',
+  'obtain.leveCost': '理符点数: {cost}',
+  'obtain.requiredItems': '需要物品:',
+  'obtain.rewards': '奖励:',
+  'obtain.voyageAvailable': '可通过远征获得',
+  'obtain.voyageRoutes': '各航线收益 →',
+  'obtain.islandCropHint': '在岛屿圣域种植种子获得',
+  'obtain.requiredSeed': '所需种子：',
+  'obtain.seedFallback': '种子 {id}',
+  'obtain.seedIdFallback': '种子 (ID: {id})',
+  'obtain.dataLoading': '数据加载中...',
+  'obtain.masterbookLimited': '此物品的制作书资讯可能来自限时活动内容，数据库中暂无详细数据。',
+  'obtain.viewHuijiWiki': '查看灰机 Wiki',
+  'obtain.duration': '持续 {minutes} 分钟',
+  'obtain.spawnTimes': '出现时间: {times}',
+  'obtain.methodCount': '{count} 种',
+  'obtain.filterAll': '全部',
+  'obtain.achievementId': '成就ID:',
+  'obtain.rewardItemsLabel': '奖励物品:',
+
+  'advancedSearch.description': '批量搜索多个物品的市场价格，或使用筛选条件进行搜索。',
+  'advancedSearch.tabFilter': '筛选搜索',
+  'advancedSearch.tabBatch': '批量搜索',
+  'advancedSearch.batchLabel': '物品名称列表（每行一个或逗号分隔）',
+  'advancedSearch.batchPlaceholder': '输入物品名称，例如：\n精金锭\n秘银锭\n山铜锭\n或：精金锭, 秘银锭, 山铜锭',
+  'advancedSearch.batchLimitHint': '一次最多可搜索100个物品名称（支持繁体/简体中文）',
+  'advancedSearch.exactSearch': '精确搜索',
+  'advancedSearch.exactSearchShort': '精准',
+  'advancedSearch.exactSearchOn': '开启精确搜索',
+  'advancedSearch.exactSearchOff': '关闭精确搜索',
+  'advancedSearch.bugNotice': '这个页面测试量过于庞大，作者个人时间有限。各位使用大大有发现bug欢迎参考主页上的巴哈或dc方式回报，感激感激',
+  'advancedSearch.selectJobs': '选择职业',
+  'advancedSearch.selectCategories': '选择物品分类',
+  'advancedSearch.categoryFilterPlaceholder': '筛选搜索分类',
+  'advancedSearch.equipmentGroup': '装备类',
+  'advancedSearch.miscGroup': '杂物类',
+  'advancedSearch.noCategoryMatch': '没有找到匹配「{term}」的分类',
+  'advancedSearch.selectedCategories': '已选择 {count} 个分类',
+  'advancedSearch.categoryMainHand': '主手',
+  'advancedSearch.categoryOffHand': '副手',
+  'advancedSearch.categoryMountBarding': '坐骑/鸟甲',
+  'advancedSearch.nameFilterPlaceholder': '物品名筛选（多关键词用空格分隔）',
+  'advancedSearch.stopSearch': '停止搜索',
+  'advancedSearch.clearFilters': '清空筛选',
+  'advancedSearch.showingFiltered': '，显示 {count} 个',
+  'advancedSearch.enterItemName': '请输入至少一个物品名称',
+  'advancedSearch.tooManyNames': '一次最多只能搜索100个物品名称',
+  'advancedSearch.duplicatesRemoved': '已移除 {count} 个重复的物品名称',
+  'advancedSearch.noItemsFound': '未找到任何物品',
+  'advancedSearch.noTradable': '没有可交易的物品',
+  'advancedSearch.selectJobOrCategory': '请至少选择一个职业或分类',
+  'advancedSearch.noMatchingItems': '未找到符合条件的物品',
+  'advancedSearch.marketDataError': '查询市场数据时发生错误，请稍后再试',
+};
@@ -4,6 +4,7 @@ import { BrowserRouter } from 'react-router-dom'
 import App from './App.jsx'
 import './styles/main.css'
 import { initializeSupabaseConnection } from './services/supabaseClient'
+import { applyDocumentLanguage, getUILanguage } from './utils/uiLanguage'
 
 // Initialize Supabase connection immediately on page load (before React renders)
 console.log('[App] 🚀 Starting application initialization...');
@@ -13,6 +14,9 @@ initializeSupabaseConnection().then(() => {
   console.log(`[App] ⚡ Application ready (init time: ${appInitTime.toFixed(2)}ms)`);
 });
 
+// Set <html lang> before the first render so the right CJK font is picked
+applyDocumentLanguage(getUILanguage());
+
 // Disable browser scroll restoration
 if ('scrollRestoration' in history) {
   history.scrollRestoration = 'manual';
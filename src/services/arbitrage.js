@@ -0,0 +1,125 @@
+// Arbitrage service - finds items that are cheap on one world and sell for more at home
+import { getAggregatedPriceStats } from './universalis';
+
+// Universalis aggregated endpoint accepts up to 100 item IDs per request
+const BATCH_SIZE = 100;
+// Concurrent aggregated requests while scanning (Universalis allows ~25 req/s)
+const SCAN_CONCURRENCY = 2;
+
+/**
+ * Evaluate one quality (NQ or HQ) of an item for world-to-world flipping
+ * @param {Object} stats - Quality stats from getAggregatedPriceStats
+ * @param {Object} options - { homeWorldId, taxRate }
+ * @returns {Object|null} - Opportunity without item info, or null if there is nothing to flip
+ */
+function evaluateQuality(stats, { homeWorldId, taxRate }) {
+  if (!stats || !stats.minListingDc) return null;
+
+  const isWorldMode = homeWorldId !== null && homeWorldId !== undefined;
+  const buy = stats.minListingDc;
+
+  // Cheapest listing is already on the home world - nothing to carry over
+  if (isWorldMode && buy.worldId === homeWorldId) return null;
+
+  const averagePrice = isWorldMode ? stats.averageWorld : stats.averageDc;
+  if (!averagePrice) return null;
+
+  // Selling above an existing home listing is unrealistic, so undercut it instead
+  const sellPrice = isWorldMode && stats.minListingWorld
+    ? Math.min(averagePrice, stats.minListingWorld)
+    : averagePrice;
+
+  const netSellPrice = sellPrice * (1 - taxRate / 100);
+  const profit = Math.floor(netSellPrice - buy.price);
+  const velocity = (isWorldMode ? stats.velocityWorld : stats.velocityDc) || 0;
+
+  return {
+    buyPrice: buy.price,
+    buyWorldId: buy.worldId,
+    averagePrice: Math.round(averagePrice),
+    sellPrice: Math.round(sellPrice),
+    profit,
+    discount: 1 - buy.price / averagePrice,
+    velocity,
+    expectedDailyProfit: Math.round(profit * velocity),
+  };
+}
+
+/**
+ * Evaluate an item for world-to-world flipping, picking the better of NQ and HQ
+ * @param {number} itemId - Item ID
+ * @param {Object} itemStats - { nq, hq } from getAggregatedPriceStats
+ * @param {Object} options - { homeWorldId: number|null (null = compare against the DC average), taxRate: percent }
+ * @returns {Object|null} - { itemId, isHQ, buyPrice, buyWorldId, averagePrice, sellPrice, profit, discount, velocity, expectedDailyProfit }
+ */
+export function evaluateArbitrage(itemId, itemStats, options) {
+  if (!itemStats) return null;
+
+  const candidates = [
+    { isHQ: false, result: evaluateQuality(itemStats.nq, options) },
+    { isHQ: true, result: evaluateQuality(itemStats.hq, options) },
+  ].filter(candidate => candidate.result && candidate.result.profit > 0);
+
+  if (candidates.length === 0) return null;
+
+  const best = candidates.reduce((a, b) => (
+    b.result.expectedDailyProfit > a.result.expectedDailyProfit ? b : a
+  ));
+  return { itemId, isHQ: best.isHQ, ...best.result };
+}
+
+/**
+ * Filter and rank arbitrage opportunities
+ * @param {Array<Object>} opportunities - Results of evaluateArbitrage
+ * @param {Object} filters - { minVelocity, minProfit, minDiscount: 0-1 }
+ * @returns {Array<Object>} - Sorted by expected daily profit, highest first
+ */
+export function rankArbitrageOpportunities(opportunities, filters = {}) {
+  const { minVelocity = 0, minProfit = 0, minDiscount = 0 } = filters;
+  return opportunities
+    .filter(opportunity => (
+      opportunity.velocity >= minVelocity &&
+      opportunity.profit >= minProfit &&
+      opportunity.discount >= minDiscount
+    ))
+    .sort((a, b) => b.expectedDailyProfit - a.expectedDailyProfit || b.profit - a.profit);
+}
+
+/**
+ * Scan items for arbitrage opportunities in batches of 100
+ * @param {string|number} worldDcRegion - Home world ID, or DC name to compare against the DC average
+ * @param {Array<number>} itemIds - Marketable item IDs to scan
+ * @param {Object} options - { taxRate, signal, onBatch(opportunities, { scanned, total }) }
+ * @returns {Promise<Array<Object>>} - All opportunities found (unranked)
+ */
+export async function scanArbitrage(worldDcRegion, itemIds, options = {}) {
+  const { taxRate = 5, signal, onBatch } = options;
+  const homeWorldId = typeof worldDcRegion === 'number' ? worldDcRegion : null;
+  const batches = [];
+  for (let i = 0; i < itemIds.length; i += BATCH_SIZE) {
+    batches.push(itemIds.slice(i, i + BATCH_SIZE));
+  }
+
+  const found = [];
+  let scanned = 0;
+  let nextBatch = 0;
+
+  const worker = async () => {
+    while (nextBatch < batches.length) {
+      if (signal && signal.aborted) return;
+      const batch = batches[nextBatch++];
+      const statsById = await getAggregatedPriceStats(worldDcRegion, batch, { signal });
+      if (signal && signal.aborted) return;
+
+      const batchOpportunities = batch
+        .map(itemId => evaluateArbitrage(itemId, statsById[itemId], { homeWorldId, taxRate }))
+        .filter(Boolean);
+      found.push(...batchOpportunities);
+      scanned += batch.length;
+      if (onBatch) onBatch(batchOpportunities, { scanned, total: itemIds.length });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(SCAN_CONCURRENCY, batches.length) }, worker));
+  return found;
+}
@@ -0,0 +1,240 @@
+// Crafting planner service - merges several target items into one plan with shared intermediates
+import { buildCraftingTree } from './recipeDatabase';
+import { translate } from '../i18n';
+import { getJobName } from '../utils/gameDataNames';
+
+/**
+ * Get the name of a crafting job
+ * @param {number} jobId
+ * @param {string} language - UI language code
+ * @returns {string}
+ */
+export function getCraftingJobName(jobId, language) {
+  return getJobName(jobId, language) || translate(language, 'craftingTree.jobFallback', { id: jobId });
+}
+
+/**
+ * Record the recipe of every crafted node in a tree
+ * Trees built with the same recipe choices always expand an item the same way,
+ * so the first node seen for an item is enough.
+ * @param {Object} node - Crafting tree node
+ * @param {Map} recipes - itemId -> { recipeId, job, level, yields, ingredients: [{ itemId, amount }] }
+ */
+function collectRecipes(node, recipes) {
+  if (!node) return;
+  const children = node.children || [];
+  if (children.length > 0 && !recipes.has(node.itemId)) {
+    recipes.set(node.itemId, {
+      recipeId: node.recipeId,
+      job: node.job,
+      level: node.level,
+      yields: node.yields || 1,
+      ingredients: children.map(child => ({
+        itemId: child.itemId,
+        amount: child.amountPerCraft ?? Math.ceil(child.amount / (node.craftsNeeded || 1)),
+      })),
+    });
+  }
+  children.forEach(child => collectRecipes(child, recipes));
+}
+
+/**
+ * Order crafted items so every ingredient comes before the items that use it
+ * @param {Map} recipes - From collectRecipes
+ * @returns {Object} { order: Array<number>, tiers: Map<itemId, tier> } - tier 0 crafts only use bought materials
+ */
+function sortRecipes(recipes) {
+  const order = [];
+  const tiers = new Map();
+  const visiting = new Set();
+
+  function visit(itemId) {
+    if (tiers.has(itemId)) return tiers.get(itemId);
+    // Cycles are already cut by buildCraftingTree, this only guards against bad data
+    if (visiting.has(itemId)) return 0;
+    visiting.add(itemId);
+
+    let tier = 0;
+    recipes.get(itemId).ingredients.forEach(ingredient => {
+      if (recipes.has(ingredient.itemId)) {
+        tier = Math.max(tier, visit(ingredient.itemId) + 1);
+      }
+    });
+
+    visiting.delete(itemId);
+    tiers.set(itemId, tier);
+    order.push(itemId);
+    return tier;
+  }
+
+  recipes.forEach((_, itemId) => visit(itemId));
+  return { order, tiers };
+}
+
+/**
+ * Build one merged crafting plan for several target items
+ * Each target gets its own tree from buildCraftingTree; the recipes are then merged so an
+ * intermediate shared by several targets is crafted once, with yields rounded on the total.
+ * Owned stock covers materials and intermediates but never the targets themselves.
+ * @param {Array<Object>} targets - [{ itemId, quantity }]
+ * @param {Object} options - { excludeCrystals, recipeChoices, ownedMaterials: { [itemId]: count }, signal }
+ * @returns {Promise<Object|null>} - null if aborted, otherwise
+ *   { targets: [{ itemId, quantity, hasRecipe }],
+ *     steps: [{ itemId, recipeId, job, level, yields, tier, required, owned, crafts, produced, surplus, isTarget }],
+ *     materials: [{ itemId, required, owned, toBuy, isTarget }] }
+ *   Steps are in crafting order: ingredients first, then grouped by job and level.
+ */
+export async function buildBatchPlan(targets, options = {}) {
+  const { excludeCrystals = true, recipeChoices = null, ownedMaterials = {}, signal } = options;
+
+  const targetQuantities = new Map();
+  targets.forEach(({ itemId, quantity }) => {
+    targetQuantities.set(itemId, (targetQuantities.get(itemId) || 0) + quantity);
+  });
+
+  // Trees are built one at a time; each one already batches its recipe queries
+  const recipes = new Map();
+  for (const itemId of targetQuantities.keys()) {
+    if (signal && signal.aborted) return null;
+    const tree = await buildCraftingTree(itemId, targetQuantities.get(itemId), new Set(), 0, excludeCrystals, null, recipeChoices);
+    collectRecipes(tree, recipes);
+  }
+  if (signal && signal.aborted) return null;
+
+  const stock = new Map(
+    Object.entries(ownedMaterials || {})
+      .map(([itemId, count]) => [Number(itemId), Math.max(0, Math.floor(Number(count) || 0))])
+  );
+  // Stock may only cover the part of the demand that comes from other recipes
+  const coverFromStock = (itemId, required) =>
+    Math.min(stock.get(itemId) || 0, Math.max(0, required - (targetQuantities.get(itemId) || 0)));
+
+  const demand = new Map(targetQuantities);
+  const { order, tiers } = sortRecipes(recipes);
+  const steps = [];
+
+  // Consumers before ingredients, so each item's demand is complete when it is reached
+  for (let i = order.length - 1; i >= 0; i--) {
+    const itemId = order[i];
+    const recipe = recipes.get(itemId);
+    const required = demand.get(itemId) || 0;
+    if (required === 0) continue;
+
+    const owned = coverFromStock(itemId, required);
+    const crafts = Math.ceil((required - owned) / recipe.yields);
+    recipe.ingredients.forEach(ingredient => {
+      demand.set(ingredient.itemId, (demand.get(ingredient.itemId) || 0) + ingredient.amount * crafts);
+    });
+
+    if (crafts > 0 || owned > 0) {
+      steps.push({
+        itemId,
+        recipeId: recipe.recipeId,
+        job: recipe.job,
+        level: recipe.level,
+        yields: recipe.yields,
+        tier: tiers.get(itemId),
+        required,
+        owned,
+        crafts,
+        produced: crafts * recipe.yields,
+        surplus: crafts * recipe.yields + owned - required,
+        isTarget: targetQuantities.has(itemId),
+      });
+    }
+  }
+
+  steps.sort((a, b) =>
+    a.tier - b.tier || a.job - b.job || a.level - b.level || a.itemId - b.itemId
+  );
+
+  const materials = [];
+  demand.forEach((required, itemId) => {
+    if (recipes.has(itemId) || required === 0) return;
+    const owned = coverFromStock(itemId, required);
+    materials.push({
+      itemId,
+      required,
+      owned,
+      toBuy: required - owned,
+      isTarget: targetQuantities.has(itemId),
+    });
+  });
+  materials.sort((a, b) => b.toBuy - a.toBuy || a.itemId - b.itemId);
+
+  return {
+    targets: Array.from(targetQuantities.entries()).map(([itemId, quantity]) => ({
+      itemId,
+      quantity,
+      hasRecipe: recipes.has(itemId),
+    })),
+    steps,
+    materials,
+  };
+}
+
+/**
+ * Price a crafting plan
+ * @param {Object} plan - Result of buildBatchPlan
+ * @param {Object} prices - { [itemId]: { price } } from getAggregatedMarketData
+ * @returns {Object} { materialCost, targetValue, missingPriceIds }
+ *   materialCost only counts materials still to buy; targetValue is what the finished
+ *   targets would cost on the market, for comparison
+ */
+export function calculatePlanCost(plan, prices) {
+  const missingPriceIds = [];
+  let materialCost = 0;
+  plan.materials.forEach(material => {
+    if (material.toBuy === 0) return;
+    const price = prices[material.itemId]?.price;
+    if (price) {
+      materialCost += price * material.toBuy;
+    } else {
+      missingPriceIds.push(material.itemId);
+    }
+  });
+
+  let targetValue = 0;
+  plan.targets.forEach(target => {
+    targetValue += (prices[target.itemId]?.price || 0) * target.quantity;
+  });
+
+  return { materialCost, targetValue, missingPriceIds };
+}
+
+/**
+ * Format a crafting plan as plain text for copying
+ * @param {Object} plan - Result of buildBatchPlan
+ * @param {Object} itemNames - { [itemId]: name } in the given language
+ * @param {string} language - UI language code
+ * @returns {string}
+ */
+export function formatCraftingPlan(plan, itemNames, language) {
+  const nameOf = (itemId) => itemNames[itemId] || translate(language, 'common.itemFallback', { id: itemId });
+  const lines = [];
+
+  const toBuy = plan.materials.filter(material => material.toBuy > 0);
+  if (toBuy.length > 0) {
+    lines.push(translate(language, 'craftingPlanner.copyBuyHeader'));
+    toBuy.forEach(material => {
+      lines.push(`- ${nameOf(material.itemId)} ×${material.toBuy}`);
+    });
+  }
+
+  const crafts = plan.steps.filter(step => step.crafts > 0);
+  if (crafts.length > 0) {
+    lines.push(translate(language, 'craftingPlanner.copyStepsHeader'));
+    crafts.forEach((step, index) => {
+      lines.push(translate(language, 'craftingPlanner.copyStep', {
+        index: index + 1,
+        job: getCraftingJobName(step.job, language),
+        level: step.level,
+        name: nameOf(step.itemId),
+        crafts: step.crafts,
+        yields: step.yields > 1 ? translate(language, 'craftingPlanner.copyYields', { count: step.produced }) : '',
+      }));
+    });
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,154 @@
+// Crafting profit engine - craft vs. buy decisions on top of buildCraftingTree
+import { isCrystalItem } from './recipeDatabase';
+
+/**
+ * Resolve the cheapest way to obtain every node in a crafting tree
+ * Each node compares buying `amount` units from the market board against crafting it
+ * (craftsNeeded crafts, paying for the cheapest option of every ingredient recursively).
+ * Leftover units from yields > 1 are treated as wasted, so costs are never underestimated.
+ * @param {Object} node - Crafting tree node from buildCraftingTree
+ * @param {Object} itemPrices - { [itemId]: { price, ... } } unit prices (from getAggregatedMarketData)
+ * @param {Object} options - { includeCrystals: boolean } skip crystal ingredients when false
+ * @returns {Object} Decision node:
+ *   { itemId, amount, unitPrice, buyCost, craftCost, method: 'buy'|'craft'|null, cost, children }
+ *   cost is the total gil for `amount` units, or null if neither option has a price
+ */
+export function resolveCraftingDecisions(node, itemPrices, options = {}) {
+  const { includeCrystals = true } = options;
+  const unitPrice = itemPrices[node.itemId]?.price ?? null;
+  const buyCost = unitPrice !== null ? unitPrice * node.amount : null;
+
+  const ingredients = (node.children || []).filter(child => includeCrystals || !isCrystalItem(child.itemId));
+  const children = ingredients.map(child => resolveCraftingDecisions(child, itemPrices, options));
+
+  // Crafting is only possible when every ingredient can be priced
+  let craftCost = null;
+  if (children.length > 0 && children.every(child => child.cost !== null)) {
+    craftCost = children.reduce((sum, child) => sum + child.cost, 0);
+  }
+
+  let method = null;
+  if (craftCost !== null && (buyCost === null || craftCost < buyCost)) {
+    method = 'craft';
+  } else if (buyCost !== null) {
+    method = 'buy';
+  }
+
+  return {
+    itemId: node.itemId,
+    amount: node.amount,
+    yields: node.yields || 1,
+    craftsNeeded: node.craftsNeeded || 1,
+    job: node.job,
+    level: node.level,
+    unitPrice,
+    buyCost,
+    craftCost,
+    method,
+    cost: method === 'craft' ? craftCost : buyCost,
+    children,
+  };
+}
+
+/**
+ * Collect the materials to buy and the intermediates to craft from a decision tree
+ * Children of bought nodes are skipped (they are never needed)
+ * @param {Object} decision - Root decision node from resolveCraftingDecisions
+ * @returns {Object} { buy: [{ itemId, amount, cost }], craft: [{ itemId, amount, crafts, job, level }] }
+ */
+export function collectCraftingPlan(decision) {
+  const buy = new Map();
+  const craft = new Map();
+
+  function traverse(node, isRoot) {
+    if (!isRoot && node.method !== 'craft') {
+      const existing = buy.get(node.itemId) || { itemId: node.itemId, amount: 0, cost: 0 };
+      existing.amount += node.amount;
+      existing.cost += node.cost ?? 0;
+      buy.set(node.itemId, existing);
+      return;
+    }
+
+    if (!isRoot) {
+      const existing = craft.get(node.itemId) || { itemId: node.itemId, amount: 0, crafts: 0, job: node.job, level: node.level };
+      existing.amount += node.amount;
+      existing.crafts += node.craftsNeeded;
+      craft.set(node.itemId, existing);
+    }
+    node.children.forEach(child => traverse(child, false));
+  }
+
+  traverse(decision, true);
+
+  return {
+    buy: Array.from(buy.values()).sort((a, b) => b.cost - a.cost),
+    craft: Array.from(craft.values()).sort((a, b) => (a.level || 0) - (b.level || 0)),
+  };
+}
+
+/**
+ * Get the lowest tax rate from a Universalis tax-rates response
+ * @param {Object|null} taxRates - { [city]: percentage }
+ * @returns {Object|null} { city, rate } with rate as a percentage, or null if unavailable
+ */
+export function getLowestTaxRate(taxRates) {
+  if (!taxRates) return null;
+  let best = null;
+  Object.entries(taxRates).forEach(([city, rate]) => {
+    if (typeof rate !== 'number') return;
+    if (!best || rate < best.rate) {
+      best = { city, rate };
+    }
+  });
+  return best;
+}
+
+/**
+ * Calculate crafting profit for the root item of a crafting tree
+ * The root is always crafted; its ingredients use the cheapest craft/buy option.
+ * gil/hour assumes you capture the whole market's daily sales (velocity / 24 per hour),
+ * so it is an upper bound on how fast the profit can be realised.
+ * @param {Object} params
+ * @param {Object} params.tree - Crafting tree root from buildCraftingTree
+ * @param {Object} params.itemPrices - { [itemId]: { price } } unit prices
+ * @param {number|null} params.salePrice - Expected sale price per unit of the root item
+ * @param {number} params.taxRate - Market tax rate as a percentage (e.g. 5 for 5%)
+ * @param {number|null} params.dailyVelocity - Units sold per day (from getItemsVelocity)
+ * @param {boolean} params.includeCrystals - Whether crystal costs are included
+ * @returns {Object|null} Profit summary, or null if the tree has no recipe
+ */
+export function calculateCraftingProfit({ tree, itemPrices, salePrice, taxRate = 0, dailyVelocity = null, includeCrystals = true }) {
+  if (!tree || !tree.children || tree.children.length === 0) {
+    return null;
+  }
+
+  const decision = resolveCraftingDecisions(tree, itemPrices, { includeCrystals });
+  const unitsProduced = (tree.craftsNeeded || 1) * (tree.yields || 1);
+  const materialCost = decision.craftCost !== null ? decision.craftCost / unitsProduced : null;
+
+  const hasSalePrice = typeof salePrice === 'number' && salePrice > 0;
+  const taxPerUnit = hasSalePrice ? salePrice * (taxRate / 100) : null;
+  const netRevenue = hasSalePrice ? salePrice - taxPerUnit : null;
+  const netProfit = netRevenue !== null && materialCost !== null ? netRevenue - materialCost : null;
+  const margin = netProfit !== null && netRevenue > 0 ? netProfit / netRevenue : null;
+  const gilPerHour = netProfit !== null && typeof dailyVelocity === 'number'
+    ? (netProfit * dailyVelocity) / 24
+    : null;
+
+  return {
+    decision,
+    plan: collectCraftingPlan(decision),
+    unitsProduced,
+    materialCost,
+    // Buying the finished item instead, for comparison
+    marketPrice: decision.unitPrice,
+    salePrice: hasSalePrice ? salePrice : null,
+    taxRate,
+    taxPerUnit,
+    netRevenue,
+    netProfit,
+    margin,
+    dailyVelocity,
+    gilPerHour,
+  };
+}
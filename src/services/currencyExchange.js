@@ -0,0 +1,124 @@
+// Currency exchange service - ranks what a special currency buys by the gil it is worth on the market
+import { getAggregatedPriceStatsBatched, pickSellPrice } from './universalis';
+import { getShopsByTypes } from './supabaseData';
+
+// Shop types whose trades cost something other than gil
+const CURRENCY_SHOP_TYPES = ['SpecialShop', 'GCShop', 'InclusionShop'];
+
+// Currencies are items, so their names come from the item name lookup like any other item
+export const CURRENCY_GROUPS = [
+  {
+    labelKey: 'currencyExchange.groupTomestones',
+    currencies: [
+      { id: 28 }, // Allagan Tomestone of Poetics
+      { id: 46 }, // Allagan Tomestone of Aesthetics
+    ],
+  },
+  {
+    labelKey: 'currencyExchange.groupScrips',
+    currencies: [
+      { id: 41784 }, // Orange Crafters' Scrip
+      { id: 41785 }, // Orange Gatherers' Scrip
+      { id: 33913 }, // Purple Crafters' Scrip
+      { id: 33914 }, // Purple Gatherers' Scrip
+      { id: 25199 }, // White Crafters' Scrip
+      { id: 25200 }, // White Gatherers' Scrip
+    ],
+  },
+  {
+    labelKey: 'currencyExchange.groupSeals',
+    currencies: [
+      { id: 27 }, // Allied Seal
+      { id: 10307 }, // Centurio Seal
+      { id: 26533 }, // Sack of Nuts
+      { id: 26807 }, // Bicolor Gemstone
+      { id: 25 }, // Wolf Mark
+    ],
+  },
+  {
+    labelKey: 'currencyExchange.groupGrandCompany',
+    currencies: [
+      { id: 20 }, // Storm Seal
+      { id: 21 }, // Serpent Seal
+      { id: 22 }, // Flame Seal
+    ],
+  },
+];
+
+/**
+ * Collect every item that can be bought with a currency alone
+ * Trades that also need a second currency or item are left out, since their cost can't be
+ * expressed in the chosen currency.
+ * @param {number} currencyId - Currency item ID
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Array<Object>>} [{ itemId, hq, amount, cost }] - cost in currency for `amount` items,
+ *   keeping the cheapest trade per item and quality
+ */
+export async function loadCurrencyTrades(currencyId, signal = null) {
+  const shops = await getShopsByTypes(CURRENCY_SHOP_TYPES, signal);
+  const tradeMap = new Map();
+
+  shops.forEach(shop => {
+    (shop.trades || []).forEach(trade => {
+      const currency = trade.currencies?.[0];
+      const item = trade.items?.[0];
+      if (trade.currencies?.length !== 1 || trade.items?.length !== 1) return;
+      if (currency?.id !== currencyId || !currency.amount || !item?.id) return;
+
+      const amount = item.amount || 1;
+      const key = `${item.id}-${item.hq ? 'hq' : 'nq'}`;
+      const existing = tradeMap.get(key);
+      if (!existing || currency.amount / amount < existing.cost / existing.amount) {
+        tradeMap.set(key, { itemId: item.id, hq: !!item.hq, amount, cost: currency.amount });
+      }
+    });
+  });
+
+  return Array.from(tradeMap.values());
+}
+
+/**
+ * Work out how much gil one unit of currency turns into through a trade
+ * The average sale price is preferred over the cheapest listing, which is easy to undercut.
+ * @param {Object} trade - Entry from loadCurrencyTrades
+ * @param {Object} itemStats - { nq, hq } from getAggregatedPriceStats
+ * @param {Object} options - { isWorldQuery, taxRate: percent }
+ * @returns {Object|null} - trade plus { unitPrice, priceSource, velocity, gilPerTrade, gilPerCurrency }
+ */
+export function evaluateCurrencyTrade(trade, itemStats, options = {}) {
+  const { isWorldQuery = false, taxRate = 5 } = options;
+  const sell = pickSellPrice(itemStats, isWorldQuery, { qualities: [trade.hq ? 'hq' : 'nq'] });
+  if (!sell) return null;
+
+  const { price: unitPrice, priceSource, velocity } = sell;
+  const gilPerTrade = unitPrice * trade.amount * (1 - taxRate / 100);
+
+  return {
+    ...trade,
+    unitPrice,
+    priceSource,
+    velocity,
+    gilPerTrade: Math.round(gilPerTrade),
+    gilPerCurrency: gilPerTrade / trade.cost,
+  };
+}
+
+/**
+ * Fetch prices for currency trades and rank them by gil per currency unit
+ * @param {string|number} worldDcRegion - DC name or world ID
+ * @param {Array<Object>} trades - Entries from loadCurrencyTrades (marketable items only)
+ * @param {Object} options - { taxRate, minVelocity, signal, onProgress(loaded, total) }
+ * @returns {Promise<Array<Object>>} - Evaluated trades, sorted by gilPerCurrency
+ */
+export async function rankCurrencyTrades(worldDcRegion, trades, options = {}) {
+  const { taxRate = 5, minVelocity = 0, signal, onProgress } = options;
+  const isWorldQuery = typeof worldDcRegion === 'number';
+  const itemIds = [...new Set(trades.map(trade => trade.itemId))];
+  const statsById = await getAggregatedPriceStatsBatched(worldDcRegion, itemIds, { signal, onProgress });
+  if (signal && signal.aborted) return [];
+
+  return trades
+    .map(trade => evaluateCurrencyTrade(trade, statsById[trade.itemId], { isWorldQuery, taxRate }))
+    .filter(evaluated => evaluated && evaluated.velocity >= minVelocity)
+    .sort((a, b) => b.gilPerCurrency - a.gilPerCurrency || b.velocity - a.velocity);
+}
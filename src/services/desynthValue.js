@@ -0,0 +1,154 @@
+// Desynthesis / aetherial reduction value service - prices extraction outputs against the input item
+import { getAggregatedPriceStatsBatched, pickSellPrice } from './universalis';
+
+export const EXTRACTION_METHODS = {
+  desynth: { id: 'desynth', labelKey: 'desynth.methodDesynth' },
+  reduction: { id: 'reduction', labelKey: 'desynth.methodReduction' },
+};
+
+// Lazy loaded Teamcraft extraction tables, inverted to input item -> possible outputs
+let extractionDataPromise = null;
+
+/**
+ * Invert a { outputItemId: [inputItemIds] } table into input -> outputs
+ * @param {Object} table
+ * @param {Map} target - Map to add into, so several tables can be merged
+ * @returns {Map<number, Array<number>>}
+ */
+function invertSourceTable(table, target = new Map()) {
+  Object.entries(table).forEach(([outputId, inputIds]) => {
+    (inputIds || []).forEach(inputId => {
+      const outputs = target.get(inputId) || [];
+      if (!outputs.includes(Number(outputId))) {
+        outputs.push(Number(outputId));
+      }
+      target.set(inputId, outputs);
+    });
+  });
+  return target;
+}
+
+/**
+ * Load desynth.json, reduction.json and reverse-reduction.json
+ * desynth.json and reduction.json list, per output, the items that produce it;
+ * reverse-reduction.json is already keyed by the reduced item.
+ * @returns {Promise<Object>} { desynth: Map<inputId, outputIds>, reduction: Map<inputId, outputIds> }
+ */
+export function loadExtractionData() {
+  if (extractionDataPromise) return extractionDataPromise;
+
+  extractionDataPromise = Promise.all([
+    import('../../teamcraft_git/libs/data/src/lib/json/desynth.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/reduction.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/reverse-reduction.json'),
+  ])
+    .then(([desynth, reduction, reverseReduction]) => {
+      const reductionByInput = invertSourceTable(reduction.default || reduction);
+      Object.entries(reverseReduction.default || reverseReduction).forEach(([inputId, outputIds]) => {
+        const outputs = reductionByInput.get(Number(inputId)) || [];
+        (outputIds || []).forEach(outputId => {
+          if (!outputs.includes(outputId)) outputs.push(outputId);
+        });
+        reductionByInput.set(Number(inputId), outputs);
+      });
+      return {
+        desynth: invertSourceTable(desynth.default || desynth),
+        reduction: reductionByInput,
+      };
+    })
+    .catch(error => {
+      extractionDataPromise = null;
+      throw error;
+    });
+
+  return extractionDataPromise;
+}
+
+/**
+ * Cheapest current listing of either quality, i.e. what buying the input costs
+ * @param {Object} itemStats - { nq, hq } from getAggregatedPriceStats
+ * @param {boolean} isWorldQuery
+ * @returns {number|null}
+ */
+function pickBuyPrice(itemStats, isWorldQuery) {
+  const prices = [itemStats?.nq, itemStats?.hq]
+    .map(quality => (isWorldQuery ? quality?.minListingWorld : quality?.minListingDc?.price))
+    .filter(Boolean);
+  return prices.length > 0 ? Math.min(...prices) : null;
+}
+
+/**
+ * Value one input item for one extraction method
+ * Teamcraft lists the possible outputs but not their drop rates, so the expected value
+ * assumes each output is equally likely, times how many items one extraction gives.
+ * @param {number} itemId - Input item
+ * @param {Array<number>} outputIds - Possible outputs
+ * @param {Object} statsById - { [itemId]: { nq, hq } } covering the input and outputs
+ * @param {Object} options - { isWorldQuery, taxRate: percent, itemsPerExtraction }
+ * @returns {Object} { itemId, buyPrice, sellPrice, outputs: [{ itemId, price, priceSource, velocity }],
+ *   pricedOutputCount, expectedValue, profitVsSelling, profitVsBuying }
+ *   Profits are null when the matching input price is unknown.
+ */
+export function evaluateExtraction(itemId, outputIds, statsById, options = {}) {
+  const { isWorldQuery = false, taxRate = 5, itemsPerExtraction = 1 } = options;
+  const netRate = 1 - taxRate / 100;
+
+  // Extraction outputs are NQ, so NQ prices are used when there are any
+  const outputs = outputIds.map(outputId => {
+    const sell = pickSellPrice(statsById[outputId], isWorldQuery, { qualities: ['nq', 'hq'] });
+    return {
+      itemId: outputId,
+      price: sell?.price ?? null,
+      priceSource: sell?.priceSource ?? null,
+      velocity: sell?.velocity || 0,
+    };
+  });
+  const pricedOutputs = outputs.filter(output => output.price);
+  // Unpriced outputs count as worthless rather than being left out, to keep the estimate conservative
+  const averageOutput = outputs.length > 0
+    ? pricedOutputs.reduce((sum, output) => sum + output.price, 0) / outputs.length
+    : 0;
+  const expectedValue = Math.round(averageOutput * itemsPerExtraction * netRate);
+
+  const input = pickSellPrice(statsById[itemId], isWorldQuery, { qualities: ['nq', 'hq'] });
+  const sellPrice = input ? Math.round(input.price * netRate) : null;
+  const buyPrice = pickBuyPrice(statsById[itemId], isWorldQuery);
+
+  return {
+    itemId,
+    buyPrice,
+    sellPrice,
+    inputVelocity: input?.velocity || 0,
+    outputs: outputs.sort((a, b) => (b.price || 0) - (a.price || 0)),
+    pricedOutputCount: pricedOutputs.length,
+    expectedValue,
+    profitVsSelling: sellPrice !== null ? expectedValue - sellPrice : null,
+    profitVsBuying: buyPrice !== null ? expectedValue - buyPrice : null,
+  };
+}
+
+/**
+ * Fetch prices for many input items and their outputs, and value each extraction
+ * @param {string|number} worldDcRegion - DC name or world ID
+ * @param {Array<Object>} entries - [{ itemId, outputIds, method }]
+ * @param {Object} options - { taxRate, itemsPerExtraction, signal, onProgress(loaded, total) }
+ * @returns {Promise<Array<Object>>} - evaluateExtraction results plus the entry's method,
+ *   sorted by profitVsBuying then expectedValue
+ */
+export async function rankExtractionValues(worldDcRegion, entries, options = {}) {
+  const { taxRate = 5, itemsPerExtraction = 1, signal, onProgress } = options;
+  const isWorldQuery = typeof worldDcRegion === 'number';
+
+  const itemIds = [...new Set(entries.flatMap(entry => [entry.itemId, ...entry.outputIds]))];
+  const statsById = await getAggregatedPriceStatsBatched(worldDcRegion, itemIds, { signal, onProgress });
+  if (signal && signal.aborted) return [];
+
+  return entries
+    .map(entry => ({
+      ...evaluateExtraction(entry.itemId, entry.outputIds, statsById, { isWorldQuery, taxRate, itemsPerExtraction }),
+      method: entry.method,
+    }))
+    .sort((a, b) =>
+      (b.profitVsBuying ?? -Infinity) - (a.profitVsBuying ?? -Infinity) || b.expectedValue - a.expectedValue
+    );
+}
@@ -0,0 +1,181 @@
+// Gathering profit service - ranks gatherable items (MIN/BTN/FSH) by market value per gather
+import { getAggregatedPriceStatsBatched, pickSellPrice } from './universalis';
+
+// Node types in nodes.json (negative values are timed variants of the same type) -> locale keys
+export const NODE_TYPE_LABEL_KEYS = {
+  0: 'gathering.nodeMining',
+  1: 'gathering.nodeQuarrying',
+  2: 'gathering.nodeLogging',
+  3: 'gathering.nodeHarvesting',
+  4: 'gathering.nodeFishing',
+  5: 'gathering.nodeSpearfishing',
+};
+
+// Job names come from utils/gameDataNames by ID
+export const GATHERING_JOBS = [
+  { id: 16, abbr: 'MIN', icon: 'miner', nodeTypes: [0, 1] },
+  { id: 17, abbr: 'BTN', icon: 'botanist', nodeTypes: [2, 3] },
+  { id: 18, abbr: 'FSH', icon: 'fisher', nodeTypes: [4, 5] },
+];
+
+// Lazy loaded Teamcraft gathering data, shared across calls
+let gatheringDataPromise = null;
+
+/**
+ * Load the Teamcraft gathering tables
+ * @returns {Promise<Object>} { nodes, gatheringItems, fishingSources, fishingSpots }
+ */
+function loadGatheringData() {
+  if (gatheringDataPromise) return gatheringDataPromise;
+
+  gatheringDataPromise = Promise.all([
+    import('../../teamcraft_git/libs/data/src/lib/json/nodes.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/gathering-items.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/fishing-sources.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/fishing-spots.json'),
+  ])
+    .then(([nodes, gatheringItems, fishingSources, fishingSpots]) => ({
+      nodes: nodes.default || nodes,
+      gatheringItems: gatheringItems.default || gatheringItems,
+      fishingSources: fishingSources.default || fishingSources,
+      fishingSpots: fishingSpots.default || fishingSpots,
+    }))
+    .catch(error => {
+      gatheringDataPromise = null;
+      throw error;
+    });
+
+  return gatheringDataPromise;
+}
+
+/**
+ * Add a location to an item entry, keeping the lowest level seen
+ * @param {Map} itemMap - itemId -> entry
+ * @param {number} itemId
+ * @param {number} level - Gathering level for this source
+ * @param {Object} location - { zoneId, mapId, x, y, level, type, limited }
+ */
+function addSource(itemMap, itemId, level, location) {
+  const entry = itemMap.get(itemId) || { itemId, level: Infinity, stars: 0, nodes: [] };
+  entry.level = Math.min(entry.level, level || 0);
+  entry.nodes.push(location);
+  itemMap.set(itemId, entry);
+}
+
+/**
+ * Find items a gathering job can gather within a level range
+ * MIN/BTN items come from nodes.json (level from gathering-items.json); fish come from
+ * fishing-sources.json + fishing-spots.json, and spearfishing from nodes.json type 5.
+ * @param {Object} options - { jobId, minLevel, maxLevel, includeLimited }
+ * @returns {Promise<Array<Object>>} - [{ itemId, level, stars, nodes: [{ zoneId, mapId, x, y, level, type, limited }] }]
+ */
+export async function findGatherableItems({ jobId, minLevel = 1, maxLevel = 100, includeLimited = true }) {
+  const job = GATHERING_JOBS.find(j => j.id === jobId);
+  if (!job) return [];
+
+  const { nodes, gatheringItems, fishingSources, fishingSpots } = await loadGatheringData();
+
+  // gathering-items.json is keyed by GatheringItem ID, index it by item ID
+  const gatheringInfoByItem = new Map();
+  Object.values(gatheringItems).forEach(info => {
+    const existing = gatheringInfoByItem.get(info.itemId);
+    if (!existing || info.level < existing.level) {
+      gatheringInfoByItem.set(info.itemId, info);
+    }
+  });
+
+  const itemMap = new Map();
+
+  Object.values(nodes).forEach(node => {
+    const type = Math.abs(node.type);
+    if (!job.nodeTypes.includes(type) || !node.map) return;
+    if (node.limited && !includeLimited) return;
+
+    const location = {
+      zoneId: node.zoneid,
+      mapId: node.map,
+      x: node.x,
+      y: node.y,
+      level: node.level,
+      type,
+      limited: !!node.limited,
+    };
+    [...(node.items || []), ...(node.hiddenItems || [])].forEach(itemId => {
+      const info = gatheringInfoByItem.get(itemId);
+      addSource(itemMap, itemId, info ? info.level : node.level, location);
+      if (info && info.stars) {
+        itemMap.get(itemId).stars = info.stars;
+      }
+    });
+  });
+
+  if (job.nodeTypes.includes(4)) {
+    const spotsById = new Map(fishingSpots.map(spot => [spot.id, spot]));
+    Object.entries(fishingSources).forEach(([itemId, sources]) => {
+      (sources || []).forEach(source => {
+        const spot = spotsById.get(source.spot);
+        if (!spot || !spot.mapId || !spot.coords) return;
+        addSource(itemMap, parseInt(itemId, 10), spot.level, {
+          zoneId: spot.zoneId,
+          mapId: spot.mapId,
+          x: spot.coords.x,
+          y: spot.coords.y,
+          level: spot.level,
+          type: 4,
+          limited: false,
+        });
+      });
+    });
+  }
+
+  return Array.from(itemMap.values())
+    .filter(entry => entry.level >= minLevel && entry.level <= maxLevel)
+    .sort((a, b) => b.level - a.level || a.itemId - b.itemId);
+}
+
+/**
+ * Work out the market value of one gatherable item
+ * Gathered items are sold NQ, so NQ prices are used; velocity counts both qualities.
+ * The average sale price is preferred over the cheapest listing, which is easy to undercut.
+ * @param {Object} item - Entry from findGatherableItems
+ * @param {Object} itemStats - { nq, hq } from getAggregatedPriceStats
+ * @param {Object} options - { isWorldQuery, itemsPerGather, taxRate: percent }
+ * @returns {Object|null} - item plus { unitPrice, priceSource, velocity, gilPerGather, dailyGil }
+ */
+export function evaluateGatheringItem(item, itemStats, options = {}) {
+  const { isWorldQuery = false, itemsPerGather = 1, taxRate = 5 } = options;
+  const sell = pickSellPrice(itemStats, isWorldQuery);
+  if (!sell) return null;
+
+  const { price: unitPrice, priceSource, velocity } = sell;
+  const netPrice = unitPrice * (1 - taxRate / 100);
+
+  return {
+    ...item,
+    unitPrice,
+    priceSource,
+    velocity,
+    gilPerGather: Math.round(netPrice * itemsPerGather),
+    // What the market absorbs per day - gathering more than this won't sell quickly
+    dailyGil: Math.round(netPrice * velocity),
+  };
+}
+
+/**
+ * Fetch prices for gatherable items and rank them by gil per gather
+ * @param {string|number} worldDcRegion - DC name or world ID
+ * @param {Array<Object>} items - Entries from findGatherableItems (marketable only)
+ * @param {Object} options - { itemsPerGather, taxRate, minVelocity, signal, onProgress(loaded, total) }
+ * @returns {Promise<Array<Object>>} - Evaluated items, sorted by gilPerGather then dailyGil
+ */
+export async function rankGatheringProfits(worldDcRegion, items, options = {}) {
+  const { itemsPerGather = 1, taxRate = 5, minVelocity = 0, signal, onProgress } = options;
+  const isWorldQuery = typeof worldDcRegion === 'number';
+  const statsById = await getAggregatedPriceStatsBatched(worldDcRegion, items.map(item => item.itemId), { signal, onProgress });
+  if (signal && signal.aborted) return [];
+
+  return items
+    .map(item => evaluateGatheringItem(item, statsById[item.itemId], { isWorldQuery, itemsPerGather, taxRate }))
+    .filter(evaluated => evaluated && evaluated.velocity >= minVelocity)
+    .sort((a, b) => b.gilPerGather - a.gilPerGather || b.dailyGil - a.dailyGil);
+}
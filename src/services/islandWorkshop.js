@@ -0,0 +1,243 @@
+// Island Sanctuary workshop service - plans the weekly craft agenda and prices pasture and crop leavings
+import { getAggregatedPriceStatsBatched, pickSellPrice } from './universalis';
+import { pickGameDataName } from '../utils/gameDataNames';
+import { UI_LANGUAGES } from '../utils/uiLanguage';
+
+export const HOURS_PER_DAY = 24;
+export const DAYS_PER_WEEK = 7;
+export const MAX_WORKSHOPS = 4;
+export const MAX_GROOVE = 45;
+// Units an item can take before its supply moves one level towards overflowing
+const UNITS_PER_SUPPLY_LEVEL = 8;
+
+// island-popularity.json `id`
+export const POPULARITY_LABEL_KEYS = {
+  1: 'islandWorkshop.popularityVeryHigh',
+  2: 'islandWorkshop.popularityHigh',
+  3: 'islandWorkshop.popularityAverage',
+  4: 'islandWorkshop.popularityLow',
+};
+
+// island-supply.json keys, from scarcest to most plentiful
+export const SUPPLY_LABEL_KEYS = {
+  0: 'islandWorkshop.supplyNonexistent',
+  1: 'islandWorkshop.supplyInsufficient',
+  2: 'islandWorkshop.supplySufficient',
+  3: 'islandWorkshop.supplySurplus',
+  4: 'islandWorkshop.supplyOverflowing',
+};
+export const DEFAULT_SUPPLY_LEVEL = 2;
+
+export const WORKSHOP_TIERS = [
+  { tier: 1, name: 'I', modifier: 1 },
+  { tier: 2, name: 'II', modifier: 1.1 },
+  { tier: 3, name: 'III', modifier: 1.2 },
+  { tier: 4, name: 'IV', modifier: 1.3 },
+];
+
+let islandDataPromise = null;
+
+/**
+ * Lazy load workshop handicrafts, demand tables and the pasture/crop leavings
+ * @returns {Promise<Object>} - {
+ *   craftworks: [{ id, itemId, value, craftingTime, themes, lvl }],
+ *   popularityPatterns: { [pattern]: { [craftworkId]: { id, ratio } } },
+ *   supplyRatios: { [supplyLevel]: percent },
+ *   themeNames: { [themeId]: { [language]: name } },
+ *   leavingItemIds, cropItemIds
+ * }
+ */
+export function loadIslandData() {
+  if (islandDataPromise) return islandDataPromise;
+
+  islandDataPromise = Promise.all([
+    import('../../teamcraft_git/libs/data/src/lib/json/island-craftworks.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/island-popularity.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/island-supply.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/island-craftworks-theme.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/tw/tw-island-craftworks-theme.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/zh/zh-island-craftworks-theme.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/ko/ko-island-craftworks-theme.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/island-animals.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/island-crops.json'),
+  ])
+    .then(modules => {
+      const [
+        craftworks, popularity, supply, themes, twThemes, zhThemes, koThemes, animals, crops,
+      ] = modules.map(module => module.default || module);
+      const themeTables = { base: themes, tw: twThemes, zh: zhThemes, ko: koThemes };
+      return {
+        craftworks: Object.entries(craftworks)
+          .filter(([, craftwork]) => craftwork.itemId && craftwork.craftingTime)
+          .map(([id, craftwork]) => ({ ...craftwork, id: parseInt(id, 10) })),
+        popularityPatterns: popularity,
+        supplyRatios: supply,
+        themeNames: Object.fromEntries(Object.keys(themes).map(id => [
+          id,
+          Object.fromEntries(UI_LANGUAGES.map(({ code }) => [code, pickGameDataName(themeTables, id, code)])),
+        ])),
+        leavingItemIds: [...new Set(Object.values(animals).flatMap(animal => animal.rewards || []))],
+        cropItemIds: Object.keys(crops).map(itemId => parseInt(itemId, 10)),
+      };
+    })
+    .catch(error => {
+      islandDataPromise = null;
+      throw error;
+    });
+
+  return islandDataPromise;
+}
+
+/**
+ * Cowries one handicraft is worth before the efficiency bonus
+ * @param {Object} craftwork - island-craftworks.json entry
+ * @param {Object} modifiers - { popularityRatio, supplyRatio, tierModifier, groove } (ratios in percent)
+ * @returns {number}
+ */
+export function getCraftValue(craftwork, modifiers) {
+  const { popularityRatio = 100, supplyRatio = 100, tierModifier = 1, groove = 0 } = modifiers;
+  const baseValue = Math.floor(craftwork.value * tierModifier * (1 + groove / 100));
+  return Math.floor((popularityRatio * supplyRatio * baseValue) / 10000);
+}
+
+/**
+ * Best 24-hour agenda for one workshop
+ * A handicraft that shares a theme with the one before it (and isn't the same item) gets the
+ * efficiency bonus: it's worth double and the workshop turns out two of it.
+ * @param {Array<Object>} craftworks - Handicrafts available to the island
+ * @param {Object} valueById - { [craftworkId]: cowries without the bonus }
+ * @returns {Object} - { steps: [{ craftworkId, startHour, isEfficient, value }], value }
+ */
+export function planWorkshopDay(craftworks, valueById) {
+  const shareTheme = (a, b) => a.id !== b.id && a.themes.some(theme => b.themes.includes(theme));
+  // best[hour][craftworkId] = best agenda that ends with that handicraft after `hour` hours
+  const best = Array.from({ length: HOURS_PER_DAY + 1 }, () => new Map());
+
+  craftworks.forEach(craftwork => {
+    if (craftwork.craftingTime > HOURS_PER_DAY) return;
+    best[craftwork.craftingTime].set(craftwork.id, {
+      value: valueById[craftwork.id] || 0,
+      previous: null,
+      isEfficient: false,
+    });
+  });
+
+  for (let hour = 1; hour <= HOURS_PER_DAY; hour++) {
+    best[hour].forEach((state, lastId) => {
+      const last = craftworks.find(craftwork => craftwork.id === lastId);
+      craftworks.forEach(next => {
+        const endHour = hour + next.craftingTime;
+        if (endHour > HOURS_PER_DAY) return;
+        const isEfficient = shareTheme(last, next);
+        const value = state.value + (valueById[next.id] || 0) * (isEfficient ? 2 : 1);
+        const existing = best[endHour].get(next.id);
+        if (!existing || existing.value < value) {
+          best[endHour].set(next.id, { value, previous: { hour, craftworkId: lastId }, isEfficient });
+        }
+      });
+    });
+  }
+
+  let end = null;
+  best.forEach((states, hour) => {
+    states.forEach((state, craftworkId) => {
+      if (!end || state.value > end.state.value) end = { hour, craftworkId, state };
+    });
+  });
+  if (!end) return { steps: [], value: 0 };
+
+  const steps = [];
+  let cursor = end;
+  while (cursor) {
+    const craftwork = craftworks.find(entry => entry.id === cursor.craftworkId);
+    const base = valueById[cursor.craftworkId] || 0;
+    steps.unshift({
+      craftworkId: cursor.craftworkId,
+      startHour: cursor.hour - craftwork.craftingTime,
+      isEfficient: cursor.state.isEfficient,
+      value: cursor.state.isEfficient ? base * 2 : base,
+    });
+    const previous = cursor.state.previous;
+    cursor = previous
+      ? { ...previous, state: best[previous.hour].get(previous.craftworkId) }
+      : null;
+  }
+  return { steps, value: end.state.value };
+}
+
+/**
+ * Plan every workshop day of the week, one day at a time
+ * Every workshop runs the same agenda. What gets made pushes that item's supply up for the
+ * following days (one level per 8 units), which is an approximation of the in-game supply shift.
+ * @param {Object} islandData - From loadIslandData
+ * @param {Object} options - { pattern, supplyLevels: { [craftworkId]: level }, restDays: [day index],
+ *   workshops, tierModifier, groove, rank }
+ * @returns {Object} - { days: [{ day, isRest, steps, valuePerWorkshop, value }], value }
+ */
+export function planWeek(islandData, options) {
+  const { pattern, supplyLevels = {}, restDays = [], workshops = 1, tierModifier = 1, groove = 0, rank } = options;
+  const { craftworks, popularityPatterns, supplyRatios } = islandData;
+  const popularity = popularityPatterns[pattern] || {};
+  const available = craftworks.filter(craftwork => !rank || craftwork.lvl <= rank);
+  const unitsMade = {};
+
+  const getSupplyLevel = (craftworkId) => {
+    const start = supplyLevels[craftworkId] ?? DEFAULT_SUPPLY_LEVEL;
+    const shift = Math.floor((unitsMade[craftworkId] || 0) / UNITS_PER_SUPPLY_LEVEL);
+    return Math.min(start + shift, Object.keys(supplyRatios).length - 1);
+  };
+
+  const days = [];
+  for (let day = 0; day < DAYS_PER_WEEK; day++) {
+    if (restDays.includes(day)) {
+      days.push({ day, isRest: true, steps: [], valuePerWorkshop: 0, value: 0 });
+      continue;
+    }
+
+    const valueById = {};
+    const supplyById = {};
+    available.forEach(craftwork => {
+      supplyById[craftwork.id] = getSupplyLevel(craftwork.id);
+      valueById[craftwork.id] = getCraftValue(craftwork, {
+        popularityRatio: popularity[craftwork.id]?.ratio ?? 100,
+        supplyRatio: supplyRatios[supplyById[craftwork.id]] ?? 100,
+        tierModifier,
+        groove,
+      });
+    });
+
+    const plan = planWorkshopDay(available, valueById);
+    plan.steps.forEach(step => {
+      unitsMade[step.craftworkId] = (unitsMade[step.craftworkId] || 0) + (step.isEfficient ? 2 : 1) * workshops;
+    });
+    days.push({
+      day,
+      isRest: false,
+      steps: plan.steps.map(step => ({ ...step, supplyLevel: supplyById[step.craftworkId] })),
+      valuePerWorkshop: plan.value,
+      value: plan.value * workshops,
+    });
+  }
+
+  return { days, value: days.reduce((sum, day) => sum + day.value, 0) };
+}
+
+/**
+ * Market prices for pasture leavings and crops that can be sold
+ * @param {string|number} worldDcRegion - DC name or world ID
+ * @param {Array<number>} itemIds - Marketable leavings and crops
+ * @param {AbortSignal} signal
+ * @returns {Promise<Object>} - { [itemId]: { price, velocity } } for items with a price
+ */
+export async function getLeavingPrices(worldDcRegion, itemIds, signal) {
+  const isWorldQuery = typeof worldDcRegion === 'number';
+  const statsById = await getAggregatedPriceStatsBatched(worldDcRegion, itemIds, { signal });
+  if (signal && signal.aborted) return {};
+
+  const prices = {};
+  Object.entries(statsById).forEach(([itemId, itemStats]) => {
+    const sell = pickSellPrice(itemStats, isWorldQuery);
+    if (sell) prices[itemId] = { price: sell.price, velocity: sell.velocity };
+  });
+  return prices;
+}
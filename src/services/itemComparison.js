@@ -0,0 +1,208 @@
+// Item comparison service - equipment stats, materia slots and job restrictions for side-by-side comparison
+import { getEquipmentByIds, getIlvlsByIds } from './supabaseData';
+import { translate } from '../i18n';
+import { pickGameDataName, getJobName } from '../utils/gameDataNames';
+import baseParamsData from '../../teamcraft_git/libs/data/src/lib/json/base-params.json';
+import twBaseParamsData from '../../teamcraft_git/libs/data/src/lib/json/tw/tw-base-params.json';
+import zhBaseParamsData from '../../teamcraft_git/libs/data/src/lib/json/zh/zh-base-params.json';
+import koBaseParamsData from '../../teamcraft_git/libs/data/src/lib/json/ko/ko-base-params.json';
+import jobAbbrData from '../../teamcraft_git/libs/data/src/lib/json/job-abbr.json';
+
+// Base param IDs
+const STRENGTH = 1;
+const DEXTERITY = 2;
+const INTELLIGENCE = 4;
+const MIND = 5;
+const CRAFTSMANSHIP = 70;
+const GATHERING = 72;
+
+// Damage and defense values come from item-main-attributes.json, in this display order
+export const MAIN_ATTRIBUTE_IDS = [12, 13, 21, 24];
+
+// Primary stat each job scales with; items shared by several jobs use the first listed job
+const PRIMARY_PARAM_BY_JOB = {
+  GLA: STRENGTH, PGL: STRENGTH, MRD: STRENGTH, LNC: STRENGTH,
+  PLD: STRENGTH, MNK: STRENGTH, WAR: STRENGTH, DRG: STRENGTH, DRK: STRENGTH, SAM: STRENGTH, GNB: STRENGTH, RPR: STRENGTH,
+  ARC: DEXTERITY, ROG: DEXTERITY, BRD: DEXTERITY, NIN: DEXTERITY, MCH: DEXTERITY, DNC: DEXTERITY, VPR: DEXTERITY,
+  THM: INTELLIGENCE, ACN: INTELLIGENCE, BLM: INTELLIGENCE, SMN: INTELLIGENCE, RDM: INTELLIGENCE, BLU: INTELLIGENCE, PCT: INTELLIGENCE,
+  CNJ: MIND, WHM: MIND, SCH: MIND, AST: MIND, SGE: MIND,
+  CRP: CRAFTSMANSHIP, BSM: CRAFTSMANSHIP, ARM: CRAFTSMANSHIP, GSM: CRAFTSMANSHIP,
+  LTW: CRAFTSMANSHIP, WVR: CRAFTSMANSHIP, ALC: CRAFTSMANSHIP, CUL: CRAFTSMANSHIP,
+  MIN: GATHERING, BTN: GATHERING, FSH: GATHERING,
+};
+
+// Substat used for the melding cap: combat, crafting and gathering gear each have their own
+const SUBSTAT_PARAM_BY_PRIMARY = {
+  [STRENGTH]: 27,
+  [DEXTERITY]: 27,
+  [INTELLIGENCE]: 27,
+  [MIND]: 27,
+  [CRAFTSMANSHIP]: 71,
+  [GATHERING]: 73,
+};
+
+// item-melding-data.json `prop` is the base-params.json column for the item's slot
+const SLOT_LABEL_KEYS = {
+  OneHandWeaponPercent: 'slot.OneHandWeapon',
+  TwoHandWeaponPercent: 'slot.TwoHandWeapon',
+  OffHandPercent: 'slot.OffHand',
+  HeadPercent: 'slot.Head',
+  ChestPercent: 'slot.Body',
+  ChestHeadPercent: 'slot.BodyHead',
+  ChestHeadLegsFeetPercent: 'slot.BodyHeadLegsFeet',
+  LegsPercent: 'slot.Legs',
+  LegsFeetPercent: 'slot.LegsFeet',
+  HandsPercent: 'slot.Gloves',
+  FeetPercent: 'slot.Feet',
+  BraceletPercent: 'slot.Wrists',
+  EarringPercent: 'slot.Ears',
+  RingPercent: 'slot.Rings',
+  NecklacePercent: 'slot.Neck',
+};
+
+// base-params.json keeps its names in Name_<lang> columns; reshape them like the other name tables
+const BASE_PARAM_NAME_TABLES = {
+  base: Object.fromEntries(Object.entries(baseParamsData).map(([id, param]) => [
+    id,
+    { en: param.Name_en, ja: param.Name_ja, de: param.Name_de, fr: param.Name_fr },
+  ])),
+  tw: twBaseParamsData,
+  zh: zhBaseParamsData,
+  ko: koBaseParamsData,
+};
+
+// Lazy loaded Teamcraft stat tables (several MB together), shared across calls
+let statDataPromise = null;
+
+function loadStatData() {
+  if (statDataPromise) return statDataPromise;
+
+  statDataPromise = Promise.all([
+    import('../../teamcraft_git/libs/data/src/lib/json/item-level.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/item-melding-data.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/item-main-attributes.json'),
+  ])
+    .then(([itemLevel, meldingData, mainAttributes]) => ({
+      itemLevel: itemLevel.default || itemLevel,
+      baseParams: baseParamsData,
+      meldingData: meldingData.default || meldingData,
+      mainAttributes: mainAttributes.default || mainAttributes,
+    }))
+    .catch(error => {
+      statDataPromise = null;
+      throw error;
+    });
+
+  return statDataPromise;
+}
+
+/**
+ * Get the name of a base param
+ * @param {number} paramId
+ * @param {string} language - UI language code
+ * @returns {string}
+ */
+export function getBaseParamName(paramId, language) {
+  return pickGameDataName(BASE_PARAM_NAME_TABLES, paramId, language)
+    || translate(language, 'itemComparison.paramFallback', { id: paramId });
+}
+
+/**
+ * Get the name of an equipment slot
+ * @param {string|null} slotProp - item-melding-data.json `prop`
+ * @param {string} language - UI language code
+ * @returns {string|null}
+ */
+export function getSlotName(slotProp, language) {
+  const labelKey = slotProp && SLOT_LABEL_KEYS[slotProp];
+  return labelKey ? translate(language, labelKey) : null;
+}
+
+/**
+ * Turn equipment.json job abbreviations into job names
+ * @param {Array<string>} jobs - e.g. ['PLD', 'WAR']
+ * @param {string} language - UI language code
+ * @returns {Array<string>}
+ */
+export function getJobNames(jobs, language) {
+  return (jobs || []).map(abbr => {
+    const jobId = Object.keys(jobAbbrData).find(id => jobAbbrData[id]?.en === abbr);
+    return (jobId && getJobName(jobId, language)) || abbr;
+  });
+}
+
+/**
+ * Value of a base param for a slot at an item level
+ * This is the item-level budget scaled by the slot's share, the same figure the game uses for
+ * the primary stat and as the per-substat melding cap.
+ * @returns {number|null}
+ */
+function getParamValue(statData, ilvl, paramId, slotProp) {
+  const levelRow = statData.itemLevel[ilvl];
+  const param = statData.baseParams[paramId];
+  if (!levelRow || !param || !slotProp || !param[slotProp]) return null;
+  const budget = levelRow[(param.Name || '').replace(/\s+/g, '')];
+  if (!budget) return null;
+  return Math.floor((budget * param[slotProp]) / 1000);
+}
+
+/**
+ * Build comparison data for equipment items
+ * Per-item substats aren't in the Teamcraft data, so the primary stat is derived from the
+ * item level and slot, and the substat column is the melding cap rather than the item's roll.
+ * @param {Array<number>} itemIds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Array<Object>>} - In the order given:
+ *   [{ itemId, isEquipment, ilvl, equipLevel, jobs, slotProp, materiaSlots, advancedMelding,
+ *      mainAttributes: { [paramId]: { nq, hq } }, primaryParamId, primaryStat, substatParamId, substatCap }]
+ */
+export async function getItemComparisonData(itemIds, signal = null) {
+  const [statData, equipment, ilvls] = await Promise.all([
+    loadStatData(),
+    getEquipmentByIds(itemIds, signal),
+    getIlvlsByIds(itemIds, signal),
+  ]);
+
+  return itemIds.map(itemId => {
+    const equip = equipment[itemId] || null;
+    const melding = statData.meldingData[itemId] || null;
+    const ilvl = ilvls[itemId] || null;
+    const slotProp = melding?.prop || null;
+    const jobs = Array.isArray(equip?.jobs) ? equip.jobs : [];
+
+    const mainAttributes = {};
+    (statData.mainAttributes[itemId] || []).forEach(attribute => {
+      mainAttributes[attribute.ID] = { nq: attribute.NQ, hq: attribute.HQ };
+    });
+
+    const primaryParamId = jobs.map(job => PRIMARY_PARAM_BY_JOB[job]).find(Boolean) || null;
+    const substatParamId = primaryParamId ? SUBSTAT_PARAM_BY_PRIMARY[primaryParamId] : null;
+
+    return {
+      itemId,
+      isEquipment: !!equip,
+      ilvl,
+      equipLevel: equip?.level ?? null,
+      jobs,
+      slotProp,
+      materiaSlots: melding?.slots ?? 0,
+      advancedMelding: !!melding?.overmeld,
+      mainAttributes,
+      primaryParamId,
+      primaryStat: primaryParamId ? getParamValue(statData, ilvl, primaryParamId, slotProp) : null,
+      substatParamId,
+      substatCap: substatParamId ? getParamValue(statData, ilvl, substatParamId, slotProp) : null,
+    };
+  });
+}
+
+/**
+ * Gil paid per point of primary stat
+ * @param {Object} item - Entry from getItemComparisonData
+ * @param {number|null} price
+ * @returns {number|null}
+ */
+export function getCostPerStatPoint(item, price) {
+  if (!price || !item.primaryStat) return null;
+  return price / item.primaryStat;
+}
@@ -2053,3 +2053,70 @@ export async function searchItemsOCR(searchText, signal = null, options = null)
     isOCRSearch: true
   };
 }
+
+/**
+ * Resolve multi-line OCR output (e.g. a retainer sell list screenshot) to one item per line.
+ * The item database and n-gram index are loaded once and shared by every line,
+ * so this is much cheaper than calling searchItemsOCR per line.
+ *
+ * @param {Array<{ text: string, confidence?: number }>} lines - Recognized lines, top to bottom
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Array>} - Same order as lines: { text, confidence, item: { id, name, isTradable } | null, score }
+ */
+export async function resolveOCRLines(lines, signal = null) {
+  if (!lines || lines.length === 0) {
+    return [];
+  }
+
+  const { items } = await loadItemDatabase(true);
+  if (signal && signal.aborted) {
+    throw new DOMException('Request aborted', 'AbortError');
+  }
+
+  const ngramIndex = buildNgramIndex(items, 2);
+  const resolved = lines.map(line => {
+    const normalized = normalizeOCRText((line.text || '').trim());
+    // A single character matches far too many items to be useful
+    if (normalized.length < 2) {
+      return { text: line.text, confidence: line.confidence ?? null, item: null, score: 0 };
+    }
+
+    const [best] = ocrFuzzySearch(normalized, items, ngramIndex, 5, 0.35, line.confidence ?? null);
+    if (!best) {
+      return { text: line.text, confidence: line.confidence ?? null, item: null, score: 0 };
+    }
+
+    const rawName = best.item['9: Name'] || best.item['0: Singular'] || '';
+    return {
+      text: line.text,
+      confidence: line.confidence ?? null,
+      item: {
+        id: parseInt(best.item['key: #'], 10),
+        name: rawName.replace(/^["']|["']$/g, '').trim(),
+        isTradable: true,
+      },
+      score: best.score,
+    };
+  });
+
+  // Mark untradable matches so the caller can leave them out of price lookups
+  const itemIds = [...new Set(resolved.filter(r => r.item).map(r => r.item.id))];
+  if (itemIds.length > 0) {
+    try {
+      const { getMarketItemsByIds } = await import('./supabaseData');
+      const marketItems = await getMarketItemsByIds(itemIds, signal);
+      resolved.forEach(r => {
+        if (r.item) {
+          r.item.isTradable = marketItems.has(r.item.id);
+        }
+      });
+    } catch (error) {
+      if (error.name === 'AbortError' || (signal && signal.aborted)) {
+        throw error;
+      }
+      console.warn(`[ItemDB] ⚠️ Failed to check marketability for OCR lines:`, error);
+    }
+  }
+
+  return resolved;
+}
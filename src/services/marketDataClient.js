@@ -0,0 +1,229 @@
+// Market data client - shared cache and request merging for Universalis aggregated prices
+// Lookups for the same world/DC made within a short window are merged into 100-item requests,
+// lookups already in flight are shared, and results are cached per item for a few minutes,
+// so moving between pages does not fetch the same prices again.
+import axios from 'axios';
+import { requestManager } from '../utils/requestManager';
+
+const UNIVERSALIS_BASE_URL = 'https://universalis.app/api/v2';
+
+// Universalis aggregated endpoint accepts up to 100 item IDs per request
+const MAX_ITEMS_PER_REQUEST = 100;
+// How long a lookup waits for others to join the same request (ms)
+const COALESCE_DELAY = 20;
+// Aggregated values are already cached upstream, so a few minutes is fresh enough
+const DEFAULT_MARKET_DATA_TTL = 3 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 5000;
+const MAX_RETRIES = 2;
+
+// `${region}:${itemId}` -> { result, fetchedAt }; result is null when Universalis has no data
+const cache = new Map();
+// `${region}:${itemId}` -> { promise, resolve, reject } for lookups queued or in flight
+const inFlight = new Map();
+// region -> { itemIds: Array<number>, timer } waiting to be sent
+const pendingBatches = new Map();
+
+function getCacheKey(region, itemId) {
+  return `${region}:${itemId}`;
+}
+
+/**
+ * Read a cached result
+ * @returns {Object|null|undefined} undefined when missing or older than maxAge
+ */
+function readCache(key, maxAge) {
+  const entry = cache.get(key);
+  if (!entry) return undefined;
+  if (maxAge <= 0 || Date.now() - entry.fetchedAt > maxAge) return undefined;
+  return entry.result;
+}
+
+function writeCache(key, result) {
+  // Re-insert so the Map stays ordered oldest first for eviction
+  cache.delete(key);
+  cache.set(key, { result, fetchedAt: Date.now() });
+  if (cache.size > MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+/**
+ * Resolve or reject a queued lookup
+ */
+function settle(key, error, result) {
+  const deferred = inFlight.get(key);
+  if (!deferred) return;
+  inFlight.delete(key);
+  if (error) {
+    deferred.reject(error);
+  } else {
+    deferred.resolve(result);
+  }
+}
+
+/**
+ * Fetch one aggregated request, retrying rate limit errors
+ * A 400 on a merged request is usually caused by one bad ID, so the request is split
+ * until the bad IDs are isolated and the others still get their data.
+ * @param {string} region - World ID or DC/region name
+ * @param {Array<number>} itemIds - Up to 100 item IDs
+ * @returns {Promise<Array<Object>>} Universalis result entries
+ */
+async function requestAggregated(region, itemIds) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await requestManager.schedule(() =>
+        axios.get(`${UNIVERSALIS_BASE_URL}/aggregated/${encodeURIComponent(region)}/${itemIds.join(',')}`)
+      );
+      return response.data?.results || [];
+    } catch (error) {
+      if (error.response?.status === 400) {
+        if (itemIds.length === 1) return [];
+        const middle = Math.ceil(itemIds.length / 2);
+        const [first, second] = await Promise.all([
+          requestAggregated(region, itemIds.slice(0, middle)),
+          requestAggregated(region, itemIds.slice(middle)),
+        ]);
+        return [...first, ...second];
+      }
+      if (attempt >= MAX_RETRIES || !requestManager.isRateLimitError(error)) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, requestManager.getRetryDelay(attempt)));
+    }
+  }
+}
+
+/**
+ * Send every lookup queued for a region
+ * @param {string} region
+ */
+function flushBatch(region) {
+  const batch = pendingBatches.get(region);
+  if (!batch) return;
+  pendingBatches.delete(region);
+  clearTimeout(batch.timer);
+
+  for (let i = 0; i < batch.itemIds.length; i += MAX_ITEMS_PER_REQUEST) {
+    const chunk = batch.itemIds.slice(i, i + MAX_ITEMS_PER_REQUEST);
+    requestAggregated(region, chunk)
+      .then(results => {
+        const resultsById = new Map(results.map(result => [result.itemId, result]));
+        chunk.forEach(itemId => {
+          const key = getCacheKey(region, itemId);
+          const result = resultsById.get(itemId) || null;
+          writeCache(key, result);
+          settle(key, null, result);
+        });
+      })
+      .catch(error => {
+        chunk.forEach(itemId => settle(getCacheKey(region, itemId), error));
+      });
+  }
+}
+
+/**
+ * Queue a lookup, joining one already queued or in flight for the same item
+ * @param {string} region
+ * @param {number} itemId
+ * @returns {Promise<Object|null>}
+ */
+function enqueueLookup(region, itemId) {
+  const key = getCacheKey(region, itemId);
+  const existing = inFlight.get(key);
+  if (existing) return existing.promise;
+
+  const deferred = {};
+  deferred.promise = new Promise((resolve, reject) => {
+    deferred.resolve = resolve;
+    deferred.reject = reject;
+  });
+  // Callers that were aborted no longer listen; don't report their failure as unhandled
+  deferred.promise.catch(() => {});
+  inFlight.set(key, deferred);
+
+  let batch = pendingBatches.get(region);
+  if (!batch) {
+    batch = { itemIds: [], timer: setTimeout(() => flushBatch(region), COALESCE_DELAY) };
+    pendingBatches.set(region, batch);
+  }
+  batch.itemIds.push(itemId);
+  if (batch.itemIds.length >= MAX_ITEMS_PER_REQUEST) {
+    flushBatch(region);
+  }
+
+  return deferred.promise;
+}
+
+/**
+ * Wait for a promise unless the signal aborts first
+ * The shared request itself keeps going, since other callers may be waiting on it.
+ */
+function waitUnlessAborted(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new DOMException('Request aborted', 'AbortError'));
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Get aggregated market data for any number of items
+ * Returns the same shape as the Universalis aggregated endpoint, so callers that parsed
+ * the raw response can switch to this without other changes.
+ * @param {string|number} worldDcRegion - World ID or DC/region name
+ * @param {Array<number>} itemIds - Item IDs (no limit; merged and split into 100-item requests)
+ * @param {Object} options - { signal, maxAge: ms a cached result stays valid (0 skips the cache) }
+ * @returns {Promise<Object>} { results: [raw aggregated entries], failedItems: [itemIds without data] }
+ * @throws {DOMException} AbortError when the signal aborts; request errors are passed on
+ */
+export async function fetchAggregatedMarketData(worldDcRegion, itemIds, options = {}) {
+  const { signal, maxAge = DEFAULT_MARKET_DATA_TTL } = options;
+  if (signal && signal.aborted) {
+    throw new DOMException('Request aborted', 'AbortError');
+  }
+
+  const region = String(worldDcRegion);
+  const uniqueIds = [...new Set((itemIds || []).map(Number).filter(Number.isInteger))];
+  const resultsById = new Map();
+  const lookups = [];
+
+  uniqueIds.forEach(itemId => {
+    const cached = readCache(getCacheKey(region, itemId), maxAge);
+    if (cached !== undefined) {
+      resultsById.set(itemId, cached);
+    } else {
+      lookups.push(enqueueLookup(region, itemId).then(result => resultsById.set(itemId, result)));
+    }
+  });
+
+  if (lookups.length > 0) {
+    await waitUnlessAborted(Promise.all(lookups), signal);
+  }
+
+  const results = [];
+  const failedItems = [];
+  uniqueIds.forEach(itemId => {
+    const result = resultsById.get(itemId);
+    if (result) {
+      results.push(result);
+    } else {
+      failedItems.push(itemId);
+    }
+  });
+  return { results, failedItems };
+}
@@ -0,0 +1,210 @@
+// Melding cost service - overmeld success rates and the materia spend they imply for a melding plan
+import { getAggregatedPriceStats } from './universalis';
+
+// Advanced melding fills up to five slots in total, guaranteed slots included
+export const MAX_MELD_SLOTS = 5;
+
+// Success rate (%) of each overmeld slot, indexed by materia tier then by overmeld slot.
+// Even tiers from VI on can only go into the first overmeld slot.
+const OVERMELD_RATES = {
+  hq: [
+    [90, 48, 28, 16], // I
+    [82, 44, 26, 16], // II
+    [70, 38, 22, 14], // III
+    [58, 32, 20, 12], // IV
+    [17, 10, 7, 5], // V
+    [17, 0, 0, 0], // VI
+    [17, 10, 7, 5], // VII
+    [17, 0, 0, 0], // VIII
+    [17, 10, 7, 5], // IX
+    [17, 0, 0, 0], // X
+    [17, 10, 7, 5], // XI
+    [17, 0, 0, 0], // XII
+  ],
+  nq: [
+    [80, 40, 20, 10], // I
+    [72, 36, 18, 10], // II
+    [60, 30, 16, 8], // III
+    [48, 24, 12, 6], // IV
+    [12, 6, 3, 2], // V
+    [12, 0, 0, 0], // VI
+    [12, 6, 3, 2], // VII
+    [12, 0, 0, 0], // VIII
+    [12, 6, 3, 2], // IX
+    [12, 0, 0, 0], // X
+    [12, 6, 3, 2], // XI
+    [12, 0, 0, 0], // XII
+  ],
+};
+
+export const MATERIA_PARAM_GROUPS = [
+  { labelKey: 'meldingCost.groupCombat', paramIds: [27, 44, 22, 45, 46, 19, 6] },
+  { labelKey: 'meldingCost.groupCrafting', paramIds: [70, 71, 11] },
+  { labelKey: 'meldingCost.groupGathering', paramIds: [72, 73, 10] },
+];
+
+const TIER_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI', 'XII'];
+
+let materiasPromise = null;
+
+/**
+ * Load materias.json grouped by base param
+ * Tiers without an item yet (itemId 0) are dropped.
+ * @returns {Promise<Object>} { [baseParamId]: [{ itemId, tier, value }] } - highest tier first
+ */
+export function loadMaterias() {
+  if (materiasPromise) return materiasPromise;
+
+  materiasPromise = import('../../teamcraft_git/libs/data/src/lib/json/materias.json')
+    .then(module => {
+      const materias = module.default || module;
+      const byParam = {};
+      materias.forEach(materia => {
+        if (!materia.itemId || !OVERMELD_RATES.hq[materia.tier - 1]) return;
+        if (!byParam[materia.baseParamId]) byParam[materia.baseParamId] = [];
+        byParam[materia.baseParamId].push({ itemId: materia.itemId, tier: materia.tier, value: materia.value });
+      });
+      Object.values(byParam).forEach(list => list.sort((a, b) => b.tier - a.tier));
+      return byParam;
+    })
+    .catch(error => {
+      materiasPromise = null;
+      throw error;
+    });
+
+  return materiasPromise;
+}
+
+/**
+ * Roman numeral used in materia names
+ * @param {number} tier - 1 based
+ * @returns {string}
+ */
+export function getTierNumeral(tier) {
+  return TIER_NUMERALS[tier - 1] || String(tier);
+}
+
+/**
+ * Number of materia an item can take
+ * @param {Object} item - Entry from getItemComparisonData
+ * @returns {number}
+ */
+export function getMaxMeldSlots(item) {
+  if (!item?.isEquipment) return 0;
+  return item.advancedMelding ? Math.max(MAX_MELD_SLOTS, item.materiaSlots) : item.materiaSlots;
+}
+
+/**
+ * Success rate of melding into a slot
+ * @param {number} slotIndex - 0 based position in the melding order
+ * @param {number} guaranteedSlots - Item's regular materia slots
+ * @param {number} tier - Materia tier
+ * @param {boolean} isHq - HQ gear has better overmeld rates
+ * @returns {number} - Percent, 0 when the materia can't go into that slot
+ */
+export function getMeldChance(slotIndex, guaranteedSlots, tier, isHq = true) {
+  if (slotIndex < guaranteedSlots) return 100;
+  return OVERMELD_RATES[isHq ? 'hq' : 'nq'][tier - 1]?.[slotIndex - guaranteedSlots] ?? 0;
+}
+
+/**
+ * Attempts needed to land a meld with the given confidence
+ * @param {number} chance - Percent
+ * @param {number} confidence - 0 to 1
+ * @returns {number}
+ */
+function getCountForConfidence(chance, confidence) {
+  if (chance >= 100) return 1;
+  return Math.max(1, Math.ceil(Math.log(1 - confidence) / Math.log(1 - chance / 100)));
+}
+
+/**
+ * Estimate the materia used and gil spent on a melding plan
+ * A failed overmeld only destroys the materia, so each slot is retried until it lands and the
+ * expected number of materia is 100 / chance.
+ * @param {Object} item - Entry from getItemComparisonData
+ * @param {Array<Object>} melds - [{ itemId, paramId, tier, value }] in melding order
+ * @param {Object} prices - { [materiaItemId]: unit price }
+ * @param {Object} options - { isHq, confidence: 0 to 1 }
+ * @returns {Object} - { slots, materias, totalExpectedCount, totalExpectedCost, totalSafeCost, missingPriceIds, hasImpossibleSlot }
+ */
+export function estimateMeldCost(item, melds, prices, options = {}) {
+  const { isHq = true, confidence = 0.9 } = options;
+  const guaranteedSlots = item?.materiaSlots || 0;
+  const materiaMap = new Map();
+  const missingPriceIds = new Set();
+  let totalExpectedCount = 0;
+  let totalExpectedCost = 0;
+  let totalSafeCost = 0;
+
+  const slots = melds.map((meld, slotIndex) => {
+    const chance = getMeldChance(slotIndex, guaranteedSlots, meld.tier, isHq);
+    const unitPrice = prices[meld.itemId] || null;
+    const slot = {
+      ...meld,
+      slotIndex,
+      isOvermeld: slotIndex >= guaranteedSlots,
+      chance,
+      expectedCount: null,
+      safeCount: null,
+      unitPrice,
+      expectedCost: null,
+      safeCost: null,
+    };
+    if (chance <= 0) return slot;
+
+    slot.expectedCount = 100 / chance;
+    slot.safeCount = getCountForConfidence(chance, confidence);
+    totalExpectedCount += slot.expectedCount;
+
+    const materia = materiaMap.get(meld.itemId) || { itemId: meld.itemId, expectedCount: 0, safeCount: 0 };
+    materia.expectedCount += slot.expectedCount;
+    materia.safeCount += slot.safeCount;
+    materiaMap.set(meld.itemId, materia);
+
+    if (unitPrice) {
+      slot.expectedCost = Math.round(unitPrice * slot.expectedCount);
+      slot.safeCost = unitPrice * slot.safeCount;
+      totalExpectedCost += slot.expectedCost;
+      totalSafeCost += slot.safeCost;
+    } else {
+      missingPriceIds.add(meld.itemId);
+    }
+    return slot;
+  });
+
+  return {
+    slots,
+    materias: Array.from(materiaMap.values()),
+    totalExpectedCount,
+    totalExpectedCost,
+    totalSafeCost,
+    missingPriceIds: Array.from(missingPriceIds),
+    hasImpossibleSlot: slots.some(slot => slot.chance <= 0),
+  };
+}
+
+/**
+ * Current unit price of each materia
+ * Materia are NQ only; the cheapest listing is what you would actually buy, with the average
+ * sale price as a fallback when nothing is listed.
+ * @param {string|number} worldDcRegion - DC name or world ID
+ * @param {Array<number>} itemIds - Materia item IDs (well under one Universalis batch)
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Object>} - { [itemId]: price }
+ */
+export async function getMateriaPrices(worldDcRegion, itemIds, signal = null) {
+  const isWorldQuery = typeof worldDcRegion === 'number';
+  const statsById = await getAggregatedPriceStats(worldDcRegion, itemIds, { signal });
+  const prices = {};
+
+  itemIds.forEach(itemId => {
+    const nq = statsById[itemId]?.nq;
+    const minListing = isWorldQuery ? nq?.minListingWorld : nq?.minListingDc?.price;
+    const average = isWorldQuery ? nq?.averageWorld : nq?.averageDc;
+    const price = minListing || average;
+    if (price) prices[itemId] = Math.round(price);
+  });
+
+  return prices;
+}
@@ -0,0 +1,326 @@
+/**
+ * Persistent Cache Service
+ *
+ * IndexedDB-backed key/value store for game data loaded from Supabase, so tables and
+ * targeted queries survive page reloads and remain available offline.
+ *
+ * Every entry is stamped with DATA_VERSION (tied to APP_VERSION). Entries written by an
+ * older version are ignored on read and pruned when the database is first opened, so a
+ * deploy with new patch data never serves stale rows.
+ *
+ * Targeted query results (one entry per set of IDs) are also stamped with when they were last
+ * read, and the least recently used ones are evicted once there are more than MAX_TARGETED_ENTRIES.
+ * Full tables are never evicted.
+ *
+ * All functions fail soft: when IndexedDB is unavailable (private mode, old browsers,
+ * quota errors) reads return null and writes are skipped, and callers fall back to Supabase.
+ */
+
+import { APP_VERSION } from '../constants/version';
+
+const DB_NAME = 'ffxiv_market_cache';
+const DB_VERSION = 2;
+const STORE_NAME = 'entries';
+// Only targeted entries carry accessedAt, so this index holds nothing else
+const ACCESS_INDEX = 'accessedAt';
+const MAX_TARGETED_ENTRIES = 2000;
+// Check the targeted entry count after this many targeted writes
+const PRUNE_EVERY_WRITES = 50;
+// Reads only refresh accessedAt when it's older than this, to avoid a write per read
+const ACCESS_TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+
+// Bump the suffix when the shape of cached data changes without an app version change
+export const DATA_VERSION = `${APP_VERSION}-1`;
+
+let dbPromise = null;
+let targetedWritesSincePrune = 0;
+
+/**
+ * Check whether IndexedDB can be used in this environment
+ * @returns {boolean}
+ */
+export function isPersistentCacheAvailable() {
+  return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Delete entries written by other data versions
+ * @param {IDBDatabase} db
+ */
+function pruneOutdatedEntries(db) {
+  try {
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const request = tx.objectStore(STORE_NAME).openCursor();
+    let pruned = 0;
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        if (pruned > 0) {
+          console.log(`[Cache] 🧹 Pruned ${pruned} entries from previous data versions`);
+        }
+        return;
+      }
+      if (cursor.value.version !== DATA_VERSION) {
+        cursor.delete();
+        pruned++;
+      }
+      cursor.continue();
+    };
+  } catch (error) {
+    console.error('Failed to prune persistent cache:', error);
+  }
+}
+
+/**
+ * Evict the least recently read targeted entries beyond MAX_TARGETED_ENTRIES
+ * @param {IDBDatabase} db
+ */
+function pruneTargetedEntries(db) {
+  try {
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+    const index = store.index(ACCESS_INDEX);
+    const countRequest = index.count();
+    countRequest.onsuccess = () => {
+      let excess = countRequest.result - MAX_TARGETED_ENTRIES;
+      if (excess <= 0) return;
+      const evicted = excess;
+      // Key cursor, so entry data isn't loaded just to be deleted
+      const cursorRequest = index.openKeyCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || excess <= 0) {
+          console.log(`[Cache] 🧹 Evicted ${evicted} least recently used targeted entries`);
+          return;
+        }
+        store.delete(cursor.primaryKey);
+        excess--;
+        cursor.continue();
+      };
+    };
+  } catch (error) {
+    console.error('Failed to prune targeted cache entries:', error);
+  }
+}
+
+/**
+ * Open (or reuse) the cache database
+ * @returns {Promise<IDBDatabase|null>} - null when IndexedDB is unavailable
+ */
+function openDatabase() {
+  if (!isPersistentCacheAvailable()) {
+    return Promise.resolve(null);
+  }
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve) => {
+    try {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const store = db.objectStoreNames.contains(STORE_NAME)
+          ? request.transaction.objectStore(STORE_NAME)
+          : db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        if (!store.indexNames.contains(ACCESS_INDEX)) {
+          store.createIndex(ACCESS_INDEX, ACCESS_INDEX);
+          // Entries from before the index existed: everything but full tables ("<table>:all") is targeted
+          const cursorRequest = store.openCursor();
+          cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return;
+            if (!cursor.value.key.endsWith(':all')) {
+              cursor.update({ ...cursor.value, accessedAt: cursor.value.updatedAt || 0 });
+            }
+            cursor.continue();
+          };
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another tab upgraded the schema - drop our handle so the next call reopens
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        pruneOutdatedEntries(db);
+        pruneTargetedEntries(db);
+        resolve(db);
+      };
+      request.onerror = () => {
+        console.error('Failed to open persistent cache:', request.error);
+        resolve(null);
+      };
+      request.onblocked = () => {
+        console.warn('[Cache] ⚠️ Persistent cache blocked by another tab');
+        resolve(null);
+      };
+    } catch (error) {
+      console.error('Failed to open persistent cache:', error);
+      resolve(null);
+    }
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Read a cached entry for the current data version
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} - { data, updatedAt } or null on miss
+ */
+export async function getPersistentEntry(key) {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  try {
+    const tx = db.transaction(STORE_NAME, 'readonly');
+    const entry = await promisifyRequest(tx.objectStore(STORE_NAME).get(key));
+    if (!entry || entry.version !== DATA_VERSION) {
+      return null;
+    }
+    if (entry.accessedAt !== undefined && Date.now() - entry.accessedAt > ACCESS_TOUCH_INTERVAL_MS) {
+      touchEntry(db, entry);
+    }
+    return { data: entry.data, updatedAt: entry.updatedAt };
+  } catch (error) {
+    console.error(`Failed to read persistent cache entry ${key}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Mark a targeted entry as just read, so LRU eviction keeps it
+ * @param {IDBDatabase} db
+ * @param {Object} entry - Stored record
+ */
+function touchEntry(db, entry) {
+  try {
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    tx.objectStore(STORE_NAME).put({ ...entry, accessedAt: Date.now() });
+  } catch (error) {
+    console.error(`Failed to touch persistent cache entry ${entry.key}:`, error);
+  }
+}
+
+/**
+ * Write an entry for the current data version
+ * @param {string} key - Cache key
+ * @param {any} data - Structured-cloneable data
+ * @param {Object} options - { targeted: true for per-ID-set query results, which may be evicted }
+ * @returns {Promise<boolean>} - True if written
+ */
+export async function setPersistentEntry(key, data, options = {}) {
+  const db = await openDatabase();
+  if (!db) return false;
+
+  try {
+    // Size is estimated once at write time so the settings panel doesn't have to re-serialize
+    const size = JSON.stringify(data)?.length || 0;
+    const now = Date.now();
+    const record = {
+      key,
+      version: DATA_VERSION,
+      updatedAt: now,
+      size,
+      data,
+    };
+    if (options.targeted) {
+      record.accessedAt = now;
+    }
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    await promisifyRequest(tx.objectStore(STORE_NAME).put(record));
+
+    if (options.targeted && ++targetedWritesSincePrune >= PRUNE_EVERY_WRITES) {
+      targetedWritesSincePrune = 0;
+      pruneTargetedEntries(db);
+    }
+    return true;
+  } catch (error) {
+    console.error(`Failed to write persistent cache entry ${key}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Summarize cache contents for the current data version, grouped by key prefix
+ * @returns {Promise<Object>} - { available, version, entryCount, totalSize, groups: [{ name, count, size, updatedAt }] }
+ */
+export async function getPersistentCacheStats() {
+  const stats = {
+    available: false,
+    version: DATA_VERSION,
+    entryCount: 0,
+    totalSize: 0,
+    groups: [],
+  };
+
+  const db = await openDatabase();
+  if (!db) return stats;
+  stats.available = true;
+
+  try {
+    const groups = new Map();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, 'readonly');
+      const request = tx.objectStore(STORE_NAME).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        const { key, version, size, updatedAt } = cursor.value;
+        if (version === DATA_VERSION) {
+          // Keys look like "tw_recipes:all" or "tw_npcs:1,2,3" - group by the part before ":"
+          const name = key.split(':')[0];
+          const group = groups.get(name) || { name, count: 0, size: 0, updatedAt: 0 };
+          group.count++;
+          group.size += size || 0;
+          group.updatedAt = Math.max(group.updatedAt, updatedAt || 0);
+          groups.set(name, group);
+          stats.entryCount++;
+          stats.totalSize += size || 0;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+    stats.groups = Array.from(groups.values()).sort((a, b) => b.size - a.size);
+  } catch (error) {
+    console.error('Failed to read persistent cache stats:', error);
+  }
+
+  return stats;
+}
+
+/**
+ * Remove all cached entries
+ * @returns {Promise<boolean>} - True if cleared
+ */
+export async function clearPersistentCache() {
+  const db = await openDatabase();
+  if (!db) return false;
+
+  try {
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    await promisifyRequest(tx.objectStore(STORE_NAME).clear());
+    return true;
+  } catch (error) {
+    console.error('Failed to clear persistent cache:', error);
+    return false;
+  }
+}
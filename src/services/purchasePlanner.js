@@ -0,0 +1,144 @@
+// Purchase planner - picks the cheapest DC listings to fill a shopping list and groups them by world
+import { getMarketDataByDataCenter } from './universalis';
+import { translate } from '../i18n';
+import { getUILanguage } from '../utils/uiLanguage';
+
+// Universalis returns listings sorted by price; 100 is plenty to fill most quantities
+const LISTINGS_PER_ITEM = 100;
+
+/**
+ * Fetch current DC listings for multiple items
+ * @param {string} dcName - Data center name
+ * @param {Array<number>} itemIds - Item IDs
+ * @param {Object} options - { signal, onProgress(loaded, total) }
+ * @returns {Promise<Object>} - { [itemId]: listings[] } (items without data map to [])
+ */
+export async function fetchDataCenterListings(dcName, itemIds, options = {}) {
+  const { signal, onProgress } = options;
+  const results = {};
+  let loaded = 0;
+
+  // All requests are started at once: requestManager.schedule caps concurrency and the per-second rate
+  await Promise.all(itemIds.map(async (itemId) => {
+    const data = await getMarketDataByDataCenter(itemId, dcName, { listings: LISTINGS_PER_ITEM, entries: 0, signal });
+    if (signal && signal.aborted) return;
+    results[itemId] = (data?.listings || []).map(listing => ({
+      listingId: listing.listingID,
+      pricePerUnit: listing.pricePerUnit,
+      quantity: listing.quantity,
+      total: listing.total,
+      hq: listing.hq || false,
+      worldName: listing.worldName || dcName,
+      retainerName: listing.retainerName,
+    }));
+    loaded++;
+    if (onProgress) onProgress(loaded, itemIds.length);
+  }));
+  return results;
+}
+
+/**
+ * Pick the cheapest listings that together cover the requested quantity
+ * Listings must be bought as whole stacks, so the last pick may overshoot the quantity.
+ * @param {Array<Object>} listings - Listings with pricePerUnit, quantity, hq
+ * @param {number} quantity - Units needed
+ * @param {Object} options - { hqOnly: boolean }
+ * @returns {Object} { listings, quantity: units bought, cost, shortfall: units that could not be filled }
+ */
+export function selectCheapestListings(listings, quantity, options = {}) {
+  const candidates = (listings || [])
+    .filter(listing => !options.hqOnly || listing.hq)
+    .sort((a, b) => a.pricePerUnit - b.pricePerUnit);
+
+  const selected = [];
+  let bought = 0;
+  let cost = 0;
+
+  for (const listing of candidates) {
+    if (bought >= quantity) break;
+    const remaining = quantity - bought;
+
+    // If a single later stack covers the remainder for less than this one, prefer it
+    if (listing.quantity > remaining) {
+      const cheaperCover = candidates
+        .filter(other => !selected.includes(other) && other.quantity >= remaining)
+        .reduce((best, other) => (!best || other.pricePerUnit * other.quantity < best.pricePerUnit * best.quantity ? other : best), null);
+      if (cheaperCover && cheaperCover.pricePerUnit * cheaperCover.quantity < listing.pricePerUnit * listing.quantity) {
+        selected.push(cheaperCover);
+        bought += cheaperCover.quantity;
+        cost += cheaperCover.pricePerUnit * cheaperCover.quantity;
+        break;
+      }
+    }
+
+    selected.push(listing);
+    bought += listing.quantity;
+    cost += listing.pricePerUnit * listing.quantity;
+  }
+
+  return {
+    listings: selected,
+    quantity: bought,
+    cost,
+    shortfall: Math.max(0, quantity - bought),
+  };
+}
+
+/**
+ * Build a purchase plan for a shopping list, grouped by world
+ * @param {Array<Object>} entries - Shopping list entries: { itemId, itemName, quantity, hqOnly }
+ * @param {Object} listingsByItemId - { [itemId]: listings[] } from fetchDataCenterListings
+ * @returns {Object} { worlds: [{ worldName, purchases: [{ itemId, itemName, listing }], total }], items, total, unfilled }
+ */
+export function buildPurchasePlan(entries, listingsByItemId) {
+  const worldMap = new Map();
+  const items = [];
+  const unfilled = [];
+  let total = 0;
+
+  entries.forEach(entry => {
+    const selection = selectCheapestListings(listingsByItemId[entry.itemId], entry.quantity, { hqOnly: entry.hqOnly });
+    items.push({ ...entry, ...selection, requested: entry.quantity });
+    total += selection.cost;
+
+    if (selection.shortfall > 0) {
+      unfilled.push({ itemId: entry.itemId, itemName: entry.itemName, shortfall: selection.shortfall });
+    }
+
+    selection.listings.forEach(listing => {
+      const world = worldMap.get(listing.worldName) || { worldName: listing.worldName, purchases: [], total: 0 };
+      world.purchases.push({ itemId: entry.itemId, itemName: entry.itemName, listing });
+      world.total += listing.pricePerUnit * listing.quantity;
+      worldMap.set(listing.worldName, world);
+    });
+  });
+
+  // Visit the world with the most spending first
+  const worlds = Array.from(worldMap.values()).sort((a, b) => b.total - a.total);
+
+  return { worlds, items, total, unfilled };
+}
+
+/**
+ * Format a purchase plan as plain text for copying
+ * @param {Object} plan - Result of buildPurchasePlan
+ * @returns {string}
+ */
+export function formatPurchasePlan(plan) {
+  const language = getUILanguage();
+  const lines = [];
+  plan.worlds.forEach((world, index) => {
+    lines.push(`${index + 1}. ${world.worldName}（${world.total.toLocaleString()} gil）`);
+    world.purchases.forEach(({ itemName, itemId, listing }) => {
+      const name = itemName || translate(language, 'common.itemFallback', { id: itemId });
+      const hq = listing.hq ? ' HQ' : '';
+      lines.push(`   - ${name}${hq} ×${listing.quantity} @ ${listing.pricePerUnit.toLocaleString()}（${listing.retainerName || '-'}）`);
+    });
+  });
+  lines.push(translate(language, 'shoppingList.summaryTotal', { total: plan.total.toLocaleString() }));
+  if (plan.unfilled.length > 0) {
+    const items = plan.unfilled.map(item => `${item.itemName || item.itemId} ×${item.shortfall}`);
+    lines.push(translate(language, 'shoppingList.summaryUnfilled', { items: items.join(translate(language, 'common.listSeparator')) }));
+  }
+  return lines.join('\n');
+}
@@ -104,6 +104,27 @@ export async function hasRecipe(itemId) {
 // Crystal item IDs (shards, crystals, clusters)
 const CRYSTAL_ITEM_IDS = new Set([2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19]);
 
+/**
+ * Check if an item is a crystal/shard/cluster
+ * @param {number} itemId - The item ID
+ * @returns {boolean}
+ */
+export function isCrystalItem(itemId) {
+  return CRYSTAL_ITEM_IDS.has(itemId);
+}
+
+/**
+ * Pick the recipe to use for an item
+ * @param {Array<Object>} recipes - All recipes producing the item
+ * @param {Object|null} recipeChoices - { [resultItemId]: recipeId } chosen by the user
+ * @returns {Object|undefined} The chosen recipe, or the first one if there is no valid choice
+ */
+function selectRecipe(recipes, recipeChoices) {
+  if (!recipes || recipes.length === 0) return undefined;
+  const chosenId = recipeChoices ? recipeChoices[recipes[0].result] : undefined;
+  return (chosenId && recipes.find(recipe => recipe.id === chosenId)) || recipes[0];
+}
+
 /**
  * Build a complete crafting tree for an item (OPTIMIZED - batch queries all recipes first)
  * @param {number} itemId - The item ID to build tree for
@@ -112,9 +133,12 @@ const CRYSTAL_ITEM_IDS = new Set([2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15
  * @param {number} depth - Current depth in the tree (for limiting recursion)
  * @param {boolean} excludeCrystals - Whether to exclude crystal items from the tree (default true)
  * @param {Map} recipesByResult - Pre-loaded map of itemId -> recipes (optional, for internal use)
+ * @param {Object|null} recipeChoices - { [resultItemId]: recipeId } alternate recipes to use instead of the first
  * @returns {Promise<Object|null>} - Tree node with item info and children, or null if no recipe
+ *   Nodes with more than one recipe list them in `recipes` ({ id, job, level, yields, expert });
+ *   children carry `amountPerCraft` so owned materials can be applied later (see applyOwnedMaterials)
  */
-export async function buildCraftingTree(itemId, amount = 1, visited = new Set(), depth = 0, excludeCrystals = true, recipesByResult = null) {
+export async function buildCraftingTree(itemId, amount = 1, visited = new Set(), depth = 0, excludeCrystals = true, recipesByResult = null, recipeChoices = null) {
   // If recipesByResult is not provided, this is the root call - collect all item IDs first
   if (recipesByResult === null) {
     // Phase 1: Collect all item IDs that will be needed by traversing recipes level by level
@@ -150,7 +174,7 @@ export async function buildCraftingTree(itemId, amount = 1, visited = new Set(),
       currentLevelItemIds.forEach(id => {
         const itemRecipes = recipesByResultTemp.get(id);
         if (itemRecipes && itemRecipes.length > 0) {
-          const recipe = itemRecipes[0];
+          const recipe = selectRecipe(itemRecipes, recipeChoices);
           let ingredients = excludeCrystals
             ? recipe.ingredients.filter(ing => !CRYSTAL_ITEM_IDS.has(ing.id))
             : recipe.ingredients;
@@ -205,9 +229,10 @@ export async function buildCraftingTree(itemId, amount = 1, visited = new Set(),
     };
   }
 
-  // Use the first recipe (usually the main one)
-  // In FFXIV, items typically have one recipe per job, and they're usually identical
-  const recipe = recipes[0];
+  // Use the chosen recipe, or the first one (usually the main one)
+  // Most items have one recipe per job with identical ingredients, but some have
+  // expert or alternative variants that use different materials
+  const recipe = selectRecipe(recipes, recipeChoices);
   
   // Mark this item as visited to prevent cycles
   const newVisited = new Set(visited);
@@ -278,12 +303,16 @@ export async function buildCraftingTree(itemId, amount = 1, visited = new Set(),
       newVisited,
       depth + 1,
       excludeCrystals,
-      recipesByResult // Pass the pre-loaded recipes map
+      recipesByResult, // Pass the pre-loaded recipes map
+      recipeChoices
     );
   });
 
   // Wait for all children to be built (they're now synchronous since recipes are pre-loaded)
   const resolvedChildren = await Promise.all(children);
+  resolvedChildren.forEach((child, index) => {
+    child.amountPerCraft = filteredIngredients[index].amount;
+  });
 
   return {
     itemId,
@@ -295,13 +324,63 @@ export async function buildCraftingTree(itemId, amount = 1, visited = new Set(),
     craftsNeeded,
     children: resolvedChildren,
     isBaseMaterial: false,
+    recipes: recipes.length > 1
+      ? recipes.map(r => ({ id: r.id, job: r.job, level: r.lvl, yields: r.yields || 1, expert: !!r.expert }))
+      : null,
   };
 }
 
+/**
+ * Apply owned materials to a crafting tree, returning a new tree with the remaining needs
+ * Each owned unit covers one required unit of that item wherever it appears (depth-first,
+ * so earlier branches use the stock first). Owning an intermediate also removes the
+ * ingredients that would have been needed to craft it. The root item is never reduced.
+ * @param {Object} tree - Crafting tree from buildCraftingTree
+ * @param {Object} ownedMaterials - { [itemId]: count }
+ * @returns {Object} New tree; nodes gain requiredAmount (before stock) and ownedAmount,
+ *   while amount and craftsNeeded describe what is still missing
+ */
+export function applyOwnedMaterials(tree, ownedMaterials) {
+  if (!tree) return tree;
+  const stock = new Map(
+    Object.entries(ownedMaterials || {})
+      .map(([itemId, count]) => [Number(itemId), Math.max(0, Math.floor(Number(count) || 0))])
+      .filter(([, count]) => count > 0)
+  );
+
+  function apply(node, requiredAmount, isRoot) {
+    const available = isRoot ? 0 : (stock.get(node.itemId) || 0);
+    const ownedAmount = Math.min(available, requiredAmount);
+    if (ownedAmount > 0) {
+      stock.set(node.itemId, available - ownedAmount);
+    }
+    const amount = requiredAmount - ownedAmount;
+    const yields = node.yields || 1;
+    const craftsNeeded = node.isBaseMaterial || !node.children || node.children.length === 0
+      ? node.craftsNeeded
+      : Math.ceil(amount / yields);
+
+    return {
+      ...node,
+      amount,
+      requiredAmount,
+      ownedAmount,
+      craftsNeeded,
+      children: (node.children || []).map(child =>
+        // amountPerCraft is missing on trees built before it existed, keep their amounts
+        apply(child, child.amountPerCraft !== undefined ? child.amountPerCraft * craftsNeeded : child.amount, false)
+      ),
+    };
+  }
+
+  return apply(tree, tree.amount, true);
+}
+
 /**
  * Flatten a crafting tree into a list of all unique items
+ * On a tree from applyOwnedMaterials, totalAmount is what is still needed after owned stock.
  * @param {Object} tree - The crafting tree root node
- * @returns {Array} - Array of { itemId, totalAmount } for all items in the tree
+ * @returns {Array} - Array of { itemId, totalAmount, requiredAmount, ownedAmount } for all items in the tree
  */
 export function flattenCraftingTree(tree) {
   const itemMap = new Map();
@@ -309,8 +388,11 @@ export function flattenCraftingTree(tree) {
   function traverse(node) {
     if (!node) return;
     
-    const existing = itemMap.get(node.itemId) || 0;
-    itemMap.set(node.itemId, existing + node.amount);
+    const existing = itemMap.get(node.itemId) || { totalAmount: 0, requiredAmount: 0, ownedAmount: 0 };
+    existing.totalAmount += node.amount;
+    existing.requiredAmount += node.requiredAmount ?? node.amount;
+    existing.ownedAmount += node.ownedAmount || 0;
+    itemMap.set(node.itemId, existing);
     
     if (node.children) {
       node.children.forEach(traverse);
@@ -319,9 +401,9 @@ export function flattenCraftingTree(tree) {
 
   traverse(tree);
 
-  return Array.from(itemMap.entries()).map(([itemId, totalAmount]) => ({
+  return Array.from(itemMap.entries()).map(([itemId, totals]) => ({
     itemId,
-    totalAmount,
+    ...totals,
   }));
 }
 
@@ -0,0 +1,182 @@
+// Reverse recipe service - walks the "used in" graph up from a material and values every product per material
+import { getAggregatedPriceStatsBatched, pickSellPrice } from './universalis';
+import { getTwRecipesByIngredientId } from './supabaseData';
+
+// Ingredient lookups run in small parallel groups; each one is a separate Supabase query
+const LOOKUP_CONCURRENCY = 8;
+// Crafted products are usually sold HQ, so the HQ price is used when there is one
+const SELL_QUALITIES = { qualities: ['hq', 'nq'] };
+
+/**
+ * Walk every recipe that consumes a material, then every recipe that consumes those products, and so on
+ * Each product keeps the single path that turns the least material into one unit of it, preferring
+ * the shallowest depth. Crafting steps of that path are what the value figures are based on.
+ * @param {number} materialId - Item ID of the material
+ * @param {Object} options - { maxDepth, maxProducts, signal, onProgress(depth, products) }
+ * @returns {Promise<Object>} - { products, truncated }
+ *   products: [{ itemId, depth, parentId, path, recipeId, job, level, yields, amountPerCraft,
+ *               materialPerUnit, coIngredients: [{ itemId, amount }] }] in discovery order
+ */
+export async function buildUsedInGraph(materialId, options = {}) {
+  const { maxDepth = 3, maxProducts = 300, signal, onProgress } = options;
+  const nodes = new Map([[materialId, { itemId: materialId, depth: 0, materialPerUnit: 1, path: [materialId] }]]);
+  let frontier = [materialId];
+  let truncated = false;
+
+  for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+    const nextFrontier = [];
+
+    for (let i = 0; i < frontier.length; i += LOOKUP_CONCURRENCY) {
+      if (signal && signal.aborted) return { products: [], truncated };
+      const group = frontier.slice(i, i + LOOKUP_CONCURRENCY);
+      const recipeLists = await Promise.all(group.map(itemId => getTwRecipesByIngredientId(itemId, signal)));
+
+      group.forEach((parentId, index) => {
+        const parent = nodes.get(parentId);
+        recipeLists[index].forEach(recipe => {
+          const productId = recipe.result;
+          const ingredients = recipe.ingredients || [];
+          const ingredient = ingredients.find(ing => ing.id === parentId);
+          if (!productId || productId === materialId || !ingredient) return;
+
+          const yields = recipe.yields || 1;
+          // A recipe can also take the material itself next to the intermediate
+          const directMaterial = parentId === materialId ? 0 : (ingredients.find(ing => ing.id === materialId)?.amount || 0);
+          const materialPerUnit = (parent.materialPerUnit * ingredient.amount + directMaterial) / yields;
+
+          const existing = nodes.get(productId);
+          if (existing && (existing.depth < depth || existing.materialPerUnit <= materialPerUnit)) return;
+          if (!existing && nodes.size > maxProducts) {
+            truncated = true;
+            return;
+          }
+
+          nodes.set(productId, {
+            itemId: productId,
+            depth,
+            parentId,
+            path: [...parent.path, productId],
+            recipeId: recipe.id,
+            job: recipe.job,
+            level: recipe.lvl,
+            yields,
+            amountPerCraft: ingredient.amount,
+            materialPerUnit,
+            coIngredients: ingredients
+              .filter(ing => ing.id !== parentId && ing.id !== materialId)
+              .map(ing => ({ itemId: ing.id, amount: ing.amount })),
+          });
+          if (!existing) nextFrontier.push(productId);
+        });
+      });
+    }
+
+    frontier = nextFrontier;
+    if (onProgress) onProgress(depth, nodes.size - 1);
+  }
+
+  return {
+    products: Array.from(nodes.values()).filter(node => node.depth > 0),
+    truncated,
+  };
+}
+
+/**
+ * Price an ingredient when buying it: the cheapest listing of either quality, then the NQ average
+ * @returns {number|null}
+ */
+function getBuyPrice(itemStats, isWorldQuery) {
+  const listings = [itemStats?.nq, itemStats?.hq]
+    .map(quality => (isWorldQuery ? quality?.minListingWorld : quality?.minListingDc?.price))
+    .filter(Boolean);
+  if (listings.length > 0) return Math.min(...listings);
+  return (isWorldQuery ? itemStats?.nq?.averageWorld : itemStats?.nq?.averageDc) || null;
+}
+
+/**
+ * Work out what each product is worth per unit of the material
+ * Other ingredients along a product's path are bought at market price and charged against it, so
+ * netPerMaterial is the gil one unit of the material turns into after those purchases and tax.
+ * @param {Array<Object>} products - From buildUsedInGraph
+ * @param {Object} statsById - { [itemId]: { nq, hq } } from getAggregatedPriceStats
+ * @param {Object} options - { isWorldQuery, taxRate: percent }
+ * @returns {Array<Object>} - products plus { sellPrice, velocity, otherCostPerUnit, grossPerMaterial, netPerMaterial }
+ *   otherCostPerUnit and netPerMaterial are null when an ingredient on the path has no price
+ */
+export function evaluateUsedInProducts(products, statsById, options = {}) {
+  const { isWorldQuery = false, taxRate = 5 } = options;
+  const byId = new Map(products.map(product => [product.itemId, product]));
+  const otherCosts = new Map();
+
+  // Cost of the other ingredients in one unit of an item, following its path back to the material
+  const getOtherCostPerUnit = (itemId) => {
+    if (otherCosts.has(itemId)) return otherCosts.get(itemId);
+    const product = byId.get(itemId);
+    if (!product) return 0;
+
+    let cost = 0;
+    for (const ingredient of product.coIngredients) {
+      const price = getBuyPrice(statsById[ingredient.itemId], isWorldQuery);
+      if (price === null) {
+        cost = null;
+        break;
+      }
+      cost += price * ingredient.amount;
+    }
+    const parentCost = cost === null ? null : getOtherCostPerUnit(product.parentId);
+    const perUnit = parentCost === null ? null : (cost + product.amountPerCraft * parentCost) / product.yields;
+    otherCosts.set(itemId, perUnit);
+    return perUnit;
+  };
+
+  return products.map(product => {
+    const sell = pickSellPrice(statsById[product.itemId], isWorldQuery, SELL_QUALITIES);
+    const otherCostPerUnit = getOtherCostPerUnit(product.itemId);
+    const afterTax = sell ? sell.price * (1 - taxRate / 100) : null;
+
+    return {
+      ...product,
+      sellPrice: sell ? sell.price : null,
+      velocity: sell?.velocity || 0,
+      otherCostPerUnit: otherCostPerUnit === null ? null : Math.round(otherCostPerUnit),
+      grossPerMaterial: afterTax === null ? null : afterTax / product.materialPerUnit,
+      netPerMaterial: afterTax === null || otherCostPerUnit === null
+        ? null
+        : (afterTax - otherCostPerUnit) / product.materialPerUnit,
+    };
+  });
+}
+
+/**
+ * Fetch prices for a used-in graph and rank its products by gil per unit of material
+ * The material's own price is returned too, so products can be compared with selling it raw.
+ * @param {string|number} worldDcRegion - DC name or world ID
+ * @param {number} materialId
+ * @param {Array<Object>} products - From buildUsedInGraph
+ * @param {Object} options - { taxRate, signal, onProgress(loaded, total) }
+ * @returns {Promise<Object>} - { products: sorted by netPerMaterial then grossPerMaterial, rawPerMaterial }
+ */
+export async function rankUsedInProducts(worldDcRegion, materialId, products, options = {}) {
+  const { taxRate = 5, signal, onProgress } = options;
+  const isWorldQuery = typeof worldDcRegion === 'number';
+  const itemIds = [...new Set([
+    materialId,
+    ...products.map(product => product.itemId),
+    ...products.flatMap(product => product.coIngredients.map(ingredient => ingredient.itemId)),
+  ])];
+  const statsById = await getAggregatedPriceStatsBatched(worldDcRegion, itemIds, { signal, onProgress });
+  if (signal && signal.aborted) return { products: [], rawPerMaterial: null };
+
+  const raw = pickSellPrice(statsById[materialId], isWorldQuery, SELL_QUALITIES);
+  const evaluated = evaluateUsedInProducts(products, statsById, { isWorldQuery, taxRate })
+    .filter(product => product.grossPerMaterial !== null)
+    .sort((a, b) => (
+      (b.netPerMaterial ?? -Infinity) - (a.netPerMaterial ?? -Infinity)
+      || b.grossPerMaterial - a.grossPerMaterial
+    ));
+
+  return {
+    products: evaluated,
+    rawPerMaterial: raw ? raw.price * (1 - taxRate / 100) : null,
+  };
+}
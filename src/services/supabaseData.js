@@ -21,10 +21,15 @@
  * 2. Use those IDs to fetch only needed data with *ByIds() functions
  * 3. Never load entire tables unless absolutely necessary
  * 
+ * Full tables and targeted query results are also persisted to IndexedDB
+ * (see persistentCache.js), keyed by data version, so reloads and offline use
+ * skip the network. Full tables are refreshed in the background once a day.
+ * 
  * See PERFORMANCE_GUIDELINES.md for detailed best practices.
  */
 
 import { supabase } from './supabaseClient';
+import { getPersistentEntry, setPersistentEntry, clearPersistentCache } from './persistentCache';
 // Load JSON files directly (in-memory for fast lookups)
 import twItemsJson from '../../teamcraft_git/libs/data/src/lib/json/tw/tw-items.json';
 import ilvlsJson from '../../teamcraft_git/libs/data/src/lib/json/ilvls.json';
@@ -118,6 +123,91 @@ const targetedQueryPromises = {
   places: {}
 };
 
+// Persisted entries older than this are served immediately, then refreshed in the background
+const REVALIDATE_AFTER_MS = 24 * 60 * 60 * 1000;
+const revalidationPromises = {};
+
+/**
+ * Read data from the persistent (IndexedDB) cache, scheduling a background refresh when stale
+ * @param {string} key - Persistent cache key ("<group>:<detail>")
+ * @param {Function} revalidate - Async function that refetches the data and updates in-memory caches
+ * @param {Object} options - Passed to setPersistentEntry ({ targeted } for per-ID-set query results)
+ * @returns {Promise<any|null>} - Cached data, or null on miss
+ */
+async function readPersistedData(key, revalidate, options = {}) {
+  const entry = await getPersistentEntry(key);
+  if (!entry) {
+    return null;
+  }
+
+  const isStale = Date.now() - entry.updatedAt > REVALIDATE_AFTER_MS;
+  if (isStale && !revalidationPromises[key]) {
+    revalidationPromises[key] = revalidate()
+      .then(data => setPersistentEntry(key, data, options))
+      .catch(error => {
+        // Offline or Supabase down - keep serving the cached copy
+        console.warn(`[Supabase] ⚠️ Background refresh of ${key} failed:`, error);
+      })
+      .finally(() => {
+        delete revalidationPromises[key];
+      });
+  }
+
+  return entry.data;
+}
+
+/**
+ * Fetch every row of a table, paginating past Supabase's 1000 row limit
+ * @param {string} tableName - Name of the Supabase table
+ * @param {AbortSignal} signal - Optional abort signal to cancel the request
+ * @returns {Promise<Array>} - All rows
+ */
+async function fetchAllRows(tableName, signal = null) {
+  // Check if already aborted
+  if (signal && signal.aborted) {
+    throw new DOMException('Request aborted', 'AbortError');
+  }
+  
+  // Supabase has a default limit of 1000 rows, so we need to paginate
+  const pageSize = 1000;
+  let allData = [];
+  let from = 0;
+  let hasMore = true;
+  
+  while (hasMore) {
+    // Check if aborted before each request
+    if (signal && signal.aborted) {
+      throw new DOMException('Request aborted', 'AbortError');
+    }
+    
+    const { data, error } = await supabase
+      .from(tableName)
+      .select('*')
+      .range(from, from + pageSize - 1);
+
+    // Check if aborted after request
+    if (signal && signal.aborted) {
+      throw new DOMException('Request aborted', 'AbortError');
+    }
+
+    if (error) {
+      console.error(`Error loading ${tableName} from Supabase:`, error);
+      throw error;
+    }
+
+    if (data && data.length > 0) {
+      allData = allData.concat(data);
+      from += pageSize;
+      // If we got fewer rows than requested, we've reached the end
+      hasMore = data.length === pageSize;
+    } else {
+      hasMore = false;
+    }
+  }
+
+  return allData;
+}
+
 /**
  * Generic function to load data from Supabase table
  * 
@@ -163,53 +253,20 @@ async function loadTableData(tableName, transformFn = null, signal = null) {
   
   loadPromises[tableName] = (async () => {
     try {
-      
-      // Check if already aborted
-      if (signal && signal.aborted) {
-        throw new DOMException('Request aborted', 'AbortError');
-      }
-      
-      // Supabase has a default limit of 1000 rows, so we need to paginate
-      const pageSize = 1000;
-      let allData = [];
-      let from = 0;
-      let hasMore = true;
-      
-      while (hasMore) {
-        // Check if aborted before each request
-        if (signal && signal.aborted) {
-          throw new DOMException('Request aborted', 'AbortError');
-        }
-        
-        const { data, error } = await supabase
-          .from(tableName)
-          .select('*')
-          .range(from, from + pageSize - 1);
-
-        // Check if aborted after request
-        if (signal && signal.aborted) {
-          throw new DOMException('Request aborted', 'AbortError');
-        }
-
-        if (error) {
-          console.error(`Error loading ${tableName} from Supabase:`, error);
-          throw error;
-        }
-
-        if (data && data.length > 0) {
-          allData = allData.concat(data);
-          from += pageSize;
-          // If we got fewer rows than requested, we've reached the end
-          hasMore = data.length === pageSize;
-        } else {
-          hasMore = false;
-        }
+      // Serve from the persistent cache when this data version has been loaded before
+      const persisted = await readPersistedData(`${tableName}:all`, async () => {
+        const rows = await fetchAllRows(tableName);
+        const fresh = transformFn ? transformFn(rows) : rows;
+        dataCache[tableName] = fresh;
+        return fresh;
+      });
+      if (persisted !== null) {
+        dataCache[tableName] = persisted;
+        console.log(`[Supabase] 💾 Loaded ${tableName} from persistent cache`);
+        return persisted;
       }
 
-      // Check if aborted before transforming
-      if (signal && signal.aborted) {
-        throw new DOMException('Request aborted', 'AbortError');
-      }
+      const allData = await fetchAllRows(tableName, signal);
 
       // Transform data if transform function provided
       let result = transformFn ? transformFn(allData) : allData;
@@ -221,6 +278,7 @@ async function loadTableData(tableName, transformFn = null, signal = null) {
       
       // Cache the result
       dataCache[tableName] = result;
+      setPersistentEntry(`${tableName}:all`, result);
       
       const loadDuration = performance.now() - loadStartTime;
       const itemCount = Array.isArray(result) ? result.length : Object.keys(result).length;
@@ -519,6 +577,46 @@ export async function getTwItemsByIds(itemIds, signal = null) {
   return result;
 }
 
+// Per-language item name tables (table, name column) for non-TW UI languages
+const ITEM_NAME_TABLES = {
+  zh: { table: 'cn_items', column: 'zh' },
+  en: { table: 'en_items', column: 'en' },
+  ja: { table: 'ja_items', column: 'ja' },
+  ko: { table: 'ko_items', column: 'ko' },
+  de: { table: 'de_items', column: 'de' },
+  fr: { table: 'fr_items', column: 'fr' },
+};
+
+/**
+ * Get item names in a UI language for specific item IDs
+ * TW names come from the in-memory tw_items cache; other languages are batch queried.
+ * @param {Array<number>} itemIds - Array of item IDs
+ * @param {string} language - Language code (tw, zh, en, ja, ko, de, fr)
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Object>} - {itemId: "name"}; IDs without a name in that language are omitted
+ */
+export async function getItemNamesByIds(itemIds, language, signal = null) {
+  const source = ITEM_NAME_TABLES[language];
+  if (!source) {
+    const twItems = await getTwItemsByIds(itemIds, signal);
+    const result = {};
+    Object.entries(twItems).forEach(([itemId, item]) => {
+      result[itemId] = item.tw;
+    });
+    return result;
+  }
+
+  const rows = await batchQueryByIds(source.table, itemIds, 'id', signal, source.table);
+  const result = {};
+  Object.entries(rows).forEach(([itemId, row]) => {
+    const name = row && row[source.column];
+    if (name && name.trim() !== '') {
+      result[itemId] = name;
+    }
+  });
+  return result;
+}
+
 /**
  * Build a search query for any language table
  * @param {string} tableName - Table name (e.g., 'tw_items', 'en_items', 'de_items')
@@ -1153,6 +1251,60 @@ export async function getTwItemDescriptionsByIds(itemIds, signal = null) {
   return promise;
 }
 
+// Item descriptions only exist for TW (Supabase) and zh/ko (Teamcraft JSON, loaded on first use)
+const ITEM_DESCRIPTION_LOADERS = {
+  zh: () => import('../../teamcraft_git/libs/data/src/lib/json/zh/zh-item-descriptions.json'),
+  ko: () => import('../../teamcraft_git/libs/data/src/lib/json/ko/ko-item-descriptions.json'),
+};
+const itemDescriptionTablePromises = {};
+
+/**
+ * Get item descriptions in a UI language for specific item IDs
+ * Languages without description data (en/ja/de/fr), and items missing from the zh/ko tables,
+ * fall back to the TW description.
+ * @param {Array<number>} itemIds - Array of item IDs
+ * @param {string} language - Language code (tw, zh, en, ja, ko, de, fr)
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Object>} - {itemId: "description"}; IDs without any description are omitted
+ */
+export async function getItemDescriptionsByIds(itemIds, language, signal = null) {
+  const result = {};
+  const loader = ITEM_DESCRIPTION_LOADERS[language];
+  if (loader) {
+    if (!itemDescriptionTablePromises[language]) {
+      itemDescriptionTablePromises[language] = loader()
+        .then(module => module.default)
+        .catch(error => {
+          // Let the next call retry the chunk
+          delete itemDescriptionTablePromises[language];
+          throw error;
+        });
+    }
+    const table = await itemDescriptionTablePromises[language];
+    if (signal && signal.aborted) {
+      throw new DOMException('Request aborted', 'AbortError');
+    }
+    itemIds.forEach(id => {
+      const description = table[id]?.[language];
+      if (description && description.trim() !== '') {
+        result[id] = description;
+      }
+    });
+  }
+
+  const missingIds = itemIds.filter(id => !result[id]);
+  if (missingIds.length > 0) {
+    const twDescriptions = await getTwItemDescriptionsByIds(missingIds, signal);
+    missingIds.forEach(id => {
+      const description = twDescriptions[id]?.tw;
+      if (description && description.trim() !== '') {
+        result[id] = description;
+      }
+    });
+  }
+  return result;
+}
+
 /**
  * Get marketable item IDs
  * 
@@ -1888,39 +2040,57 @@ export async function getTwRecipesByResultIds(itemIds, signal = null) {
 
   const loadStartTime = performance.now();
 
-  // Create promise and store it
-  const promise = (async () => {
-    try {
-      // Supabase supports up to 1000 items in an IN clause
-      const batchSize = 1000;
-      const result = [];
-      
-      for (let i = 0; i < itemIds.length; i += batchSize) {
-        // Check if aborted before each batch
-        if (signal && signal.aborted) {
-          throw new DOMException('Request aborted', 'AbortError');
-        }
+  const fetchRecipes = async (requestSignal) => {
+    // Supabase supports up to 1000 items in an IN clause
+    const batchSize = 1000;
+    const rows = [];
 
-        const batch = itemIds.slice(i, i + batchSize);
-        const { data, error } = await supabase
-          .from('tw_recipes')
-          .select('*')
-          .in('result', batch);
+    for (let i = 0; i < itemIds.length; i += batchSize) {
+      // Check if aborted before each batch
+      if (requestSignal && requestSignal.aborted) {
+        throw new DOMException('Request aborted', 'AbortError');
+      }
 
-        // Check if aborted after request
-        if (signal && signal.aborted) {
-          throw new DOMException('Request aborted', 'AbortError');
-        }
+      const batch = itemIds.slice(i, i + batchSize);
+      const { data, error } = await supabase
+        .from('tw_recipes')
+        .select('*')
+        .in('result', batch);
 
-        if (error) {
-          console.error(`Error loading tw_recipes for result items:`, error);
-          throw error;
-        }
+      // Check if aborted after request
+      if (requestSignal && requestSignal.aborted) {
+        throw new DOMException('Request aborted', 'AbortError');
+      }
 
-        if (data) {
-          result.push(...data);
-        }
+      if (error) {
+        console.error(`Error loading tw_recipes for result items:`, error);
+        throw error;
+      }
+
+      if (data) {
+        rows.push(...data);
+      }
+    }
+    return rows;
+  };
+
+  // Create promise and store it
+  const promise = (async () => {
+    try {
+      if (!dataCache['tw_recipes_by_result']) {
+        dataCache['tw_recipes_by_result'] = {};
       }
+      const persisted = await readPersistedData(`tw_recipes_by_result:${cacheKey}`, async () => {
+        const fresh = await fetchRecipes(null);
+        dataCache['tw_recipes_by_result'][cacheKey] = fresh;
+        return fresh;
+      }, { targeted: true });
+      if (persisted !== null) {
+        dataCache['tw_recipes_by_result'][cacheKey] = persisted;
+        return persisted;
+      }
+
+      const result = await fetchRecipes(signal);
 
       const loadDuration = performance.now() - loadStartTime;
       if (result.length > 0) {
@@ -1928,10 +2098,8 @@ export async function getTwRecipesByResultIds(itemIds, signal = null) {
       }
       
       // Cache the result
-      if (!dataCache['tw_recipes_by_result']) {
-        dataCache['tw_recipes_by_result'] = {};
-      }
       dataCache['tw_recipes_by_result'][cacheKey] = result;
+      setPersistentEntry(`tw_recipes_by_result:${cacheKey}`, result, { targeted: true });
       
       return result;
     } catch (error) {
@@ -1990,42 +2158,54 @@ export async function getTwRecipesByIngredientId(ingredientId, signal = null, li
 
   const loadStartTime = performance.now();
 
+  const fetchRecipes = async (requestSignal) => {
+    // Query recipes where ingredients JSONB array contains an object with this id
+    // Using Supabase's filter with 'cs' (contains) operator for JSONB
+    // Format: ingredients @> '[{"id": ingredientId}]'
+    const ingredientFilter = JSON.stringify([{ id: ingredientId }]);
+
+    const { data, error } = await supabase
+      .from('tw_recipes')
+      .select('*')
+      .filter('ingredients', 'cs', ingredientFilter);
+
+    // Check if aborted after request
+    if (requestSignal && requestSignal.aborted) {
+      throw new DOMException('Request aborted', 'AbortError');
+    }
+
+    if (error) {
+      console.warn(`[Supabase] ⚠️ JSONB query failed, this is unexpected. Error:`, error.message);
+      throw error;
+    }
+    return data || [];
+  };
+
   // Create promise and store it
   const promise = (async () => {
     try {
-      // Query recipes where ingredients JSONB array contains an object with this id
-      // Using Supabase's filter with 'cs' (contains) operator for JSONB
-      // Format: ingredients @> '[{"id": ingredientId}]'
-      const ingredientFilter = JSON.stringify([{ id: ingredientId }]);
-      
-      const { data, error } = await supabase
-        .from('tw_recipes')
-        .select('*')
-        .filter('ingredients', 'cs', ingredientFilter);
-
-      // Check if aborted after request
-      if (signal && signal.aborted) {
-        throw new DOMException('Request aborted', 'AbortError');
+      if (!dataCache['tw_recipes_by_ingredient']) {
+        dataCache['tw_recipes_by_ingredient'] = {};
       }
-
-      if (error) {
-        console.error(`Error loading tw_recipes by ingredient ID:`, error);
-        // If JSONB filter doesn't work, fallback to loading all (shouldn't happen, but safety)
-        console.warn(`[Supabase] ⚠️ JSONB query failed, this is unexpected. Error:`, error.message);
-        return [];
+      const persisted = await readPersistedData(`tw_recipes_by_ingredient:${cacheKey}`, async () => {
+        const fresh = await fetchRecipes(null);
+        dataCache['tw_recipes_by_ingredient'][cacheKey] = fresh;
+        return fresh;
+      }, { targeted: true });
+      if (persisted !== null) {
+        dataCache['tw_recipes_by_ingredient'][cacheKey] = persisted;
+        return persisted;
       }
 
-      const result = data || [];
+      const result = await fetchRecipes(signal);
       const loadDuration = performance.now() - loadStartTime;
       if (result.length > 0) {
         console.log(`[Supabase] ✅ Loaded ${result.length} recipes using ingredient ${ingredientId} in ${loadDuration.toFixed(2)}ms`);
       }
       
       // Cache the result (cache key includes limit if specified)
-      if (!dataCache['tw_recipes_by_ingredient']) {
-        dataCache['tw_recipes_by_ingredient'] = {};
-      }
       dataCache['tw_recipes_by_ingredient'][cacheKey] = result;
+      setPersistentEntry(`tw_recipes_by_ingredient:${cacheKey}`, result, { targeted: true });
       
       return result;
     } catch (error) {
@@ -2084,46 +2264,60 @@ export async function getTwRecipesByJobAndLevel(jobs = [], minLevel = 1, maxLeve
   const loadStartTime = performance.now();
   console.log(`[Supabase] 📥 Loading recipes for jobs [${jobs.length > 0 ? jobs.join(',') : 'all'}] level ${minLevel}-${maxLevel} from Supabase...`);
 
-  // Create promise and store it
-  const promise = (async () => {
-    try {
-      let query = supabase
-        .from('tw_recipes')
-        .select('*')
-        .gte('lvl', minLevel)
-        .lte('lvl', maxLevel);
+  const fetchRecipes = async (requestSignal) => {
+    let query = supabase
+      .from('tw_recipes')
+      .select('*')
+      .gte('lvl', minLevel)
+      .lte('lvl', maxLevel);
+
+    // Filter by jobs if provided
+    if (jobs.length > 0) {
+      query = query.in('job', jobs);
+    }
 
-      // Filter by jobs if provided
-      if (jobs.length > 0) {
-        query = query.in('job', jobs);
-      }
+    // Check if aborted before request
+    if (requestSignal && requestSignal.aborted) {
+      throw new DOMException('Request aborted', 'AbortError');
+    }
 
-      // Check if aborted before request
-      if (signal && signal.aborted) {
-        throw new DOMException('Request aborted', 'AbortError');
-      }
+    const { data, error } = await query;
 
-      const { data, error } = await query;
+    // Check if aborted after request
+    if (requestSignal && requestSignal.aborted) {
+      throw new DOMException('Request aborted', 'AbortError');
+    }
 
-      // Check if aborted after request
-      if (signal && signal.aborted) {
-        throw new DOMException('Request aborted', 'AbortError');
-      }
+    if (error) {
+      console.error(`Error loading tw_recipes by job and level:`, error);
+      throw error;
+    }
+    return data || [];
+  };
 
-      if (error) {
-        console.error(`Error loading tw_recipes by job and level:`, error);
-        throw error;
+  // Create promise and store it
+  const promise = (async () => {
+    try {
+      if (!dataCache['tw_recipes_by_job_level']) {
+        dataCache['tw_recipes_by_job_level'] = {};
+      }
+      const persisted = await readPersistedData(`tw_recipes_by_job_level:${cacheKey}`, async () => {
+        const fresh = await fetchRecipes(null);
+        dataCache['tw_recipes_by_job_level'][cacheKey] = fresh;
+        return fresh;
+      }, { targeted: true });
+      if (persisted !== null) {
+        dataCache['tw_recipes_by_job_level'][cacheKey] = persisted;
+        return persisted;
       }
 
-      const result = data || [];
+      const result = await fetchRecipes(signal);
       const loadDuration = performance.now() - loadStartTime;
       console.log(`[Supabase] ✅ Loaded ${result.length} recipes for jobs [${jobs.length > 0 ? jobs.join(',') : 'all'}] level ${minLevel}-${maxLevel} in ${loadDuration.toFixed(2)}ms`);
       
       // Cache the result
-      if (!dataCache['tw_recipes_by_job_level']) {
-        dataCache['tw_recipes_by_job_level'] = {};
-      }
       dataCache['tw_recipes_by_job_level'][cacheKey] = result;
+      setPersistentEntry(`tw_recipes_by_job_level:${cacheKey}`, result, { targeted: true });
       
       return result;
     } catch (error) {
@@ -2727,45 +2921,71 @@ async function batchQueryByIds(tableName, ids, idColumn = 'id', signal = null, c
   const loadStartTime = performance.now();
   console.log(`[Supabase] 📥 Loading ${tableName} for ${uniqueIds.length} IDs...`);
 
-  const promise = (async () => {
-    try {
-      const result = {};
-      const batchSize = 1000;
+  const persistKey = `${cacheIndex}:${cacheKeyStr}`;
+  const fetchRows = async (requestSignal) => {
+    const rows = {};
+    const batchSize = 1000;
+    let hasBatchError = false;
 
-      for (let i = 0; i < sortedIds.length; i += batchSize) {
-        if (signal && signal.aborted) {
-          throw new DOMException('Request aborted', 'AbortError');
-        }
+    for (let i = 0; i < sortedIds.length; i += batchSize) {
+      if (requestSignal && requestSignal.aborted) {
+        throw new DOMException('Request aborted', 'AbortError');
+      }
 
-        const batch = sortedIds.slice(i, i + batchSize);
-        const { data, error } = await supabase
-          .from(tableName)
-          .select('*')
-          .in(idColumn, batch);
+      const batch = sortedIds.slice(i, i + batchSize);
+      const { data, error } = await supabase
+        .from(tableName)
+        .select('*')
+        .in(idColumn, batch);
 
-        if (signal && signal.aborted) {
-          throw new DOMException('Request aborted', 'AbortError');
-        }
+      if (requestSignal && requestSignal.aborted) {
+        throw new DOMException('Request aborted', 'AbortError');
+      }
 
-        if (error) {
-          console.error(`Error loading ${tableName} batch:`, error);
-          continue; // Continue with next batch
-        }
+      if (error) {
+        console.error(`Error loading ${tableName} batch:`, error);
+        hasBatchError = true;
+        continue; // Continue with next batch
+      }
 
-        if (data) {
-          data.forEach(row => {
-            const id = row[idColumn];
-            if (id !== undefined && id !== null) {
-              result[id] = row;
-            }
-          });
+      if (data) {
+        data.forEach(row => {
+          const id = row[idColumn];
+          if (id !== undefined && id !== null) {
+            rows[id] = row;
+          }
+        });
+      }
+    }
+    return { rows, hasBatchError };
+  };
+
+  const promise = (async () => {
+    try {
+      const persisted = await readPersistedData(persistKey, async () => {
+        const fresh = await fetchRows(null);
+        // Keep the cached copy rather than replace it with a partial one
+        if (fresh.hasBatchError) {
+          throw new Error(`Some ${tableName} batches failed`);
         }
+        targetedQueryCache[cacheIndex][cacheKeyStr] = fresh.rows;
+        return fresh.rows;
+      }, { targeted: true });
+      if (persisted !== null) {
+        targetedQueryCache[cacheIndex][cacheKeyStr] = persisted;
+        return persisted;
       }
 
+      const { rows: result, hasBatchError } = await fetchRows(signal);
+
       const loadDuration = performance.now() - loadStartTime;
       console.log(`[Supabase] ✅ Loaded ${tableName} for ${Object.keys(result).length} IDs in ${loadDuration.toFixed(2)}ms`);
 
       targetedQueryCache[cacheIndex][cacheKeyStr] = result;
+      // Don't persist partial results - the next session should retry the failed batches
+      if (!hasBatchError) {
+        setPersistentEntry(persistKey, result, { targeted: true });
+      }
       return result;
     } catch (error) {
       if (error.name === 'AbortError' || (signal && signal.aborted)) {
@@ -2948,6 +3168,83 @@ export async function getShopsByNpcIds(npcIds, signal = null) {
   return promise;
 }
 
+// Shops by type are loaded once per session; each type has at most a few thousand shops
+const shopsByTypePromises = {};
+
+/**
+ * Get every shop of the given types with its NPCs and trades
+ * @param {Array<string>} types - Teamcraft shop types, e.g. ['GilShop'] or ['SpecialShop', 'GCShop']
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Array>} - [{id, type, npcs, trades: [{currencies: [{id, amount, hq?}], items: [{id, amount, hq?}]}]}]
+ */
+export async function getShopsByTypes(types, signal = null) {
+  if (signal && signal.aborted) {
+    throw new DOMException('Request aborted', 'AbortError');
+  }
+
+  const cacheKey = [...types].sort().join(',');
+  if (shopsByTypePromises[cacheKey]) {
+    return shopsByTypePromises[cacheKey];
+  }
+
+  const loadStartTime = performance.now();
+  console.log(`[Supabase] 📥 Loading shops of type ${cacheKey}...`);
+
+  // Not tied to the caller's signal, since the result is shared with later callers
+  shopsByTypePromises[cacheKey] = (async () => {
+    const pageSize = 1000;
+    let allData = [];
+    let from = 0;
+    let hasMore = true;
+
+    while (hasMore) {
+      const { data, error } = await supabase
+        .from('shops')
+        .select('id, type, npcs, trades')
+        .in('type', types)
+        .range(from, from + pageSize - 1);
+
+      if (error) {
+        console.error(`Error loading shops of type ${cacheKey}:`, error);
+        throw error;
+      }
+
+      if (data && data.length > 0) {
+        allData = allData.concat(data);
+        from += pageSize;
+        hasMore = data.length === pageSize;
+      } else {
+        hasMore = false;
+      }
+    }
+
+    // Columns may come back as JSON strings when imported from CSV
+    const parseJson = (value, fallback) => {
+      if (typeof value !== 'string') return value || fallback;
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return fallback;
+      }
+    };
+    const shops = allData.map(row => ({
+      id: row.id,
+      type: row.type,
+      npcs: parseJson(row.npcs, []),
+      trades: parseJson(row.trades, []),
+    }));
+
+    const loadDuration = performance.now() - loadStartTime;
+    console.log(`[Supabase] ✅ Loaded ${shops.length} shops of type ${cacheKey} in ${loadDuration.toFixed(2)}ms`);
+    return shops;
+  })().catch(error => {
+    delete shopsByTypePromises[cacheKey];
+    throw error;
+  });
+
+  return shopsByTypePromises[cacheKey];
+}
+
 // ============================================================================
 // Instance Data Services
 // ============================================================================
@@ -3377,7 +3674,9 @@ export async function getLootSourcesByItemId(itemId, signal = null) {
 // ============================================================================
 
 /**
- * Clear all cached data (useful for testing or forced refresh)
+ * Clear all in-memory cached data (useful for testing or forced refresh)
+ * 
+ * The persistent IndexedDB cache is left intact; use refreshCachedData() to drop both.
  * 
  * ⚠️ NOTE: After clearing cache, make sure to use targeted queries (*ByIds functions)
  * instead of loading all data again.
@@ -3394,6 +3693,16 @@ export function clearCache() {
   });
 }
 
+/**
+ * Force a refresh of all Supabase data
+ * Clears both the in-memory and persistent caches so the next request refetches from Supabase.
+ * @returns {Promise<boolean>} - True if the persistent cache was cleared
+ */
+export async function refreshCachedData() {
+  clearCache();
+  return clearPersistentCache();
+}
+
 /**
  * Preload all data tables (useful for initial app load)
  * 
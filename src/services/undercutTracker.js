@@ -0,0 +1,107 @@
+// Undercut tracker - checks whether the user's retainers still hold the cheapest listing
+import { getMarketData } from './universalis';
+import { findListingRetainer } from '../utils/retainers';
+
+// Enough listings to see every competitor priced below a typical retainer listing
+const LISTINGS_PER_CHECK = 50;
+
+/**
+ * Compare the user's listings against competitors on one world
+ * Each quality is compared separately, since HQ and NQ listings don't compete directly.
+ * @param {Array<Object>} listings - Universalis listings for a single world
+ * @param {Array<Object>} retainers - Registered retainers on that world
+ * @returns {Array<Object>} - Per quality with at least one own listing:
+ *   { hq, retainer, myPrice, myListingCount, competitor: { pricePerUnit, quantity, retainerName } | null,
+ *     isUndercut, difference, suggestedPrice }
+ */
+export function evaluateUndercut(listings, retainers) {
+  const results = [];
+
+  [false, true].forEach(hq => {
+    const sameQuality = (listings || []).filter(listing => !!listing.hq === hq);
+    const mine = [];
+    const others = [];
+    sameQuality.forEach(listing => {
+      const retainer = findListingRetainer(listing, retainers);
+      if (retainer) {
+        mine.push({ listing, retainer });
+      } else {
+        others.push(listing);
+      }
+    });
+    if (mine.length === 0) return;
+
+    const cheapestMine = mine.reduce((a, b) => (b.listing.pricePerUnit < a.listing.pricePerUnit ? b : a));
+    const competitor = others.length > 0
+      ? others.reduce((a, b) => (b.pricePerUnit < a.pricePerUnit ? b : a))
+      : null;
+    const isUndercut = !!competitor && competitor.pricePerUnit < cheapestMine.listing.pricePerUnit;
+
+    results.push({
+      hq,
+      retainer: cheapestMine.retainer,
+      myPrice: cheapestMine.listing.pricePerUnit,
+      myListingCount: mine.length,
+      competitor: competitor
+        ? { pricePerUnit: competitor.pricePerUnit, quantity: competitor.quantity, retainerName: competitor.retainerName }
+        : null,
+      isUndercut,
+      difference: isUndercut ? cheapestMine.listing.pricePerUnit - competitor.pricePerUnit : 0,
+      // Undercut by 1 gil; never suggest raising the price when already cheapest
+      suggestedPrice: isUndercut ? Math.max(1, competitor.pricePerUnit - 1) : cheapestMine.listing.pricePerUnit,
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Check every tracked item on every world that has a registered retainer
+ * @param {Array<Object>} retainers - Registered retainers: { name, worldId, worldName }
+ * @param {Array<Object>} items - Tracked items: { itemId, itemName }
+ * @param {Object} options - { signal, onProgress(checked, total) }
+ * @returns {Promise<Array<Object>>} - One row per item/world/quality where the user has a listing:
+ *   { itemId, itemName, worldId, worldName, lastUploadTime, ...evaluateUndercut result }
+ *   plus { itemId, itemName, worldId, worldName, notListed: true } for pairs without own listings
+ */
+export async function checkRetainerUndercuts(retainers, items, options = {}) {
+  const { signal, onProgress } = options;
+
+  const worlds = new Map();
+  retainers.forEach(retainer => {
+    const world = worlds.get(retainer.worldId) || { worldId: retainer.worldId, worldName: retainer.worldName, retainers: [] };
+    world.retainers.push(retainer);
+    worlds.set(retainer.worldId, world);
+  });
+
+  const checks = [];
+  worlds.forEach(world => {
+    items.forEach(item => checks.push({ world, item }));
+  });
+
+  const results = [];
+  let checked = 0;
+
+  // Sequential - getMarketData goes through requestManager, which handles rate limits
+  for (const { world, item } of checks) {
+    if (signal && signal.aborted) break;
+
+    const data = await getMarketData(world.worldId, item.itemId, { listings: LISTINGS_PER_CHECK, entries: 0, signal });
+    if (signal && signal.aborted) break;
+
+    const base = { itemId: item.itemId, itemName: item.itemName, worldId: world.worldId, worldName: world.worldName };
+    const evaluations = evaluateUndercut(data?.listings || [], world.retainers);
+    if (evaluations.length === 0) {
+      results.push({ ...base, notListed: true });
+    } else {
+      evaluations.forEach(evaluation => {
+        results.push({ ...base, lastUploadTime: data?.lastUploadTime || null, ...evaluation });
+      });
+    }
+
+    checked++;
+    if (onProgress) onProgress(checked, checks.length);
+  }
+
+  return results;
+}
@@ -1,8 +1,11 @@
 import axios from 'axios';
-import { requestManager } from '../utils/requestManager';
+import { requestManager, createRateLimitError } from '../utils/requestManager';
+import { fetchAggregatedMarketData } from './marketDataClient';
 import { getMarketItems, getMarketItemsByIds } from './supabaseData';
 
 const UNIVERSALIS_BASE_URL = 'https://universalis.app/api/v2';
+// The aggregated endpoint accepts up to 100 item IDs per request
+const AGGREGATED_MAX_ITEMS = 100;
 
 // Cache for marketable items
 let marketableItemsSet = null;
@@ -95,21 +98,10 @@ export async function getItemsVelocity(dcName, itemIds, options = {}) {
 
   // Limit to 100 items per request
   const limitedIds = itemIds.slice(0, 100);
-  const itemIdsString = limitedIds.join(',');
 
   try {
-    const config = {};
-    if (options.signal) {
-      config.signal = options.signal;
-    }
-
-    const response = await axios.get(
-      `${UNIVERSALIS_BASE_URL}/aggregated/${encodeURIComponent(dcName)}/${itemIdsString}`,
-      config
-    );
-
+    const data = await fetchAggregatedMarketData(dcName, limitedIds, { signal: options.signal });
     const results = {};
-    const data = response.data;
 
     // Track which item IDs appear in results (tradable) vs failedItems (non-tradable)
     const tradableItemIds = new Set();
@@ -196,7 +188,9 @@ export async function getMostRecentlyUpdatedItems(dcName, entries = 20, options
       config.signal = options.signal;
     }
 
-    const response = await axios.get(`${UNIVERSALIS_BASE_URL}/extra/stats/most-recently-updated`, config);
+    const response = await requestManager.schedule(() =>
+      axios.get(`${UNIVERSALIS_BASE_URL}/extra/stats/most-recently-updated`, config)
+    );
     return response.data?.items || [];
   } catch (error) {
     if (error.name === 'AbortError' || error.code === 'ERR_CANCELED' || (options.signal && options.signal.aborted)) {
@@ -209,8 +203,9 @@ export async function getMostRecentlyUpdatedItems(dcName, entries = 20, options
 
 /**
  * Get market data for an item from a specific world/server
+ * @param {string|number} server - World ID/name or data center name
  * @param {number} itemId - Item ID
- * @param {string} worldName - World/server name
+ * @param {Object} options - { listings, entries (0 skips sale history), hq (true: HQ only, false: NQ only), signal }
  * @returns {Promise<Object>} - Market data for the item
  */
 export async function getMarketData(server, itemId, options = {}) {
@@ -225,11 +220,11 @@ export async function getMarketData(server, itemId, options = {}) {
       async () => {
         const params = {
           listings: options.listings || 20,
-          entries: options.entries || 20,
+          entries: options.entries ?? 20,
         };
         
-        if (options.hq) {
-          params.hq = true;
+        if (typeof options.hq === 'boolean') {
+          params.hq = options.hq;
         }
 
         const config = {
@@ -267,7 +262,7 @@ export async function getMarketData(server, itemId, options = {}) {
 
     // Check for rate limit errors
     if (requestManager.isRateLimitError(error)) {
-      throw new Error('請求頻率過高，請稍後再試');
+      throw createRateLimitError();
     }
 
     // Log other errors
@@ -308,7 +303,7 @@ export async function getMarketDataMultiple(itemId, worldNames) {
  * Get market data for an item from an entire data center
  * @param {number} itemId - Item ID
  * @param {string} dataCenter - Data center name
- * @param {Object} options - Additional options like abort signal
+ * @param {Object} options - Additional options like abort signal, listings/entries counts (default 20)
  * @returns {Promise<Object>} - Market data aggregated by data center
  */
 export async function getMarketDataByDataCenter(itemId, dataCenter, options = {}) {
@@ -320,8 +315,8 @@ export async function getMarketDataByDataCenter(itemId, dataCenter, options = {}
   try {
     const config = {
       params: {
-        listings: 20,
-        entries: 20,
+        listings: options.listings || 20,
+        entries: options.entries ?? 20,
       },
     };
 
@@ -330,7 +325,9 @@ export async function getMarketDataByDataCenter(itemId, dataCenter, options = {}
       config.signal = options.signal;
     }
 
-    const response = await axios.get(`${UNIVERSALIS_BASE_URL}/${dataCenter}/${itemId}`, config);
+    const response = await requestManager.schedule(() =>
+      axios.get(`${UNIVERSALIS_BASE_URL}/${dataCenter}/${itemId}`, config)
+    );
     return response.data;
   } catch (error) {
     // Don't log error if request was aborted
@@ -371,25 +368,14 @@ export async function getAggregatedMarketData(worldDcRegion, itemIds, worlds = {
 
   // Limit to 100 items per request
   const limitedIds = itemIds.slice(0, 100);
-  const itemIdsString = limitedIds.join(',');
 
   // Determine if we're querying a specific world (number) or a DC (string)
   const isSpecificWorld = typeof worldDcRegion === 'number' || 
     (typeof worldDcRegion === 'string' && !isNaN(Number(worldDcRegion)));
 
   try {
-    const config = {};
-    if (options.signal) {
-      config.signal = options.signal;
-    }
-
-    const response = await axios.get(
-      `${UNIVERSALIS_BASE_URL}/aggregated/${encodeURIComponent(worldDcRegion)}/${itemIdsString}`,
-      config
-    );
-
+    const data = await fetchAggregatedMarketData(worldDcRegion, limitedIds, { signal: options.signal });
     const results = {};
-    const data = response.data;
 
     if (data && data.results) {
       data.results.forEach(item => {
@@ -532,6 +518,218 @@ export async function getAggregatedMarketData(worldDcRegion, itemIds, worlds = {
   }
 }
 
+/**
+ * Get per-quality aggregated price statistics for multiple items
+ * Unlike getAggregatedMarketData, NQ and HQ are kept separate and both world and DC
+ * figures are returned, which cross-world comparisons need. When querying a world,
+ * the DC fields still describe the whole data center (e.g. the cheapest world).
+ * @param {string|number} worldDcRegion - World ID or data center name
+ * @param {Array<number>} itemIds - Item IDs (max 100 per request)
+ * @param {Object} options - { signal }
+ * @returns {Promise<Object>} - { [itemId]: { nq, hq } }, each quality being null or
+ *   { minListingWorld, minListingDc: { price, worldId } | null, averageWorld, averageDc, velocityWorld, velocityDc }
+ */
+export async function getAggregatedPriceStats(worldDcRegion, itemIds, options = {}) {
+  if (options.signal && options.signal.aborted) {
+    return {};
+  }
+
+  if (!itemIds || itemIds.length === 0) {
+    return {};
+  }
+
+  const limitedIds = itemIds.slice(0, AGGREGATED_MAX_ITEMS);
+
+  const parseQuality = (quality) => {
+    if (!quality) return null;
+    const stats = {
+      minListingWorld: quality.minListing?.world?.price ?? null,
+      minListingDc: quality.minListing?.dc?.price
+        ? { price: quality.minListing.dc.price, worldId: quality.minListing.dc.worldId ?? null }
+        : null,
+      averageWorld: quality.averageSalePrice?.world?.price ?? null,
+      averageDc: quality.averageSalePrice?.dc?.price ?? null,
+      velocityWorld: quality.dailySaleVelocity?.world?.quantity ?? null,
+      velocityDc: quality.dailySaleVelocity?.dc?.quantity ?? null,
+    };
+    const hasData = Object.values(stats).some(value => value !== null);
+    return hasData ? stats : null;
+  };
+
+  try {
+    const data = await fetchAggregatedMarketData(worldDcRegion, limitedIds, { signal: options.signal });
+    const results = {};
+    data.results.forEach(item => {
+      const nq = parseQuality(item.nq);
+      const hq = parseQuality(item.hq);
+      if (nq || hq) {
+        results[item.itemId] = { nq, hq };
+      }
+    });
+    return results;
+  } catch (error) {
+    if (error.name === 'AbortError' || error.code === 'ERR_CANCELED' || (options.signal && options.signal.aborted)) {
+      return {};
+    }
+    if (error.response?.status === 429) {
+      throw createRateLimitError();
+    }
+    console.error(`Error fetching aggregated price stats for ${worldDcRegion}:`, error);
+    return {};
+  }
+}
+
+/**
+ * getAggregatedPriceStats for any number of items, one request per 100 IDs
+ * @param {string|number} worldDcRegion - World ID or data center name
+ * @param {Array<number>} itemIds - Item IDs
+ * @param {Object} options - { signal, onProgress(loaded, total) }
+ * @returns {Promise<Object>} - { [itemId]: { nq, hq } }; only the batches fetched before an abort
+ */
+export async function getAggregatedPriceStatsBatched(worldDcRegion, itemIds, options = {}) {
+  const { signal, onProgress } = options;
+  const statsById = {};
+
+  for (let i = 0; i < itemIds.length; i += AGGREGATED_MAX_ITEMS) {
+    if (signal && signal.aborted) break;
+    Object.assign(statsById, await getAggregatedPriceStats(worldDcRegion, itemIds.slice(i, i + AGGREGATED_MAX_ITEMS), { signal }));
+    if (onProgress) onProgress(Math.min(i + AGGREGATED_MAX_ITEMS, itemIds.length), itemIds.length);
+  }
+  return statsById;
+}
+
+/**
+ * Daily sales of an item, both qualities together
+ * @param {Object} itemStats - { nq, hq } from getAggregatedPriceStats
+ * @param {boolean} isWorldQuery - Use the world figures rather than the data center's
+ * @returns {number}
+ */
+export function getSaleVelocity(itemStats, isWorldQuery) {
+  return ((isWorldQuery ? itemStats?.nq?.velocityWorld : itemStats?.nq?.velocityDc) || 0)
+    + ((isWorldQuery ? itemStats?.hq?.velocityWorld : itemStats?.hq?.velocityDc) || 0);
+}
+
+/**
+ * Pick the price an item would sell for
+ * The average sale price is preferred over the cheapest listing, which is easy to undercut.
+ * Qualities are tried in order and the first one with a price is used.
+ * @param {Object} itemStats - { nq, hq } from getAggregatedPriceStats
+ * @param {boolean} isWorldQuery - Use the world figures rather than the data center's
+ * @param {Object} options - { qualities: e.g. ['hq', 'nq'], default ['nq'] }
+ * @returns {Object|null} - { price (rounded), priceSource: 'average' | 'minListing', quality, velocity }
+ */
+export function pickSellPrice(itemStats, isWorldQuery, options = {}) {
+  const { qualities = ['nq'] } = options;
+  for (const quality of qualities) {
+    const stats = itemStats?.[quality];
+    if (!stats) continue;
+    const average = isWorldQuery ? stats.averageWorld : stats.averageDc;
+    const price = average || (isWorldQuery ? stats.minListingWorld : stats.minListingDc?.price);
+    if (price) {
+      return {
+        price: Math.round(price),
+        priceSource: average ? 'average' : 'minListing',
+        quality,
+        velocity: getSaleVelocity(itemStats, isWorldQuery),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Time windows supported by getMarketHistory
+ * seconds: passed to Universalis as entriesWithin
+ * maxEntries: passed as entriesToReturn, enough sales for busy items over the whole window
+ * bucketSeconds: suggested bucket size when charting the window
+ * labelKey: message key for the window's button label
+ */
+export const HISTORY_WINDOWS = {
+  '24h': { labelKey: 'priceHistory.window24h', seconds: 24 * 60 * 60, maxEntries: 1000, bucketSeconds: 60 * 60 },
+  '7d': { labelKey: 'priceHistory.window7d', seconds: 7 * 24 * 60 * 60, maxEntries: 3000, bucketSeconds: 6 * 60 * 60 },
+  '30d': { labelKey: 'priceHistory.window30d', seconds: 30 * 24 * 60 * 60, maxEntries: 5000, bucketSeconds: 24 * 60 * 60 },
+};
+
+/**
+ * Get sale history for an item from the Universalis /history endpoint
+ * Unlike getMarketData's recentHistory (capped at a few entries), this returns every sale in the window
+ * @param {string|number} worldDcRegion - World ID (number) or DC/region name (string)
+ * @param {number} itemId - Item ID
+ * @param {Object} options - { window: '24h'|'7d'|'30d', entries (capped at the window's maxEntries), signal }
+ * @returns {Promise<Object|null>} - { itemId, entries: [{ pricePerUnit, quantity, hq, timestamp, worldName, worldId, buyerName }] }
+ *   entries are sorted oldest first, timestamps in seconds; null if aborted or no data
+ */
+export async function getMarketHistory(worldDcRegion, itemId, options = {}) {
+  if (options.signal && options.signal.aborted) {
+    return null;
+  }
+
+  const historyWindow = HISTORY_WINDOWS[options.window] || HISTORY_WINDOWS['7d'];
+
+  try {
+    const data = await requestManager.makeRequest(
+      async () => {
+        const config = {
+          params: {
+            entriesToReturn: Math.min(options.entries || historyWindow.maxEntries, historyWindow.maxEntries),
+            entriesWithin: historyWindow.seconds,
+          },
+        };
+
+        if (options.signal) {
+          config.signal = options.signal;
+        }
+
+        const response = await axios.get(
+          `${UNIVERSALIS_BASE_URL}/history/${encodeURIComponent(worldDcRegion)}/${itemId}`,
+          config
+        );
+        return response.data;
+      },
+      {
+        maxRetries: 2,
+        signal: options.signal,
+      }
+    );
+
+    if (!data) return null;
+
+    const entries = (data.entries || [])
+      .map(entry => ({
+        pricePerUnit: entry.pricePerUnit,
+        quantity: entry.quantity,
+        hq: entry.hq || false,
+        timestamp: entry.timestamp,
+        // worldName is only present for DC/region queries
+        worldName: entry.worldName || data.worldName || null,
+        worldId: entry.worldID || data.worldID || null,
+        buyerName: entry.buyerName || null,
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    return {
+      itemId: data.itemID || itemId,
+      entries,
+    };
+  } catch (error) {
+    if (error.name === 'AbortError' || error.code === 'ERR_CANCELED' || (options.signal && options.signal.aborted)) {
+      return null;
+    }
+
+    // 404 is normal - item has no history, return null silently
+    if (error.response?.status === 404) {
+      return null;
+    }
+
+    if (requestManager.isRateLimitError(error)) {
+      throw createRateLimitError();
+    }
+
+    console.error(`Error fetching market history for ${worldDcRegion}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Format market data for display
  * @param {Object} marketData - Raw market data from Universalis
@@ -611,7 +809,9 @@ export async function getTaxRates(world, options = {}) {
       config.signal = options.signal;
     }
 
-    const response = await axios.get(`${UNIVERSALIS_BASE_URL}/tax-rates`, config);
+    const response = await requestManager.schedule(() =>
+      axios.get(`${UNIVERSALIS_BASE_URL}/tax-rates`, config)
+    );
     return response.data;
   } catch (error) {
     // Don't log error if request was aborted
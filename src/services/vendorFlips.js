@@ -0,0 +1,97 @@
+// Vendor flip service - finds gil shop items that sell on the market board well above the NPC price
+import { getAggregatedPriceStatsBatched, getSaleVelocity } from './universalis';
+import { getShopsByTypes } from './supabaseData';
+
+const GIL_ITEM_ID = 1;
+
+/**
+ * Collect every item sold for gil, with its cheapest NPC price and the NPCs selling it
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Array<Object>>} [{ itemId, npcPrice, npcIds }]
+ */
+export async function loadGilShopItems(signal = null) {
+  const shops = await getShopsByTypes(['GilShop'], signal);
+  const itemMap = new Map();
+
+  shops.forEach(shop => {
+    const npcIds = (shop.npcs || [])
+      .map(npc => (typeof npc === 'object' ? npc?.id : npc))
+      .filter(Boolean);
+
+    (shop.trades || []).forEach(trade => {
+      const currency = trade.currencies?.[0];
+      const item = trade.items?.[0];
+      // Only plain one-for-gil trades; anything else is not something you can buy in bulk
+      if (trade.currencies?.length !== 1 || trade.items?.length !== 1) return;
+      if (currency?.id !== GIL_ITEM_ID || !currency.amount || !item?.id) return;
+
+      const npcPrice = Math.ceil(currency.amount / (item.amount || 1));
+      const entry = itemMap.get(item.id);
+      if (!entry || npcPrice < entry.npcPrice) {
+        itemMap.set(item.id, { itemId: item.id, npcPrice, npcIds: [...npcIds] });
+      } else if (npcPrice === entry.npcPrice) {
+        npcIds.forEach(npcId => {
+          if (!entry.npcIds.includes(npcId)) entry.npcIds.push(npcId);
+        });
+      }
+    });
+  });
+
+  return Array.from(itemMap.values());
+}
+
+/**
+ * Price one vendor item against the market board
+ * Vendor items are NQ and the board is usually flooded near the NPC price, so the lower of the
+ * average sale price and the cheapest listing is used - a flip only works if it still sells there.
+ * @param {Object} item - Entry from loadGilShopItems
+ * @param {Object} itemStats - { nq, hq } from getAggregatedPriceStats
+ * @param {Object} options - { isWorldQuery, taxRate: percent }
+ * @returns {Object|null} - item plus { marketPrice, averagePrice, minListing, velocity, profit, margin, dailyProfit }
+ */
+export function evaluateVendorFlip(item, itemStats, options = {}) {
+  const { isWorldQuery = false, taxRate = 5 } = options;
+  const nq = itemStats?.nq;
+  if (!nq) return null;
+
+  const averagePrice = (isWorldQuery ? nq.averageWorld : nq.averageDc) || null;
+  const minListing = (isWorldQuery ? nq.minListingWorld : nq.minListingDc?.price) || null;
+  const prices = [averagePrice, minListing].filter(Boolean);
+  if (prices.length === 0) return null;
+
+  const marketPrice = Math.round(Math.min(...prices));
+  const velocity = getSaleVelocity(itemStats, isWorldQuery);
+  const profit = Math.round(marketPrice * (1 - taxRate / 100)) - item.npcPrice;
+
+  return {
+    ...item,
+    marketPrice,
+    averagePrice: averagePrice ? Math.round(averagePrice) : null,
+    minListing,
+    velocity,
+    profit,
+    margin: (profit / item.npcPrice) * 100,
+    dailyProfit: Math.round(profit * velocity),
+  };
+}
+
+/**
+ * Fetch prices for vendor items and keep the ones worth flipping
+ * @param {string|number} worldDcRegion - DC name or world ID
+ * @param {Array<Object>} items - Entries from loadGilShopItems (marketable only)
+ * @param {Object} options - { taxRate, minProfit, minMargin: percent, minVelocity, signal, onProgress(loaded, total) }
+ * @returns {Promise<Array<Object>>} - Evaluated items, sorted by dailyProfit then profit
+ */
+export async function rankVendorFlips(worldDcRegion, items, options = {}) {
+  const { taxRate = 5, minProfit = 1, minMargin = 0, minVelocity = 0, signal, onProgress } = options;
+  const isWorldQuery = typeof worldDcRegion === 'number';
+  const statsById = await getAggregatedPriceStatsBatched(worldDcRegion, items.map(item => item.itemId), { signal, onProgress });
+  if (signal && signal.aborted) return [];
+
+  return items
+    .map(item => evaluateVendorFlip(item, statsById[item.itemId], { isWorldQuery, taxRate }))
+    .filter(evaluated => (
+      evaluated && evaluated.profit >= Math.max(1, minProfit) && evaluated.margin >= minMargin && evaluated.velocity >= minVelocity
+    ))
+    .sort((a, b) => b.dailyProfit - a.dailyProfit || b.profit - a.profit);
+}
@@ -0,0 +1,147 @@
+// Venture service - values retainer ventures (targeted tasks and quick exploration) in gil per venture
+import { getAggregatedPriceStatsBatched, pickSellPrice } from './universalis';
+
+// venture-sources.json ID of Quick Exploration, which costs two ventures for one random item.
+// The data has this one pool for every class and level, without per-retainer rewards or odds.
+const QUICK_EXPLORATION_ID = 395;
+const QUICK_EXPLORATION_COST = 2;
+
+// retainer-tasks.json `category` is the ClassJobCategory allowed to take the task;
+// gatherer categories map to a single job, so they're named after it
+export const RETAINER_CLASSES = [
+  { category: 34, labelKey: 'ventures.classCombat', isGatherer: false },
+  { category: 17, jobId: 16, isGatherer: true },
+  { category: 18, jobId: 17, isGatherer: true },
+  { category: 19, jobId: 18, isGatherer: true },
+];
+
+let ventureDataPromise = null;
+
+/**
+ * Lazy load targeted tasks and the quick exploration reward pool
+ * @returns {Promise<Object>} { tasks: retainer-tasks.json entries, quickExplorationItemIds }
+ */
+export function loadVentureData() {
+  if (ventureDataPromise) return ventureDataPromise;
+
+  ventureDataPromise = Promise.all([
+    import('../../teamcraft_git/libs/data/src/lib/json/retainer-tasks.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/venture-sources.json'),
+  ])
+    .then(([tasksModule, sourcesModule]) => {
+      const tasks = tasksModule.default || tasksModule;
+      const sources = sourcesModule.default || sourcesModule;
+      const quickExplorationItemIds = Object.entries(sources)
+        .filter(([, ventureIds]) => ventureIds.includes(QUICK_EXPLORATION_ID))
+        .map(([itemId]) => parseInt(itemId, 10));
+      return { tasks: tasks.filter(task => task.item), quickExplorationItemIds };
+    })
+    .catch(error => {
+      ventureDataPromise = null;
+      throw error;
+    });
+
+  return ventureDataPromise;
+}
+
+/**
+ * Number of items a targeted task brings back
+ * Combat tasks scale with average item level, gathering tasks with perception.
+ * @param {Object} task - retainer-tasks.json entry
+ * @param {number} statValue - Retainer's item level or perception
+ * @returns {number}
+ */
+export function getTaskQuantity(task, statValue) {
+  let quantity = 0;
+  (task.quantities || []).forEach(tier => {
+    if ((tier.value || 0) <= statValue) quantity = tier.quantity;
+  });
+  return quantity;
+}
+
+/**
+ * Targeted tasks a retainer can take, with the quantity it would bring back
+ * @param {Array<Object>} tasks - From loadVentureData
+ * @param {Object} retainer - { category, level, ilvl, gathering, perception }
+ * @returns {Array<Object>} - [{ taskId, itemId, level, cost, quantity }]
+ */
+export function getAvailableTasks(tasks, retainer) {
+  const classInfo = RETAINER_CLASSES.find(entry => entry.category === retainer.category);
+  if (!classInfo) return [];
+
+  return tasks
+    .filter(task => task.category === retainer.category && task.lvl <= retainer.level)
+    .filter(task => (classInfo.isGatherer
+      ? (task.reqGathering || 0) <= retainer.gathering
+      : (task.reqIlvl || 0) <= retainer.ilvl))
+    .map(task => ({
+      taskId: task.id,
+      itemId: task.item,
+      level: task.lvl,
+      cost: task.cost || 1,
+      quantity: getTaskQuantity(task, classInfo.isGatherer ? retainer.perception : retainer.ilvl),
+    }))
+    .filter(task => task.quantity > 0);
+}
+
+/**
+ * Fetch prices for venture rewards and rank targeted tasks by gil per venture
+ * Quick exploration only gets a pool-wide average: one item drawn evenly from the rewards of every
+ * class and level, untradeable ones counting as zero. What a given retainer can draw and the odds
+ * aren't in the data, so the average isn't comparable with targeted tasks.
+ * @param {string|number} worldDcRegion - DC name or world ID
+ * @param {Array<Object>} tasks - From getAvailableTasks (marketable rewards only)
+ * @param {Object} quickPool - { itemIds: marketable reward IDs, total: pool size including untradeable }
+ * @param {Object} options - { taxRate, signal, onProgress(loaded, total) }
+ * @returns {Promise<Object>} - {
+ *   tasks: [{ ...task, unitPrice, velocity, gilPerTask, gilPerVenture }] sorted by gilPerVenture,
+ *   quickExploration: { cost, poolSize, pricedCount, averageGil, averagePerVenture, topRewards: [{ itemId, unitPrice, velocity }] }
+ * }
+ */
+export async function rankVentures(worldDcRegion, tasks, quickPool, options = {}) {
+  const { taxRate = 5, signal, onProgress } = options;
+  const isWorldQuery = typeof worldDcRegion === 'number';
+  const itemIds = [...new Set([...tasks.map(task => task.itemId), ...quickPool.itemIds])];
+  const statsById = await getAggregatedPriceStatsBatched(worldDcRegion, itemIds, { signal, onProgress });
+  if (signal && signal.aborted) return { tasks: [], quickExploration: null };
+
+  const afterTax = 1 - taxRate / 100;
+  const rankedTasks = tasks
+    .map(task => {
+      const reward = pickSellPrice(statsById[task.itemId], isWorldQuery);
+      if (!reward) return null;
+      const gilPerTask = Math.round(reward.price * task.quantity * afterTax);
+      return {
+        ...task,
+        unitPrice: reward.price,
+        velocity: reward.velocity,
+        gilPerTask,
+        gilPerVenture: Math.round(gilPerTask / task.cost),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.gilPerVenture - a.gilPerVenture || b.velocity - a.velocity);
+
+  const quickRewards = quickPool.itemIds
+    .map(itemId => {
+      const reward = pickSellPrice(statsById[itemId], isWorldQuery);
+      return reward ? { itemId, unitPrice: reward.price, velocity: reward.velocity } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.unitPrice - a.unitPrice);
+  const averageGil = quickPool.total > 0
+    ? Math.round((quickRewards.reduce((sum, reward) => sum + reward.unitPrice, 0) * afterTax) / quickPool.total)
+    : 0;
+
+  return {
+    tasks: rankedTasks,
+    quickExploration: {
+      cost: QUICK_EXPLORATION_COST,
+      poolSize: quickPool.total,
+      pricedCount: quickRewards.length,
+      averageGil,
+      averagePerVenture: Math.round(averageGil / QUICK_EXPLORATION_COST),
+      topRewards: quickRewards.slice(0, 10),
+    },
+  };
+}
@@ -0,0 +1,152 @@
+// Voyage service - values submarine and airship exploration sectors by the loot they can bring back
+import { getAggregatedPriceStatsBatched, pickSellPrice } from './universalis';
+import { pickGameDataName } from '../utils/gameDataNames';
+import { UI_LANGUAGES } from '../utils/uiLanguage';
+
+// A voyage visits at most five sectors
+export const MAX_ROUTE_SECTORS = 5;
+
+// voyage-sources.json `type`: 0 for airship sectors, 1 for submarine sectors
+export const VOYAGE_TYPES = {
+  AIRSHIP: 0,
+  SUBMARINE: 1,
+};
+
+export const VOYAGE_TYPE_LABEL_KEYS = {
+  [VOYAGE_TYPES.AIRSHIP]: 'voyages.typeAirship',
+  [VOYAGE_TYPES.SUBMARINE]: 'voyages.typeSubmarine',
+};
+
+let voyageDataPromise = null;
+
+/**
+ * Lazy load exploration sectors with their possible loot
+ * Submarine sectors are lettered from A within each sea, so a new "A" starts the next sea.
+ * @returns {Promise<Array<Object>>} - [{ type, id, names: { [language]: name }, location, sea, lootItemIds }] with loot,
+ *   sorted by type then ID; names is null for a language no table covers
+ */
+export function loadVoyageData() {
+  if (voyageDataPromise) return voyageDataPromise;
+
+  voyageDataPromise = Promise.all([
+    import('../../teamcraft_git/libs/data/src/lib/json/voyage-sources.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/submarine-voyages.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/airship-voyages.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/tw/tw-submarine-voyages.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/tw/tw-airship-voyages.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/zh/zh-submarine-voyages.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/zh/zh-airship-voyages.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/ko/ko-submarine-voyages.json'),
+    import('../../teamcraft_git/libs/data/src/lib/json/ko/ko-airship-voyages.json'),
+  ])
+    .then(modules => {
+      const [
+        sources, submarines, airships, twSubmarines, twAirships, zhSubmarines, zhAirships, koSubmarines, koAirships,
+      ] = modules.map(module => module.default || module);
+
+      const lootBySector = new Map();
+      Object.entries(sources).forEach(([itemId, entries]) => {
+        entries.forEach(entry => {
+          // A few items only know the voyage type, not the sector
+          if (typeof entry.id !== 'number') return;
+          const key = `${entry.type}-${entry.id}`;
+          if (!lootBySector.has(key)) lootBySector.set(key, []);
+          lootBySector.get(key).push(parseInt(itemId, 10));
+        });
+      });
+
+      const sectors = [];
+      const addSectors = (type, nameTables) => {
+        let sea = 0;
+        Object.values(nameTables.base)
+          .sort((a, b) => a.id - b.id)
+          .forEach(sector => {
+            if (type === VOYAGE_TYPES.SUBMARINE && sector.location === 'A') sea++;
+            const lootItemIds = lootBySector.get(`${type}-${sector.id}`);
+            if (!lootItemIds) return;
+            sectors.push({
+              type,
+              id: sector.id,
+              names: Object.fromEntries(UI_LANGUAGES.map(({ code }) => [code, pickGameDataName(nameTables, sector.id, code)])),
+              location: sector.location || '',
+              sea,
+              lootItemIds,
+            });
+          });
+      };
+      addSectors(VOYAGE_TYPES.AIRSHIP, { base: airships, tw: twAirships, zh: zhAirships, ko: koAirships });
+      addSectors(VOYAGE_TYPES.SUBMARINE, { base: submarines, tw: twSubmarines, zh: zhSubmarines, ko: koSubmarines });
+      return sectors;
+    })
+    .catch(error => {
+      voyageDataPromise = null;
+      throw error;
+    });
+
+  return voyageDataPromise;
+}
+
+/**
+ * Fetch loot prices and value each sector by one item drawn from its loot table
+ * Drop rates aren't in the data, so every loot entry is treated as equally likely; loot that can't be
+ * sold (untradeable, or no price on the market) counts as zero in the average.
+ * @param {string|number} worldDcRegion - DC name or world ID
+ * @param {Array<Object>} sectors - From loadVoyageData
+ * @param {Object} options - { marketable: Set of marketable item IDs, taxRate, signal, onProgress(loaded, total) }
+ * @returns {Promise<Array<Object>>} - sectors plus { loot: [{ itemId, unitPrice, velocity }] sorted by price,
+ *   pricedCount, expectedGil } sorted by expectedGil
+ */
+export async function rankVoyageSectors(worldDcRegion, sectors, options = {}) {
+  const { marketable, taxRate = 5, signal, onProgress } = options;
+  const isWorldQuery = typeof worldDcRegion === 'number';
+  const itemIds = [...new Set(sectors.flatMap(sector => sector.lootItemIds))]
+    .filter(itemId => !marketable || marketable.has(itemId));
+  const statsById = await getAggregatedPriceStatsBatched(worldDcRegion, itemIds, { signal, onProgress });
+  if (signal && signal.aborted) return [];
+
+  const afterTax = 1 - taxRate / 100;
+  return sectors
+    .map(sector => {
+      const loot = sector.lootItemIds
+        .map(itemId => {
+          const reward = pickSellPrice(statsById[itemId], isWorldQuery);
+          return reward ? { itemId, unitPrice: reward.price, velocity: reward.velocity } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.unitPrice - a.unitPrice);
+      const total = loot.reduce((sum, reward) => sum + reward.unitPrice, 0);
+      return {
+        ...sector,
+        loot,
+        pricedCount: loot.length,
+        expectedGil: Math.round((total * afterTax) / sector.lootItemIds.length),
+      };
+    })
+    .sort((a, b) => b.expectedGil - a.expectedGil);
+}
+
+/**
+ * Pick the highest-valued sectors for one run
+ * Submarines can only chart a course within a single sea, so each sea is tried on its own.
+ * @param {Array<Object>} rankedSectors - From rankVoyageSectors (one voyage type)
+ * @returns {Object|null} - { sea, sectors, expectedGil } for the best route, ordered by sector ID
+ */
+export function suggestBestRoute(rankedSectors) {
+  const bySea = new Map();
+  rankedSectors.forEach(sector => {
+    if (!bySea.has(sector.sea)) bySea.set(sector.sea, []);
+    bySea.get(sector.sea).push(sector);
+  });
+
+  let best = null;
+  bySea.forEach((seaSectors, sea) => {
+    const picked = [...seaSectors]
+      .sort((a, b) => b.expectedGil - a.expectedGil)
+      .slice(0, MAX_ROUTE_SECTORS);
+    const expectedGil = picked.reduce((sum, sector) => sum + sector.expectedGil, 0);
+    if (!best || expectedGil > best.expectedGil) {
+      best = { sea, sectors: picked.sort((a, b) => a.id - b.id), expectedGil };
+    }
+  });
+  return best;
+}
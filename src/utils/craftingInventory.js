@@ -0,0 +1,89 @@
+// Owned crafting materials (itemId -> count) using localStorage with event notification
+// Shared by every crafting tree, since the same materials are reused across recipes
+const CRAFTING_INVENTORY_KEY = 'ffxiv_market_crafting_inventory';
+const MAX_COUNT = 999999;
+
+// Event listeners for inventory changes
+const listeners = new Set();
+
+/**
+ * Subscribe to owned material changes
+ * @param {Function} callback - Called with the new inventory when it changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToCraftingInventory(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+/**
+ * Notify all listeners of an inventory change
+ */
+function notifyChange() {
+  const inventory = getCraftingInventory();
+  listeners.forEach(callback => callback(inventory));
+}
+
+/**
+ * Get owned materials
+ * @returns {Object} { [itemId]: count }, only positive counts
+ */
+export function getCraftingInventory() {
+  try {
+    const inventoryStr = localStorage.getItem(CRAFTING_INVENTORY_KEY);
+    if (!inventoryStr) return {};
+    const inventory = JSON.parse(inventoryStr);
+    if (!inventory || typeof inventory !== 'object' || Array.isArray(inventory)) return {};
+    const result = {};
+    Object.entries(inventory).forEach(([itemId, count]) => {
+      if (Number.isInteger(count) && count > 0) {
+        result[itemId] = count;
+      }
+    });
+    return result;
+  } catch (error) {
+    console.error('Failed to get crafting inventory:', error);
+    return {};
+  }
+}
+
+/**
+ * Set how many of an item are owned (0 removes it)
+ * @param {number} itemId
+ * @param {number} count
+ */
+export function setOwnedMaterialCount(itemId, count) {
+  try {
+    const inventory = getCraftingInventory();
+    const value = Math.min(Math.max(0, Math.floor(Number(count) || 0)), MAX_COUNT);
+    if (value > 0) {
+      inventory[itemId] = value;
+    } else {
+      delete inventory[itemId];
+    }
+    localStorage.setItem(CRAFTING_INVENTORY_KEY, JSON.stringify(inventory));
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to save crafting inventory:', error);
+  }
+}
+
+/**
+ * Clear owned counts for the given items, or everything when no IDs are given
+ * @param {Array<number>} itemIds - Optional item IDs to clear
+ */
+export function clearOwnedMaterials(itemIds = null) {
+  try {
+    let inventory = {};
+    if (itemIds) {
+      inventory = getCraftingInventory();
+      itemIds.forEach(itemId => {
+        delete inventory[itemId];
+      });
+    }
+    localStorage.setItem(CRAFTING_INVENTORY_KEY, JSON.stringify(inventory));
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to clear crafting inventory:', error);
+  }
+}
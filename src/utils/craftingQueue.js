@@ -0,0 +1,127 @@
+// Crafting planner queue management using localStorage with event notification
+const CRAFTING_QUEUE_KEY = 'ffxiv_market_crafting_queue';
+const MAX_QUANTITY = 999;
+
+// Event listeners for crafting queue changes
+const listeners = new Set();
+
+/**
+ * Subscribe to crafting queue changes
+ * @param {Function} callback - Called with the new queue when it changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToCraftingQueue(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+/**
+ * Notify all listeners of crafting queue change
+ */
+function notifyChange() {
+  const queue = getCraftingQueue();
+  listeners.forEach(callback => callback(queue));
+}
+
+/**
+ * Clamp a quantity to a valid integer
+ * @param {*} quantity
+ * @returns {number}
+ */
+function clampQuantity(quantity) {
+  const num = Math.round(Number(quantity));
+  if (!Number.isFinite(num) || num < 1) return 1;
+  return Math.min(num, MAX_QUANTITY);
+}
+
+/**
+ * Get all queued target items
+ * @returns {Array<Object>} Entries: { itemId, itemName, quantity }
+ */
+export function getCraftingQueue() {
+  try {
+    const queueStr = localStorage.getItem(CRAFTING_QUEUE_KEY);
+    if (!queueStr) return [];
+    const queue = JSON.parse(queueStr);
+    return Array.isArray(queue) ? queue.filter(entry => entry && Number.isInteger(entry.itemId)) : [];
+  } catch (error) {
+    console.error('Failed to get crafting queue:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the full queue and notify listeners
+ * @param {Array<Object>} queue
+ */
+function saveCraftingQueue(queue) {
+  localStorage.setItem(CRAFTING_QUEUE_KEY, JSON.stringify(queue));
+  notifyChange();
+}
+
+/**
+ * Add a target item to the queue
+ * Quantities of items already queued are added together
+ * @param {number} itemId - The item ID
+ * @param {string} itemName - Display name
+ * @param {number} quantity - Quantity to craft (default 1)
+ * @returns {boolean} True if the item was added or updated
+ */
+export function addToCraftingQueue(itemId, itemName, quantity = 1) {
+  const id = Number(itemId);
+  if (!Number.isInteger(id) || id <= 0) return false;
+  try {
+    const queue = getCraftingQueue();
+    const existing = queue.find(entry => entry.itemId === id);
+    if (existing) {
+      existing.quantity = clampQuantity(existing.quantity + clampQuantity(quantity));
+      if (!existing.itemName && itemName) existing.itemName = itemName;
+    } else {
+      queue.push({ itemId: id, itemName: itemName || '', quantity: clampQuantity(quantity) });
+    }
+    saveCraftingQueue(queue);
+    return true;
+  } catch (error) {
+    console.error('Failed to add item to crafting queue:', error);
+    return false;
+  }
+}
+
+/**
+ * Set the quantity of a queued item
+ * @param {number} itemId - The item ID
+ * @param {number} quantity - New quantity
+ */
+export function updateCraftingQueueQuantity(itemId, quantity) {
+  try {
+    saveCraftingQueue(getCraftingQueue().map(entry =>
+      entry.itemId === itemId ? { ...entry, quantity: clampQuantity(quantity) } : entry
+    ));
+  } catch (error) {
+    console.error('Failed to update crafting queue item:', error);
+  }
+}
+
+/**
+ * Remove an item from the queue
+ * @param {number} itemId - The item ID to remove
+ */
+export function removeFromCraftingQueue(itemId) {
+  try {
+    saveCraftingQueue(getCraftingQueue().filter(entry => entry.itemId !== itemId));
+  } catch (error) {
+    console.error('Failed to remove item from crafting queue:', error);
+  }
+}
+
+/**
+ * Clear the queue
+ */
+export function clearCraftingQueue() {
+  try {
+    localStorage.removeItem(CRAFTING_QUEUE_KEY);
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to clear crafting queue:', error);
+  }
+}
@@ -0,0 +1,152 @@
+// Table export helpers - CSV / JSON downloads and TSV for pasting into spreadsheets
+// Columns are described as { key, label, value?: (row) => any }; without value, row[key] is used.
+
+// Excel only detects UTF-8 (and shows Chinese correctly) when the file starts with a BOM
+const UTF8_BOM = '\uFEFF';
+
+// labelKey is the i18n catalog key for the button tooltip
+export const EXPORT_FORMATS = [
+  { id: 'csv', labelKey: 'export.csvTitle' },
+  { id: 'json', labelKey: 'export.jsonTitle' },
+  { id: 'tsv', labelKey: 'export.tsvTitle' },
+];
+
+/**
+ * Read a cell value for export
+ * @param {Object} row
+ * @param {Object} column
+ * @returns {*} Raw value, or '' when missing
+ */
+function getCellValue(row, column) {
+  const value = column.value ? column.value(row) : row[column.key];
+  return value === null || value === undefined ? '' : value;
+}
+
+/**
+ * Prefix text that a spreadsheet would read as a formula with a quote, so it stays plain text
+ * Numbers are left alone: a negative number is data, not a formula.
+ * @param {*} value
+ * @returns {string}
+ */
+function neutralizeFormula(value) {
+  const str = String(value);
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(str) ? `'${str}` : str;
+}
+
+/**
+ * Quote a CSV cell when it contains a delimiter, quote or line break
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCsvCell(value) {
+  const str = neutralizeFormula(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * TSV has no quoting that every spreadsheet understands, so flatten tabs and line breaks
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeTsvCell(value) {
+  return neutralizeFormula(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+/**
+ * Build CSV text (with BOM) from rows
+ * @param {Array<Object>} rows
+ * @param {Array<Object>} columns
+ * @returns {string}
+ */
+export function toCSV(rows, columns) {
+  const lines = [columns.map(column => escapeCsvCell(column.label)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvCell(getCellValue(row, column))).join(','));
+  });
+  return UTF8_BOM + lines.join('\r\n');
+}
+
+/**
+ * Build tab separated text from rows, for pasting into Excel / Google Sheets
+ * @param {Array<Object>} rows
+ * @param {Array<Object>} columns
+ * @returns {string}
+ */
+export function toTSV(rows, columns) {
+  const lines = [columns.map(column => escapeTsvCell(column.label)).join('\t')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeTsvCell(getCellValue(row, column))).join('\t'));
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Build pretty-printed JSON from rows, keyed by column key and keeping raw values
+ * @param {Array<Object>} rows
+ * @param {Array<Object>} columns
+ * @returns {string}
+ */
+export function toJSON(rows, columns) {
+  const data = rows.map(row => {
+    const entry = {};
+    columns.forEach(column => {
+      const value = column.value ? column.value(row) : row[column.key];
+      entry[column.key] = value === undefined ? null : value;
+    });
+    return entry;
+  });
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Append a local timestamp to a base filename
+ * @param {string} baseName - e.g. 'search-results'
+ * @param {string} extension - e.g. 'csv'
+ * @returns {string} e.g. 'search-results-20250101-1230.csv'
+ */
+export function buildExportFilename(baseName, extension) {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}`;
+  return `${baseName}-${stamp}.${extension}`;
+}
+
+/**
+ * Trigger a browser download for text content
+ * @param {string} content
+ * @param {string} filename
+ * @param {string} mimeType
+ */
+export function downloadTextFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Revoke on the next tick so the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Export rows in one of EXPORT_FORMATS
+ * CSV and JSON are downloaded; TSV is copied to the clipboard.
+ * @param {string} format - 'csv' | 'json' | 'tsv'
+ * @param {Array<Object>} rows
+ * @param {Array<Object>} columns
+ * @param {string} baseName - Filename without extension or timestamp
+ * @returns {Promise<void>} Rejects if the clipboard write fails
+ */
+export async function exportRows(format, rows, columns, baseName) {
+  if (format === 'csv') {
+    downloadTextFile(toCSV(rows, columns), buildExportFilename(baseName, 'csv'), 'text/csv');
+  } else if (format === 'json') {
+    downloadTextFile(toJSON(rows, columns), buildExportFilename(baseName, 'json'), 'application/json');
+  } else if (format === 'tsv') {
+    await navigator.clipboard.writeText(toTSV(rows, columns));
+  } else {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+}
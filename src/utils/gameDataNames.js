@@ -0,0 +1,37 @@
+/**
+ * Game Data Name Utilities
+ * Pick names for game data (jobs, stats, voyage sectors, ...) in the UI language from
+ * Teamcraft's tables, which are split per language: the base table holds en/ja/de/fr and
+ * tw/, zh/ and ko/ each hold their own language.
+ */
+
+import baseJobNames from '../../teamcraft_git/libs/data/src/lib/json/job-name.json';
+import twJobNames from '../../teamcraft_git/libs/data/src/lib/json/tw/tw-job-abbr.json';
+import zhJobNames from '../../teamcraft_git/libs/data/src/lib/json/zh/zh-job-abbr.json';
+import koJobNames from '../../teamcraft_git/libs/data/src/lib/json/ko/ko-job-abbr.json';
+
+const SEPARATE_TABLE_LANGUAGES = ['tw', 'zh', 'ko'];
+
+const JOB_NAME_TABLES = { base: baseJobNames, tw: twJobNames, zh: zhJobNames, ko: koJobNames };
+
+/**
+ * Get a game data name in the given language, falling back to TW and then English
+ * @param {Object} tables - { base, tw, zh, ko } Teamcraft tables keyed by ID (any may be missing)
+ * @param {number|string} id - Row ID
+ * @param {string} language - UI language code
+ * @returns {string|null} - null when no table has the ID
+ */
+export function pickGameDataName(tables, id, language) {
+  const table = SEPARATE_TABLE_LANGUAGES.includes(language) ? tables[language] : tables.base;
+  return table?.[id]?.[language] || tables.tw?.[id]?.tw || tables.base?.[id]?.en || null;
+}
+
+/**
+ * Get a job's name in the given language
+ * @param {number|string} jobId - ClassJob ID
+ * @param {string} language - UI language code
+ * @returns {string|null}
+ */
+export function getJobName(jobId, language) {
+  return pickGameDataName(JOB_NAME_TABLES, jobId, language);
+}
@@ -0,0 +1,39 @@
+import { generateItemUrl } from './urlSlug.js';
+
+// 網站正式網址（GitHub Pages）
+export const SITE_URL = 'https://beherw.github.io/FFXIV_Market';
+
+/**
+ * 物品頁的 SEO 資料
+ * ItemSEO 組件在執行時套用，scripts/generate-seo-pages.js 在建置時寫入靜態 HTML，兩邊共用同一份內容
+ * @param {Object} item - { id, name, icon }（icon 可省略）
+ * @returns {Object} { title, description, ogDescription, twitterDescription, url, image, jsonLd }
+ */
+export function getItemSeoData({ id, name, icon }) {
+  const title = `${name} - 繁中XIV市場 - FF14 Market`;
+  const image = icon ? `https://xivapi.com${icon}` : null;
+
+  return {
+    title,
+    description: `查詢 ${name} 的市場價格、歷史價格趨勢、各伺服器價格比較。FFXIV（FF14）物品編號: ${id}`,
+    ogDescription: `查詢 ${name} 的市場價格、歷史價格趨勢、各伺服器價格比較。`,
+    twitterDescription: `查詢 ${name} 的市場價格、歷史價格趨勢。`,
+    url: generateItemUrl(id, name, SITE_URL),
+    image,
+    jsonLd: {
+      "@context": "https://schema.org",
+      "@type": "Product",
+      "name": name,
+      "description": `FFXIV（FF14）物品: ${name}`,
+      "identifier": id.toString(),
+      "category": "Video Game Item",
+      "brand": {
+        "@type": "Brand",
+        "name": "Final Fantasy XIV"
+      },
+      // 注意：不使用 offers，因為 GIL 不是 ISO 4217 合法貨幣
+      // 避免 Google Rich Results 忽略整個 Product
+      ...(image && { "image": image })
+    },
+  };
+}
@@ -18,4 +18,6 @@ export const OCR_CONFIG = {
   enableMorphologyClose: true,
   morphologyCloseKernelSize: 3, // 增加閉運算核大小（針對高筆畫數繁體字優化）
   sharpenStrength: 'strong' as 'normal' | 'strong',
+  multiLineDetectionScale: 2, // 多行模式：版面分析前的放大倍數（遊戲介面字體偏小）
+  maxMultiLineCount: 50, // 多行模式：最多辨識的行數
 } as const;
@@ -3,10 +3,38 @@
  */
 
 import { OCR_CONFIG } from './config';
+import { translate } from '../../i18n';
+import { getUILanguage } from '../uiLanguage';
 import { TESSERACT_INIT_CONFIG } from './tesseractConfig';
-import type { OCRFilterOptions } from './types';
+import type { CropArea, OCRFilterOptions, OCRLineResult } from './types';
 import { buildItemtwCharWhitelist, validateAgainstWhitelist, getWhitelistString } from './whitelist';
-import { autoCropImage, filterChineseOnly } from './imageUtils';
+import { autoCropImage, filterChineseOnly, preprocessImage, detectLightTextOnDarkBackground, invertImage } from './imageUtils';
+
+/**
+ * 單行辨識參數（白名單另外設定）
+ */
+const SINGLE_LINE_PARAMS: Record<string, string> = {
+  tessedit_pageseg_mode: '7',
+  classify_bln_numeric_mode: '0',
+  textord_min_linesize: '2.0', // 降低最小行尺寸，識別更小的字符
+  classify_enable_learning: '0',
+  tessedit_char_blacklist: '',
+  textord_tabvector_vertical_gap_factor: '0.3', // 進一步減少垂直間隙因子
+  textord_min_blob_size_fraction: '0.05', // 大幅降低最小blob尺寸分數，識別極細小的筆畫
+  textord_excess_blob_size: '2.0', // 大幅增加blob尺寸容忍度，適應高筆畫數繁體字
+  textord_really_old_xheight: '0.75', // 大幅降低x高度閾值，識別更小的文字和細筆畫
+  classify_adapt_proto_threshold: '0.3', // 進一步降低原型適應閾值，提高對極複雜字符的識別敏感度
+  classify_adapt_feature_threshold: '0.3', // 進一步降低特徵適應閾值，提高對極細小筆畫的識別
+  textord_min_linesize_fraction: '0.05', // 大幅降低最小行尺寸分數，適應高筆畫數繁體字
+  textord_debug_pitch_metric: '0',
+  textord_min_blob_size: '1', // 進一步降低最小blob尺寸，識別極細的筆畫
+  classify_misfit_junk_penalty: '0.05', // 大幅降低誤識別懲罰，提高對極複雜字符的容忍度
+  classify_accept_rating: '0.15', // 進一步降低接受評級閾值，提高識別敏感度
+  textord_heavy_nr: '1', // 啟用重行檢測
+  textord_really_old_xheight_fraction: '0.7', // 降低x高度分數閾值
+  classify_min_norm_scale_x: '0.1', // 降低最小歸一化縮放，識別更小的字符
+  classify_max_rating_ratio: '2.0', // 增加最大評級比率，提高對複雜字符的接受度
+};
 
 /**
  * 檢測文字區域
@@ -157,7 +185,7 @@ export async function performOCR(
 
   try {
     if (typeof window.Tesseract === 'undefined') {
-      throw new Error('Tesseract.js 尚未載入，請稍候再試');
+      throw new Error(translate(getUILanguage(), 'ocr.tesseractNotLoaded'));
     }
 
     // 使用 Tesseract 原生 CDN 模型；傳入 LSTM 專用 init config 避免「Parameter not found」警告
@@ -172,26 +200,7 @@ export async function performOCR(
     // OEM 已在 createWorker(lang, 1) 時設為 LSTM，勿在此重設
     const params = {
       tessedit_char_whitelist: chineseCharWhitelist,
-      tessedit_pageseg_mode: '7',
-      classify_bln_numeric_mode: '0',
-      textord_min_linesize: '2.0', // 降低最小行尺寸，識別更小的字符
-      classify_enable_learning: '0',
-      tessedit_char_blacklist: '',
-      textord_tabvector_vertical_gap_factor: '0.3', // 進一步減少垂直間隙因子
-      textord_min_blob_size_fraction: '0.05', // 大幅降低最小blob尺寸分數，識別極細小的筆畫
-      textord_excess_blob_size: '2.0', // 大幅增加blob尺寸容忍度，適應高筆畫數繁體字
-      textord_really_old_xheight: '0.75', // 大幅降低x高度閾值，識別更小的文字和細筆畫
-      classify_adapt_proto_threshold: '0.3', // 進一步降低原型適應閾值，提高對極複雜字符的識別敏感度
-      classify_adapt_feature_threshold: '0.3', // 進一步降低特徵適應閾值，提高對極細小筆畫的識別
-      textord_min_linesize_fraction: '0.05', // 大幅降低最小行尺寸分數，適應高筆畫數繁體字
-      textord_debug_pitch_metric: '0',
-      textord_min_blob_size: '1', // 進一步降低最小blob尺寸，識別極細的筆畫
-      classify_misfit_junk_penalty: '0.05', // 大幅降低誤識別懲罰，提高對極複雜字符的容忍度
-      classify_accept_rating: '0.15', // 進一步降低接受評級閾值，提高識別敏感度
-      textord_heavy_nr: '1', // 啟用重行檢測
-      textord_really_old_xheight_fraction: '0.7', // 降低x高度分數閾值
-      classify_min_norm_scale_x: '0.1', // 降低最小歸一化縮放，識別更小的字符
-      classify_max_rating_ratio: '2.0', // 增加最大評級比率，提高對複雜字符的接受度
+      ...SINGLE_LINE_PARAMS,
     };
     
     await worker.setParameters(params);
@@ -243,7 +252,7 @@ export async function performOCR(
     return processedText;
   } catch (error) {
     console.error('[OCR] OCR 識別錯誤:', error);
-    throw new Error('OCR 辨識過程發生錯誤');
+    throw new Error(translate(getUILanguage(), 'ocr.recognitionFailed'));
   }
 }
 
@@ -269,3 +278,179 @@ export async function processImageForOCR(
     throw error;
   }
 }
+
+/**
+ * 放大圖片並在淺色文字深色背景時反轉，供多行版面分析使用
+ */
+function prepareForLineDetection(image: HTMLImageElement, scale: number): string {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })!;
+  canvas.width = Math.floor(image.width * scale);
+  canvas.height = Math.floor(image.height * scale);
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  if (detectLightTextOnDarkBackground(imageData)) {
+    ctx.putImageData(invertImage(imageData), 0, 0);
+  }
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * 檢測多行文字（雇員出售清單、背包、市場列表截圖）中每一行的物品名稱區域
+ * 同一行中間距過大的文字視為不同欄位（價格、數量、雇員名），只保留第一個含中文的欄位
+ */
+export async function detectTextLines(image: HTMLImageElement): Promise<CropArea[]> {
+  try {
+    if (typeof window.Tesseract === 'undefined') {
+      return [];
+    }
+
+    const scale = OCR_CONFIG.multiLineDetectionScale;
+    const worker = await window.Tesseract.createWorker(OCR_CONFIG.tesseractLang, 1, {}, TESSERACT_INIT_CONFIG);
+    // 版面分析不設白名單，讓數字欄位也被切成獨立的字詞，方便依間距分欄
+    await worker.setParameters({ tessedit_pageseg_mode: '4' });
+    let result: Awaited<ReturnType<typeof worker.recognize>>;
+    try {
+      result = await worker.recognize(prepareForLineDetection(image, scale));
+    } finally {
+      await worker.terminate();
+    }
+
+    const regions: CropArea[] = [];
+    (result.data.lines || []).forEach((line) => {
+      const lineHeight = line.bbox.y1 - line.bbox.y0;
+      if (lineHeight <= 0) return;
+
+      const words = [...(line.words || [])]
+        .filter((word) => word.text.trim().length > 0)
+        .sort((a, b) => a.bbox.x0 - b.bbox.x0);
+
+      // 依水平間距切成欄位
+      const columns: Array<typeof words> = [];
+      words.forEach((word, index) => {
+        const prev = words[index - 1];
+        if (!prev || word.bbox.x0 - prev.bbox.x1 > lineHeight * 1.5) {
+          columns.push([word]);
+        } else {
+          columns[columns.length - 1].push(word);
+        }
+      });
+
+      const nameColumn = columns.find((column) => (
+        filterChineseOnly(column.map((word) => word.text).join('')).replace(/\s/g, '').length >= 2
+      ));
+      const box = nameColumn
+        ? {
+            x0: Math.min(...nameColumn.map((word) => word.bbox.x0)),
+            y0: Math.min(...nameColumn.map((word) => word.bbox.y0)),
+            x1: Math.max(...nameColumn.map((word) => word.bbox.x1)),
+            y1: Math.max(...nameColumn.map((word) => word.bbox.y1)),
+          }
+        : words.length === 0 && filterChineseOnly(line.text).replace(/\s/g, '').length >= 2
+          ? line.bbox
+          : null;
+      if (!box) return;
+
+      // 換算回原圖座標並加上邊距，避免裁掉筆畫
+      const padding = Math.max(2, Math.round(((box.y1 - box.y0) / scale) * 0.2));
+      const x = Math.max(0, Math.floor(box.x0 / scale) - padding);
+      const y = Math.max(0, Math.floor(box.y0 / scale) - padding);
+      const width = Math.min(image.width - x, Math.ceil((box.x1 - box.x0) / scale) + padding * 2);
+      const height = Math.min(image.height - y, Math.ceil((box.y1 - box.y0) / scale) + padding * 2);
+      if (width > 0 && height > 0) {
+        regions.push({ x, y, width, height });
+      }
+    });
+
+    return regions
+      .sort((a, b) => a.y - b.y || a.x - b.x)
+      .slice(0, OCR_CONFIG.maxMultiLineCount);
+  } catch (error) {
+    console.error('[OCR] 檢測多行文字失敗:', error);
+    return [];
+  }
+}
+
+/**
+ * 執行多行 OCR：先切出每一行，再以單行模式逐行辨識
+ */
+export async function performMultiLineOCR(
+  image: HTMLImageElement,
+  filterOptions?: OCRFilterOptions,
+  onProgress?: (p: number) => void
+): Promise<OCRLineResult[]> {
+  const regions = await detectTextLines(image);
+  if (onProgress) {
+    onProgress(0.2);
+  }
+  if (regions.length === 0) {
+    return [];
+  }
+
+  try {
+    if (typeof window.Tesseract === 'undefined') {
+      throw new Error(translate(getUILanguage(), 'ocr.tesseractNotLoaded'));
+    }
+
+    // 所有行共用同一個 worker，避免每行重新載入語言模型
+    const worker = await window.Tesseract.createWorker(OCR_CONFIG.tesseractLang, 1, {}, TESSERACT_INIT_CONFIG);
+    const results: OCRLineResult[] = [];
+    try {
+      const useWhitelist = filterOptions?.useItemtwWhitelist ?? OCR_CONFIG.useItemtwWhitelist;
+      const chineseCharWhitelist = useWhitelist ? await buildItemtwCharWhitelist() : '';
+      await worker.setParameters({
+        tessedit_char_whitelist: chineseCharWhitelist,
+        ...SINGLE_LINE_PARAMS,
+      });
+
+      for (let i = 0; i < regions.length; i++) {
+        const lineImage = await autoCropImage(image, regions[i]);
+        const processedLine = await preprocessImage(lineImage, filterOptions);
+        const result = await worker.recognize(processedLine);
+
+        const words = (result.data.words || []).filter((word) => word.text.trim().length > 0);
+        const text = filterChineseOnly(words.length > 0 ? words.map((word) => word.text).join('') : result.data.text);
+        const confidence = words.length > 0
+          ? words.reduce((sum, word) => sum + word.confidence, 0) / words.length
+          : 0;
+
+        if (text.replace(/\s/g, '').length >= 2) {
+          results.push({ text, confidence, bbox: regions[i] });
+        }
+        if (onProgress) {
+          onProgress(0.2 + (0.8 * (i + 1)) / regions.length);
+        }
+      }
+    } finally {
+      await worker.terminate();
+    }
+
+    return results;
+  } catch (error) {
+    console.error('[OCR] 多行 OCR 識別錯誤:', error);
+    throw new Error(translate(getUILanguage(), 'ocr.recognitionFailed'));
+  }
+}
+
+/**
+ * 處理整張清單截圖並逐行執行 OCR
+ */
+export async function processImageForMultiLineOCR(
+  file: File,
+  filterOptions?: OCRFilterOptions,
+  onProgress?: (p: number) => void
+): Promise<OCRLineResult[]> {
+  try {
+    const { loadImage, resizeImageIfNeeded } = await import('./imageUtils');
+
+    const img = await loadImage(file);
+    const resizedImage = await resizeImageIfNeeded(img);
+    return await performMultiLineOCR(resizedImage, filterOptions, onProgress);
+  } catch (error) {
+    console.error('[OCR] 處理多行圖片失敗:', error);
+    throw error;
+  }
+}
@@ -24,6 +24,12 @@ export interface OCRFilterOptions {
   invertForLightText?: boolean;
 }
 
+export interface OCRLineResult {
+  text: string;
+  confidence: number;
+  bbox: CropArea;
+}
+
 export interface OCRButtonProps {
   onTextRecognized?: (text: string) => void;
   disabled?: boolean;
@@ -55,6 +61,12 @@ declare global {
             lines?: Array<{
               text: string;
               bbox: { x0: number; y0: number; x1: number; y1: number };
+              confidence?: number;
+              words?: Array<{
+                text: string;
+                bbox: { x0: number; y0: number; x1: number; y1: number };
+                confidence: number;
+              }>;
             }>;
             paragraphs?: Array<{
               text: string;
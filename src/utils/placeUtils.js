@@ -56,6 +56,33 @@ export function getPlaceNameWithFallback(zoneId, placeData = {}, fallbackPrefix
   return name;
 }
 
+/**
+ * Get place name in a UI language, with fallback display
+ * 獲取介面語言的區域名稱
+ * The places table has en/ja/de/fr names; tw and zh use the TW name, and ko (no Korean
+ * place data) prefers English over TW.
+ *
+ * @param {number|string} zoneId - Zone ID
+ * @param {Object} placeData - Place data object
+ * @param {string} language - UI language code
+ * @param {string} fallbackPrefix - Fallback prefix (default: "區域")
+ * @returns {string} Place name or fallback text
+ */
+export function getLocalizedPlaceName(zoneId, placeData = {}, language = 'tw', fallbackPrefix = '區域') {
+  if (!zoneId) return '';
+
+  if (language !== 'tw' && language !== 'zh') {
+    const { places = {} } = placeData;
+    const place = places[zoneId] || places[String(zoneId)];
+    const name = place?.[language] || (language === 'ko' ? place?.en : null);
+    if (name) {
+      return name;
+    }
+  }
+
+  return getPlaceNameWithFallback(zoneId, placeData, fallbackPrefix);
+}
+
 /**
  * Check if place data is available for a zone ID
  * 檢查是否有可用的區域數據
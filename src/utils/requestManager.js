@@ -1,4 +1,20 @@
 // Request manager for handling API rate limits and request queuing
+// Every Universalis request goes through schedule(), so the limits below apply across all pages
+import { translate } from '../i18n';
+import { getUILanguage } from './uiLanguage';
+
+// Set on errors from createRateLimitError, so callers can recognize them in any UI language
+export const RATE_LIMIT_ERROR_CODE = 'RATE_LIMITED';
+
+/**
+ * Error for a request that is still rate limited after retrying
+ * @returns {Error} - Message in the UI language, code RATE_LIMIT_ERROR_CODE
+ */
+export function createRateLimitError() {
+  const error = new Error(translate(getUILanguage(), 'error.rateLimited'));
+  error.code = RATE_LIMIT_ERROR_CODE;
+  return error;
+}
 
 class RequestManager {
   constructor() {
@@ -6,6 +22,54 @@ class RequestManager {
     this.minRequestInterval = 500; // Minimum 500ms between requests
     this.pendingRequests = new Map();
     this.rateLimitRetryDelay = 2000; // Initial retry delay for rate limits (2 seconds)
+    // Universalis allows 8 simultaneous connections and 25 requests/second per IP
+    this.maxConcurrentRequests = 8;
+    this.maxRequestsPerSecond = 20;
+    this.activeRequests = 0;
+    this.recentRequestStarts = [];
+    this.slotQueue = [];
+    this.slotTimer = null;
+  }
+
+  /**
+   * Start queued requests while there are free slots
+   */
+  drainSlotQueue() {
+    while (this.slotQueue.length > 0 && this.activeRequests < this.maxConcurrentRequests) {
+      const now = Date.now();
+      this.recentRequestStarts = this.recentRequestStarts.filter(time => now - time < 1000);
+      if (this.recentRequestStarts.length >= this.maxRequestsPerSecond) {
+        // Try again once the oldest start leaves the one second window
+        if (!this.slotTimer) {
+          this.slotTimer = setTimeout(() => {
+            this.slotTimer = null;
+            this.drainSlotQueue();
+          }, 1000 - (now - this.recentRequestStarts[0]));
+        }
+        return;
+      }
+      this.activeRequests++;
+      this.recentRequestStarts.push(now);
+      this.slotQueue.shift()();
+    }
+  }
+
+  /**
+   * Run a request once the global concurrency and per-second limits allow it
+   * @param {Function} requestFn - Function that makes the API request
+   * @returns {Promise<any>} Result of requestFn
+   */
+  async schedule(requestFn) {
+    await new Promise(resolve => {
+      this.slotQueue.push(resolve);
+      this.drainSlotQueue();
+    });
+    try {
+      return await requestFn();
+    } finally {
+      this.activeRequests--;
+      this.drainSlotQueue();
+    }
   }
 
   /**
@@ -87,7 +151,7 @@ class RequestManager {
 
       try {
         this.updateLastRequestTime();
-        const result = await requestFn();
+        const result = await this.schedule(requestFn);
         return result;
       } catch (error) {
         // Handle abort errors
@@ -108,7 +172,7 @@ class RequestManager {
 
           // If this is the last attempt, throw the error
           if (attempt >= maxRetries) {
-            throw new Error('請求頻率過高，請稍後再試');
+            throw createRateLimitError();
           }
 
           // Wait before retrying
@@ -0,0 +1,172 @@
+// Retainer tracking using localStorage with event notification
+// Stores the user's retainers (name + world they sell on) and the items they keep listed
+const RETAINERS_KEY = 'ffxiv_market_retainers';
+const RETAINER_ITEMS_KEY = 'ffxiv_market_retainer_items';
+
+// Event listeners for retainer or tracked item changes
+const listeners = new Set();
+
+/**
+ * Subscribe to retainer changes
+ * @param {Function} callback - Called with { retainers, items } when either list changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToRetainers(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+/**
+ * Notify all listeners of retainer change
+ */
+function notifyChange() {
+  const state = { retainers: getRetainers(), items: getRetainerItems() };
+  listeners.forEach(callback => callback(state));
+}
+
+/**
+ * Normalize a retainer name for matching against Universalis listings
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return (name || '').trim().toLowerCase();
+}
+
+/**
+ * Read a JSON array from localStorage
+ * @param {string} key
+ * @returns {Array}
+ */
+function readList(key) {
+  try {
+    const listStr = localStorage.getItem(key);
+    if (!listStr) return [];
+    const list = JSON.parse(listStr);
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    console.error(`Failed to read ${key}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Get all registered retainers
+ * @returns {Array<Object>} Retainers: { id, name, worldId, worldName }
+ */
+export function getRetainers() {
+  return readList(RETAINERS_KEY).filter(retainer => retainer && retainer.name && Number.isInteger(retainer.worldId));
+}
+
+/**
+ * Register a retainer
+ * @param {string} name - Retainer name as shown in-game
+ * @param {number} worldId - World the retainer sells on
+ * @param {string} worldName - Display name of the world
+ * @returns {boolean} True if added, false if invalid or already registered
+ */
+export function addRetainer(name, worldId, worldName) {
+  try {
+    const trimmedName = (name || '').trim();
+    const id = Number(worldId);
+    if (!trimmedName || !Number.isInteger(id)) return false;
+
+    const retainers = getRetainers();
+    const exists = retainers.some(retainer => (
+      retainer.worldId === id && normalizeName(retainer.name) === normalizeName(trimmedName)
+    ));
+    if (exists) return false;
+
+    retainers.push({
+      id: `${id}-${normalizeName(trimmedName)}`,
+      name: trimmedName,
+      worldId: id,
+      worldName: worldName || String(id),
+    });
+    localStorage.setItem(RETAINERS_KEY, JSON.stringify(retainers));
+    notifyChange();
+    return true;
+  } catch (error) {
+    console.error('Failed to add retainer:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove a retainer
+ * @param {string} retainerId - The retainer ID
+ */
+export function removeRetainer(retainerId) {
+  try {
+    const retainers = getRetainers().filter(retainer => retainer.id !== retainerId);
+    localStorage.setItem(RETAINERS_KEY, JSON.stringify(retainers));
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to remove retainer:', error);
+  }
+}
+
+/**
+ * Find the registered retainer that owns a listing
+ * @param {Object} listing - Universalis listing with retainerName (and worldName/worldID for DC queries)
+ * @param {Array<Object>} retainers - Registered retainers
+ * @returns {Object|null} Matching retainer
+ */
+export function findListingRetainer(listing, retainers) {
+  if (!listing || !listing.retainerName || !retainers || retainers.length === 0) return null;
+  const listingName = normalizeName(listing.retainerName);
+  const listingWorldId = listing.worldID ?? listing.worldId ?? null;
+  return retainers.find(retainer => {
+    if (normalizeName(retainer.name) !== listingName) return false;
+    // World queries don't include world info on listings; DC queries do
+    if (listingWorldId !== null && listingWorldId !== undefined) return retainer.worldId === listingWorldId;
+    if (listing.worldName) return retainer.worldName === listing.worldName;
+    return true;
+  }) || null;
+}
+
+/**
+ * Get all items tracked for undercut checks
+ * @returns {Array<Object>} Items: { itemId, itemName, addedAt }
+ */
+export function getRetainerItems() {
+  return readList(RETAINER_ITEMS_KEY).filter(item => item && Number.isInteger(item.itemId));
+}
+
+/**
+ * Track an item for undercut checks
+ * @param {number} itemId - The item ID
+ * @param {string} itemName - Display name
+ * @returns {boolean} True if added, false if invalid or already tracked
+ */
+export function addRetainerItem(itemId, itemName) {
+  try {
+    const id = Number(itemId);
+    if (!Number.isInteger(id) || id <= 0) return false;
+
+    const items = getRetainerItems();
+    if (items.some(item => item.itemId === id)) return false;
+
+    items.push({ itemId: id, itemName: itemName || '', addedAt: Date.now() });
+    localStorage.setItem(RETAINER_ITEMS_KEY, JSON.stringify(items));
+    notifyChange();
+    return true;
+  } catch (error) {
+    console.error('Failed to add retainer item:', error);
+    return false;
+  }
+}
+
+/**
+ * Stop tracking an item
+ * @param {number} itemId - The item ID
+ */
+export function removeRetainerItem(itemId) {
+  try {
+    const items = getRetainerItems().filter(item => item.itemId !== itemId);
+    localStorage.setItem(RETAINER_ITEMS_KEY, JSON.stringify(items));
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to remove retainer item:', error);
+  }
+}
@@ -0,0 +1,176 @@
+// Advanced search state: query-string encoding for shareable links and named saved searches in localStorage
+const SAVED_SEARCHES_KEY = 'ffxiv_market_saved_searches';
+const MAX_SAVED_SEARCHES = 50;
+
+export const DEFAULT_MIN_LEVEL = 1;
+export const DEFAULT_MAX_LEVEL = 999;
+
+// Event listeners for saved search changes
+const listeners = new Set();
+
+/**
+ * Subscribe to saved search changes
+ * @param {Function} callback - Called with the new list when it changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToSavedSearches(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+/**
+ * Notify all listeners of saved search change
+ */
+function notifyChange() {
+  const searches = getSavedSearches();
+  listeners.forEach(callback => callback(searches));
+}
+
+/**
+ * Parse a comma separated list, keeping numeric entries as numbers
+ * Categories mix numeric IDs with generic keys such as 'main_weapon'.
+ * @param {string|null} value
+ * @returns {Array<number|string>}
+ */
+function parseList(value) {
+  if (!value) return [];
+  return value
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => (/^\d+$/.test(part) ? parseInt(part, 10) : part));
+}
+
+/**
+ * Clamp a level to the range the level inputs accept
+ * @param {*} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function parseLevel(value, fallback) {
+  const num = parseInt(value, 10);
+  if (!Number.isFinite(num)) return fallback;
+  return Math.min(Math.max(num, DEFAULT_MIN_LEVEL), DEFAULT_MAX_LEVEL);
+}
+
+/**
+ * Serialize advanced search state to query parameters
+ * Default values are omitted so links stay short.
+ * @param {Object} state - { tab, jobs, categories, minLevel, maxLevel, rarities, name, fuzzy, batchInput, batchFuzzy }
+ * @returns {URLSearchParams}
+ */
+export function serializeSearchState(state) {
+  const params = new URLSearchParams();
+  if (!state) return params;
+
+  params.set('tab', state.tab === 'batch' ? 'batch' : 'filter');
+
+  if (state.tab === 'batch') {
+    if (state.batchInput && state.batchInput.trim()) params.set('items', state.batchInput.trim());
+    if (state.batchFuzzy === false) params.set('exact', '1');
+    return params;
+  }
+
+  if (state.jobs && state.jobs.length > 0) params.set('jobs', state.jobs.join(','));
+  if (state.categories && state.categories.length > 0) params.set('cats', state.categories.join(','));
+  if (state.minLevel !== undefined && state.minLevel !== DEFAULT_MIN_LEVEL) params.set('lvmin', String(state.minLevel));
+  if (state.maxLevel !== undefined && state.maxLevel !== DEFAULT_MAX_LEVEL) params.set('lvmax', String(state.maxLevel));
+  if (state.rarities && state.rarities.length > 0) params.set('rarity', state.rarities.join(','));
+  if (state.name && state.name.trim()) params.set('name', state.name.trim());
+  if (state.fuzzy === false) params.set('exact', '1');
+  return params;
+}
+
+/**
+ * Restore advanced search state from query parameters
+ * @param {URLSearchParams} params
+ * @returns {Object|null} Full state with defaults filled in, or null when the URL carries no search state
+ */
+export function parseSearchState(params) {
+  if (!params || !params.get('tab')) return null;
+
+  const tab = params.get('tab') === 'batch' ? 'batch' : 'filter';
+  const exact = params.get('exact') === '1';
+  return {
+    tab,
+    jobs: parseList(params.get('jobs')).filter(Number.isInteger),
+    categories: parseList(params.get('cats')),
+    minLevel: parseLevel(params.get('lvmin'), DEFAULT_MIN_LEVEL),
+    maxLevel: parseLevel(params.get('lvmax'), DEFAULT_MAX_LEVEL),
+    rarities: parseList(params.get('rarity')).filter(Number.isInteger),
+    name: params.get('name') || '',
+    fuzzy: tab === 'filter' ? !exact : true,
+    batchInput: params.get('items') || '',
+    batchFuzzy: tab === 'batch' ? !exact : true,
+  };
+}
+
+/**
+ * Whether a search state has enough input to run
+ * @param {Object} state
+ * @returns {boolean}
+ */
+export function isRunnableSearchState(state) {
+  if (!state) return false;
+  if (state.tab === 'batch') return !!(state.batchInput && state.batchInput.trim());
+  return state.jobs.length > 0 || state.categories.length > 0;
+}
+
+/**
+ * Get all saved searches, most recently saved first
+ * @returns {Array<Object>} Saved searches: { id, name, query, savedAt }
+ */
+export function getSavedSearches() {
+  try {
+    const searchesStr = localStorage.getItem(SAVED_SEARCHES_KEY);
+    if (!searchesStr) return [];
+    const searches = JSON.parse(searchesStr);
+    return Array.isArray(searches) ? searches.filter(search => search && search.name && typeof search.query === 'string') : [];
+  } catch (error) {
+    console.error('Failed to read saved searches:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the current search under a name
+ * Saving with an existing name overwrites that entry.
+ * @param {string} name - Display name
+ * @param {Object} state - Search state as accepted by serializeSearchState
+ * @returns {Object|null} The saved entry, or null on failure
+ */
+export function saveSearch(name, state) {
+  try {
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) return null;
+
+    const entry = {
+      id: `${Date.now()}`,
+      name: trimmedName,
+      query: serializeSearchState(state).toString(),
+      savedAt: Date.now(),
+    };
+    const searches = getSavedSearches().filter(search => search.name !== trimmedName);
+    searches.unshift(entry);
+    localStorage.setItem(SAVED_SEARCHES_KEY, JSON.stringify(searches.slice(0, MAX_SAVED_SEARCHES)));
+    notifyChange();
+    return entry;
+  } catch (error) {
+    console.error('Failed to save search:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete a saved search
+ * @param {string} searchId - The saved search ID
+ */
+export function deleteSavedSearch(searchId) {
+  try {
+    const searches = getSavedSearches().filter(search => search.id !== searchId);
+    localStorage.setItem(SAVED_SEARCHES_KEY, JSON.stringify(searches));
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to delete saved search:', error);
+  }
+}
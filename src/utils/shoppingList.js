@@ -0,0 +1,145 @@
+// Shopping list management using localStorage with event notification
+const SHOPPING_LIST_KEY = 'ffxiv_market_shopping_list';
+const MAX_QUANTITY = 9999;
+
+// Event listeners for shopping list changes
+const listeners = new Set();
+
+/**
+ * Subscribe to shopping list changes
+ * @param {Function} callback - Called with the new list when it changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToShoppingList(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+/**
+ * Notify all listeners of shopping list change
+ */
+function notifyChange() {
+  const list = getShoppingList();
+  listeners.forEach(callback => callback(list));
+}
+
+/**
+ * Clamp a quantity to a valid integer
+ * @param {*} quantity
+ * @returns {number}
+ */
+function clampQuantity(quantity) {
+  const num = Math.round(Number(quantity));
+  if (!Number.isFinite(num) || num < 1) return 1;
+  return Math.min(num, MAX_QUANTITY);
+}
+
+/**
+ * Get all shopping list entries
+ * @returns {Array<Object>} Entries: { itemId, itemName, quantity, hqOnly }
+ */
+export function getShoppingList() {
+  try {
+    const listStr = localStorage.getItem(SHOPPING_LIST_KEY);
+    if (!listStr) return [];
+    const list = JSON.parse(listStr);
+    return Array.isArray(list) ? list.filter(entry => entry && Number.isInteger(entry.itemId)) : [];
+  } catch (error) {
+    console.error('Failed to get shopping list:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the full list and notify listeners
+ * @param {Array<Object>} list
+ */
+function saveShoppingList(list) {
+  localStorage.setItem(SHOPPING_LIST_KEY, JSON.stringify(list));
+  notifyChange();
+}
+
+/**
+ * Add multiple items to the shopping list in one write
+ * Quantities of items already on the list are added together
+ * @param {Array<Object>} items - [{ itemId, itemName, quantity }]
+ * @returns {number} Number of items added or updated
+ */
+export function addItemsToShoppingList(items) {
+  try {
+    const list = getShoppingList();
+    let count = 0;
+    items.forEach(({ itemId, itemName, quantity = 1 }) => {
+      const id = Number(itemId);
+      if (!Number.isInteger(id) || id <= 0) return;
+      const existing = list.find(entry => entry.itemId === id);
+      if (existing) {
+        existing.quantity = clampQuantity(existing.quantity + clampQuantity(quantity));
+        if (!existing.itemName && itemName) existing.itemName = itemName;
+      } else {
+        list.push({ itemId: id, itemName: itemName || '', quantity: clampQuantity(quantity), hqOnly: false });
+      }
+      count++;
+    });
+    saveShoppingList(list);
+    return count;
+  } catch (error) {
+    console.error('Failed to add items to shopping list:', error);
+    return 0;
+  }
+}
+
+/**
+ * Add an item to the shopping list
+ * @param {number} itemId - The item ID
+ * @param {string} itemName - Display name
+ * @param {number} quantity - Quantity to add (default 1)
+ * @returns {boolean} True if the item was added
+ */
+export function addToShoppingList(itemId, itemName, quantity = 1) {
+  return addItemsToShoppingList([{ itemId, itemName, quantity }]) > 0;
+}
+
+/**
+ * Update an entry on the shopping list
+ * @param {number} itemId - The item ID
+ * @param {Object} updates - { quantity?, hqOnly? }
+ */
+export function updateShoppingListItem(itemId, updates) {
+  try {
+    const list = getShoppingList().map(entry => {
+      if (entry.itemId !== itemId) return entry;
+      const next = { ...entry, ...updates };
+      next.quantity = clampQuantity(next.quantity);
+      next.hqOnly = !!next.hqOnly;
+      return next;
+    });
+    saveShoppingList(list);
+  } catch (error) {
+    console.error('Failed to update shopping list item:', error);
+  }
+}
+
+/**
+ * Remove an item from the shopping list
+ * @param {number} itemId - The item ID to remove
+ */
+export function removeFromShoppingList(itemId) {
+  try {
+    saveShoppingList(getShoppingList().filter(entry => entry.itemId !== itemId));
+  } catch (error) {
+    console.error('Failed to remove item from shopping list:', error);
+  }
+}
+
+/**
+ * Clear the shopping list
+ */
+export function clearShoppingList() {
+  try {
+    localStorage.removeItem(SHOPPING_LIST_KEY);
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to clear shopping list:', error);
+  }
+}
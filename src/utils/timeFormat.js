@@ -1,3 +1,6 @@
+import { translate } from '../i18n';
+import { getUILanguage } from './uiLanguage';
+
 /**
  * Normalize timestamp to seconds (handles both seconds and milliseconds)
  * @param {number} timestamp - Unix timestamp (could be in seconds or milliseconds)
@@ -19,40 +22,47 @@ function normalizeTimestamp(timestamp) {
 }
 
 /**
- * Format relative time (e.g., "2 minutes ago", "3 hours ago")
- * Always shows specific time, never vague terms like "剛剛"
+ * Format relative time (e.g., "2 minutes ago", "3 hours ago") in the UI language
+ * Always shows specific time, never vague terms like "just now"
  * Uses browser's local time for calculation
  * @param {number} timestamp - Unix timestamp (seconds or milliseconds)
  * @returns {string} - Formatted relative time string
  */
 export function formatRelativeTime(timestamp) {
-  if (!timestamp) return '未知';
+  const language = getUILanguage();
+  if (!timestamp) return translate(language, 'time.unknown');
   
   const normalizedTimestamp = normalizeTimestamp(timestamp);
-  if (!normalizedTimestamp) return '未知';
+  if (!normalizedTimestamp) return translate(language, 'time.unknown');
   
   const now = Math.floor(Date.now() / 1000);
   const diff = now - normalizedTimestamp;
   
-  if (diff < 0) return '0分鐘前';
-  if (diff < 60) return '1分鐘前';
+  if (diff < 0) return translate(language, 'time.minutesAgo', { minutes: 0 });
+  if (diff < 60) return translate(language, 'time.minutesAgo', { minutes: 1 });
   if (diff < 3600) {
     const minutes = Math.floor(diff / 60);
-    return `${minutes}分鐘前`;
+    return translate(language, 'time.minutesAgo', { minutes });
   }
   if (diff < 86400) {
     const hours = Math.floor(diff / 3600);
     const minutes = Math.floor((diff % 3600) / 60);
-    return minutes > 0 ? `${hours}小時${minutes}分鐘前` : `${hours}小時前`;
+    return minutes > 0
+      ? translate(language, 'time.hoursMinutesAgo', { hours, minutes })
+      : translate(language, 'time.hoursAgo', { hours });
   }
   if (diff < 604800) {
     const days = Math.floor(diff / 86400);
     const hours = Math.floor((diff % 86400) / 3600);
-    return hours > 0 ? `${days}天${hours}小時前` : `${days}天前`;
+    return hours > 0
+      ? translate(language, 'time.daysHoursAgo', { days, hours })
+      : translate(language, 'time.daysAgo', { days });
   }
   const weeks = Math.floor(diff / 604800);
   const days = Math.floor((diff % 604800) / 86400);
-  return days > 0 ? `${weeks}週${days}天前` : `${weeks}週前`;
+  return days > 0
+    ? translate(language, 'time.weeksDaysAgo', { weeks, days })
+    : translate(language, 'time.weeksAgo', { weeks });
 }
 
 /**
@@ -61,10 +71,10 @@ export function formatRelativeTime(timestamp) {
  * @returns {string} - Formatted time string in user's local timezone
  */
 export function formatLocalTime(timestamp) {
-  if (!timestamp) return '未知';
+  if (!timestamp) return translate(getUILanguage(), 'time.unknown');
   
   const normalizedTimestamp = normalizeTimestamp(timestamp);
-  if (!normalizedTimestamp) return '未知';
+  if (!normalizedTimestamp) return translate(getUILanguage(), 'time.unknown');
   
   const date = new Date(normalizedTimestamp * 1000);
   
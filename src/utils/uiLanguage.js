@@ -0,0 +1,99 @@
+// UI language preference - which message catalog and item name language the interface uses
+import { detectLanguage } from './itemLanguage';
+
+const UI_LANGUAGE_KEY = 'ffxiv_market_ui_language';
+
+// Codes match itemLanguage.js; labels are shown in their own language
+export const UI_LANGUAGES = [
+  { code: 'tw', label: '繁體中文' },
+  { code: 'zh', label: '简体中文' },
+  { code: 'en', label: 'English' },
+  { code: 'ja', label: '日本語' },
+  { code: 'ko', label: '한국어' },
+  { code: 'de', label: 'Deutsch' },
+  { code: 'fr', label: 'Français' },
+];
+
+// BCP 47 tags for <html lang> and date formatting, so fonts, screen readers and times match the UI language
+const HTML_LANG_TAGS = {
+  tw: 'zh-Hant-TW',
+  zh: 'zh-Hans',
+  en: 'en',
+  ja: 'ja',
+  ko: 'ko',
+  de: 'de',
+  fr: 'fr',
+};
+
+// Event listeners for UI language changes
+const listeners = new Set();
+
+/**
+ * Subscribe to UI language changes
+ * @param {Function} callback - Called with the new language code when it changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToUILanguage(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+/**
+ * Whether a code is one of UI_LANGUAGES
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function isSupportedUILanguage(code) {
+  return UI_LANGUAGES.some(language => language.code === code);
+}
+
+/**
+ * Get the UI language
+ * A saved choice wins; otherwise the ?lang= parameter or browser language is used.
+ * @returns {string} Language code (tw, zh, en, ja, ko, de, fr)
+ */
+export function getUILanguage() {
+  try {
+    const saved = localStorage.getItem(UI_LANGUAGE_KEY);
+    if (saved && isSupportedUILanguage(saved)) {
+      return saved;
+    }
+  } catch (error) {
+    console.error('Failed to read UI language:', error);
+  }
+  if (typeof window === 'undefined') return 'tw';
+  return detectLanguage(new URLSearchParams(window.location.search));
+}
+
+/**
+ * Get the BCP 47 tag for a language, for toLocaleString and friends
+ * @param {string} code
+ * @returns {string}
+ */
+export function getLocaleTag(code) {
+  return HTML_LANG_TAGS[code] || HTML_LANG_TAGS.tw;
+}
+
+/**
+ * Apply the language to <html lang>
+ * @param {string} code
+ */
+export function applyDocumentLanguage(code) {
+  if (typeof document === 'undefined') return;
+  document.documentElement.lang = getLocaleTag(code);
+}
+
+/**
+ * Save the UI language
+ * @param {string} code - One of UI_LANGUAGES
+ */
+export function setUILanguage(code) {
+  if (!isSupportedUILanguage(code)) return;
+  try {
+    localStorage.setItem(UI_LANGUAGE_KEY, code);
+  } catch (error) {
+    console.error('Failed to save UI language:', error);
+  }
+  applyDocumentLanguage(code);
+  listeners.forEach(callback => callback(code));
+}
@@ -0,0 +1,307 @@
+// Watchlist management using localStorage with event notification
+// Each entry pins an item on a world (ID) or data center (name) with optional buy/sell thresholds
+import { translate } from '../i18n';
+import { getUILanguage } from './uiLanguage';
+
+const WATCHLIST_KEY = 'ffxiv_market_watchlist';
+const WATCHLIST_SETTINGS_KEY = 'ffxiv_market_watchlist_settings';
+const WATCHLIST_EXPORT_VERSION = 1;
+
+// Quality filter for threshold checks
+export const WATCHLIST_QUALITY = {
+  ANY: 'any',
+  NQ: 'nq',
+  HQ: 'hq',
+};
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  intervalMinutes: 5,
+  browserNotifications: false,
+};
+
+// Event listeners for watchlist changes
+const listeners = new Set();
+
+/**
+ * Subscribe to watchlist changes
+ * @param {Function} callback - Called with the new watchlist when it changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToWatchlist(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+/**
+ * Notify all listeners of watchlist change
+ */
+function notifyChange() {
+  const watchlist = getWatchlist();
+  listeners.forEach(callback => callback(watchlist));
+}
+
+/**
+ * Parse a threshold value, returning null for empty/invalid input
+ * @param {*} value
+ * @returns {number|null}
+ */
+function parseThreshold(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? Math.round(num) : null;
+}
+
+/**
+ * Normalize a raw entry (from storage or import) into a valid watchlist entry
+ * @param {Object} raw
+ * @returns {Object|null} Normalized entry, or null if invalid
+ */
+function normalizeEntry(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const itemId = Number(raw.itemId);
+  if (!Number.isInteger(itemId) || itemId <= 0) return null;
+  if (raw.scope === null || raw.scope === undefined || raw.scope === '') return null;
+
+  // World IDs are stored as numbers, DC names as strings (same as selectedServerOption)
+  const scope = typeof raw.scope === 'number' || !isNaN(Number(raw.scope))
+    ? Number(raw.scope)
+    : String(raw.scope);
+
+  const quality = Object.values(WATCHLIST_QUALITY).includes(raw.quality)
+    ? raw.quality
+    : WATCHLIST_QUALITY.ANY;
+
+  return {
+    id: raw.id || `${itemId}-${scope}-${quality}`,
+    itemId,
+    itemName: typeof raw.itemName === 'string' ? raw.itemName : '',
+    scope,
+    scopeName: typeof raw.scopeName === 'string' ? raw.scopeName : String(scope),
+    quality,
+    buyBelow: parseThreshold(raw.buyBelow),
+    sellAbove: parseThreshold(raw.sellAbove),
+    addedAt: Number(raw.addedAt) || Date.now(),
+    lastPrice: raw.lastPrice ?? null,
+    lastCheckedAt: raw.lastCheckedAt ?? null,
+    lastAlertKey: raw.lastAlertKey ?? null,
+  };
+}
+
+/**
+ * Get all watchlist entries
+ * @returns {Array<Object>} Watchlist entries (oldest first)
+ */
+export function getWatchlist() {
+  try {
+    const watchlistStr = localStorage.getItem(WATCHLIST_KEY);
+    if (!watchlistStr) return [];
+    const watchlist = JSON.parse(watchlistStr);
+    return Array.isArray(watchlist) ? watchlist.map(normalizeEntry).filter(Boolean) : [];
+  } catch (error) {
+    console.error('Failed to get watchlist:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the full watchlist and notify listeners
+ * @param {Array<Object>} watchlist
+ */
+function saveWatchlist(watchlist) {
+  localStorage.setItem(WATCHLIST_KEY, JSON.stringify(watchlist));
+  notifyChange();
+}
+
+/**
+ * Add an entry to the watchlist (replaces an existing entry with the same item/scope/quality)
+ * @param {Object} entry - { itemId, itemName, scope, scopeName, quality, buyBelow, sellAbove }
+ * @returns {Object|null} The saved entry, or null if the entry is invalid
+ */
+export function addToWatchlist(entry) {
+  try {
+    const normalized = normalizeEntry({ ...entry, id: null, addedAt: Date.now() });
+    if (!normalized) return null;
+
+    const watchlist = getWatchlist().filter(existing => existing.id !== normalized.id);
+    watchlist.push(normalized);
+    saveWatchlist(watchlist);
+    return normalized;
+  } catch (error) {
+    console.error('Failed to add item to watchlist:', error);
+    return null;
+  }
+}
+
+/**
+ * Update fields of a watchlist entry
+ * @param {string} entryId - Entry ID
+ * @param {Object} updates - Fields to update
+ */
+export function updateWatchlistEntry(entryId, updates) {
+  try {
+    const watchlist = getWatchlist().map(entry => {
+      if (entry.id !== entryId) return entry;
+      return normalizeEntry({ ...entry, ...updates, id: entry.id }) || entry;
+    });
+    saveWatchlist(watchlist);
+  } catch (error) {
+    console.error('Failed to update watchlist entry:', error);
+  }
+}
+
+/**
+ * Record the result of a poll for multiple entries in one write
+ * @param {Object} resultsById - { [entryId]: { lastPrice, lastCheckedAt, lastAlertKey } }
+ */
+export function recordWatchlistChecks(resultsById) {
+  try {
+    const watchlist = getWatchlist().map(entry => (
+      resultsById[entry.id] ? { ...entry, ...resultsById[entry.id] } : entry
+    ));
+    saveWatchlist(watchlist);
+  } catch (error) {
+    console.error('Failed to record watchlist checks:', error);
+  }
+}
+
+/**
+ * Remove an entry from the watchlist
+ * @param {string} entryId - Entry ID
+ */
+export function removeFromWatchlist(entryId) {
+  try {
+    saveWatchlist(getWatchlist().filter(entry => entry.id !== entryId));
+  } catch (error) {
+    console.error('Failed to remove item from watchlist:', error);
+  }
+}
+
+/**
+ * Clear the whole watchlist
+ */
+export function clearWatchlist() {
+  try {
+    localStorage.removeItem(WATCHLIST_KEY);
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to clear watchlist:', error);
+  }
+}
+
+/**
+ * Check whether an item is on the watchlist (any scope/quality)
+ * @param {number} itemId
+ * @returns {boolean}
+ */
+export function isItemWatched(itemId) {
+  return getWatchlist().some(entry => entry.itemId === itemId);
+}
+
+/**
+ * Serialize the watchlist for export
+ * @returns {string} JSON string
+ */
+export function exportWatchlist() {
+  const entries = getWatchlist().map(({ lastPrice, lastCheckedAt, lastAlertKey, ...entry }) => entry);
+  return JSON.stringify({
+    version: WATCHLIST_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries,
+  }, null, 2);
+}
+
+/**
+ * Import watchlist entries from an exported JSON string
+ * Accepts either the export object or a bare array of entries
+ * @param {string} json - JSON string
+ * @param {Object} options - { replace: boolean } replace existing entries instead of merging
+ * @returns {number} Number of entries imported
+ * @throws {Error} If the JSON is malformed or contains no valid entries
+ */
+export function importWatchlist(json, options = {}) {
+  const parsed = JSON.parse(json);
+  const rawEntries = Array.isArray(parsed) ? parsed : parsed?.entries;
+  if (!Array.isArray(rawEntries)) {
+    throw new Error(translate(getUILanguage(), 'watchlist.importBadFormat'));
+  }
+
+  const imported = rawEntries
+    .map(raw => normalizeEntry({ ...raw, id: null, lastAlertKey: null }))
+    .filter(Boolean);
+  if (imported.length === 0) {
+    throw new Error(translate(getUILanguage(), 'watchlist.importNothing'));
+  }
+
+  const byId = new Map();
+  if (!options.replace) {
+    getWatchlist().forEach(entry => byId.set(entry.id, entry));
+  }
+  imported.forEach(entry => byId.set(entry.id, entry));
+
+  saveWatchlist(Array.from(byId.values()));
+  return imported.length;
+}
+
+/**
+ * Get watchlist polling settings
+ * @returns {Object} { enabled, intervalMinutes, browserNotifications }
+ */
+export function getWatchlistSettings() {
+  try {
+    const settingsStr = localStorage.getItem(WATCHLIST_SETTINGS_KEY);
+    if (!settingsStr) return { ...DEFAULT_SETTINGS };
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(settingsStr) };
+  } catch (error) {
+    console.error('Failed to get watchlist settings:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Update watchlist polling settings
+ * @param {Object} updates - Partial settings
+ * @returns {Object} The new settings
+ */
+export function updateWatchlistSettings(updates) {
+  const settings = { ...getWatchlistSettings(), ...updates };
+  try {
+    localStorage.setItem(WATCHLIST_SETTINGS_KEY, JSON.stringify(settings));
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to update watchlist settings:', error);
+  }
+  return settings;
+}
+
+/**
+ * Check the cheapest matching listing against an entry's thresholds
+ * @param {Object} entry - Watchlist entry
+ * @param {Array<Object>} listings - Universalis listings ({ pricePerUnit, hq, worldName, ... })
+ * @returns {Object} { price, listing, alert } where alert is null, 'buy' or 'sell'
+ */
+export function evaluateWatchlistEntry(entry, listings) {
+  const matching = (listings || []).filter(listing => {
+    if (entry.quality === WATCHLIST_QUALITY.HQ) return listing.hq;
+    if (entry.quality === WATCHLIST_QUALITY.NQ) return !listing.hq;
+    return true;
+  });
+
+  if (matching.length === 0) {
+    return { price: null, listing: null, alert: null };
+  }
+
+  const cheapest = matching.reduce((min, listing) => (
+    listing.pricePerUnit < min.pricePerUnit ? listing : min
+  ));
+  const price = cheapest.pricePerUnit;
+
+  let alert = null;
+  if (entry.buyBelow !== null && price <= entry.buyBelow) {
+    alert = 'buy';
+  } else if (entry.sellAbove !== null && price >= entry.sellAbove) {
+    alert = 'sell';
+  }
+
+  return { price, listing: cheapest, alert };
+}